@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+// Run the in-memory Tebra SOAP simulator (src/services/tebraSoapSimulator.js) for offline development.
+// It accepts the TEBRA_CUSTOMER_KEY / TEBRA_USER / TEBRA_PASSWORD from .env (or simulator defaults),
+// so pointing the backend at it only needs TEBRA_SOAP_ENDPOINT (and TEBRA_SOAP_WSDL unset).
+//
+// Usage: node scripts/tebra-simulator.js [port]    (default TEBRA_SIMULATOR_PORT or 8089)
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { createTebraSimulator, DEFAULT_CREDENTIALS } = require('../src/services/tebraSoapSimulator');
+
+async function main() {
+  const port = parseInt(process.argv[2] || process.env.TEBRA_SIMULATOR_PORT, 10) || 8089;
+  const simulator = createTebraSimulator({
+    credentials: {
+      customerKey: process.env.TEBRA_CUSTOMER_KEY || DEFAULT_CREDENTIALS.customerKey,
+      user: process.env.TEBRA_USER || DEFAULT_CREDENTIALS.user,
+      password: process.env.TEBRA_PASSWORD || DEFAULT_CREDENTIALS.password
+    },
+    practiceName: process.env.TEBRA_PRACTICE_NAME,
+    latencyMs: parseInt(process.env.TEBRA_SIMULATOR_LATENCY_MS, 10) || 0
+  });
+
+  const endpoint = await simulator.start(port, process.env.TEBRA_SIMULATOR_HOST || '127.0.0.1');
+  const admin = endpoint.replace(/\/services\/.*$/, '/__simulator');
+
+  console.log('Tebra SOAP simulator listening');
+  console.log(`  TEBRA_SOAP_ENDPOINT=${endpoint}`);
+  if (process.env.TEBRA_CUSTOMER_KEY || process.env.TEBRA_USER || process.env.TEBRA_PASSWORD) {
+    console.log('  (accepting TEBRA_CUSTOMER_KEY / TEBRA_USER / TEBRA_PASSWORD from the environment)');
+  } else {
+    console.log(`  TEBRA_CUSTOMER_KEY=${simulator.credentials.customerKey}`);
+    console.log(`  TEBRA_USER=${simulator.credentials.user}`);
+    console.log(`  TEBRA_PASSWORD=${simulator.credentials.password}`);
+  }
+  console.log(`  TEBRA_PRACTICE_NAME=${simulator.practiceName}`);
+  console.log('  (unset TEBRA_SOAP_WSDL so the backend uses the endpoint above)');
+  console.log(`State: GET ${admin}/state  Reset: POST ${admin}/reset  Faults: POST ${admin}/faults`);
+
+  const shutdown = async () => {
+    await simulator.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error('Failed to start Tebra simulator:', error.message);
+  process.exit(1);
+});
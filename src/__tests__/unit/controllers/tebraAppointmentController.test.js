@@ -13,11 +13,13 @@ const {
 jest.mock('../../../services/tebraService');
 jest.mock('../../../services/customerPatientMapService');
 jest.mock('../../../services/googleMeetService');
+jest.mock('../../../services/tebraWriteQueue');
 jest.mock('../../../db/pg');
 
 const tebraService = require('../../../services/tebraService');
 const customerPatientMapService = require('../../../services/customerPatientMapService');
 const googleMeetService = require('../../../services/googleMeetService');
+const tebraWriteQueue = require('../../../services/tebraWriteQueue');
 
 describe('tebraAppointmentController', () => {
   let req, res;
@@ -66,6 +68,8 @@ describe('tebraAppointmentController', () => {
         message: 'Availability retrieved successfully',
         availability: mockAvailability.availability,
         totalCount: mockAvailability.totalCount,
+        timezone: null,
+        rules: null,
         location: 'US'
       });
     });
@@ -99,7 +103,8 @@ describe('tebraAppointmentController', () => {
       };
 
       tebraService.getAppointments = jest.fn().mockResolvedValue({ appointments: [] });
-      tebraService.createAppointment = jest.fn().mockResolvedValue({
+      tebraService.forCall = jest.fn().mockReturnValue({ tenantId: 'default' });
+      tebraWriteQueue.execute.mockResolvedValue({
         id: 'appointment-123',
         appointmentId: 'appointment-123'
       });
@@ -109,7 +114,11 @@ describe('tebraAppointmentController', () => {
 
       await createAppointment(req, res);
 
-      expect(tebraService.createAppointment).toHaveBeenCalled();
+      expect(tebraWriteQueue.execute).toHaveBeenCalledWith('createAppointment', expect.objectContaining({ patientId: 'patient-123' }), {
+        idempotencyKey: 'tebra-appointment:default:patient-123:2024-02-15T10:00:00.000Z',
+        source: 'tebra_appointment_api',
+        tenantId: 'default'
+      });
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({
           success: true,
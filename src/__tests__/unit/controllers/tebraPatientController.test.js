@@ -13,11 +13,13 @@ const {
 jest.mock('../../../services/tebraService');
 jest.mock('../../../services/shopifyUserService');
 jest.mock('../../../services/cacheService');
+jest.mock('../../../services/tebraWriteQueue');
 jest.mock('../../../db/pg');
 
 const tebraService = require('../../../services/tebraService');
 const shopifyUserService = require('../../../services/shopifyUserService');
 const cacheService = require('../../../services/cacheService');
+const tebraWriteQueue = require('../../../services/tebraWriteQueue');
 
 describe('tebraPatientController', () => {
   let req, res;
@@ -64,11 +66,14 @@ describe('tebraPatientController', () => {
         patientId: 'patient-123'
       };
 
-      tebraService.createPatient = jest.fn().mockResolvedValue(mockTebraData);
+      tebraWriteQueue.execute.mockResolvedValue(mockTebraData);
 
       await createTebraPatient(req, res);
 
-      expect(tebraService.createPatient).toHaveBeenCalled();
+      expect(tebraWriteQueue.execute).toHaveBeenCalledWith('createPatient', expect.objectContaining({ email: 'john.doe@example.com' }), {
+        idempotencyKey: 'tebra-patient:CA:john.doe@example.com:John:Doe:1990-01-01',
+        source: 'tebra_patient_api'
+      });
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -104,7 +109,7 @@ describe('tebraPatientController', () => {
           email: false
         }
       });
-      expect(tebraService.createPatient).not.toHaveBeenCalled();
+      expect(tebraWriteQueue.execute).not.toHaveBeenCalled();
     });
 
     it('should handle errors during patient creation', async () => {
@@ -117,7 +122,7 @@ describe('tebraPatientController', () => {
       };
 
       const error = new Error('Tebra API error');
-      tebraService.createPatient = jest.fn().mockRejectedValue(error);
+      tebraWriteQueue.execute.mockRejectedValue(error);
 
       await createTebraPatient(req, res);
 
@@ -145,11 +150,11 @@ describe('tebraPatientController', () => {
         }
       };
 
-      tebraService.createPatient = jest.fn().mockResolvedValue({ id: 'patient-123' });
+      tebraWriteQueue.execute.mockResolvedValue({ id: 'patient-123' });
 
       await createTebraPatient(req, res);
 
-      const createCall = tebraService.createPatient.mock.calls[0][0];
+      const createCall = tebraWriteQueue.execute.mock.calls[0][1];
       expect(createCall.state).toBe('TX');
     });
   });
@@ -175,13 +180,14 @@ describe('tebraPatientController', () => {
       };
 
       shopifyUserService.getCustomerWithMetafields = jest.fn().mockResolvedValue(mockCustomer);
-      tebraService.createPatient = jest.fn().mockResolvedValue(mockTebraData);
+      tebraWriteQueue.execute.mockResolvedValue(mockTebraData);
       shopifyUserService.updateCustomerMetafields = jest.fn().mockResolvedValue(true);
 
       await createTebraPatientFromCustomer(req, res);
 
       expect(shopifyUserService.getCustomerWithMetafields).toHaveBeenCalledWith('customer-123');
-      expect(tebraService.createPatient).toHaveBeenCalled();
+      expect(tebraWriteQueue.execute).toHaveBeenCalledWith('createPatient', expect.objectContaining({ email: 'jane.smith@example.com' }),
+        expect.objectContaining({ idempotencyKey: expect.stringMatching(/^shopify-customer:.+:customer-123:patient$/) }));
       expect(shopifyUserService.updateCustomerMetafields).toHaveBeenCalledWith('customer-123', {
         tebra_patient_id: 'patient-456',
         tebra_sync_status: 'synced'
@@ -214,7 +220,7 @@ describe('tebraPatientController', () => {
         message: 'Customer not found',
         location: 'US'
       });
-      expect(tebraService.createPatient).not.toHaveBeenCalled();
+      expect(tebraWriteQueue.execute).not.toHaveBeenCalled();
     });
 
     it('should return 400 when customer already has Tebra patient ID', async () => {
@@ -238,7 +244,7 @@ describe('tebraPatientController', () => {
         tebraPatientId: 'patient-existing-123',
         location: 'US'
       });
-      expect(tebraService.createPatient).not.toHaveBeenCalled();
+      expect(tebraWriteQueue.execute).not.toHaveBeenCalled();
     });
 
     it('should update sync status to failed on error', async () => {
@@ -251,7 +257,7 @@ describe('tebraPatientController', () => {
 
       shopifyUserService.getCustomerWithMetafields = jest.fn().mockResolvedValue(mockCustomer);
       const error = new Error('Tebra API error');
-      tebraService.createPatient = jest.fn().mockRejectedValue(error);
+      tebraWriteQueue.execute.mockRejectedValue(error);
       shopifyUserService.updateCustomerMetafields = jest.fn().mockResolvedValue(true);
 
       await createTebraPatientFromCustomer(req, res);
@@ -5,9 +5,13 @@
 // Per-state overrides: TEBRA_SERVICE_LOCATION_ID_<STATE>, TEBRA_APPT_REASON_ID_<STATE>, TEBRA_APPT_REASON_NAME_<STATE>
 // Global: TEBRA_SERVICE_LOCATION_ID, TEBRA_DEFAULT_APPT_REASON_ID, TEBRA_DEFAULT_APPT_REASON_GUID, TEBRA_DEFAULT_APPT_REASON_NAME
 // CreateAppointmentV3: TEBRA_PRACTICE_GUID, TEBRA_RESOURCE_GUID, TEBRA_RESOURCE_ID, TEBRA_PROVIDER_GUID (optional TEBRA_*_<STATE>)
+// Tebra account (tenant) whose credentials serve the state: TEBRA_TENANT_<STATE> (see tebraTenantService), default 'default'
+// Admin state mappings built from synced Tebra records (tebra_state_mappings) override these values at
+// startup and on save; see tebraReferenceDataService.applyStateMappings
 module.exports = {
   CA: {
     state: 'CA',
+    tenantId: process.env.TEBRA_TENANT_CA || 'default',
     practiceId: process.env.TEBRA_PRACTICE_ID_CA || undefined,
     practiceName: process.env.TEBRA_PRACTICE_NAME_CA || process.env.TEBRA_PRACTICE_NAME || undefined,
     defaultProviderId: process.env.TEBRA_PROVIDER_ID_CA || undefined,
@@ -21,6 +25,7 @@ module.exports = {
   },
   TX: {
     state: 'TX',
+    tenantId: process.env.TEBRA_TENANT_TX || 'default',
     practiceId: process.env.TEBRA_PRACTICE_ID_TX || undefined,
     practiceName: process.env.TEBRA_PRACTICE_NAME_TX || process.env.TEBRA_PRACTICE_NAME || undefined,
     defaultProviderId: process.env.TEBRA_PROVIDER_ID_TX || undefined,
@@ -34,6 +39,7 @@ module.exports = {
   },
   WA: {
     state: 'WA',
+    tenantId: process.env.TEBRA_TENANT_WA || 'default',
     practiceId: process.env.TEBRA_PRACTICE_ID_WA || process.env.TEBRA_PRACTICE_ID || undefined,
     practiceName: process.env.TEBRA_PRACTICE_NAME_WA || process.env.TEBRA_PRACTICE_NAME || undefined,
     defaultProviderId: process.env.TEBRA_PROVIDER_ID_WA || process.env.TEBRA_PROVIDER_ID || undefined,
@@ -47,6 +53,7 @@ module.exports = {
   },
   KL: {
     state: 'KL',
+    tenantId: process.env.TEBRA_TENANT_KL || 'default',
     practiceId: process.env.TEBRA_PRACTICE_ID_KL || process.env.TEBRA_PRACTICE_ID || undefined,
     practiceName: process.env.TEBRA_PRACTICE_NAME_KL || process.env.TEBRA_PRACTICE_NAME || undefined,
     defaultProviderId: process.env.TEBRA_PROVIDER_ID_KL || process.env.TEBRA_PROVIDER_ID || undefined,
@@ -60,6 +67,7 @@ module.exports = {
   },
   SC: {
     state: 'SC',
+    tenantId: process.env.TEBRA_TENANT_SC || 'default',
     practiceId: process.env.TEBRA_PRACTICE_ID_SC || process.env.TEBRA_PRACTICE_ID || undefined,
     practiceName: process.env.TEBRA_PRACTICE_NAME_SC || process.env.TEBRA_PRACTICE_NAME || undefined,
     defaultProviderId: process.env.TEBRA_PROVIDER_ID_SC || process.env.TEBRA_PROVIDER_ID || undefined,
@@ -4,12 +4,15 @@
 // handles subscriptions, and links orders to patient charts.
 
 const tebraService = require('../services/tebraService');
-const tebraBillingService = require('../services/tebraBillingService');
 const productUtils = require('../utils/productUtils');
 const shopifyUserService = require('../services/shopifyUserService');
 const questionnaireCompletionService = require('../services/questionnaireCompletionService');
 const customerPatientMapService = require('../services/customerPatientMapService');
-const { determineState } = require('../utils/stateUtils');
+const patientIdentityService = require('../services/patientIdentityService');
+const serviceCatalogService = require('../services/serviceCatalogService');
+const tebraTenantService = require('../services/tebraTenantService');
+const { determineState, determineStateSync } = require('../utils/stateUtils');
+const { isTebraRequestError } = require('../services/tebraErrors');
 const {
   extractCustomerIdFromOrder,
   safeTrim,
@@ -19,12 +22,16 @@ const {
   isSubscriptionProduct,
   SHOPIFY_CONFIG,
   makeShopifyAdminRequest,
-  getNextBillingDate
+  getNextBillingDate,
+  linePaidCents
 } = require('./billingControllerHelpers');
 
 // Import order validation service
 const orderValidationService = require('../services/orderValidationService');
 
+// Charge line code for order products the service catalog does not list
+const DEFAULT_ORDER_CPT = '99000';
+
 /**
  * Validate order before processing
  * - Checks if customer has completed questionnaire for products that require it
@@ -64,7 +71,6 @@ exports.handleShopifyOrderPaid = async (req, res) => {
     const shopifyOrderId = String(order.id || order.order_id || order.name || 'unknown');
     const email = await extractEmailFromOrder(order);
     const shopifyCustomerId = await extractCustomerIdFromOrder(order);
-    const practiceId = process.env.TEBRA_PRACTICE_ID || undefined;
 
     // Validate order before processing (questionnaire and state restrictions)
     try {
@@ -82,25 +88,37 @@ exports.handleShopifyOrderPaid = async (req, res) => {
       });
     }
 
-    // Find Tebra patient id via mapping; fallback: try to create if missing
-    let tebraPatientId = null;
+    // Slot the patient held during checkout (booked below)
+    const slotHoldService = require('../services/slotHoldService');
+    let hold = null;
+    let holdLookupError = null;
     try {
-      const mapService = require('../services/customerPatientMapService');
-      const existing = await mapService.getByShopifyIdOrEmail(shopifyCustomerId, email);
-      tebraPatientId = existing?.tebra_patient_id || existing?.tebraPatientId || null;
+      hold = await slotHoldService.findHoldForOrder(order);
+    } catch (e) {
+      holdLookupError = e;
+    }
 
-      if (!tebraPatientId && email) {
-        // Best-effort search/create
-        try {
-          const found = await tebraService.searchPatients({ email });
-          const candidates = found?.patients || found?.Patients || [];
-          const match = candidates.find(p => (p.Email || p.email || '').toLowerCase() === email.toLowerCase());
-          const id = match?.ID || match?.Id || match?.id;
-          if (id) tebraPatientId = id;
-        } catch {}
-      }
+    // Tebra account and practice the order is billed to: the held slot's practice, otherwise the
+    // patient's state from the order address (unmapped states bill the default account)
+    const { tenantId, practiceId } = tebraTenantService.resolvePractice({
+      state: hold?.state || determineStateSync({}, { order }),
+      practiceId: hold?.practiceId
+    });
+
+    // Find the Tebra patient in that account (mapping, then a confident Tebra match); the chart is
+    // created by the orders/create webhook, not here
+    let tebraPatientId = null;
+    try {
+      const resolved = await patientIdentityService.resolve({
+        shopifyCustomerId,
+        email,
+        firstName: order.customer?.first_name,
+        lastName: order.customer?.last_name,
+        phone: order.customer?.phone
+      }, { tenantId });
+      tebraPatientId = resolved.patientId;
     } catch (e) {
-      console.warn('Billing webhook: mapping lookup failed:', e?.message || e);
+      console.warn('Billing webhook: patient lookup failed:', e?.message || e);
     }
 
     if (!tebraPatientId) {
@@ -109,56 +127,96 @@ exports.handleShopifyOrderPaid = async (req, res) => {
     }
 
     const lineItems = order.line_items || [];
-    const totalAmountCents = Math.round((parseFloat(order.total_price || order.current_total_price || order.total_price_set?.shop_money?.amount || 0)) * 100);
+
+    // Book the slot the patient held during checkout
+    let slotHoldResult = null;
+    try {
+      if (holdLookupError) throw holdLookupError;
+      if (hold) {
+        slotHoldResult = await slotHoldService.convertHold(hold, {
+          tebraPatientId,
+          shopifyOrderId,
+          appointmentName: lineItems[0]?.title
+        });
+        if (slotHoldResult.converted) {
+          console.log(`✅ [BILLING] Converted slot hold ${hold.id} to Tebra appointment ${slotHoldResult.tebraAppointmentId || '(no id returned)'} for order ${shopifyOrderId}`);
+        } else if (slotHoldResult.reason !== 'converting') {
+          // Paid but not booked (slot taken after the hold expired, hold released, ...): staff must book it by hand
+          console.warn(`⚠️ [BILLING] Slot hold ${hold.id} for order ${shopifyOrderId} was not converted (${slotHoldResult.reason}); recording for staff`);
+          const deadLetterQueue = require('../services/deadLetterQueue');
+          await deadLetterQueue.addToDeadLetterQueue({
+            webhookType: 'shopify_order_paid',
+            webhookUrl: '/webhooks/shopify/orders/paid',
+            payload: req.body,
+            headers: req.headers,
+            error: new Error(`Paid order ${shopifyOrderId} has no appointment: slot hold ${hold.id} was not converted (${slotHoldResult.reason})`)
+          });
+        }
+      }
+    } catch (e) {
+      // The hold is put back, so a retried webhook converts it (or books the slot if it is still free)
+      console.error('❌ [BILLING] Failed to convert slot hold to Tebra appointment:', e?.message || e);
+      await webhookRetryService.storeFailedWebhook({
+        webhookType: 'shopify_order_paid',
+        webhookUrl: '/webhooks/shopify/orders/paid',
+        payload: req.body,
+        headers: req.headers,
+        error: e
+      });
+    }
+
     const dateOfService = order.created_at ? new Date(order.created_at).toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10);
 
-    // Create actual charge in Tebra accounting
+    // Queue the charge and payment in Tebra accounting. They run through the Tebra write queue
+    // (retried with backoff, dead-lettered for admin replay) and are keyed by order, so a
+    // redelivered or replayed webhook does not post them twice. The payment waits for the charge.
+    // Their Tebra ids are only known here on a redelivery; otherwise the queue fills them in on the encounter.
     let tebraChargeId = null;
     let tebraPaymentId = null;
+    const tebraWrites = {};
     if (practiceId && tebraPatientId) {
-      try {
-        // Map line items to charge items (using generic CPT code 99000 for non-medical items)
-        // You may want to customize CPT codes based on product type
-        const chargeItems = lineItems.map(li => ({
-          cpt: '99000', // Generic CPT code - adjust based on your product mapping
-          units: parseInt(li.quantity || 1),
-          amountCents: Math.round(parseFloat(li.price || 0) * 100),
-        }));
-
-        // Create charge in Tebra
-        const chargeResult = await tebraBillingService.createCharge({
-          practiceId,
-          patientId: tebraPatientId,
-          dateOfService,
-          placeOfService: '10', // Telehealth
-          items: chargeItems,
-        });
-        tebraChargeId = chargeResult.chargeId;
-        console.log(`✅ [BILLING] Created Tebra charge ${tebraChargeId} for order ${shopifyOrderId}`);
-
-        // Post payment to Tebra
-        const paymentResult = await tebraBillingService.postPayment({
-          practiceId,
-          patientId: tebraPatientId,
-          amountCents: totalAmountCents,
-          referenceNumber: shopifyOrderId,
-          date: dateOfService,
-        });
-        tebraPaymentId = paymentResult.paymentId;
-        console.log(`✅ [BILLING] Posted Tebra payment ${tebraPaymentId} for order ${shopifyOrderId}`);
-      } catch (e) {
-        console.error('❌ [BILLING] Failed to create charge/payment in Tebra:', e?.message || e);
-        // Continue to create document as fallback
-      }
+      // A failure to record them (database down) fails the webhook so it is stored for retry
+      const tebraWriteQueue = require('../services/tebraWriteQueue');
+
+      // CPT code and modifier from the service catalog entry listing the line item's product (products
+      // the catalog does not list are posted under the generic 99000), priced at what was paid for the
+      // line after discounts rather than the catalog price, so the charge matches the payment
+      const chargeItems = lineItems.flatMap(li => {
+        const service = serviceCatalogService.forShopifyProduct(li.product_id);
+        return serviceCatalogService.paidChargeItems(service || { cptCode: DEFAULT_ORDER_CPT }, li.quantity, linePaidCents(li));
+      });
+      // The payment covers the charged lines; tax and shipping are not part of the patient's Tebra balance
+      const chargedCents = chargeItems.reduce((sum, item) => sum + item.amountCents * item.units, 0);
+
+      const charge = await tebraWriteQueue.enqueue('createEncounter', {
+        practiceId,
+        patientId: tebraPatientId,
+        dateOfService,
+        placeOfService: '10', // Telehealth
+        items: chargeItems,
+      }, { idempotencyKey: `shopify-order:${shopifyOrderId}:charge`, source: 'shopify_order_paid', tenantId });
+      tebraWrites.charge = charge.id;
+      tebraChargeId = charge.result?.chargeId || null;
+
+      const payment = await tebraWriteQueue.enqueue('createPayments', {
+        practiceId,
+        patientId: tebraPatientId,
+        amountCents: chargedCents,
+        referenceNumber: shopifyOrderId,
+        date: dateOfService,
+      }, { idempotencyKey: `shopify-order:${shopifyOrderId}:payment`, source: 'shopify_order_paid', tenantId, dependsOn: charge.id });
+      tebraWrites.payment = payment.id;
+      tebraPaymentId = payment.result?.paymentId || null;
+      console.log(`✅ [BILLING] Queued Tebra charge (command ${charge.id}) and payment (command ${payment.id}) for order ${shopifyOrderId}`);
     }
 
-    // Create billing document in Tebra for reconciliation.
-    // If charge+payment were successfully created, this is optional and can be skipped to avoid
-    // repeated SOAP CreateDocument faults in some Kareo accounts.
+    // Billing document in Tebra for reconciliation. Charge and payment are durable queued writes,
+    // so the document is only needed when they cannot be posted (no practice) or when requested.
     const alwaysCreateBillingDoc = String(process.env.TEBRA_ALWAYS_CREATE_BILLING_DOCUMENTS || 'false').toLowerCase() === 'true';
-    const shouldCreateBillingDoc = alwaysCreateBillingDoc || !tebraChargeId || !tebraPaymentId;
+    const shouldCreateBillingDoc = alwaysCreateBillingDoc || !tebraWrites.charge || !tebraWrites.payment;
     if (shouldCreateBillingDoc) {
       try {
+        const tebraWriteQueue = require('../services/tebraWriteQueue');
         const payload = {
           shopifyOrderId,
           shopifyCustomerId,
@@ -172,11 +230,10 @@ exports.handleShopifyOrderPaid = async (req, res) => {
             price: li.price,
             quantity: li.quantity,
           })),
-          tebraChargeId,
-          tebraPaymentId,
+          tebraWriteCommands: tebraWrites,
           dateOfService,
         };
-        await tebraService.createDocument({
+        const document = await tebraWriteQueue.enqueue('createDocument', {
           name: 'Billing - Shopify Order',
           fileName: `billing-${shopifyOrderId}.json`,
           label: 'Billing',
@@ -185,13 +242,14 @@ exports.handleShopifyOrderPaid = async (req, res) => {
           documentDate: dateOfService,
           fileContent: Buffer.from(JSON.stringify(payload)).toString('base64'),
           status: 'Completed',
-        });
-        console.log(`✅ [BILLING] Created billing document for order ${shopifyOrderId}`);
+        }, { idempotencyKey: `shopify-order:${shopifyOrderId}:billing-document`, source: 'shopify_order_paid', tenantId });
+        tebraWrites.billingDocument = document.id;
+        console.log(`✅ [BILLING] Queued billing document (command ${document.id}) for order ${shopifyOrderId}`);
       } catch (e) {
-        console.warn('⚠️ [BILLING] Failed to create billing document in Tebra:', e?.message || e);
+        console.warn('⚠️ [BILLING] Failed to queue billing document for Tebra:', e?.message || e);
       }
     } else {
-      console.log(`ℹ️ [BILLING] Skipping billing document (charge+payment created) for order ${shopifyOrderId}`);
+      console.log(`ℹ️ [BILLING] Skipping billing document (charge+payment queued) for order ${shopifyOrderId}`);
     }
 
     // Handle subscriptions - create subscription records for monthly products
@@ -242,11 +300,13 @@ exports.handleShopifyOrderPaid = async (req, res) => {
             shopifyProductId: lineItem.product_id ? String(lineItem.product_id) : null,
             shopifyVariantId: lineItem.variant_id ? String(lineItem.variant_id) : null,
             tebraPatientId,
+            customerEmail: email || null,
             amountCents: Math.round(parseFloat(lineItem.price || 0) * 100),
             currency: order.currency || 'USD',
             frequency: 'monthly', // Default to monthly
             status: 'active',
             nextBillingDate: getNextBillingDate('monthly'),
+            tenantId,
           });
           console.log(`✅ [BILLING] Created subscription for product ${lineItem.product_id} (purchase type: ${purchaseType || lineItemPurchaseType || 'from tags'})`);
         } else {
@@ -284,6 +344,9 @@ exports.handleShopifyOrderPaid = async (req, res) => {
         status: 'order_paid',
         tebraChargeId,
         tebraPaymentId,
+        tebraChargeCommandId: tebraWrites.charge || null,
+        tebraPaymentCommandId: tebraWrites.payment || null,
+        tenantId,
       });
     } catch (e) {
       console.warn('⚠️ [BILLING] Encounter persistence (order) failed:', e?.message || e);
@@ -294,30 +357,49 @@ exports.handleShopifyOrderPaid = async (req, res) => {
       success: true,
       tebraChargeId,
       tebraPaymentId,
+      tebraWriteCommands: tebraWrites,
       shopifyOrderId,
+      tebraAppointmentId: slotHoldResult?.tebraAppointmentId || null,
+      slotHoldStatus: slotHoldResult ? (slotHoldResult.converted ? 'converted' : slotHoldResult.reason) : null,
     });
   } catch (error) {
     console.error('❌ [BILLING] handleShopifyOrderPaid error:', error);
     metricsService.recordBusinessMetric('webhook_processed', { type: 'shopify_order_paid', status: 'error' });
     metricsService.recordError('webhook', 'shopify_order_paid_error');
     
-    // Store failed webhook for retry
-    try {
-      await webhookRetryService.storeFailedWebhook({
+    // Store failed webhook for retry; when Tebra rejected the order data itself (a retry would fail the
+    // same way) dead-letter it instead
+    const willRetry = !isTebraRequestError(error);
+    if (willRetry) {
+      try {
+        await webhookRetryService.storeFailedWebhook({
+          webhookType: 'shopify_order_paid',
+          webhookUrl: '/webhooks/shopify/orders/paid',
+          payload: req.body,
+          headers: req.headers,
+          error: error
+        });
+      } catch (retryError) {
+        console.error('[BILLING] Failed to store webhook for retry:', retryError);
+      }
+    } else {
+      // Keep it in the dead letter queue so staff can fix the data in Tebra and replay the order
+      console.warn(`⚠️ [BILLING] Not retrying order ${req.body?.id}: Tebra rejected the request (${error.code}); moved to dead letter queue`);
+      const deadLetterQueue = require('../services/deadLetterQueue');
+      await deadLetterQueue.addToDeadLetterQueue({
         webhookType: 'shopify_order_paid',
         webhookUrl: '/webhooks/shopify/orders/paid',
         payload: req.body,
         headers: req.headers,
         error: error
       });
-    } catch (retryError) {
-      console.error('[BILLING] Failed to store webhook for retry:', retryError);
     }
     
     // Return 200 to prevent Shopify from retrying immediately
     res.status(200).json({ 
       success: false, 
-      message: 'Order processing failed, will retry',
+      message: willRetry ? 'Order processing failed, will retry' : 'Order processing failed: rejected by Tebra',
+      code: error.code,
       error: error.message 
     });
   }
@@ -454,23 +536,9 @@ exports.handleShopifyOrderCreated = async (req, res) => {
     
     console.log(`✅ [STEP 4] [ORDER CREATED] State mapping found - State: ${state}, Practice ID: ${mapping.practiceId}, Provider ID: ${mapping.defaultProviderId}`);
 
-    // Get or create patient in Tebra
-    const customerPatientMapService = require('../services/customerPatientMapService');
-    let tebraPatientId = null;
-    
-    try {
-      if (shopifyCustomerId || email) {
-        const existing = await customerPatientMapService.getByShopifyIdOrEmail(shopifyCustomerId, email);
-        if (existing && existing.tebra_patient_id) {
-          tebraPatientId = existing.tebra_patient_id;
-          console.log(`✅ [STEP 4] [ORDER CREATED] Found existing patient in Tebra: Patient ID ${tebraPatientId} for customer ${shopifyCustomerId || email}`);
-        }
-      }
-    } catch (e) {
-      console.warn('[ORDER CREATED] Customer-patient mapping lookup failed:', e?.message);
-    }
+    // Tebra account of the state's practice: the patient and appointment are kept there
+    const tenantId = tebraTenantService.resolveTenantId({ state, practiceId: mapping.practiceId });
 
-    // Create patient if not found
     // Resolve best-available contact fields for guest + customer orders
     const contactFromProps = extractContactFromLineItemProperties(lineItems);
     const resolvedEmail = email || contactFromProps.email || null;
@@ -504,8 +572,22 @@ exports.handleShopifyOrderCreated = async (req, res) => {
       lineItemPropertyMatches: contactFromProps.matchedKeys
     });
 
-    if (!tebraPatientId && resolvedEmail) {
-      try {
+    // Get or create patient in that Tebra account (mapping, then a confident Tebra match, then a new chart)
+    let tebraPatientId = null;
+    const person = {
+      shopifyCustomerId,
+      email: resolvedEmail,
+      firstName: resolvedFirstName,
+      lastName: resolvedLastName,
+      phone: resolvedPhone
+    };
+    try {
+      if (!resolvedEmail) {
+        // No contact to open a chart with: only an existing patient of this customer is used
+        if (shopifyCustomerId) {
+          tebraPatientId = (await patientIdentityService.resolve(person, { tenantId })).patientId;
+        }
+      } else {
         const addressForPatient = shippingAddress || billingAddress || null;
         const patientPayload = {
           firstName: resolvedFirstName,
@@ -523,20 +605,25 @@ exports.handleShopifyOrderCreated = async (req, res) => {
             PracticeName: mapping.practiceName,
           }
         };
-        
-        const created = await tebraService.createPatient(patientPayload);
-        tebraPatientId = created.id || created.PatientID || created.patientId;
-        
-        // Store mapping
-        if (shopifyCustomerId || resolvedEmail) {
-          await customerPatientMapService.upsert(shopifyCustomerId, resolvedEmail, tebraPatientId);
+
+        // Keyed by order so a redelivered webhook reuses the patient created the first time
+        const patient = await patientIdentityService.findOrCreate(person, {
+          tenantId,
+          createPayload: patientPayload,
+          idempotencyKey: `shopify-order:${shopifyOrderId}:patient`,
+          source: 'shopify_order_created'
+        });
+        tebraPatientId = patient.id;
+
+        if (patient.created) {
+          console.log(`✅ [STEP 4] [ORDER CREATED] Created new patient in Tebra: Patient ID ${tebraPatientId}, Email: ${resolvedEmail}, Practice ID: ${mapping.practiceId}`);
+        } else {
+          console.log(`✅ [STEP 4] [ORDER CREATED] Found existing patient in Tebra: Patient ID ${tebraPatientId} for customer ${shopifyCustomerId || resolvedEmail} (${patient.matchedOn.join(', ')})`);
         }
-        
-        console.log(`✅ [STEP 4] [ORDER CREATED] Created new patient in Tebra: Patient ID ${tebraPatientId}, Email: ${resolvedEmail}, Practice ID: ${mapping.practiceId}`);
-      } catch (e) {
-        console.error('[ORDER CREATED] Failed to create patient:', e?.message || e);
-        // Continue - we'll try to create appointment anyway
       }
+    } catch (e) {
+      console.error('[ORDER CREATED] Failed to find or create patient:', e?.message || e);
+      // Continue - we'll try to create appointment anyway
     }
 
     if (!tebraPatientId) {
@@ -551,7 +638,7 @@ exports.handleShopifyOrderCreated = async (req, res) => {
     // Always upsert mapping when we have a patient id (keeps email/customerId linkage fresh)
     try {
       if (shopifyCustomerId || resolvedEmail) {
-        await customerPatientMapService.upsert(shopifyCustomerId, resolvedEmail, tebraPatientId);
+        await customerPatientMapService.upsert(shopifyCustomerId, resolvedEmail, tebraPatientId, tenantId);
         
         // If this is a guest order that now has a customerId (guest created account), link questionnaire completions
         if (shopifyCustomerId && resolvedEmail) {
@@ -569,6 +656,35 @@ exports.handleShopifyOrderCreated = async (req, res) => {
       console.warn('[ORDER CREATED] Failed to upsert customer-patient mapping:', e?.message || e);
     }
 
+    // Orders checked out with a slot hold are booked from the hold once paid (handleShopifyOrderPaid)
+    const slotHoldService = require('../services/slotHoldService');
+    let heldSlot = null;
+    try {
+      heldSlot = await slotHoldService.findHoldForOrder(order);
+    } catch (e) {
+      console.warn('[ORDER CREATED] Slot hold lookup failed, continuing with booking metadata:', e?.message || e);
+    }
+    if (heldSlot) {
+      const alreadyPaid = String(order.financial_status || '').toLowerCase() === 'paid';
+      let holdResult = null;
+      if (alreadyPaid) {
+        try {
+          holdResult = await slotHoldService.convertHold(heldSlot, { tebraPatientId, shopifyOrderId, appointmentName: lineItems[0]?.title });
+        } catch (e) {
+          console.error(`❌ [ORDER CREATED] Failed to convert slot hold ${heldSlot.id}; the order paid webhook will retry:`, e?.message || e);
+        }
+      }
+      console.log(`📋 [STEP 5] [ORDER CREATED] Order ${shopifyOrderId} has slot hold ${heldSlot.id} (${heldSlot.status}) - ${holdResult?.converted ? 'converted (order already paid)' : 'booking deferred to payment'}`);
+      return res.json({
+        success: true,
+        skipped: !holdResult?.converted,
+        reason: holdResult?.converted ? undefined : 'slot_hold_pending_payment',
+        holdId: heldSlot.id,
+        tebraAppointmentId: holdResult?.tebraAppointmentId || null,
+        patientId: tebraPatientId
+      });
+    }
+
     console.log(`📋 [STEP 5] [ORDER CREATED] Starting appointment extraction for order ${shopifyOrderId}, Patient ID: ${tebraPatientId}`);
 
     // Extract appointment details from order
@@ -645,7 +761,12 @@ exports.handleShopifyOrderCreated = async (req, res) => {
     let tebraAppointmentId = null;
     
     try {
-      tebraAppointment = await tebraService.createAppointment(appointmentData);
+      const tebraWriteQueue = require('../services/tebraWriteQueue');
+      tebraAppointment = await tebraWriteQueue.execute('createAppointment', appointmentData, {
+        idempotencyKey: `shopify-order:${shopifyOrderId}:appointment`,
+        source: 'shopify_order_created',
+        tenantId
+      });
       
       // Log the full response structure for debugging
       console.log(`🔍 [STEP 5] [DEBUG] Full createAppointment response:`, JSON.stringify(tebraAppointment, null, 2));
@@ -694,7 +815,7 @@ exports.handleShopifyOrderCreated = async (req, res) => {
     let tebraMeetingLink = null;
     if (tebraAppointmentId) {
       try {
-        const fetched = await tebraService.getAppointment(tebraAppointmentId);
+        const fetched = await tebraService.forTenant(tenantId).getAppointment(tebraAppointmentId);
         tebraMeetingLink = fetched?.meetingLink || fetched?.MeetingLink || null;
         console.log(`🔍 [ORDER CREATED] Tebra appointment meeting link ${tebraMeetingLink ? 'present' : 'not present'}`);
       } catch (e) {
@@ -715,17 +836,32 @@ exports.handleShopifyOrderCreated = async (req, res) => {
   } catch (error) {
     console.error('[ORDER CREATED] Error:', error);
     
-    // Store failed webhook for retry
-    try {
-      await webhookRetryService.storeFailedWebhook({
+    // Store failed webhook for retry; when Tebra rejected the order data itself (a retry would fail the
+    // same way) dead-letter it instead
+    const willRetry = !isTebraRequestError(error);
+    if (willRetry) {
+      try {
+        await webhookRetryService.storeFailedWebhook({
+          webhookType: 'shopify_order_created',
+          webhookUrl: '/webhooks/shopify/orders/created',
+          payload: req.body,
+          headers: req.headers,
+          error: error
+        });
+      } catch (retryError) {
+        console.error('[ORDER CREATED] Failed to store webhook for retry:', retryError);
+      }
+    } else {
+      // Keep it in the dead letter queue so staff can fix the data in Tebra and replay the order
+      console.warn(`⚠️ [ORDER CREATED] Not retrying order ${req.body?.id}: Tebra rejected the request (${error.code}); moved to dead letter queue`);
+      const deadLetterQueue = require('../services/deadLetterQueue');
+      await deadLetterQueue.addToDeadLetterQueue({
         webhookType: 'shopify_order_created',
         webhookUrl: '/webhooks/shopify/orders/created',
         payload: req.body,
         headers: req.headers,
         error: error
       });
-    } catch (retryError) {
-      console.error('[ORDER CREATED] Failed to store webhook for retry:', retryError);
     }
     
     // Return 200 to prevent Shopify from retrying immediately
@@ -734,7 +870,8 @@ exports.handleShopifyOrderCreated = async (req, res) => {
     metricsService.recordError('webhook', 'shopify_order_created_error');
     res.status(200).json({ 
       success: false, 
-      message: 'Order processing failed, will retry',
+      message: willRetry ? 'Order processing failed, will retry' : 'Order processing failed: rejected by Tebra',
+      code: error.code,
       error: error.message 
     });
   }
@@ -335,6 +335,18 @@ function getNextBillingDate(frequency) {
   return d.toISOString().slice(0, 10);
 }
 
+// Amount paid for a Shopify line item in cents, before tax: price times quantity less the
+// discounts allocated to it (order-level discounts are allocated to the lines too)
+function linePaidCents(lineItem) {
+  const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+  const gross = toCents(lineItem?.price) * (parseInt(lineItem?.quantity || 1) || 1);
+  const allocations = Array.isArray(lineItem?.discount_allocations) ? lineItem.discount_allocations : [];
+  const discount = allocations.length
+    ? allocations.reduce((sum, allocation) => sum + toCents(allocation.amount), 0)
+    : toCents(lineItem?.total_discount);
+  return Math.max(0, gross - discount);
+}
+
 module.exports = {
   extractCustomerIdFromOrder,
   safeTrim,
@@ -348,5 +360,6 @@ module.exports = {
   isSubscriptionProduct,
   SHOPIFY_CONFIG,
   makeShopifyAdminRequest,
-  getNextBillingDate
+  getNextBillingDate,
+  linePaidCents
 };
@@ -1,6 +1,14 @@
 // backend/src/controllers/billingSummaryController.js
 const { auth } = require('../middleware/shopifyTokenAuth');
 const billingSync = require('../services/billingSyncService');
+const serviceCatalogService = require('../services/serviceCatalogService');
+
+// Name, category and CPT code of the billable service a payment was for (null when not from the catalog)
+function describeService(serviceId) {
+  const service = serviceCatalogService.getService(serviceId);
+  if (!service) return serviceId ? { id: serviceId, name: null, category: null, cptCode: null } : null;
+  return { id: service.id, name: service.name, category: service.category, cptCode: service.cptCode };
+}
 
 exports.summary = async (req, res) => {
   try {
@@ -59,7 +67,8 @@ exports.summary = async (req, res) => {
     
     console.log('✅ [BILLING SUMMARY] Found', rows?.length || 0, 'billing records');
     
-    return res.json({ success: true, items: rows || [] });
+    const items = (rows || []).map(row => ({ ...row, service: describeService(row.service_id) }));
+    return res.json({ success: true, items });
   } catch (e) {
     console.error('❌ [BILLING SUMMARY] Error:', e);
     console.error('❌ [BILLING SUMMARY] Error stack:', e?.stack);
@@ -1,8 +1,8 @@
 // backend/src/controllers/newPatientFormController.js
 // Creates/ensures a Tebra patient and uploads a New Patient Intake form as a document to the chart.
 
-const getTebraService = require('../services/tebraServiceSingleton');
-const tebraService = getTebraService();
+const crypto = require('crypto');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
 const { auth } = require('../middleware/shopifyTokenAuth');
 
 const { ensureTebraPatient, base64Encode } = require('../utils/tebraPatientUtils');
@@ -23,6 +23,9 @@ exports.submit = async (req, res) => {
     // Ensure patient exists
     let patientId = null;
     try {
+      // The patient resolver also maps the Shopify customer (if authenticated) to the patient
+      const shopifyCustomerId = req.user?.customerId || req.user?.id || req.user?.sub || 
+                                (req.user?.payload?.customerId) || (req.user?.payload?.sub) || null;
       const ensured = await ensureTebraPatient({
         email: patient.email,
         firstName: patient.firstName,
@@ -32,22 +35,9 @@ exports.submit = async (req, res) => {
         gender: patient.gender,
         address: patient.address || {},
         practiceId: effectivePracticeId,
+        shopifyCustomerId,
       });
       patientId = ensured.id;
-      
-      // Store customer-patient mapping (like questionnaire does)
-      try {
-        const mapService = require('../services/customerPatientMapService');
-        const shopifyCustomerId = req.user?.customerId || req.user?.id || req.user?.sub || 
-                                  (req.user?.payload?.customerId) || (req.user?.payload?.sub) || null;
-        if (shopifyCustomerId || patient.email) {
-          await mapService.upsert(shopifyCustomerId, patient.email, patientId);
-          console.log(`✅ [NEW PATIENT FORM] Mapped patient ${patientId} to customer ${shopifyCustomerId || patient.email}`);
-        }
-      } catch (mapError) {
-        console.warn('⚠️ [NEW PATIENT FORM] Failed to store customer-patient mapping:', mapError?.message || mapError);
-        // Non-critical, continue
-      }
     } catch (e) {
       if (useMock) {
         patientId = `MOCK-PAT-${Date.now()}`;
@@ -66,10 +56,11 @@ exports.submit = async (req, res) => {
       form,
     };
 
-    // Upload as document
+    // Upload as document; keyed by patient and form contents so a resubmitted form is stored once
+    const formHash = crypto.createHash('sha256').update(JSON.stringify({ patient, form })).digest('hex').slice(0, 32);
     let docRes = null;
     try {
-      docRes = await tebraService.createDocument({
+      docRes = await tebraWriteQueue.execute('createDocument', {
         name: 'New Patient Form',
         label: 'Intake',
         status: 'Completed',
@@ -77,6 +68,9 @@ exports.submit = async (req, res) => {
         patientId,
         practiceId: effectivePracticeId,
         fileContent: b64(jsonDoc),
+      }, {
+        idempotencyKey: `new-patient-form:${effectivePracticeId || ''}:${patientId}:${formHash}`,
+        source: 'new_patient_form'
       });
     } catch (e) {
       if (useMock) {
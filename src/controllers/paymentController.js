@@ -1,5 +1,6 @@
 // backend/src/controllers/paymentController.js
 const Stripe = require('stripe');
+const serviceCatalogService = require('../services/serviceCatalogService');
 
 const stripeSecret = process.env.STRIPE_SECRET_KEY;
 const stripe = stripeSecret ? Stripe(stripeSecret) : null;
@@ -22,7 +23,7 @@ function getBaseUrl(req) {
   }
   
   // Priority 2: Try to detect from Referer or Origin header (development)
-  const referer = req.get('referer') || req.get('origin');
+  const referer = req && (req.get('referer') || req.get('origin'));
   if (referer) {
     try {
       const url = new URL(referer);
@@ -50,6 +51,63 @@ function getBaseUrl(req) {
   return fallback;
 }
 
+/**
+ * Create a one-off Stripe Checkout Session (card payment)
+ * Also used outside the payment routes, e.g. late cancellation and no-show fees (req is optional).
+ * amountInCents is the unit price. With STRIPE_AUTOMATIC_TAX=true, taxable items get Stripe Tax
+ * (price exclusive of tax, taxCode as the product tax code).
+ * @returns {Promise<Object>} Stripe Checkout Session (session.url is the payment link)
+ */
+async function createCheckoutSession({ req, serviceName, description, amountInCents, quantity = 1, currency = 'usd', customerEmail, metadata = {}, taxable = false, taxCode = null }) {
+  if (!stripe) {
+    throw new Error('Stripe not configured');
+  }
+
+  const baseUrl = getBaseUrl(req);
+  const successUrl = `${baseUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}`;
+  const cancelUrl = `${baseUrl}/payment-cancel`;
+
+  console.log('💳 [PAYMENT] Redirect URLs:', {
+    baseUrl,
+    successUrl,
+    cancelUrl,
+    referer: req?.get('referer'),
+    origin: req?.get('origin'),
+    host: req?.get('host')
+  });
+
+  const automaticTax = taxable && process.env.STRIPE_AUTOMATIC_TAX === 'true';
+
+  return stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: [{
+      price_data: {
+        currency: currency.toLowerCase(),
+        product_data: {
+          name: serviceName,
+          description: description || `Payment for ${serviceName}`,
+          tax_code: automaticTax && taxCode ? taxCode : undefined,
+        },
+        unit_amount: amountInCents,
+        tax_behavior: automaticTax ? 'exclusive' : undefined,
+      },
+      quantity,
+    }],
+    mode: 'payment',
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    customer_email: customerEmail || undefined, // Pre-fill customer email if available
+    metadata,
+    // Copy metadata to the PaymentIntent so charge/refund events can be traced back to the service
+    payment_intent_data: { metadata },
+    automatic_tax: automaticTax ? { enabled: true } : undefined,
+    // Allow promotion codes
+    allow_promotion_codes: true,
+  });
+}
+
+exports.createCheckoutSession = createCheckoutSession;
+
 exports.createPaymentLink = async (req, res) => {
   try {
     console.log('💳 [PAYMENT] Creating payment link request');
@@ -60,86 +118,55 @@ exports.createPaymentLink = async (req, res) => {
     }
 
     const user = req.user;
-    const { serviceName, description, amount, amountCents, currency = 'usd', serviceType } = req.body;
+    const { serviceId, quantity = 1 } = req.body;
 
-    // Validate required fields
-    if (!serviceName || (!amount && !amountCents)) {
+    // Prices come from the service catalog only; amounts in the request body are ignored
+    if (!serviceId) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Missing required fields: serviceName and amount/amountCents are required' 
+        message: 'Missing required field: serviceId',
+        code: 'SERVICE_ID_REQUIRED'
       });
     }
 
-    // Calculate amount in cents
-    let amountInCents;
-    if (amountCents) {
-      amountInCents = Math.round(Number(amountCents));
-    } else if (amount) {
-      // Handle both string and number formats
-      const priceNumber = typeof amount === 'string' 
-        ? Number(amount.replace(/[$,\s]/g, '').trim())
-        : Number(amount);
-      amountInCents = Math.round(priceNumber * 100);
-    } else {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Amount is required' 
-      });
-    }
-
-    if (amountInCents <= 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Amount must be greater than 0' 
-      });
+    let quote;
+    try {
+      quote = serviceCatalogService.quote(serviceId, quantity);
+    } catch (error) {
+      return res.status(error.status || 400).json({ success: false, message: error.message, code: error.code });
     }
+    const { service } = quote;
 
     console.log('💳 [PAYMENT] Creating checkout session:', {
-      serviceName,
-      amountInCents,
-      currency,
+      serviceId: service.id,
+      quantity: quote.quantity,
+      amountCents: quote.amountCents,
+      currency: quote.currency,
       customerEmail: user?.email
     });
 
-    const baseUrl = getBaseUrl(req);
-    const successUrl = `${baseUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}`;
-    const cancelUrl = `${baseUrl}/payment-cancel`;
-    
-    console.log('💳 [PAYMENT] Redirect URLs:', {
-      baseUrl,
-      successUrl,
-      cancelUrl,
-      referer: req.get('referer'),
-      origin: req.get('origin'),
-      host: req.get('host')
-    });
-
     // Create a Stripe Checkout Session
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [{
-        price_data: {
-          currency: currency.toLowerCase(),
-          product_data: {
-            name: serviceName,
-            description: description || `Payment for ${serviceName}`,
-          },
-          unit_amount: amountInCents,
-        },
-        quantity: 1,
-      }],
-      mode: 'payment',
-      success_url: successUrl,
-      cancel_url: cancelUrl,
-      customer_email: user?.email || undefined, // Pre-fill customer email if available
+    const session = await createCheckoutSession({
+      req,
+      serviceName: service.name,
+      description: service.description,
+      amountInCents: quote.unitAmountCents,
+      quantity: quote.quantity,
+      currency: quote.currency,
+      customerEmail: user?.email,
+      taxable: service.taxable,
+      taxCode: service.stripeTaxCode,
       metadata: {
         userId: user?.id || user?.email || 'anonymous',
         customerEmail: user?.email || '',
-        serviceName: serviceName,
-        serviceType: serviceType || 'consultation',
-      },
-      // Allow promotion codes
-      allow_promotion_codes: true,
+        serviceId: service.id,
+        serviceName: service.name,
+        serviceType: service.category,
+        quantity: String(quote.quantity),
+        cptCode: service.cptCode,
+        // Patient's state picks the Tebra account the payment is posted to
+        state: req.body.state ? String(req.body.state).trim().toUpperCase() : '',
+      }
     });
 
     console.log('✅ [PAYMENT] Checkout session created:', session.id);
@@ -148,7 +175,10 @@ exports.createPaymentLink = async (req, res) => {
       success: true,
       sessionId: session.id,
       paymentLink: session.url,
-      checkoutUrl: session.url
+      checkoutUrl: session.url,
+      serviceId: service.id,
+      amountCents: quote.amountCents,
+      currency: quote.currency
     });
   } catch (error) {
     console.error('❌ [PAYMENT] Error creating payment link:', error);
@@ -159,3 +189,17 @@ exports.createPaymentLink = async (req, res) => {
     });
   }
 };
+
+// Active billable services and their prices, for the storefront (checkout sends the serviceId)
+exports.listServices = async (req, res) => {
+  const services = serviceCatalogService.listServices().map(service => ({
+    id: service.id,
+    name: service.name,
+    description: service.description,
+    category: service.category,
+    priceCents: service.priceCents,
+    currency: service.currency,
+    taxable: service.taxable
+  }));
+  return res.json({ success: true, services });
+};
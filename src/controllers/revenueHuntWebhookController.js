@@ -1,10 +1,11 @@
 const tebraService = require('../services/tebraService');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
 const providerMapping = require('../config/providerMapping');
 const googleMeetService = require('../services/googleMeetService');
 const notificationService = require('../services/notificationService');
 const pharmacyService = require('../services/pharmacyService');
 const qualiphyService = require('../services/qualiphyService');
-const customerPatientMapService = require('../services/customerPatientMapService');
+const patientIdentityService = require('../services/patientIdentityService');
 const shopifyUserService = require('../services/shopifyUserService');
 const questionnaireCompletionService = require('../services/questionnaireCompletionService');
 const metricsService = require('../services/metricsService');
@@ -56,7 +57,7 @@ async function createQuestionnaireDocument(patientId, mapping, payload) {
     // For now, attach JSON string as file content (base64)
     fileContent: Buffer.from(JSON.stringify(payload)).toString('base64'),
   };
-  return await tebraService.createDocument(documentData);
+  return await tebraWriteQueue.enqueue('createDocument', documentData, { source: 'revenuehunt_webhook' });
 }
 
 async function notifyDoctor(mapping, payload, patientId) {
@@ -185,7 +186,11 @@ async function createTelemedicineAppointment(patientId, mapping, scheduledTime)
       isRecurring: false
     };
 
-    const appointment = await tebraService.createAppointment(appointmentData);
+    // Keyed by patient, practice and start so a retried request does not book the slot twice
+    const appointment = await tebraWriteQueue.execute('createAppointment', appointmentData, {
+      idempotencyKey: `telemed-appointment:${mapping.practiceId}:${patientId}:${new Date(scheduledTime).toISOString()}`,
+      source: 'revenuehunt_telemedicine'
+    });
     
     return {
       appointment,
@@ -284,40 +289,19 @@ exports.handleRevenueHunt = async (req, res) => {
     // 3) Create or update patient in Tebra
     const patientPayload = buildPatientPayload(payload, mapping);
 
-    // Try to find existing patient by email or customer mapping
-    let patientId;
-    try {
-      // First check customer-patient mapping
-      if (customerId || email) {
-        const mapping = await customerPatientMapService.getByShopifyIdOrEmail(customerId, email);
-        if (mapping && mapping.tebra_patient_id) {
-          patientId = mapping.tebra_patient_id;
-        }
-      }
-
-      // If not found in mapping, search Tebra by email
-      if (!patientId && email) {
-        try {
-          const existing = await tebraService.getPatients({
-            PracticeName: mapping.practiceName,
-          });
-          const match = (existing.patients || []).find(p => 
-            p.email && patientPayload.email && 
-            p.email.toLowerCase() === patientPayload.email.toLowerCase()
-          );
-          if (match) patientId = match.id;
-        } catch (searchErr) {
-          console.warn('Patient search error:', searchErr?.message);
-        }
-      }
-    } catch (mappingErr) {
-      console.warn('Customer-patient mapping lookup error:', mappingErr?.message);
-    }
-
-    // Create new patient if not found
-    if (!patientId) {
-      const created = await tebraService.createPatient(patientPayload);
-      patientId = created.id || created.PatientID || created.patientId;
+    // Find the existing patient (customer mapping, then Tebra match) or create one; the resolver
+    // also stores the customer-patient mapping
+    const ensured = await patientIdentityService.findOrCreate({
+      shopifyCustomerId: customerId,
+      email,
+      firstName: patientPayload.firstName,
+      lastName: patientPayload.lastName,
+      dateOfBirth: patientPayload.dateOfBirth,
+      phone: patientPayload.mobilePhone,
+    }, { state, practiceId: mapping.practiceId, createPayload: patientPayload });
+    const patientId = ensured.id;
+
+    if (ensured.created) {
       console.log(`✅ [REVENUEHUNT] Created new patient in Tebra: ${patientId}`);
     } else {
       await tebraService.updatePatient(patientId, { 
@@ -327,19 +311,9 @@ exports.handleRevenueHunt = async (req, res) => {
       console.log(`✅ [REVENUEHUNT] Updated existing patient in Tebra: ${patientId}`);
     }
 
-    // Store customer-patient mapping
-    if (customerId || email) {
-      try {
-        await customerPatientMapService.upsert(customerId, email, patientId);
-        console.log(`✅ [REVENUEHUNT] Stored customer-patient mapping: ${customerId || email} -> ${patientId}`);
-      } catch (mapErr) {
-        console.warn('Failed to store customer-patient mapping:', mapErr?.message);
-      }
-    }
-
     // 4) Store questionnaire as a consultation document in Tebra patient chart
     const questionnaireDoc = await createQuestionnaireDocument(patientId, mapping, payload);
-    console.log(`✅ [REVENUEHUNT] Stored questionnaire as document in patient chart: ${questionnaireDoc?.id || 'Created'}`);
+    console.log(`✅ [REVENUEHUNT] Queued questionnaire document for patient chart (command ${questionnaireDoc.id})`);
 
     // 5) Record questionnaire completion in registry (for secure validation)
     try {
@@ -405,8 +379,8 @@ exports.handleRevenueHunt = async (req, res) => {
             practiceId: mapping.practiceId,
             fileContent: Buffer.from(JSON.stringify(treatment)).toString('base64'),
           };
-          await tebraService.createDocument(rxDocData);
-          console.log(`✅ [REVENUEHUNT] Created prescription document in patient chart`);
+          await tebraWriteQueue.enqueue('createDocument', rxDocData, { source: 'revenuehunt_webhook' });
+          console.log(`✅ [REVENUEHUNT] Queued prescription document for patient chart`);
 
           // Submit prescription to pharmacy via eRx
           prescriptionResult = await pharmacyService.submitPrescription({
@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const axios = require('axios');
 const tebraService = require('../services/tebraService');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
 const providerMapping = require('../config/providerMapping');
 
 // Shopify API configuration
@@ -262,33 +263,21 @@ exports.handleShopifyAppointment = async (req, res) => {
     let patientId = null;
     try {
       const patientPayload = buildPatientPayload(customer, mapping);
-      const customerPatientMapService = require('../services/customerPatientMapService');
+      const patientIdentityService = require('../services/patientIdentityService');
       const googleMeetService = require('../services/googleMeetService');
       
-      // Try to find existing patient by email or customer mapping
-      try {
-        const mapping = await customerPatientMapService.getByShopifyIdOrEmail(shopifyCustomer.id, customer.email);
-        if (mapping && mapping.tebra_patient_id) {
-          patientId = mapping.tebra_patient_id;
-        }
-      } catch (_) {}
-
-      if (!patientId) {
-        try {
-          const existing = await tebraService.getPatients({
-            PracticeName: mapping.practiceName,
-          });
-          const match = (existing.patients || []).find(p => 
-            p.email && patientPayload.email && 
-            p.email.toLowerCase() === patientPayload.email.toLowerCase()
-          );
-          if (match) patientId = match.id;
-        } catch (_) {}
-      }
-
-      if (!patientId) {
-        const created = await tebraService.createPatient(patientPayload);
-        patientId = created.id || created.PatientID || created.patientId;
+      // Find the existing patient (customer mapping, then Tebra match) or create one; the resolver
+      // also stores the customer-patient mapping
+      const ensured = await patientIdentityService.findOrCreate({
+        shopifyCustomerId: shopifyCustomer.id,
+        email: customer.email,
+        firstName: patientPayload.firstName,
+        lastName: patientPayload.lastName,
+        phone: patientPayload.mobilePhone,
+      }, { state, practiceId: mapping.practiceId, createPayload: patientPayload });
+      patientId = ensured.id;
+
+      if (ensured.created) {
         console.log(`✅ [SHOPIFY APPOINTMENT] Created new patient in Tebra: ${patientId}`);
       } else {
         await tebraService.updatePatient(patientId, { 
@@ -298,15 +287,6 @@ exports.handleShopifyAppointment = async (req, res) => {
         console.log(`✅ [SHOPIFY APPOINTMENT] Updated existing patient in Tebra: ${patientId}`);
       }
 
-      // Store customer-patient mapping
-      if (shopifyCustomer.id && customer.email) {
-        try {
-          await customerPatientMapService.upsert(shopifyCustomer.id, customer.email, patientId);
-        } catch (mapErr) {
-          console.warn('Failed to store customer-patient mapping:', mapErr?.message);
-        }
-      }
-
       // Store quiz results as a document in Tebra
       if (quiz_result) {
         const fileName = `questionnaire-${patientId}-${Date.now()}.json`;
@@ -321,8 +301,8 @@ exports.handleShopifyAppointment = async (req, res) => {
           practiceId: mapping.practiceId,
           fileContent: Buffer.from(JSON.stringify(quiz_result)).toString('base64'),
         };
-        await tebraService.createDocument(documentData);
-        console.log(`✅ [SHOPIFY APPOINTMENT] Stored questionnaire in patient chart`);
+        await tebraWriteQueue.enqueue('createDocument', documentData, { source: 'shopify_appointment' });
+        console.log(`✅ [SHOPIFY APPOINTMENT] Queued questionnaire for patient chart`);
       }
 
       // Create appointment in Tebra with telemedicine link
@@ -358,7 +338,11 @@ exports.handleShopifyAppointment = async (req, res) => {
             isRecurring: false
           };
 
-          const tebraAppointment = await tebraService.createAppointment(appointmentData);
+          // Keyed by customer and start so a resubmitted booking does not book the slot twice
+          const tebraAppointment = await tebraWriteQueue.execute('createAppointment', appointmentData, {
+            idempotencyKey: `shopify-appointment:${shopifyCustomer.id}:${startTime.toISOString()}`,
+            source: 'shopify_appointment'
+          });
           console.log(`✅ [SHOPIFY APPOINTMENT] ${useTentative ? 'Booking request' : 'Appointment'} created in Tebra: ${tebraAppointment.id || tebraAppointment.ID}`);
 
           appointment.tebraAppointmentId = tebraAppointment.id || tebraAppointment.ID;
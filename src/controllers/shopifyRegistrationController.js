@@ -1,6 +1,7 @@
 // backend/src/controllers/shopifyRegistrationController.js
 const { getFormattedLocation } = require('../utils/locationUtils');
 const tebraService = require('../services/tebraService');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
 const shopifyUserService = require('../services/shopifyUserService');
 const guestAccountLinkingService = require('../services/guestAccountLinkingService');
 const customerPatientMapService = require('../services/customerPatientMapService');
@@ -54,10 +55,13 @@ exports.shopifyRegister = async (req, res) => {
       });
     }
 
+    // Patient chart lives in the Tebra account of the patient's state
+    const tebra = tebraService.forCall({ state });
+
     // Check if guest data exists (questionnaire completions, patient records)
     let existingPatientId = null;
     try {
-      const existingMapping = await customerPatientMapService.getByShopifyIdOrEmail(null, email);
+      const existingMapping = await customerPatientMapService.getByShopifyIdOrEmail(null, email, tebra.tenantId);
       if (existingMapping && existingMapping.tebra_patient_id) {
         existingPatientId = existingMapping.tebra_patient_id;
         console.log(`✅ [REGISTRATION] Found existing patient record for guest: ${existingPatientId}`);
@@ -75,14 +79,18 @@ exports.shopifyRegister = async (req, res) => {
         tebraData = { id: existingPatientId };
         console.log(`✅ [REGISTRATION] Using existing Tebra patient: ${existingPatientId}`);
       } else {
-        // Create new patient
-        tebraData = await tebraService.createPatient({
+        // Create new patient; keyed by customer so a retried registration does not open a second chart
+        tebraData = await tebraWriteQueue.execute('createPatient', {
           firstName,
           lastName,
           email,
           phone: phone || '',
           state,
           role: role || 'patient'
+        }, {
+          idempotencyKey: `shopify-customer:${tebra.tenantId}:${shopifyCustomer.id}:patient`,
+          source: 'shopify_registration',
+          tenantId: tebra.tenantId
         });
         console.log(`✅ [REGISTRATION] Created new Tebra patient: ${tebraData.id}`);
       }
@@ -94,7 +102,7 @@ exports.shopifyRegister = async (req, res) => {
       });
       
       // Store/update customer-patient mapping
-      await customerPatientMapService.upsert(shopifyCustomer.id, email, tebraData.id);
+      await customerPatientMapService.upsert(shopifyCustomer.id, email, tebraData.id, tebra.tenantId);
       
       tebraPatient = {
         id: tebraData.id,
@@ -259,10 +259,20 @@ class ShopifyStorefrontAuthController {
       let tebraPatientId = null;
       try {
         const mapService = require('../services/customerPatientMapService');
+        const tebraService = require('../services/tebraService');
         const autoSyncTebra = process.env.AUTO_SYNC_TEBRA !== 'false';
+        const patientPayload = {
+          email: customer.email,
+          firstName: customer.firstName,
+          lastName: customer.lastName,
+          phone: customer.phone,
+          state: customer?.defaultAddress?.province || undefined,
+        };
+        // Patient chart lives in the Tebra account of the customer's state
+        const tebra = tebraService.forCall(patientPayload);
         
         // Check for existing mapping
-        const existing = await mapService.getByShopifyIdOrEmail(customer.id, customer.email);
+        const existing = await mapService.getByShopifyIdOrEmail(customer.id, customer.email, tebra.tenantId);
         
         // Only use existing mapping if AUTO_SYNC_TEBRA is enabled
         // If AUTO_SYNC_TEBRA=false, we want to force registration, so ignore existing mappings
@@ -274,7 +284,7 @@ class ShopifyStorefrontAuthController {
           if (existing && existing.tebra_patient_id && !autoSyncTebra) {
             console.log(`   ⚠️ [LOGIN] Ignoring existing mapping (AUTO_SYNC_TEBRA=false) - forcing registration`);
             try {
-              await mapService.deleteByShopifyIdOrEmail(customer.id, customer.email);
+              await mapService.deleteByShopifyIdOrEmail(customer.id, customer.email, tebra.tenantId);
               console.log(`   🗑️ [LOGIN] Cleared existing mapping (AUTO_SYNC_TEBRA=false)`);
             } catch (clearError) {
               console.warn('   ⚠️ [LOGIN] Failed to clear mapping:', clearError?.message);
@@ -283,15 +293,13 @@ class ShopifyStorefrontAuthController {
           
           // Only create new patient if AUTO_SYNC_TEBRA is enabled
           if (autoSyncTebra) {
-            const tebraService = require('../services/tebraService');
-            const patientPayload = {
-              email: customer.email,
-              firstName: customer.firstName,
-              lastName: customer.lastName,
-              phone: customer.phone,
-              state: customer?.defaultAddress?.province || undefined,
-            };
-            const tebraResp = await tebraService.createPatient(patientPayload);
+            // Keyed by customer: repeated logins (and registration) reuse the chart created first
+            const tebraWriteQueue = require('../services/tebraWriteQueue');
+            const tebraResp = await tebraWriteQueue.execute('createPatient', patientPayload, {
+              idempotencyKey: `shopify-customer:${tebra.tenantId}:${customer.id}:patient`,
+              source: 'storefront_login',
+              tenantId: tebra.tenantId
+            });
             if (tebraResp && tebraResp.id) {
               tebraPatientId = tebraResp.id;
               console.log(`   ✅ [LOGIN] Created new patient: ${tebraPatientId}`);
@@ -301,7 +309,7 @@ class ShopifyStorefrontAuthController {
           }
           
           // Update mapping (will be null if AUTO_SYNC_TEBRA=false)
-          await mapService.upsert(customer.id, customer.email, tebraPatientId);
+          await mapService.upsert(customer.id, customer.email, tebraPatientId, tebra.tenantId);
         }
       } catch (e) {
         console.warn('Tebra ensure mapping on login failed:', e?.message || e);
@@ -537,11 +545,14 @@ class ShopifyStorefrontAuthController {
 
       console.log(`✅ [SHOPIFY REGISTER] Successful registration for ${customer.email}`);
 
+      // Patient chart lives in the Tebra account of the patient's state
+      const tebra = require('../services/tebraService').forCall({ state: patientState });
+
       // Check if guest data exists (questionnaire completions, patient records)
       let existingPatientId = null;
       try {
         const customerPatientMapService = require('../services/customerPatientMapService');
-        const existingMapping = await customerPatientMapService.getByShopifyIdOrEmail(null, customer.email);
+        const existingMapping = await customerPatientMapService.getByShopifyIdOrEmail(null, customer.email, tebra.tenantId);
         if (existingMapping && existingMapping.tebra_patient_id) {
           existingPatientId = existingMapping.tebra_patient_id;
           console.log(`✅ [STOREFRONT REGISTER] Found existing patient record for guest: ${existingPatientId}`);
@@ -554,7 +565,6 @@ class ShopifyStorefrontAuthController {
       let tebraPatientId = null;
       try {
         // Build minimal demographics for Tebra from Shopify data
-        const tebraService = require('../services/tebraService');
         const customerPatientMapService = require('../services/customerPatientMapService');
         
         if (existingPatientId) {
@@ -578,7 +588,13 @@ class ShopifyStorefrontAuthController {
             state: patientPayload.state
           });
           
-          const tebraResp = await tebraService.createPatient(patientPayload);
+          // Keyed by customer so a retried registration does not open a second chart
+          const tebraWriteQueue = require('../services/tebraWriteQueue');
+          const tebraResp = await tebraWriteQueue.execute('createPatient', patientPayload, {
+            idempotencyKey: `shopify-customer:${tebra.tenantId}:${customer.id}:patient`,
+            source: 'storefront_register',
+            tenantId: tebra.tenantId
+          });
           if (tebraResp && tebraResp.id) {
             tebraPatientId = tebraResp.id;
             console.log(`✅ [STOREFRONT REGISTER] Created new Tebra patient: ${tebraPatientId}`);
@@ -589,7 +605,7 @@ class ShopifyStorefrontAuthController {
         
         // Store/update customer-patient mapping
         if (tebraPatientId) {
-          await customerPatientMapService.upsert(customer.id, customer.email, tebraPatientId);
+          await customerPatientMapService.upsert(customer.id, customer.email, tebraPatientId, tebra.tenantId);
         }
       } catch (e) {
         console.warn('[STOREFRONT REGISTER] Tebra patient creation/update failed:', e?.message || e);
@@ -1,6 +1,12 @@
 // backend/src/controllers/stripeWebhookController.js
 const Stripe = require('stripe');
-const tebraService = require('../services/tebraService');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
+const tebraTenantService = require('../services/tebraTenantService');
+const customerPatientMapService = require('../services/customerPatientMapService');
+const patientIdentityService = require('../services/patientIdentityService');
+const serviceCatalogService = require('../services/serviceCatalogService');
+const stripeBillingEventService = require('../services/stripeBillingEventService');
+const subscriptionBillingService = require('../services/subscriptionBillingService');
 
 const stripeSecret = process.env.STRIPE_SECRET_KEY;
 const stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
@@ -22,29 +28,30 @@ function getEmailFromEvent(event) {
   }
 }
 
-async function findOrCreatePatientByEmail(email) {
-  if (!email) return null;
-  try {
-    if (tebraService.searchPatients) {
-      const result = await tebraService.searchPatients({ email });
-      const arr = result?.patients || result?.Patients || [];
-      const match = arr.find(p => (p.Email || p.email || '').toLowerCase() === email.toLowerCase());
-      if (match) return match.ID || match.Id || match.id;
-    }
-  } catch (e) {
-    console.warn('StripeWebhook: searchPatients failed:', e?.message || e);
+// Tebra account and practice a payment is posted to: the checkout's metadata, otherwise the
+// account the paying customer is already mapped in, otherwise the default account
+async function resolvePaymentPractice(metadata = {}, email) {
+  let tenantId = metadata.tenantId;
+  if (!tenantId && !metadata.state && !metadata.practiceId && email) {
+    const mapping = await customerPatientMapService.getByShopifyIdOrEmail(null, email).catch(() => null);
+    tenantId = mapping?.tenant_id;
   }
-  // As last resort, create a minimal patient (unknown name)
+  return tebraTenantService.resolvePractice({ tenantId, state: metadata.state, practiceId: metadata.practiceId });
+}
+
+// Patient in that account matched on the payer's email; as last resort a minimal patient (unknown name)
+async function findOrCreatePatientByEmail(email, tenantId) {
+  if (!email) return null;
   try {
-    const created = await tebraService.createPatient({ email, firstName: 'Unknown', lastName: 'Unknown' });
-    return created?.id || created?.PatientID || created?.patientId || null;
+    const patient = await patientIdentityService.findOrCreate({ email }, { tenantId });
+    return patient.id;
   } catch (e) {
-    console.warn('StripeWebhook: failed to create patient:', e?.message || e);
+    console.warn('StripeWebhook: failed to find or create patient:', e?.message || e);
     return null;
   }
 }
 
-async function createPaymentDocument({ patientId, practiceId, payload }) {
+async function createPaymentDocument({ patientId, practiceId, tenantId, payload }) {
   const doc = {
     name: 'Payment Receipt',
     fileName: `payment-${payload.id || Date.now()}.json`,
@@ -56,7 +63,11 @@ async function createPaymentDocument({ patientId, practiceId, payload }) {
     practiceId,
     fileContent: Buffer.from(JSON.stringify(payload)).toString('base64'),
   };
-  return tebraService.createDocument(doc);
+  return tebraWriteQueue.enqueue('createDocument', doc, {
+    idempotencyKey: payload.id ? `stripe-payment:${payload.id}:receipt-document` : undefined,
+    source: 'stripe_webhook',
+    tenantId,
+  });
 }
 
 // Simple idempotency cache for processed Stripe event IDs (replace with persistent store if needed)
@@ -95,12 +106,40 @@ exports.handleStripe = async (req, res) => {
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
+    // Refunds, disputes, failed payments, invoices and subscription events
+    if (stripeBillingEventService.handles(event.type)) {
+      if (isProcessed(event.id)) {
+        return res.json({ received: true, duplicate: true });
+      }
+      // Errors reach the outer catch (500) so Stripe redelivers; Tebra writes are keyed by Stripe ids
+      const result = await stripeBillingEventService.handle(event);
+      markProcessed(event.id);
+      return res.json({ received: true, type: event.type, ...result });
+    }
+
+    // Subscription renewals charged off-session and cards saved for them (booked by subscriptionBillingService)
+    if (subscriptionBillingService.handles(event)) {
+      if (isProcessed(event.id)) {
+        return res.json({ received: true, duplicate: true });
+      }
+      const result = await subscriptionBillingService.handleEvent(event);
+      markProcessed(event.id);
+      return res.json({ received: true, type: event.type, ...result });
+    }
+
     // Handle only relevant events
     const handled = ['checkout.session.completed', 'payment_intent.succeeded'];
     if (!handled.includes(event.type)) {
       console.log('ℹ️ [STRIPE WEBHOOK] Ignoring event type:', event.type);
       return res.json({ received: true, ignored: true, type: event.type });
     }
+
+    // Subscription payments are booked from invoice.paid
+    const paidObject = event.data.object || {};
+    if (paidObject.invoice || paidObject.mode === 'subscription') {
+      console.log('ℹ️ [STRIPE WEBHOOK] Subscription payment, handled by invoice.paid:', event.id);
+      return res.json({ received: true, ignored: true, type: event.type, reason: 'invoice' });
+    }
     
     console.log('📋 [STRIPE WEBHOOK] Processing event:', event.type);
 
@@ -116,21 +155,44 @@ exports.handleStripe = async (req, res) => {
       return res.json({ received: true, duplicate: true });
     }
 
+    // Late cancellation / no-show fee paid through its payment link. The fee is not a visit:
+    // mark it paid and stop, so it is not posted to Tebra as a 99213 encounter. The payment
+    // intent carries the same metadata, so its payment_intent.succeeded stops here too.
+    const feeEventId = event.data.object?.metadata?.appointmentPolicyEventId;
+    if (feeEventId) {
+      let feePaid = false;
+      if (event.type === 'checkout.session.completed') {
+        // Errors reach the outer catch (500) so Stripe redelivers
+        const appointmentPolicyService = require('../services/appointmentPolicyService');
+        feePaid = await appointmentPolicyService.markFeePaid(feeEventId, event.data.object.id);
+      }
+      markProcessed(event.id);
+      return res.json({ received: true, type: event.type, appointmentPolicyEventId: feeEventId, feePaid });
+    }
+
     const email = getEmailFromEvent(event);
     console.log('📧 [STRIPE WEBHOOK] Extracted email:', email);
     
-    const patientId = await findOrCreatePatientByEmail(email);
-    console.log('👤 [STRIPE WEBHOOK] Patient ID:', patientId || 'not found');
-
-    const practiceId = process.env.TEBRA_PRACTICE_ID || undefined;
     const obj = event.data.object || {};
+    const { tenantId, practiceId } = await resolvePaymentPractice(obj.metadata || {}, email);
+    const patientId = await findOrCreatePatientByEmail(email, tenantId);
+    console.log('👤 [STRIPE WEBHOOK] Patient ID:', patientId || 'not found', 'tenant:', tenantId);
+
+    // Checkout sessions point at their payment intent; refunds and disputes are matched on it
+    const paymentIntentId = (obj.object === 'checkout.session' ? obj.payment_intent : obj.id) || null;
+    // checkout.session.completed and payment_intent.succeeded describe the same payment: key Tebra writes by it
+    const writeKey = paymentIntentId ? `stripe-payment:${paymentIntentId}` : `stripe-event:${event.id}`;
     const amountCents = (obj.amount_total ?? obj.amount ?? 0) | 0;
     console.log('💰 [STRIPE WEBHOOK] Payment amount:', amountCents / 100, obj.currency || 'usd');
 
+    // Checkout sessions from /api/payments/create-checkout carry the catalog service id
+    const service = serviceCatalogService.getService(obj.metadata?.serviceId);
+    const quantity = parseInt(obj.metadata?.quantity, 10) || 1;
+    const serviceId = service ? service.id : null;
+
     // Persist basic record early - use payment intent ID for deduplication
     try {
       const billingSync = require('../services/billingSyncService');
-      const paymentIntentId = obj.id || obj.payment_intent || null;
       
       // Use upsertByPaymentIntentId to prevent duplicates
       if (paymentIntentId) {
@@ -139,8 +201,10 @@ exports.handleStripe = async (req, res) => {
           stripe_customer_email: email || null,
           tebra_patient_id: patientId || null,
           tebra_practice_id: practiceId || null,
+          tenant_id: tenantId,
           amount_cents: amountCents,
           currency: obj.currency || 'usd',
+          service_id: serviceId,
           status: 'received'
         });
         console.log('✅ [STRIPE WEBHOOK] Initial billing record saved/updated by payment intent ID');
@@ -151,8 +215,10 @@ exports.handleStripe = async (req, res) => {
           stripe_customer_email: email || null,
           tebra_patient_id: patientId || null,
           tebra_practice_id: practiceId || null,
+          tenant_id: tenantId,
           amount_cents: amountCents,
           currency: obj.currency || 'usd',
+          service_id: serviceId,
           status: 'received'
         });
         console.log('✅ [STRIPE WEBHOOK] Initial billing record saved by event ID (no payment intent ID)');
@@ -170,7 +236,7 @@ exports.handleStripe = async (req, res) => {
     // Always store a receipt document in Tebra for audit
     try {
       console.log('📄 [STRIPE WEBHOOK] Creating payment document in Tebra...');
-      await createPaymentDocument({ patientId, practiceId, payload: obj });
+      await createPaymentDocument({ patientId, practiceId, tenantId, payload: obj });
       console.log('✅ [STRIPE WEBHOOK] Payment document created');
     } catch (e) {
       console.warn('⚠️ [STRIPE WEBHOOK] Failed to create payment document:', e?.message || e);
@@ -185,32 +251,38 @@ exports.handleStripe = async (req, res) => {
     
     console.log('💳 [STRIPE WEBHOOK] Starting Tebra billing sync (mock:', useMock, ')...');
     try {
-      const { createCharge, postPayment } = require('../services/tebraBillingService');
-
-      // Default CPT mapping: bill as 99213 with modifier 95 for telemedicine
-      const items = [ { cpt: '99213', modifier: '95', units: 1, amountCents: amountCents } ];
+      // Sales tax collected by Stripe is not part of the patient's Tebra balance
+      const taxCents = (obj.total_details?.amount_tax ?? 0) | 0;
+      const paidCents = amountCents - taxCents;
+      // CPT code and modifier from the service catalog, priced at what was paid (the catalog price may
+      // have changed since checkout, or a discount applied) so the charge and payment leave no balance;
+      // payments made outside the catalog keep the default mapping (99213 with modifier 95 for telemedicine)
+      const items = service
+        ? serviceCatalogService.paidChargeItems(service, quantity, paidCents)
+        : [ { cpt: '99213', modifier: '95', units: 1, amountCents: paidCents } ];
 
       if (!useMock) {
         try {
           console.log('📋 [STRIPE WEBHOOK] Creating charge in Tebra...');
-          const cRes = await createCharge({ 
+          // Keyed by the Stripe event so a redelivered webhook does not post the charge twice
+          const cRes = await tebraWriteQueue.execute('createEncounter', { 
             practiceId, 
             patientId, 
             items, 
             dateOfService: new Date().toISOString().slice(0,10), 
             placeOfService: '10' 
-          });
+          }, { idempotencyKey: `${writeKey}:charge`, source: 'stripe_webhook', tenantId });
           chargeId = cRes.chargeId || null;
           console.log('✅ [STRIPE WEBHOOK] Charge created:', chargeId);
           
           console.log('📋 [STRIPE WEBHOOK] Posting payment to Tebra...');
-          const pRes = await postPayment({ 
+          const pRes = await tebraWriteQueue.execute('createPayments', { 
             practiceId, 
             patientId, 
-            amountCents: amountCents, 
-            referenceNumber: obj.id || obj.payment_intent || '', 
+            amountCents: paidCents, 
+            referenceNumber: paymentIntentId || obj.id || '', 
             date: new Date().toISOString().slice(0,10) 
-          });
+          }, { idempotencyKey: `${writeKey}:payment`, source: 'stripe_webhook', tenantId });
           paymentId = pRes.paymentId || null;
           console.log('✅ [STRIPE WEBHOOK] Payment posted:', paymentId);
           status = 'synced';
@@ -234,6 +306,12 @@ exports.handleStripe = async (req, res) => {
         console.log('✅ [STRIPE WEBHOOK] Mock sync completed');
       }
     } catch (e) {
+      if (e?.code === 'TEBRA_WRITE_IN_PROGRESS') {
+        // A concurrent delivery of this payment is writing it to Tebra and records the outcome in
+        // billing_sync; leave the row alone so its 'synced' status is not overwritten
+        console.log('ℹ️ [STRIPE WEBHOOK] Tebra billing sync already in progress for this payment, skipping');
+        return res.json({ received: true, duplicate: true, inProgress: true });
+      }
       errorMsg = e?.message || String(e);
       console.error('❌ [STRIPE WEBHOOK] Tebra billing sync failed:', errorMsg);
       console.error('❌ [STRIPE WEBHOOK] Error details:', {
@@ -245,7 +323,6 @@ exports.handleStripe = async (req, res) => {
 
     try {
       const billingSync = require('../services/billingSyncService');
-      const paymentIntentId = obj.id || obj.payment_intent || null;
       
       // Use upsertByPaymentIntentId to prevent duplicates
       if (paymentIntentId) {
@@ -254,10 +331,12 @@ exports.handleStripe = async (req, res) => {
           stripe_customer_email: email || null,
           tebra_patient_id: patientId,
           tebra_practice_id: practiceId || null,
+          tenant_id: tenantId,
           tebra_charge_id: chargeId || null,
           tebra_payment_id: paymentId || null,
           amount_cents: amountCents,
           currency: obj.currency || 'usd',
+          service_id: serviceId,
           status,
           error: errorMsg || null,
         });
@@ -269,10 +348,12 @@ exports.handleStripe = async (req, res) => {
           stripe_customer_email: email || null,
           tebra_patient_id: patientId,
           tebra_practice_id: practiceId || null,
+          tenant_id: tenantId,
           tebra_charge_id: chargeId || null,
           tebra_payment_id: paymentId || null,
           amount_cents: amountCents,
           currency: obj.currency || 'usd',
+          service_id: serviceId,
           status,
           error: errorMsg || null,
         });
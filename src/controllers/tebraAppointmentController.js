@@ -1,5 +1,8 @@
 // backend/src/controllers/tebraAppointmentController.js
 const tebraService = require('../services/tebraService');
+const appointmentStatusService = require('../services/appointmentStatusService');
+const patientIdentityService = require('../services/patientIdentityService');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
 const moment = require('moment-timezone');
 
 // Configurable shift parameters (env vars):
@@ -21,6 +24,8 @@ exports.getAvailability = async (req, res) => {
       message: 'Availability retrieved successfully',
       availability: result.availability || [],
       totalCount: result.totalCount || 0,
+      timezone: result.timezone || null,
+      rules: result.rules || null,
       location: clientLocation
     });
 
@@ -46,25 +51,32 @@ exports.createAppointment = async (req, res) => {
     try {
       if (!appointmentData.patientId && (appointmentData.patientEmail || appointmentData.patientSummary?.Email)) {
         const email = appointmentData.patientEmail || appointmentData.patientSummary?.Email;
-        let patientIdFromLookup = null;
-        try {
-          if (email && tebraService.searchPatients) {
-            const found = await tebraService.searchPatients({ email });
-            const candidates = found?.patients || found?.Patients || [];
-            const match = candidates.find(p => (p.Email || p.email || '').toLowerCase() === String(email).toLowerCase());
-            if (match) patientIdFromLookup = match.ID || match.Id || match.id;
-          }
-        } catch (e) {
-          console.warn('Patient lookup failed, will attempt creation:', e?.message || e);
-        }
-        if (!patientIdFromLookup) {
+        // Patient chart lives in the Tebra account of the appointment's practice
+        const tebra = tebraService.forCall(appointmentData);
+        const shopifyCustomerId = req.user?.customerId || req.user?.id || req.user?.sub ||
+                                  (req.user?.payload?.customerId) || (req.user?.payload?.sub) || null;
+        const firstName = appointmentData.patientSummary?.FirstName || appointmentData.patientSummary?.firstName || 'Unknown';
+        const lastName = appointmentData.patientSummary?.LastName || appointmentData.patientSummary?.lastName || 'Unknown';
+        const mobilePhone = appointmentData.patientSummary?.MobilePhone || appointmentData.patientSummary?.Phone || appointmentData.patientSummary?.phone || undefined;
+        const dateOfBirth = appointmentData.patientSummary?.DateOfBirth || appointmentData.patientSummary?.dateOfBirth || undefined;
+        // Mapping, then a confident Tebra match, then a new chart; the customer mapping is stored either way
+        const patient = await patientIdentityService.findOrCreate({
+          shopifyCustomerId,
+          email,
+          firstName,
+          lastName,
+          phone: mobilePhone,
+          dateOfBirth
+        }, {
+          tebra,
+          tenantId: tebra.tenantId,
           // Enhanced patient creation with full demographic data
-          const created = await tebraService.createPatient({
+          createPayload: {
             email,
-            firstName: appointmentData.patientSummary?.FirstName || appointmentData.patientSummary?.firstName || 'Unknown',
-            lastName: appointmentData.patientSummary?.LastName || appointmentData.patientSummary?.lastName || 'Unknown',
-            mobilePhone: appointmentData.patientSummary?.MobilePhone || appointmentData.patientSummary?.Phone || appointmentData.patientSummary?.phone || undefined,
-            dateOfBirth: appointmentData.patientSummary?.DateOfBirth || appointmentData.patientSummary?.dateOfBirth || appointmentData.patientSummary?.dateOfBirth || undefined,
+            firstName,
+            lastName,
+            mobilePhone,
+            dateOfBirth,
             gender: appointmentData.patientSummary?.Gender || appointmentData.patientSummary?.gender || undefined,
             addressLine1: appointmentData.patientSummary?.address?.street || appointmentData.patientSummary?.address?.addressLine1 || appointmentData.patientSummary?.Address?.street || undefined,
             city: appointmentData.patientSummary?.address?.city || appointmentData.patientSummary?.Address?.city || undefined,
@@ -72,27 +84,12 @@ exports.createAppointment = async (req, res) => {
             zipCode: appointmentData.patientSummary?.address?.zip || appointmentData.patientSummary?.address?.zipCode || appointmentData.patientSummary?.Address?.zip || appointmentData.patientSummary?.Address?.zipCode || undefined,
             country: appointmentData.patientSummary?.address?.country || appointmentData.patientSummary?.Address?.country || 'US',
             practice: appointmentData.practiceId ? { PracticeID: appointmentData.practiceId } : undefined,
-          });
-          patientIdFromLookup = created?.id || created?.patientId || created?.PatientID;
-          console.log(`✅ [APPOINTMENT] Created new patient chart in Tebra: ${patientIdFromLookup}`);
-        }
-        if (patientIdFromLookup) {
-          appointmentData.patientId = patientIdFromLookup;
-          
-          // Store customer-patient mapping (like questionnaire does)
-          try {
-            const mapService = require('../services/customerPatientMapService');
-            const shopifyCustomerId = req.user?.customerId || req.user?.id || req.user?.sub || 
-                                      (req.user?.payload?.customerId) || (req.user?.payload?.sub) || null;
-            if (shopifyCustomerId || email) {
-              await mapService.upsert(shopifyCustomerId, email, patientIdFromLookup);
-              console.log(`✅ [APPOINTMENT] Mapped patient ${patientIdFromLookup} to customer ${shopifyCustomerId || email}`);
-            }
-          } catch (mapError) {
-            console.warn('⚠️ [APPOINTMENT] Failed to store customer-patient mapping:', mapError?.message || mapError);
-            // Non-critical, continue
           }
+        });
+        if (patient.created) {
+          console.log(`✅ [APPOINTMENT] Created new patient chart in Tebra: ${patient.id}`);
         }
+        appointmentData.patientId = patient.id;
       }
     } catch (ensureErr) {
       console.warn('Failed to ensure patient prior to appointment creation:', ensureErr?.message || ensureErr);
@@ -287,7 +284,13 @@ exports.createAppointment = async (req, res) => {
         console.warn('Failed to generate or email meeting link, continuing without it:', genErr);
       }
 
-      const result = await tebraService.createAppointment(appointmentData);
+      // Keyed by patient and start so a retried request does not book the slot twice
+      const tenantId = tebraService.forCall(appointmentData).tenantId;
+      const result = await tebraWriteQueue.execute('createAppointment', appointmentData, {
+        idempotencyKey: `tebra-appointment:${tenantId}:${appointmentData.patientId}:${new Date(appointmentData.startTime).toISOString()}`,
+        source: 'tebra_appointment_api',
+        tenantId
+      });
     
     // Record business metric
     const metricsService = require('../services/metricsService');
@@ -343,7 +346,7 @@ exports.createAppointment = async (req, res) => {
     let canonicalAppointment = null;
     try {
       if (appointmentId) {
-        const fetched = await tebraService.getAppointment(appointmentId);
+        const fetched = await tebraService.forCall(appointmentData).getAppointment(appointmentId);
         if (fetched) {
           canonicalAppointment = fetched;
         }
@@ -419,7 +422,7 @@ exports.searchAppointments = async (req, res) => {
     
     // Check cache for appointment list (include pagination in cache key)
     const cacheService = require('../services/cacheService');
-    const cacheKey = cacheService.generateKey('appointments', { 
+    const cacheKey = cacheService.tenantKey('appointments', { 
       patientId: patientId || 'all',
       startDate: searchOptions.startDate,
       endDate: searchOptions.endDate,
@@ -621,7 +624,8 @@ exports.getAppointment = async (req, res) => {
     const { clientLocation } = req;
 
     console.log(`📋 [TEBRA APPOINTMENT] Get appointment ${appointmentId}`);
-    const result = await tebraService.getAppointment(appointmentId);
+    const tenantId = await appointmentStatusService.tenantFor(appointmentId, req.query.tenantId);
+    const result = await tebraService.forTenant(tenantId).getAppointment(appointmentId);
 
     // Normalize structure
     let appointment = null;
@@ -657,6 +661,7 @@ exports.updateAppointment = async (req, res) => {
     const { clientLocation } = req;
 
   console.log(`✏️ [TEBRA APPOINTMENT] Updating appointment ${appointmentId}`, updates);
+  const tebra = tebraService.forTenant(await appointmentStatusService.tenantFor(appointmentId, req.body.tenantId || req.query.tenantId));
 
   // Coerce numeric string IDs to integers to match SOAP type expectations
   const appointmentIdToUse = (typeof appointmentId === 'string' && /^\d+$/.test(appointmentId)) ? parseInt(appointmentId, 10) : appointmentId;
@@ -713,7 +718,7 @@ exports.updateAppointment = async (req, res) => {
     console.warn('Failed to generate or email meeting link for update, continuing:', genErr);
   }
 
-  const result = await tebraService.updateAppointment(appointmentIdToUse, updates);
+  const result = await tebra.updateAppointment(appointmentIdToUse, updates);
     
     // Invalidate appointment cache when appointment is updated
     try {
@@ -741,7 +746,7 @@ exports.updateAppointment = async (req, res) => {
     let canonicalAppointment = null;
     try {
       if (updatedAppointmentId) {
-        canonicalAppointment = await tebraService.getAppointment(updatedAppointmentId);
+        canonicalAppointment = await tebra.getAppointment(updatedAppointmentId);
       }
     } catch (fetchErr) {
       console.warn('⚠️ Failed to fetch canonical appointment after update:', fetchErr?.message || fetchErr);
@@ -795,7 +800,8 @@ exports.deleteAppointment = async (req, res) => {
     console.log(`🗑️ [TEBRA APPOINTMENT] Using appointment ID for deletion: ${appointmentIdToUse} (coerced from ${appointmentId})`);
     
     console.log(`🗑️ [TEBRA APPOINTMENT] Calling tebraService.deleteAppointment with ID: ${appointmentIdToUse}`);
-    const result = await tebraService.deleteAppointment(appointmentIdToUse);
+    const tenantId = await appointmentStatusService.tenantFor(appointmentId, req.query.tenantId);
+    const result = await tebraService.forTenant(tenantId).deleteAppointment(appointmentIdToUse);
     
     // Invalidate appointment cache when appointment is deleted
     try {
@@ -1,5 +1,21 @@
 // backend/src/controllers/tebraAppointmentReasonController.js
 const tebraService = require('../services/tebraService');
+const appointmentReasonRuleService = require('../services/appointmentReasonRuleService');
+
+// Attach the scheduling rule (duration, buffers, minimum notice) configured for each reason.
+// durationMinutes is null when the reason uses the provider schedule's slot length.
+async function withSchedulingRules(reasons, practiceId) {
+  return Promise.all(reasons.map(async (reason) => {
+    const rule = await appointmentReasonRuleService.getRule(reason.id, practiceId);
+    return {
+      ...reason,
+      durationMinutes: rule?.durationMinutes ?? null,
+      bufferBeforeMinutes: rule?.bufferBeforeMinutes ?? 0,
+      bufferAfterMinutes: rule?.bufferAfterMinutes ?? 0,
+      minNoticeMinutes: rule?.minNoticeMinutes ?? 0
+    };
+  }));
+}
 
 // Get appointment reasons
 exports.getAppointmentReasons = async (req, res) => {
@@ -14,7 +30,7 @@ exports.getAppointmentReasons = async (req, res) => {
     res.json({
       success: true,
       message: 'Appointment reasons retrieved successfully',
-      appointmentReasons: result.appointmentReasons || [],
+      appointmentReasons: await withSchedulingRules(result.appointmentReasons || [], practiceId),
       totalCount: result.totalCount || 0,
       location: clientLocation
     });
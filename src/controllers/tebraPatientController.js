@@ -1,5 +1,7 @@
 // backend/src/controllers/tebraPatientController.js
 const tebraService = require('../services/tebraService');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
+const tebraTenantService = require('../services/tebraTenantService');
 const shopifyUserService = require('../services/shopifyUserService');
 const { getFormattedLocation } = require('../utils/locationUtils');
 
@@ -92,8 +94,11 @@ exports.createTebraPatient = async (req, res) => {
       } : null
     };
 
-    // Create patient in Tebra
-    const tebraData = await tebraService.createPatient(patientData);
+    // Create patient in Tebra; keyed by the person so a retried request returns the first chart
+    const tebraData = await tebraWriteQueue.execute('createPatient', patientData, {
+      idempotencyKey: `tebra-patient:${patientData.state || ''}:${String(email).trim().toLowerCase()}:${firstName}:${lastName}:${patientData.dateOfBirth || ''}`,
+      source: 'tebra_patient_api'
+    });
     
     // Record business metric
     const metricsService = require('../services/metricsService');
@@ -157,15 +162,17 @@ exports.createTebraPatientFromCustomer = async (req, res) => {
       });
     }
 
-    // Create patient in Tebra using customer data
-    const tebraData = await tebraService.createPatient({
+    // Create patient in the Tebra account of the customer's state; keyed by customer so a retry
+    // (or the registration flow) does not open a second chart
+    const tenantId = tebraTenantService.resolveTenantId({ state: customer.metafields.state });
+    const tebraData = await tebraWriteQueue.execute('createPatient', {
       firstName: customer.first_name,
       lastName: customer.last_name,
       email: customer.email,
       phone: customer.phone,
       state: customer.metafields.state,
       role: customer.metafields.role
-    });
+    }, { idempotencyKey: `shopify-customer:${tenantId}:${customerId}:patient`, source: 'tebra_patient_api', tenantId });
     
     // Update customer metafields with Tebra patient ID
     await shopifyUserService.updateCustomerMetafields(customerId, {
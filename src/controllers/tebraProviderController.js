@@ -11,7 +11,7 @@ exports.getProviders = async (req, res) => {
 
     // Check cache for providers list
     const cacheService = require('../services/cacheService');
-    const cacheKey = cacheService.generateKey('providers', { practiceId: practiceId || 'all' });
+    const cacheKey = cacheService.tenantKey('providers', { practiceId: practiceId || 'all' });
     const cachedProviders = await cacheService.get(cacheKey);
     if (cachedProviders) {
       console.log(`✅ [PROVIDERS] Returning cached providers list`);
@@ -1,6 +1,5 @@
 // backend/src/controllers/tebraQuestionnaireController.js
-const getTebraService = require('../services/tebraServiceSingleton');
-const tebraService = getTebraService();
+const tebraService = require('../services/tebraService');
 const { ensureTebraPatient, base64Encode } = require('../utils/tebraPatientUtils');
 
 // In-memory idempotency cache for questionnaire submissions (patientId+submissionId)
@@ -31,7 +30,7 @@ function wasRecentlySubmitted(patientId, submissionId) {
 // ensureTebraPatient is now imported from utils/tebraPatientUtils
 
 // Helper: create a Tebra Document under a patient chart
-async function createTebraDocument({ patientId, practiceId, name, label, notes, fileName, json }) {
+async function createTebraDocument({ patientId, practiceId, tenantId, name, label, notes, fileName, json }) {
   const documentData = {
     name: name || 'Document',
     fileName: fileName || `${(name || 'document').toLowerCase().replace(/\s+/g, '-')}-${Date.now()}.json`,
@@ -43,7 +42,7 @@ async function createTebraDocument({ patientId, practiceId, name, label, notes,
     practiceId,
     fileContent: Buffer.from(JSON.stringify(json || { notes })).toString('base64'),
   };
-  return await tebraService.createDocument(documentData);
+  return await tebraService.forCall({ tenantId, practiceId }).createDocument(documentData);
 }
 
 // GET /api/tebra-questionnaire/list?patientId=xxx
@@ -163,6 +162,10 @@ exports.submit = async (req, res) => {
     let patientId = null;
     let patientCreated = false;
     try {
+      // Store the mapping between Shopify customer (if authenticated) and Tebra patient; try multiple
+      // possible fields for customer ID from different auth middlewares
+      const shopifyCustomerId = req.user?.customerId || req.user?.id || req.user?.sub || 
+                                (req.user?.payload?.customerId) || (req.user?.payload?.sub) || null;
       const ensured = await ensureTebraPatient({
         email: patient.email,
         firstName: patient.firstName,
@@ -172,24 +175,11 @@ exports.submit = async (req, res) => {
         gender: patient.gender,
         address: patient.address || {},
         practiceId: effectivePracticeId,
+        tenantId: routing.tenantId,
+        shopifyCustomerId,
       });
       patientId = ensured.id;
       
-      // Store the mapping between Shopify customer (if authenticated) and Tebra patient
-      try {
-        const mapService = require('../services/customerPatientMapService');
-        // Try multiple possible fields for customer ID from different auth middlewares
-        const shopifyCustomerId = req.user?.customerId || req.user?.id || req.user?.sub || 
-                                  (req.user?.payload?.customerId) || (req.user?.payload?.sub) || null;
-        if (shopifyCustomerId || patient.email) {
-          await mapService.upsert(shopifyCustomerId, patient.email, patientId);
-          console.log(`✅ [QUESTIONNAIRE] Mapped patient ${patientId} to customer ${shopifyCustomerId || patient.email}`);
-        }
-      } catch (mapError) {
-        console.warn('[Questionnaire] Failed to store customer-patient mapping:', mapError?.message || mapError);
-        // Non-critical, continue
-      }
-      
       patientCreated = true;
       console.log(`✅ [QUESTIONNAIRE] Patient chart ${patientId} ready for ${patient.firstName} ${patient.lastName} (${patient.email})`);
     } catch (e) {
@@ -225,6 +215,7 @@ exports.submit = async (req, res) => {
       qDoc = await createTebraDocument({
         patientId,
         practiceId: effectivePracticeId,
+        tenantId: routing.tenantId,
         name: 'Online Questionnaire',
         label: 'Consultation',
         notes: questionnaire.summary || 'Submitted via Website Questionnaire',
@@ -265,6 +256,7 @@ exports.submit = async (req, res) => {
         rxDoc = await createTebraDocument({
           patientId,
           practiceId: effectivePracticeId,
+          tenantId: routing.tenantId,
           name: 'Prescription',
           label: 'Prescription',
           notes: treatment.summary || 'Proposed Treatment/Prescription',
@@ -304,6 +296,7 @@ exports.submit = async (req, res) => {
         await createTebraDocument({
           patientId,
           practiceId: effectivePracticeId,
+          tenantId: routing.tenantId,
           name: 'Provider Review Request',
           label: 'Task',
           notes: 'Please review intake and prescribe if appropriate',
@@ -360,6 +353,7 @@ exports.submit = async (req, res) => {
               await createTebraDocument({
                 patientId,
                 practiceId: effectivePracticeId,
+                tenantId: routing.tenantId,
                 name: 'Qualiphy Consultation',
                 label: 'Consultation',
                 notes: `Qualiphy consultation scheduled: ${consultation.consultationId}`,
@@ -2,7 +2,9 @@
 // Telemedicine scheduling integrated with Tebra (minimal viable)
 
 const tebraService = require('../services/tebraService');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
 const { selectProvider } = require('../services/providerRoutingService');
+const patientIdentityService = require('../services/patientIdentityService');
 
 exports.bookAppointment = async (req, res) => {
   try {
@@ -11,29 +13,31 @@ exports.bookAppointment = async (req, res) => {
     // Determine provider by state (from patient)
     const stateInput = patient?.address?.state || patient?.state || null;
     const routing = selectProvider({ stateInput });
+    const tebra = tebraService.forTenant(routing.tenantId);
 
     // Ensure patient exists in Tebra
     let tebraPatientId = patient?.id || null;
     try {
       if (!tebraPatientId && (patient.email || patient.patientEmail)) {
         const email = patient.email || patient.patientEmail;
-        try {
-          const found = await tebraService.searchPatients({ email });
-          const candidates = found?.patients || found?.Patients || [];
-          const match = candidates.find(p => (p.Email || p.email || '').toLowerCase() === String(email).toLowerCase());
-          const id = match?.ID || match?.Id || match?.id;
-          if (id) tebraPatientId = id;
-        } catch {}
-        if (!tebraPatientId) {
-          const created = await tebraService.createPatient({
+        const ensured = await patientIdentityService.findOrCreate({
+          email,
+          firstName: patient.firstName,
+          lastName: patient.lastName,
+          dateOfBirth: patient.dateOfBirth,
+          phone: patient.phone,
+        }, {
+          tebra,
+          tenantId: routing.tenantId,
+          createPayload: {
             email,
             firstName: patient.firstName || 'Unknown',
             lastName: patient.lastName || 'Unknown',
             mobilePhone: patient.phone,
             practice: routing.practiceId ? { PracticeID: routing.practiceId } : undefined,
-          });
-          tebraPatientId = created?.id || created?.patientId || created?.PatientID || null;
-        }
+          },
+        });
+        tebraPatientId = ensured.id;
       }
     } catch (e) {
       console.warn('telemed: ensure patient failed:', e?.message || e);
@@ -57,7 +61,12 @@ exports.bookAppointment = async (req, res) => {
         reason: reason || product || 'Telemedicine Consultation',
         practiceId: routing.practiceId || undefined,
       };
-      createdAppt = await tebraService.createAppointment(apptReq);
+      // Keyed by patient and start so a retried request does not book the slot twice
+      createdAppt = await tebraWriteQueue.execute('createAppointment', apptReq, {
+        idempotencyKey: `telemed:${routing.tenantId}:${tebraPatientId}:${apptReq.startTime}`,
+        source: 'telemed',
+        tenantId: routing.tenantId
+      });
     } catch (e) {
       console.error('telemed: createAppointment failed:', e?.message || e);
       return res.status(500).json({ success: false, message: 'Failed to create appointment in Tebra' });
@@ -66,14 +75,14 @@ exports.bookAppointment = async (req, res) => {
     // Generate meeting link (placeholder) and attach as a document/note
     const meetingLink = `https://meet.sxrx.us/${Math.random().toString(36).slice(2, 10)}`;
     try {
-      await tebraService.createDocument({
+      await tebraWriteQueue.enqueue('createDocument', {
         name: 'Telemedicine Meeting Link',
         fileName: `meeting-${Date.now()}.txt`,
         label: 'Telemedicine',
         patientId: tebraPatientId,
         fileContent: Buffer.from(meetingLink, 'utf8').toString('base64'),
         status: 'Completed',
-      });
+      }, { source: 'telemed', tenantId: routing.tenantId });
     } catch (e) {
       console.warn('telemed: failed to store meeting link document:', e?.message || e);
     }
@@ -86,14 +95,14 @@ exports.bookAppointment = async (req, res) => {
           submittedAt: new Date().toISOString(),
           provided: req.body?.newPatientForm || {},
         };
-        await tebraService.createDocument({
+        await tebraWriteQueue.enqueue('createDocument', {
           name: 'New Patient Form',
           fileName: `new-patient-form-${Date.now()}.json`,
           label: 'Intake',
           patientId: tebraPatientId,
           fileContent: Buffer.from(JSON.stringify(formPayload)).toString('base64'),
           status: 'Completed',
-        });
+        }, { source: 'telemed', tenantId: routing.tenantId });
       }
     } catch (e) {
       console.warn('telemed: failed to store new patient form:', e?.message || e);
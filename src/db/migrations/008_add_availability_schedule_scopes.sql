@@ -0,0 +1,37 @@
+-- Migration: Scope availability settings per practice, state and provider
+-- Row id = 1 (all scope columns NULL) stays the global default. Additional rows
+-- override it for a practice, a state and/or a provider. Columns left NULL on a
+-- scoped row are inherited from the less specific schedules.
+
+ALTER TABLE availability_settings ADD COLUMN IF NOT EXISTS practice_id TEXT;
+ALTER TABLE availability_settings ADD COLUMN IF NOT EXISTS state VARCHAR(2);
+ALTER TABLE availability_settings ADD COLUMN IF NOT EXISTS provider_id TEXT;
+ALTER TABLE availability_settings ADD COLUMN IF NOT EXISTS label TEXT;
+
+-- Scoped rows only store the fields they override
+ALTER TABLE availability_settings ALTER COLUMN business_hours DROP NOT NULL;
+ALTER TABLE availability_settings ALTER COLUMN business_hours DROP DEFAULT;
+ALTER TABLE availability_settings ALTER COLUMN blocked_dates DROP NOT NULL;
+ALTER TABLE availability_settings ALTER COLUMN blocked_time_slots DROP NOT NULL;
+ALTER TABLE availability_settings ALTER COLUMN advance_booking_days DROP NOT NULL;
+ALTER TABLE availability_settings ALTER COLUMN advance_booking_days DROP DEFAULT;
+ALTER TABLE availability_settings ALTER COLUMN slot_duration DROP NOT NULL;
+ALTER TABLE availability_settings ALTER COLUMN slot_duration DROP DEFAULT;
+ALTER TABLE availability_settings ALTER COLUMN buffer_time DROP NOT NULL;
+ALTER TABLE availability_settings ALTER COLUMN buffer_time DROP DEFAULT;
+ALTER TABLE availability_settings ALTER COLUMN timezone DROP NOT NULL;
+ALTER TABLE availability_settings ALTER COLUMN timezone DROP DEFAULT;
+
+-- One schedule per scope (the global row is the all-NULL scope)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_availability_settings_scope ON availability_settings (
+  (COALESCE(practice_id, '')),
+  (COALESCE(state, '')),
+  (COALESCE(provider_id, ''))
+);
+CREATE INDEX IF NOT EXISTS idx_availability_settings_provider ON availability_settings(provider_id) WHERE provider_id IS NOT NULL;
+
+-- Row 1 was inserted with an explicit id, so move the sequence past it
+SELECT setval(
+  pg_get_serial_sequence('availability_settings', 'id'),
+  GREATEST((SELECT COALESCE(MAX(id), 1) FROM availability_settings), 1)
+);
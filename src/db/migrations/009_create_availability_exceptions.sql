@@ -0,0 +1,28 @@
+-- Migration: Create availability_exceptions table
+-- Time off and closures that are evaluated against generated slots:
+--   * one-off ranges (start_date..end_date, e.g. a vacation)
+--   * recurring rules (RRULE subset, e.g. FREQ=MONTHLY;BYDAY=2FR)
+--   * holiday calendars (e.g. US_FEDERAL)
+-- start_time/end_time (HH:MM, provider-local) limit the exception to part of the day;
+-- both NULL means all day. Scope columns work like availability_settings: NULL matches any.
+
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+  id SERIAL PRIMARY KEY,
+  practice_id TEXT,
+  state VARCHAR(2),
+  provider_id TEXT,
+  label TEXT,
+  rrule TEXT,
+  holiday_calendar VARCHAR(50),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  start_time VARCHAR(5),
+  end_time VARCHAR(5),
+  exdates JSONB NOT NULL DEFAULT '[]'::jsonb,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_active ON availability_exceptions(active) WHERE active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_provider ON availability_exceptions(provider_id) WHERE provider_id IS NOT NULL;
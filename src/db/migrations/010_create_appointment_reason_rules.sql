@@ -0,0 +1,24 @@
+-- Migration: Create appointment_reason_rules table
+-- Scheduling rules per Tebra appointment reason: appointment length, buffers kept
+-- free before/after the appointment and the minimum booking notice.
+-- practice_id NULL applies the rule to the reason in every practice; a row with a
+-- practice_id takes precedence for that practice. NULL rule columns fall back to
+-- the provider's availability schedule (slot_duration, buffer_time) or 0.
+
+CREATE TABLE IF NOT EXISTS appointment_reason_rules (
+  id SERIAL PRIMARY KEY,
+  appointment_reason_id TEXT NOT NULL,
+  practice_id TEXT,
+  label TEXT,
+  duration_minutes INTEGER,
+  buffer_before_minutes INTEGER,
+  buffer_after_minutes INTEGER,
+  min_notice_minutes INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointment_reason_rules_scope ON appointment_reason_rules (
+  appointment_reason_id,
+  (COALESCE(practice_id, ''))
+);
@@ -0,0 +1,32 @@
+-- Migration: Create slot_holds table
+-- Temporary reservations of an appointment slot while the patient checks out.
+-- A hold removes the slot from everyone else's availability until it expires,
+-- is released, or is converted into a Tebra appointment when the order is paid.
+-- status: held -> converting -> converted, or held -> released / expired
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+  id UUID PRIMARY KEY,
+  state VARCHAR(2) NOT NULL,
+  practice_id TEXT NOT NULL,
+  provider_id TEXT NOT NULL,
+  appointment_reason_id TEXT,
+  start_time TIMESTAMPTZ NOT NULL,
+  end_time TIMESTAMPTZ NOT NULL,
+  shopify_customer_id TEXT,
+  cart_token TEXT,
+  email TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'held',
+  expires_at TIMESTAMPTZ NOT NULL,
+  shopify_order_id TEXT,
+  tebra_appointment_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Only one live hold per provider start time (guards the race between two checkouts)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_holds_live_slot ON slot_holds(provider_id, start_time)
+  WHERE status IN ('held', 'converting');
+CREATE INDEX IF NOT EXISTS idx_slot_holds_provider_window ON slot_holds(provider_id, start_time, end_time)
+  WHERE status IN ('held', 'converting');
+CREATE INDEX IF NOT EXISTS idx_slot_holds_expires ON slot_holds(expires_at) WHERE status = 'held';
+CREATE INDEX IF NOT EXISTS idx_slot_holds_cart ON slot_holds(cart_token) WHERE cart_token IS NOT NULL;
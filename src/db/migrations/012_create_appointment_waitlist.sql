@@ -0,0 +1,52 @@
+-- Migration: Create appointment waitlist tables
+-- Patients register interest in a state/provider/date window when no slots are offered.
+-- When an appointment is cancelled, the freed slot is offered to the first eligible
+-- waiting entry with a time-limited claim link; unclaimed offers roll to the next entry.
+-- entry status: waiting -> offered -> booked, or waiting -> cancelled / expired
+-- offer status: offered -> claiming -> claimed, or offered -> declined / expired
+
+CREATE TABLE IF NOT EXISTS appointment_waitlist (
+  id SERIAL PRIMARY KEY,
+  state VARCHAR(2) NOT NULL,
+  practice_id TEXT NOT NULL,
+  provider_id TEXT,
+  appointment_reason_id TEXT,
+  from_date DATE NOT NULL,
+  to_date DATE NOT NULL,
+  shopify_customer_id TEXT,
+  email TEXT NOT NULL,
+  first_name TEXT,
+  last_name TEXT,
+  tebra_patient_id TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_waitlist_queue ON appointment_waitlist(state, from_date, to_date, created_at)
+  WHERE status = 'waiting';
+CREATE INDEX IF NOT EXISTS idx_appointment_waitlist_customer ON appointment_waitlist(shopify_customer_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_waitlist_email ON appointment_waitlist(LOWER(email));
+
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+  id SERIAL PRIMARY KEY,
+  waitlist_id INTEGER NOT NULL REFERENCES appointment_waitlist(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  state VARCHAR(2) NOT NULL,
+  practice_id TEXT NOT NULL,
+  provider_id TEXT NOT NULL,
+  appointment_reason_id TEXT,
+  start_time TIMESTAMPTZ NOT NULL,
+  end_time TIMESTAMPTZ NOT NULL,
+  slot_hold_id UUID,
+  status VARCHAR(20) NOT NULL DEFAULT 'offered',
+  expires_at TIMESTAMPTZ NOT NULL,
+  tebra_appointment_id TEXT,
+  claimed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_slot ON waitlist_offers(provider_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_expires ON waitlist_offers(expires_at) WHERE status = 'offered';
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_waitlist ON waitlist_offers(waitlist_id);
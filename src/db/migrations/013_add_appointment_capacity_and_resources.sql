@@ -0,0 +1,19 @@
+-- Migration: Group and multi-resource appointments
+-- capacity: attendees per slot for an appointment reason (group sessions); NULL means 1.
+-- resource_ids: extra Tebra resources (rooms, equipment) every appointment of the reason
+-- books alongside the provider; a slot is only offered while they are all free.
+-- Slot holds take a seat so a group slot can be held by up to `capacity` checkouts at once.
+
+ALTER TABLE appointment_reason_rules ADD COLUMN IF NOT EXISTS capacity INTEGER;
+ALTER TABLE appointment_reason_rules ADD COLUMN IF NOT EXISTS resource_ids JSONB;
+
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS seat INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS capacity INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS resource_ids JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- One live hold per provider start time and seat (replaces the one-hold-per-slot index)
+DROP INDEX IF EXISTS idx_slot_holds_live_slot;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_holds_live_seat ON slot_holds(provider_id, start_time, seat)
+  WHERE status IN ('held', 'converting');
+CREATE INDEX IF NOT EXISTS idx_slot_holds_live_resources ON slot_holds USING GIN (resource_ids)
+  WHERE status IN ('held', 'converting');
@@ -0,0 +1,61 @@
+-- Migration: Create appointment_policies and appointment_policy_events tables
+-- Cancellation/rescheduling policies: how late a patient may cancel or reschedule online,
+-- how many times an appointment may be rescheduled and which fees late changes and
+-- no-shows incur. appointment_reason_id and practice_id NULL are wildcards; the most
+-- specific policy wins (reason+practice, reason, practice, default). NULL columns mean
+-- no window / no limit / no fee.
+-- late_action: 'fee' allows late changes and charges the fee, 'block' refuses them online.
+-- fee_method: 'none', 'stripe' (Checkout payment link sent to the patient) or 'tebra'
+-- (charge posted to the patient's account via CreateEncounter).
+
+CREATE TABLE IF NOT EXISTS appointment_policies (
+  id SERIAL PRIMARY KEY,
+  appointment_reason_id TEXT,
+  practice_id TEXT,
+  label TEXT,
+  cancel_notice_hours INTEGER,
+  reschedule_notice_hours INTEGER,
+  max_reschedules INTEGER,
+  late_action TEXT NOT NULL DEFAULT 'fee' CHECK (late_action IN ('fee', 'block')),
+  late_cancel_fee_cents INTEGER,
+  late_reschedule_fee_cents INTEGER,
+  no_show_fee_cents INTEGER,
+  fee_method TEXT NOT NULL DEFAULT 'none' CHECK (fee_method IN ('none', 'stripe', 'tebra')),
+  fee_cpt_code TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointment_policies_scope ON appointment_policies (
+  (COALESCE(appointment_reason_id, '')),
+  (COALESCE(practice_id, ''))
+);
+
+-- Cancellations, reschedules and no-shows with the policy decision and any fee charged.
+-- root_appointment_id is the first appointment of a reschedule chain (rescheduling creates
+-- a new Tebra appointment), used to count reschedules against max_reschedules.
+CREATE TABLE IF NOT EXISTS appointment_policy_events (
+  id SERIAL PRIMARY KEY,
+  appointment_id TEXT NOT NULL,
+  root_appointment_id TEXT NOT NULL,
+  new_appointment_id TEXT,
+  action TEXT NOT NULL CHECK (action IN ('cancel', 'reschedule', 'no_show')),
+  late BOOLEAN NOT NULL DEFAULT false,
+  policy_id INTEGER REFERENCES appointment_policies(id) ON DELETE SET NULL,
+  tebra_patient_id TEXT,
+  shopify_customer_id TEXT,
+  email TEXT,
+  fee_cents INTEGER NOT NULL DEFAULT 0,
+  fee_method TEXT NOT NULL DEFAULT 'none',
+  fee_status TEXT NOT NULL DEFAULT 'none' CHECK (fee_status IN ('none', 'pending', 'paid', 'charged', 'failed')),
+  stripe_checkout_session_id TEXT,
+  fee_payment_url TEXT,
+  tebra_charge_id TEXT,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_policy_events_root ON appointment_policy_events(root_appointment_id, action);
+CREATE INDEX IF NOT EXISTS idx_appointment_policy_events_new ON appointment_policy_events(new_appointment_id) WHERE new_appointment_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_appointment_policy_events_appointment ON appointment_policy_events(appointment_id);
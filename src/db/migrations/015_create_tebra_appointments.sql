@@ -0,0 +1,50 @@
+-- Migration: Create tebra_appointments and appointment_status_history tables
+-- Local copy of Tebra appointments (synced from GetAppointments/GetAppointment and written
+-- through on booking/cancellation) with the appointment lifecycle state:
+--   booked -> confirmed -> checked_in -> completed, or cancelled / no_show.
+-- tebra_status holds the raw Tebra AppointmentStatus from the last sync; a status marked
+-- locally (status_source 'local') is kept until Tebra reports a different status.
+-- reminders_sent maps reminder lead time in hours ("24", "2") to the time it was sent.
+
+CREATE TABLE IF NOT EXISTS tebra_appointments (
+  id SERIAL PRIMARY KEY,
+  tebra_appointment_id TEXT NOT NULL UNIQUE,
+  practice_id TEXT,
+  provider_id TEXT,
+  provider_name TEXT,
+  patient_id TEXT,
+  patient_email TEXT,
+  patient_name TEXT,
+  appointment_reason_id TEXT,
+  start_time TIMESTAMPTZ,
+  end_time TIMESTAMPTZ,
+  status TEXT NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'confirmed', 'checked_in', 'completed', 'no_show', 'cancelled')),
+  status_source TEXT NOT NULL DEFAULT 'tebra' CHECK (status_source IN ('tebra', 'local')),
+  status_changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  tebra_status TEXT,
+  confirmation_status TEXT,
+  reminders_sent JSONB NOT NULL DEFAULT '{}'::jsonb,
+  tebra_created_at TIMESTAMPTZ,
+  tebra_last_modified_at TIMESTAMPTZ,
+  synced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tebra_appointments_start ON tebra_appointments(start_time);
+CREATE INDEX IF NOT EXISTS idx_tebra_appointments_status_start ON tebra_appointments(status, start_time);
+CREATE INDEX IF NOT EXISTS idx_tebra_appointments_patient ON tebra_appointments(patient_id);
+CREATE INDEX IF NOT EXISTS idx_tebra_appointments_provider_start ON tebra_appointments(provider_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_tebra_appointments_created ON tebra_appointments(created_at);
+
+CREATE TABLE IF NOT EXISTS appointment_status_history (
+  id SERIAL PRIMARY KEY,
+  tebra_appointment_id TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  source TEXT NOT NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_status_history_appointment ON appointment_status_history(tebra_appointment_id, created_at);
@@ -0,0 +1,25 @@
+-- Migration: Create appointment_response_links table
+-- Signed, single-use links in appointment reminder emails that let the patient confirm,
+-- cancel or request a reschedule without logging in. The token in the link carries the
+-- appointment, action, nonce and expiry and is signed with APPOINTMENT_LINK_SECRET; this
+-- table makes each nonce usable once and records the outcome.
+-- status: issued -> processing -> used (processing returns to issued if the action fails)
+
+CREATE TABLE IF NOT EXISTS appointment_response_links (
+  id SERIAL PRIMARY KEY,
+  nonce TEXT NOT NULL UNIQUE,
+  tebra_appointment_id TEXT NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('confirm', 'cancel', 'reschedule')),
+  email TEXT,
+  reminder_hours INTEGER,
+  status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'processing', 'used')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  message TEXT,
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_response_links_appointment ON appointment_response_links(tebra_appointment_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_appointment_response_links_expires ON appointment_response_links(expires_at) WHERE status = 'issued';
@@ -0,0 +1,33 @@
+-- Migration: Create tebra_write_commands table
+-- Durable log of Tebra mutations (CreatePatient, CreateAppointment, CreateDocument,
+-- CreateEncounter, CreatePayments) sent through the 'tebra-writes' job queue or executed inline
+-- by request handlers. idempotency_key makes a repeated command (webhook redelivery, replay)
+-- return the first result instead of writing to Tebra twice.
+-- status: pending -> processing -> succeeded
+--         processing -> pending (retryable failure, retried at next_attempt_at)
+--         processing -> failed (inline execution failed; replayable from the admin API)
+--         processing -> dead (rejected by Tebra or out of attempts; dead letter queue)
+
+CREATE TABLE IF NOT EXISTS tebra_write_commands (
+  id SERIAL PRIMARY KEY,
+  idempotency_key TEXT NOT NULL UNIQUE,
+  command VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  source VARCHAR(100),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 6,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  result JSONB,
+  error_code VARCHAR(50),
+  error_message TEXT,
+  completed_at TIMESTAMPTZ,
+  dead_lettered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tebra_write_commands_due ON tebra_write_commands(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_tebra_write_commands_status ON tebra_write_commands(status, updated_at);
+CREATE INDEX IF NOT EXISTS idx_tebra_write_commands_command ON tebra_write_commands(command, created_at);
@@ -0,0 +1,23 @@
+-- Migration: Create tebra_tenants table
+-- Tebra accounts (one per legal entity) in addition to the 'default' account from TEBRA_CUSTOMER_KEY /
+-- TEBRA_USER / TEBRA_PASSWORD and the ones in TEBRA_TENANTS_JSON. Credentials are encrypted with
+-- ENCRYPTION_KEY (encryptionService). practice_ids lists the Tebra practices served by the account.
+-- tebra_write_commands.tenant_id records the account a queued write runs against.
+
+CREATE TABLE IF NOT EXISTS tebra_tenants (
+  tenant_id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255),
+  customer_key_encrypted TEXT NOT NULL,
+  user_encrypted TEXT NOT NULL,
+  password_encrypted TEXT NOT NULL,
+  practice_name VARCHAR(255),
+  soap_endpoint TEXT,
+  practice_ids TEXT[] NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE tebra_write_commands ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_tebra_write_commands_tenant ON tebra_write_commands(tenant_id, status);
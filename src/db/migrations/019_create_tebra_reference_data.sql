@@ -0,0 +1,52 @@
+-- Migration: Create Tebra reference data tables
+-- tebra_reference_records mirrors practices, providers, service locations, appointment reasons and
+-- procedure codes per Tebra tenant (tebraReferenceDataService.sync). practice_id is '' for
+-- account-wide records (practices, procedure codes). content_hash detects changes between runs;
+-- records missing from a later run are kept with active = FALSE and removed_at set.
+-- tebra_reference_sync_runs records each run with per-type counts and the changed records.
+-- tebra_state_mappings is the admin-built state -> practice/provider/location/reason mapping that
+-- overrides the TEBRA_*_<STATE> env vars in providerMapping.
+
+CREATE TABLE IF NOT EXISTS tebra_reference_records (
+  tenant_id VARCHAR(50) NOT NULL DEFAULT 'default',
+  record_type VARCHAR(30) NOT NULL CHECK (record_type IN ('practice', 'provider', 'service_location', 'appointment_reason', 'procedure_code')),
+  practice_id VARCHAR(50) NOT NULL DEFAULT '',
+  tebra_id VARCHAR(50) NOT NULL,
+  name VARCHAR(255),
+  data JSONB NOT NULL,
+  content_hash VARCHAR(64) NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  first_synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  removed_at TIMESTAMPTZ,
+  PRIMARY KEY (tenant_id, record_type, practice_id, tebra_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tebra_reference_records_lookup ON tebra_reference_records(record_type, tenant_id, practice_id) WHERE active = TRUE;
+
+CREATE TABLE IF NOT EXISTS tebra_reference_sync_runs (
+  id SERIAL PRIMARY KEY,
+  tenant_id VARCHAR(50) NOT NULL DEFAULT 'default',
+  trigger VARCHAR(20) NOT NULL DEFAULT 'cron',
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'partial', 'failed')),
+  summary JSONB NOT NULL DEFAULT '{}',
+  changes JSONB NOT NULL DEFAULT '[]',
+  error_message TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_tebra_reference_sync_runs_tenant ON tebra_reference_sync_runs(tenant_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS tebra_state_mappings (
+  state VARCHAR(2) PRIMARY KEY,
+  tenant_id VARCHAR(50) NOT NULL DEFAULT 'default',
+  practice_id VARCHAR(50) NOT NULL,
+  provider_id VARCHAR(50),
+  service_location_id VARCHAR(50),
+  appointment_reason_id VARCHAR(50),
+  updated_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
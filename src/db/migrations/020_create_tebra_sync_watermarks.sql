@@ -0,0 +1,15 @@
+-- Migration: Create tebra_sync_watermarks table
+-- Per-tenant position of incremental Tebra feeds. For feed 'appointments' (tebraAppointmentFeed),
+-- watermark is the ToLastModifiedDate of the last poll whose appointments were all stored; the next
+-- poll asks Tebra for appointments modified since then (minus a small overlap).
+
+CREATE TABLE IF NOT EXISTS tebra_sync_watermarks (
+  feed VARCHAR(50) NOT NULL,
+  tenant_id VARCHAR(50) NOT NULL DEFAULT 'default',
+  watermark TIMESTAMPTZ,
+  last_polled_at TIMESTAMPTZ,
+  last_changes INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (feed, tenant_id)
+);
@@ -0,0 +1,20 @@
+-- Migration: Create patient_merges table
+-- One row per Tebra patient merged into another by an admin (patientIdentityService.merge). Local
+-- records of the duplicate (customer mappings, subscriptions, questionnaire completions, documents,
+-- encounters, billing rows, waitlist entries) were re-pointed to survivor_id; repointed holds the
+-- row counts per table. The patient resolver follows these rows, so a search that still finds the
+-- duplicate chart in Tebra resolves to the survivor.
+
+CREATE TABLE IF NOT EXISTS patient_merges (
+  tenant_id VARCHAR(50) NOT NULL DEFAULT 'default',
+  duplicate_id VARCHAR(50) NOT NULL,
+  survivor_id VARCHAR(50) NOT NULL,
+  repointed JSONB NOT NULL DEFAULT '{}'::jsonb,
+  reason TEXT,
+  merged_by VARCHAR(255),
+  merged_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tenant_id, duplicate_id),
+  CHECK (duplicate_id <> survivor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_merges_survivor ON patient_merges(tenant_id, survivor_id);
@@ -0,0 +1,24 @@
+-- Migration: Create billable_services table
+-- Server-side catalog of what patients can be billed for (serviceCatalogService). Checkout takes the
+-- price from here by service_id instead of trusting an amount from the storefront; Tebra charges use
+-- cpt_code / cpt_modifier. Rows override the services configured in BILLABLE_SERVICES_JSON.
+-- shopify_product_ids links subscription products to the service their renewals are charged as.
+-- billing_sync.service_id (added by billingSyncService) records the service a payment was for.
+
+CREATE TABLE IF NOT EXISTS billable_services (
+  service_id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  category VARCHAR(30) NOT NULL CHECK (category IN ('consultation', 'follow_up', 'lab_panel', 'subscription', 'fee', 'other')),
+  price_cents INTEGER NOT NULL CHECK (price_cents > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  cpt_code VARCHAR(10) NOT NULL,
+  cpt_modifier VARCHAR(4),
+  taxable BOOLEAN NOT NULL DEFAULT FALSE,
+  stripe_tax_code VARCHAR(50),
+  shopify_product_ids TEXT[] NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,30 @@
+-- Migration: Create subscription_charges table
+-- One row per subscription renewal (subscription and billing date), charged off-session to the
+-- subscription's saved Stripe payment method by subscriptionBillingService. Each attempt creates its
+-- own PaymentIntent (idempotency key per attempt). Tebra charge and payment are queued only once the
+-- renewal succeeded; their tebra_write_commands ids are kept here.
+-- The Stripe customer / payment method columns of subscriptions are added by subscriptionService.
+
+CREATE TABLE IF NOT EXISTS subscription_charges (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL,
+  billing_date DATE NOT NULL,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  status VARCHAR(30) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'succeeded', 'requires_payment_method', 'requires_action', 'declined', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  stripe_payment_intent_id VARCHAR(255),
+  failure_code VARCHAR(100),
+  failure_message TEXT,
+  tebra_charge_command_id INTEGER,
+  tebra_payment_command_id INTEGER,
+  notified_at TIMESTAMPTZ,
+  paid_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (subscription_id, billing_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_charges_status ON subscription_charges(status);
+CREATE INDEX IF NOT EXISTS idx_subscription_charges_payment_intent ON subscription_charges(stripe_payment_intent_id);
@@ -0,0 +1,21 @@
+-- Migration: Create subscription_dunning_events table
+-- Dunning history of subscriptions whose renewal failed (subscriptionDunningService): every change of
+-- subscriptions.status between active, past_due, retrying, suspended and cancelled, with the renewal
+-- charge it was caused by and whether the patient was emailed.
+-- The dunning columns of subscriptions (dunning_attempts, next_retry_at, ...) are added by subscriptionService.
+
+CREATE TABLE IF NOT EXISTS subscription_dunning_events (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL,
+  subscription_charge_id INTEGER,
+  from_status VARCHAR(20) NOT NULL,
+  to_status VARCHAR(20) NOT NULL,
+  attempt INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,
+  next_retry_at TIMESTAMPTZ,
+  notified BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_dunning_events_subscription ON subscription_dunning_events(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_dunning_events_to_status ON subscription_dunning_events(to_status, created_at);
@@ -0,0 +1,21 @@
+-- Migration: Create subscription_changes table
+-- Audit trail of changes made to a subscription through patient self-service
+-- (subscriptionManagementService): pause, skip, frequency and variant changes and cancellation, plus the
+-- automatic resume of paused subscriptions by the billing cron. Each row keeps the changed fields as
+-- { column: { from, to } }. Dunning transitions are kept in subscription_dunning_events.
+-- The paused_until column of subscriptions is added by subscriptionService.
+
+CREATE TABLE IF NOT EXISTS subscription_changes (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL,
+  action VARCHAR(30) NOT NULL CHECK (action IN ('pause', 'resume', 'skip', 'change_frequency', 'change_variant', 'cancel')),
+  actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('patient', 'system')),
+  actor_id TEXT,
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  reason TEXT,
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_changes_subscription ON subscription_changes(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_changes_action ON subscription_changes(action, created_at);
@@ -0,0 +1,8 @@
+-- Migration: Cap live slot holds per client IP
+-- Guests hold slots by cart token, so the IP the hold came from is kept to stop one client
+-- reserving many slots under throwaway carts (SLOT_HOLD_MAX_PER_IP).
+
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS client_ip TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_slot_holds_live_client_ip ON slot_holds(client_ip)
+  WHERE status = 'held';
@@ -0,0 +1,9 @@
+-- Migration: Tebra write command dependencies
+-- depends_on: a command that must succeed first (e.g. an order's payment waits for its charge).
+-- A dependent command stays pending, and is not claimed, until that command has succeeded;
+-- it is queued as soon as it does (including after an admin replay of a dead-lettered charge).
+
+ALTER TABLE tebra_write_commands ADD COLUMN IF NOT EXISTS depends_on INTEGER REFERENCES tebra_write_commands(id);
+
+CREATE INDEX IF NOT EXISTS idx_tebra_write_commands_depends_on ON tebra_write_commands(depends_on)
+  WHERE depends_on IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Migration: Tebra write command execution mode
+-- execution: 'queued' (enqueue / admin replay; the sweep may resume it) or 'inline' (execute();
+-- the caller already saw the outcome). An inline command interrupted mid-write is marked failed
+-- for admin replay instead of being re-run in the background.
+-- A command dead-lettered because the command it depends on was dead-lettered gets
+-- error_code 'TEBRA_WRITE_DEPENDENCY_DEAD' and returns to pending when that command is replayed.
+
+ALTER TABLE tebra_write_commands ADD COLUMN IF NOT EXISTS execution VARCHAR(10) NOT NULL DEFAULT 'queued'
+  CHECK (execution IN ('queued', 'inline'));
@@ -0,0 +1,7 @@
+-- Migration: Subscription charge payment attempts
+-- payment_attempt: number of the renewal's current Stripe payment attempt. Its PaymentIntent is created
+-- with one idempotency key (subscription-charge-<id>, then subscription-charge-<id>-<payment_attempt>),
+-- reused by retries after Stripe API / network errors or a crash mid-charge. Only a renewal Stripe
+-- declined (or that needs the patient) starts a new attempt.
+
+ALTER TABLE subscription_charges ADD COLUMN IF NOT EXISTS payment_attempt INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,10 @@
+-- Migration: Subscription charge Checkout sessions
+-- awaiting_checkout: the patient is paying the renewal through a Stripe Checkout session
+-- (checkout_session_id, open until checkout_expires_at). Dunning retries skip the renewal until the
+-- session has expired, so the card is not also charged off-session while the patient pays.
+
+ALTER TABLE subscription_charges DROP CONSTRAINT IF EXISTS subscription_charges_status_check;
+ALTER TABLE subscription_charges ADD CONSTRAINT subscription_charges_status_check
+  CHECK (status IN ('pending', 'processing', 'succeeded', 'requires_payment_method', 'requires_action', 'declined', 'failed', 'awaiting_checkout'));
+ALTER TABLE subscription_charges ADD COLUMN IF NOT EXISTS checkout_session_id VARCHAR(255);
+ALTER TABLE subscription_charges ADD COLUMN IF NOT EXISTS checkout_expires_at TIMESTAMPTZ;
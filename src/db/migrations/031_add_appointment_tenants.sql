@@ -0,0 +1,16 @@
+-- Migration: Tebra account of local appointments
+-- Appointment ids are only unique within one Tebra account (tenant, see tebraTenantService), so
+-- tebra_appointments is keyed by (tenant_id, tebra_appointment_id). The status history and the
+-- reminder response links keep the tenant too, so changes are written to the account that owns
+-- the appointment.
+
+ALTER TABLE tebra_appointments ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE tebra_appointments DROP CONSTRAINT IF EXISTS tebra_appointments_tebra_appointment_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tebra_appointments_tenant_appointment ON tebra_appointments(tenant_id, tebra_appointment_id);
+CREATE INDEX IF NOT EXISTS idx_tebra_appointments_appointment ON tebra_appointments(tebra_appointment_id);
+
+ALTER TABLE appointment_status_history ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+DROP INDEX IF EXISTS idx_appointment_status_history_appointment;
+CREATE INDEX IF NOT EXISTS idx_appointment_status_history_appointment ON appointment_status_history(tenant_id, tebra_appointment_id, created_at);
+
+ALTER TABLE appointment_response_links ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
@@ -0,0 +1,28 @@
+-- Migration: Tebra account of local patient records
+-- Patient ids are only unique within one Tebra account (tenant, see tebraTenantService), so the
+-- tables holding a Tebra patient id keep the tenant too and are looked up by (tenant_id, patient id).
+-- Existing rows belong to the 'default' account. Tables created by their services on first use are
+-- skipped here; the services add the column when they create them.
+
+ALTER TABLE IF EXISTS customer_patient_map ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE IF EXISTS subscriptions ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE IF EXISTS questionnaire_completions ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE IF EXISTS tebra_documents ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE IF EXISTS encounters ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE IF EXISTS billing_sync ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE IF EXISTS appointment_waitlist ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'customer_patient_map') THEN
+    CREATE INDEX IF NOT EXISTS idx_cpm_tenant_shopify_customer_id ON customer_patient_map(tenant_id, shopify_customer_id);
+    CREATE INDEX IF NOT EXISTS idx_cpm_tenant_email ON customer_patient_map(tenant_id, email);
+    CREATE INDEX IF NOT EXISTS idx_cpm_tenant_patient ON customer_patient_map(tenant_id, tebra_patient_id);
+  END IF;
+  IF EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'subscriptions') THEN
+    CREATE INDEX IF NOT EXISTS idx_subscriptions_tenant_patient ON subscriptions(tenant_id, tebra_patient_id);
+  END IF;
+  IF EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'billing_sync') THEN
+    CREATE INDEX IF NOT EXISTS idx_billing_sync_tenant_patient ON billing_sync(tenant_id, tebra_patient_id);
+  END IF;
+END $$;
@@ -175,6 +175,7 @@ app.use('/api/tebra-appointment', require('./routes/tebraAppointment'));
 app.use('/api/tebra-provider', require('./routes/tebraProvider'));
 app.use('/api/tebra-document', require('./routes/tebraDocument'));
 app.use('/api/tebra-appointment-reason', require('./routes/tebraAppointmentReason'));
+app.use('/api/tebra-reference', require('./routes/tebraReference'));
 app.use('/api/tebra-questionnaire', require('./routes/tebraQuestionnaire'));
 app.use('/api/telemed', require('./routes/telemed'));
 app.use('/api/products', require('./routes/products'));
@@ -183,6 +184,8 @@ app.use('/api/billing', require('./routes/billing'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/new-patient', require('./routes/newPatientForm'));
 app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/slot-holds', require('./routes/slotHolds'));
+app.use('/api/waitlist', require('./routes/waitlist'));
 app.use('/api/business-metrics', require('./routes/businessMetrics'));
 app.use('/api/email-verification', require('./routes/emailVerification'));
 app.use('/api/2fa', require('./routes/twoFactorAuth'));
@@ -203,6 +206,12 @@ const dbModule = require('./db/pg');
     console.error('[STARTUP] Migration failed:', error);
     // Don't crash the server, but log the error
   }
+  // Tebra accounts stored in tebra_tenants (env / TEBRA_TENANTS_JSON tenants are available immediately)
+  await require('./services/tebraTenantService').refresh();
+  // Billable services stored in billable_services (override BILLABLE_SERVICES_JSON)
+  await require('./services/serviceCatalogService').refresh();
+  // Admin state mappings built from synced Tebra reference data (override TEBRA_*_<STATE> env vars)
+  await require('./services/tebraReferenceDataService').applyStateMappings();
 })();
 
 // Global error handler (must be last)
@@ -321,12 +330,28 @@ app.get('/health', async (req, res) => {
   // Check Tebra API connectivity
   try {
     const tebraService = require('./services/tebraService');
+    const statuses = tebraService.getTenantResilienceStatus();
+    const { breaker, concurrency } = statuses[tebraService.tenantId];
     const connectionTest = await Promise.race([
       tebraService.testConnection(),
       new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
     ]);
-    if (connectionTest && connectionTest.success) {
-      health.checks.tebra = { status: 'healthy', message: 'connected', mode: connectionTest.mode };
+    const circuitBreaker = { state: breaker.state, consecutiveFailures: breaker.consecutiveFailures, retryAfterMs: breaker.retryAfterMs };
+    // Breaker of every Tebra account (tenant)
+    const circuitBreakers = Object.fromEntries(Object.entries(statuses).map(([tenantId, status]) => [tenantId, {
+      state: status.breaker.state,
+      consecutiveFailures: status.breaker.consecutiveFailures,
+      retryAfterMs: status.breaker.retryAfterMs,
+      lastFailure: status.breaker.lastFailure
+    }]));
+    const openTenants = Object.keys(circuitBreakers).filter(tenantId => circuitBreakers[tenantId].state === 'open');
+    if (openTenants.length) {
+      // Recent calls failed repeatedly; that account's Tebra calls are rejected until its breaker half-opens
+      health.checks.tebra = { status: 'unhealthy', message: `circuit breaker open (${openTenants.join(', ')})`, circuitBreaker, circuitBreakers, lastFailure: breaker.lastFailure };
+      health.status = 'degraded';
+      allHealthy = false;
+    } else if (connectionTest && connectionTest.success) {
+      health.checks.tebra = { status: 'healthy', message: 'connected', mode: connectionTest.mode, circuitBreaker, circuitBreakers, concurrency };
     } else {
       health.checks.tebra = { status: 'unhealthy', message: 'connection test failed' };
       health.status = 'degraded';
@@ -381,6 +406,9 @@ const alertingService = require('./services/alertingService');
 const businessMetricsService = require('./services/businessMetricsService');
 const metricsService = require('./services/metricsService');
 
+// Cache invalidation, reminder and metrics reactions to appointment changes (appointmentEvents)
+require('./services/appointmentEventSubscribers').register();
+
 // Schedule webhook retry processing every 5 minutes
 cron.schedule('*/5 * * * *', async () => {
   try {
@@ -396,6 +424,37 @@ cron.schedule('*/5 * * * *', async () => {
   }
 });
 
+// Tebra write queue sweep (runs every minute): due retries, and all queued writes when Redis is down
+cron.schedule('* * * * *', async () => {
+  try {
+    const tebraWriteQueue = require('./services/tebraWriteQueue');
+    await tebraWriteQueue.processDue();
+  } catch (error) {
+    console.error('[CRON] Tebra write queue processing failed:', error);
+  }
+});
+
+// Pull appointments changed in Tebra since the last poll and publish change events (runs every 2 minutes)
+cron.schedule('*/2 * * * *', async () => {
+  try {
+    const tebraAppointmentFeed = require('./services/tebraAppointmentFeed');
+    await tebraAppointmentFeed.poll();
+  } catch (error) {
+    console.error('[CRON] Appointment change feed poll failed:', error);
+  }
+});
+
+// Reconcile local appointment records with Tebra over the sync date range (runs hourly);
+// catches appointments deleted in Tebra, which the change feed does not see
+cron.schedule('0 * * * *', async () => {
+  try {
+    const appointmentStatusService = require('./services/appointmentStatusService');
+    await appointmentStatusService.syncAllTenants();
+  } catch (error) {
+    console.error('[CRON] Appointment status sync failed:', error);
+  }
+});
+
 // Schedule appointment reminders
 // 24-hour reminders (runs every hour, checks for appointments 24h from now)
 cron.schedule('0 * * * *', async () => {
@@ -415,6 +474,36 @@ cron.schedule('*/15 * * * *', async () => {
   }
 });
 
+// Release expired checkout slot holds (runs every minute)
+cron.schedule('* * * * *', async () => {
+  try {
+    const slotHoldService = require('./services/slotHoldService');
+    await slotHoldService.expireHolds();
+  } catch (error) {
+    console.error('[CRON] Slot hold expiry failed:', error);
+  }
+});
+
+// Reload billable services (runs every minute) so price edits saved on another instance are charged here too
+cron.schedule('* * * * *', async () => {
+  try {
+    const serviceCatalogService = require('./services/serviceCatalogService');
+    await serviceCatalogService.refresh();
+  } catch (error) {
+    console.error('[CRON] Service catalog refresh failed:', error);
+  }
+});
+
+// Roll unclaimed waitlist offers to the next patient (runs every minute)
+cron.schedule('* * * * *', async () => {
+  try {
+    const waitlistService = require('./services/waitlistService');
+    await waitlistService.expireOffers();
+  } catch (error) {
+    console.error('[CRON] Waitlist offer expiry failed:', error);
+  }
+});
+
 // Metrics and alerting check (runs every minute)
 if (alertingService.enabled) {
   cron.schedule('* * * * *', async () => {
@@ -537,6 +626,33 @@ const server = app.listen(PORT, () => {
   } catch (e) {
     logger.warn('Failed to start cache warming service', { error: e?.message || e });
   }
+
+  // Mirror Tebra reference data (practices, providers, locations, reasons, procedure codes) into Postgres
+  try {
+    const cron = require('node-cron');
+    const schedule = process.env.TEBRA_REFERENCE_SYNC_CRON || '0 3 * * *';
+
+    if (schedule === 'off') {
+      logger.info('Tebra reference data sync disabled (TEBRA_REFERENCE_SYNC_CRON=off)');
+    } else if (!cron.validate(schedule)) {
+      logger.warn('Invalid TEBRA_REFERENCE_SYNC_CRON, reference data sync not scheduled', { schedule });
+    } else {
+      cron.schedule(schedule, async () => {
+        try {
+          const tebraReferenceDataService = require('./services/tebraReferenceDataService');
+          const runs = await tebraReferenceDataService.sync({ trigger: 'cron' });
+          logger.info('Tebra reference data sync completed', {
+            runs: runs.map(run => ({ tenantId: run.tenantId, status: run.status, changes: run.changes.length }))
+          });
+        } catch (error) {
+          logger.error('Tebra reference data sync failed', { error: error.message });
+        }
+      });
+      logger.info('Tebra reference data sync scheduled', { schedule });
+    }
+  } catch (e) {
+    logger.warn('Failed to schedule Tebra reference data sync', { error: e?.message || e });
+  }
 });
 
 // Graceful shutdown
@@ -170,9 +170,14 @@ function performanceMonitor(req, res, next) {
  */
 function getPerformanceMetrics(req, res) {
   const summary = metricsService.getMetricsSummary();
+  // Tebra circuit breaker, concurrency and retry state (reported even when metrics are disabled):
+  // the default account, and every account by tenant id
+  const tebraService = require('../services/tebraService');
   res.json({
     success: true,
-    ...summary
+    ...summary,
+    tebra: tebraService.getResilienceStatus(),
+    tebraTenants: tebraService.getTenantResilienceStatus()
   });
 }
 
@@ -2,6 +2,8 @@
 // Input validation middleware using express-validator
 
 const { body, param, query, validationResult } = require('express-validator');
+const moment = require('moment-timezone');
+const { parseRRule, HOLIDAY_CALENDARS } = require('../utils/recurrenceUtils');
 const logger = require('../utils/logger');
 
 /**
@@ -126,6 +128,11 @@ const validateAppointmentBooking = [
     .withMessage('Appointment name must be a string')
     .isLength({ max: 200 })
     .withMessage('Appointment name must be less than 200 characters'),
+
+  body('appointmentReasonId')
+    .optional()
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('appointmentReasonId must be a string or integer'),
   
   body('productId')
     .optional()
@@ -178,6 +185,11 @@ const validateAvailabilityState = [
     .isString()
     .withMessage('Provider ID must be a string'),
   
+  query('appointmentReasonId')
+    .optional()
+    .isString()
+    .withMessage('Appointment reason ID must be a string'),
+  
   handleValidationErrors
 ];
 
@@ -256,10 +268,36 @@ const validateRegistration = [
   handleValidationErrors
 ];
 
+/**
+ * Optional practice/state/provider scope for availability schedules
+ */
+const availabilityScopeRules = [
+  body('practiceId')
+    .optional({ nullable: true })
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('practiceId must be a string or integer'),
+  
+  body('state')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('State must be a string')
+    .isLength({ min: 2, max: 2 })
+    .withMessage('State must be 2 characters')
+    .isUppercase()
+    .withMessage('State must be uppercase'),
+  
+  body('providerId')
+    .optional({ nullable: true })
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('providerId must be a string or integer')
+];
+
 /**
  * Validation rules for availability settings update
  */
 const validateAvailabilitySettings = [
+  ...availabilityScopeRules,
+
   body('businessHours')
     .optional()
     .isObject()
@@ -309,15 +347,425 @@ const validateAvailabilitySettings = [
     .isString()
     .withMessage('timezone must be a string')
     .isLength({ min: 1, max: 100 })
-    .withMessage('timezone must be between 1 and 100 characters'),
+    .withMessage('timezone must be between 1 and 100 characters')
+    .custom((value) => {
+      if (!moment.tz.zone(value)) {
+        throw new Error('timezone must be a valid IANA timezone (e.g., America/Chicago)');
+      }
+      return true;
+    }),
   
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for creating/replacing a practice, state or provider schedule
+ * (same fields as the settings update, but a scope is mandatory)
+ */
+const validateAvailabilitySchedule = [
+  body().custom((value, { req }) => {
+    const { practiceId, state, providerId } = req.body || {};
+    if (!practiceId && !state && !providerId) {
+      throw new Error('At least one of practiceId, state or providerId is required');
+    }
+    return true;
+  }),
+
+  body('label')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('label must be a string')
+    .isLength({ max: 200 })
+    .withMessage('label must be less than 200 characters'),
+
+  body('blockedDates')
+    .optional()
+    .isArray()
+    .withMessage('blockedDates must be an array of YYYY-MM-DD dates'),
+
+  body('blockedDates.*')
+    .optional()
+    .isISO8601()
+    .withMessage('blockedDates must contain ISO 8601 dates (YYYY-MM-DD)'),
+
+  body('blockedTimeSlots')
+    .optional()
+    .isArray()
+    .withMessage('blockedTimeSlots must be an array'),
+
+  ...validateAvailabilitySettings
+];
+
+/**
+ * Validation rules for availability exceptions (time off, recurring closures, holidays).
+ * Pass { partial: true } for updates, where every field is optional.
+ */
+function buildAvailabilityExceptionRules({ partial = false } = {}) {
+  const timePattern = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+  const startDate = body('startDate');
+  return [
+    ...availabilityScopeRules,
+
+    (partial ? startDate.optional() : startDate.notEmpty().withMessage('startDate is required'))
+      .isISO8601()
+      .withMessage('startDate must be a valid ISO 8601 date (YYYY-MM-DD)'),
+
+    body('endDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('endDate must be a valid ISO 8601 date (YYYY-MM-DD)'),
+
+    body('startTime')
+      .optional({ nullable: true })
+      .matches(timePattern)
+      .withMessage('startTime must be in HH:MM format (24-hour)'),
+
+    body('endTime')
+      .optional({ nullable: true })
+      .matches(timePattern)
+      .withMessage('endTime must be in HH:MM format (24-hour)'),
+
+    body('rrule')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('rrule must be a string')
+      .custom((value) => {
+        parseRRule(value);
+        return true;
+      }),
+
+    body('holidayCalendar')
+      .optional({ nullable: true })
+      .custom((value) => {
+        if (!HOLIDAY_CALENDARS[String(value).toUpperCase()]) {
+          throw new Error(`holidayCalendar must be one of: ${Object.keys(HOLIDAY_CALENDARS).join(', ')}`);
+        }
+        return true;
+      }),
+
+    body('exdates')
+      .optional()
+      .isArray()
+      .withMessage('exdates must be an array of YYYY-MM-DD dates'),
+
+    body('exdates.*')
+      .optional()
+      .isISO8601()
+      .withMessage('exdates must contain ISO 8601 dates (YYYY-MM-DD)'),
+
+    body('label')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('label must be a string')
+      .isLength({ max: 200 })
+      .withMessage('label must be less than 200 characters'),
+
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('active must be a boolean'),
+
+    handleValidationErrors
+  ];
+}
+
+const validateAvailabilityException = buildAvailabilityExceptionRules();
+const validateAvailabilityExceptionUpdate = buildAvailabilityExceptionRules({ partial: true });
+
+/**
+ * Validation rules for creating a checkout slot hold
+ */
+const validateSlotHold = [
+  body('state')
+    .notEmpty()
+    .withMessage('State is required')
+    .isString()
+    .withMessage('State must be a string')
+    .isLength({ min: 2, max: 2 })
+    .withMessage('State must be 2 characters (e.g., CA, TX)')
+    .isUppercase()
+    .withMessage('State must be uppercase'),
+
+  body('startTime')
+    .notEmpty()
+    .withMessage('Start time is required')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date string')
+    .custom((value) => {
+      if (new Date(value).getTime() < Date.now()) {
+        throw new Error('Start time must be in the future');
+      }
+      return true;
+    }),
+
+  body('providerId')
+    .optional()
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('providerId must be a string or integer'),
+
+  body('appointmentReasonId')
+    .optional()
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('appointmentReasonId must be a string or integer'),
+
+  body('cartToken')
+    .optional()
+    .isString()
+    .withMessage('cartToken must be a string')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('cartToken must be less than 255 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for extending a checkout slot hold
+ */
+const validateSlotHoldExtension = [
+  param('id')
+    .isUUID()
+    .withMessage('Hold ID must be a UUID'),
+
+  body('minutes')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('minutes must be between 1 and 60'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for joining the appointment waitlist
+ */
+const validateWaitlistJoin = [
+  body('state')
+    .notEmpty()
+    .withMessage('State is required')
+    .isString()
+    .withMessage('State must be a string')
+    .isLength({ min: 2, max: 2 })
+    .withMessage('State must be 2 characters (e.g., CA, TX)')
+    .isUppercase()
+    .withMessage('State must be uppercase'),
+
+  body('fromDate')
+    .notEmpty()
+    .withMessage('fromDate is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('fromDate must be a valid ISO 8601 date (YYYY-MM-DD)'),
+
+  body('toDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('toDate must be a valid ISO 8601 date (YYYY-MM-DD)'),
+
+  body('providerId')
+    .optional()
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('providerId must be a string or integer'),
+
+  body('appointmentReasonId')
+    .optional()
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('appointmentReasonId must be a string or integer'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Email must be a valid email address')
+    .normalizeEmail(),
+
+  body('firstName')
+    .optional()
+    .isString()
+    .withMessage('First name must be a string')
+    .isLength({ max: 100 })
+    .withMessage('First name must be less than 100 characters'),
+
+  body('lastName')
+    .optional()
+    .isString()
+    .withMessage('Last name must be a string')
+    .isLength({ max: 100 })
+    .withMessage('Last name must be less than 100 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for waitlist offer claim links
+ */
+const validateWaitlistOfferToken = [
+  param('token')
+    .matches(/^[0-9a-f]{64}$/i)
+    .withMessage('Invalid offer token'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for patient responses from appointment reminder links
+ */
+const validateAppointmentResponseToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid response link'),
+
+  handleValidationErrors
+];
+
+const validateAppointmentResponse = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid response link'),
+
+  body('message')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('message must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('message must be less than 1000 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for appointment reason scheduling rules
+ */
+const validateAppointmentReasonRule = [
+  body('appointmentReasonId')
+    .notEmpty()
+    .withMessage('appointmentReasonId is required')
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('appointmentReasonId must be a string or integer'),
+
+  body('practiceId')
+    .optional({ nullable: true })
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('practiceId must be a string or integer'),
+
+  body('label')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('label must be a string')
+    .isLength({ max: 200 })
+    .withMessage('label must be less than 200 characters'),
+
+  body('durationMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 5, max: 480 })
+    .withMessage('durationMinutes must be between 5 and 480'),
+
+  body('bufferBeforeMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 240 })
+    .withMessage('bufferBeforeMinutes must be between 0 and 240'),
+
+  body('bufferAfterMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 240 })
+    .withMessage('bufferAfterMinutes must be between 0 and 240'),
+
+  body('minNoticeMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 43200 })
+    .withMessage('minNoticeMinutes must be between 0 and 43200 (30 days)'),
+
+  body('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 500 })
+    .withMessage('capacity must be between 1 and 500'),
+
+  body('resourceIds')
+    .optional({ nullable: true })
+    .isArray({ max: 10 })
+    .withMessage('resourceIds must be an array of at most 10 Tebra resource IDs'),
+
+  body('resourceIds.*')
+    .custom((value) => (typeof value === 'string' && /^\d+$/.test(value)) || Number.isInteger(value))
+    .withMessage('resourceIds must contain numeric Tebra resource IDs'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for appointment cancellation/rescheduling policies
+ */
+const validateAppointmentPolicy = [
+  body('appointmentReasonId')
+    .optional({ nullable: true })
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('appointmentReasonId must be a string or integer'),
+
+  body('practiceId')
+    .optional({ nullable: true })
+    .custom((value) => typeof value === 'string' || Number.isInteger(value))
+    .withMessage('practiceId must be a string or integer'),
+
+  body('label')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('label must be a string')
+    .isLength({ max: 200 })
+    .withMessage('label must be less than 200 characters'),
+
+  body(['cancelNoticeHours', 'rescheduleNoticeHours'])
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Notice hours must be between 0 and 720 (30 days)'),
+
+  body('maxReschedules')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 50 })
+    .withMessage('maxReschedules must be between 0 and 50'),
+
+  body(['lateCancelFeeCents', 'lateRescheduleFeeCents', 'noShowFeeCents'])
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Fees must be between 0 and 100000 cents'),
+
+  body('lateAction')
+    .optional({ nullable: true })
+    .isIn(['fee', 'block'])
+    .withMessage('lateAction must be fee or block'),
+
+  body('feeMethod')
+    .optional({ nullable: true })
+    .isIn(['none', 'stripe', 'tebra'])
+    .withMessage('feeMethod must be none, stripe or tebra'),
+
+  body('feeCptCode')
+    .optional({ nullable: true })
+    .matches(/^[A-Z0-9]{4,5}$/i)
+    .withMessage('feeCptCode must be a 4-5 character procedure code'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for marking an appointment's lifecycle status
+ */
+const validateAppointmentStatusUpdate = [
+  body('status')
+    .isIn(['booked', 'confirmed', 'checked_in', 'completed', 'no_show', 'cancelled'])
+    .withMessage('status must be one of booked, confirmed, checked_in, completed, no_show, cancelled'),
+
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('note must be a string')
+    .isLength({ max: 500 })
+    .withMessage('note must be less than 500 characters'),
+
+  handleValidationErrors
+];
+
 /**
  * Validation rules for blocking dates
  */
 const validateBlockDate = [
+  ...availabilityScopeRules,
+
   body('date')
     .notEmpty()
     .withMessage('Date is required')
@@ -338,6 +786,8 @@ const validateBlockDate = [
  * Validation rules for blocking time slots
  */
 const validateBlockTimeSlot = [
+  ...availabilityScopeRules,
+
   body('date')
     .notEmpty()
     .withMessage('Date is required')
@@ -412,6 +862,18 @@ module.exports = {
   validateAvailabilityState,
   validateRegistration,
   validateAvailabilitySettings,
+  validateAvailabilitySchedule,
+  validateAvailabilityException,
+  validateAvailabilityExceptionUpdate,
+  validateAppointmentReasonRule,
+  validateAppointmentPolicy,
+  validateAppointmentStatusUpdate,
+  validateSlotHold,
+  validateSlotHoldExtension,
+  validateWaitlistJoin,
+  validateWaitlistOfferToken,
+  validateAppointmentResponseToken,
+  validateAppointmentResponse,
   validateBlockDate,
   validateBlockTimeSlot,
   sanitizeRequestBody,
@@ -1,5 +1,7 @@
 // backend/src/routes/admin.js
-// Admin routes for viewing and managing failed webhooks and dead letter queue
+// Admin routes for viewing and managing failed webhooks, queued Tebra writes, dead letter queue,
+// Tebra accounts (tenants), Tebra reference data syncs, state mappings, the appointment change feed,
+// duplicate patient merges and the billable service catalog
 
 const express = require('express');
 const router = express.Router();
@@ -8,6 +10,13 @@ const deadLetterQueue = require('../services/deadLetterQueue');
 const webhookRetryService = require('../services/webhookRetryService');
 const billingController = require('../controllers/billingController');
 const revenueHuntWebhookController = require('../controllers/revenueHuntWebhookController');
+const tebraWriteQueue = require('../services/tebraWriteQueue');
+const tebraTenantService = require('../services/tebraTenantService');
+const tebraReferenceDataService = require('../services/tebraReferenceDataService');
+const providerMapping = require('../config/providerMapping');
+const tebraAppointmentFeed = require('../services/tebraAppointmentFeed');
+const patientIdentityService = require('../services/patientIdentityService');
+const serviceCatalogService = require('../services/serviceCatalogService');
 
 // Get dead letter queue (permanently failed webhooks)
 router.get('/dlq', verifyAdminApiKey, async (req, res) => {
@@ -171,4 +180,564 @@ router.post('/webhooks/retry/process', verifyAdminApiKey, async (req, res) => {
   }
 });
 
+// List queued Tebra writes (filter by status: pending, processing, succeeded, failed, dead)
+router.get('/tebra-writes', verifyAdminApiKey, async (req, res) => {
+  try {
+    const { status, command, tenantId, limit = 50, offset = 0 } = req.query;
+
+    if (status && !tebraWriteQueue.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use one of: ${tebraWriteQueue.STATUSES.join(', ')}`
+      });
+    }
+
+    const { commands, count } = await tebraWriteQueue.list({
+      status: status || null,
+      command: command || null,
+      tenantId: tenantId || null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      commands,
+      count,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Error listing Tebra writes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list Tebra writes',
+      error: error.message
+    });
+  }
+});
+
+// Tebra write counts by status and command
+router.get('/tebra-writes/stats', verifyAdminApiKey, async (req, res) => {
+  try {
+    const statistics = await tebraWriteQueue.getStatistics();
+    res.json({
+      success: true,
+      statistics
+    });
+  } catch (error) {
+    console.error('Error getting Tebra write statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get Tebra write statistics',
+      error: error.message
+    });
+  }
+});
+
+// Dead-lettered Tebra writes
+router.get('/tebra-writes/dlq', verifyAdminApiKey, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, command } = req.query;
+
+    const { commands, count } = await deadLetterQueue.getTebraWriteDeadLetterQueue({
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      command: command || null
+    });
+
+    res.json({
+      success: true,
+      commands,
+      count,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Error getting Tebra write dead letter queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get Tebra write dead letter queue',
+      error: error.message
+    });
+  }
+});
+
+// Inspect one Tebra write (payload with file content redacted)
+router.get('/tebra-writes/:commandId', verifyAdminApiKey, async (req, res) => {
+  try {
+    const commandIdNum = parseInt(req.params.commandId);
+
+    if (isNaN(commandIdNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid command ID'
+      });
+    }
+
+    const command = await tebraWriteQueue.get(commandIdNum);
+
+    if (!command) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tebra write not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      command
+    });
+  } catch (error) {
+    console.error('Error getting Tebra write:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get Tebra write',
+      error: error.message
+    });
+  }
+});
+
+// Replay a failed or dead-lettered Tebra write
+router.post('/tebra-writes/:commandId/replay', verifyAdminApiKey, async (req, res) => {
+  try {
+    const commandIdNum = parseInt(req.params.commandId);
+
+    if (isNaN(commandIdNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid command ID'
+      });
+    }
+
+    const command = await deadLetterQueue.replayTebraWrite(commandIdNum);
+
+    res.json({
+      success: true,
+      message: 'Tebra write queued for replay',
+      command
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error replaying Tebra write:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay Tebra write',
+      error: error.message
+    });
+  }
+});
+
+// List Tebra accounts (credentials are never returned)
+router.get('/tebra-tenants', verifyAdminApiKey, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tenants: tebraTenantService.listTenants()
+    });
+  } catch (error) {
+    console.error('Error listing Tebra tenants:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list Tebra tenants',
+      error: error.message
+    });
+  }
+});
+
+// Create or update a Tebra account in tebra_tenants (credentials stored encrypted)
+router.put('/tebra-tenants/:tenantId', verifyAdminApiKey, async (req, res) => {
+  try {
+    const { name, customerKey, user, password, practiceName, soapEndpoint, practiceIds, active } = req.body || {};
+
+    const tenant = await tebraTenantService.saveTenant(req.params.tenantId, {
+      name,
+      customerKey,
+      user,
+      password,
+      practiceName,
+      soapEndpoint,
+      practiceIds,
+      active
+    });
+
+    res.json({
+      success: true,
+      message: 'Tebra tenant saved',
+      tenant
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error saving Tebra tenant:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to save Tebra tenant',
+      error: error.message
+    });
+  }
+});
+
+// Sync Tebra reference data now (one tenant, or every tenant with credentials)
+router.post('/tebra-reference/sync', verifyAdminApiKey, async (req, res) => {
+  try {
+    const runs = await tebraReferenceDataService.sync({
+      tenantId: req.body?.tenantId || req.query.tenantId || undefined,
+      trigger: 'admin'
+    });
+
+    res.json({
+      success: runs.every(run => run.status !== 'failed'),
+      runs
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error syncing Tebra reference data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync Tebra reference data',
+      error: error.message
+    });
+  }
+});
+
+// Recent reference data sync runs with what changed
+router.get('/tebra-reference/runs', verifyAdminApiKey, async (req, res) => {
+  try {
+    const { tenantId, limit = 20 } = req.query;
+
+    const runs = await tebraReferenceDataService.listRuns({ tenantId, limit });
+
+    res.json({
+      success: true,
+      runs
+    });
+  } catch (error) {
+    console.error('Error listing Tebra reference data sync runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list Tebra reference data sync runs',
+      error: error.message
+    });
+  }
+});
+
+// State mappings built from synced records, with the configuration currently in effect per state
+router.get('/tebra-state-mappings', verifyAdminApiKey, async (req, res) => {
+  try {
+    const mappings = await tebraReferenceDataService.listStateMappings();
+
+    res.json({
+      success: true,
+      mappings,
+      effective: providerMapping
+    });
+  } catch (error) {
+    console.error('Error listing Tebra state mappings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list Tebra state mappings',
+      error: error.message
+    });
+  }
+});
+
+// Map a state to a synced practice, provider, service location and appointment reason
+router.put('/tebra-state-mappings/:state', verifyAdminApiKey, async (req, res) => {
+  try {
+    const { tenantId, practiceId, providerId, serviceLocationId, appointmentReasonId, updatedBy } = req.body || {};
+
+    const mapping = await tebraReferenceDataService.saveStateMapping(req.params.state, {
+      tenantId,
+      practiceId,
+      providerId,
+      serviceLocationId,
+      appointmentReasonId
+    }, { updatedBy: updatedBy || null });
+
+    res.json({
+      success: true,
+      message: 'Tebra state mapping saved',
+      mapping
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error saving Tebra state mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save Tebra state mapping',
+      error: error.message
+    });
+  }
+});
+
+// Remove a state mapping; the state falls back to its TEBRA_*_<STATE> env configuration
+router.delete('/tebra-state-mappings/:state', verifyAdminApiKey, async (req, res) => {
+  try {
+    const deleted = await tebraReferenceDataService.deleteStateMapping(req.params.state);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'State mapping not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tebra state mapping removed'
+    });
+  } catch (error) {
+    console.error('Error removing Tebra state mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove Tebra state mapping',
+      error: error.message
+    });
+  }
+});
+
+// Appointment change feed position per Tebra tenant
+router.get('/appointment-feed', verifyAdminApiKey, async (req, res) => {
+  try {
+    const tenants = await tebraAppointmentFeed.getStatus();
+
+    res.json({
+      success: true,
+      tenants
+    });
+  } catch (error) {
+    console.error('Error getting appointment feed status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get appointment feed status',
+      error: error.message
+    });
+  }
+});
+
+// Poll the appointment change feed now (one tenant, or every tenant with credentials)
+router.post('/appointment-feed/poll', verifyAdminApiKey, async (req, res) => {
+  try {
+    const results = await tebraAppointmentFeed.poll({ tenantId: req.body?.tenantId || undefined });
+
+    res.json({
+      success: results.every(result => !result.error),
+      results
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error polling appointment feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to poll appointment feed',
+      error: error.message
+    });
+  }
+});
+
+// Move a tenant's feed watermark (e.g. back in time to re-read changes)
+router.put('/appointment-feed/:tenantId/watermark', verifyAdminApiKey, async (req, res) => {
+  try {
+    const result = await tebraAppointmentFeed.resetWatermark(req.params.tenantId, req.body?.watermark);
+
+    res.json({
+      success: true,
+      message: 'Appointment feed watermark reset',
+      ...result
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error resetting appointment feed watermark:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset appointment feed watermark',
+      error: error.message
+    });
+  }
+});
+
+// Likely duplicate patients from customer_patient_map and the tenant's Tebra patient list
+router.get('/patients/duplicates', verifyAdminApiKey, async (req, res) => {
+  try {
+    const report = await patientIdentityService.findDuplicates({
+      tenantId: req.query.tenantId || undefined,
+      includeTebra: req.query.includeTebra !== 'false'
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error building duplicate patients report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build duplicate patients report',
+      error: error.message
+    });
+  }
+});
+
+// Merge duplicate patients into a surviving one (local records only; merge the charts in Tebra too)
+router.post('/patients/merge', verifyAdminApiKey, async (req, res) => {
+  try {
+    const { tenantId, survivorId, duplicateIds, reason, mergedBy } = req.body || {};
+
+    const result = await patientIdentityService.merge(survivorId, duplicateIds, {
+      tenantId,
+      reason: reason || null,
+      mergedBy: mergedBy || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Patients merged',
+      ...result
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error merging patients:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge patients',
+      error: error.message
+    });
+  }
+});
+
+// Recorded patient merges
+router.get('/patients/merges', verifyAdminApiKey, async (req, res) => {
+  try {
+    const merges = await patientIdentityService.listMerges({
+      tenantId: req.query.tenantId || undefined,
+      patientId: req.query.patientId || undefined,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      merges
+    });
+  } catch (error) {
+    console.error('Error listing patient merges:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list patient merges',
+      error: error.message
+    });
+  }
+});
+
+// Billable service catalog (prices and CPT codes used by checkout and Tebra charges), inactive services included
+router.get('/billable-services', verifyAdminApiKey, async (req, res) => {
+  try {
+    // Show edits saved through another instance
+    await serviceCatalogService.refresh();
+    res.json({
+      success: true,
+      services: serviceCatalogService.listServices({ includeInactive: true })
+    });
+  } catch (error) {
+    console.error('Error listing billable services:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list billable services',
+      error: error.message
+    });
+  }
+});
+
+// Create or update a billable service in billable_services (set active: false to withdraw it from checkout)
+router.put('/billable-services/:serviceId', verifyAdminApiKey, async (req, res) => {
+  try {
+    const {
+      name, description, category, priceCents, currency, cptCode, cptModifier,
+      taxable, stripeTaxCode, shopifyProductIds, active, updatedBy
+    } = req.body || {};
+
+    const service = await serviceCatalogService.saveService(req.params.serviceId, {
+      name,
+      description,
+      category,
+      priceCents,
+      currency,
+      cptCode,
+      cptModifier,
+      taxable,
+      stripeTaxCode,
+      shopifyProductIds,
+      active
+    }, { updatedBy: updatedBy || null });
+
+    res.json({
+      success: true,
+      message: 'Billable service saved',
+      service
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error saving billable service:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save billable service',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -1,12 +1,25 @@
 const express = require('express');
 const router = express.Router();
+const moment = require('moment-timezone');
 const tebraService = require('../services/tebraService');
 const providerMapping = require('../config/providerMapping');
-const { validateAppointmentBooking, sanitizeRequestBody } = require('../middleware/validation');
+const { validateAppointmentBooking, validateAppointmentPolicy, validateAppointmentStatusUpdate, validateAppointmentResponseToken, validateAppointmentResponse, sanitizeRequestBody } = require('../middleware/validation');
 const appointmentEmailService = require('../services/appointmentEmailService');
 const customerPatientMapService = require('../services/customerPatientMapService');
+const patientIdentityService = require('../services/patientIdentityService');
+const appointmentReasonRuleService = require('../services/appointmentReasonRuleService');
+const slotHoldService = require('../services/slotHoldService');
+const appointmentPolicyService = require('../services/appointmentPolicyService');
+const appointmentStatusService = require('../services/appointmentStatusService');
+const appointmentResponseService = require('../services/appointmentResponseService');
 const logger = require('../utils/logger');
+const { isTebraError } = require('../services/tebraErrors');
+const { createTebraErrorResponse } = require('../utils/userFriendlyErrors');
 const { auth } = require('../middleware/shopifyTokenAuth');
+const { verifyAdminApiKey } = require('../middleware/adminAuth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+const responseLimiter = createRateLimiter({ windowMs: 60_000, max: 20 });
 
 /**
  * @swagger
@@ -74,12 +87,22 @@ const { auth } = require('../middleware/shopifyTokenAuth');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Tebra reports the slot or appointment already exists (SLOT_ALREADY_TAKEN)
+ *       422:
+ *         description: Tebra rejected the booking details (TEBRA_VALIDATION_ERROR)
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: Tebra credentials or practice access are misconfigured (TEBRA_AUTH_FAILED)
+ *       503:
+ *         description: Tebra is temporarily unavailable (TEBRA_UNAVAILABLE, or TEBRA_CIRCUIT_OPEN with a Retry-After header); retryable is true
+ *       504:
+ *         description: Tebra did not respond in time (TEBRA_TIMEOUT); retryable is true
  */
 // Patient (Shopify customer) sends booking request → backend creates appointment in Tebra for the provider
 router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody, validateAppointmentBooking, async (req, res) => {
@@ -116,18 +139,78 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
       });
     }
 
-    // Resolve patientId (lookup/create by authenticated email)
+    // Group sessions and multi-resource reasons can only book a slot availability still offers
+    // (seats left and every resource free); other reasons keep the fixed 30-minute request flow.
+    const appointmentReasonId = req.body.appointmentReasonId || mapping.appointmentReasonId;
+    const reasonRules = await appointmentReasonRuleService.resolveRules({ appointmentReasonId, practiceId: mapping.practiceId });
+    const isGroupAppointment = reasonRules.capacity > 1;
+    let offeredSlot = null;
+    if (isGroupAppointment || reasonRules.resourceIds.length > 0) {
+      offeredSlot = await slotHoldService.findOfferedSlot({
+        state: state.toUpperCase(),
+        practiceId: String(mapping.practiceId),
+        providerId: String(mapping.defaultProviderId),
+        appointmentReasonId,
+        start: moment.utc(startTime),
+        owner: { shopifyCustomerId: authCustomerId }
+      });
+      if (!offeredSlot) {
+        return res.status(409).json({
+          success: false,
+          code: isGroupAppointment ? 'CAPACITY_EXHAUSTED' : 'SLOT_UNAVAILABLE',
+          message: isGroupAppointment
+            ? 'This session is full. Please choose another time.'
+            : 'The selected time is no longer available'
+        });
+      }
+    }
+
+    // Tebra account serving the state; the patient and the appointment live there
+    const tebra = tebraService.forCall({ state, practiceId: mapping.practiceId });
+
+    // Resolve patientId (customer mapping, then Tebra match on email / name / phone, else create)
     let resolvedPatientId = null;
     {
       const effectiveEmail = authEmail;
       logger.info('[APPOINTMENT BOOKING] Resolving patient ID', { email: effectiveEmail, firstName, lastName, phone: phone || 'not provided' });
-      
-      // 1) Try DB mapping first
-      const existingMap = await customerPatientMapService.getByShopifyIdOrEmail(authCustomerId, effectiveEmail);
-      if (existingMap?.tebra_patient_id) {
-        resolvedPatientId = existingMap.tebra_patient_id;
-        logger.info('[APPOINTMENT BOOKING] Found existing patient in DB mapping', { patientId: resolvedPatientId, email: effectiveEmail });
-        
+
+      const patientCreateData = {
+        email: effectiveEmail,
+        firstName: firstName || 'Guest',
+        lastName: lastName || 'Customer',
+        state: state || null,
+        practiceId: mapping.practiceId // Include practice ID for proper assignment
+      };
+      // Add phone if provided (use for both HomePhone and MobilePhone)
+      if (phone) {
+        patientCreateData.phone = phone;
+        patientCreateData.mobilePhone = phone;
+      }
+
+      const patient = await patientIdentityService.findOrCreate(
+        { shopifyCustomerId: authCustomerId, email: effectiveEmail, firstName, lastName, phone },
+        { state, practiceId: mapping.practiceId, createPayload: patientCreateData }
+      );
+      resolvedPatientId = String(patient.id);
+
+      if (patient.created) {
+        logger.info('[APPOINTMENT BOOKING] Created new patient in Tebra', {
+          patientId: resolvedPatientId,
+          email: effectiveEmail,
+          firstName,
+          lastName,
+          phone: phone || 'not provided',
+          state,
+          practiceId: mapping.practiceId
+        });
+      } else {
+        logger.info('[APPOINTMENT BOOKING] Found existing patient', {
+          patientId: resolvedPatientId,
+          email: effectiveEmail,
+          source: patient.source,
+          matchedOn: patient.matchedOn
+        });
+
         // Update existing patient with latest data from Shopify if provided (skip when TEBRA_SKIP_UPDATE_PATIENT_ON_BOOK=true to avoid InternalServiceFault noise)
         if (firstName || lastName || phone) {
           if (process.env.TEBRA_SKIP_UPDATE_PATIENT_ON_BOOK === 'true') {
@@ -142,7 +225,7 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
                 updateData.mobilePhone = phone;
               }
               if (Object.keys(updateData).length > 0) {
-                await tebraService.updatePatient(resolvedPatientId, updateData);
+                await tebra.updatePatient(resolvedPatientId, updateData);
                 logger.info('[APPOINTMENT BOOKING] Updated existing patient with latest Shopify data', {
                   patientId: resolvedPatientId,
                   updates: updateData
@@ -156,84 +239,6 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
             }
           }
         }
-      } else {
-        // 2) Try searching in Tebra
-        const search = await tebraService.searchPatients({ email: effectiveEmail });
-        const firstMatch = (search.patients || [])[0];
-        if (firstMatch?.ID || firstMatch?.id) {
-          resolvedPatientId = String(firstMatch.ID || firstMatch.id);
-          logger.info('[APPOINTMENT BOOKING] Found existing patient in Tebra', { patientId: resolvedPatientId, email: effectiveEmail });
-          
-          // Save mapping to DB for future lookups
-          await customerPatientMapService.upsert(authCustomerId, effectiveEmail, resolvedPatientId);
-          
-          // Update existing patient with latest data from Shopify if provided (skip when TEBRA_SKIP_UPDATE_PATIENT_ON_BOOK=true)
-          if (firstName || lastName || phone) {
-            if (process.env.TEBRA_SKIP_UPDATE_PATIENT_ON_BOOK === 'true') {
-              logger.debug('[APPOINTMENT BOOKING] Skipping UpdatePatient (TEBRA_SKIP_UPDATE_PATIENT_ON_BOOK)');
-            } else {
-              try {
-                const updateData = {};
-                if (firstName) updateData.firstName = firstName;
-                if (lastName) updateData.lastName = lastName;
-                if (phone) {
-                  updateData.phone = phone;
-                  updateData.mobilePhone = phone; // Use same phone for mobile
-                }
-                if (Object.keys(updateData).length > 0) {
-                  await tebraService.updatePatient(resolvedPatientId, updateData);
-                  logger.info('[APPOINTMENT BOOKING] Updated existing patient with latest Shopify data', {
-                    patientId: resolvedPatientId,
-                    updates: updateData
-                  });
-                }
-              } catch (updateError) {
-                logger.warn('[APPOINTMENT BOOKING] Failed to update existing patient', {
-                  patientId: resolvedPatientId,
-                  error: updateError.message
-                });
-              }
-            }
-          }
-        } else {
-          // 3) Create patient in Tebra with all available info from Shopify
-          const patientCreateData = {
-            email: effectiveEmail,
-            firstName: firstName || 'Guest',
-            lastName: lastName || 'Customer',
-            state: state || null,
-            practiceId: mapping.practiceId // Include practice ID for proper assignment
-          };
-          
-          // Add phone if provided (use for both HomePhone and MobilePhone)
-          if (phone) {
-            patientCreateData.phone = phone;
-            patientCreateData.mobilePhone = phone; // Use same phone for mobile
-          }
-          
-          logger.info('[APPOINTMENT BOOKING] Creating patient in Tebra with data', {
-            email: effectiveEmail,
-            firstName,
-            lastName,
-            phone: phone || 'not provided',
-            state,
-            practiceId: mapping.practiceId
-          });
-          
-          const created = await tebraService.createPatient(patientCreateData);
-          resolvedPatientId = String(created?.id || created?.PatientID || created?.patientId);
-          
-          logger.info('[APPOINTMENT BOOKING] Created new patient in Tebra', {
-            patientId: resolvedPatientId,
-            email: effectiveEmail,
-            firstName,
-            lastName,
-            phone: phone || 'not provided'
-          });
-        }
-        if (resolvedPatientId) {
-          await customerPatientMapService.upsert(authCustomerId, effectiveEmail, resolvedPatientId);
-        }
       }
     }
 
@@ -244,8 +249,8 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
     // Parse start time (validation already ensures it's valid and in future)
     const startDate = new Date(startTime);
 
-    // Always enforce 30-minute appointment duration
-    const endDate = new Date(startDate.getTime() + 30 * 60000); // Always 30 minutes
+    // Enforce 30-minute appointment duration unless the offered group/multi-resource slot sets it
+    const endDate = offeredSlot ? new Date(offeredSlot.endTime) : new Date(startDate.getTime() + 30 * 60000);
 
     // Create appointment in Tebra as Tentative = booking REQUEST. Provider receives it in Tebra (Tentative Appointments / Action Required), reviews and confirms.
     // Set APPOINTMENT_REQUEST_AS_TENTATIVE=false to create as Scheduled (immediate, no provider review). Default: true.
@@ -264,14 +269,17 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
       practiceId: mapping.practiceId,
       providerId: mapping.defaultProviderId,
       serviceLocationId: mapping.serviceLocationId,
-      appointmentReasonId: mapping.appointmentReasonId,
+      appointmentReasonId,
       notes: `Consultation scheduled from questionnaire. Product: ${productId || 'N/A'}, Type: ${purchaseType || 'N/A'}`,
       isRecurring: false,
       state,
       practiceGuid: mapping.practiceGuid,
       providerGuid: mapping.providerGuid,
       resourceGuid: mapping.resourceGuid,
-      resourceId: mapping.resourceId
+      resourceId: mapping.resourceId,
+      resourceIds: reasonRules.resourceIds,
+      isGroupAppointment,
+      maxAttendees: reasonRules.capacity
     };
 
     console.log(`📅 [APPOINTMENT BOOKING] Sending patient's booking request to provider in Tebra:`, {
@@ -282,7 +290,13 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
       endTime: appointmentData.endTime
     });
 
-    const appointment = await tebraService.createAppointment(appointmentData);
+    // A client-supplied Idempotency-Key makes a retried booking return the first result instead of double-booking
+    const tebraWriteQueue = require('../services/tebraWriteQueue');
+    const idempotencyKey = req.get('Idempotency-Key');
+    const appointment = await tebraWriteQueue.execute('createAppointment', appointmentData, {
+      idempotencyKey: idempotencyKey ? `appointment-booking:${authCustomerId || resolvedPatientId}:${idempotencyKey}` : undefined,
+      source: 'appointment_booking'
+    });
     const appointmentId = appointment?.CreateAppointmentResult?.Appointment?.AppointmentID || 
                          appointment?.id || 
                          appointment?.AppointmentID ||
@@ -297,15 +311,30 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
 
     const cacheService = require('../services/cacheService');
     // Record just-booked slot so availability excludes it immediately (covers Tebra eventual consistency)
-    await cacheService.addBookedSlot(state.toUpperCase(), mapping.defaultProviderId, appointmentData.startTime, appointmentData.endTime);
+    await cacheService.addBookedSlot(state.toUpperCase(), mapping.defaultProviderId, appointmentData.startTime, appointmentData.endTime, {
+      appointmentReasonId,
+      resourceIds: reasonRules.resourceIds
+    });
     // Invalidate availability cache for this state/provider
     await cacheService.invalidateAvailability(state.toUpperCase(), mapping.defaultProviderId);
     logger.info('[APPOINTMENT BOOKING] Invalidated availability cache', { state, providerId: mapping.defaultProviderId });
 
+    await appointmentStatusService.recordFromTebra({
+      id: appointmentId,
+      practiceId: mapping.practiceId,
+      providerId: mapping.defaultProviderId,
+      patientId: resolvedPatientId,
+      patientEmail: authEmail,
+      appointmentReasonId,
+      startDateTime: appointmentData.startTime,
+      endDateTime: appointmentData.endTime,
+      appointmentStatus: appointmentData.appointmentStatus
+    }, { source: 'booking', tenantId: tebra.tenantId });
+
     // Send email (async, don't wait): request-received when Tentative, confirmation when Scheduled
     (async () => {
       try {
-        const patientInfo = await tebraService.getPatient(resolvedPatientId);
+        const patientInfo = await tebra.getPatient(resolvedPatientId);
         const patientName = patientInfo?.FirstName && patientInfo?.LastName 
           ? `${patientInfo.FirstName} ${patientInfo.LastName}`
           : (firstName && lastName ? `${firstName} ${lastName}`.trim() : authEmail || 'Patient');
@@ -348,6 +377,9 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
 
   } catch (error) {
     console.error('❌ [APPOINTMENT BOOKING] Error booking appointment:', error?.message || error);
+    if (isTebraError(error)) {
+      return sendTebraError(res, error, 'Tebra rejected appointment booking');
+    }
     if (error?.stack) console.error(error.stack);
     const msg = error?.message || 'Failed to book appointment';
     res.status(500).json({
@@ -363,6 +395,9 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
  * /api/appointments/{appointmentId}:
  *   delete:
  *     summary: Cancel an appointment
+ *     description: |
+ *       Applies the cancellation policy of the appointment reason. Late cancellations are
+ *       refused (409) or charged the late cancellation fee; the response includes the policy decision.
  *     tags: [Appointments]
  *     parameters:
  *       - in: path
@@ -382,9 +417,11 @@ router.post('/book', auth, express.json({ limit: '50kb' }), sanitizeRequestBody,
  *                 description: Cancellation reason
  *     responses:
  *       200:
- *         description: Appointment cancelled successfully
+ *         description: Appointment cancelled successfully (policy holds the decision, fee the fee charged if any)
  *       404:
  *         description: Appointment not found
+ *       409:
+ *         description: Cancellation not allowed by the appointment policy
  *       500:
  *         description: Internal server error
  */
@@ -401,8 +438,10 @@ router.delete('/:appointmentId', async (req, res) => {
       });
     }
 
-    // Get appointment first to get details
-    const appointment = await tebraService.getAppointment(appointmentId);
+    // Get appointment first to get details, from the Tebra account that owns it
+    const tenantId = await appointmentStatusService.tenantFor(appointmentId, req.body?.tenantId || req.query.tenantId);
+    const tebra = tebraService.forTenant(tenantId);
+    const appointment = await tebra.getAppointment(appointmentId);
     
     if (!appointment) {
       return res.status(404).json({
@@ -411,6 +450,11 @@ router.delete('/:appointmentId', async (req, res) => {
       });
     }
 
+    const policy = await appointmentPolicyService.evaluate({ action: 'cancel', appointment, appointmentId });
+    if (!policy.allowed) {
+      return res.status(409).json({ success: false, code: policy.code, message: policy.message, policy });
+    }
+
     // Update appointment status to Cancelled in Tebra (include required fields per Tebra guide)
     const updateData = {
       appointmentStatus: 'Cancelled',
@@ -427,12 +471,12 @@ router.delete('/:appointmentId', async (req, res) => {
 
     // Try to update appointment status
     try {
-      await tebraService.updateAppointment(appointmentId, updateData);
+      await tebra.updateAppointment(appointmentId, updateData);
     } catch (updateError) {
       // If update fails, try delete (some Tebra setups use delete for cancellation)
       logger.warn('[APPOINTMENT] Update failed, trying delete', { error: updateError.message });
       try {
-        await tebraService.deleteAppointment(appointmentId);
+        await tebra.deleteAppointment(appointmentId);
       } catch (deleteError) {
         throw new Error(`Failed to cancel appointment: ${updateError.message}`);
       }
@@ -442,6 +486,7 @@ router.delete('/:appointmentId', async (req, res) => {
       appointmentId,
       reason
     });
+    await appointmentStatusService.recordFromTebra({ ...appointment, id: appointmentId, appointmentStatus: 'Cancelled' }, { source: 'cancellation', status: 'cancelled', tenantId });
 
     // Invalidate availability cache (appointment was cancelled, slot is now available)
     const cacheService = require('../services/cacheService');
@@ -456,12 +501,23 @@ router.delete('/:appointmentId', async (req, res) => {
       await cacheService.invalidateAvailability();
     }
 
+    // Offer the freed slot to the waitlist (does not block the response)
+    const waitlistService = require('../services/waitlistService');
+    waitlistService.offerCancelledAppointment(appointment, { state: req.body?.state });
+
+    const fee = await appointmentPolicyService.recordChange({ decision: policy, appointment, req });
+
     res.json({
       success: true,
       appointmentId,
+      policy,
+      fee,
       message: 'Appointment cancelled successfully'
     });
   } catch (error) {
+    if (isTebraError(error)) {
+      return sendTebraError(res, error, 'Tebra rejected appointment cancellation');
+    }
     logger.error('[APPOINTMENT] Error cancelling appointment:', error);
     res.status(500).json({
       success: false,
@@ -476,6 +532,9 @@ router.delete('/:appointmentId', async (req, res) => {
  * /api/appointments/{appointmentId}/reschedule:
  *   put:
  *     summary: Reschedule an appointment
+ *     description: |
+ *       Applies the rescheduling policy of the appointment reason (notice window, maximum number
+ *       of reschedules, late reschedule fee); the response includes the policy decision.
  *     tags: [Appointments]
  *     parameters:
  *       - in: path
@@ -511,6 +570,8 @@ router.delete('/:appointmentId', async (req, res) => {
  *         description: Validation error
  *       404:
  *         description: Appointment not found
+ *       409:
+ *         description: Rescheduling not allowed by the appointment policy
  *       500:
  *         description: Internal server error
  */
@@ -536,8 +597,10 @@ router.put('/:appointmentId/reschedule', async (req, res) => {
       });
     }
 
-    // Get original appointment to preserve details
-    const originalAppointment = await tebraService.getAppointment(appointmentId);
+    // Get original appointment to preserve details, from the Tebra account that owns it
+    const tenantId = await appointmentStatusService.tenantFor(appointmentId, req.body?.tenantId);
+    const tebra = tebraService.forTenant(tenantId);
+    const originalAppointment = await tebra.getAppointment(appointmentId);
     
     if (!originalAppointment) {
       return res.status(404).json({
@@ -546,6 +609,11 @@ router.put('/:appointmentId/reschedule', async (req, res) => {
       });
     }
 
+    const policy = await appointmentPolicyService.evaluate({ action: 'reschedule', appointment: originalAppointment, appointmentId });
+    if (!policy.allowed) {
+      return res.status(409).json({ success: false, code: policy.code, message: policy.message, policy });
+    }
+
     // Calculate new end time (30 minutes after start, or use provided)
     const newEnd = newEndTime ? new Date(newEndTime) : new Date(newStart.getTime() + 30 * 60000);
 
@@ -564,11 +632,11 @@ router.put('/:appointmentId/reschedule', async (req, res) => {
     };
     
     try {
-      await tebraService.updateAppointment(appointmentId, cancelUpdateData);
+      await tebra.updateAppointment(appointmentId, cancelUpdateData);
     } catch (updateError) {
       logger.warn('[APPOINTMENT] Update failed during reschedule, trying delete', { error: updateError.message });
       try {
-        await tebraService.deleteAppointment(appointmentId);
+        await tebra.deleteAppointment(appointmentId);
       } catch (deleteError) {
         // Log but continue - we'll create the new appointment anyway
         logger.warn('[APPOINTMENT] Failed to cancel original appointment during reschedule', { error: deleteError.message });
@@ -587,7 +655,9 @@ router.put('/:appointmentId/reschedule', async (req, res) => {
                           ) || 'CA';
     
     const mapping = providerMapping[originalState.toUpperCase()] || providerMapping['CA'];
-    const newAppointment = await tebraService.createAppointment({
+    // Keyed by appointment and new start so a retried reschedule does not book the slot twice
+    const tebraWriteQueue = require('../services/tebraWriteQueue');
+    const newAppointment = await tebraWriteQueue.execute('createAppointment', {
       appointmentName: originalAppointment.appointmentName || 'Telemedicine Consultation',
       appointmentStatus: 'Scheduled',
       appointmentType: originalAppointment.appointmentType || 'P',
@@ -604,6 +674,10 @@ router.put('/:appointmentId/reschedule', async (req, res) => {
       appointmentReasonId: mapping?.appointmentReasonId || originalAppointment.appointmentReasonId,
       notes: `Rescheduled from ${originalAppointment.startDateTime || originalAppointment.startTime || originalAppointment.start_date}. ${reason || ''}`,
       isRecurring: false
+    }, {
+      idempotencyKey: `appointment-reschedule:${tenantId}:${appointmentId}:${newStart.toISOString()}`,
+      source: 'appointment_reschedule',
+      tenantId
     });
 
     const newAppointmentId = newAppointment?.CreateAppointmentResult?.Appointment?.AppointmentID || 
@@ -615,6 +689,17 @@ router.put('/:appointmentId/reschedule', async (req, res) => {
       newAppointmentId,
       newStartTime
     });
+    await appointmentStatusService.recordFromTebra({ ...originalAppointment, id: appointmentId, appointmentStatus: 'Cancelled' }, { source: 'reschedule', status: 'cancelled', tenantId });
+    if (newAppointmentId) {
+      await appointmentStatusService.recordFromTebra({
+        ...originalAppointment,
+        id: newAppointmentId,
+        startDateTime: newStart.toISOString(),
+        endDateTime: newEnd.toISOString(),
+        appointmentStatus: 'Scheduled',
+        confirmationStatus: null
+      }, { source: 'reschedule', status: 'booked', tenantId });
+    }
 
     // Invalidate availability cache (both old and new slots affected)
     const cacheService = require('../services/cacheService');
@@ -627,15 +712,27 @@ router.put('/:appointmentId/reschedule', async (req, res) => {
       await cacheService.invalidateAvailability();
     }
 
+    const fee = await appointmentPolicyService.recordChange({
+      decision: policy,
+      appointment: originalAppointment,
+      newAppointmentId,
+      req
+    });
+
     res.json({
       success: true,
       originalAppointmentId: appointmentId,
       newAppointmentId,
       newStartTime: newStart.toISOString(),
       newEndTime: newEnd.toISOString(),
+      policy,
+      fee,
       message: 'Appointment rescheduled successfully'
     });
   } catch (error) {
+    if (isTebraError(error)) {
+      return sendTebraError(res, error, 'Tebra rejected appointment reschedule');
+    }
     logger.error('[APPOINTMENT] Error rescheduling appointment:', error);
     res.status(500).json({
       success: false,
@@ -645,4 +742,540 @@ router.put('/:appointmentId/reschedule', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/appointments/policies:
+ *   get:
+ *     summary: List appointment cancellation/rescheduling policies
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: practiceId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policies
+ *   put:
+ *     summary: Create or replace a cancellation/rescheduling policy
+ *     description: |
+ *       Omit appointmentReasonId and/or practiceId for a policy that applies to every reason/practice;
+ *       the most specific policy wins (reason+practice, reason, practice, default). Changes later
+ *       than the notice window are refused online (lateAction block) or charged the late fee
+ *       (lateAction fee) through a Stripe payment link (feeMethod stripe) or a Tebra charge
+ *       (feeMethod tebra). No policy means changes are always allowed free of charge.
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               appointmentReasonId:
+ *                 type: string
+ *               practiceId:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               cancelNoticeHours:
+ *                 type: integer
+ *                 example: 24
+ *               rescheduleNoticeHours:
+ *                 type: integer
+ *                 example: 12
+ *               maxReschedules:
+ *                 type: integer
+ *                 example: 2
+ *               lateAction:
+ *                 type: string
+ *                 enum: [fee, block]
+ *               lateCancelFeeCents:
+ *                 type: integer
+ *                 example: 5000
+ *               lateRescheduleFeeCents:
+ *                 type: integer
+ *               noShowFeeCents:
+ *                 type: integer
+ *                 example: 7500
+ *               feeMethod:
+ *                 type: string
+ *                 enum: [none, stripe, tebra]
+ *               feeCptCode:
+ *                 type: string
+ *                 description: Procedure code for Tebra fee charges (default APPOINTMENT_FEE_CPT_CODE or 99199)
+ *     responses:
+ *       200:
+ *         description: Policy saved
+ */
+router.get('/policies', verifyAdminApiKey, async (req, res) => {
+  try {
+    const policies = await appointmentPolicyService.list(req.query.practiceId || null);
+    res.json({ success: true, policies, totalCount: policies.length });
+  } catch (error) {
+    logger.error('[APPOINTMENT] Error listing appointment policies:', error);
+    res.status(500).json({ success: false, message: 'Failed to list appointment policies', error: error.message });
+  }
+});
+
+router.put('/policies', verifyAdminApiKey, express.json({ limit: '10kb' }), sanitizeRequestBody, validateAppointmentPolicy, async (req, res) => {
+  try {
+    const { appointmentReasonId, practiceId, label, ...fields } = req.body;
+    const policy = await appointmentPolicyService.upsert(appointmentReasonId, practiceId, fields, label || null);
+    res.json({ success: true, policy, message: 'Appointment policy saved successfully' });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    }
+    logger.error('[APPOINTMENT] Error saving appointment policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to save appointment policy', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/policies/{id}:
+ *   delete:
+ *     summary: Delete an appointment policy
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Policy deleted
+ *       404:
+ *         description: Policy not found
+ */
+router.delete('/policies/:id', verifyAdminApiKey, async (req, res) => {
+  try {
+    const deleted = await appointmentPolicyService.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Appointment policy not found' });
+    }
+    res.json({ success: true, message: 'Appointment policy deleted successfully' });
+  } catch (error) {
+    logger.error('[APPOINTMENT] Error deleting appointment policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete appointment policy', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{appointmentId}/policy:
+ *   get:
+ *     summary: Preview the policy decision for cancelling or rescheduling an appointment
+ *     description: |
+ *       Lets the storefront show before the patient confirms whether the change is allowed,
+ *       the deadline for free changes and any late fee.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [cancel, reschedule]
+ *     responses:
+ *       200:
+ *         description: Policy decision (allowed, code, message, late, deadline, fee, reschedulesUsed, maxReschedules)
+ *       403:
+ *         description: Appointment belongs to another patient
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/:appointmentId/policy', auth, async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const action = req.query.action;
+    if (action !== 'cancel' && action !== 'reschedule') {
+      return res.status(400).json({ success: false, message: 'action must be cancel or reschedule' });
+    }
+
+    const tenantId = await appointmentStatusService.tenantFor(appointmentId, req.query.tenantId);
+    const appointment = await tebraService.forTenant(tenantId).getAppointment(appointmentId);
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: 'Appointment not found' });
+    }
+
+    const authCustomerId = req.user?.shopifyCustomerId || req.user?.id || req.user?.customerId || null;
+    const map = await customerPatientMapService.getByShopifyIdOrEmail(authCustomerId, req.user?.email, tenantId);
+    const appointmentPatientId = appointment.patientId || appointment.PatientId || appointment.patient?.id;
+    if (!map?.tebra_patient_id || String(map.tebra_patient_id) !== String(appointmentPatientId)) {
+      return res.status(403).json({ success: false, message: 'This appointment does not belong to you.' });
+    }
+
+    const policy = await appointmentPolicyService.evaluate({ action, appointment, appointmentId });
+    res.json({ success: true, policy });
+  } catch (error) {
+    logger.error('[APPOINTMENT] Error evaluating appointment policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to evaluate appointment policy', error: error.message });
+  }
+});
+
+// Typed Tebra errors map to their own HTTP status and a patient-facing message
+function sendTebraError(res, error, logMessage) {
+  logger.error(`[APPOINTMENT] ${logMessage}:`, { code: error.code, method: error.method, faultCode: error.faultCode, message: error.message });
+  const { statusCode, response } = createTebraErrorResponse(error, { isDevelopment: process.env.NODE_ENV === 'development' });
+  if (response.retryAfter) {
+    res.set('Retry-After', String(response.retryAfter));
+  }
+  return res.status(statusCode).json(response);
+}
+
+function sendStatusError(res, error, fallbackMessage) {
+  if (isTebraError(error)) {
+    return sendTebraError(res, error, fallbackMessage);
+  }
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  }
+  logger.error(`[APPOINTMENT] ${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+/**
+ * @swagger
+ * /api/appointments/tracking:
+ *   get:
+ *     summary: List locally tracked appointments with their lifecycle status
+ *     description: |
+ *       Appointments are synchronized from Tebra every 15 minutes (APPOINTMENT_SYNC_DAYS_BACK,
+ *       default 2, to APPOINTMENT_SYNC_DAYS_AHEAD, default 30) and written through on booking,
+ *       cancellation and rescheduling.
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [booked, confirmed, checked_in, completed, no_show, cancelled]
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointments (most recent start first)
+ */
+router.get('/tracking', verifyAdminApiKey, async (req, res) => {
+  try {
+    const appointments = await appointmentStatusService.list({
+      tenantId: req.query.tenantId,
+      status: req.query.status,
+      providerId: req.query.providerId,
+      patientId: req.query.patientId,
+      fromDate: req.query.fromDate,
+      toDate: req.query.toDate,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, appointments, count: appointments.length });
+  } catch (error) {
+    sendStatusError(res, error, 'Failed to list appointments');
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/tracking/sync:
+ *   post:
+ *     summary: Synchronize appointments in a date range from Tebra now
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *               tenantId:
+ *                 type: string
+ *                 description: Tebra account to sync; every account when omitted
+ *     responses:
+ *       200:
+ *         description: Sync result (tenantId, fetched, synced, failed), or one per account under tenants
+ */
+router.post('/tracking/sync', verifyAdminApiKey, express.json({ limit: '10kb' }), async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.body || {};
+    const isDate = (value) => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDate(fromDate) || !isDate(toDate)) {
+      return res.status(400).json({ success: false, message: 'fromDate and toDate must be YYYY-MM-DD dates' });
+    }
+    const { tenantId } = req.body || {};
+    if (tenantId) {
+      const result = await appointmentStatusService.syncRange({ fromDate, toDate, tenantId });
+      return res.json({ success: true, ...result });
+    }
+    const tenants = await appointmentStatusService.syncAllTenants({ fromDate, toDate });
+    res.json({ success: true, tenants });
+  } catch (error) {
+    sendStatusError(res, error, 'Failed to sync appointments');
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{appointmentId}/status:
+ *   get:
+ *     summary: Get an appointment's lifecycle status and status history
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         description: Tebra account of the appointment; needed only when several accounts use the id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment and history
+ *       404:
+ *         description: Appointment not tracked
+ *   put:
+ *     summary: Mark an appointment's lifecycle status
+ *     description: |
+ *       Marks the appointment confirmed, checked_in, completed, no_show, cancelled or booked.
+ *       checked_in, completed and no_show are only accepted once the appointment has started.
+ *       A no_show is recorded under the appointment policy and charged its no-show fee.
+ *       The marked status is kept until Tebra reports a different status.
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [booked, confirmed, checked_in, completed, no_show, cancelled]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment has not started yet
+ */
+router.get('/:appointmentId/status', verifyAdminApiKey, async (req, res) => {
+  try {
+    const tenantId = await appointmentStatusService.tenantFor(req.params.appointmentId, req.query.tenantId);
+    const appointment = await appointmentStatusService.get(req.params.appointmentId, tenantId);
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: 'Appointment not tracked' });
+    }
+    const history = await appointmentStatusService.getHistory(req.params.appointmentId, tenantId);
+    res.json({ success: true, appointment, history });
+  } catch (error) {
+    sendStatusError(res, error, 'Failed to get appointment status');
+  }
+});
+
+router.put('/:appointmentId/status', verifyAdminApiKey, express.json({ limit: '10kb' }), sanitizeRequestBody, validateAppointmentStatusUpdate, async (req, res) => {
+  try {
+    const tenantId = await appointmentStatusService.tenantFor(req.params.appointmentId, req.query.tenantId);
+    const { appointment, noShowFee } = await appointmentStatusService.markStatus(req.params.appointmentId, req.body.status, {
+      note: req.body.note || null,
+      tebraService: tebraService.forTenant(tenantId),
+      tenantId,
+      req
+    });
+    res.json({
+      success: true,
+      appointment,
+      policy: noShowFee?.decision || null,
+      fee: noShowFee?.result || null,
+      message: 'Appointment status updated'
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Failed to update appointment status');
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{appointmentId}/no-show:
+ *   post:
+ *     summary: Mark a no-show and charge the policy's no-show fee
+ *     description: Shorthand for PUT /api/appointments/{appointmentId}/status with status no_show.
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     responses:
+ *       200:
+ *         description: No-show recorded (fee holds the Stripe payment link or Tebra charge, if any)
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment has not started yet
+ */
+router.post('/:appointmentId/no-show', verifyAdminApiKey, async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const tenantId = await appointmentStatusService.tenantFor(appointmentId, req.query.tenantId);
+    const { appointment, noShowFee } = await appointmentStatusService.markStatus(appointmentId, 'no_show', {
+      tebraService: tebraService.forTenant(tenantId),
+      tenantId,
+      req
+    });
+    logger.info('[APPOINTMENT] No-show recorded', { appointmentId, feeStatus: noShowFee?.result?.feeStatus });
+    res.json({
+      success: true,
+      appointmentId,
+      appointment,
+      policy: noShowFee?.decision || null,
+      fee: noShowFee?.result || null
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Failed to record no-show');
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/responses/{token}:
+ *   get:
+ *     summary: Get the appointment behind a reminder response link
+ *     description: |
+ *       Reminder emails carry signed, single-use links (APPOINTMENT_RESPONSE_URL?token=...) to confirm,
+ *       cancel or request a reschedule without logging in. Links expire when the appointment starts.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link action and appointment; active is false once used, expired or cancelled
+ *       404:
+ *         description: Link not found or signature invalid
+ *   post:
+ *     summary: Apply the patient's response from a reminder link
+ *     description: |
+ *       confirm sets the Tebra confirmation status to Confirmed; cancel cancels the appointment in Tebra
+ *       under the cancellation policy (late cancellations are refused or charged); reschedule adds the
+ *       request (and optional message) to the appointment notes in Tebra and alerts the provider.
+ *       The token is the credential and can be used once.
+ *     tags: [Appointments]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Optional note for a reschedule request
+ *     responses:
+ *       200:
+ *         description: Response recorded (policy and fee are set for cancellations)
+ *       404:
+ *         description: Link or appointment not found
+ *       409:
+ *         description: Link used or expired, appointment already cancelled, or cancellation refused by policy
+ */
+router.get('/responses/:token', validateAppointmentResponseToken, async (req, res) => {
+  try {
+    const found = await appointmentResponseService.getLink(req.params.token);
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Link not found' });
+    }
+    const { link, appointment, active } = found;
+    res.json({
+      success: true,
+      action: link.action,
+      active,
+      link: { status: link.status, expiresAt: link.expiresAt, usedAt: link.usedAt },
+      appointment: appointment
+        ? { id: appointment.id, startTime: appointment.startTime, endTime: appointment.endTime, providerName: appointment.providerName, status: appointment.status }
+        : { id: link.appointmentId }
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Failed to get response link');
+  }
+});
+
+router.post('/responses/:token', responseLimiter, express.json({ limit: '10kb' }), sanitizeRequestBody, validateAppointmentResponse, async (req, res) => {
+  try {
+    const result = await appointmentResponseService.respond(req.params.token, {
+      message: req.body?.message || null,
+      req
+    });
+    const messages = {
+      confirm: 'Appointment confirmed',
+      cancel: 'Appointment cancelled',
+      reschedule: 'Reschedule request sent to your provider'
+    };
+    res.json({
+      success: true,
+      action: result.action,
+      appointmentId: result.appointmentId,
+      policy: result.policy,
+      fee: result.fee,
+      message: messages[result.action]
+    });
+  } catch (error) {
+    if (error.policy) {
+      return res.status(409).json({ success: false, code: error.code, message: error.message, policy: error.policy });
+    }
+    sendStatusError(res, error, 'Failed to record response');
+  }
+});
+
 module.exports = router;
@@ -4,25 +4,71 @@
 const express = require('express');
 const router = express.Router();
 const availabilityService = require('../services/availabilityService');
+const availabilityExceptionService = require('../services/availabilityExceptionService');
+const appointmentReasonRuleService = require('../services/appointmentReasonRuleService');
 const tebraService = require('../services/tebraService');
 const providerMapping = require('../config/providerMapping');
 const { 
   validateAvailabilityState, 
   validateAvailabilitySettings, 
+  validateAvailabilitySchedule,
+  validateAvailabilityException,
+  validateAvailabilityExceptionUpdate,
+  validateAppointmentReasonRule,
   validateBlockDate, 
   validateBlockTimeSlot,
   sanitizeRequestBody 
 } = require('../middleware/validation');
 const { verifyAdminApiKey } = require('../middleware/adminAuth');
 
+// Practice/state/provider scope from a request body or query (all keys optional)
+function getScope(source = {}) {
+  return {
+    practiceId: source.practiceId,
+    state: source.state,
+    providerId: source.providerId
+  };
+}
+
+function hasScope(scope) {
+  return !availabilityService.isEmptyScope(scope);
+}
+
+// Schedule changes affect cached filtered availability for every provider
+async function invalidateAvailabilityCache() {
+  try {
+    const cacheService = require('../services/cacheService');
+    await cacheService.invalidateAvailability();
+  } catch (e) {
+    console.warn('Failed to invalidate availability cache:', e?.message || e);
+  }
+}
+
 /**
  * @swagger
  * /api/availability/settings:
  *   get:
  *     summary: Get availability settings
+ *     description: |
+ *       Without query parameters returns the global settings. With practiceId, state
+ *       and/or providerId returns the effective schedule for that scope (global
+ *       defaults overlaid with the matching practice, state and provider schedules).
  *     tags: [Availability]
  *     security:
  *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: practiceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Availability settings
@@ -32,10 +78,21 @@ const { verifyAdminApiKey } = require('../middleware/adminAuth');
 // Get current availability settings (admin only)
 router.get('/settings', verifyAdminApiKey, async (req, res) => {
   try {
-    const settings = await availabilityService.getSettings();
+    const scope = getScope(req.query);
+    if (!hasScope(scope)) {
+      const settings = await availabilityService.getSettings();
+      return res.json({
+        success: true,
+        settings
+      });
+    }
+
+    const settings = await availabilityService.getScheduleSettings(scope);
     res.json({
       success: true,
-      settings
+      scope: availabilityService.normalizeScope(scope),
+      settings,
+      appliedSchedules: availabilityService.getMatchingSchedules(scope).map(s => ({ id: s.id, label: s.label, scope: s.scope }))
     });
   } catch (error) {
     console.error('Error getting availability settings:', error);
@@ -47,8 +104,9 @@ router.get('/settings', verifyAdminApiKey, async (req, res) => {
   }
 });
 
-// Update availability settings
-router.put('/settings', express.json(), sanitizeRequestBody, validateAvailabilitySettings, (req, res) => {
+// Update availability settings (admin only).
+// Include practiceId/state/providerId to update that scope's schedule instead of the global settings.
+router.put('/settings', verifyAdminApiKey, express.json(), sanitizeRequestBody, validateAvailabilitySettings, async (req, res) => {
   try {
     const { businessHours, advanceBookingDays, slotDuration, bufferTime, maxSlotsPerDay, timezone } = req.body;
     
@@ -60,7 +118,20 @@ router.put('/settings', express.json(), sanitizeRequestBody, validateAvailabilit
     if (maxSlotsPerDay !== undefined) updates.maxSlotsPerDay = maxSlotsPerDay;
     if (timezone) updates.timezone = timezone;
 
-    const updatedSettings = availabilityService.updateSettings(updates);
+    const scope = getScope(req.body);
+    if (hasScope(scope)) {
+      const schedule = await availabilityService.updateSchedule(scope, updates);
+      await invalidateAvailabilityCache();
+      return res.json({
+        success: true,
+        schedule,
+        settings: await availabilityService.getScheduleSettings(scope),
+        message: 'Availability schedule updated successfully'
+      });
+    }
+
+    const updatedSettings = await availabilityService.updateSettings(updates);
+    await invalidateAvailabilityCache();
     
     res.json({
       success: true,
@@ -77,12 +148,586 @@ router.put('/settings', express.json(), sanitizeRequestBody, validateAvailabilit
   }
 });
 
+/**
+ * @swagger
+ * /api/availability/schedules:
+ *   get:
+ *     summary: List practice, state and provider availability schedules
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Scoped schedules (only the fields each one overrides)
+ *   put:
+ *     summary: Create or replace the schedule for a practice, state and/or provider
+ *     description: Fields omitted from the body are inherited from less specific schedules.
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               practiceId:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               providerId:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               businessHours:
+ *                 type: object
+ *               blockedDates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               blockedTimeSlots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               advanceBookingDays:
+ *                 type: integer
+ *               slotDuration:
+ *                 type: integer
+ *               bufferTime:
+ *                 type: integer
+ *               maxSlotsPerDay:
+ *                 type: integer
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Schedule saved
+ *       400:
+ *         description: Validation error
+ */
+router.get('/schedules', verifyAdminApiKey, async (req, res) => {
+  try {
+    const schedules = await availabilityService.listSchedules();
+    res.json({
+      success: true,
+      schedules,
+      totalCount: schedules.length
+    });
+  } catch (error) {
+    console.error('Error listing availability schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list availability schedules',
+      error: error.message
+    });
+  }
+});
+
+router.put('/schedules', verifyAdminApiKey, express.json({ limit: '100kb' }), sanitizeRequestBody, validateAvailabilitySchedule, async (req, res) => {
+  try {
+    const { label } = req.body;
+    const overrides = {};
+    for (const field of ['businessHours', 'blockedDates', 'blockedTimeSlots', 'advanceBookingDays', 'slotDuration', 'bufferTime', 'maxSlotsPerDay', 'timezone']) {
+      if (req.body[field] !== undefined) overrides[field] = req.body[field];
+    }
+
+    const scope = getScope(req.body);
+    const schedule = await availabilityService.upsertSchedule(scope, overrides, label || null);
+    await invalidateAvailabilityCache();
+
+    res.json({
+      success: true,
+      schedule,
+      settings: await availabilityService.getScheduleSettings(scope),
+      message: 'Availability schedule saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving availability schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save availability schedule',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/availability/schedules/{id}:
+ *   delete:
+ *     summary: Delete a scoped schedule (the scope falls back to inherited settings)
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *       404:
+ *         description: Schedule not found
+ */
+router.delete('/schedules/:id', verifyAdminApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^\d+$/.test(id) || id === '1') {
+      return res.status(400).json({
+        success: false,
+        message: 'A scoped schedule id is required (the global settings cannot be deleted)'
+      });
+    }
+
+    const deleted = await availabilityService.deleteSchedule(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+    await invalidateAvailabilityCache();
+
+    res.json({
+      success: true,
+      message: `Schedule ${id} deleted successfully`
+    });
+  } catch (error) {
+    console.error('Error deleting availability schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete availability schedule',
+      error: error.message
+    });
+  }
+});
+
+const EXCEPTION_FIELDS = ['practiceId', 'state', 'providerId', 'label', 'rrule', 'holidayCalendar', 'startDate', 'endDate', 'startTime', 'endTime', 'exdates', 'active'];
+
+function pickExceptionFields(body = {}) {
+  const data = {};
+  for (const field of EXCEPTION_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+}
+
+/**
+ * @swagger
+ * /api/availability/exceptions:
+ *   get:
+ *     summary: List availability exceptions (time off, recurring closures, holidays)
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: practiceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exceptions
+ *   post:
+ *     summary: Create an availability exception
+ *     description: |
+ *       A one-off date or range (startDate/endDate), a recurring rule (rrule, e.g.
+ *       "FREQ=MONTHLY;BYDAY=2FR" or "FREQ=WEEKLY;INTERVAL=2;BYDAY=FR") or a holiday
+ *       calendar (holidayCalendar: US_FEDERAL). startTime/endTime limit it to part of
+ *       the day (provider-local); exdates lists dates the exception does not apply.
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *             properties:
+ *               practiceId:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               providerId:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               rrule:
+ *                 type: string
+ *               holidayCalendar:
+ *                 type: string
+ *                 enum: [US_FEDERAL]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *                 example: "12:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "17:00"
+ *               exdates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *     responses:
+ *       201:
+ *         description: Exception created
+ *       400:
+ *         description: Validation error
+ */
+router.get('/exceptions', verifyAdminApiKey, async (req, res) => {
+  try {
+    const scope = getScope(req.query);
+    const exceptions = await availabilityExceptionService.list(hasScope(scope) ? scope : null);
+    res.json({
+      success: true,
+      exceptions,
+      totalCount: exceptions.length
+    });
+  } catch (error) {
+    console.error('Error listing availability exceptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list availability exceptions',
+      error: error.message
+    });
+  }
+});
+
+router.post('/exceptions', verifyAdminApiKey, express.json({ limit: '50kb' }), sanitizeRequestBody, validateAvailabilityException, async (req, res) => {
+  let data;
+  try {
+    data = pickExceptionFields(req.body);
+    availabilityExceptionService.validate(data);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const exception = await availabilityExceptionService.create(data);
+    await invalidateAvailabilityCache();
+    res.status(201).json({
+      success: true,
+      exception,
+      message: 'Availability exception created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating availability exception:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create availability exception',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/availability/exceptions/{id}:
+ *   get:
+ *     summary: Get an availability exception, with its upcoming occurrences
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Exception
+ *       404:
+ *         description: Exception not found
+ *   put:
+ *     summary: Update an availability exception
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Exception updated
+ *       404:
+ *         description: Exception not found
+ *   delete:
+ *     summary: Delete an availability exception
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Exception deleted
+ *       404:
+ *         description: Exception not found
+ */
+router.get('/exceptions/:id', verifyAdminApiKey, async (req, res) => {
+  try {
+    const exception = await availabilityExceptionService.get(req.params.id);
+    if (!exception) {
+      return res.status(404).json({ success: false, message: 'Exception not found' });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const fromDate = req.query.fromDate || (exception.startDate > today ? exception.startDate : today);
+    const toDate = req.query.toDate || new Date(new Date(fromDate).getTime() + 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    res.json({
+      success: true,
+      exception,
+      occurrences: availabilityExceptionService.getOccurrences(exception, fromDate, toDate),
+      fromDate,
+      toDate
+    });
+  } catch (error) {
+    console.error('Error getting availability exception:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get availability exception',
+      error: error.message
+    });
+  }
+});
+
+router.put('/exceptions/:id', verifyAdminApiKey, express.json({ limit: '50kb' }), sanitizeRequestBody, validateAvailabilityExceptionUpdate, async (req, res) => {
+  try {
+    const existing = await availabilityExceptionService.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Exception not found' });
+    }
+
+    const changes = pickExceptionFields(req.body);
+    try {
+      availabilityExceptionService.validate({ ...existing, ...changes });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+
+    const exception = await availabilityExceptionService.update(req.params.id, changes);
+    await invalidateAvailabilityCache();
+    res.json({
+      success: true,
+      exception,
+      message: 'Availability exception updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating availability exception:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update availability exception',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/exceptions/:id', verifyAdminApiKey, async (req, res) => {
+  try {
+    const deleted = await availabilityExceptionService.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Exception not found' });
+    }
+    await invalidateAvailabilityCache();
+    res.json({
+      success: true,
+      message: `Exception ${req.params.id} deleted successfully`
+    });
+  } catch (error) {
+    console.error('Error deleting availability exception:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete availability exception',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/availability/reason-rules:
+ *   get:
+ *     summary: List appointment reason scheduling rules
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: practiceId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rules
+ *   put:
+ *     summary: Create or replace the scheduling rule for an appointment reason
+ *     description: |
+ *       Sets the appointment length, the buffers kept free before/after it and the minimum
+ *       booking notice for a Tebra appointment reason. Omit practiceId to apply the rule in
+ *       every practice. Unset fields fall back to the provider schedule (slotDuration, bufferTime) or 0.
+ *       capacity > 1 makes the reason a group session: a slot stays bookable until that many
+ *       patients are booked or holding it. resourceIds are extra Tebra resources (rooms, equipment)
+ *       booked with every appointment; slots are only offered while those resources are free.
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - appointmentReasonId
+ *             properties:
+ *               appointmentReasonId:
+ *                 type: string
+ *               practiceId:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               durationMinutes:
+ *                 type: integer
+ *                 example: 45
+ *               bufferBeforeMinutes:
+ *                 type: integer
+ *                 example: 5
+ *               bufferAfterMinutes:
+ *                 type: integer
+ *                 example: 10
+ *               minNoticeMinutes:
+ *                 type: integer
+ *                 example: 240
+ *               capacity:
+ *                 type: integer
+ *                 example: 8
+ *               resourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["12"]
+ *     responses:
+ *       200:
+ *         description: Rule saved
+ */
+router.get('/reason-rules', verifyAdminApiKey, async (req, res) => {
+  try {
+    const rules = await appointmentReasonRuleService.list(req.query.practiceId || null);
+    res.json({
+      success: true,
+      rules,
+      totalCount: rules.length
+    });
+  } catch (error) {
+    console.error('Error listing appointment reason rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list appointment reason rules',
+      error: error.message
+    });
+  }
+});
+
+router.put('/reason-rules', verifyAdminApiKey, express.json({ limit: '10kb' }), sanitizeRequestBody, validateAppointmentReasonRule, async (req, res) => {
+  try {
+    const { appointmentReasonId, practiceId, label, durationMinutes, bufferBeforeMinutes, bufferAfterMinutes, minNoticeMinutes, capacity, resourceIds } = req.body;
+    const rule = await appointmentReasonRuleService.upsert(
+      appointmentReasonId,
+      practiceId,
+      { durationMinutes, bufferBeforeMinutes, bufferAfterMinutes, minNoticeMinutes, capacity, resourceIds },
+      label || null
+    );
+    await invalidateAvailabilityCache();
+    res.json({
+      success: true,
+      rule,
+      message: 'Appointment reason rule saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving appointment reason rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save appointment reason rule',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/availability/reason-rules/{id}:
+ *   delete:
+ *     summary: Delete an appointment reason scheduling rule
+ *     tags: [Availability]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.delete('/reason-rules/:id', verifyAdminApiKey, async (req, res) => {
+  try {
+    const deleted = await appointmentReasonRuleService.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+    await invalidateAvailabilityCache();
+    res.json({
+      success: true,
+      message: `Rule ${req.params.id} deleted successfully`
+    });
+  } catch (error) {
+    console.error('Error deleting appointment reason rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete appointment reason rule',
+      error: error.message
+    });
+  }
+});
+
 // Block a date (admin only)
 router.post('/block-date', verifyAdminApiKey, express.json({ limit: '10kb' }), sanitizeRequestBody, validateBlockDate, async (req, res) => {
   try {
     const { date } = req.body;
 
-    const blockedDates = await availabilityService.blockDate(date);
+    const blockedDates = await availabilityService.blockDate(date, getScope(req.body));
+    await invalidateAvailabilityCache();
     
     res.json({
       success: true,
@@ -100,11 +745,12 @@ router.post('/block-date', verifyAdminApiKey, express.json({ limit: '10kb' }), s
 });
 
 // Unblock a date (admin only)
-router.delete('/block-date', verifyAdminApiKey, express.json(), sanitizeRequestBody, validateBlockDate, (req, res) => {
+router.delete('/block-date', verifyAdminApiKey, express.json(), sanitizeRequestBody, validateBlockDate, async (req, res) => {
   try {
     const { date } = req.body;
 
-    const blockedDates = availabilityService.unblockDate(date);
+    const blockedDates = await availabilityService.unblockDate(date, getScope(req.body));
+    await invalidateAvailabilityCache();
     
     res.json({
       success: true,
@@ -122,11 +768,12 @@ router.delete('/block-date', verifyAdminApiKey, express.json(), sanitizeRequestB
 });
 
 // Block a time slot (admin only)
-router.post('/block-time-slot', verifyAdminApiKey, express.json(), sanitizeRequestBody, validateBlockTimeSlot, (req, res) => {
+router.post('/block-time-slot', verifyAdminApiKey, express.json(), sanitizeRequestBody, validateBlockTimeSlot, async (req, res) => {
   try {
     const { date, startTime, endTime } = req.body;
 
-    const blockedSlots = availabilityService.blockTimeSlot(date, startTime, endTime);
+    const blockedSlots = await availabilityService.blockTimeSlot(date, startTime, endTime, getScope(req.body));
+    await invalidateAvailabilityCache();
     
     res.json({
       success: true,
@@ -143,8 +790,8 @@ router.post('/block-time-slot', verifyAdminApiKey, express.json(), sanitizeReque
   }
 });
 
-// Unblock a time slot
-router.delete('/block-time-slot', express.json(), (req, res) => {
+// Unblock a time slot (admin only)
+router.delete('/block-time-slot', verifyAdminApiKey, express.json(), async (req, res) => {
   try {
     const { date, startTime, endTime } = req.body;
     if (!date || !startTime || !endTime) {
@@ -154,7 +801,8 @@ router.delete('/block-time-slot', express.json(), (req, res) => {
       });
     }
 
-    const blockedSlots = availabilityService.unblockTimeSlot(date, startTime, endTime);
+    const blockedSlots = await availabilityService.unblockTimeSlot(date, startTime, endTime, getScope(req.body));
+    await invalidateAvailabilityCache();
     
     res.json({
       success: true,
@@ -186,6 +834,9 @@ router.get('/:state', validateAvailabilityState, async (req, res) => {
       });
     }
 
+    // Slot length, buffers and minimum notice follow the appointment reason
+    const appointmentReasonId = req.query.appointmentReasonId || mapping.appointmentReasonId || null;
+
     // Parse pagination params (for availability slots)
     const pagination = parsePaginationParams(req, { defaultLimit: 50, maxLimit: 200 });
 
@@ -195,22 +846,28 @@ router.get('/:state', validateAvailabilityState, async (req, res) => {
       state: state.toUpperCase(),
       practiceId: mapping.practiceId,
       providerId: providerId || mapping.defaultProviderId,
+      appointmentReasonId,
       fromDate: fromDate || new Date().toISOString().split('T')[0],
       toDate: toDate || new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
     };
     
+    // Cached as { slots, rawCount, timezone, rules } so a cache hit answers like a Tebra fetch
     const cachedFiltered = await cacheService.getCachedAvailability(cacheKey);
-    if (cachedFiltered) {
+    if (cachedFiltered && Array.isArray(cachedFiltered.slots)) {
       // Apply pagination to cached filtered slots
-      const total = cachedFiltered.length;
-      const paginatedSlots = cachedFiltered.slice(pagination.offset, pagination.offset + pagination.limit);
+      const total = cachedFiltered.slots.length;
+      const paginatedSlots = cachedFiltered.slots.slice(pagination.offset, pagination.offset + pagination.limit);
       const paginationMeta = createPaginationMeta({ ...pagination, total });
 
       return res.json(createPaginatedResponse(paginatedSlots, paginationMeta, {
         rawCount: cachedFiltered.rawCount || 0,
+        timezone: cachedFiltered.timezone || null,
         state: state.toUpperCase(),
         practiceId: mapping.practiceId,
         providerId: providerId || mapping.defaultProviderId,
+        appointmentReasonId,
+        rules: cachedFiltered.rules || null,
+        waitlistAvailable: total === 0,
         filtersApplied: true,
         cached: true
       }));
@@ -221,6 +878,7 @@ router.get('/:state', validateAvailabilityState, async (req, res) => {
       practiceId: mapping.practiceId,
       providerId: providerId || mapping.defaultProviderId,
       state: state.toUpperCase(),
+      appointmentReasonId,
       isAvailable: true,
       fromDate: fromDate || new Date().toISOString().split('T')[0],
       toDate: toDate || new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
@@ -229,11 +887,23 @@ router.get('/:state', validateAvailabilityState, async (req, res) => {
     // Apply business rules and filters (now async)
     const allFilteredSlots = await availabilityService.filterAvailability(
       rawAvailability.availability || [],
-      { state, practiceId: mapping.practiceId, providerId: providerId || mapping.defaultProviderId }
+      {
+        state: state.toUpperCase(),
+        practiceId: mapping.practiceId,
+        providerId: providerId || mapping.defaultProviderId,
+        minNoticeMinutes: rawAvailability.rules?.minNoticeMinutes || 0
+      }
     );
 
+    const timezone = rawAvailability.timezone || allFilteredSlots[0]?.timezone || null;
+
     // Cache filtered availability
-    await cacheService.cacheAvailability(cacheKey, allFilteredSlots);
+    await cacheService.cacheAvailability(cacheKey, {
+      slots: allFilteredSlots,
+      rawCount: rawAvailability.totalCount || 0,
+      timezone,
+      rules: rawAvailability.rules || null
+    });
 
     // Apply pagination to filtered slots
     const total = allFilteredSlots.length;
@@ -242,9 +912,14 @@ router.get('/:state', validateAvailabilityState, async (req, res) => {
 
     res.json(createPaginatedResponse(paginatedSlots, paginationMeta, {
       rawCount: rawAvailability.totalCount || 0,
+      timezone,
       state: state.toUpperCase(),
       practiceId: mapping.practiceId,
       providerId: providerId || mapping.defaultProviderId,
+      appointmentReasonId,
+      rules: rawAvailability.rules || null,
+      // Nothing bookable: the storefront can offer POST /api/waitlist instead
+      waitlistAvailable: total === 0,
       filtersApplied: true
     }));
   } catch (error) {
@@ -3,8 +3,31 @@ const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/shopifyTokenAuth');
 const controller = require('../controllers/billingSummaryController');
+const subscriptionBillingService = require('../services/subscriptionBillingService');
+const subscriptionManagementService = require('../services/subscriptionManagementService');
 const { query } = require('../db/pg');
 
+function getOwner(req) {
+  return {
+    shopifyCustomerId: req.user?.shopifyCustomerId || req.user?.customerId || req.user?.id || null,
+    email: req.user?.email || null
+  };
+}
+
+function sendBillingError(res, error, fallbackMessage) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  }
+  if (error.status === 502) {
+    return res.status(502).json({ success: false, message: error.message, code: error.code });
+  }
+  if (error.code === 'STRIPE_NOT_CONFIGURED') {
+    return res.status(503).json({ success: false, message: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
 /**
  * @swagger
  * /api/billing/summary:
@@ -37,6 +60,312 @@ const { query } = require('../db/pg');
  */
 router.get('/summary', auth, controller.summary);
 
+/**
+ * @swagger
+ * /api/billing/subscriptions:
+ *   get:
+ *     summary: List the logged-in customer's subscriptions
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions of any status, newest first ({ subscriptions })
+ */
+router.get('/subscriptions', auth, async (req, res) => {
+  try {
+    const subscriptions = await subscriptionManagementService.listSubscriptions(getOwner(req));
+    return res.json({ success: true, subscriptions });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to list subscriptions');
+  }
+});
+
+/**
+ * @swagger
+ * /api/billing/subscriptions/{subscriptionId}/history:
+ *   get:
+ *     summary: Changes made to a subscription (pause, skip, frequency, dose, cancellation)
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Changes, newest first ({ history })
+ *       404:
+ *         description: Subscription not found for the logged-in customer
+ */
+router.get('/subscriptions/:subscriptionId/history', auth, async (req, res) => {
+  try {
+    const history = await subscriptionManagementService.getHistory(req.params.subscriptionId, getOwner(req));
+    return res.json({ success: true, history });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to get subscription history');
+  }
+});
+
+/**
+ * @swagger
+ * /api/billing/subscriptions/{subscriptionId}/pause:
+ *   post:
+ *     summary: Pause a subscription for a number of billing periods
+ *     description: |
+ *       The next renewal moves by the given number of billing periods; the subscription resumes and is
+ *       charged on that date. At most SUBSCRIPTION_MAX_PAUSE_CYCLES (default 3) periods.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [cycles]
+ *             properties:
+ *               cycles:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Subscription paused ({ subscription })
+ *       400:
+ *         description: Invalid number of cycles
+ *       404:
+ *         description: Subscription not found for the logged-in customer
+ *       409:
+ *         description: Subscription is not active (paused, payment overdue or cancelled) or was changed meanwhile
+ */
+router.post('/subscriptions/:subscriptionId/pause', auth, express.json({ limit: '1mb' }), async (req, res) => {
+  try {
+    const subscription = await subscriptionManagementService.pause(req.params.subscriptionId, getOwner(req), { cycles: req.body?.cycles });
+    return res.json({ success: true, subscription });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to pause subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/billing/subscriptions/{subscriptionId}/skip:
+ *   post:
+ *     summary: Skip the next shipment (next renewal moves one billing period)
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Next renewal skipped ({ subscription })
+ *       404:
+ *         description: Subscription not found for the logged-in customer
+ *       409:
+ *         description: Subscription is not active (paused, payment overdue or cancelled) or was changed meanwhile
+ */
+router.post('/subscriptions/:subscriptionId/skip', auth, async (req, res) => {
+  try {
+    const subscription = await subscriptionManagementService.skipNext(req.params.subscriptionId, getOwner(req));
+    return res.json({ success: true, subscription });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to skip subscription renewal');
+  }
+});
+
+/**
+ * @swagger
+ * /api/billing/subscriptions/{subscriptionId}/frequency:
+ *   put:
+ *     summary: Switch a subscription between monthly and quarterly billing
+ *     description: Applies from the next renewal; the amount is scaled to the new billing period.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [frequency]
+ *             properties:
+ *               frequency:
+ *                 type: string
+ *                 enum: [monthly, quarterly]
+ *     responses:
+ *       200:
+ *         description: Frequency changed ({ subscription })
+ *       400:
+ *         description: Invalid or unchanged frequency
+ *       404:
+ *         description: Subscription not found for the logged-in customer
+ *       409:
+ *         description: Subscription payment overdue or cancelled, or changed meanwhile
+ */
+router.put('/subscriptions/:subscriptionId/frequency', auth, express.json({ limit: '1mb' }), async (req, res) => {
+  try {
+    const subscription = await subscriptionManagementService.changeFrequency(req.params.subscriptionId, getOwner(req), { frequency: req.body?.frequency });
+    return res.json({ success: true, subscription });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to change subscription frequency');
+  }
+});
+
+/**
+ * @swagger
+ * /api/billing/subscriptions/{subscriptionId}/variant:
+ *   put:
+ *     summary: Change the dose (Shopify variant of the subscribed product)
+ *     description: Applies from the next renewal at the variant's price.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [variantId]
+ *             properties:
+ *               variantId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dose changed ({ subscription })
+ *       400:
+ *         description: Variant not part of the subscribed product, or unchanged
+ *       404:
+ *         description: Subscription not found for the logged-in customer
+ *       409:
+ *         description: Subscription payment overdue or cancelled, or changed meanwhile
+ *       502:
+ *         description: Product could not be loaded from Shopify
+ */
+router.put('/subscriptions/:subscriptionId/variant', auth, express.json({ limit: '1mb' }), async (req, res) => {
+  try {
+    const subscription = await subscriptionManagementService.changeVariant(req.params.subscriptionId, getOwner(req), { variantId: req.body?.variantId });
+    return res.json({ success: true, subscription });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to change subscription dose');
+  }
+});
+
+/**
+ * @swagger
+ * /api/billing/subscriptions/{subscriptionId}/cancel:
+ *   post:
+ *     summary: Cancel a subscription
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [too_expensive, not_effective, side_effects, no_longer_needed, switching_provider, other]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled ({ subscription })
+ *       400:
+ *         description: Invalid cancellation reason
+ *       404:
+ *         description: Subscription not found for the logged-in customer
+ *       409:
+ *         description: Subscription already cancelled or changed meanwhile
+ */
+router.post('/subscriptions/:subscriptionId/cancel', auth, express.json({ limit: '1mb' }), async (req, res) => {
+  try {
+    const subscription = await subscriptionManagementService.cancel(req.params.subscriptionId, getOwner(req), {
+      reason: req.body?.reason,
+      comment: req.body?.comment
+    });
+    return res.json({ success: true, subscription });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to cancel subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/billing/subscriptions/{subscriptionId}/payment-method:
+ *   post:
+ *     summary: Start a Stripe Checkout session to update a subscription's card
+ *     description: |
+ *       Renewals are charged off-session to the card saved here. When a renewal is waiting for the
+ *       patient (declined, authentication required or no card), the session pays it on-session and saves
+ *       the card for future renewals; otherwise it only saves the card (setup mode).
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Checkout session created ({ url, sessionId, mode, chargeId })
+ *       404:
+ *         description: Subscription not found for the logged-in customer
+ *       409:
+ *         description: Subscription is not active, or its renewal is being charged or already paid
+ *       503:
+ *         description: Stripe not configured
+ */
+router.post('/subscriptions/:subscriptionId/payment-method', auth, express.json({ limit: '1mb' }), async (req, res) => {
+  try {
+    const session = await subscriptionBillingService.createPaymentMethodSession(req.params.subscriptionId, getOwner(req));
+    return res.json({ success: true, ...session });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to start payment method update');
+  }
+});
+
 // Sync payment from Stripe checkout session (for development/testing when webhooks aren't available)
 router.post('/sync-session', auth, express.json({ limit: '1mb' }), async (req, res) => {
   try {
@@ -80,23 +409,21 @@ router.post('/sync-session', auth, express.json({ limit: '1mb' }), async (req, r
 
     // Check if a billing record already exists for this payment intent
     const billingSync = require('../services/billingSyncService');
-    const tebra = require('../services/tebraService');
-    
-    // Find or create patient
+    const patientIdentityService = require('../services/patientIdentityService');
+    const tebraTenantService = require('../services/tebraTenantService');
+
+    // Tebra account and practice from the checkout metadata (default account otherwise)
+    const { tenantId, practiceId } = tebraTenantService.resolvePractice(session.metadata || {});
+
+    // Find the patient in that account (not created here)
     let patientId = null;
     if (email) {
       try {
-        const result = await tebra.searchPatients({ email });
-        const arr = result?.patients || result?.Patients || [];
-        if (arr.length > 0) {
-          patientId = arr[0].Id || arr[0].id || arr[0].ID || null;
-        }
+        patientId = (await patientIdentityService.resolve({ email }, { tenantId })).patientId;
       } catch (e) {
-        console.warn('⚠️ [BILLING SYNC] Could not search patients:', e.message);
+        console.warn('⚠️ [BILLING SYNC] Could not resolve patient:', e.message);
       }
     }
-
-    const practiceId = process.env.TEBRA_PRACTICE_ID || undefined;
     
     // Upsert billing record by payment intent ID (prevents duplicates)
     // This will update existing record if payment intent already exists, or create new one
@@ -106,6 +433,7 @@ router.post('/sync-session', auth, express.json({ limit: '1mb' }), async (req, r
         stripe_customer_email: email,
         tebra_patient_id: patientId,
         tebra_practice_id: practiceId,
+        tenant_id: tenantId,
         amount_cents: amountCents,
         currency: currency,
         status: 'received'
@@ -149,8 +477,8 @@ router.post('/retry-sync/:eventId', auth, express.json({ limit: '1mb' }), async
   try {
     const eventId = req.params.eventId;
     const billingSync = require('../services/billingSyncService');
-    const tebraBilling = require('../services/tebraBillingService');
-    const tebra = require('../services/tebraService');
+    const tebraWriteQueue = require('../services/tebraWriteQueue');
+    const patientIdentityService = require('../services/patientIdentityService');
 
     const row = await billingSync.getByEventId(eventId);
     if (!row) return res.status(404).json({ success: false, message: 'Event not found' });
@@ -163,14 +491,12 @@ router.post('/retry-sync/:eventId', auth, express.json({ limit: '1mb' }), async
       console.warn('⚠️ [BILLING RETRY] Missing TEBRA_PRACTICE_ID, but continuing with sync attempt');
     }
 
-    // If we have no patient id try to resolve by email from row
+    // If we have no patient id try to resolve by email from row, in the row's Tebra account
     let patientId = row.tebra_patient_id;
     if (!patientId && row.stripe_customer_email) {
       try {
-        const found = await tebra.searchPatients({ email: row.stripe_customer_email });
-        const arr = found?.patients || found?.Patients || [];
-        const match = arr.find(p => (p.Email || p.email || '').toLowerCase() === row.stripe_customer_email.toLowerCase());
-        patientId = match?.ID || match?.Id || match?.id || null;
+        const resolved = await patientIdentityService.resolve({ email: row.stripe_customer_email }, { tenantId: row.tenant_id });
+        patientId = resolved.patientId;
       } catch {}
     }
     if (!patientId) {
@@ -179,6 +505,9 @@ router.post('/retry-sync/:eventId', auth, express.json({ limit: '1mb' }), async
     }
 
     const totalCents = row.amount_cents | 0;
+    // Same keys as the Stripe webhook: a retry resumes its failed writes instead of posting them twice
+    const writeKey = row.stripe_payment_intent_id ? `stripe-payment:${row.stripe_payment_intent_id}` : `stripe-event:${row.stripe_event_id}`;
+    const tenantId = row.tenant_id;
     let chargeId = null, paymentId = null, status = 'stored';
     let errorMsg = null;
     
@@ -188,24 +517,24 @@ router.post('/retry-sync/:eventId', auth, express.json({ limit: '1mb' }), async
         // Attempt sync, but gracefully handle if methods don't exist
         try {
           console.log('💳 [BILLING RETRY] Attempting to create charge in Tebra...');
-          const cRes = await tebraBilling.createCharge({ 
+          const cRes = await tebraWriteQueue.execute('createEncounter', { 
             practiceId, 
             patientId, 
             items: [{ cpt:'99213', modifier:'95', units:1, amountCents: totalCents }], 
             dateOfService: new Date().toISOString().slice(0,10), 
             placeOfService:'10' 
-          });
+          }, { idempotencyKey: `${writeKey}:charge`, source: 'billing_retry', tenantId });
           chargeId = cRes.chargeId || null;
           console.log('✅ [BILLING RETRY] Charge created:', chargeId);
           
           console.log('💳 [BILLING RETRY] Attempting to post payment to Tebra...');
-          const pRes = await tebraBilling.postPayment({ 
+          const pRes = await tebraWriteQueue.execute('createPayments', { 
             practiceId, 
             patientId, 
             amountCents: totalCents, 
             referenceNumber: row.stripe_payment_intent_id || row.stripe_event_id, 
             date: new Date().toISOString().slice(0,10) 
-          });
+          }, { idempotencyKey: `${writeKey}:payment`, source: 'billing_retry', tenantId });
           paymentId = pRes.paymentId || null;
           console.log('✅ [BILLING RETRY] Payment posted:', paymentId);
           
@@ -9,7 +9,10 @@ router.get('/test', (req, res) => {
   res.json({ success: true, message: 'Payments route is working' });
 });
 
-// Create Stripe checkout session for payment
+// Billable services (price catalog) the checkout accepts
+router.get('/services', paymentController.listServices);
+
+// Create Stripe checkout session for payment (body: { serviceId, quantity })
 router.post('/create-checkout', auth, paymentController.createPaymentLink);
 
 module.exports = router; 
\ No newline at end of file
@@ -8,6 +8,7 @@ const productUtils = require('../utils/productUtils');
 const shopifyUserService = require('../services/shopifyUserService');
 const { getShopifyDomain } = require('../utils/shopifyDomain');
 const tebraService = require('../services/tebraService');
+const appointmentStatusService = require('../services/appointmentStatusService');
 const questionnaireCompletionService = require('../services/questionnaireCompletionService');
 const axios = require('axios');
 
@@ -372,10 +373,12 @@ router.get('/customers/:customerId/chart', auth, cacheStrategies.private(300), a
     
     // Get Tebra patient ID from customer-patient mapping
     let tebraPatientId = null;
+    let tenantId; // Tebra account of the mapping (metafield ids are in the default account)
     try {
       const mapping = await customerPatientMapService.getByShopifyIdOrEmail(customerId, customerEmail);
       if (mapping && mapping.tebra_patient_id) {
         tebraPatientId = mapping.tebra_patient_id;
+        tenantId = mapping.tenant_id;
       }
     } catch (e) {
       console.warn('[CHART] Failed to fetch customer-patient mapping:', e?.message || e);
@@ -403,7 +406,7 @@ router.get('/customers/:customerId/chart', auth, cacheStrategies.private(300), a
     // Fetch patient information from Tebra
     let patient = null;
     try {
-      const patientResponse = await tebraService.getPatient(tebraPatientId);
+      const patientResponse = await tebraService.forTenant(tenantId).getPatient(tebraPatientId);
       patient = patientResponse.patient || patientResponse.Patient || patientResponse;
     } catch (e) {
       console.warn('[CHART] Failed to fetch patient info:', e?.message || e);
@@ -412,7 +415,7 @@ router.get('/customers/:customerId/chart', auth, cacheStrategies.private(300), a
     // Fetch documents from Tebra
     let documents = [];
     try {
-      const docsResponse = await tebraService.getDocuments({ patientId: tebraPatientId });
+      const docsResponse = await tebraService.forTenant(tenantId).getDocuments({ patientId: tebraPatientId });
       documents = docsResponse.documents || docsResponse.Documents || [];
     } catch (e) {
       console.warn('[CHART] Failed to fetch documents:', e?.message || e);
@@ -466,7 +469,7 @@ router.get('/customers/:customerId/chart', auth, cacheStrategies.private(300), a
     // Fetch appointments
     let appointments = [];
     try {
-      const appointmentsResponse = await tebraService.getAppointments({ patientId: tebraPatientId });
+      const appointmentsResponse = await tebraService.forTenant(tenantId).getAppointments({ patientId: tebraPatientId });
       appointments = (appointmentsResponse.appointments || appointmentsResponse.Appointments || []).map(apt => ({
         id: apt.id || apt.ID,
         appointmentName: apt.appointmentName || apt.AppointmentName,
@@ -549,10 +552,12 @@ router.get('/customers/:customerId/appointments', auth, async (req, res) => {
     
     // Get Tebra patient ID from customer-patient mapping
     let tebraPatientId = null;
+    let tenantId; // Tebra account of the mapping (metafield ids are in the default account)
     try {
       const mapping = await customerPatientMapService.getByShopifyIdOrEmail(customerId, customerEmail);
       if (mapping && mapping.tebra_patient_id) {
         tebraPatientId = mapping.tebra_patient_id;
+        tenantId = mapping.tenant_id;
       }
     } catch (e) {
       console.warn('[APPOINTMENTS] Failed to fetch customer-patient mapping:', e?.message || e);
@@ -580,7 +585,7 @@ router.get('/customers/:customerId/appointments', auth, async (req, res) => {
     // Fetch appointments from Tebra
     let appointments = [];
     try {
-      const appointmentsResponse = await tebraService.getAppointments({ patientId: tebraPatientId });
+      const appointmentsResponse = await tebraService.forTenant(tenantId).getAppointments({ patientId: tebraPatientId });
       appointments = (appointmentsResponse.appointments || appointmentsResponse.Appointments || []).map(apt => ({
         id: apt.id || apt.ID || apt.AppointmentID || apt.AppointmentId,
         appointmentName: apt.appointmentName || apt.AppointmentName || 'Appointment',
@@ -640,10 +645,14 @@ router.put('/customers/:customerId/appointments/:appointmentId/cancel', auth, as
       console.warn('[APPOINTMENT CANCEL] Failed to fetch customer:', e?.message || e);
     }
     
+    // Tebra account that owns the appointment; the patient is looked up in that account
+    const tenantId = await appointmentStatusService.tenantFor(appointmentId);
+    const tebra = tebraService.forTenant(tenantId);
+
     // Get Tebra patient ID
     let tebraPatientId = null;
     try {
-      const mapping = await customerPatientMapService.getByShopifyIdOrEmail(customerId, customerEmail);
+      const mapping = await customerPatientMapService.getByShopifyIdOrEmail(customerId, customerEmail, tenantId);
       if (mapping && mapping.tebra_patient_id) {
         tebraPatientId = mapping.tebra_patient_id;
       }
@@ -661,7 +670,7 @@ router.put('/customers/:customerId/appointments/:appointmentId/cancel', auth, as
     // Verify appointment belongs to patient
     let appointment = null;
     try {
-      const appointmentResponse = await tebraService.getAppointment(appointmentId);
+      const appointmentResponse = await tebra.getAppointment(appointmentId);
       appointment = appointmentResponse.appointment || appointmentResponse.Appointment || appointmentResponse;
       
       const appointmentPatientId = appointment.patientId || appointment.PatientId || appointment.patient_id;
@@ -679,6 +688,12 @@ router.put('/customers/:customerId/appointments/:appointmentId/cancel', auth, as
       });
     }
     
+    const appointmentPolicyService = require('../services/appointmentPolicyService');
+    const policy = await appointmentPolicyService.evaluate({ action: 'cancel', appointment, appointmentId });
+    if (!policy.allowed) {
+      return res.status(409).json({ error: policy.code, message: policy.message, policy });
+    }
+
     // Cancel appointment
     try {
       const updateData = {
@@ -686,13 +701,28 @@ router.put('/customers/:customerId/appointments/:appointmentId/cancel', auth, as
         notes: (appointment.notes || appointment.Notes || '') + '\n[Cancelled by patient]'
       };
       
-      await tebraService.updateAppointment(appointmentId, updateData);
+      await tebra.updateAppointment(appointmentId, updateData);
       console.log(`✅ [APPOINTMENT CANCEL] Cancelled appointment ${appointmentId}`);
+
+      await appointmentStatusService.recordFromTebra({ ...appointment, id: appointmentId, appointmentStatus: 'Cancelled' }, { source: 'cancellation', status: 'cancelled', tenantId });
+
+      // Offer the freed slot to the waitlist (does not block the response)
+      const waitlistService = require('../services/waitlistService');
+      waitlistService.offerCancelledAppointment(appointment, { state: req.body?.state });
+
+      const fee = await appointmentPolicyService.recordChange({
+        decision: policy,
+        appointment,
+        patient: { tebraPatientId, email: customerEmail, shopifyCustomerId: customerId },
+        req
+      });
       
       res.json({
         success: true,
         message: 'Appointment cancelled successfully',
-        appointmentId: appointmentId
+        appointmentId: appointmentId,
+        policy,
+        fee
       });
     } catch (e) {
       console.error('[APPOINTMENT CANCEL] Failed to cancel appointment:', e?.message || e);
@@ -703,8 +733,8 @@ router.put('/customers/:customerId/appointments/:appointmentId/cancel', auth, as
     }
   } catch (error) {
     console.error('[APPOINTMENT CANCEL] Error:', error);
-    res.status(500).json({ 
-      error: 'CANCEL_FAILED', 
+    res.status(error.status || 500).json({ 
+      error: error.code || 'CANCEL_FAILED', 
       message: error.message || 'Failed to cancel appointment'
     });
   }
@@ -746,10 +776,14 @@ router.put('/customers/:customerId/appointments/:appointmentId/update', auth, as
       console.warn('[APPOINTMENT UPDATE] Failed to fetch customer:', e?.message || e);
     }
     
+    // Tebra account that owns the appointment; the patient is looked up in that account
+    const tenantId = await appointmentStatusService.tenantFor(appointmentId);
+    const tebra = tebraService.forTenant(tenantId);
+
     // Get Tebra patient ID
     let tebraPatientId = null;
     try {
-      const mapping = await customerPatientMapService.getByShopifyIdOrEmail(customerId, customerEmail);
+      const mapping = await customerPatientMapService.getByShopifyIdOrEmail(customerId, customerEmail, tenantId);
       if (mapping && mapping.tebra_patient_id) {
         tebraPatientId = mapping.tebra_patient_id;
       }
@@ -767,7 +801,7 @@ router.put('/customers/:customerId/appointments/:appointmentId/update', auth, as
     // Verify appointment belongs to patient
     let appointment = null;
     try {
-      const appointmentResponse = await tebraService.getAppointment(appointmentId);
+      const appointmentResponse = await tebra.getAppointment(appointmentId);
       appointment = appointmentResponse.appointment || appointmentResponse.Appointment || appointmentResponse;
       
       const appointmentPatientId = appointment.patientId || appointment.PatientId || appointment.patient_id;
@@ -785,6 +819,18 @@ router.put('/customers/:customerId/appointments/:appointmentId/update', auth, as
       });
     }
     
+    // Moving the appointment is a reschedule under the appointment policy
+    const appointmentPolicyService = require('../services/appointmentPolicyService');
+    const currentStart = appointment.startDateTime || appointment.startTime || appointment.StartTime;
+    const isReschedule = !currentStart || new Date(currentStart).getTime() !== new Date(startTime).getTime();
+    let policy = null;
+    if (isReschedule) {
+      policy = await appointmentPolicyService.evaluate({ action: 'reschedule', appointment, appointmentId });
+      if (!policy.allowed) {
+        return res.status(409).json({ error: policy.code, message: policy.message, policy });
+      }
+    }
+
     // Update appointment
     try {
       const updateData = {
@@ -793,13 +839,32 @@ router.put('/customers/:customerId/appointments/:appointmentId/update', auth, as
         notes: notes || appointment.notes || appointment.Notes || ''
       };
       
-      await tebraService.updateAppointment(appointmentId, updateData);
+      await tebra.updateAppointment(appointmentId, updateData);
       console.log(`✅ [APPOINTMENT UPDATE] Updated appointment ${appointmentId}`);
+
+      await appointmentStatusService.recordFromTebra({
+        ...appointment,
+        id: appointmentId,
+        startDateTime: updateData.startTime,
+        endDateTime: updateData.endTime
+      }, { source: 'reschedule', tenantId });
+
+      const fee = policy
+        ? await appointmentPolicyService.recordChange({
+          decision: policy,
+          appointment,
+          newAppointmentId: appointmentId,
+          patient: { tebraPatientId, email: customerEmail, shopifyCustomerId: customerId },
+          req
+        })
+        : null;
       
       res.json({
         success: true,
         message: 'Appointment updated successfully',
-        appointmentId: appointmentId
+        appointmentId: appointmentId,
+        policy,
+        fee
       });
     } catch (e) {
       console.error('[APPOINTMENT UPDATE] Failed to update appointment:', e?.message || e);
@@ -810,8 +875,8 @@ router.put('/customers/:customerId/appointments/:appointmentId/update', auth, as
     }
   } catch (error) {
     console.error('[APPOINTMENT UPDATE] Error:', error);
-    res.status(500).json({ 
-      error: 'UPDATE_FAILED', 
+    res.status(error.status || 500).json({ 
+      error: error.code || 'UPDATE_FAILED', 
       message: error.message || 'Failed to update appointment'
     });
   }
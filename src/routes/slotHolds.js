@@ -0,0 +1,176 @@
+// backend/src/routes/slotHolds.js
+// Checkout slot holds: reserve an appointment slot between slot selection and payment
+const express = require('express');
+const router = express.Router();
+const slotHoldService = require('../services/slotHoldService');
+const { optionalAuth } = require('../middleware/shopifyTokenAuth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { validateSlotHold, validateSlotHoldExtension, sanitizeRequestBody } = require('../middleware/validation');
+
+const holdLimiter = createRateLimiter({ windowMs: 60_000, max: 20 });
+
+// Holds belong to the logged-in customer and/or the storefront cart
+function getOwner(req) {
+  return {
+    shopifyCustomerId: req.user?.shopifyCustomerId || req.user?.customerId || req.user?.id || null,
+    cartToken: req.body?.cartToken || req.query.cartToken || req.get('x-cart-token') || null
+  };
+}
+
+function sendHoldError(res, error, fallbackMessage) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+/**
+ * @swagger
+ * /api/slot-holds:
+ *   post:
+ *     summary: Hold an appointment slot during checkout
+ *     description: |
+ *       Reserves the slot for the logged-in customer or the given cart for SLOT_HOLD_TTL_MINUTES
+ *       (default 10). While held, the slot is removed from everyone else's availability. Pass the
+ *       returned hold id to checkout as the `_slot_hold_id` line item property; the hold is converted
+ *       to a Tebra appointment when the order is paid. Holding a new slot releases the cart's previous hold,
+ *       and one client IP can hold at most SLOT_HOLD_MAX_PER_IP slots (default 3) at a time.
+ *     tags: [Appointments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - state
+ *               - startTime
+ *             properties:
+ *               state:
+ *                 type: string
+ *                 example: CA
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               providerId:
+ *                 type: string
+ *               appointmentReasonId:
+ *                 type: string
+ *               cartToken:
+ *                 type: string
+ *                 description: Shopify cart token (required for guests)
+ *     responses:
+ *       201:
+ *         description: Slot held
+ *       409:
+ *         description: Slot is no longer available
+ *       429:
+ *         description: Too many slots held from this client
+ */
+router.post('/', holdLimiter, optionalAuth, express.json({ limit: '10kb' }), sanitizeRequestBody, validateSlotHold, async (req, res) => {
+  try {
+    const owner = getOwner(req);
+    const hold = await slotHoldService.createHold({
+      state: req.body.state,
+      startTime: req.body.startTime,
+      providerId: req.body.providerId,
+      appointmentReasonId: req.body.appointmentReasonId,
+      shopifyCustomerId: owner.shopifyCustomerId,
+      cartToken: owner.cartToken,
+      email: req.user?.email || null,
+      clientIp: req.ip || req.connection?.remoteAddress || null
+    });
+    res.status(201).json({ success: true, hold });
+  } catch (error) {
+    sendHoldError(res, error, 'Failed to hold slot');
+  }
+});
+
+/**
+ * @swagger
+ * /api/slot-holds/{id}:
+ *   get:
+ *     summary: Get a slot hold (owner only)
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: cartToken
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hold
+ *       404:
+ *         description: Hold not found
+ *   delete:
+ *     summary: Release a slot hold (owner only)
+ *     tags: [Appointments]
+ *     responses:
+ *       200:
+ *         description: Hold released
+ *       404:
+ *         description: Hold not found
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const hold = await slotHoldService.getHold(req.params.id);
+    if (!hold || !slotHoldService.isOwner(hold, getOwner(req))) {
+      return res.status(404).json({ success: false, message: 'Hold not found' });
+    }
+    res.json({ success: true, hold, active: slotHoldService.isLive(hold) });
+  } catch (error) {
+    sendHoldError(res, error, 'Failed to get slot hold');
+  }
+});
+
+router.delete('/:id', optionalAuth, express.json({ limit: '10kb' }), async (req, res) => {
+  try {
+    const hold = await slotHoldService.releaseHold(req.params.id, getOwner(req));
+    res.json({ success: true, hold, message: 'Hold released' });
+  } catch (error) {
+    sendHoldError(res, error, 'Failed to release slot hold');
+  }
+});
+
+/**
+ * @swagger
+ * /api/slot-holds/{id}/extend:
+ *   post:
+ *     summary: Extend a slot hold (owner only)
+ *     description: Pushes the expiry out by `minutes` (default SLOT_HOLD_TTL_MINUTES), capped at SLOT_HOLD_MAX_MINUTES after the hold was created.
+ *     tags: [Appointments]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *               cartToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Hold extended
+ *       404:
+ *         description: Hold not found
+ *       409:
+ *         description: Hold is no longer active
+ */
+router.post('/:id/extend', holdLimiter, optionalAuth, express.json({ limit: '10kb' }), sanitizeRequestBody, validateSlotHoldExtension, async (req, res) => {
+  try {
+    const hold = await slotHoldService.extendHold(req.params.id, getOwner(req), req.body.minutes);
+    res.json({ success: true, hold });
+  } catch (error) {
+    sendHoldError(res, error, 'Failed to extend slot hold');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+// backend/src/routes/tebraReference.js
+// Tebra reference data served from the local copy kept by tebraReferenceDataService (no live Tebra call)
+const express = require('express');
+const router = express.Router();
+const tebraReferenceDataService = require('../services/tebraReferenceDataService');
+const { auth } = require('../middleware/shopifyTokenAuth');
+const { cacheStrategies } = require('../middleware/cacheHeaders');
+
+// URL segment -> record type
+const TYPES = {
+  practices: 'practice',
+  providers: 'provider',
+  'service-locations': 'service_location',
+  'appointment-reasons': 'appointment_reason',
+  'procedure-codes': 'procedure_code'
+};
+
+/**
+ * @swagger
+ * /api/tebra-reference/{type}:
+ *   get:
+ *     summary: List synced Tebra reference data
+ *     description: |
+ *       Practices, providers, service locations, appointment reasons or procedure codes as of the last
+ *       reference data sync (TEBRA_REFERENCE_SYNC_CRON, or POST /api/admin/tebra-reference/sync).
+ *     tags: [Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [practices, providers, service-locations, appointment-reasons, procedure-codes]
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: Tebra account; all accounts when omitted
+ *       - in: query
+ *         name: practiceId
+ *         schema:
+ *           type: string
+ *         description: Practice of providers, service locations and appointment reasons
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name contains, or exact Tebra id
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Include records removed from Tebra
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Synced records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 total:
+ *                   type: number
+ *       404:
+ *         description: Unknown type or tenant
+ */
+router.get('/:type', auth, cacheStrategies.medium(), async (req, res) => {
+  const type = TYPES[req.params.type];
+  if (!type) {
+    return res.status(404).json({ success: false, message: `Unknown reference data type: ${req.params.type}` });
+  }
+
+  try {
+    const { tenantId, practiceId, search, includeInactive, limit, offset } = req.query;
+    const { records, total } = await tebraReferenceDataService.listRecords(type, {
+      tenantId,
+      practiceId,
+      search,
+      includeInactive: includeInactive === 'true',
+      limit,
+      offset
+    });
+    res.json({ success: true, records, total });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Failed to list Tebra reference data:', error);
+    res.status(500).json({ success: false, message: 'Failed to list Tebra reference data', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+// backend/src/routes/waitlist.js
+// Appointment waitlist: register interest in fully-booked dates and claim freed slots
+const express = require('express');
+const router = express.Router();
+const waitlistService = require('../services/waitlistService');
+const { auth } = require('../middleware/shopifyTokenAuth');
+const { verifyAdminApiKey } = require('../middleware/adminAuth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { validateWaitlistJoin, validateWaitlistOfferToken, sanitizeRequestBody } = require('../middleware/validation');
+
+const waitlistLimiter = createRateLimiter({ windowMs: 60_000, max: 20 });
+
+function getOwner(req) {
+  return {
+    shopifyCustomerId: req.user?.shopifyCustomerId || req.user?.customerId || req.user?.id || null,
+    email: req.user?.email || null
+  };
+}
+
+function sendWaitlistError(res, error, fallbackMessage) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   post:
+ *     summary: Join the waitlist for fully-booked dates
+ *     description: |
+ *       Registers the logged-in customer for a state (and optionally a provider and appointment reason)
+ *       between fromDate and toDate (provider-local dates, inclusive). When an appointment in that window
+ *       is cancelled, the slot is held for the first eligible patient and offered by email with a claim
+ *       link valid for WAITLIST_OFFER_TTL_MINUTES (default 60). Unclaimed offers roll to the next patient.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - state
+ *               - fromDate
+ *             properties:
+ *               state:
+ *                 type: string
+ *                 example: CA
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to fromDate
+ *               providerId:
+ *                 type: string
+ *               appointmentReasonId:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Joined the waitlist
+ *       409:
+ *         description: Already on the waitlist for these dates
+ *   get:
+ *     summary: List the logged-in customer's waitlist entries
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waitlist entries
+ */
+router.post('/', waitlistLimiter, auth, express.json({ limit: '10kb' }), sanitizeRequestBody, validateWaitlistJoin, async (req, res) => {
+  try {
+    const owner = getOwner(req);
+    const [firstName, ...lastNames] = String(req.user?.name || '').split(' ').filter(Boolean);
+    const entry = await waitlistService.join({
+      state: req.body.state,
+      providerId: req.body.providerId,
+      appointmentReasonId: req.body.appointmentReasonId,
+      fromDate: req.body.fromDate,
+      toDate: req.body.toDate,
+      email: owner.email || req.body.email,
+      shopifyCustomerId: owner.shopifyCustomerId,
+      firstName: req.body.firstName || firstName || null,
+      lastName: req.body.lastName || lastNames.join(' ') || null
+    });
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to join waitlist');
+  }
+});
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const entries = await waitlistService.listForOwner(getOwner(req));
+    res.json({ success: true, entries });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to get waitlist entries');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/admin:
+ *   get:
+ *     summary: List waitlist entries in queue order (admin)
+ *     tags: [Admin]
+ *     security:
+ *       - adminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, cancelled, expired]
+ *     responses:
+ *       200:
+ *         description: Waitlist entries
+ *       401:
+ *         description: Unauthorized - Admin API key required
+ */
+router.get('/admin', verifyAdminApiKey, async (req, res) => {
+  try {
+    const entries = await waitlistService.list({
+      state: req.query.state,
+      providerId: req.query.providerId,
+      status: req.query.status
+    });
+    res.json({ success: true, entries, count: entries.length });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to list waitlist');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/offers/{token}:
+ *   get:
+ *     summary: Get a waitlist offer from its claim link
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer (active is false once it has expired or been taken)
+ *       404:
+ *         description: Offer not found
+ */
+router.get('/offers/:token', validateWaitlistOfferToken, async (req, res) => {
+  try {
+    const offer = await waitlistService.getOfferByToken(req.params.token);
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+    const active = offer.status === 'offered' && new Date(offer.expiresAt).getTime() > Date.now();
+    res.json({ success: true, offer, active });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to get waitlist offer');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/offers/{token}/claim:
+ *   post:
+ *     summary: Claim a waitlist offer and book the slot in Tebra
+ *     description: The token from the offer email is the credential. Claiming twice returns the same appointment.
+ *     tags: [Appointments]
+ *     responses:
+ *       200:
+ *         description: Appointment booked
+ *       404:
+ *         description: Offer not found
+ *       409:
+ *         description: Offer expired, declined or already taken
+ */
+router.post('/offers/:token/claim', waitlistLimiter, validateWaitlistOfferToken, async (req, res) => {
+  try {
+    const result = await waitlistService.claimOffer(req.params.token);
+    res.json({ success: true, ...result, message: 'Appointment booked' });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to claim waitlist offer');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/offers/{token}/decline:
+ *   post:
+ *     summary: Decline a waitlist offer
+ *     description: The patient stays on the waitlist; the slot is offered to the next patient.
+ *     tags: [Appointments]
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       409:
+ *         description: Offer is no longer active
+ */
+router.post('/offers/:token/decline', waitlistLimiter, validateWaitlistOfferToken, async (req, res) => {
+  try {
+    const offer = await waitlistService.declineOffer(req.params.token);
+    res.json({ success: true, offer, message: 'Offer declined' });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to decline waitlist offer');
+  }
+});
+
+/**
+ * @swagger
+ * /api/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist (owner only)
+ *     description: Any outstanding offer is withdrawn and rolls to the next patient.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       404:
+ *         description: Waitlist entry not found
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await waitlistService.leave(req.params.id, getOwner(req));
+    res.json({ success: true, entry, message: 'Removed from waitlist' });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to leave waitlist');
+  }
+});
+
+module.exports = router;
@@ -25,6 +25,10 @@ if (jobQueueService.enabled) {
   jobQueueService.createWorker('documents', async (job) => {
     return await jobProcessors.createDocument(job.data);
   });
+
+  jobQueueService.createWorker('tebra-writes', async (job) => {
+    return await jobProcessors.processTebraWrite(job.data);
+  });
   
   logger.info('[WEBHOOKS] Job queue workers initialized');
 }
@@ -92,6 +96,13 @@ router.get('/shopify/health', shopifyHealthCheck);
  *     summary: Get list of Tebra practices
  *     tags: [Webhooks]
  *     description: Helper endpoint to discover Practice IDs for configuration
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         required: false
+ *         description: Tebra account to list (default account when omitted)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Practices list retrieved successfully
@@ -116,14 +127,16 @@ router.get('/practices', async (req, res) => {
   try {
     // Check cache for practices list
     const cacheService = require('../services/cacheService');
-    const cacheKey = cacheService.generateKey('practices', {});
+    // ?tenantId= lists the practices of another Tebra account (see tebraTenantService)
+    const { tenantId } = req.query;
+    const cacheKey = cacheService.tenantKey('practices', { tenantId });
     const cachedPractices = await cacheService.get(cacheKey);
     if (cachedPractices) {
       console.log(`✅ [PRACTICES] Returning cached practices list`);
       return res.json(cachedPractices);
     }
     
-    const practices = await tebraService.getPractices();
+    const practices = await tebraService.forTenant(tenantId).getPractices();
     const response = {
       success: true,
       practices: practices.practices,
@@ -183,7 +196,7 @@ router.get('/providers/:practiceId', async (req, res) => {
     
     // Check cache for providers list
     const cacheService = require('../services/cacheService');
-    const cacheKey = cacheService.generateKey('providers', { practiceId });
+    const cacheKey = cacheService.tenantKey('providers', { practiceId });
     const cachedProviders = await cacheService.get(cacheKey);
     if (cachedProviders) {
       console.log(`✅ [PROVIDERS] Returning cached providers list for practice ${practiceId}`);
@@ -0,0 +1,76 @@
+// Unit tests for appointmentEvents.js and appointmentEventSubscribers.js
+
+jest.mock('../../utils/logger');
+jest.mock('../cacheService', () => ({ invalidateAvailability: jest.fn().mockResolvedValue(0) }));
+jest.mock('../metricsService', () => ({ recordBusinessMetric: jest.fn() }));
+jest.mock('../appointmentStatusService', () => ({ resetReminders: jest.fn().mockResolvedValue() }));
+
+const logger = require('../../utils/logger');
+const cacheService = require('../cacheService');
+const metricsService = require('../metricsService');
+const appointmentStatusService = require('../appointmentStatusService');
+const appointmentEvents = require('../appointmentEvents');
+const appointmentEventSubscribers = require('../appointmentEventSubscribers');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function appointment(overrides = {}) {
+  return {
+    id: 'A-1',
+    tenantId: 'default',
+    providerId: '10',
+    startTime: '2026-03-10T15:00:00.000Z',
+    endTime: '2026-03-10T15:30:00.000Z',
+    status: 'booked',
+    ...overrides
+  };
+}
+
+describe('appointmentEvents', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    appointmentEventSubscribers.unregister();
+  });
+
+  it('should derive created, rescheduled, cancelled and status changed events', () => {
+    expect(appointmentEvents.changesBetween(null, appointment())).toEqual(['appointment.created']);
+    expect(appointmentEvents.changesBetween(appointment(), appointment())).toEqual([]);
+    expect(appointmentEvents.changesBetween(appointment(), appointment({ startTime: '2026-03-11T15:00:00Z' }))).toEqual(['appointment.rescheduled']);
+    expect(appointmentEvents.changesBetween(appointment(), appointment({ status: 'confirmed' }))).toEqual(['appointment.status_changed']);
+    expect(appointmentEvents.changesBetween(appointment(), appointment({ status: 'cancelled', startTime: '2026-03-11T15:00:00Z' })))
+      .toEqual(['appointment.cancelled']);
+  });
+
+  it('should keep subscriber failures away from the publisher', async () => {
+    const unsubscribe = appointmentEvents.subscribe('appointment.created', async () => {
+      throw new Error('subscriber broke');
+    });
+
+    expect(appointmentEvents.publish(null, appointment(), { source: 'feed' })).toEqual(['appointment.created']);
+    await flush();
+
+    expect(logger.error).toHaveBeenCalledWith('[APPOINTMENT_EVENTS] Subscriber failed', expect.objectContaining({ error: 'subscriber broke' }));
+    unsubscribe();
+    expect(appointmentEvents.listenerCount('appointment.created')).toBe(0);
+  });
+
+  it('should invalidate availability, re-arm reminders and count changes', async () => {
+    appointmentEventSubscribers.register();
+    appointmentEventSubscribers.register();
+
+    appointmentEvents.publish(appointment(), appointment({ startTime: '2026-03-11T15:00:00Z' }), { source: 'feed' });
+    await flush();
+
+    expect(metricsService.recordBusinessMetric).toHaveBeenCalledTimes(1);
+    expect(metricsService.recordBusinessMetric).toHaveBeenCalledWith('appointment_changed', 'rescheduled');
+    expect(cacheService.invalidateAvailability).toHaveBeenCalledWith(null, '10');
+    expect(appointmentStatusService.resetReminders).toHaveBeenCalledWith('A-1', 'default');
+
+    appointmentEvents.publish(appointment(), appointment({ status: 'cancelled' }));
+    await flush();
+    expect(appointmentStatusService.resetReminders).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,201 @@
+// Unit tests for appointmentPolicyService.js (cancellation/rescheduling policies and fees)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../../controllers/paymentController', () => ({ createCheckoutSession: jest.fn() }));
+jest.mock('../tebraWriteQueue', () => ({ execute: jest.fn() }));
+
+const { query } = require('../../db/pg');
+const paymentController = require('../../controllers/paymentController');
+const tebraWriteQueue = require('../tebraWriteQueue');
+const appointmentPolicyService = require('../appointmentPolicyService');
+
+const NOW = new Date('2030-01-07T12:00:00Z');
+
+function appointment(overrides = {}) {
+  return {
+    startDateTime: '2030-01-08T00:00:00.000Z', // 12 hours after NOW
+    appointmentReasonId: '100',
+    practiceId: '1',
+    patientId: 'P-1',
+    ...overrides
+  };
+}
+
+describe('AppointmentPolicyService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    appointmentPolicyService.policies = [
+      appointmentPolicyService.rowToPolicy({
+        id: 1, cancel_notice_hours: 24, reschedule_notice_hours: 24, max_reschedules: 2,
+        late_action: 'fee', late_cancel_fee_cents: 5000, no_show_fee_cents: 7500, fee_method: 'stripe'
+      }),
+      appointmentPolicyService.rowToPolicy({
+        id: 2, appointment_reason_id: '200', practice_id: '1', cancel_notice_hours: 48, late_action: 'block', fee_method: 'none'
+      }),
+      appointmentPolicyService.rowToPolicy({
+        id: 3, appointment_reason_id: '300', cancel_notice_hours: 24, late_cancel_fee_cents: 2500, fee_method: 'tebra', fee_cpt_code: 'G0000'
+      })
+    ];
+    appointmentPolicyService.loaded = true;
+  });
+
+  describe('getPolicy', () => {
+    it('should prefer the most specific policy', async () => {
+      expect((await appointmentPolicyService.getPolicy('200', '1')).id).toBe(2);
+      expect((await appointmentPolicyService.getPolicy('200', '2')).id).toBe(1);
+      expect((await appointmentPolicyService.getPolicy('300', '1')).id).toBe(3);
+      expect((await appointmentPolicyService.getPolicy(null, null)).id).toBe(1);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should allow changes before the notice window free of charge', async () => {
+      const decision = await appointmentPolicyService.evaluate({
+        action: 'cancel',
+        appointment: appointment({ startDateTime: '2030-01-09T12:00:00.000Z' }),
+        appointmentId: 'A-1',
+        now: NOW
+      });
+
+      expect(decision).toMatchObject({ allowed: true, code: 'ALLOWED', late: false, fee: null, deadline: '2030-01-08T12:00:00.000Z' });
+    });
+
+    it('should charge the late cancellation fee inside the window', async () => {
+      const decision = await appointmentPolicyService.evaluate({ action: 'cancel', appointment: appointment(), appointmentId: 'A-1', now: NOW });
+
+      expect(decision).toMatchObject({
+        allowed: true,
+        code: 'LATE_FEE',
+        late: true,
+        hoursUntilStart: 12,
+        fee: { amountCents: 5000, currency: 'usd', method: 'stripe' }
+      });
+      expect(decision.message).toContain('$50.00 late cancellation fee');
+    });
+
+    it('should refuse late changes when the policy blocks them', async () => {
+      const decision = await appointmentPolicyService.evaluate({
+        action: 'cancel',
+        appointment: appointment({ appointmentReasonId: '200' }),
+        appointmentId: 'A-1',
+        now: NOW
+      });
+
+      expect(decision).toMatchObject({ allowed: false, code: 'LATE_CANCELLATION_NOT_ALLOWED', policyId: 2 });
+      expect(decision.message).toContain('48 hours');
+    });
+
+    it('should refuse a reschedule past the limit of the reschedule chain', async () => {
+      query.mockResolvedValueOnce({ rows: [{ root_appointment_id: 'A-0', reschedules: 2 }] });
+
+      const decision = await appointmentPolicyService.evaluate({
+        action: 'reschedule',
+        appointment: appointment({ startDateTime: '2030-01-20T12:00:00.000Z' }),
+        appointmentId: 'A-2',
+        now: NOW
+      });
+
+      expect(query.mock.calls[0][1]).toEqual(['A-2']);
+      expect(decision).toMatchObject({ allowed: false, code: 'RESCHEDULE_LIMIT_REACHED', reschedulesUsed: 2, maxReschedules: 2 });
+    });
+
+    it('should refuse changes once the appointment has started', async () => {
+      const decision = await appointmentPolicyService.evaluate({
+        action: 'cancel',
+        appointment: appointment({ startDateTime: '2030-01-07T11:00:00.000Z' }),
+        appointmentId: 'A-1',
+        now: NOW
+      });
+
+      expect(decision).toMatchObject({ allowed: false, code: 'APPOINTMENT_STARTED' });
+    });
+
+    it('should allow everything when no policy applies', async () => {
+      appointmentPolicyService.policies = [];
+
+      const decision = await appointmentPolicyService.evaluate({ action: 'cancel', appointment: appointment(), appointmentId: 'A-1', now: NOW });
+
+      expect(decision).toMatchObject({ allowed: true, code: 'ALLOWED', late: false, policyId: null });
+    });
+  });
+
+  describe('recordChange', () => {
+    it('should send a Stripe payment link for the late fee', async () => {
+      paymentController.createCheckoutSession.mockResolvedValue({ id: 'cs_1', url: 'https://checkout.stripe.com/cs_1' });
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 9 }] }) // insert event
+        .mockResolvedValueOnce({ rows: [] }); // fee update
+      const decision = await appointmentPolicyService.evaluate({ action: 'cancel', appointment: appointment(), appointmentId: 'A-1', now: NOW });
+
+      const result = await appointmentPolicyService.recordChange({
+        decision,
+        appointment: appointment(),
+        patient: { email: 'pat@example.com', shopifyCustomerId: '42' }
+      });
+
+      expect(query.mock.calls[0][1].slice(0, 6)).toEqual(['A-1', 'A-1', null, 'cancel', true, 1]);
+      expect(paymentController.createCheckoutSession).toHaveBeenCalledWith(expect.objectContaining({
+        amountInCents: 5000,
+        customerEmail: 'pat@example.com',
+        metadata: expect.objectContaining({ appointmentPolicyEventId: '9', appointmentId: 'A-1' })
+      }));
+      expect(query.mock.calls[1][1]).toEqual([9, 'pending', 'cs_1', 'https://checkout.stripe.com/cs_1', null, null]);
+      expect(result).toMatchObject({ eventId: 9, feeStatus: 'pending', feePaymentUrl: 'https://checkout.stripe.com/cs_1' });
+    });
+
+    it('should post the fee as a Tebra charge with the policy procedure code', async () => {
+      tebraWriteQueue.execute.mockResolvedValue({ chargeId: 'E-77' });
+      query.mockResolvedValueOnce({ rows: [{ id: 10 }] }).mockResolvedValueOnce({ rows: [] });
+      const apt = appointment({ appointmentReasonId: '300' });
+      const decision = await appointmentPolicyService.evaluate({ action: 'cancel', appointment: apt, appointmentId: 'A-1', now: NOW });
+
+      const result = await appointmentPolicyService.recordChange({ decision, appointment: apt });
+
+      expect(tebraWriteQueue.execute).toHaveBeenCalledWith('createEncounter', expect.objectContaining({
+        practiceId: '1',
+        patientId: 'P-1',
+        dateOfService: '2030-01-08',
+        items: [{ cpt: 'G0000', units: 1, amountCents: 2500 }]
+      }), { idempotencyKey: 'appointment-policy-event:10:fee', source: 'appointment_policy' });
+      expect(result).toMatchObject({ feeStatus: 'charged', tebraChargeId: 'E-77' });
+    });
+
+    it('should keep the change recorded when the fee cannot be charged', async () => {
+      paymentController.createCheckoutSession.mockRejectedValue(new Error('Stripe not configured'));
+      query.mockResolvedValueOnce({ rows: [{ id: 11 }] }).mockResolvedValueOnce({ rows: [] });
+      const decision = await appointmentPolicyService.evaluate({ action: 'cancel', appointment: appointment(), appointmentId: 'A-1', now: NOW });
+
+      const result = await appointmentPolicyService.recordChange({ decision, appointment: appointment() });
+
+      expect(result).toMatchObject({ eventId: 11, feeStatus: 'failed', error: 'Stripe not configured' });
+    });
+
+    it('should count a reschedule against the first appointment of the chain', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ root_appointment_id: 'A-0', reschedules: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] });
+
+      await appointmentPolicyService.recordChange({
+        decision: { action: 'reschedule', appointmentId: 'A-1', late: false, fee: null, policyId: 1 },
+        appointment: appointment(),
+        newAppointmentId: 'A-2'
+      });
+
+      expect(query.mock.calls[1][1].slice(0, 4)).toEqual(['A-1', 'A-0', 'A-2', 'reschedule']);
+    });
+  });
+
+  describe('recordNoShow', () => {
+    it('should charge the no-show fee', async () => {
+      paymentController.createCheckoutSession.mockResolvedValue({ id: 'cs_2', url: 'https://checkout.stripe.com/cs_2' });
+      query.mockResolvedValueOnce({ rows: [{ id: 13 }] }).mockResolvedValueOnce({ rows: [] });
+
+      const { decision, result } = await appointmentPolicyService.recordNoShow({ appointment: appointment(), appointmentId: 'A-1' });
+
+      expect(decision).toMatchObject({ action: 'no_show', code: 'NO_SHOW_FEE', fee: { amountCents: 7500 } });
+      expect(paymentController.createCheckoutSession).toHaveBeenCalledWith(expect.objectContaining({ serviceName: 'Missed appointment fee' }));
+      expect(result.feeStatus).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,213 @@
+// Unit tests for appointmentResponseService.js (reminder confirm / cancel / reschedule links)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../appointmentStatusService', () => ({
+  get: jest.fn(),
+  addHistory: jest.fn(),
+  recordFromTebra: jest.fn(),
+  mapTebraStatus: jest.fn(status => (status === 'Cancelled' ? 'cancelled' : 'booked'))
+}));
+jest.mock('../appointmentPolicyService', () => ({ evaluate: jest.fn(), recordChange: jest.fn() }));
+jest.mock('../cacheService', () => ({ invalidateAvailability: jest.fn() }));
+jest.mock('../waitlistService', () => ({ offerCancelledAppointment: jest.fn() }));
+jest.mock('../notificationService', () => ({ sendProviderAlert: jest.fn() }));
+
+const { query } = require('../../db/pg');
+const appointmentStatusService = require('../appointmentStatusService');
+const appointmentPolicyService = require('../appointmentPolicyService');
+const notificationService = require('../notificationService');
+const appointmentResponseService = require('../appointmentResponseService');
+
+const FUTURE = '2999-01-08T15:00:00.000Z';
+
+function linkRow(overrides = {}) {
+  return {
+    id: 1,
+    nonce: 'n-1',
+    tebra_appointment_id: 'A-1',
+    action: 'confirm',
+    email: 'pat@example.com',
+    status: 'issued',
+    expires_at: FUTURE,
+    ...overrides
+  };
+}
+
+function tokenFor(row) {
+  return appointmentResponseService.createToken({
+    appointmentId: row.tebra_appointment_id,
+    action: row.action,
+    nonce: row.nonce,
+    expiresAt: row.expires_at,
+    tenantId: row.tenant_id
+  });
+}
+
+describe('AppointmentResponseService', () => {
+  let tebraService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    appointmentResponseService.secret = 'test-secret';
+    tebraService = {
+      getAppointment: jest.fn().mockResolvedValue({ id: 'A-1', patientId: 'P-1', notes: 'Booked online', appointmentStatus: 'Scheduled', startDateTime: FUTURE }),
+      updateAppointment: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  describe('tokens', () => {
+    it('should verify its own tokens and reject tampered ones', () => {
+      const token = tokenFor(linkRow());
+      expect(appointmentResponseService.verifyToken(token)).toMatchObject({ appointmentId: 'A-1', action: 'confirm', nonce: 'n-1' });
+
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ a: 'A-2', x: 'cancel', n: 'n-1', e: 32503680000 })).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      expect(appointmentResponseService.verifyToken(`${forged}.${signature}`)).toBeNull();
+      expect(appointmentResponseService.verifyToken(`${payload}.${signature.slice(1)}x`)).toBeNull();
+      expect(appointmentResponseService.verifyToken('garbage')).toBeNull();
+    });
+  });
+
+  describe('createLinks', () => {
+    it('should issue one link per action expiring at the appointment start', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      const links = await appointmentResponseService.createLinks({ id: 'A-1', startTime: FUTURE }, { email: 'Pat@Example.com', hoursBefore: 24 });
+
+      expect(Object.keys(links)).toEqual(['confirm', 'cancel', 'reschedule']);
+      expect(links.confirm).toMatch(/\/pages\/appointment-response\?token=/);
+      expect(query).toHaveBeenCalledTimes(3);
+      expect(query.mock.calls[0][1].slice(1)).toEqual(['A-1', 'confirm', 'pat@example.com', 24, FUTURE, 'default']);
+    });
+
+    it('should tie the links to the Tebra account of the appointment', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      const links = await appointmentResponseService.createLinks({ id: 'A-1', tenantId: 'entity2', startTime: FUTURE }, { hoursBefore: 24 });
+
+      expect(query.mock.calls[0][1][6]).toBe('entity2');
+      const token = decodeURIComponent(links.confirm.split('token=')[1]);
+      expect(appointmentResponseService.verifyToken(token)).toMatchObject({ appointmentId: 'A-1', tenantId: 'entity2' });
+    });
+
+    it('should not issue links for appointments that already started', async () => {
+      expect(await appointmentResponseService.createLinks({ id: 'A-1', startTime: '2000-01-01T00:00:00.000Z' })).toBeNull();
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('respond', () => {
+    it('should confirm the appointment in Tebra and spend the link', async () => {
+      const row = linkRow();
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'processing' }] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'used' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await appointmentResponseService.respond(tokenFor(row), { tebraService });
+
+      expect(result.action).toBe('confirm');
+      expect(tebraService.updateAppointment).toHaveBeenCalledWith('A-1', expect.objectContaining({ confirmationStatus: 'Confirmed' }));
+      expect(tebraService.updateAppointment.mock.calls[0][1].notes).toMatch(/^Booked online\nConfirmed by patient/);
+      expect(appointmentStatusService.recordFromTebra).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'A-1', confirmationStatus: 'Confirmed' }),
+        { source: 'patient', status: 'confirmed', tenantId: 'default' }
+      );
+    });
+
+    it('should refuse a link whose token names another Tebra account', async () => {
+      const row = linkRow({ tenant_id: 'entity2' });
+      const token = tokenFor(row);
+      query.mockResolvedValueOnce({ rows: [{ ...row, tenant_id: 'default' }] });
+
+      await expect(appointmentResponseService.respond(token, { tebraService })).rejects.toMatchObject({ status: 404, code: 'LINK_NOT_FOUND' });
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(tebraService.getAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a link that was already used', async () => {
+      const row = linkRow({ status: 'used' });
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(appointmentResponseService.respond(tokenFor(row), { tebraService })).rejects.toMatchObject({ status: 409, code: 'LINK_USED' });
+      expect(tebraService.updateAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should reopen the link when the cancellation policy refuses it', async () => {
+      const row = linkRow({ action: 'cancel' });
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'processing' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      appointmentPolicyService.evaluate.mockResolvedValue({ allowed: false, code: 'POLICY_CANCEL_TOO_LATE', message: 'Too late' });
+
+      await expect(appointmentResponseService.respond(tokenFor(row), { tebraService })).rejects.toMatchObject({ status: 409, code: 'POLICY_CANCEL_TOO_LATE' });
+      expect(query.mock.calls[2][0]).toMatch(/SET status = 'issued'/);
+      expect(tebraService.updateAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should cancel under the policy, charge its fee and spend every link of the appointment', async () => {
+      const row = linkRow({ action: 'cancel' });
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'processing' }] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'used' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      const policy = { allowed: true, late: true, code: 'LATE_CANCEL_FEE' };
+      appointmentPolicyService.evaluate.mockResolvedValue(policy);
+      appointmentPolicyService.recordChange.mockResolvedValue({ feeStatus: 'pending' });
+
+      const result = await appointmentResponseService.respond(tokenFor(row), { tebraService });
+
+      expect(tebraService.updateAppointment).toHaveBeenCalledWith('A-1', expect.objectContaining({ appointmentStatus: 'Cancelled' }));
+      expect(appointmentPolicyService.recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        decision: policy,
+        patient: { tebraPatientId: 'P-1', email: 'pat@example.com' }
+      }));
+      expect(result.fee).toEqual({ feeStatus: 'pending' });
+      expect(query.mock.calls[3][1]).toEqual(['A-1', ['confirm', 'cancel', 'reschedule'], 'default']);
+    });
+
+    it('should spend the link instead of reopening it when a step after the Tebra cancellation fails', async () => {
+      const row = linkRow({ action: 'cancel' });
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'processing' }] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'used' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      appointmentPolicyService.evaluate.mockResolvedValue({ allowed: true, code: 'FREE_CANCEL' });
+      appointmentStatusService.recordFromTebra.mockRejectedValueOnce(new Error('connection terminated'));
+
+      await expect(appointmentResponseService.respond(tokenFor(row), { tebraService })).rejects.toThrow('connection terminated');
+
+      expect(tebraService.updateAppointment).toHaveBeenCalledWith('A-1', expect.objectContaining({ appointmentStatus: 'Cancelled' }));
+      const statements = query.mock.calls.map(([sql]) => sql);
+      expect(statements.some(sql => /SET status = 'issued'/.test(sql))).toBe(false);
+      expect(query.mock.calls[2][0]).toMatch(/SET status = 'used'/);
+      expect(JSON.parse(query.mock.calls[2][1][2])).toMatchObject({ error: 'connection terminated' });
+    });
+
+    it('should add a reschedule request to the Tebra notes and alert the provider', async () => {
+      const row = linkRow({ action: 'reschedule' });
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'processing' }] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'used' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      appointmentStatusService.get.mockResolvedValue({ id: 'A-1', status: 'booked' });
+
+      await appointmentResponseService.respond(tokenFor(row), { tebraService, message: 'Mornings please' });
+
+      expect(tebraService.updateAppointment.mock.calls[0][1]).toEqual({
+        notes: 'Booked online\nPatient requested to reschedule from reminder email: Mornings please'
+      });
+      expect(appointmentStatusService.addHistory).toHaveBeenCalledWith('A-1', 'booked', 'booked', 'patient', expect.stringContaining('Mornings please'), 'default');
+      expect(notificationService.sendProviderAlert).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Reschedule requested for appointment A-1' }));
+    });
+  });
+});
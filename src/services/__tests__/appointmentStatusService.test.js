@@ -0,0 +1,227 @@
+// Unit tests for appointmentStatusService.js (local appointment lifecycle tracking)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../appointmentPolicyService', () => ({ recordNoShow: jest.fn() }));
+
+const { query } = require('../../db/pg');
+const appointmentPolicyService = require('../appointmentPolicyService');
+const appointmentStatusService = require('../appointmentStatusService');
+const appointmentEvents = require('../appointmentEvents');
+const tebraTenantService = require('../tebraTenantService');
+
+function row(overrides = {}) {
+  return {
+    tebra_appointment_id: 'A-1',
+    practice_id: '1',
+    provider_id: '10',
+    patient_id: 'P-1',
+    patient_email: 'pat@example.com',
+    appointment_reason_id: '100',
+    start_time: '2020-01-08T15:00:00.000Z',
+    end_time: '2020-01-08T15:30:00.000Z',
+    status: 'booked',
+    status_source: 'tebra',
+    tebra_status: 'Scheduled',
+    confirmation_status: null,
+    reminders_sent: {},
+    ...overrides
+  };
+}
+
+describe('AppointmentStatusService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('mapTebraStatus', () => {
+    it('should map Tebra statuses to lifecycle states', () => {
+      expect(appointmentStatusService.mapTebraStatus('Scheduled')).toBe('booked');
+      expect(appointmentStatusService.mapTebraStatus('Scheduled', 'Confirmed')).toBe('confirmed');
+      expect(appointmentStatusService.mapTebraStatus('CheckedIn')).toBe('checked_in');
+      expect(appointmentStatusService.mapTebraStatus('Checked Out')).toBe('completed');
+      expect(appointmentStatusService.mapTebraStatus('NoShow')).toBe('no_show');
+      expect(appointmentStatusService.mapTebraStatus('Cancelled')).toBe('cancelled');
+      expect(appointmentStatusService.mapTebraStatus(null)).toBe('booked');
+    });
+  });
+
+  describe('upsertFromTebra', () => {
+    it('should insert a new appointment and record its first status', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [row({ status: 'confirmed', confirmation_status: 'Confirmed' })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await appointmentStatusService.upsertFromTebra({
+        id: 'A-1',
+        startDateTime: '2020-01-08T15:00:00.000Z',
+        appointmentStatus: 'Scheduled',
+        confirmationStatus: 'Confirmed'
+      });
+
+      expect(result.status).toBe('confirmed');
+      expect(query.mock.calls[1][1][10]).toBe('confirmed');
+      expect(query.mock.calls[2][1]).toEqual(['A-1', null, 'confirmed', 'sync', null, 'default']);
+    });
+
+    it('should file the appointment under the Tebra account it came from', async () => {
+      const getTenant = jest.spyOn(tebraTenantService, 'getTenant').mockReturnValue({ id: 'entity2' });
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [row({ tenant_id: 'entity2' })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await appointmentStatusService.upsertFromTebra(
+        { id: 'A-1', startDateTime: '2020-01-08T15:00:00.000Z', appointmentStatus: 'Scheduled' },
+        { tenantId: 'entity2' }
+      );
+
+      expect(result.tenantId).toBe('entity2');
+      expect(query.mock.calls[0][1]).toEqual(['A-1', 'entity2']);
+      expect(query.mock.calls[1][0]).toContain('ON CONFLICT (tenant_id, tebra_appointment_id)');
+      expect(query.mock.calls[1][1][16]).toBe('entity2');
+      expect(query.mock.calls[2][1][5]).toBe('entity2');
+      getTenant.mockRestore();
+    });
+
+    it('should keep a locally marked status while Tebra reports the same status', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [row({ status: 'no_show', status_source: 'local' })] })
+        .mockResolvedValueOnce({ rows: [row({ status: 'no_show', status_source: 'local' })] });
+
+      await appointmentStatusService.upsertFromTebra({ id: 'A-1', appointmentStatus: 'Scheduled' });
+
+      expect(query.mock.calls[1][1][10]).toBe('no_show');
+      expect(query.mock.calls[1][1][11]).toBe('local');
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should take a status Tebra changed since the last sync', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [row({ status: 'no_show', status_source: 'local' })] })
+        .mockResolvedValueOnce({ rows: [row({ status: 'completed', tebra_status: 'CheckedOut' })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await appointmentStatusService.upsertFromTebra({ id: 'A-1', appointmentStatus: 'CheckedOut' });
+
+      expect(query.mock.calls[1][1][10]).toBe('completed');
+      expect(query.mock.calls[1][1][11]).toBe('tebra');
+      expect(query.mock.calls[2][1]).toEqual(['A-1', 'no_show', 'completed', 'sync', null, 'default']);
+    });
+
+    it('should publish the change events with the record before the change', async () => {
+      const listener = jest.fn();
+      appointmentEvents.on('appointment.rescheduled', listener);
+      query
+        .mockResolvedValueOnce({ rows: [row()] })
+        .mockResolvedValueOnce({ rows: [row({ start_time: '2020-01-09T15:00:00.000Z', end_time: '2020-01-09T15:30:00.000Z' })] });
+
+      try {
+        const { appointment, previous, events } = await appointmentStatusService.applyFromTebra(
+          { id: 'A-1', startDateTime: '2020-01-09T15:00:00.000Z', appointmentStatus: 'Scheduled' },
+          { source: 'feed', tenantId: 'default' }
+        );
+
+        expect(events).toEqual(['appointment.rescheduled']);
+        expect(previous.startTime).toBe('2020-01-08T15:00:00.000Z');
+        expect(listener).toHaveBeenCalledWith({ event: 'appointment.rescheduled', appointment, previous, source: 'feed', tenantId: 'default' });
+      } finally {
+        appointmentEvents.off('appointment.rescheduled', listener);
+      }
+    });
+  });
+
+  describe('markStatus', () => {
+    it('should reject unknown statuses', async () => {
+      await expect(appointmentStatusService.markStatus('A-1', 'gone')).rejects.toMatchObject({ status: 400, code: 'INVALID_STATUS' });
+    });
+
+    it('should not mark a future appointment as a no-show', async () => {
+      query.mockResolvedValueOnce({ rows: [row({ start_time: '2999-01-01T00:00:00.000Z' })] });
+
+      await expect(appointmentStatusService.markStatus('A-1', 'no_show')).rejects.toMatchObject({ status: 409, code: 'APPOINTMENT_NOT_STARTED' });
+    });
+
+    it('should mark a no-show, record history and charge the policy fee', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [row()] })
+        .mockResolvedValueOnce({ rows: [row({ status: 'no_show', status_source: 'local' })] })
+        .mockResolvedValueOnce({ rows: [] });
+      appointmentPolicyService.recordNoShow.mockResolvedValue({ decision: { fee: { cents: 7500 } }, result: { feeStatus: 'pending' } });
+
+      const { appointment, noShowFee } = await appointmentStatusService.markStatus('A-1', 'no_show', { note: 'did not join' });
+
+      expect(appointment.status).toBe('no_show');
+      expect(query.mock.calls[2][1]).toEqual(['A-1', 'booked', 'no_show', 'local', 'did not join', 'default']);
+      expect(appointmentPolicyService.recordNoShow).toHaveBeenCalledWith(expect.objectContaining({
+        appointmentId: 'A-1',
+        patient: { tebraPatientId: 'P-1', email: 'pat@example.com' }
+      }));
+      expect(noShowFee.result.feeStatus).toBe('pending');
+    });
+
+    it('should fetch an untracked appointment from Tebra', async () => {
+      const tebraService = { getAppointment: jest.fn().mockResolvedValue({ id: 'A-2', appointmentStatus: 'CheckedIn', startDateTime: '2020-01-08T15:00:00.000Z' }) };
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [row({ tebra_appointment_id: 'A-2', status: 'checked_in' })] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [row({ tebra_appointment_id: 'A-2', status: 'completed', status_source: 'local' })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const { appointment } = await appointmentStatusService.markStatus('A-2', 'completed', { tebraService });
+
+      expect(tebraService.getAppointment).toHaveBeenCalledWith('A-2');
+      expect(appointment.status).toBe('completed');
+      expect(appointmentPolicyService.recordNoShow).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncRange', () => {
+    it('should upsert every appointment and count failures', async () => {
+      const tebraService = {
+        getAppointments: jest.fn().mockResolvedValue({ appointments: [{ id: 'A-1' }, { id: 'A-2' }] })
+      };
+      const upsert = jest.spyOn(appointmentStatusService, 'upsertFromTebra')
+        .mockResolvedValueOnce({ id: 'A-1' })
+        .mockRejectedValueOnce(new Error('db down'));
+
+      const result = await appointmentStatusService.syncRange({ fromDate: '2020-01-01', toDate: '2020-01-31', tebraService });
+
+      expect(tebraService.getAppointments).toHaveBeenCalledWith({ startDate: '2020-01-01', endDate: '2020-01-31', practiceId: undefined });
+      expect(result).toEqual({ tenantId: 'default', fetched: 2, synced: 1, failed: 1, fromDate: '2020-01-01', toDate: '2020-01-31' });
+      upsert.mockRestore();
+    });
+  });
+
+  describe('tenantFor', () => {
+    it('should find the Tebra account that holds the appointment', async () => {
+      query.mockResolvedValueOnce({ rows: [{ tenant_id: 'entity2' }] });
+      await expect(appointmentStatusService.tenantFor('A-1')).resolves.toBe('entity2');
+
+      query.mockResolvedValueOnce({ rows: [] });
+      await expect(appointmentStatusService.tenantFor('A-9')).resolves.toBe('default');
+    });
+
+    it('should refuse an id held by several accounts unless the caller names one', async () => {
+      query.mockResolvedValueOnce({ rows: [{ tenant_id: 'default' }, { tenant_id: 'entity2' }] });
+
+      await expect(appointmentStatusService.tenantFor('A-1')).rejects.toMatchObject({ status: 409, code: 'APPOINTMENT_TENANT_AMBIGUOUS' });
+      await expect(appointmentStatusService.tenantFor('A-1', 'default')).resolves.toBe('default');
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getUpcomingForReminder', () => {
+    it('should query the hour-long window that has not been reminded yet', async () => {
+      query.mockResolvedValueOnce({ rows: [row()] });
+
+      const appointments = await appointmentStatusService.getUpcomingForReminder(24, new Date('2020-01-07T15:00:00.000Z'));
+
+      expect(query.mock.calls[0][1]).toEqual(['2020-01-08T15:00:00.000Z', '2020-01-08T16:00:00.000Z', '24']);
+      expect(appointments[0].id).toBe('A-1');
+    });
+  });
+});
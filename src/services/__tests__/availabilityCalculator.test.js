@@ -0,0 +1,406 @@
+// Unit tests for availabilityCalculator.js (per-provider schedules and timezones)
+
+const { query } = require('../../db/pg');
+const availabilityService = require('../availabilityService');
+const availabilityCalculator = require('../availabilityCalculator');
+const availabilityExceptionService = require('../availabilityExceptionService');
+const appointmentReasonRuleService = require('../appointmentReasonRuleService');
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+
+describe('AvailabilityCalculator', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    availabilityService.settings = availabilityService.getDefaultSettings();
+    availabilityService.initialized = true;
+    availabilityService.schedules = [
+      availabilityService.rowToSchedule({
+        id: 2,
+        practice_id: '1',
+        business_hours: { monday: { start: '08:00', end: '12:00', enabled: true } },
+        slot_duration: 60
+      }),
+      availabilityService.rowToSchedule({
+        id: 3,
+        provider_id: '7',
+        business_hours: { monday: { start: '10:00', end: '12:00' } },
+        blocked_dates: ['2030-01-08']
+      }),
+      availabilityService.rowToSchedule({
+        id: 4,
+        state: 'TX',
+        provider_id: '7',
+        max_slots_per_day: 1
+      }),
+      availabilityService.rowToSchedule({
+        id: 5,
+        provider_id: '20',
+        timezone: 'America/Chicago'
+      }),
+      availabilityService.rowToSchedule({
+        id: 6,
+        provider_id: '30',
+        timezone: 'America/New_York',
+        business_hours: { sunday: { start: '01:00', end: '04:00', enabled: true } }
+      })
+    ];
+    availabilityService.schedulesLoaded = true;
+    availabilityExceptionService.exceptions = [];
+    availabilityExceptionService.loaded = true;
+    appointmentReasonRuleService.rules = [
+      appointmentReasonRuleService.rowToRule({ id: 1, appointment_reason_id: '100', duration_minutes: 45, buffer_before_minutes: 5, buffer_after_minutes: 10 }),
+      appointmentReasonRuleService.rowToRule({ id: 2, appointment_reason_id: '100', practice_id: '1', duration_minutes: 60, min_notice_minutes: 240 }),
+      appointmentReasonRuleService.rowToRule({ id: 3, appointment_reason_id: '200', min_notice_minutes: 240 })
+    ];
+    appointmentReasonRuleService.loaded = true;
+  });
+
+  describe('getScheduleSettings', () => {
+    it('should return global settings when no schedule matches', async () => {
+      const settings = await availabilityService.getScheduleSettings({ practiceId: '99', providerId: '42' });
+
+      expect(settings.businessHours.monday).toEqual({ start: '09:00', end: '17:00', enabled: true });
+      expect(settings.slotDuration).toBe(30);
+    });
+
+    it('should inherit practice defaults and apply provider overrides', async () => {
+      const settings = await availabilityService.getScheduleSettings({ practiceId: '1', state: 'CA', providerId: '7' });
+
+      expect(settings.businessHours.monday).toEqual({ start: '10:00', end: '12:00', enabled: true });
+      expect(settings.businessHours.tuesday.start).toBe('09:00');
+      expect(settings.slotDuration).toBe(60);
+      expect(settings.blockedDates).toEqual(['2030-01-08']);
+      expect(settings.maxSlotsPerDay).toBeNull();
+    });
+
+    it('should apply provider+state schedules only in that state', async () => {
+      const tx = await availabilityService.getScheduleSettings({ practiceId: '1', state: 'TX', providerId: '7' });
+      const ca = await availabilityService.getScheduleSettings({ practiceId: '1', state: 'CA', providerId: '7' });
+
+      expect(tx.maxSlotsPerDay).toBe(1);
+      expect(ca.maxSlotsPerDay).toBeNull();
+    });
+
+    it('should not mutate the global settings', async () => {
+      await availabilityService.getScheduleSettings({ practiceId: '1', providerId: '7' });
+
+      expect(availabilityService.settings.blockedDates).toEqual([]);
+      expect(availabilityService.settings.businessHours.monday.start).toBe('09:00');
+    });
+  });
+
+  describe('generateTimeSlots', () => {
+    it('should generate slots from the provider schedule', async () => {
+      const slots = await availabilityCalculator.generateTimeSlots({
+        fromDate: '2030-01-07',
+        toDate: '2030-01-07',
+        practiceId: '1',
+        providerId: '7',
+        state: 'CA'
+      });
+
+      expect(slots).toHaveLength(2);
+      expect(slots[0].duration).toBe(60);
+      expect(slots.every(s => s.providerId === '7')).toBe(true);
+    });
+
+    it('should use the global schedule for providers without one', async () => {
+      const slots = await availabilityCalculator.generateTimeSlots({
+        fromDate: '2030-01-07',
+        toDate: '2030-01-07',
+        practiceId: '2',
+        providerId: '8'
+      });
+
+      expect(slots).toHaveLength(16); // 09:00-17:00 in 30 minute slots
+    });
+
+    it('should honor an explicit slot duration', async () => {
+      const slots = await availabilityCalculator.generateTimeSlots({
+        fromDate: '2030-01-07',
+        toDate: '2030-01-07',
+        practiceId: '1',
+        providerId: '7',
+        slotDuration: 30
+      });
+
+      expect(slots).toHaveLength(4);
+    });
+  });
+
+  describe('timezones', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should interpret business hours in the provider timezone', async () => {
+      const slots = await availabilityCalculator.generateTimeSlots({
+        fromDate: '2030-01-07',
+        toDate: '2030-01-07',
+        providerId: '20'
+      });
+
+      expect(slots[0].startTime).toBe('2030-01-07T15:00:00.000Z'); // 09:00 CST
+      expect(slots[0].localStartTime).toBe('2030-01-07T09:00:00-06:00');
+      expect(slots[0].timezone).toBe('America/Chicago');
+      expect(slots[slots.length - 1].endTime).toBe('2030-01-07T23:00:00.000Z'); // 17:00 CST
+    });
+
+    it('should keep wall-clock hours across a DST change', async () => {
+      const before = await availabilityCalculator.generateTimeSlots({ fromDate: '2030-03-08', toDate: '2030-03-08', providerId: '30' });
+      const after = await availabilityCalculator.generateTimeSlots({ fromDate: '2030-03-11', toDate: '2030-03-11', providerId: '30' });
+
+      expect(before[0].startTime).toBe('2030-03-08T14:00:00.000Z'); // 09:00 EST
+      expect(after[0].startTime).toBe('2030-03-11T13:00:00.000Z'); // 09:00 EDT
+      expect(before).toHaveLength(after.length);
+    });
+
+    it('should skip the missing hour on the DST transition day', async () => {
+      const slots = await availabilityCalculator.generateTimeSlots({ fromDate: '2030-03-10', toDate: '2030-03-10', providerId: '30' });
+
+      // 01:00-04:00 local spans only two real hours when clocks jump from 02:00 to 03:00
+      expect(slots).toHaveLength(4);
+      expect(slots.map(s => s.localStartTime)).toContain('2030-03-10T03:00:00-04:00');
+    });
+
+    it('should filter and annotate slots using the provider timezone', async () => {
+      jest.useFakeTimers({ now: new Date('2030-01-06T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+      const result = await availabilityService.filterAvailability([
+        { startTime: '2030-01-07T15:00:00.000Z', endTime: '2030-01-07T15:30:00.000Z' }, // 09:00 CST
+        { startTime: '2030-01-07T23:30:00.000Z', endTime: '2030-01-08T00:00:00.000Z' }, // 17:30 CST
+        { startTime: '2030-01-08T02:00:00.000Z', endTime: '2030-01-08T02:30:00.000Z' } // 20:00 CST on the 7th
+      ], { providerId: '20' });
+
+      expect(result).toHaveLength(1);
+      expect(result[0].startTime).toBe('2030-01-07T15:00:00.000Z');
+      expect(result[0].localStartTime).toBe('2030-01-07T09:00:00-06:00');
+      expect(result[0].startDate).toBe('2030-01-07');
+    });
+  });
+
+  describe('availability exceptions', () => {
+    const slotsAt = (...startTimes) => startTimes.map(startTime => ({
+      startTime,
+      endTime: new Date(new Date(startTime).getTime() + 30 * 60000).toISOString(),
+      timezone: 'America/Chicago'
+    }));
+
+    it('should remove afternoon slots on recurring exception days', () => {
+      const exception = { id: 1, rrule: 'FREQ=MONTHLY;BYDAY=2FR', startDate: '2030-01-01', startTime: '12:00', endTime: '17:00', exdates: [], active: true };
+      const slots = slotsAt(
+        '2030-01-11T15:00:00.000Z', // 09:00 CST, second Friday
+        '2030-01-11T18:00:00.000Z', // 12:00 CST, second Friday
+        '2030-01-18T18:00:00.000Z' // 12:00 CST, third Friday
+      );
+
+      const result = availabilityCalculator.filterConflictingSlots(slots, [], [exception]);
+
+      expect(result.map(s => s.startTime)).toEqual(['2030-01-11T15:00:00.000Z', '2030-01-18T18:00:00.000Z']);
+    });
+
+    it('should block whole days for holiday calendars', () => {
+      const exception = { id: 2, holidayCalendar: 'US_FEDERAL', startDate: '2030-01-01', exdates: [], active: true };
+      const slots = slotsAt('2030-01-21T15:00:00.000Z', '2030-01-22T15:00:00.000Z'); // MLK Day and the day after
+
+      const result = availabilityCalculator.filterConflictingSlots(slots, [], [exception]);
+
+      expect(result.map(s => s.startTime)).toEqual(['2030-01-22T15:00:00.000Z']);
+    });
+
+    it('should work out each exception\'s occurrences once for all slots', () => {
+      const exception = { id: 3, rrule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=2', startDate: '2030-01-04', exdates: [], active: true };
+      const slots = slotsAt('2030-01-04T15:00:00.000Z', '2030-01-11T15:00:00.000Z', '2030-01-11T18:00:00.000Z', '2030-01-18T15:00:00.000Z');
+      const getOccurrences = jest.spyOn(availabilityExceptionService, 'getOccurrences');
+
+      const result = availabilityCalculator.filterConflictingSlots(slots, [], [exception]);
+
+      expect(result.map(s => s.startTime)).toEqual(['2030-01-18T15:00:00.000Z']);
+      expect(getOccurrences).toHaveBeenCalledTimes(1);
+      expect(getOccurrences).toHaveBeenCalledWith(exception, '2030-01-04', '2030-01-18', Infinity);
+      getOccurrences.mockRestore();
+    });
+
+    it('should only load exceptions matching the scope', async () => {
+      availabilityExceptionService.exceptions = [
+        { id: 1, providerId: '7', startDate: '2030-01-07', active: true },
+        { id: 2, providerId: '8', startDate: '2030-01-07', active: true },
+        { id: 3, state: 'CA', startDate: '2030-01-07', active: true },
+        { id: 4, startDate: '2030-01-07', active: false }
+      ];
+
+      const exceptions = await availabilityExceptionService.getExceptionsForScope({ state: 'ca', providerId: '7' });
+
+      expect(exceptions.map(e => e.id)).toEqual([1, 3]);
+    });
+  });
+
+  describe('appointment reason rules', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should prefer practice-specific rules and fall back to the schedule', async () => {
+      const practice = await appointmentReasonRuleService.resolveRules({ appointmentReasonId: 100, practiceId: '1', settings: { slotDuration: 30, bufferTime: 15 } });
+      const other = await appointmentReasonRuleService.resolveRules({ appointmentReasonId: '100', practiceId: '2', settings: { slotDuration: 30 } });
+      const none = await appointmentReasonRuleService.resolveRules({ practiceId: '1', settings: { slotDuration: 30, bufferTime: 15 } });
+
+      expect(practice).toMatchObject({ durationMinutes: 60, bufferBeforeMinutes: 0, bufferAfterMinutes: 15, minNoticeMinutes: 240 });
+      expect(other).toMatchObject({ durationMinutes: 45, bufferBeforeMinutes: 5, bufferAfterMinutes: 10, minNoticeMinutes: 0 });
+      expect(none).toMatchObject({ appointmentReasonId: null, durationMinutes: 30, bufferAfterMinutes: 15 });
+    });
+
+    it('should space slots by the reason duration and buffers', async () => {
+      const rules = await appointmentReasonRuleService.resolveRules({ appointmentReasonId: '100', practiceId: '2', settings: {} });
+      const slots = await availabilityCalculator.generateTimeSlots({
+        fromDate: '2030-01-07',
+        toDate: '2030-01-07',
+        practiceId: '2',
+        providerId: '20',
+        rules
+      });
+
+      // 45 minute visits, 10 minutes after and 5 before the next one: a new slot every hour
+      expect(slots.slice(0, 3).map(s => s.localStartTime)).toEqual([
+        '2030-01-07T09:00:00-06:00',
+        '2030-01-07T10:00:00-06:00',
+        '2030-01-07T11:00:00-06:00'
+      ]);
+      expect(slots[0]).toMatchObject({ duration: 45, appointmentReasonId: '100', bufferBeforeMinutes: 5, bufferAfterMinutes: 10 });
+      expect(slots).toHaveLength(8);
+    });
+
+    it('should keep buffers clear of existing appointments', () => {
+      const slot = {
+        startTime: '2030-01-07T16:00:00.000Z',
+        endTime: '2030-01-07T16:45:00.000Z',
+        bufferBeforeMinutes: 5,
+        bufferAfterMinutes: 10
+      };
+
+      const endsInBuffer = [{ startTime: '2030-01-07T15:30:00.000Z', endTime: '2030-01-07T15:58:00.000Z' }];
+      const startsInBuffer = [{ startTime: '2030-01-07T16:50:00.000Z', endTime: '2030-01-07T17:20:00.000Z' }];
+      const clear = [{ startTime: '2030-01-07T16:55:00.000Z', endTime: '2030-01-07T17:20:00.000Z' }];
+
+      expect(availabilityCalculator.filterConflictingSlots([slot], endsInBuffer)).toHaveLength(0);
+      expect(availabilityCalculator.filterConflictingSlots([slot], startsInBuffer)).toHaveLength(0);
+      expect(availabilityCalculator.filterConflictingSlots([slot], clear)).toHaveLength(1);
+    });
+
+    it('should drop slots inside the minimum booking notice', async () => {
+      jest.useFakeTimers({ now: new Date('2030-01-07T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] }); // 09:00 CST
+
+      const slots = [
+        { startTime: '2030-01-07T17:00:00.000Z', endTime: '2030-01-07T17:30:00.000Z' }, // 11:00 CST, 2 hours out
+        { startTime: '2030-01-07T19:00:00.000Z', endTime: '2030-01-07T19:30:00.000Z' } // 13:00 CST, 4 hours out
+      ];
+
+      const withNotice = await availabilityService.filterAvailability(slots, { providerId: '20', minNoticeMinutes: 240 });
+      const withoutNotice = await availabilityService.filterAvailability(slots, { providerId: '20' });
+
+      expect(withNotice.map(s => s.startTime)).toEqual(['2030-01-07T19:00:00.000Z']);
+      expect(withoutNotice).toHaveLength(2);
+    });
+  });
+
+  describe('slot holds', () => {
+    it('should treat other customers\' holds as booked', async () => {
+      const tebraService = { getAppointments: jest.fn().mockResolvedValue({ appointments: [] }) };
+      query.mockResolvedValue({
+        rows: [
+          { id: 'a', state: 'CA', provider_id: '7', start_time: '2030-01-07T17:00:00Z', end_time: '2030-01-07T17:30:00Z', cart_token: 'cart-1', status: 'held', expires_at: '2030-01-07T16:00:00Z' },
+          { id: 'b', state: 'CA', provider_id: '7', start_time: '2030-01-07T18:00:00Z', end_time: '2030-01-07T18:30:00Z', cart_token: 'cart-2', status: 'held', expires_at: '2030-01-07T16:00:00Z' }
+        ]
+      });
+
+      const existing = await availabilityCalculator.getExistingAppointments({
+        practiceId: '1',
+        providerId: '7',
+        fromDate: '2030-01-07',
+        toDate: '2030-01-07',
+        holdOwner: { cartToken: 'cart-1' },
+        tebraService
+      });
+
+      expect(existing).toHaveLength(1);
+      expect(existing[0]).toMatchObject({ holdId: 'b', startTime: '2030-01-07T18:00:00.000Z' });
+    });
+  });
+
+  describe('group and multi-resource slots', () => {
+    const groupSlot = {
+      startTime: '2030-01-07T17:00:00.000Z',
+      endTime: '2030-01-07T18:00:00.000Z',
+      providerId: '7',
+      appointmentReasonId: '300',
+      capacity: 3
+    };
+    const attendee = { startTime: '2030-01-07T17:00:00.000Z', endTime: '2030-01-07T18:00:00.000Z', providerId: '7', appointmentReasonId: '300' };
+
+    it('should keep a group session open until its seats are taken', () => {
+      const [open] = availabilityCalculator.filterConflictingSlots([groupSlot], [attendee, { ...attendee, holdId: 'h1' }]);
+      const full = availabilityCalculator.filterConflictingSlots([groupSlot], [attendee, { ...attendee, attendees: 2 }]);
+
+      expect(open).toMatchObject({ capacity: 3, remainingCapacity: 1 });
+      expect(full).toHaveLength(0);
+    });
+
+    it('should not share a group session with other appointments', () => {
+      const otherReason = { ...attendee, appointmentReasonId: '100' };
+      const overlapping = { ...attendee, startTime: '2030-01-07T17:30:00.000Z', endTime: '2030-01-07T18:30:00.000Z' };
+
+      expect(availabilityCalculator.filterConflictingSlots([groupSlot], [otherReason])).toHaveLength(0);
+      expect(availabilityCalculator.filterConflictingSlots([groupSlot], [overlapping])).toHaveLength(0);
+    });
+
+    it('should count other providers\' appointments that book a needed resource', async () => {
+      query.mockResolvedValue({ rows: [] });
+      const tebraService = {
+        getAppointments: jest.fn().mockResolvedValue({
+          appointments: [
+            { PracticeID: '1', ProviderID: '7', StartTime: '2030-01-07T15:00:00Z', EndTime: '2030-01-07T15:30:00Z' },
+            { PracticeID: '1', ProviderID: '8', ResourceID: '21', StartTime: '2030-01-07T16:00:00Z', EndTime: '2030-01-07T16:30:00Z' },
+            { PracticeID: '1', ProviderID: '9', ResourceIds: { long: ['22', '30'] }, StartTime: '2030-01-07T17:00:00Z', EndTime: '2030-01-07T17:30:00Z' },
+            { PracticeID: '1', ProviderID: '9', ResourceID: '40', StartTime: '2030-01-07T18:00:00Z', EndTime: '2030-01-07T18:30:00Z' }
+          ]
+        })
+      };
+
+      const existing = await availabilityCalculator.getExistingAppointments({
+        practiceId: '1',
+        providerId: '7',
+        fromDate: '2030-01-07',
+        toDate: '2030-01-07',
+        resourceIds: ['21', '22'],
+        tebraService
+      });
+
+      expect(existing.map(apt => apt.providerId)).toEqual(['7', '8', '9']);
+      expect(existing[2].resourceIds).toEqual(['22', '30']);
+      expect(query.mock.calls[0][1].slice(0, 2)).toEqual(['7', ['21', '22']]);
+    });
+  });
+
+  describe('upsertSchedule', () => {
+    it('should reject an empty scope', async () => {
+      await expect(availabilityService.upsertSchedule({}, { slotDuration: 45 })).rejects.toThrow('practiceId, state or providerId');
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should store only overridden fields and refresh the in-memory schedule', async () => {
+      query.mockResolvedValue({
+        rows: [{ id: 3, provider_id: '7', slot_duration: 45, blocked_dates: null }]
+      });
+
+      const schedule = await availabilityService.upsertSchedule({ providerId: 7 }, { slotDuration: 45 });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT');
+      expect(params.slice(0, 3)).toEqual([null, null, '7']);
+      expect(params[4]).toBeNull(); // business_hours inherited
+      expect(schedule.overrides).toEqual({ slotDuration: 45 });
+      expect(availabilityService.findSchedule({ providerId: '7' }).overrides).toEqual({ slotDuration: 45 });
+    });
+  });
+});
@@ -0,0 +1,233 @@
+// Unit tests for patientIdentityService.js (patient matching, duplicates report and merges)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../tebraService', () => ({ forCall: jest.fn(), forTenant: jest.fn() }));
+jest.mock('../tebraTenantService', () => ({
+  DEFAULT_TENANT_ID: 'default',
+  resolveTenantId: jest.fn(() => 'default'),
+  getTenant: jest.fn(id => {
+    if (id && id !== 'default' && id !== 'entity2') {
+      const e = new Error(`Unknown Tebra tenant: ${id}`);
+      e.status = 404;
+      throw e;
+    }
+    return { id: id || 'default' };
+  })
+}));
+jest.mock('../customerPatientMapService', () => ({
+  getByShopifyIdOrEmail: jest.fn(),
+  upsert: jest.fn()
+}));
+jest.mock('../tebraWriteQueue', () => ({ execute: jest.fn() }));
+
+const { query, ensurePool } = require('../../db/pg');
+const tebraService = require('../tebraService');
+const tebraTenantService = require('../tebraTenantService');
+const customerPatientMapService = require('../customerPatientMapService');
+const tebraWriteQueue = require('../tebraWriteQueue');
+const patientIdentityService = require('../patientIdentityService');
+const { scoreCandidate, toIdentity } = patientIdentityService;
+
+describe('PatientIdentityService', () => {
+  let tebra;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    query.mockResolvedValue({ rows: [] });
+    customerPatientMapService.getByShopifyIdOrEmail.mockResolvedValue(null);
+    tebra = {
+      tenantId: 'default',
+      searchPatients: jest.fn().mockResolvedValue({ patients: [] }),
+      createPatient: jest.fn().mockResolvedValue({ id: '900' }),
+      getPatients: jest.fn(),
+      getPatient: jest.fn()
+    };
+    tebraService.forCall.mockReturnValue(tebra);
+    tebraService.forTenant.mockReturnValue(tebra);
+    tebraWriteQueue.execute.mockResolvedValue({ id: '900' });
+  });
+
+  it('should score matches on email, name + date of birth and phone', () => {
+    const person = toIdentity({ email: ' Pat@Example.com', firstName: 'Pat', lastName: "O'Lee", dateOfBirth: '1990-02-03', phone: '+1 (555) 010-0000' });
+
+    expect(scoreCandidate(person, toIdentity({ EmailAddress: 'pat@example.com', FirstName: 'PAT', LastName: 'OLee' })))
+      .toEqual({ score: 1, matchedOn: ['email', 'name'] });
+    expect(scoreCandidate(person, toIdentity({ first_name: 'Pat', last_name: 'O Lee', date_of_birth: '02/03/1990' })).score).toBe(0.95);
+    expect(scoreCandidate(person, toIdentity({ email: 'pat@example.com', first_name: 'Unknown', last_name: 'Unknown' })).score).toBe(0.9);
+    // Shared family mailbox
+    expect(scoreCandidate(person, toIdentity({ email: 'pat@example.com', first_name: 'Sam' })).score).toBe(0.6);
+    expect(scoreCandidate(person, toIdentity({ first_name: 'Pat', last_name: 'OLee', MobilePhone: '5550100000' })).score).toBe(0.85);
+    expect(scoreCandidate(person, toIdentity({ first_name: 'Sam', last_name: 'OLee', home_phone: '555.010.0000' })).score).toBe(0.7);
+    // A different date of birth is never the same person automatically
+    expect(scoreCandidate(person, toIdentity({ email: 'pat@example.com', first_name: 'Pat', last_name: 'OLee', DOB: '1991-02-03' })).score).toBe(0.4);
+  });
+
+  it('should prefer the customer mapping and follow merges', async () => {
+    customerPatientMapService.getByShopifyIdOrEmail.mockResolvedValue({ shopify_customer_id: '42', email: 'pat@example.com', tebra_patient_id: '10' });
+    query
+      .mockResolvedValueOnce({ rows: [{ survivor_id: '11' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const patient = await patientIdentityService.findOrCreate({ shopifyCustomerId: 42, email: 'pat@example.com' });
+
+    expect(patient).toEqual({ id: '11', created: false, confidence: 1, matchedOn: ['shopify_customer_id'], source: 'mapping' });
+    expect(query.mock.calls[0][1]).toEqual(['default', '10']);
+    expect(tebra.searchPatients).not.toHaveBeenCalled();
+    expect(customerPatientMapService.getByShopifyIdOrEmail).toHaveBeenCalledWith(42, 'pat@example.com', 'default');
+    expect(customerPatientMapService.upsert).toHaveBeenCalledWith(42, 'pat@example.com', '11', 'default');
+  });
+
+  it('should link the best Tebra match above the threshold and create a patient otherwise', async () => {
+    tebra.searchPatients.mockImplementation(async ({ email, lastName }) => ({
+      patients: email
+        ? [{ ID: '20', FirstName: 'Sam', LastName: 'Lee', EmailAddress: 'pat@example.com' }]
+        : [{ ID: '21', FirstName: 'Pat', LastName: 'Lee', DOB: '1990-02-03T00:00:00' }, { ID: '20', FirstName: 'Sam', LastName: 'Lee' }]
+    }));
+    const person = { email: 'Pat@example.com', firstName: 'Pat', lastName: 'Lee', dateOfBirth: '1990-02-03' };
+
+    const resolved = await patientIdentityService.resolve(person, { state: 'CA' });
+
+    expect(tebra.searchPatients.mock.calls).toEqual([[{ email: 'pat@example.com' }], [{ lastName: 'Lee' }]]);
+    expect(resolved).toMatchObject({ patientId: '21', confidence: 0.95, matchedOn: ['name', 'date_of_birth'], source: 'tebra' });
+    expect(resolved.candidates.map(c => [c.id, c.score])).toEqual([['21', 0.95], ['20', 0.6]]);
+
+    // Only the shared mailbox matches: below the threshold, so a new chart is created
+    tebra.searchPatients.mockResolvedValue({ patients: [{ ID: '20', FirstName: 'Sam', LastName: 'Lee', EmailAddress: 'pat@example.com' }] });
+    const created = await patientIdentityService.findOrCreate(person, { tebra, createPayload: { email: 'Pat@example.com', firstName: 'Pat' } });
+
+    expect(created).toMatchObject({ id: '900', created: true, source: 'created' });
+    // Keyed by the person: a retry reuses the chart, Kim on the same mailbox gets another key
+    const [command, payload, { idempotencyKey }] = tebraWriteQueue.execute.mock.calls[0];
+    expect([command, payload]).toEqual(['createPatient', { email: 'Pat@example.com', firstName: 'Pat' }]);
+    expect(idempotencyKey).toMatch(/^patient-identity:default:[0-9a-f]{32}$/);
+    await patientIdentityService.findOrCreate({ ...person, email: 'pat@example.com ' }, { tebra });
+    await patientIdentityService.findOrCreate({ ...person, firstName: 'Kim' }, { tebra });
+    expect(tebraWriteQueue.execute.mock.calls[1][2].idempotencyKey).toBe(idempotencyKey);
+    expect(tebraWriteQueue.execute.mock.calls[2][2].idempotencyKey).not.toBe(idempotencyKey);
+    expect(customerPatientMapService.upsert).toHaveBeenCalledWith(undefined, 'Pat@example.com', '900', 'default');
+    await expect(patientIdentityService.findOrCreate({ firstName: 'Pat' })).rejects.toMatchObject({ status: 400, code: 'PATIENT_IDENTITY_MISSING' });
+  });
+
+  it('should create through the write queue when the caller keys the request', async () => {
+    tebra.tenantId = 'entity2';
+    tebraWriteQueue.execute.mockResolvedValueOnce({ id: '901' });
+
+    const created = await patientIdentityService.findOrCreate(
+      { email: 'pat@example.com' },
+      { tenantId: 'entity2', idempotencyKey: 'shopify-order:1001:patient', source: 'shopify_order_created' }
+    );
+
+    expect(created).toMatchObject({ id: '901', created: true });
+    expect(tebraService.forCall).toHaveBeenCalledWith({ tenantId: 'entity2', state: undefined, practiceId: undefined });
+    expect(tebraWriteQueue.execute).toHaveBeenCalledWith(
+      'createPatient',
+      { email: 'pat@example.com', firstName: 'Unknown', lastName: 'Unknown', mobilePhone: undefined, dateOfBirth: undefined },
+      { idempotencyKey: 'shopify-order:1001:patient', source: 'shopify_order_created', tenantId: 'entity2' }
+    );
+    expect(tebra.createPatient).not.toHaveBeenCalled();
+    expect(customerPatientMapService.upsert).toHaveBeenCalledWith(undefined, 'pat@example.com', '901', 'entity2');
+  });
+
+  it('should report duplicates from the customer mapping and from Tebra, leaving out merged patients', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ duplicate_id: '33' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { matched_on: 'email', key: 'pat@example.com', patient_ids: ['10', '11'] },
+          { matched_on: 'shopify_customer_id', key: '42', patient_ids: ['10', '33'] }
+        ]
+      });
+    tebra.getPatients.mockResolvedValue({
+      GetPatientsResult: {
+        Patients: [
+          { ID: '30', FirstName: 'Pat', LastName: 'Lee', DOB: '1990-02-03', EmailAddress: 'pat@example.com' },
+          { ID: '31', FirstName: 'Pat', LastName: 'Lee', DOB: '1990-02-03', MobilePhone: '5550100000' },
+          { ID: '32', FirstName: 'Sam', LastName: 'Lee', DOB: '1960-01-01', HomePhone: '5550100000' },
+          { ID: '33', FirstName: 'Pat', LastName: 'Lee', DOB: '1990-02-03' },
+          { ID: '34', FirstName: 'Sam', LastName: 'Lee', EmailAddress: 'pat@example.com' }
+        ]
+      }
+    });
+
+    const report = await patientIdentityService.findDuplicates();
+
+    expect(tebra.getPatients).toHaveBeenCalledWith({ fields: expect.objectContaining({ MobilePhone: 1, DOB: 1 }) });
+    expect(report.tebraError).toBeNull();
+    expect(report.groups).toEqual([
+      { source: 'mapping', matchedOn: ['email'], confidence: 1, key: 'pat@example.com', patients: [{ id: '10' }, { id: '11' }] },
+      {
+        source: 'tebra',
+        matchedOn: ['name', 'date_of_birth'],
+        confidence: 0.95,
+        key: 'name_dob',
+        patients: [expect.objectContaining({ id: '30' }), expect.objectContaining({ id: '31', dateOfBirth: '1990-02-03' })]
+      }
+    ]);
+
+    tebra.getPatients.mockRejectedValue(new Error('Tebra unavailable'));
+    query.mockResolvedValue({ rows: [] });
+    await expect(patientIdentityService.findDuplicates()).resolves.toMatchObject({ groups: [], tebraError: 'Tebra unavailable' });
+  });
+
+  it('should re-point local records to the survivor in one transaction and record the merge', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('to_regclass')) return { rows: [{ name: 'customer_patient_map' }, { name: 'subscriptions' }] };
+        if (sql.startsWith('UPDATE customer_patient_map')) return { rowCount: 2 };
+        if (sql.startsWith('UPDATE subscriptions')) return { rowCount: 1 };
+        return { rows: [], rowCount: 0 };
+      }),
+      release: jest.fn()
+    };
+    ensurePool.mockResolvedValue({ connect: jest.fn().mockResolvedValue(client) });
+    tebra.getPatient.mockResolvedValue({ id: '10' });
+
+    await expect(patientIdentityService.merge('10', ['10'])).rejects.toMatchObject({ status: 400, code: 'PATIENT_MERGE_INVALID' });
+    query.mockResolvedValueOnce({ rows: [{ duplicate_id: '10', survivor_id: '5' }] });
+    await expect(patientIdentityService.merge('10', ['11'])).rejects.toMatchObject({ status: 409, code: 'PATIENT_ALREADY_MERGED' });
+
+    const result = await patientIdentityService.merge(10, ['11', 12, '11'], { mergedBy: 'ops@sxrx', reason: 'same person' });
+
+    expect(result).toEqual({
+      tenantId: 'default',
+      survivorId: '10',
+      duplicateIds: ['11', '12'],
+      repointed: { customer_patient_map: 2, subscriptions: 1 }
+    });
+    const statements = client.query.mock.calls.map(([sql]) => sql.split(' ').slice(0, 3).join(' '));
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(client.query).toHaveBeenCalledWith('UPDATE subscriptions SET tebra_patient_id = $1 WHERE tenant_id = $2 AND tebra_patient_id = ANY($3)', ['10', 'default', ['11', '12']]);
+    const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO patient_merges'));
+    expect(inserts.map(([, params]) => params)).toEqual([
+      ['default', '11', '10', JSON.stringify(result.repointed), 'same person', 'ops@sxrx'],
+      ['default', '12', '10', JSON.stringify(result.repointed), 'same person', 'ops@sxrx']
+    ]);
+    expect(client.release).toHaveBeenCalled();
+
+    // A failure rolls every table back
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('to_regclass')) return { rows: [{ name: 'subscriptions' }] };
+      if (sql.startsWith('UPDATE subscriptions')) throw new Error('deadlock detected');
+      return { rows: [] };
+    });
+    await expect(patientIdentityService.merge('10', ['13'])).rejects.toThrow('deadlock detected');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('should merge within one Tebra account, leaving other accounts\' records with the same ids alone', async () => {
+    const client = { query: jest.fn(async (sql) => (sql.includes('to_regclass') ? { rows: [{ name: 'billing_sync' }] } : { rows: [], rowCount: 1 })), release: jest.fn() };
+    ensurePool.mockResolvedValue({ connect: jest.fn().mockResolvedValue(client) });
+    tebra.getPatient.mockResolvedValue({ id: '10' });
+
+    const result = await patientIdentityService.merge('10', ['11'], { tenantId: 'entity2' });
+
+    expect(result).toMatchObject({ tenantId: 'entity2', repointed: { billing_sync: 1 } });
+    expect(tebraService.forTenant).toHaveBeenCalledWith('entity2');
+    expect(query.mock.calls[0][1]).toEqual(['entity2', ['10', '11']]);
+    expect(client.query).toHaveBeenCalledWith('UPDATE billing_sync SET tebra_patient_id = $1 WHERE tenant_id = $2 AND tebra_patient_id = ANY($3)', ['10', 'entity2', ['11']]);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE patient_merges SET survivor_id'), ['entity2', '10', ['11']]);
+  });
+});
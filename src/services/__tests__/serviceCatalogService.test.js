@@ -0,0 +1,118 @@
+// Unit tests for serviceCatalogService.js (billable services, prices and CPT codes)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+
+const { query } = require('../../db/pg');
+const serviceCatalogService = require('../serviceCatalogService');
+
+describe('ServiceCatalogService', () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    process.env.BILLABLE_SERVICES_JSON = JSON.stringify({
+      'consult-initial': { name: 'Initial consultation', category: 'consultation', priceCents: 14900, cptCode: '99203', cptModifier: '95', taxable: false },
+      'lab-basic': { name: 'Basic lab panel', category: 'lab_panel', priceCents: 8900, currency: 'USD', cptCode: '80053', taxable: true, stripeTaxCode: 'txcd_10000000' },
+      'weight-plan': { name: 'Weight plan', category: 'subscription', priceCents: 29900, cptCode: '99214', shopifyProductIds: [123] },
+      'free-call': { name: 'Free call', priceCents: 0, cptCode: '99211' }
+    });
+    serviceCatalogService.reload();
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+  });
+
+  it('should load services from BILLABLE_SERVICES_JSON and skip invalid ones', () => {
+    expect(serviceCatalogService.listServices().map(service => service.id)).toEqual(['consult-initial', 'lab-basic', 'weight-plan']);
+    expect(serviceCatalogService.getService('lab-basic')).toMatchObject({ currency: 'usd', taxable: true, stripeTaxCode: 'txcd_10000000', source: 'config' });
+    expect(serviceCatalogService.getService('free-call')).toBeNull();
+    expect(serviceCatalogService.forShopifyProduct(123)).toMatchObject({ id: 'weight-plan' });
+    expect(serviceCatalogService.forShopifyProduct('999')).toBeNull();
+  });
+
+  it('should price purchases from the catalog only', () => {
+    expect(serviceCatalogService.quote('consult-initial', '2')).toMatchObject({
+      quantity: 2,
+      unitAmountCents: 14900,
+      amountCents: 29800,
+      currency: 'usd',
+      service: { cptCode: '99203' }
+    });
+    expect(() => serviceCatalogService.quote('consult-vip')).toThrow(expect.objectContaining({ status: 400, code: 'UNKNOWN_SERVICE' }));
+    expect(() => serviceCatalogService.quote('consult-initial', 0)).toThrow(expect.objectContaining({ code: 'INVALID_QUANTITY' }));
+    expect(() => serviceCatalogService.quote('consult-initial', 1.5)).toThrow(expect.objectContaining({ code: 'INVALID_QUANTITY' }));
+
+    const service = serviceCatalogService.getService('consult-initial');
+    expect(serviceCatalogService.chargeItems(service, 2)).toEqual([{ cpt: '99203', modifier: '95', units: 2, amountCents: 14900 }]);
+    expect(serviceCatalogService.chargeItems(serviceCatalogService.getService('weight-plan'), 1, 25000))
+      .toEqual([{ cpt: '99214', modifier: undefined, units: 1, amountCents: 25000 }]);
+  });
+
+  it('should price charges at the amount paid, keeping the total when it does not split evenly', () => {
+    const service = serviceCatalogService.getService('consult-initial');
+
+    expect(serviceCatalogService.paidChargeItems(service, 2, 26820)).toEqual([{ cpt: '99203', modifier: '95', units: 2, amountCents: 13410 }]);
+    expect(serviceCatalogService.paidChargeItems(service, 3, 10000)).toEqual([
+      { cpt: '99203', modifier: '95', units: 2, amountCents: 3333 },
+      { cpt: '99203', modifier: '95', units: 1, amountCents: 3334 }
+    ]);
+    expect(serviceCatalogService.paidChargeItems({ cptCode: '99000' }, 1, 4550)).toEqual([{ cpt: '99000', modifier: undefined, units: 1, amountCents: 4550 }]);
+  });
+
+  it('should let database rows override config services and keep the catalog when the database is down', async () => {
+    query.mockResolvedValueOnce({
+      rows: [
+        { service_id: 'consult-initial', name: 'Initial consultation', category: 'consultation', price_cents: 15900, currency: 'usd', cpt_code: '99203', cpt_modifier: '95', taxable: false, shopify_product_ids: [], active: true },
+        { service_id: 'lab-basic', name: 'Basic lab panel', category: 'lab_panel', price_cents: 8900, currency: 'usd', cpt_code: '80053', taxable: true, shopify_product_ids: null, active: false }
+      ]
+    });
+
+    await expect(serviceCatalogService.refresh()).resolves.toBe(2);
+    expect(serviceCatalogService.quote('consult-initial').amountCents).toBe(15900);
+    expect(() => serviceCatalogService.quote('lab-basic')).toThrow(expect.objectContaining({ code: 'UNKNOWN_SERVICE' }));
+    expect(serviceCatalogService.listServices({ includeInactive: true }).map(service => [service.id, service.source])).toEqual([
+      ['consult-initial', 'database'],
+      ['lab-basic', 'database'],
+      ['weight-plan', 'config']
+    ]);
+
+    query.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    await expect(serviceCatalogService.refresh()).resolves.toBe(0);
+    expect(serviceCatalogService.getService('consult-initial').priceCents).toBe(15900);
+  });
+
+  it('should validate and upsert services saved by admins', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    await expect(serviceCatalogService.saveService('Bad Id', { name: 'X', priceCents: 100, cptCode: '99213' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_SERVICE' });
+    await expect(serviceCatalogService.saveService('follow-up', { name: 'Follow-up', category: 'follow_up', priceCents: 79.5, cptCode: '99213' }))
+      .rejects.toThrow('priceCents must be a positive integer');
+    expect(query.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+    query.mockClear();
+
+    // Partial update of a config service keeps its other fields
+    await serviceCatalogService.saveService('consult-initial', { priceCents: 15900 }, { updatedBy: 'ops@sxrx' });
+
+    expect(query.mock.calls[0][0]).toContain('SELECT * FROM billable_services');
+    const [sql, params] = query.mock.calls[1];
+    expect(sql).toContain('INSERT INTO billable_services');
+    expect(params).toEqual(['consult-initial', 'Initial consultation', null, 'consultation', 15900, 'usd', '99203', '95', false, null, [], true, 'ops@sxrx']);
+    expect(query.mock.calls[2][0]).toContain('SELECT * FROM billable_services');
+  });
+
+  it('should merge an admin edit onto the row as another instance last saved it', async () => {
+    query
+      .mockResolvedValueOnce({
+        rows: [{ service_id: 'consult-initial', name: 'Initial consultation', category: 'consultation', price_cents: 16900, currency: 'usd', cpt_code: '99203', cpt_modifier: '95', taxable: false, shopify_product_ids: [], active: true }]
+      })
+      .mockResolvedValue({ rows: [] });
+
+    await serviceCatalogService.saveService('consult-initial', { description: 'First visit' });
+
+    expect(query.mock.calls[1][1].slice(0, 5)).toEqual(['consult-initial', 'Initial consultation', 'First visit', 'consultation', 16900]);
+  });
+});
@@ -0,0 +1,304 @@
+// Unit tests for slotHoldService.js (checkout slot holds)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../availabilityCalculator', () => ({ calculateAvailability: jest.fn() }));
+jest.mock('../tebraWriteQueue', () => ({ execute: jest.fn() }));
+jest.mock('../cacheService', () => ({ addBookedSlot: jest.fn(), invalidateAvailability: jest.fn() }));
+jest.mock('../../config/providerMapping', () => ({
+  CA: { state: 'CA', practiceId: '1', defaultProviderId: '7', appointmentReasonId: '100', serviceLocationId: '3' }
+}));
+
+const { query } = require('../../db/pg');
+const availabilityCalculator = require('../availabilityCalculator');
+const tebraWriteQueue = require('../tebraWriteQueue');
+const cacheService = require('../cacheService');
+const slotHoldService = require('../slotHoldService');
+
+const HOLD_ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+function holdRow(overrides = {}) {
+  return {
+    id: HOLD_ID,
+    state: 'CA',
+    practice_id: '1',
+    provider_id: '7',
+    appointment_reason_id: '100',
+    start_time: '2030-01-07T17:00:00.000Z',
+    end_time: '2030-01-07T17:30:00.000Z',
+    shopify_customer_id: null,
+    cart_token: 'cart-1',
+    status: 'held',
+    expires_at: '2030-01-07T16:10:00.000Z',
+    ...overrides
+  };
+}
+
+describe('SlotHoldService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    availabilityCalculator.calculateAvailability.mockResolvedValue({
+      availability: [{ startTime: '2030-01-07T17:00:00.000Z', endTime: '2030-01-07T17:30:00.000Z' }]
+    });
+  });
+
+  describe('createHold', () => {
+    it('should hold an offered slot for the cart', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] }) // seats taken
+        .mockResolvedValueOnce({ rows: [] }) // release previous cart holds
+        .mockResolvedValueOnce({ rows: [holdRow()] });
+
+      const hold = await slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-1' });
+
+      expect(availabilityCalculator.calculateAvailability).toHaveBeenCalledWith(expect.objectContaining({
+        practiceId: '1',
+        providerId: '7',
+        appointmentReasonId: '100',
+        holdOwner: { shopifyCustomerId: undefined, cartToken: 'cart-1' }
+      }));
+      const [sql, params] = query.mock.calls[2];
+      expect(sql).toContain('INSERT INTO slot_holds');
+      expect(params.slice(5, 7)).toEqual(['2030-01-07T17:00:00.000Z', '2030-01-07T17:30:00.000Z']);
+      expect(params.slice(11)).toEqual([1, 1, '[]', null]);
+      expect(hold).toMatchObject({ id: HOLD_ID, status: 'held', cartToken: 'cart-1' });
+      expect(cacheService.invalidateAvailability).toHaveBeenCalledWith('CA', '7');
+    });
+
+    it('should reject a slot that is no longer offered', async () => {
+      availabilityCalculator.calculateAvailability.mockResolvedValue({ availability: [] });
+
+      await expect(slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-1' }))
+        .rejects.toMatchObject({ status: 409, code: 'SLOT_UNAVAILABLE' });
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should report a concurrent hold on the same slot as unavailable', async () => {
+      const duplicate = Object.assign(new Error('duplicate key'), { code: '23505' });
+      query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] }).mockRejectedValueOnce(duplicate);
+
+      await expect(slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-2' }))
+        .rejects.toMatchObject({ status: 409, code: 'SLOT_UNAVAILABLE' });
+    });
+
+    it('should give each checkout its own seat in a group session', async () => {
+      availabilityCalculator.calculateAvailability.mockResolvedValue({
+        availability: [{
+          startTime: '2030-01-07T17:00:00.000Z',
+          endTime: '2030-01-07T18:00:00.000Z',
+          capacity: 4,
+          remainingCapacity: 2,
+          resourceIds: ['21']
+        }]
+      });
+      query
+        .mockResolvedValueOnce({ rows: [{ seat: 1, status: 'held', cart_token: 'cart-1' }, { seat: 3, status: 'converting' }] }) // seats held by other carts
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [holdRow({ seat: 2, capacity: 4, resource_ids: ['21'] })] });
+
+      const hold = await slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-3' });
+
+      expect(query.mock.calls[2][1].slice(11, 14)).toEqual([2, 4, '["21"]']);
+      expect(hold).toMatchObject({ seat: 2, capacity: 4, resourceIds: ['21'] });
+    });
+
+    it('should not offer a seat beyond the slot capacity', async () => {
+      query.mockResolvedValueOnce({ rows: [{ seat: 1, status: 'held', cart_token: 'cart-1' }] }); // a concurrent hold took the only seat
+
+      await expect(slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-2' }))
+        .rejects.toMatchObject({ status: 409, code: 'SLOT_UNAVAILABLE' });
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not count holds past their expiry as taken seats', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] }) // the stale hold on seat 1 is expired by the seat query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [holdRow()] });
+
+      await slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-2' });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("UPDATE slot_holds SET status = 'expired'");
+      expect(sql).toContain('id NOT IN (SELECT id FROM expired)');
+      expect(params).toEqual(['7', '2030-01-07T17:00:00.000Z']);
+      expect(query.mock.calls[2][1][11]).toBe(1);
+    });
+
+    it('should let a cart take the seat its own hold is on', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ seat: 1, status: 'held', cart_token: 'cart-1' }] }) // the cart's previous hold
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [holdRow()] });
+
+      await slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-1' });
+
+      expect(query.mock.calls[1][0]).toContain("SET status = 'released'");
+      expect(query.mock.calls[2][1][11]).toBe(1);
+    });
+
+    it('should cap the slots one client IP can hold', async () => {
+      query.mockResolvedValueOnce({ rows: [{ count: 3 }] }); // live holds of other carts from the IP
+
+      await expect(slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-9', clientIp: '203.0.113.7' }))
+        .rejects.toMatchObject({ status: 429, code: 'TOO_MANY_HOLDS' });
+      expect(query.mock.calls[0][1]).toEqual(['203.0.113.7', null, 'cart-9']);
+      // The cart's existing hold is kept when the new one is refused
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record the client IP on the hold', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ count: 2 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [holdRow()] });
+
+      await slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'cart-1', clientIp: '203.0.113.7' });
+
+      expect(query.mock.calls[3][1][14]).toBe('203.0.113.7');
+    });
+
+    it('should require a customer or cart', async () => {
+      await expect(slotHoldService.createHold({ state: 'CA', startTime: '2030-01-07T17:00:00Z' }))
+        .rejects.toMatchObject({ status: 400, code: 'HOLD_OWNER_REQUIRED' });
+    });
+
+    it('should hold a freed slot without checking availability when asked', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [holdRow({ cart_token: 'waitlist:5' })] });
+
+      await slotHoldService.createHold(
+        { state: 'CA', startTime: '2030-01-07T17:00:00Z', cartToken: 'waitlist:5' },
+        { ttlMinutes: 60, verifyAvailability: false, endTime: '2030-01-07T17:30:00Z' }
+      );
+
+      expect(availabilityCalculator.calculateAvailability).not.toHaveBeenCalled();
+      const params = query.mock.calls[2][1];
+      expect(params[6]).toBe('2030-01-07T17:30:00.000Z');
+      expect(params[10]).toBe('60');
+    });
+  });
+
+  describe('extendHold and releaseHold', () => {
+    it('should hide holds from other carts', async () => {
+      query.mockResolvedValue({ rows: [holdRow()] });
+
+      await expect(slotHoldService.extendHold(HOLD_ID, { cartToken: 'other' })).rejects.toMatchObject({ status: 404 });
+      await expect(slotHoldService.releaseHold(HOLD_ID, { cartToken: 'other' })).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should release the owner\'s hold', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [holdRow()] })
+        .mockResolvedValueOnce({ rows: [holdRow({ status: 'released' })] });
+
+      const hold = await slotHoldService.releaseHold(HOLD_ID, { cartToken: 'cart-1' });
+
+      expect(hold.status).toBe('released');
+      expect(cacheService.invalidateAvailability).toHaveBeenCalledWith('CA', '7');
+    });
+  });
+
+  describe('findHoldForOrder', () => {
+    it('should find the hold from a line item property', async () => {
+      query.mockResolvedValueOnce({ rows: [holdRow()] });
+
+      const hold = await slotHoldService.findHoldForOrder({
+        line_items: [{ properties: [{ name: '_slot_hold_id', value: HOLD_ID }] }]
+      });
+
+      expect(hold.id).toBe(HOLD_ID);
+      expect(query.mock.calls[0][1]).toEqual([HOLD_ID]);
+    });
+
+    it('should fall back to the cart token', async () => {
+      query.mockResolvedValueOnce({ rows: [holdRow()] });
+
+      const hold = await slotHoldService.findHoldForOrder({ cart_token: 'cart-1', line_items: [] });
+
+      expect(hold.cartToken).toBe('cart-1');
+    });
+  });
+
+  describe('convertHold', () => {
+    it('should create the Tebra appointment from the held slot', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [holdRow({ status: 'converting' })] })
+        .mockResolvedValueOnce({ rows: [holdRow({ status: 'converted', tebra_appointment_id: '555', shopify_order_id: '9001' })] });
+      tebraWriteQueue.execute.mockResolvedValue({ id: '555' });
+
+      const result = await slotHoldService.convertHold({ id: HOLD_ID }, { tebraPatientId: '42', shopifyOrderId: '9001' });
+
+      expect(tebraWriteQueue.execute).toHaveBeenCalledWith('createAppointment', expect.objectContaining({
+        startTime: '2030-01-07T17:00:00.000Z',
+        endTime: '2030-01-07T17:30:00.000Z',
+        patientId: '42',
+        providerId: '7',
+        appointmentReasonId: '100'
+      }), expect.objectContaining({ idempotencyKey: `slot-hold:${HOLD_ID}:appointment` }));
+      expect(result).toMatchObject({ converted: true, tebraAppointmentId: '555' });
+      expect(cacheService.addBookedSlot).toHaveBeenCalledWith('CA', '7', '2030-01-07T17:00:00.000Z', '2030-01-07T17:30:00.000Z', {
+        appointmentReasonId: '100',
+        resourceIds: []
+      });
+    });
+
+    it('should not book twice for the same order', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] }) // claim fails
+        .mockResolvedValueOnce({ rows: [holdRow({ status: 'converted', tebra_appointment_id: '555', shopify_order_id: '9001' })] });
+
+      const result = await slotHoldService.convertHold({ id: HOLD_ID }, { tebraPatientId: '42', shopifyOrderId: '9001' });
+
+      expect(result).toMatchObject({ converted: true, tebraAppointmentId: '555' });
+      expect(tebraWriteQueue.execute).not.toHaveBeenCalled();
+    });
+
+    it('should book an expired hold whose slot is still free', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] }) // claim fails
+        .mockResolvedValueOnce({ rows: [holdRow({ status: 'expired' })] })
+        .mockResolvedValueOnce({ rows: [] }) // seats taken
+        .mockResolvedValueOnce({ rows: [holdRow({ status: 'converting', shopify_order_id: '9001' })] })
+        .mockResolvedValueOnce({ rows: [holdRow({ status: 'converted', tebra_appointment_id: '555', shopify_order_id: '9001' })] });
+      tebraWriteQueue.execute.mockResolvedValue({ id: '555' });
+
+      const result = await slotHoldService.convertHold({ id: HOLD_ID }, { tebraPatientId: '42', shopifyOrderId: '9001' });
+
+      expect(availabilityCalculator.calculateAvailability).toHaveBeenCalledWith(expect.objectContaining({
+        holdOwner: { shopifyCustomerId: null, cartToken: 'cart-1' }
+      }));
+      const [sql, params] = query.mock.calls[3];
+      expect(sql).toContain("status = 'expired'");
+      expect(params).toEqual([HOLD_ID, '9001', 1]);
+      expect(tebraWriteQueue.execute).toHaveBeenCalledWith('createAppointment', expect.objectContaining({
+        startTime: '2030-01-07T17:00:00.000Z'
+      }), expect.anything());
+      expect(result).toMatchObject({ converted: true, tebraAppointmentId: '555' });
+    });
+
+    it('should not book an expired hold whose slot was taken', async () => {
+      availabilityCalculator.calculateAvailability.mockResolvedValue({ availability: [] });
+      query
+        .mockResolvedValueOnce({ rows: [] }) // claim fails
+        .mockResolvedValueOnce({ rows: [holdRow({ status: 'expired' })] });
+
+      const result = await slotHoldService.convertHold({ id: HOLD_ID }, { tebraPatientId: '42', shopifyOrderId: '9001' });
+
+      expect(result).toMatchObject({ converted: false, reason: 'slot_unavailable' });
+      expect(query).toHaveBeenCalledTimes(2);
+      expect(tebraWriteQueue.execute).not.toHaveBeenCalled();
+    });
+
+    it('should put the hold back when Tebra rejects the appointment', async () => {
+      query.mockResolvedValueOnce({ rows: [holdRow({ status: 'converting' })] }).mockResolvedValueOnce({ rows: [] });
+      tebraWriteQueue.execute.mockRejectedValue(new Error('InternalServiceFault'));
+
+      await expect(slotHoldService.convertHold({ id: HOLD_ID }, { tebraPatientId: '42', shopifyOrderId: '9001' })).rejects.toThrow('InternalServiceFault');
+      expect(query.mock.calls[1][0]).toContain("SET status = 'held'");
+    });
+  });
+});
@@ -0,0 +1,185 @@
+// Unit tests for stripeBillingEventService.js (refunds, disputes, invoices and subscription events)
+
+jest.mock('../../utils/logger');
+jest.mock('../billingSyncService', () => ({
+  findPayment: jest.fn(),
+  upsertByPaymentIntentId: jest.fn(),
+  upsertByEventId: jest.fn(),
+  applyChanges: jest.fn()
+}));
+jest.mock('../tebraWriteQueue', () => ({ enqueue: jest.fn() }));
+jest.mock('../patientIdentityService', () => ({ findOrCreate: jest.fn() }));
+jest.mock('../subscriptionBillingService', () => ({ recordFailure: jest.fn() }));
+jest.mock('../serviceCatalogService', () => {
+  const services = {
+    'consult-initial': { id: 'consult-initial', cptCode: '99203', cptModifier: '95' },
+    'weight-plan': { id: 'weight-plan', cptCode: '99214', cptModifier: null }
+  };
+  return {
+    getService: jest.fn(id => services[id] || null),
+    chargeItems: jest.fn((service, quantity, amountCents) => [{ cpt: service.cptCode, units: quantity, amountCents }])
+  };
+});
+
+const billingSync = require('../billingSyncService');
+const tebraWriteQueue = require('../tebraWriteQueue');
+const patientIdentityService = require('../patientIdentityService');
+const stripeBillingEventService = require('../stripeBillingEventService');
+
+const payment = {
+  id: 7,
+  stripe_payment_intent_id: 'pi_1',
+  tebra_patient_id: '10',
+  tebra_practice_id: '1',
+  service_id: 'consult-initial',
+  refunded_cents: 0,
+  tebra_adjustments: []
+};
+
+function event(type, object, id = `evt_${type}`) {
+  return { id, type, data: { object } };
+}
+
+describe('StripeBillingEventService', () => {
+  let commandId;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.USE_TEBRA_MOCK;
+    commandId = 100;
+    tebraWriteQueue.enqueue.mockImplementation(async () => ({ id: ++commandId }));
+    billingSync.findPayment.mockResolvedValue({ ...payment });
+    billingSync.upsertByPaymentIntentId.mockResolvedValue({ id: 8 });
+    billingSync.upsertByEventId.mockResolvedValue({ id: 9 });
+  });
+
+  it('should handle refund, dispute, invoice and subscription events only', () => {
+    expect(stripeBillingEventService.handles('charge.refunded')).toBe(true);
+    expect(stripeBillingEventService.handles('customer.subscription.deleted')).toBe(true);
+    expect(stripeBillingEventService.handles('invoice.payment_failed')).toBe(true);
+    expect(stripeBillingEventService.handles('checkout.session.completed')).toBe(false);
+    expect(stripeBillingEventService.handles('customer.created')).toBe(false);
+  });
+
+  it('should post only the newly refunded amount as a negative payment and a credit line', async () => {
+    const charge = { id: 'ch_1', payment_intent: 'pi_1', amount: 14900, amount_refunded: 4900, refunded: false, currency: 'usd' };
+
+    const result = await stripeBillingEventService.handle(event('charge.refunded', charge));
+
+    expect(billingSync.findPayment).toHaveBeenCalledWith({ paymentIntentId: 'pi_1', chargeId: 'ch_1' });
+    expect(tebraWriteQueue.enqueue.mock.calls).toEqual([
+      ['createPayments', expect.objectContaining({ practiceId: '1', patientId: '10', amountCents: -4900, referenceNumber: 'REFUND-pi_1' }),
+        { idempotencyKey: 'stripe-charge:ch_1:refund:4900:payment', source: 'stripe_webhook', tenantId: 'default' }],
+      ['createEncounter', expect.objectContaining({ patientId: '10', items: [{ cpt: '99203', modifier: '95', units: 1, amountCents: -4900 }] }),
+        { idempotencyKey: 'stripe-charge:ch_1:refund:4900:credit', source: 'stripe_webhook', tenantId: 'default' }]
+    ]);
+    expect(result).toMatchObject({ status: 'partially_refunded', adjustment: { type: 'refund', amountCents: -4900, commands: { payment: 101, credit: 102 } } });
+    expect(billingSync.applyChanges).toHaveBeenCalledWith(7, { status: 'partially_refunded', refunded_cents: 4900, stripe_charge_id: 'ch_1' }, result.adjustment);
+
+    // Rest of the charge refunded later
+    billingSync.findPayment.mockResolvedValue({ ...payment, refunded_cents: 4900 });
+    await stripeBillingEventService.handle(event('charge.refunded', { ...charge, amount_refunded: 14900, refunded: true }, 'evt_2'));
+    expect(tebraWriteQueue.enqueue.mock.calls[2][1]).toMatchObject({ amountCents: -10000 });
+
+    // Redelivered event: nothing left to post
+    tebraWriteQueue.enqueue.mockClear();
+    billingSync.findPayment.mockResolvedValue({ ...payment, refunded_cents: 14900 });
+    await expect(stripeBillingEventService.handle(event('charge.refunded', { ...charge, amount_refunded: 14900, refunded: true }, 'evt_2')))
+      .resolves.toMatchObject({ status: 'refunded', adjustment: null });
+    expect(tebraWriteQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('should withdraw disputed funds, reinstate them when the dispute is won and skip inquiries', async () => {
+    const dispute = { id: 'dp_1', charge: 'ch_1', payment_intent: 'pi_1', amount: 14900, currency: 'usd', status: 'needs_response' };
+
+    await stripeBillingEventService.handle(event('charge.dispute.created', dispute));
+    expect(tebraWriteQueue.enqueue).toHaveBeenCalledWith('createPayments', expect.objectContaining({ amountCents: -14900, referenceNumber: 'CHARGEBACK-dp_1' }),
+      { idempotencyKey: 'stripe-dispute:dp_1:withdrawn:payment', source: 'stripe_webhook', tenantId: 'default' });
+    expect(billingSync.applyChanges.mock.calls[0][1]).toEqual({ status: 'disputed', dispute_status: 'needs_response', disputed_cents: 14900, stripe_charge_id: 'ch_1' });
+
+    tebraWriteQueue.enqueue.mockClear();
+    await stripeBillingEventService.handle(event('charge.dispute.closed', { ...dispute, status: 'won' }));
+    expect(tebraWriteQueue.enqueue).toHaveBeenCalledWith('createPayments', expect.objectContaining({ amountCents: 14900 }),
+      { idempotencyKey: 'stripe-dispute:dp_1:reinstated:payment', source: 'stripe_webhook', tenantId: 'default' });
+
+    tebraWriteQueue.enqueue.mockClear();
+    await expect(stripeBillingEventService.handle(event('charge.dispute.closed', { ...dispute, status: 'lost' })))
+      .resolves.toMatchObject({ status: 'dispute_lost', adjustment: null });
+    await stripeBillingEventService.handle(event('charge.dispute.created', { ...dispute, id: 'dp_2', status: 'warning_needs_response' }));
+    // Redelivery of an already posted chargeback
+    billingSync.findPayment.mockResolvedValue({ ...payment, tebra_adjustments: [{ type: 'chargeback', stripeId: 'dp_1' }] });
+    await stripeBillingEventService.handle(event('charge.dispute.created', dispute));
+    expect(tebraWriteQueue.enqueue).not.toHaveBeenCalled();
+
+    // Payments without a Tebra patient are recorded but not posted
+    billingSync.findPayment.mockResolvedValue({ ...payment, tebra_patient_id: null });
+    await expect(stripeBillingEventService.handle(event('charge.dispute.created', { ...dispute, id: 'dp_3' })))
+      .resolves.toMatchObject({ adjustment: { posted: false, reason: 'no_patient' } });
+    expect(tebraWriteQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('should book paid subscription invoices and record failed payments and subscription changes', async () => {
+    patientIdentityService.findOrCreate.mockResolvedValue({ id: '10' });
+    const invoice = {
+      id: 'in_1',
+      payment_intent: 'pi_9',
+      customer_email: 'pat@example.com',
+      amount_paid: 31900,
+      tax: 2000,
+      currency: 'usd',
+      subscription: 'sub_1',
+      subscription_details: { metadata: { serviceId: 'weight-plan' } }
+    };
+
+    const result = await stripeBillingEventService.handle(event('invoice.paid', invoice));
+
+    expect(result).toEqual({ status: 'queued', patientId: '10', commands: { charge: 101, payment: 102 } });
+    expect(tebraWriteQueue.enqueue.mock.calls.map(([command, payload, options]) => [command, payload.items || payload.amountCents, options.idempotencyKey])).toEqual([
+      ['createEncounter', [{ cpt: '99214', units: 1, amountCents: 29900 }], 'stripe-invoice:in_1:charge'],
+      ['createPayments', 29900, 'stripe-invoice:in_1:payment']
+    ]);
+    expect(tebraWriteQueue.enqueue.mock.calls[1][2]).toMatchObject({ dependsOn: 101 });
+    expect(billingSync.upsertByPaymentIntentId).toHaveBeenCalledWith('pi_9', expect.objectContaining({ tebra_patient_id: '10', amount_cents: 31900, service_id: 'weight-plan', status: 'queued' }));
+    expect(billingSync.applyChanges).toHaveBeenCalledWith(8, { stripe_invoice_id: 'in_1', stripe_subscription_id: 'sub_1' });
+
+    await stripeBillingEventService.handle(event('invoice.payment_failed', { ...invoice, amount_due: 31900, attempt_count: 2, next_payment_attempt: 1893456000 }));
+    expect(billingSync.upsertByPaymentIntentId).toHaveBeenLastCalledWith('pi_9', expect.objectContaining({
+      status: 'payment_failed',
+      error: 'Invoice payment failed (attempt 2, next attempt 2030-01-01T00:00:00.000Z)'
+    }));
+
+    await expect(stripeBillingEventService.handle(event('payment_intent.payment_failed', {
+      id: 'pi_5',
+      amount: 14900,
+      currency: 'usd',
+      last_payment_error: { code: 'card_declined', decline_code: 'insufficient_funds', message: 'Your card has insufficient funds.' }
+    }))).resolves.toEqual({ status: 'payment_failed', declineCode: 'insufficient_funds' });
+    expect(billingSync.upsertByPaymentIntentId).toHaveBeenLastCalledWith('pi_5', expect.objectContaining({ error: 'card_declined: Your card has insufficient funds.' }));
+
+    await expect(stripeBillingEventService.handle(event('customer.subscription.deleted', { id: 'sub_1', status: 'canceled', metadata: {} })))
+      .resolves.toEqual({ status: 'subscription_canceled', subscriptionId: 'sub_1' });
+    expect(billingSync.upsertByEventId).toHaveBeenCalledWith('evt_customer.subscription.deleted', expect.objectContaining({ status: 'subscription_canceled' }));
+    expect(billingSync.applyChanges).toHaveBeenLastCalledWith(9, { stripe_subscription_id: 'sub_1' });
+    expect(tebraWriteQueue.enqueue).toHaveBeenCalledTimes(2);
+  });
+
+  it('should post services missing from the catalog under default CPT codes', async () => {
+    patientIdentityService.findOrCreate.mockResolvedValue({ id: '10' });
+    await stripeBillingEventService.handle(event('invoice.paid', {
+      id: 'in_2', payment_intent: 'pi_8', customer_email: 'pat@example.com', amount_paid: 9900, currency: 'usd', subscription: 'sub_2'
+    }));
+    expect(tebraWriteQueue.enqueue.mock.calls[0][1].items).toEqual([{ cpt: '99000', units: 1, amountCents: 9900 }]);
+
+    // Refund of a checkout payment, then of a subscription renewal
+    tebraWriteQueue.enqueue.mockClear();
+    billingSync.findPayment.mockResolvedValue({ ...payment, service_id: null });
+    const charge = { id: 'ch_3', payment_intent: 'pi_1', amount: 14900, amount_refunded: 14900, refunded: true, currency: 'usd' };
+    await stripeBillingEventService.handle(event('charge.refunded', charge));
+    expect(tebraWriteQueue.enqueue.mock.calls[1][1].items).toEqual([{ cpt: '99213', modifier: '95', units: 1, amountCents: -14900 }]);
+
+    tebraWriteQueue.enqueue.mockClear();
+    billingSync.findPayment.mockResolvedValue({ ...payment, service_id: null, stripe_event_id: 'subscription-charge-4' });
+    await stripeBillingEventService.handle(event('charge.refunded', { ...charge, id: 'ch_4' }));
+    expect(tebraWriteQueue.enqueue.mock.calls[1][1].items).toEqual([{ cpt: '99000', units: 1, amountCents: -14900 }]);
+  });
+});
@@ -0,0 +1,321 @@
+// Unit tests for subscriptionBillingService.js (off-session renewal charges and saved payment methods)
+
+const mockStripe = {
+  paymentIntents: { create: jest.fn(), cancel: jest.fn(), retrieve: jest.fn(), search: jest.fn() },
+  customers: { create: jest.fn(), update: jest.fn() },
+  setupIntents: { retrieve: jest.fn() },
+  checkout: { sessions: { create: jest.fn(), expire: jest.fn(), retrieve: jest.fn() } }
+};
+
+jest.mock('stripe', () => jest.fn(() => mockStripe));
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../subscriptionService', () => ({
+  BILLING_MONTHS: { monthly: 1, quarterly: 3 },
+  getSubscription: jest.fn(),
+  setStripePaymentMethod: jest.fn(),
+  updateSubscriptionBillingDate: jest.fn()
+}));
+jest.mock('../tebraWriteQueue', () => ({ enqueue: jest.fn() }));
+jest.mock('../billingSyncService', () => ({ upsertByPaymentIntentId: jest.fn() }));
+jest.mock('../serviceCatalogService', () => ({
+  forShopifyProduct: jest.fn(id => (String(id) === '123' ? { id: 'weight-plan', cptCode: '99214' } : null)),
+  chargeItems: jest.fn((service, quantity, amountCents) => [{ cpt: service.cptCode, units: quantity, amountCents }])
+}));
+jest.mock('../subscriptionManagementService', () => ({
+  getOwnedSubscription: jest.fn(async (id, owner) => {
+    const subscription = await require('../subscriptionService').getSubscription(id);
+    if (!subscription || String(subscription.shopify_customer_id) !== String(owner.shopifyCustomerId)) {
+      throw Object.assign(new Error('Subscription not found'), { status: 404, code: 'SUBSCRIPTION_NOT_FOUND' });
+    }
+    return subscription;
+  })
+}));
+jest.mock('../subscriptionDunningService', () => ({
+  paymentMethodUrl: 'https://shop.example.com/pages/billing-payment-method',
+  recordFailure: jest.fn(),
+  recordRecovery: jest.fn()
+}));
+
+const { query } = require('../../db/pg');
+const subscriptionService = require('../subscriptionService');
+const tebraWriteQueue = require('../tebraWriteQueue');
+const billingSync = require('../billingSyncService');
+const subscriptionDunningService = require('../subscriptionDunningService');
+const subscriptionBillingService = require('../subscriptionBillingService');
+
+const subscription = {
+  id: 5,
+  shopify_customer_id: '777',
+  shopify_product_id: '123',
+  tebra_patient_id: '10',
+  amount_cents: 29900,
+  currency: 'USD',
+  frequency: 'monthly',
+  status: 'active',
+  next_billing_date: '2026-10-01',
+  stripe_customer_id: 'cus_1',
+  stripe_payment_method_id: 'pm_1',
+  customer_email: 'pat@example.com'
+};
+
+describe('SubscriptionBillingService', () => {
+  const savedEnv = { ...process.env };
+  let charge;
+
+  // In-memory subscription_charges row behind the SQL the service runs
+  function mockChargesTable() {
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO subscription_charges')) return { rows: [charge] };
+      if (sql.includes("SET status = 'processing'")) {
+        if (charge.status !== params[1] || (charge.status === 'processing' && !charge.stale)) return { rows: [] };
+        if (charge.status === 'awaiting_checkout' && charge.checkout_expires_at > new Date()) return { rows: [] };
+        const newAttempt = params[2].includes(charge.status);
+        charge = {
+          ...charge,
+          status: 'processing',
+          attempts: charge.attempts + 1,
+          payment_attempt: charge.payment_attempt + (newAttempt ? 1 : 0),
+          stripe_payment_intent_id: newAttempt ? null : charge.stripe_payment_intent_id,
+          stale: false
+        };
+        return { rows: [charge] };
+      }
+      if (sql.includes("SET status = 'awaiting_checkout'")) {
+        if (charge.status !== params[1]) return { rows: [] };
+        charge = { ...charge, status: 'awaiting_checkout', checkout_session_id: null, checkout_expires_at: params[2] };
+        return { rows: [charge] };
+      }
+      if (sql.includes("SET status = 'succeeded'")) {
+        if (charge.status === 'succeeded') return { rows: [] };
+        charge = { ...charge, status: 'succeeded', stripe_payment_intent_id: params[1] };
+        return { rows: [charge] };
+      }
+      if (sql.startsWith('UPDATE subscription_charges SET')) {
+        const columns = sql.split(', updated_at')[0].match(/(\w+) = \$\d+/g).map(set => set.split(' ')[0]);
+        columns.forEach((column, i) => { charge = { ...charge, [column]: params[i + 1] }; });
+        return { rows: [charge] };
+      }
+      if (sql.includes('SELECT * FROM subscription_charges WHERE id')) return { rows: [charge] };
+      if (sql.includes('status = ANY')) return { rows: params[1].includes(charge.status) ? [charge] : [] };
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.STRIPE_SECRET_KEY = 'sk_test_1';
+    process.env.TEBRA_PRACTICE_ID = '1';
+    charge = { id: 42, subscription_id: 5, billing_date: '2026-10-01', amount_cents: 29900, currency: 'usd', status: 'pending', attempts: 0, payment_attempt: 0, notified_at: null };
+    mockChargesTable();
+    let commandId = 100;
+    tebraWriteQueue.enqueue.mockImplementation(async () => ({ id: ++commandId }));
+    subscriptionService.getSubscription.mockResolvedValue({ ...subscription });
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+  });
+
+  it('should charge the saved card off-session and book paid renewals in Tebra', async () => {
+    mockStripe.paymentIntents.create.mockResolvedValue({ id: 'pi_1', status: 'succeeded', payment_method: 'pm_1', customer: 'cus_1' });
+
+    const result = await subscriptionBillingService.chargeSubscription(subscription);
+
+    expect(result).toEqual({ chargeId: 42, status: 'succeeded', paymentIntentId: 'pi_1' });
+    expect(mockStripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 29900,
+      currency: 'usd',
+      customer: 'cus_1',
+      payment_method: 'pm_1',
+      off_session: true,
+      confirm: true,
+      metadata: expect.objectContaining({ subscriptionChargeId: '42', billingDate: '2026-10-01', serviceId: 'weight-plan' })
+    }), { idempotencyKey: 'subscription-charge-42' });
+    expect(tebraWriteQueue.enqueue.mock.calls.map(([command, payload, options]) => [command, payload.items || payload.referenceNumber, options.idempotencyKey])).toEqual([
+      ['createEncounter', [{ cpt: '99214', units: 1, amountCents: 29900 }], 'subscription:5:2026-10-01:charge'],
+      ['createPayments', 'pi_1', 'subscription:5:2026-10-01:payment']
+    ]);
+    expect(tebraWriteQueue.enqueue.mock.calls[1][2]).toMatchObject({ dependsOn: 101 });
+    expect(charge).toMatchObject({ status: 'succeeded', tebra_charge_command_id: 101, tebra_payment_command_id: 102 });
+    expect(billingSync.upsertByPaymentIntentId).toHaveBeenCalledWith('pi_1', expect.objectContaining({ tebra_patient_id: '10', service_id: 'weight-plan', status: 'queued' }));
+    expect(subscriptionService.updateSubscriptionBillingDate).toHaveBeenCalledWith(5, '2026-11-01', '2026-10-01');
+    expect(subscriptionService.setStripePaymentMethod).not.toHaveBeenCalled();
+    expect(subscriptionDunningService.recordRecovery).toHaveBeenCalledWith(expect.objectContaining({ id: 5 }), expect.objectContaining({ status: 'succeeded' }));
+
+    // Next run (or the payment_intent.succeeded webhook) books nothing twice
+    await expect(subscriptionBillingService.chargeSubscription(subscription)).resolves.toMatchObject({ status: 'succeeded', skipped: true });
+    await expect(subscriptionBillingService.handleEvent({ type: 'payment_intent.succeeded', data: { object: { id: 'pi_1', metadata: { subscriptionChargeId: '42' } } } }))
+      .resolves.toEqual({ status: 'duplicate', chargeId: 42 });
+    expect(mockStripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+    expect(tebraWriteQueue.enqueue).toHaveBeenCalledTimes(2);
+  });
+
+  it('should post a paid renewal to the Tebra account of the subscription\'s patient', async () => {
+    const tebraTenantService = require('../tebraTenantService');
+    const getTenant = jest.spyOn(tebraTenantService, 'getTenant').mockReturnValue({ id: 'entity2', practiceIds: ['12'] });
+    subscriptionService.getSubscription.mockResolvedValue({ ...subscription, tenant_id: 'entity2' });
+    mockStripe.paymentIntents.create.mockResolvedValue({ id: 'pi_2', status: 'succeeded', payment_method: 'pm_1', customer: 'cus_1' });
+
+    await subscriptionBillingService.chargeSubscription({ ...subscription, tenant_id: 'entity2' });
+    getTenant.mockRestore();
+
+    expect(tebraWriteQueue.enqueue.mock.calls.map(([command, payload, options]) => [command, payload.practiceId, options.tenantId])).toEqual([
+      ['createEncounter', '12', 'entity2'],
+      ['createPayments', '12', 'entity2']
+    ]);
+    expect(billingSync.upsertByPaymentIntentId).toHaveBeenCalledWith('pi_2', expect.objectContaining({ tebra_practice_id: '12', tenant_id: 'entity2' }));
+  });
+
+  it('should put the subscription into dunning when the card needs authentication or is declined, without posting to Tebra', async () => {
+    const authError = Object.assign(new Error('This payment requires authentication.'), {
+      type: 'StripeCardError',
+      code: 'authentication_required',
+      raw: { payment_intent: { id: 'pi_2', status: 'requires_payment_method' } }
+    });
+    mockStripe.paymentIntents.create.mockRejectedValueOnce(authError);
+
+    await expect(subscriptionBillingService.chargeSubscription(subscription)).resolves.toMatchObject({ status: 'requires_action', paymentIntentId: 'pi_2' });
+    expect(subscriptionDunningService.recordFailure).toHaveBeenCalledWith(subscription, expect.objectContaining({ id: 42, status: 'requires_action', stripe_payment_intent_id: 'pi_2' }));
+
+    // Renewals waiting for the patient are only charged again by dunning retries; the webhook for the same failure is ignored
+    await expect(subscriptionBillingService.chargeSubscription(subscription)).resolves.toMatchObject({ status: 'requires_action', skipped: true });
+    await expect(subscriptionBillingService.recordFailure({ id: 'pi_2', metadata: { subscriptionChargeId: '42' }, last_payment_error: { code: 'authentication_required' } }))
+      .resolves.toBeNull();
+
+    // Declined card on another renewal
+    charge = { ...charge, id: 43, billing_date: '2026-11-01', status: 'pending', attempts: 0, notified_at: null, stripe_payment_intent_id: null };
+    mockStripe.paymentIntents.create.mockRejectedValueOnce(Object.assign(new Error('Your card has insufficient funds.'), {
+      type: 'StripeCardError', code: 'card_declined', decline_code: 'insufficient_funds'
+    }));
+    await expect(subscriptionBillingService.chargeSubscription({ ...subscription, next_billing_date: '2026-11-01' })).resolves.toMatchObject({ status: 'declined' });
+    expect(charge).toMatchObject({ failure_code: 'card_declined', failure_message: 'Your card has insufficient funds. (insufficient_funds)' });
+    expect(subscriptionDunningService.recordFailure).toHaveBeenCalledTimes(2);
+    expect(tebraWriteQueue.enqueue).not.toHaveBeenCalled();
+    expect(subscriptionService.updateSubscriptionBillingDate).not.toHaveBeenCalled();
+  });
+
+  it('should ask for a card when none is saved and retry Stripe API errors with the same idempotency key', async () => {
+    await expect(subscriptionBillingService.chargeSubscription({ ...subscription, stripe_payment_method_id: null }))
+      .resolves.toMatchObject({ status: 'requires_payment_method' });
+    expect(mockStripe.paymentIntents.create).not.toHaveBeenCalled();
+    expect(subscriptionDunningService.recordFailure).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ status: 'requires_payment_method' }));
+
+    charge = { ...charge, status: 'pending' };
+    subscriptionDunningService.recordFailure.mockClear();
+    mockStripe.paymentIntents.create.mockRejectedValueOnce(Object.assign(new Error('Connection reset'), { type: 'StripeConnectionError' }));
+    await expect(subscriptionBillingService.chargeSubscription(subscription)).resolves.toMatchObject({ status: 'failed' });
+    expect(subscriptionDunningService.recordFailure).not.toHaveBeenCalled();
+
+    // Stripe may have created the PaymentIntent before the error: looked up first, then the same key
+    mockStripe.paymentIntents.search.mockResolvedValueOnce({ data: [] });
+    mockStripe.paymentIntents.create.mockResolvedValueOnce({ id: 'pi_3', status: 'succeeded', payment_method: 'pm_1' });
+    await expect(subscriptionBillingService.chargeSubscription(subscription)).resolves.toMatchObject({ status: 'succeeded' });
+    expect(mockStripe.paymentIntents.search).toHaveBeenCalledWith({ query: "metadata['subscriptionChargeId']:'42' AND metadata['paymentAttempt']:'0'" });
+    expect(mockStripe.paymentIntents.create.mock.calls[1][1]).toEqual({ idempotencyKey: 'subscription-charge-42' });
+  });
+
+  it('should settle a renewal left processing by a crashed run from its PaymentIntent instead of charging again', async () => {
+    charge = { ...charge, status: 'processing', attempts: 1 };
+    await expect(subscriptionBillingService.chargeSubscription(subscription)).resolves.toMatchObject({ status: 'processing', skipped: true });
+
+    charge = { ...charge, stale: true };
+    mockStripe.paymentIntents.search.mockResolvedValueOnce({ data: [{ id: 'pi_7', status: 'succeeded', payment_method: 'pm_1', metadata: { subscriptionChargeId: '42' } }] });
+    await expect(subscriptionBillingService.chargeSubscription(subscription)).resolves.toMatchObject({ status: 'succeeded', paymentIntentId: 'pi_7' });
+    expect(mockStripe.paymentIntents.create).not.toHaveBeenCalled();
+    expect(charge).toMatchObject({ status: 'succeeded', stripe_payment_intent_id: 'pi_7', attempts: 2 });
+    expect(subscriptionService.updateSubscriptionBillingDate).toHaveBeenCalledWith(5, '2026-11-01', '2026-10-01');
+  });
+
+  it('should charge a declined renewal again on a dunning retry and reactivate the subscription', async () => {
+    const pastDue = { ...subscription, status: 'past_due', dunning_attempts: 0 };
+    subscriptionService.getSubscription.mockResolvedValue(pastDue);
+    charge = { ...charge, status: 'declined', attempts: 1, stripe_payment_intent_id: 'pi_2' };
+    await expect(subscriptionBillingService.chargeSubscription(subscription)).resolves.toMatchObject({ status: 'declined', skipped: true });
+
+    mockStripe.paymentIntents.create.mockResolvedValueOnce({ id: 'pi_6', status: 'succeeded', payment_method: 'pm_1' });
+    await expect(subscriptionBillingService.retryRenewal(pastDue)).resolves.toMatchObject({ status: 'succeeded', paymentIntentId: 'pi_6' });
+    expect(mockStripe.paymentIntents.search).not.toHaveBeenCalled();
+    expect(mockStripe.paymentIntents.create.mock.calls[0][1]).toEqual({ idempotencyKey: 'subscription-charge-42-1' });
+    expect(mockStripe.paymentIntents.create.mock.calls[0][0].metadata).toMatchObject({ paymentAttempt: '1' });
+    expect(subscriptionDunningService.recordRecovery).toHaveBeenCalledWith(pastDue, expect.objectContaining({ status: 'succeeded' }));
+
+    await expect(subscriptionBillingService.retryRenewal(pastDue)).resolves.toMatchObject({ status: 'nothing_due', skipped: true });
+  });
+
+  it('should let the owner update the card, paying the outstanding renewal on-session', async () => {
+    const owner = { shopifyCustomerId: '777', email: 'pat@example.com' };
+    await expect(subscriptionBillingService.createPaymentMethodSession(5, { shopifyCustomerId: '888', email: 'other@example.com' }))
+      .rejects.toMatchObject({ status: 404, code: 'SUBSCRIPTION_NOT_FOUND' });
+
+    // Nothing owed: setup mode
+    mockStripe.checkout.sessions.create.mockResolvedValueOnce({ id: 'cs_1', url: 'https://checkout.stripe.com/cs_1' });
+    await expect(subscriptionBillingService.createPaymentMethodSession(5, owner))
+      .resolves.toEqual({ url: 'https://checkout.stripe.com/cs_1', sessionId: 'cs_1', mode: 'setup', chargeId: null });
+    expect(mockStripe.checkout.sessions.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      mode: 'setup',
+      customer: 'cus_1',
+      metadata: { type: 'subscription_payment_method', subscriptionId: '5' }
+    }));
+
+    // Declined renewal: paid through Checkout, card saved for the next renewals
+    charge = { ...charge, status: 'declined', stripe_payment_intent_id: 'pi_4' };
+    mockStripe.checkout.sessions.create.mockResolvedValueOnce({ id: 'cs_2', url: 'https://checkout.stripe.com/cs_2' });
+    await expect(subscriptionBillingService.createPaymentMethodSession('5', owner)).resolves.toMatchObject({ mode: 'payment', chargeId: 42 });
+    expect(mockStripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_4');
+    expect(mockStripe.checkout.sessions.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      mode: 'payment',
+      expires_at: expect.any(Number),
+      payment_intent_data: { setup_future_usage: 'off_session', metadata: expect.objectContaining({ subscriptionChargeId: '42' }) }
+    }));
+    expect(charge).toMatchObject({ status: 'awaiting_checkout', checkout_session_id: 'cs_2' });
+
+    // No off-session dunning retry, and failed tries inside the open session are ignored
+    const pastDue = { ...subscription, status: 'past_due' };
+    await expect(subscriptionBillingService.retryRenewal(pastDue)).resolves.toMatchObject({ status: 'awaiting_checkout', skipped: true });
+    await expect(subscriptionBillingService.recordFailure({ id: 'pi_5', metadata: { subscriptionChargeId: '42' }, last_payment_error: { code: 'card_declined' } }))
+      .resolves.toBeNull();
+    expect(mockStripe.paymentIntents.create).not.toHaveBeenCalled();
+
+    // Its payment_intent.succeeded books the renewal and keeps the new card
+    const paid = { id: 'pi_5', status: 'succeeded', payment_method: 'pm_2', customer: 'cus_1', metadata: { subscriptionChargeId: '42' } };
+    expect(subscriptionBillingService.handles({ type: 'payment_intent.succeeded', data: { object: paid } })).toBe(true);
+    await expect(subscriptionBillingService.handleEvent({ type: 'payment_intent.succeeded', data: { object: paid } }))
+      .resolves.toEqual({ status: 'succeeded', chargeId: 42 });
+    expect(subscriptionService.setStripePaymentMethod).toHaveBeenCalledWith(5, { customerId: 'cus_1', paymentMethodId: 'pm_2' });
+
+    // Setup session saves the card
+    mockStripe.setupIntents.retrieve.mockResolvedValue({ id: 'seti_1', payment_method: 'pm_3', customer: 'cus_1' });
+    const setupEvent = { type: 'checkout.session.completed', data: { object: { id: 'cs_1', mode: 'setup', customer: 'cus_1', setup_intent: 'seti_1', metadata: { type: 'subscription_payment_method', subscriptionId: '5' } } } };
+    expect(subscriptionBillingService.handles(setupEvent)).toBe(true);
+    await subscriptionBillingService.handleEvent(setupEvent);
+    expect(subscriptionService.setStripePaymentMethod).toHaveBeenLastCalledWith('5', { customerId: 'cus_1', paymentMethodId: 'pm_3' });
+    expect(mockStripe.customers.update).toHaveBeenCalledWith('cus_1', { invoice_settings: { default_payment_method: 'pm_3' } });
+    expect(subscriptionBillingService.handles({ type: 'checkout.session.completed', data: { object: { mode: 'payment', metadata: {} } } })).toBe(false);
+  });
+
+  it('should replace an open renewal Checkout session and charge off-session again only once it expired', async () => {
+    const owner = { shopifyCustomerId: '777', email: 'pat@example.com' };
+    const pastDue = { ...subscription, status: 'past_due' };
+    charge = { ...charge, status: 'awaiting_checkout', attempts: 1, payment_attempt: 1, checkout_session_id: 'cs_old', checkout_expires_at: new Date(Date.now() + 60000) };
+
+    // Reopening the page expires the old session first; a session paid meanwhile is not replaced
+    mockStripe.checkout.sessions.expire.mockRejectedValueOnce(new Error('Session is complete'));
+    mockStripe.checkout.sessions.retrieve.mockResolvedValueOnce({ id: 'cs_old', status: 'complete' });
+    await expect(subscriptionBillingService.createPaymentMethodSession(5, owner)).rejects.toMatchObject({ status: 409, code: 'SUBSCRIPTION_RENEWAL_PAID' });
+    expect(mockStripe.checkout.sessions.create).not.toHaveBeenCalled();
+
+    mockStripe.checkout.sessions.create.mockResolvedValueOnce({ id: 'cs_new', url: 'https://checkout.stripe.com/cs_new' });
+    await expect(subscriptionBillingService.createPaymentMethodSession(5, owner)).resolves.toMatchObject({ sessionId: 'cs_new' });
+    expect(mockStripe.checkout.sessions.expire).toHaveBeenLastCalledWith('cs_old');
+    expect(charge).toMatchObject({ status: 'awaiting_checkout', checkout_session_id: 'cs_new' });
+
+    // Expired unpaid: the dunning retry starts a new payment attempt
+    charge = { ...charge, checkout_expires_at: new Date(Date.now() - 60000) };
+    mockStripe.checkout.sessions.retrieve.mockResolvedValueOnce({ id: 'cs_new', status: 'expired', payment_status: 'unpaid', payment_intent: null });
+    mockStripe.paymentIntents.create.mockResolvedValueOnce({ id: 'pi_8', status: 'succeeded', payment_method: 'pm_1' });
+    await expect(subscriptionBillingService.retryRenewal(pastDue)).resolves.toMatchObject({ status: 'succeeded', paymentIntentId: 'pi_8' });
+    expect(mockStripe.checkout.sessions.retrieve).toHaveBeenLastCalledWith('cs_new', { expand: ['payment_intent'] });
+    expect(mockStripe.paymentIntents.create.mock.calls[0][1]).toEqual({ idempotencyKey: 'subscription-charge-42-2' });
+  });
+});
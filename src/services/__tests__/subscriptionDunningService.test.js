@@ -0,0 +1,144 @@
+// Unit tests for subscriptionDunningService.js (failed renewal retries, suspension and involuntary churn)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../customerPatientMapService', () => ({ getByShopifyIdOrEmail: jest.fn() }));
+jest.mock('../notificationService', () => ({ sendEmail: jest.fn() }));
+
+const { query } = require('../../db/pg');
+const customerPatientMapService = require('../customerPatientMapService');
+const notificationService = require('../notificationService');
+const subscriptionDunningService = require('../subscriptionDunningService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('SubscriptionDunningService', () => {
+  let subscription;
+  let events;
+  let notifiedCharges;
+
+  // In-memory subscriptions row behind the SQL the service runs
+  function mockSubscriptionsTable() {
+    query.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('SELECT * FROM subscriptions WHERE id')) return { rows: [{ ...subscription }] };
+      if (sql.includes('UPDATE subscriptions')) {
+        const expectedAttempts = params[params.length - 1];
+        if (subscription.status !== params[2] || (subscription.dunning_attempts || 0) !== expectedAttempts) return { rows: [] };
+        const sets = sql.split('SET status = $2,')[1].split('updated_at')[0];
+        const updated = { ...subscription, status: params[1] };
+        for (const [, column, index] of sets.matchAll(/(\w+) = \$(\d+)/g)) updated[column] = params[index - 1];
+        subscription = updated;
+        return { rows: [{ ...subscription }] };
+      }
+      if (sql.includes('INSERT INTO subscription_dunning_events')) {
+        events.push({ from: params[2], to: params[3], attempt: params[4], reason: params[5], notified: params[7] });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE subscription_charges SET notified_at')) {
+        notifiedCharges.push(params[0]);
+        return { rows: [] };
+      }
+      if (sql.includes('SELECT 1 FROM subscriptions')) return { rows: subscription.status === 'suspended' ? [{}] : [] };
+      if (sql.includes("status = 'suspended' AND suspended_at <= $1")) {
+        return { rows: subscription.status === 'suspended' && subscription.suspended_at <= params[0] ? [{ ...subscription }] : [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    subscription = {
+      id: 5,
+      status: 'active',
+      shopify_customer_id: '777',
+      tebra_patient_id: '10',
+      amount_cents: 29900,
+      customer_email: null,
+      dunning_attempts: 0
+    };
+    events = [];
+    notifiedCharges = [];
+    mockSubscriptionsTable();
+    customerPatientMapService.getByShopifyIdOrEmail.mockResolvedValue({ email: 'pat@example.com' });
+    notificationService.sendEmail.mockResolvedValue({ success: true });
+  });
+
+  it('should retry on the configured schedule and suspend after the last failed retry', async () => {
+    const declined = { id: 42, status: 'declined', failure_code: 'card_declined', failure_message: 'Your card has insufficient funds.' };
+
+    await subscriptionDunningService.recordFailure(subscription, declined);
+    expect(subscription).toMatchObject({ status: 'past_due', dunning_attempts: 0 });
+    const startedAt = subscription.dunning_started_at.getTime();
+    expect(subscription.next_retry_at.getTime() - startedAt).toBe(1 * DAY);
+    expect(notificationService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'pat@example.com',
+      subject: 'Your subscription payment failed',
+      text: expect.stringContaining('your card was declined (Your card has insufficient funds.)')
+    }));
+    expect(notificationService.sendEmail.mock.calls[0][0].text).toContain('/pages/billing-payment-method?subscriptionId=5');
+    expect(notifiedCharges).toEqual([42]);
+
+    await subscriptionDunningService.recordFailure(subscription, declined);
+    expect(subscription).toMatchObject({ status: 'retrying', dunning_attempts: 1 });
+    expect(subscription.next_retry_at.getTime() - startedAt).toBe(3 * DAY);
+
+    await subscriptionDunningService.recordFailure(subscription, { ...declined, status: 'requires_action' });
+    expect(subscription).toMatchObject({ status: 'retrying', dunning_attempts: 2 });
+    expect(subscription.next_retry_at.getTime() - startedAt).toBe(7 * DAY);
+    expect(notificationService.sendEmail).toHaveBeenLastCalledWith(expect.objectContaining({
+      subject: 'Your subscription payment failed again',
+      text: expect.stringContaining('your bank needs you to confirm the payment')
+    }));
+
+    await subscriptionDunningService.recordFailure(subscription, declined);
+    expect(subscription).toMatchObject({ status: 'suspended', dunning_attempts: 3, next_retry_at: null });
+    expect(subscription.suspended_at).toBeInstanceOf(Date);
+    expect(notificationService.sendEmail).toHaveBeenLastCalledWith(expect.objectContaining({ subject: 'Your subscription is suspended' }));
+
+    // Suspended subscriptions are not retried; a late webhook for the same failure changes nothing
+    await expect(subscriptionDunningService.recordFailure(subscription, declined)).resolves.toBeNull();
+    expect(events.map(event => [event.from, event.to, event.attempt])).toEqual([
+      ['active', 'past_due', 0],
+      ['past_due', 'retrying', 1],
+      ['retrying', 'retrying', 2],
+      ['retrying', 'suspended', 3]
+    ]);
+    expect(events[0]).toMatchObject({ reason: 'card_declined: Your card has insufficient funds.', notified: true });
+    expect(notificationService.sendEmail).toHaveBeenCalledTimes(4);
+  });
+
+  it('should pause prescription fulfilment while suspended and reactivate the subscription once paid', async () => {
+    subscription = { ...subscription, status: 'suspended', dunning_attempts: 3, suspended_at: new Date() };
+    await expect(subscriptionDunningService.isFulfilmentPaused('10')).resolves.toBe(true);
+
+    await subscriptionDunningService.recordRecovery({ ...subscription }, { id: 42, status: 'succeeded' });
+    expect(subscription).toMatchObject({ status: 'active', dunning_attempts: 0, suspended_at: null, next_retry_at: null });
+    expect(notificationService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Your subscription is active again' }));
+    await expect(subscriptionDunningService.isFulfilmentPaused('10')).resolves.toBe(false);
+
+    // Already recovered (e.g. cron result and webhook for the same payment)
+    await expect(subscriptionDunningService.recordRecovery({ ...subscription, status: 'suspended', dunning_attempts: 3 }, { id: 42 }))
+      .resolves.toBeNull();
+    await expect(subscriptionDunningService.recordRecovery(subscription, { id: 42 })).resolves.toBeNull();
+    expect(notificationService.sendEmail).toHaveBeenCalledTimes(1);
+
+    query.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    await expect(subscriptionDunningService.isFulfilmentPaused('10')).resolves.toBe(false);
+  });
+
+  it('should cancel subscriptions suspended for longer than the grace period as involuntary churn', async () => {
+    const now = new Date('2026-10-19T02:00:00Z');
+    subscription = { ...subscription, status: 'suspended', dunning_attempts: 3, suspended_at: new Date(now.getTime() - 10 * DAY) };
+    await expect(subscriptionDunningService.cancelExpired(now)).resolves.toEqual([]);
+
+    subscription.suspended_at = new Date(now.getTime() - 15 * DAY);
+    const cancelled = await subscriptionDunningService.cancelExpired(now);
+
+    expect(cancelled).toHaveLength(1);
+    expect(subscription).toMatchObject({ status: 'cancelled', cancellation_reason: 'involuntary', cancelled_at: now });
+    expect(events).toEqual([expect.objectContaining({ from: 'suspended', to: 'cancelled', reason: 'Unpaid for 14 days after suspension' })]);
+    expect(notificationService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Your subscription was cancelled' }));
+    expect(notificationService.sendEmail.mock.calls[0][0].text).not.toContain('billing-payment-method');
+  });
+});
@@ -0,0 +1,173 @@
+// Unit tests for subscriptionManagementService.js (patient pause, skip, frequency, dose and cancellation)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../subscriptionService', () => ({
+  BILLING_MONTHS: { monthly: 1, quarterly: 3 },
+  getSubscription: jest.fn(),
+  getCustomerSubscriptions: jest.fn()
+}));
+jest.mock('../customerPatientMapService', () => ({ getByShopifyIdOrEmail: jest.fn() }));
+jest.mock('../shopifyUserService', () => ({ getProduct: jest.fn() }));
+
+const { query } = require('../../db/pg');
+const subscriptionService = require('../subscriptionService');
+const customerPatientMapService = require('../customerPatientMapService');
+const shopifyUserService = require('../shopifyUserService');
+const subscriptionManagementService = require('../subscriptionManagementService');
+
+const owner = { shopifyCustomerId: '777', email: 'pat@example.com' };
+
+describe('SubscriptionManagementService', () => {
+  let subscription;
+  let changes;
+
+  // In-memory subscriptions row and subscription_changes table behind the SQL the service runs
+  function mockTables() {
+    subscriptionService.getSubscription.mockImplementation(async id => (String(id) === String(subscription.id) ? { ...subscription } : null));
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('UPDATE subscriptions')) {
+        if (subscription.status !== params[1] || subscription.next_billing_date !== params[2]) return { rows: [] };
+        const sets = sql.split('SET ')[1].split('updated_at')[0];
+        const updated = { ...subscription };
+        for (const [, column, index] of sets.matchAll(/(\w+) = \$(\d+)/g)) updated[column] = params[index - 1];
+        subscription = updated;
+        return { rows: [{ ...subscription }] };
+      }
+      if (sql.includes('INSERT INTO subscription_changes')) {
+        changes.push({ action: params[1], actor: params[2], actorId: params[3], changes: JSON.parse(params[4]), reason: params[5], comment: params[6] });
+        return { rows: [] };
+      }
+      if (sql.includes('FROM subscription_changes')) {
+        return { rows: changes.map(change => ({ action: change.action, actor_type: change.actor, changes: change.changes, reason: change.reason, comment: change.comment })).reverse() };
+      }
+      if (sql.includes("status = 'paused' AND paused_until <= $1")) {
+        return { rows: subscription.status === 'paused' && subscription.paused_until <= params[0] ? [{ ...subscription }] : [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    subscription = {
+      id: 5,
+      status: 'active',
+      shopify_customer_id: '777',
+      shopify_product_id: '123',
+      shopify_variant_id: '1001',
+      tebra_patient_id: '10',
+      customer_email: null,
+      amount_cents: 29900,
+      frequency: 'monthly',
+      next_billing_date: '2026-11-01',
+      paused_until: null
+    };
+    changes = [];
+    mockTables();
+    customerPatientMapService.getByShopifyIdOrEmail.mockResolvedValue(null);
+  });
+
+  it('should pause for whole billing periods, resume from the cron and skip the next renewal', async () => {
+    await expect(subscriptionManagementService.pause(5, { shopifyCustomerId: '888', email: 'other@example.com' }, { cycles: 1 }))
+      .rejects.toMatchObject({ status: 404, code: 'SUBSCRIPTION_NOT_FOUND' });
+    await expect(subscriptionManagementService.pause(5, owner, { cycles: 4 }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_PAUSE_CYCLES' });
+
+    // Same Tebra patient under another Shopify account
+    customerPatientMapService.getByShopifyIdOrEmail.mockResolvedValue({ tebra_patient_id: '10' });
+    const paused = await subscriptionManagementService.pause('5', { shopifyCustomerId: '999', email: 'pat@example.com' }, { cycles: '2' });
+    expect(paused).toMatchObject({ status: 'paused', pausedUntil: '2027-01-01', nextBillingDate: '2027-01-01' });
+    // Patient ids are per Tebra account: only the subscription's account is searched
+    expect(customerPatientMapService.getByShopifyIdOrEmail).toHaveBeenCalledWith('999', 'pat@example.com', 'default');
+    expect(changes).toEqual([{
+      action: 'pause',
+      actor: 'patient',
+      actorId: '999',
+      changes: {
+        status: { from: 'active', to: 'paused' },
+        paused_until: { from: null, to: '2027-01-01' },
+        next_billing_date: { from: '2026-11-01', to: '2027-01-01' }
+      },
+      reason: '2 billing periods',
+      comment: null
+    }]);
+    await expect(subscriptionManagementService.skipNext(5, owner)).rejects.toMatchObject({ status: 409, code: 'SUBSCRIPTION_PAUSED' });
+
+    await expect(subscriptionManagementService.resumeDue('2026-12-31')).resolves.toEqual([]);
+    const resumed = await subscriptionManagementService.resumeDue('2027-01-01');
+    expect(resumed).toHaveLength(1);
+    expect(subscription).toMatchObject({ status: 'active', paused_until: null, next_billing_date: '2027-01-01' });
+    expect(changes[1]).toMatchObject({ action: 'resume', actor: 'system', changes: { status: { from: 'paused', to: 'active' } } });
+
+    await expect(subscriptionManagementService.skipNext(5, owner)).resolves.toMatchObject({ status: 'active', nextBillingDate: '2027-02-01' });
+    expect(changes[2]).toMatchObject({ action: 'skip', actorId: '777', changes: { next_billing_date: { from: '2027-01-01', to: '2027-02-01' } } });
+
+    // Skip sent twice: the second one saw the old billing date
+    subscriptionService.getSubscription.mockResolvedValueOnce({ ...subscription, next_billing_date: '2027-01-01' });
+    await expect(subscriptionManagementService.skipNext(5, owner)).rejects.toMatchObject({ status: 409, code: 'SUBSCRIPTION_CHANGED' });
+    expect(subscription.next_billing_date).toBe('2027-02-01');
+    expect(changes).toHaveLength(3);
+  });
+
+  it('should switch frequency and dose from the next renewal at the matching price', async () => {
+    await expect(subscriptionManagementService.changeFrequency(5, owner, { frequency: 'weekly' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_FREQUENCY' });
+    await expect(subscriptionManagementService.changeFrequency(5, owner, { frequency: 'monthly' }))
+      .rejects.toMatchObject({ status: 400, code: 'FREQUENCY_UNCHANGED' });
+
+    await expect(subscriptionManagementService.changeFrequency(5, owner, { frequency: 'quarterly' }))
+      .resolves.toMatchObject({ frequency: 'quarterly', amountCents: 89700, nextBillingDate: '2026-11-01' });
+    expect(changes[0].changes).toEqual({ frequency: { from: 'monthly', to: 'quarterly' }, amount_cents: { from: 29900, to: 89700 } });
+
+    shopifyUserService.getProduct.mockResolvedValue({ id: 123, variants: [{ id: 1001, title: '2.5 mg', price: '299.00' }, { id: 1002, title: '5 mg', price: '349.00' }] });
+    await expect(subscriptionManagementService.changeVariant(5, owner, { variantId: '2001' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_VARIANT' });
+    await expect(subscriptionManagementService.changeVariant(5, owner, { variantId: 1001 }))
+      .rejects.toMatchObject({ status: 400, code: 'VARIANT_UNCHANGED' });
+    await expect(subscriptionManagementService.changeVariant(5, owner, { variantId: 1002 }))
+      .resolves.toMatchObject({ variantId: '1002', amountCents: 104700 });
+    expect(shopifyUserService.getProduct).toHaveBeenCalledWith('123');
+    expect(changes[1]).toMatchObject({ action: 'change_variant', reason: '5 mg', changes: { shopify_variant_id: { from: '1001', to: '1002' } } });
+
+    shopifyUserService.getProduct.mockRejectedValueOnce(new Error('Shopify API error: 503'));
+    await expect(subscriptionManagementService.changeVariant(5, owner, { variantId: 1001 }))
+      .rejects.toMatchObject({ status: 502, code: 'SHOPIFY_UNAVAILABLE' });
+
+    // Unpaid renewal: only cancellation until the card is updated
+    subscription.status = 'suspended';
+    await expect(subscriptionManagementService.changeFrequency(5, owner, { frequency: 'monthly' }))
+      .rejects.toMatchObject({ status: 409, code: 'SUBSCRIPTION_PAYMENT_OVERDUE' });
+    expect(changes).toHaveLength(2);
+  });
+
+  it('should cancel with a voluntary reason and list subscriptions with their history', async () => {
+    subscription.status = 'past_due';
+    subscription.next_retry_at = new Date('2026-11-02T02:00:00Z');
+    await expect(subscriptionManagementService.cancel(5, owner, { reason: 'involuntary' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_CANCELLATION_REASON' });
+
+    const cancelled = await subscriptionManagementService.cancel(5, owner, { reason: 'side_effects', comment: '  Nausea every week  ' });
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancellationReason: 'side_effects', nextRetryAt: null });
+    expect(subscription.cancelled_at).toBeInstanceOf(Date);
+    expect(changes[0]).toMatchObject({
+      action: 'cancel',
+      reason: 'side_effects',
+      comment: 'Nausea every week',
+      changes: { status: { from: 'past_due', to: 'cancelled' }, next_retry_at: { from: '2026-11-02T02:00:00.000Z', to: null } }
+    });
+    await expect(subscriptionManagementService.cancel(5, owner, { reason: 'other' }))
+      .rejects.toMatchObject({ status: 409, code: 'SUBSCRIPTION_CANCELLED' });
+
+    await expect(subscriptionManagementService.getHistory(5, owner)).resolves.toEqual([
+      expect.objectContaining({ action: 'cancel', actor: 'patient', reason: 'side_effects', comment: 'Nausea every week' })
+    ]);
+
+    customerPatientMapService.getByShopifyIdOrEmail.mockResolvedValue({ tebra_patient_id: '10' });
+    subscriptionService.getCustomerSubscriptions.mockResolvedValue([{ ...subscription }]);
+    await expect(subscriptionManagementService.listSubscriptions(owner)).resolves.toEqual([
+      expect.objectContaining({ id: 5, status: 'cancelled', productId: '123', nextBillingDate: '2026-11-01', paymentMethodSaved: false })
+    ]);
+    expect(subscriptionService.getCustomerSubscriptions).toHaveBeenCalledWith({ shopifyCustomerId: '777', email: 'pat@example.com', tebraPatientId: '10', tenantId: 'default' });
+  });
+});
@@ -0,0 +1,81 @@
+// Unit tests for tebraAppointmentFeed.js (incremental appointment change feed)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../tebraService', () => ({ forTenant: jest.fn() }));
+jest.mock('../appointmentStatusService', () => ({ applyFromTebra: jest.fn() }));
+
+const { query } = require('../../db/pg');
+const tebraService = require('../tebraService');
+const appointmentStatusService = require('../appointmentStatusService');
+const tebraAppointmentFeed = require('../tebraAppointmentFeed');
+
+describe('TebraAppointmentFeed', () => {
+  const now = new Date('2026-03-02T10:00:00.000Z');
+  let tebra;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    tebra = { getAppointments: jest.fn() };
+    tebraService.forTenant.mockReturnValue(tebra);
+  });
+
+  it('should pull appointments modified since the watermark (with overlap) and advance it', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ watermark: '2026-03-02T09:58:00.000Z' }] })
+      .mockResolvedValueOnce({ rows: [] });
+    tebra.getAppointments.mockResolvedValue({ appointments: [{ id: 'A-1' }, { id: 'A-2' }, { id: 'A-3' }] });
+    appointmentStatusService.applyFromTebra
+      .mockResolvedValueOnce({ appointment: { id: 'A-1' }, events: ['appointment.created'] })
+      .mockResolvedValueOnce({ appointment: { id: 'A-2' }, events: ['appointment.cancelled'] })
+      .mockResolvedValueOnce({ appointment: { id: 'A-3' }, events: [] });
+
+    const [result] = await tebraAppointmentFeed.poll({ tenantId: 'default', now });
+
+    expect(tebraService.forTenant).toHaveBeenCalledWith('default');
+    expect(tebra.getAppointments).toHaveBeenCalledWith({
+      fromLastModifiedDate: '2026-03-02T09:56:00.000Z',
+      toLastModifiedDate: '2026-03-02T10:00:00.000Z'
+    });
+    expect(appointmentStatusService.applyFromTebra).toHaveBeenCalledWith({ id: 'A-1' }, { source: 'feed', tenantId: 'default' });
+    expect(result).toMatchObject({ fetched: 3, stored: 3, failed: 0, error: null, events: { 'appointment.created': 1, 'appointment.cancelled': 1 } });
+    expect(query.mock.calls[1][1]).toEqual(['appointments', 'default', '2026-03-02T10:00:00.000Z', 2, null]);
+  });
+
+  it('should look back on the first poll and keep the watermark when an appointment cannot be stored', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+    tebra.getAppointments.mockResolvedValue({ appointments: [{ id: 'A-1' }] });
+    appointmentStatusService.applyFromTebra.mockRejectedValue(new Error('connection reset'));
+
+    const [result] = await tebraAppointmentFeed.poll({ tenantId: 'default', now });
+
+    expect(tebra.getAppointments.mock.calls[0][0].fromLastModifiedDate).toBe('2026-03-01T10:00:00.000Z');
+    expect(result).toMatchObject({ fetched: 1, stored: 0, failed: 1, error: '1 appointment(s) could not be stored' });
+    expect(query.mock.calls[1][1]).toEqual(['appointments', 'default', null, 0, '1 appointment(s) could not be stored']);
+  });
+
+  it('should record a failed Tebra call without moving the watermark', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ watermark: '2026-03-02T09:58:00.000Z' }] })
+      .mockResolvedValueOnce({ rows: [] });
+    tebra.getAppointments.mockRejectedValue(new Error('Tebra unavailable'));
+
+    const [result] = await tebraAppointmentFeed.poll({ tenantId: 'default', now });
+
+    expect(result.error).toBe('Tebra unavailable');
+    expect(query.mock.calls[1][1]).toEqual(['appointments', 'default', '2026-03-02T09:58:00.000Z', 0, 'Tebra unavailable']);
+    await expect(tebraAppointmentFeed.poll({ tenantId: 'nope' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should only reset the watermark to a valid date', async () => {
+    await expect(tebraAppointmentFeed.resetWatermark('default', 'yesterday')).rejects.toMatchObject({ status: 400, code: 'INVALID_WATERMARK' });
+
+    query.mockResolvedValueOnce({ rows: [] });
+    await expect(tebraAppointmentFeed.resetWatermark('default', '2026-03-01T00:00:00Z'))
+      .resolves.toEqual({ tenantId: 'default', watermark: '2026-03-01T00:00:00.000Z' });
+    expect(query.mock.calls[0][1]).toEqual(['appointments', 'default', '2026-03-01T00:00:00.000Z']);
+  });
+});
@@ -0,0 +1,187 @@
+// Unit tests for the TebraService facade, the domain clients and their shared TebraTransport
+
+jest.mock('axios');
+jest.mock('../../utils/logger');
+jest.mock('../metricsService', () => ({
+  recordCircuitBreakerState: jest.fn(),
+  recordExternalApiRetry: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'tebra', `${name}.xml`), 'utf8');
+}
+
+describe('Tebra domain clients', () => {
+  const savedEnv = { ...process.env };
+  let TebraService;
+  let tebra;
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      TEBRA_SOAP_ENDPOINT: 'https://tebra.test/services/soap/2.1/KareoServices.svc',
+      TEBRA_CUSTOMER_KEY: 'key',
+      TEBRA_USER: 'user@example.com',
+      TEBRA_PASSWORD: 'p&ss',
+      TEBRA_PRACTICE_NAME: 'SXRX Telehealth',
+      TEBRA_TENANTS_JSON: JSON.stringify({
+        entity2: {
+          customerKey: 'key2',
+          user: 'entity2@example.com',
+          password: 'pass2',
+          practiceName: 'Entity 2 Clinic',
+          soapEndpoint: 'https://entity2.tebra.test/services/soap/2.1/KareoServices.svc',
+          practiceIds: ['12']
+        }
+      })
+    });
+    ({ TebraService } = require('../tebraService'));
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tebra = new TebraService();
+  });
+
+  it('should share one transport between every client', () => {
+    const clients = [tebra.patients, tebra.appointments, tebra.documents, tebra.billing, tebra.referenceData];
+
+    expect(clients.every(client => client.transport === tebra.transport)).toBe(true);
+    expect(tebra.billing.practiceName).toBe('SXRX Telehealth');
+    expect(tebra.getResilienceStatus()).toEqual(tebra.transport.resilience.getStatus());
+  });
+
+  it('should forward the flat TebraService methods to the owning client', async () => {
+    tebra.patients.getPatient = jest.fn().mockResolvedValue({ id: '5001' });
+    tebra.referenceData.getProviders = jest.fn().mockResolvedValue({ providers: [] });
+
+    await expect(tebra.getPatient('5001', { fields: 'basic' })).resolves.toEqual({ id: '5001' });
+    await expect(tebra.getProviders({ practiceId: '1' })).resolves.toEqual({ providers: [] });
+
+    expect(tebra.patients.getPatient).toHaveBeenCalledWith('5001', { fields: 'basic' });
+    expect(tebra.referenceData.getProviders).toHaveBeenCalledWith({ practiceId: '1' });
+  });
+
+  it('should build envelopes registered by the clients and the generic envelope otherwise', () => {
+    const createPatientXml = tebra.generateRawSOAPXML('CreatePatient', { FirstName: 'Ana', LastName: 'Lee' });
+    expect(createPatientXml).toContain('<sch:CreatePatient>');
+    expect(createPatientXml).not.toContain('<sch:Fields>');
+
+    const getPracticesXml = tebra.transport.generateRawSOAPXML('GetPractices', { ID: 1 }, { Active: 'true' });
+    expect(getPracticesXml).toContain('<sch:Fields>');
+    expect(getPracticesXml).toContain('<sch:Password>p&amp;ss</sch:Password>');
+  });
+
+  it('should send billing writes through the shared transport', async () => {
+    axios.post.mockResolvedValueOnce({ status: 200, data: fixture('CreateEncounter') });
+
+    const result = await tebra.createEncounter({
+      practiceId: '1',
+      patientId: '5001',
+      caseName: 'Default Case',
+      serviceStartDate: '2030-01-07',
+      serviceEndDate: '2030-01-07',
+      postDate: '2030-01-07',
+      serviceLines: [{ procedureCode: '99213', units: 1, unitCharge: 120 }]
+    });
+
+    expect(result).toMatchObject({ encounterId: '12001', success: true });
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe('https://tebra.test/services/soap/2.1/KareoServices.svc');
+    expect(body).toContain('<sch:ProcedureCode>99213</sch:ProcedureCode>');
+    expect(options.headers.SOAPAction).toBe('"http://www.kareo.com/api/schemas/KareoServices/CreateEncounter"');
+    expect(tebra.transport.resilience.getStatus().breaker.consecutiveFailures).toBe(0);
+  });
+
+  it('should raise typed errors for rejected billing writes', async () => {
+    const rejected = fixture('CreateAppointment.error').replace(/CreateAppointment/g, 'CreatePayments');
+    axios.post.mockResolvedValueOnce({ status: 200, data: rejected });
+
+    await expect(tebra.createPayments({ practiceId: '1', patientId: '5001', amountPaid: 151 }))
+      .rejects.toMatchObject({ code: 'TEBRA_VALIDATION_ERROR', method: 'CreatePayments' });
+  });
+
+  it('should run calls for another tenant\'s practice on that tenant\'s transport', async () => {
+    const entity2 = tebra.forTenant('entity2');
+    expect(tebra.forTenant('entity2')).toBe(entity2);
+    expect(entity2.forTenant('default')).toBe(tebra);
+    expect(entity2.transport).not.toBe(tebra.transport);
+    expect(entity2.billing.practiceName).toBe('Entity 2 Clinic');
+
+    axios.post.mockResolvedValueOnce({ status: 200, data: fixture('CreateEncounter') });
+    await tebra.createEncounter({
+      practiceId: '12',
+      patientId: '5001',
+      caseName: 'Default Case',
+      serviceStartDate: '2030-01-07',
+      serviceEndDate: '2030-01-07',
+      postDate: '2030-01-07',
+      serviceLines: [{ procedureCode: '99213', units: 1, unitCharge: 120 }]
+    });
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('https://entity2.tebra.test/services/soap/2.1/KareoServices.svc');
+    expect(body).toContain('<sch:CustomerKey>key2</sch:CustomerKey>');
+    expect(tebra.transport.resilience.getStatus().breaker.consecutiveFailures).toBe(0);
+  });
+
+  it('should share one concurrency cap between tenants and report each tenant\'s breaker under its name', () => {
+    const metricsService = require('../metricsService');
+    const entity2 = tebra.forTenant('entity2');
+
+    expect(entity2.transport.resilience.limiter).toBe(tebra.transport.resilience.limiter);
+    expect(entity2.transport.resilience.breaker).not.toBe(tebra.transport.resilience.breaker);
+    expect(metricsService.recordCircuitBreakerState).toHaveBeenCalledWith('tebra', 'closed');
+    expect(metricsService.recordCircuitBreakerState).toHaveBeenCalledWith('tebra:entity2', 'closed');
+
+    const statuses = tebra.getTenantResilienceStatus();
+    expect(Object.keys(statuses).sort()).toEqual(['default', 'entity2']);
+    expect(statuses.entity2.breaker.name).toBe('tebra:entity2');
+    expect(statuses.default.breaker.name).toBe('tebra');
+    expect(entity2.getTenantResilienceStatus()).toEqual(statuses);
+  });
+
+  it('should pick request credentials by practice and keep tenant-bound services on their account', async () => {
+    expect(tebra.buildRequestHeader('12')).toEqual({ CustomerKey: 'key2', Password: 'pass2', User: 'entity2@example.com' });
+    expect(tebra.buildRequestHeader('1')).toEqual({ CustomerKey: 'key', Password: 'p&ss', User: 'user@example.com' });
+    expect(tebra.forCall({ tenantId: 'entity2' }).tenantId).toBe('entity2');
+    expect(tebra.forTenant('entity2').forCall({ practiceId: '1' }).tenantId).toBe('entity2');
+    expect(() => tebra.forTenant('unknown')).toThrow('Unknown Tebra tenant: unknown');
+
+    const rejected = fixture('CreateAppointment.error').replace(/CreateAppointment/g, 'CreatePayments');
+    axios.post.mockResolvedValueOnce({ status: 200, data: rejected });
+    await expect(tebra.forTenant('entity2').createPayments({ practiceId: '12', patientId: '5001', amountPaid: 151 }))
+      .rejects.toMatchObject({ code: 'TEBRA_VALIDATION_ERROR', context: expect.objectContaining({ tenantId: 'entity2' }) });
+  });
+
+  it('should read charges and payments from the requested tenant\'s account', async () => {
+    const tebraBillingService = require('../tebraBillingService');
+    axios.post
+      .mockResolvedValueOnce({ status: 200, data: fixture('GetCharges') })
+      .mockResolvedValueOnce({ status: 200, data: fixture('GetPayments') });
+
+    await tebraBillingService.getCharges({ tenantId: 'entity2', patientId: '5001' });
+    await tebraBillingService.getPayments({ practiceId: '12', patientId: '5001' });
+
+    const [chargesUrl, chargesBody] = axios.post.mock.calls[0];
+    expect(chargesUrl).toBe('https://entity2.tebra.test/services/soap/2.1/KareoServices.svc');
+    expect(chargesBody).toContain('<sch:CustomerKey>key2</sch:CustomerKey>');
+    expect(chargesBody).toContain('Entity 2 Clinic');
+    expect(axios.post.mock.calls[1][0]).toBe('https://entity2.tebra.test/services/soap/2.1/KareoServices.svc');
+  });
+
+  it('should hand out the module instance from the legacy singleton', () => {
+    const tebraService = require('../tebraService');
+    const getTebraService = require('../tebraServiceSingleton');
+
+    expect(getTebraService()).toBe(tebraService);
+    expect(getTebraService()).toBe(getTebraService());
+  });
+});
@@ -0,0 +1,132 @@
+// Unit tests for tebraErrors.js (typed Tebra errors and retry classification)
+
+const {
+  TebraAuthError,
+  TebraCustomerKeyError,
+  TebraValidationError,
+  TebraNotFoundError,
+  TebraDuplicateError,
+  TebraTransientError,
+  TebraTimeoutError,
+  classifyTebraError,
+  errorFromResponseBody,
+  sanitizeContext,
+  isRetryableTebraError,
+  isTebraRequestError
+} = require('../tebraErrors');
+
+function result(method, { isError = false, errorMessage = '', authenticated = true, customerKeyValid = true } = {}) {
+  return `<s:Envelope><s:Body><${method}Response><${method}Result>`
+    + `<ErrorResponse><ErrorMessage>${errorMessage}</ErrorMessage><IsError>${isError}</IsError></ErrorResponse>`
+    + `<SecurityResponse><Authenticated>${authenticated}</Authenticated><CustomerKeyValid>${customerKeyValid}</CustomerKeyValid>`
+    + `<SecurityResult>${authenticated ? 'Success' : 'Invalid user name and/or password'}</SecurityResult></SecurityResponse>`
+    + `</${method}Result></${method}Response></s:Body></s:Envelope>`;
+}
+
+function fault(code, text) {
+  return `<s:Envelope><s:Body><s:Fault><faultcode>${code}</faultcode><faultstring>${text}</faultstring></s:Fault></s:Body></s:Envelope>`;
+}
+
+describe('tebraErrors', () => {
+  describe('errorFromResponseBody', () => {
+    it('should return null for successful responses', () => {
+      expect(errorFromResponseBody(result('GetPatients'), { method: 'GetPatients' })).toBeNull();
+    });
+
+    it('should classify IsError messages', () => {
+      const cases = [
+        ['Appointment 12 was not found', TebraNotFoundError, 404],
+        ['A patient with this email already exists', TebraDuplicateError, 409],
+        ['The user is not authorized for Practice 2', TebraAuthError, 502],
+        ['StartTime is required', TebraValidationError, 422]
+      ];
+      for (const [message, ErrorClass, status] of cases) {
+        const error = errorFromResponseBody(result('GetAppointment', { isError: true, errorMessage: message }), { method: 'GetAppointment' });
+        expect(error).toBeInstanceOf(ErrorClass);
+        expect(error.status).toBe(status);
+        expect(error.retryable).toBe(false);
+        expect(error.message).toBe(`Tebra GetAppointment API call failed: Tebra API Error: ${message}`);
+      }
+    });
+
+    it('should tell a bad customer key from bad user credentials', () => {
+      const keyError = errorFromResponseBody(result('GetPractices', { authenticated: false, customerKeyValid: false }), { method: 'GetPractices' });
+      const userError = errorFromResponseBody(result('GetPractices', { authenticated: false }), { method: 'GetPractices' });
+
+      expect(keyError).toBeInstanceOf(TebraCustomerKeyError);
+      expect(keyError.code).toBe('TEBRA_CUSTOMER_KEY_INVALID');
+      expect(userError).not.toBeInstanceOf(TebraCustomerKeyError);
+      expect(userError).toBeInstanceOf(TebraAuthError);
+      expect(userError.message).toMatch(/Authentication Error: Invalid user name and\/or password/);
+    });
+
+    it('should classify SOAP faults by fault code', () => {
+      const internal = errorFromResponseBody(fault('a:InternalServiceFault', 'The server was unable to process the request'), { method: 'CreatePatient' });
+      const deserialize = errorFromResponseBody(fault('a:DeserializationFailed', 'The formatter threw an exception'), { method: 'CreatePatient' });
+
+      expect(internal).toBeInstanceOf(TebraTransientError);
+      expect(internal).toMatchObject({ faultCode: 'a:InternalServiceFault', retryable: true, status: 503 });
+      expect(deserialize).toBeInstanceOf(TebraValidationError);
+      expect(deserialize.retryable).toBe(false);
+    });
+  });
+
+  describe('classifyTebraError', () => {
+    it('should read faults from HTTP 500 responses', () => {
+      const axiosError = Object.assign(new Error('Request failed with status code 500'), {
+        response: { status: 500, data: fault('a:InternalServiceFault', 'internal error') }
+      });
+
+      const error = classifyTebraError(axiosError, { method: 'GetPatient' });
+
+      expect(error).toBeInstanceOf(TebraTransientError);
+      expect(error).toMatchObject({ httpStatus: 500, faultCode: 'a:InternalServiceFault', method: 'GetPatient' });
+      expect(error.cause).toBe(axiosError);
+    });
+
+    it('should classify timeouts and network failures as retryable', () => {
+      const timeout = classifyTebraError(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }), { method: 'GetAppointments' });
+      const reset = classifyTebraError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), { method: 'GetAppointments' });
+      const unavailable = classifyTebraError(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: 'Service Unavailable' } }), { method: 'GetAppointments' });
+
+      expect(timeout).toBeInstanceOf(TebraTimeoutError);
+      expect(timeout.status).toBe(504);
+      expect(reset).toBeInstanceOf(TebraTransientError);
+      expect(unavailable.httpStatus).toBe(503);
+      for (const error of [timeout, reset, unavailable]) {
+        expect(isRetryableTebraError(error)).toBe(true);
+        expect(isTebraRequestError(error)).toBe(false);
+      }
+    });
+
+    it('should return typed errors unchanged', () => {
+      const error = new TebraNotFoundError('gone', { method: 'GetPatient' });
+      expect(classifyTebraError(error, { method: 'Other' })).toBe(error);
+      expect(isTebraRequestError(error)).toBe(true);
+    });
+  });
+
+  describe('sanitizeContext', () => {
+    it('should keep identifiers and dates and redact patient data and credentials', () => {
+      const context = sanitizeContext({
+        PatientID: 42,
+        FirstName: 'Pat',
+        EmailAddress: 'pat@example.com',
+        StartTime: '2030-01-08T15:00:00Z',
+        Notes: 'Anxiety',
+        Practice: { PracticeID: 1, PracticeName: 'Clinic' },
+        RequestHeader: { CustomerKey: 'k', Password: 'p', User: 'u' }
+      });
+
+      expect(context).toEqual({
+        PatientID: 42,
+        FirstName: '[REDACTED]',
+        EmailAddress: '[REDACTED]',
+        StartTime: '2030-01-08T15:00:00Z',
+        Notes: '[REDACTED]',
+        Practice: { PracticeID: 1, PracticeName: 'Clinic' },
+        RequestHeader: { CustomerKey: '[REDACTED]', Password: '[REDACTED]', User: '[REDACTED]' }
+      });
+    });
+  });
+});
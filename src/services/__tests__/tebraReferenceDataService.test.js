@@ -0,0 +1,198 @@
+// Unit tests for tebraReferenceDataService.js (Tebra reference data sync and state mappings)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../tebraService', () => ({ forTenant: jest.fn() }));
+jest.mock('../cacheService', () => ({ deletePattern: jest.fn().mockResolvedValue(0) }));
+jest.mock('../../config/providerMapping', () => ({
+  CA: {
+    state: 'CA',
+    tenantId: 'default',
+    practiceId: undefined,
+    practiceName: 'Env Practice',
+    defaultProviderId: undefined,
+    serviceLocationId: 'env-location',
+    appointmentReasonId: 'env-reason',
+    allowKetamine: false
+  }
+}));
+
+const crypto = require('crypto');
+const { query } = require('../../db/pg');
+const tebraService = require('../tebraService');
+const cacheService = require('../cacheService');
+const providerMapping = require('../../config/providerMapping');
+const tebraReferenceDataService = require('../tebraReferenceDataService');
+
+const hash = data => crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+
+function storedRow(record_type, practice_id, tebra_id, data, active = true) {
+  return { record_type, practice_id, tebra_id, name: data.name || data.fullName || null, content_hash: hash(data), active };
+}
+
+// Answers the statements of a sync run; `stored` is the tenant's existing records
+function mockSyncQueries(stored) {
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('INSERT INTO tebra_reference_sync_runs')) {
+      return { rows: [{ id: 1, tenant_id: params[0], trigger: params[1], status: 'running' }] };
+    }
+    if (sql.includes('UPDATE tebra_reference_sync_runs') && sql.includes('RETURNING')) {
+      return {
+        rows: [{
+          id: params[0],
+          tenant_id: 'default',
+          status: params[1],
+          summary: JSON.parse(params[2]),
+          changes: JSON.parse(params[3]),
+          error_message: params[4]
+        }]
+      };
+    }
+    if (sql.includes('SELECT record_type, practice_id, tebra_id, name')) {
+      return { rows: stored };
+    }
+    return { rows: [], rowCount: 1 };
+  });
+}
+
+describe('TebraReferenceDataService', () => {
+  const provider = { id: '7', fullName: 'Dr. Jane Smith, MD' };
+  let tebra;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    tebra = {
+      getPractices: jest.fn().mockResolvedValue({ practices: [{ id: '1', name: 'SXRX Telehealth' }] }),
+      getProviders: jest.fn().mockResolvedValue({ providers: [provider] }),
+      getServiceLocations: jest.fn().mockRejectedValue(new Error('Tebra unavailable')),
+      getAppointmentReasons: jest.fn().mockResolvedValue({ appointmentReasons: [{ id: '3', name: 'Consultation' }] }),
+      getProcedureCodes: jest.fn().mockResolvedValue({ procedureCodes: [{ id: '11', procedureCode: '99213', officialName: 'Office visit' }] })
+    };
+    tebraService.forTenant.mockReturnValue(tebra);
+  });
+
+  it('should record what was added, changed and removed, and keep lists Tebra failed to return', async () => {
+    mockSyncQueries([
+      storedRow('practice', '', '1', { id: '1', name: 'SXRX Telehealth' }, false),
+      storedRow('provider', '1', '7', provider),
+      storedRow('provider', '1', '8', { id: '8', fullName: 'Dr. Gone' }),
+      storedRow('service_location', '1', '5', { id: '5', name: 'Telehealth' }),
+      storedRow('appointment_reason', '1', '3', { id: '3', name: 'Consult' })
+    ]);
+
+    const [run] = await tebraReferenceDataService.sync({ tenantId: 'default', trigger: 'admin' });
+
+    expect(tebraService.forTenant).toHaveBeenCalledWith('default');
+    expect(tebra.getServiceLocations).toHaveBeenCalledWith({ practiceId: '1', practiceName: 'SXRX Telehealth' });
+    expect(tebra.getAppointmentReasons).toHaveBeenCalledWith('1');
+    expect(run.status).toBe('partial');
+    expect(run.error).toBe('service_location (practice 1): Tebra unavailable');
+    expect(run.summary).toEqual({
+      practice: { added: 1, changed: 0, removed: 0, unchanged: 0 },
+      provider: { added: 0, changed: 0, removed: 1, unchanged: 1 },
+      service_location: { added: 0, changed: 0, removed: 0, unchanged: 0 },
+      appointment_reason: { added: 0, changed: 1, removed: 0, unchanged: 0 },
+      procedure_code: { added: 1, changed: 0, removed: 0, unchanged: 0 }
+    });
+    expect(run.changes).toEqual(expect.arrayContaining([
+      { change: 'added', type: 'practice', practiceId: null, id: '1', name: 'SXRX Telehealth' },
+      { change: 'changed', type: 'appointment_reason', practiceId: '1', id: '3', name: 'Consultation' },
+      { change: 'added', type: 'procedure_code', practiceId: null, id: '11', name: '99213 Office visit' },
+      { change: 'removed', type: 'provider', practiceId: '1', id: '8', name: 'Dr. Gone' }
+    ]));
+
+    const removals = query.mock.calls.filter(([sql]) => sql.includes('SET active = FALSE'));
+    expect(removals.map(([, params]) => params)).toEqual([['default', 'provider', '1', '8']]);
+    const touched = query.mock.calls.find(([sql]) => sql.includes('SET last_synced_at = NOW()'));
+    expect(touched[1]).toEqual(['default', 'provider', '1', ['7']]);
+    expect(cacheService.deletePattern).toHaveBeenCalledWith('sxrx:providers:*');
+  });
+
+  it('should remove nothing per practice when the practice list could not be fetched', async () => {
+    tebra.getPractices.mockRejectedValue(new Error('Tebra unavailable'));
+    mockSyncQueries([storedRow('provider', '1', '7', provider)]);
+
+    const [run] = await tebraReferenceDataService.sync({ tenantId: 'default' });
+
+    expect(tebra.getProviders).not.toHaveBeenCalled();
+    expect(run.status).toBe('partial');
+    expect(run.changes).toEqual([{ change: 'added', type: 'procedure_code', practiceId: null, id: '11', name: '99213 Office visit' }]);
+    expect(query.mock.calls.some(([sql]) => sql.includes('SET active = FALSE'))).toBe(false);
+  });
+
+  it('should record a failed run when the records cannot be stored', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ id: 2, tenant_id: 'default' }] }) // run
+      .mockRejectedValueOnce(new Error('connection reset')) // stored records
+      .mockResolvedValueOnce({ rows: [] }); // failed run
+
+    const [run] = await tebraReferenceDataService.sync({ tenantId: 'default' });
+
+    expect(run).toMatchObject({ id: 2, status: 'failed', error: 'connection reset' });
+    expect(query.mock.calls[2][1]).toEqual([2, 'connection reset']);
+    await expect(tebraReferenceDataService.sync({ tenantId: 'nope' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should list synced records with filters', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ total: 1 }] })
+      .mockResolvedValueOnce({
+        rows: [{ tenant_id: 'default', record_type: 'provider', practice_id: '1', tebra_id: '7', name: 'Dr. Jane Smith, MD', active: true, data: provider }]
+      });
+
+    const result = await tebraReferenceDataService.listRecords('provider', { tenantId: 'default', practiceId: 1, search: 'smith_', limit: 1000 });
+
+    expect(result).toEqual({ total: 1, records: [expect.objectContaining({ type: 'provider', id: '7', practiceId: '1', name: 'Dr. Jane Smith, MD' })] });
+    const [sql, params] = query.mock.calls[1];
+    expect(sql).toContain('active = TRUE');
+    expect(params).toEqual(['provider', 'default', '1', '%smith\\_%', 'smith_', 500, 0]);
+    await expect(tebraReferenceDataService.listRecords('patient')).rejects.toMatchObject({ status: 400, code: 'TEBRA_REFERENCE_INVALID_TYPE' });
+  });
+
+  it('should only map a state to synced records and overlay the mapping on providerMapping', async () => {
+    query.mockResolvedValueOnce({ rows: [{ record_type: 'practice', practice_id: '', tebra_id: '1' }] });
+    await expect(tebraReferenceDataService.saveStateMapping('ca', { practiceId: '1', providerId: '8' }))
+      .rejects.toMatchObject({ status: 400, code: 'TEBRA_STATE_MAPPING_UNKNOWN_RECORD', message: expect.stringContaining('provider 8') });
+
+    const mappingRow = {
+      state: 'CA',
+      tenant_id: 'default',
+      practice_id: '1',
+      provider_id: '7',
+      service_location_id: null,
+      appointment_reason_id: '3'
+    };
+    query
+      .mockResolvedValueOnce({
+        rows: [
+          { record_type: 'practice', practice_id: '', tebra_id: '1' },
+          { record_type: 'provider', practice_id: '1', tebra_id: '7' },
+          { record_type: 'appointment_reason', practice_id: '1', tebra_id: '3' }
+        ]
+      })
+      .mockResolvedValueOnce({ rows: [mappingRow] }) // upsert
+      .mockResolvedValueOnce({ rows: [{ ...mappingRow, practice_name: 'SXRX Telehealth' }, { state: 'NY', tenant_id: 'default', practice_id: '1' }] });
+
+    const mapping = await tebraReferenceDataService.saveStateMapping('ca', { practiceId: 1, providerId: 7, appointmentReasonId: '3' }, { updatedBy: 'ops@sxrx' });
+
+    expect(mapping).toMatchObject({ state: 'CA', tenantId: 'default', practiceId: '1', providerId: '7' });
+    expect(query.mock.calls[2][1]).toEqual(['CA', 'default', '1', '7', null, '3', 'ops@sxrx']);
+    expect(providerMapping.CA).toMatchObject({
+      practiceId: '1',
+      practiceName: 'SXRX Telehealth',
+      defaultProviderId: '7',
+      serviceLocationId: 'env-location',
+      appointmentReasonId: '3'
+    });
+    expect(providerMapping.NY).toMatchObject({ state: 'NY', practiceId: '1', allowKetamine: false });
+
+    // Removing the mappings restores the env configuration
+    query
+      .mockResolvedValueOnce({ rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [] });
+    await expect(tebraReferenceDataService.deleteStateMapping('CA')).resolves.toBe(true);
+    expect(providerMapping.CA).toMatchObject({ practiceId: undefined, practiceName: 'Env Practice', appointmentReasonId: 'env-reason' });
+    expect(providerMapping.NY).toBeUndefined();
+  });
+});
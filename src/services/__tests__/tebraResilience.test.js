@@ -0,0 +1,143 @@
+// Unit tests for tebraResilience.js (read retries, circuit breaker, concurrency limit)
+
+jest.mock('../../utils/logger');
+jest.mock('../metricsService', () => ({
+  recordCircuitBreakerState: jest.fn(),
+  recordExternalApiRetry: jest.fn()
+}));
+
+const metricsService = require('../metricsService');
+const { TebraResilience, ConcurrencyLimiter } = require('../tebraResilience');
+const { TebraTransientError, TebraValidationError } = require('../tebraErrors');
+
+function unavailable(method = 'GetPatients') {
+  return new TebraTransientError(`Tebra ${method} API call failed: Service Unavailable`, { method });
+}
+
+describe('TebraResilience', () => {
+  let clock;
+  let resilience;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clock = 1000000;
+    resilience = new TebraResilience({
+      maxAttempts: 3,
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      failureThreshold: 3,
+      resetTimeoutMs: 30000,
+      maxConcurrent: 2,
+      sleep: jest.fn().mockResolvedValue(),
+      random: () => 0.5,
+      now: () => clock
+    });
+  });
+
+  it('should retry idempotent reads on retryable errors with jittered backoff', async () => {
+    const call = jest.fn()
+      .mockRejectedValueOnce(unavailable())
+      .mockRejectedValueOnce(unavailable())
+      .mockResolvedValueOnce('<GetPatientsResult/>');
+
+    await expect(resilience.execute('GetPatients', call)).resolves.toBe('<GetPatientsResult/>');
+
+    expect(call).toHaveBeenCalledTimes(3);
+    expect(resilience.sleep.mock.calls).toEqual([[50], [100]]);
+    expect(metricsService.recordExternalApiRetry).toHaveBeenCalledWith('tebra', 'GetPatients');
+    expect(resilience.breaker.state).toBe('closed');
+  });
+
+  it('should not retry writes or request errors', async () => {
+    const write = jest.fn().mockRejectedValue(unavailable('CreateAppointment'));
+    await expect(resilience.execute('CreateAppointment', write)).rejects.toMatchObject({ code: 'TEBRA_UNAVAILABLE' });
+    expect(write).toHaveBeenCalledTimes(1);
+
+    const read = jest.fn().mockRejectedValue(new TebraValidationError('Tebra GetPatients API call failed: bad filter', { method: 'GetPatients' }));
+    await expect(resilience.execute('GetPatients', read)).rejects.toMatchObject({ code: 'TEBRA_VALIDATION_ERROR' });
+    expect(read).toHaveBeenCalledTimes(1);
+    expect(resilience.breaker.consecutiveFailures).toBe(1);
+  });
+
+  it('should classify raw transport errors before deciding', async () => {
+    const timeout = Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+    const call = jest.fn().mockRejectedValueOnce(timeout).mockResolvedValueOnce('ok');
+
+    await expect(resilience.execute('GetProviders', call)).resolves.toBe('ok');
+    expect(call).toHaveBeenCalledTimes(2);
+  });
+
+  it('should open after repeated failures, fail fast, then close after a successful trial call', async () => {
+    const failing = jest.fn().mockRejectedValue(unavailable('CreateAppointment'));
+    for (let i = 0; i < 3; i++) {
+      await expect(resilience.execute('CreateAppointment', failing)).rejects.toMatchObject({ code: 'TEBRA_UNAVAILABLE' });
+    }
+    expect(resilience.breaker.state).toBe('open');
+    expect(metricsService.recordCircuitBreakerState).toHaveBeenLastCalledWith('tebra', 'open');
+
+    const call = jest.fn().mockResolvedValue('ok');
+    clock += 10000;
+    await expect(resilience.execute('GetAppointments', call)).rejects.toMatchObject({
+      code: 'TEBRA_CIRCUIT_OPEN',
+      status: 503,
+      retryable: true,
+      retryAfter: 20
+    });
+    expect(call).not.toHaveBeenCalled();
+
+    clock += 20000;
+    await expect(resilience.execute('GetAppointments', call)).resolves.toBe('ok');
+    expect(resilience.getStatus().breaker).toMatchObject({ state: 'closed', consecutiveFailures: 0, stats: { opened: 1, rejected: 1 } });
+  });
+
+  it('should reopen when the half-open trial call fails', async () => {
+    resilience.breaker.transition('open');
+    clock += 30000;
+
+    const call = jest.fn().mockRejectedValue(unavailable());
+    await expect(resilience.execute('GetPatients', call)).rejects.toMatchObject({ code: 'TEBRA_UNAVAILABLE' });
+
+    expect(call).toHaveBeenCalledTimes(1);
+    expect(resilience.breaker.state).toBe('open');
+  });
+});
+
+describe('ConcurrencyLimiter', () => {
+  it('should cap concurrent calls and run queued calls in order', async () => {
+    const limiter = new ConcurrencyLimiter({ maxConcurrent: 2 });
+    const order = [];
+    const releases = [];
+    const task = (name) => limiter.run('GetPatients', () => new Promise((resolve) => {
+      order.push(name);
+      releases.push(resolve);
+    }));
+
+    const running = ['a', 'b', 'c'].map(task);
+    await Promise.resolve();
+
+    expect(order).toEqual(['a', 'b']);
+    expect(limiter.getStatus()).toMatchObject({ active: 2, queued: 1 });
+
+    releases[0]();
+    await running[0];
+    await new Promise(resolve => setImmediate(resolve));
+    expect(order).toEqual(['a', 'b', 'c']);
+
+    releases[1]();
+    releases[2]();
+    await Promise.all(running);
+    expect(limiter.getStatus()).toMatchObject({ active: 0, queued: 0 });
+  });
+
+  it('should time out callers that wait too long for a slot', async () => {
+    const limiter = new ConcurrencyLimiter({ maxConcurrent: 1, queueTimeoutMs: 10 });
+    let release;
+    const first = limiter.run('GetPatients', () => new Promise(resolve => { release = resolve; }));
+
+    await expect(limiter.run('GetAppointments', jest.fn())).rejects.toMatchObject({ code: 'TEBRA_TIMEOUT', method: 'GetAppointments' });
+
+    release();
+    await first;
+    expect(limiter.getStatus()).toMatchObject({ active: 0, queued: 0, stats: { queueTimeouts: 1 } });
+  });
+});
@@ -0,0 +1,129 @@
+// Tests for tebraSoapSimulator.js, driven through the real TebraService SOAP calls
+
+jest.mock('../../utils/logger');
+
+const { createTebraSimulator, DEFAULT_CREDENTIALS } = require('../tebraSoapSimulator');
+
+describe('TebraSoapSimulator', () => {
+  const savedEnv = { ...process.env };
+  let simulator;
+  let tebra;
+
+  beforeAll(async () => {
+    simulator = createTebraSimulator();
+    const endpoint = await simulator.start(0);
+    delete process.env.TEBRA_SOAP_WSDL;
+    Object.assign(process.env, {
+      TEBRA_SOAP_ENDPOINT: endpoint,
+      TEBRA_CUSTOMER_KEY: DEFAULT_CREDENTIALS.customerKey,
+      TEBRA_USER: DEFAULT_CREDENTIALS.user,
+      TEBRA_PASSWORD: DEFAULT_CREDENTIALS.password,
+      TEBRA_PRACTICE_NAME: simulator.practiceName,
+      TEBRA_DEFAULT_APPT_REASON_ID: '1',
+      TEBRA_DELAY_BETWEEN_CALLS: '1',
+      TEBRA_DELAY_BETWEEN_BATCHES: '1',
+      TEBRA_DELAY_AFTER_GET_IDS: '1',
+      TEBRA_RETRY_BASE_DELAY_MS: '1'
+    });
+    const { TebraService } = require('../tebraService');
+    tebra = new TebraService();
+  });
+
+  afterAll(async () => {
+    await simulator.stop();
+    process.env = savedEnv;
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+  });
+
+  async function bookPatient() {
+    const patient = await tebra.createPatient({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com', state: 'CA' });
+    const created = await tebra.createAppointment({
+      patientId: patient.id,
+      practiceId: '1',
+      providerId: '1',
+      appointmentReasonId: '1',
+      startTime: '2030-01-08T15:00:00.000Z',
+      endTime: '2030-01-08T15:30:00.000Z',
+      patientSummary: { FirstName: 'Pat', LastName: 'Lee', Email: 'pat@example.com' }
+    });
+    return { patient, appointmentId: created.CreateAppointmentResult.Appointment.AppointmentId };
+  }
+
+  it('should create, find and read back a patient', async () => {
+    const patient = await tebra.createPatient({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com', state: 'CA' });
+
+    expect(patient).toEqual({ id: expect.any(String), patientId: patient.id, practiceId: '1' });
+    const found = await tebra.searchPatients({ email: 'pat@example.com' });
+    expect(found.patients).toHaveLength(1);
+    expect(await tebra.getPatient(patient.id)).toMatchObject({ id: patient.id, first_name: 'Pat', email: 'pat@example.com' });
+  });
+
+  it('should run the booking lifecycle against stored appointments', async () => {
+    const { patient, appointmentId } = await bookPatient();
+
+    expect(await tebra.getAppointment(appointmentId)).toMatchObject({ id: appointmentId, patientId: patient.id, appointmentStatus: 'Scheduled' });
+    const listed = await tebra.getAppointments({ startDate: '2030-01-08', endDate: '2030-01-08' });
+    expect(listed.appointments.map(a => a.id)).toEqual([appointmentId]);
+    expect((await tebra.getAppointments({ startDate: '2030-01-09', endDate: '2030-01-09' })).appointments).toHaveLength(0);
+
+    await tebra.updateAppointment(appointmentId, { confirmationStatus: 'Confirmed', notes: 'See you soon' });
+    expect(await tebra.getAppointment(appointmentId)).toMatchObject({ confirmationStatus: 'Confirmed', notes: 'See you soon' });
+
+    await tebra.deleteAppointment(appointmentId);
+    await expect(tebra.getAppointment(appointmentId)).rejects.toThrow(/was not found/);
+  });
+
+  it('should return Tebra-style errors for invalid bookings', async () => {
+    const patient = await tebra.createPatient({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com' });
+
+    await expect(tebra.createAppointment({
+      patientId: patient.id,
+      practiceId: '2',
+      appointmentReasonId: '1',
+      startTime: '2030-01-08T15:00:00.000Z',
+      endTime: '2030-01-08T15:30:00.000Z'
+    })).rejects.toThrow(/not authorized for Practice 2/);
+    expect(simulator.snapshot().appointments).toHaveLength(0);
+  });
+
+  it('should record encounters, charges and payments', async () => {
+    const { patient, appointmentId } = await bookPatient();
+
+    const encounter = await tebra.createEncounter({
+      practiceId: 1,
+      patientId: patient.id,
+      appointmentId,
+      serviceStartDate: '2030-01-08',
+      serviceEndDate: '2030-01-08',
+      serviceLines: [{ procedureCode: '99213', procedureModifier1: '95', units: 1, unitCharge: 120 }]
+    });
+    const payment = await tebra.createPayments({ practiceId: 1, patientId: patient.id, amountPaid: 120, paymentMethod: 'CreditCard', referenceNumber: 'pi_123' });
+
+    expect(encounter.encounterId).toEqual(expect.any(String));
+    expect(payment.paymentId).toEqual(expect.any(String));
+    const state = simulator.snapshot();
+    expect(state.charges).toEqual([expect.objectContaining({ EncounterID: encounter.encounterId, ProcedureModifier1: '95', TotalCharges: '120.00' })]);
+    expect(state.payments).toEqual([expect.objectContaining({ PatientID: patient.id, AmountPaid: '120.00', ReferenceNumber: 'pi_123' })]);
+
+    // Refunds are negative payments; a zero amount is rejected
+    await tebra.createPayments({ practiceId: 1, patientId: patient.id, amountPaid: -120, paymentMethod: 'CreditCard', referenceNumber: 'REFUND-pi_123' });
+    await expect(tebra.createPayments({ practiceId: 1, patientId: patient.id, amountPaid: 0 })).rejects.toThrow(/not a valid amount/);
+    expect(simulator.snapshot().payments[1]).toMatchObject({ AmountPaid: '-120.00', ReferenceNumber: 'REFUND-pi_123' });
+  });
+
+  it('should reject bad credentials and retry reads past injected faults', async () => {
+    simulator.credentials.password = 'rotated';
+    await expect(tebra.getPractices()).rejects.toMatchObject({ code: 'TEBRA_AUTH_FAILED', message: expect.stringMatching(/Authentication Error/) });
+    simulator.credentials.password = DEFAULT_CREDENTIALS.password;
+
+    simulator.injectFault('GetPractices', { type: 'fault' });
+    expect((await tebra.getPractices()).practices).toEqual([expect.objectContaining({ id: '1', name: simulator.practiceName })]);
+
+    simulator.injectFault('GetPractices', { type: 'fault', times: 3 });
+    await expect(tebra.getPractices()).rejects.toMatchObject({ code: 'TEBRA_UNAVAILABLE', faultCode: 'a:InternalServiceFault', retryable: true });
+    expect(tebra.getResilienceStatus().breaker).toMatchObject({ state: 'closed', consecutiveFailures: 3 });
+  });
+});
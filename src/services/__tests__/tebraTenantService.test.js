@@ -0,0 +1,147 @@
+// Unit tests for tebraTenantService.js (Tebra accounts and tenant routing)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../encryptionService', () => ({
+  enabled: true,
+  encrypt: jest.fn(value => `enc:${value}`),
+  decrypt: jest.fn(value => value.replace(/^enc:/, ''))
+}));
+jest.mock('../../config/providerMapping', () => ({
+  CA: { state: 'CA', practiceId: '1', tenantId: 'default' },
+  TX: { state: 'TX', practiceId: '7', tenantId: 'entity2' },
+  WA: { state: 'WA', practiceId: '1', tenantId: 'missing' }
+}));
+
+const { query } = require('../../db/pg');
+const encryptionService = require('../encryptionService');
+const tebraTenantService = require('../tebraTenantService');
+
+describe('TebraTenantService', () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    Object.assign(process.env, {
+      TEBRA_CUSTOMER_KEY: 'key',
+      TEBRA_USER: 'user',
+      TEBRA_PASSWORD: 'pass',
+      TEBRA_PRACTICE_NAME: 'SXRX Telehealth',
+      TEBRA_TENANTS_JSON: JSON.stringify({
+        entity2: { name: 'Entity 2', customerKey: 'key2', user: 'user2', password: 'pass2', practiceIds: ['12', 7] },
+        'bad id!': { customerKey: 'x' }
+      })
+    });
+    tebraTenantService.reload();
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+  });
+
+  it('should load the default tenant from env and more from TEBRA_TENANTS_JSON without exposing secrets', () => {
+    expect(tebraTenantService.getTenant()).toMatchObject({ id: 'default', customerKey: 'key', practiceName: 'SXRX Telehealth', source: 'env' });
+    expect(tebraTenantService.getTenant('entity2')).toMatchObject({ name: 'Entity 2', user: 'user2', practiceIds: ['12', '7'], source: 'config' });
+    expect(tebraTenantService.hasTenant('bad id!')).toBe(false);
+
+    const listed = tebraTenantService.listTenants();
+    expect(listed.map(tenant => tenant.id)).toEqual(['default', 'entity2']);
+    expect(listed[1]).toEqual({
+      id: 'entity2',
+      name: 'Entity 2',
+      practiceName: null,
+      practiceIds: ['12', '7'],
+      soapEndpoint: null,
+      source: 'config',
+      hasCredentials: true
+    });
+    expect(JSON.stringify(listed)).not.toContain('pass2');
+  });
+
+  it('should resolve tenants by explicit id, state mapping, then practice ownership', () => {
+    expect(tebraTenantService.resolveTenantId({ tenantId: 'entity2', state: 'CA' })).toBe('entity2');
+    expect(tebraTenantService.resolveTenantId({ state: 'tx' })).toBe('entity2');
+    expect(tebraTenantService.resolveTenantId({ state: 'CA', practiceId: '12' })).toBe('default');
+    expect(tebraTenantService.resolveTenantId({ practiceId: 12 })).toBe('entity2');
+    expect(tebraTenantService.resolveTenantId({ practiceId: '99' }, 'entity2')).toBe('entity2');
+    expect(tebraTenantService.resolveTenantId()).toBe('default');
+
+    expect(() => tebraTenantService.resolveTenantId({ tenantId: 'nope' })).toThrow(expect.objectContaining({ status: 404, code: 'TEBRA_TENANT_NOT_FOUND' }));
+    // A state mapped to an unknown tenant never falls back to another account
+    expect(() => tebraTenantService.resolveTenantId({ state: 'WA' })).toThrow('Unknown Tebra tenant: missing');
+  });
+
+  it('should pick the practice to bill: given, the state\'s, then the tenant\'s first one', () => {
+    process.env.TEBRA_PRACTICE_ID = '1';
+
+    expect(tebraTenantService.resolvePractice({ state: 'tx' })).toEqual({ tenantId: 'entity2', practiceId: '7' });
+    expect(tebraTenantService.resolvePractice({ practiceId: 12 })).toEqual({ tenantId: 'entity2', practiceId: '12' });
+    expect(tebraTenantService.resolvePractice({ tenantId: 'entity2' })).toEqual({ tenantId: 'entity2', practiceId: '12' });
+    expect(tebraTenantService.resolvePractice()).toEqual({ tenantId: 'default', practiceId: '1' });
+  });
+
+  it('should not guess the tenant of a practice claimed by several tenants', () => {
+    process.env.TEBRA_TENANTS_JSON = JSON.stringify({ entity2: { practiceIds: ['1'] } });
+    tebraTenantService.reload();
+
+    expect(tebraTenantService.tenantForPractice('1')).toBeNull();
+    expect(tebraTenantService.resolveTenantId({ practiceId: '1' })).toBe('default');
+  });
+
+  it('should load active tenants from the database and keep config tenants when it is unavailable', async () => {
+    query.mockResolvedValueOnce({
+      rows: [{
+        tenant_id: 'entity3',
+        name: 'Entity 3',
+        customer_key_encrypted: 'enc:key3',
+        user_encrypted: 'enc:user3',
+        password_encrypted: 'enc:pass3',
+        practice_name: 'Entity 3 Clinic',
+        soap_endpoint: null,
+        practice_ids: ['30']
+      }]
+    });
+
+    await expect(tebraTenantService.refresh()).resolves.toBe(1);
+    expect(tebraTenantService.getTenant('entity3')).toMatchObject({ customerKey: 'key3', password: 'pass3', practiceIds: ['30'], source: 'database' });
+    expect(tebraTenantService.resolveTenantId({ practiceId: '30' })).toBe('entity3');
+
+    query.mockRejectedValueOnce(new Error('relation "tebra_tenants" does not exist'));
+    await expect(tebraTenantService.refresh()).resolves.toBe(0);
+    expect(tebraTenantService.hasTenant('entity3')).toBe(true);
+    expect(tebraTenantService.hasTenant('entity2')).toBe(true);
+  });
+
+  it('should store credentials encrypted and require them for a new tenant', async () => {
+    query.mockResolvedValueOnce({ rows: [] }); // no stored tenant
+    await expect(tebraTenantService.saveTenant('entity3', { customerKey: 'key3' }))
+      .rejects.toMatchObject({ status: 400, code: 'TEBRA_TENANT_INVALID' });
+
+    query
+      .mockResolvedValueOnce({ rows: [] }) // no stored tenant
+      .mockResolvedValueOnce({ rows: [] }) // upsert
+      .mockResolvedValueOnce({
+        rows: [{ tenant_id: 'entity3', customer_key_encrypted: 'enc:key3', user_encrypted: 'enc:user3', password_encrypted: 'enc:pass3', practice_ids: ['30'] }]
+      }); // refresh
+    const tenant = await tebraTenantService.saveTenant('entity3', { customerKey: 'key3', user: 'user3', password: 'pass3', practiceIds: [30] });
+
+    const [sql, params] = query.mock.calls[2];
+    expect(sql).toContain('ON CONFLICT (tenant_id) DO UPDATE');
+    expect(params).toEqual(['entity3', null, 'enc:key3', 'enc:user3', 'enc:pass3', null, null, ['30'], null]);
+    expect(tenant).toMatchObject({ id: 'entity3', practiceIds: ['30'], source: 'database', hasCredentials: true });
+  });
+
+  it('should refuse to store credentials without encryption or with an invalid id', async () => {
+    await expect(tebraTenantService.saveTenant('bad id!', {})).rejects.toMatchObject({ status: 400 });
+
+    encryptionService.enabled = false;
+    try {
+      await expect(tebraTenantService.saveTenant('entity3', { customerKey: 'k', user: 'u', password: 'p' }))
+        .rejects.toMatchObject({ status: 503, code: 'TEBRA_TENANT_ENCRYPTION_DISABLED' });
+    } finally {
+      encryptionService.enabled = true;
+    }
+    expect(query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,301 @@
+// Unit tests for tebraWriteQueue.js (durable Tebra write commands)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../jobQueue', () => ({ enabled: true, addJob: jest.fn() }));
+jest.mock('../tebraService', () => {
+  const service = { createPatient: jest.fn(), createAppointment: jest.fn(), createDocument: jest.fn() };
+  service.forTenant = jest.fn(() => service);
+  return service;
+});
+jest.mock('../tebraBillingService', () => ({ createCharge: jest.fn(), postPayment: jest.fn() }));
+jest.mock('../deadLetterQueue', () => ({ moveTebraWriteToDeadLetterQueue: jest.fn() }));
+jest.mock('../encounterService', () => ({ recordTebraWriteResult: jest.fn() }));
+
+const { query } = require('../../db/pg');
+const jobQueueService = require('../jobQueue');
+const tebraService = require('../tebraService');
+const tebraBillingService = require('../tebraBillingService');
+const deadLetterQueue = require('../deadLetterQueue');
+const encounterService = require('../encounterService');
+const tebraWriteQueue = require('../tebraWriteQueue');
+const tebraTenantService = require('../tebraTenantService');
+const { TebraTransientError, TebraValidationError } = require('../tebraErrors');
+
+const COMMAND_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+function commandRow(overrides = {}) {
+  return {
+    id: COMMAND_ID,
+    idempotency_key: 'shopify-order:1001:charge',
+    command: 'createEncounter',
+    tenant_id: 'default',
+    payload: { practiceId: '1', patientId: '42', items: [] },
+    source: 'shopify_order_paid',
+    status: 'pending',
+    attempts: 0,
+    max_attempts: 6,
+    next_attempt_at: '2030-01-01T00:00:00.000Z',
+    result: null,
+    created_at: '2030-01-01T00:00:00.000Z',
+    updated_at: '2030-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('TebraWriteQueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+  });
+
+  describe('enqueue', () => {
+    it('should record the command and add a processing job', async () => {
+      query.mockResolvedValueOnce({ rows: [commandRow()] });
+
+      const command = await tebraWriteQueue.enqueue('createEncounter', { practiceId: '1' }, { idempotencyKey: 'shopify-order:1001:charge' });
+
+      expect(query.mock.calls[0][0]).toContain('ON CONFLICT (idempotency_key) DO NOTHING');
+      expect(query.mock.calls[0][1][0]).toBe('shopify-order:1001:charge');
+      expect(query.mock.calls[0][1][6]).toBeNull();
+      expect(jobQueueService.addJob).toHaveBeenCalledWith('tebra-writes', 'processTebraWrite', { commandId: COMMAND_ID, tenantId: 'default' }, expect.objectContaining({ delay: 0, attempts: 1 }));
+      expect(command).toMatchObject({ id: COMMAND_ID, command: 'createEncounter', status: 'pending' });
+    });
+
+    it('should record the tenant owning the payload practice and run the command on it', async () => {
+      process.env.TEBRA_TENANTS_JSON = JSON.stringify({ entity2: { customerKey: 'k2', user: 'u2', password: 'p2', practiceIds: ['12'] } });
+      tebraTenantService.reload();
+      const row = commandRow({ tenant_id: 'entity2', payload: { practiceId: '12', patientId: '42', items: [] } });
+      query
+        .mockResolvedValueOnce({ rows: [row] }) // insert
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'processing', attempts: 1 }] }) // claim
+        .mockResolvedValueOnce({ rows: [] }); // mark succeeded
+      tebraBillingService.createCharge.mockResolvedValue({ chargeId: 'E-12' });
+
+      try {
+        const command = await tebraWriteQueue.enqueue('createEncounter', row.payload, { idempotencyKey: 'shopify-order:1002:charge' });
+
+        expect(query.mock.calls[0][1][5]).toBe('entity2');
+        expect(command.tenantId).toBe('entity2');
+        expect(jobQueueService.addJob).toHaveBeenCalledWith('tebra-writes', 'processTebraWrite', { commandId: COMMAND_ID, tenantId: 'entity2' }, expect.any(Object));
+
+        await tebraWriteQueue.processCommand(COMMAND_ID);
+        expect(tebraBillingService.createCharge).toHaveBeenCalledWith({ practiceId: '12', patientId: '42', items: [], tenantId: 'entity2' });
+      } finally {
+        delete process.env.TEBRA_TENANTS_JSON;
+        tebraTenantService.reload();
+      }
+    });
+
+    it('should dead-letter a command whose dependency is already dead-lettered', async () => {
+      const row = commandRow({ command: 'createPayments', depends_on: 'charge-command' });
+      query
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'dead', error_code: 'TEBRA_WRITE_DEPENDENCY_DEAD' }] });
+
+      const command = await tebraWriteQueue.enqueue('createPayments', {}, { idempotencyKey: 'shopify-order:1001:payment', dependsOn: 'charge-command' });
+
+      expect(query.mock.calls[1][1]).toEqual([COMMAND_ID, 'TEBRA_WRITE_DEPENDENCY_DEAD', expect.any(String), 'charge-command']);
+      expect(command).toMatchObject({ status: 'dead', errorCode: 'TEBRA_WRITE_DEPENDENCY_DEAD' });
+      expect(jobQueueService.addJob).not.toHaveBeenCalled();
+    });
+
+    it('should return the existing command for a repeated idempotency key', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] }) // insert skipped
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'succeeded', attempts: 1 })] });
+
+      const command = await tebraWriteQueue.enqueue('createEncounter', { practiceId: '1' }, { idempotencyKey: 'shopify-order:1001:charge' });
+
+      expect(command.status).toBe('succeeded');
+      expect(jobQueueService.addJob).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown commands and keys used by another command', async () => {
+      await expect(tebraWriteQueue.enqueue('deletePatient', {})).rejects.toMatchObject({ status: 400, code: 'TEBRA_WRITE_UNKNOWN_COMMAND' });
+
+      query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [commandRow()] });
+      await expect(tebraWriteQueue.enqueue('createPayments', {}, { idempotencyKey: 'shopify-order:1001:charge' }))
+        .rejects.toMatchObject({ status: 409, code: 'TEBRA_WRITE_KEY_CONFLICT' });
+    });
+  });
+
+  describe('execute', () => {
+    it('should return the stored result instead of writing twice', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [commandRow({ command: 'createAppointment', status: 'succeeded', result: { id: '555' } })] });
+
+      const result = await tebraWriteQueue.execute('createAppointment', {}, { idempotencyKey: 'slot-hold:1:appointment' });
+
+      expect(result).toEqual({ id: '555' });
+      expect(tebraService.createAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should run the write and keep a failed command replayable', async () => {
+      const row = commandRow({ command: 'createPatient', payload: { email: 'a@b.co' } });
+      query
+        .mockResolvedValueOnce({ rows: [row] }) // insert
+        .mockResolvedValueOnce({ rows: [{ ...row, status: 'processing', attempts: 1 }] }) // claim
+        .mockResolvedValueOnce({ rows: [] }); // mark failed
+      tebraService.createPatient.mockRejectedValue(new TebraValidationError('Tebra CreatePatient API call failed: missing DOB'));
+
+      await expect(tebraWriteQueue.execute('createPatient', { email: 'a@b.co' })).rejects.toMatchObject({ code: 'TEBRA_VALIDATION_ERROR' });
+
+      expect(query.mock.calls[0][1][7]).toBe('inline');
+      expect(tebraService.forTenant).toHaveBeenCalledWith('default');
+      expect(tebraService.createPatient).toHaveBeenCalledWith({ email: 'a@b.co' });
+      expect(query.mock.calls[2][0]).toContain("status = 'failed'");
+      expect(query.mock.calls[2][1]).toEqual([COMMAND_ID, 'TEBRA_VALIDATION_ERROR', 'Tebra CreatePatient API call failed: missing DOB']);
+    });
+  });
+
+  describe('processCommand', () => {
+    it('should store a summary of the Tebra result on success', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'processing', attempts: 1 })] })
+        .mockResolvedValueOnce({ rows: [] });
+      tebraBillingService.createCharge.mockResolvedValue({ chargeId: 'E-9', raw: { big: true } });
+
+      const outcome = await tebraWriteQueue.processCommand(COMMAND_ID);
+
+      expect(outcome).toEqual({ id: COMMAND_ID, status: 'succeeded', result: { chargeId: 'E-9' } });
+      expect(query.mock.calls[1][1]).toEqual([COMMAND_ID, JSON.stringify({ chargeId: 'E-9' })]);
+      expect(encounterService.recordTebraWriteResult).toHaveBeenCalledWith(COMMAND_ID, 'createEncounter', { chargeId: 'E-9', raw: { big: true } });
+    });
+
+    it('should not run a command before the one it depends on has succeeded', async () => {
+      query.mockResolvedValueOnce({ rows: [] }); // claim: charge not succeeded yet
+
+      await expect(tebraWriteQueue.processCommand(COMMAND_ID)).resolves.toEqual({ id: COMMAND_ID, status: 'skipped' });
+      expect(query.mock.calls[0][0]).toContain("d.id = tebra_write_commands.depends_on AND d.status = 'succeeded'");
+      expect(tebraBillingService.postPayment).not.toHaveBeenCalled();
+    });
+
+    it('should queue the commands waiting on a command once it succeeds', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'processing', attempts: 1 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-command', tenant_id: 'default' }] });
+      tebraBillingService.createCharge.mockResolvedValue({ chargeId: 'E-9' });
+
+      await tebraWriteQueue.processCommand(COMMAND_ID);
+
+      expect(query.mock.calls[1][0]).toContain('c.depends_on = s.id');
+      expect(jobQueueService.addJob).toHaveBeenCalledWith('tebra-writes', 'processTebraWrite', { commandId: 'payment-command', tenantId: 'default' }, expect.any(Object));
+    });
+
+    it('should reschedule retryable failures with backoff', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'processing', attempts: 2 })] })
+        .mockResolvedValueOnce({ rows: [] });
+      tebraBillingService.createCharge.mockRejectedValue(new TebraTransientError('Tebra CreateEncounter API call failed: Service Unavailable'));
+
+      const outcome = await tebraWriteQueue.processCommand(COMMAND_ID);
+
+      expect(outcome).toMatchObject({ status: 'pending', error: { code: 'TEBRA_UNAVAILABLE' } });
+      expect(query.mock.calls[1][0]).toContain("status = 'pending'");
+      expect(jobQueueService.addJob).toHaveBeenCalledWith('tebra-writes', 'processTebraWrite', { commandId: COMMAND_ID, tenantId: 'default' }, expect.objectContaining({ delay: 120000 }));
+      expect(deadLetterQueue.moveTebraWriteToDeadLetterQueue).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter rejected writes and exhausted retries', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'processing', attempts: 1 })] })
+        .mockResolvedValueOnce({ rows: [] }); // dependents
+      tebraBillingService.createCharge.mockRejectedValueOnce(new TebraValidationError('Tebra CreateEncounter API call failed: invalid CPT'));
+
+      await expect(tebraWriteQueue.processCommand(COMMAND_ID)).resolves.toMatchObject({ status: 'dead' });
+      expect(deadLetterQueue.moveTebraWriteToDeadLetterQueue).toHaveBeenLastCalledWith(COMMAND_ID, expect.stringContaining('Rejected by Tebra'), 'TEBRA_VALIDATION_ERROR');
+
+      query
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'processing', attempts: 6 })] })
+        .mockResolvedValueOnce({ rows: [] });
+      tebraBillingService.createCharge.mockRejectedValueOnce(new TebraTransientError('Tebra CreateEncounter API call failed: Service Unavailable'));
+
+      await expect(tebraWriteQueue.processCommand(COMMAND_ID)).resolves.toMatchObject({ status: 'dead' });
+      expect(deadLetterQueue.moveTebraWriteToDeadLetterQueue).toHaveBeenLastCalledWith(COMMAND_ID, expect.stringContaining('Max attempts (6) exceeded'), 'TEBRA_UNAVAILABLE');
+      expect(jobQueueService.addJob).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter the pending commands waiting on a dead-lettered command', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'processing', attempts: 1 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-command', command: 'createPayments' }] });
+      tebraBillingService.createCharge.mockRejectedValueOnce(new TebraValidationError('Tebra CreateEncounter API call failed: invalid CPT'));
+
+      await tebraWriteQueue.processCommand(COMMAND_ID);
+
+      const [sql, params] = query.mock.calls[1];
+      expect(sql).toContain('WITH RECURSIVE waiting');
+      expect(sql).toContain("SET status = 'dead'");
+      expect(params.slice(0, 2)).toEqual([COMMAND_ID, 'TEBRA_WRITE_DEPENDENCY_DEAD']);
+    });
+
+    it('should skip commands another worker already claimed', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(tebraWriteQueue.processCommand(COMMAND_ID)).resolves.toEqual({ id: COMMAND_ID, status: 'skipped' });
+      expect(tebraBillingService.createCharge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processDue', () => {
+    it('should return interrupted commands to pending before processing due ones', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: COMMAND_ID, command: 'createEncounter' }] }) // reap
+        .mockResolvedValueOnce({ rows: [{ id: COMMAND_ID }] }) // due
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'processing', attempts: 2 })] }) // claim
+        .mockResolvedValueOnce({ rows: [] }); // succeeded
+      tebraBillingService.createCharge.mockResolvedValue({ chargeId: 'C-1' });
+
+      const summary = await tebraWriteQueue.processDue();
+
+      const [reapSql, reapParams] = query.mock.calls[0];
+      expect(reapSql).toContain("SET status = CASE WHEN execution = 'inline' THEN 'failed' ELSE 'pending' END");
+      expect(reapSql).toContain("WHERE status = 'processing' AND last_attempt_at <");
+      expect(reapParams).toEqual([String(tebraWriteQueue.processingTimeoutMs)]);
+      expect(summary).toMatchObject({ processed: 1, succeeded: 1 });
+    });
+  });
+
+  describe('replay', () => {
+    it('should reset a dead command and queue it again', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [commandRow({ attempts: 0 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-command' }] }) // dependents dead-lettered with it
+        .mockResolvedValueOnce({ rows: [commandRow({ attempts: 0 })] });
+
+      const command = await tebraWriteQueue.replay(COMMAND_ID);
+
+      expect(query.mock.calls[0][0]).toContain("status IN ('failed', 'dead')");
+      expect(query.mock.calls[1][0]).toContain("SET status = 'pending'");
+      expect(query.mock.calls[1][1]).toEqual([COMMAND_ID, 'TEBRA_WRITE_DEPENDENCY_DEAD']);
+      expect(jobQueueService.addJob).toHaveBeenCalledTimes(1);
+      expect(command).toMatchObject({ id: COMMAND_ID, status: 'pending', attempts: 0 });
+    });
+
+    it('should replay a command stuck in processing past the timeout', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'pending', attempts: 0 })] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'pending', attempts: 0 })] });
+
+      await tebraWriteQueue.replay(COMMAND_ID);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("status = 'processing' AND last_attempt_at <");
+      expect(params).toEqual([COMMAND_ID, String(tebraWriteQueue.processingTimeoutMs)]);
+    });
+
+    it('should refuse to replay commands that are not failed or dead', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [commandRow({ status: 'succeeded' })] });
+
+      await expect(tebraWriteQueue.replay(COMMAND_ID)).rejects.toMatchObject({ status: 409, code: 'TEBRA_WRITE_NOT_REPLAYABLE' });
+
+      query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+      await expect(tebraWriteQueue.replay(COMMAND_ID)).rejects.toMatchObject({ status: 404, code: 'TEBRA_WRITE_NOT_FOUND' });
+    });
+  });
+});
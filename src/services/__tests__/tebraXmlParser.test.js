@@ -0,0 +1,183 @@
+// Unit tests for tebraXmlParser.js against recorded Tebra SOAP responses (fixtures/tebra)
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseXml,
+  parseTebraResponse,
+  emptyTebraResponse,
+  readSoapFault
+} = require('../tebraXmlParser');
+const normalizers = require('../tebraServiceNormalizers');
+const { errorFromResponseBody } = require('../tebraErrors');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'tebra', `${name}.xml`), 'utf8');
+}
+
+describe('tebraXmlParser', () => {
+  describe('parseXml', () => {
+    it('should drop namespace prefixes and decode entities, CDATA and xsi:nil', () => {
+      const doc = parseXml('<s:Envelope xmlns:s="x"><a:Name>A &amp; B</a:Name><Note><![CDATA[<b>&amp;</b>]]></Note><Empty i:nil="true"/></s:Envelope>').children[0];
+
+      expect(doc.name).toBe('Envelope');
+      expect(doc.attributes).toEqual({});
+      expect(doc.children.map(child => child.name)).toEqual(['Name', 'Note', 'Empty']);
+      expect(doc.children[0].text).toBe('A & B');
+      expect(doc.children[1].text).toBe('<b>&amp;</b>');
+      expect(doc.children[2].attributes.nil).toBe('true');
+    });
+
+    it('should throw on malformed XML', () => {
+      expect(() => parseXml('<Envelope><Body></Envelope>')).toThrow();
+      expect(() => parseTebraResponse('<GetPatientsResult><Patients></GetPatientsResult>', 'GetPatients')).toThrow();
+      expect(parseTebraResponse('Service Unavailable', 'GetPatients')).toBeNull();
+    });
+  });
+
+  describe('parseTebraResponse', () => {
+    it('should parse repeated patient records with nil fields skipped', () => {
+      const result = parseTebraResponse(fixture('GetPatients'), 'GetPatients').GetPatientsResult;
+
+      expect(result.TotalCount).toBe(2);
+      expect(result.Patients).toHaveLength(2);
+      expect(result.Patients[0]).toMatchObject({
+        ID: '5001',
+        LastName: "O'Brien",
+        PracticeName: 'SXRX Telehealth & Wellness',
+        StatementNote: 'Prefers <email> contact'
+      });
+      expect(result.Patients[0]).not.toHaveProperty('MobilePhone');
+      expect(result.ErrorResponse).toEqual({ IsError: false, ErrorMessage: null, StackTrace: null });
+      expect(result.SecurityResponse).toMatchObject({ Authenticated: true, CustomerKeyValid: true });
+      expect(result.rawXml).toMatch(/^\s*<ErrorResponse>[\s\S]*<\/Patients>\s*$/);
+
+      const normalized = normalizers.normalizeGetPatientsResponse(result);
+      expect(normalized.patients.map(patient => patient.id)).toEqual(['5001', '5002']);
+    });
+
+    it('should parse prefixed appointment lists and single appointments', () => {
+      const list = parseTebraResponse(fixture('GetAppointments'), 'GetAppointments').GetAppointmentsResult;
+      expect(list.Appointments.map(appointment => appointment.ID)).toEqual(['90001', '90002']);
+      expect(list.Appointments[0].Notes).toBe('Link: https://meet.example.com/a?b=1&c=2');
+
+      const single = parseTebraResponse(fixture('GetAppointment'), 'GetAppointment').GetAppointmentResult;
+      expect(single.Appointment).toMatchObject({ AppointmentID: '90001', ProviderID: '7', PatientID: '5001' });
+
+      const created = parseTebraResponse(fixture('CreateAppointment'), 'CreateAppointment').CreateAppointmentResult;
+      expect(created.Appointment).toMatchObject({ AppointmentId: '90003', AppointmentStatus: 'Scheduled' });
+
+      const deleted = parseTebraResponse(fixture('DeleteAppointment'), 'DeleteAppointment').DeleteAppointmentResult;
+      expect(deleted).toMatchObject({ Success: true, AppointmentId: '90002' });
+    });
+
+    it('should parse appointment reasons with nested id arrays and TotalCount', () => {
+      const result = parseTebraResponse(fixture('GetAppointmentReasons'), 'GetAppointmentReasons').GetAppointmentReasonsResult;
+
+      expect(result.TotalCount).toBe(12);
+      expect(result.AppointmentReasons[0]).toEqual({
+        AppointmentReasonID: '1',
+        Name: 'Consultation',
+        DefaultDurationMinutes: '30',
+        ProcedureCodeIds: ['11', '12']
+      });
+      expect(result.AppointmentReasons[1].Name).toBe('Follow-up');
+    });
+
+    it('should parse practices, providers and service locations', () => {
+      const practices = parseTebraResponse(fixture('GetPractices'), 'GetPractices');
+      expect(normalizers.normalizeGetPracticesResponse(practices).practices[0]).toMatchObject({ id: '1' });
+
+      const providers = parseTebraResponse(fixture('GetProviders'), 'GetProviders').GetProvidersResult;
+      expect(providers.Providers.map(provider => provider.FullName)).toEqual(['Dr. Jane Smith, MD', 'Dr. Raj Patel, DO']);
+
+      const locations = normalizers.normalizeGetServiceLocationsResponse(
+        parseTebraResponse(fixture('GetServiceLocations'), 'GetServiceLocations')
+      );
+      expect(locations).toEqual({
+        serviceLocations: [expect.objectContaining({ id: '3', name: 'Telehealth', placeOfServiceCode: '10', address: expect.objectContaining({ state: 'CA' }) })],
+        totalCount: 1
+      });
+    });
+
+    it('should parse procedure codes', () => {
+      const procedureCodes = normalizers.normalizeGetProcedureCodesResponse(
+        parseTebraResponse(fixture('GetProcedureCodes'), 'GetProcedureCodes')
+      );
+
+      expect(procedureCodes.totalCount).toBe(2);
+      expect(procedureCodes.procedureCodes[0]).toEqual({
+        id: '11',
+        procedureCode: '99213',
+        officialName: 'Office visit & evaluation',
+        officialDescription: 'Office or other outpatient visit, established patient',
+        active: 'true'
+      });
+      expect(procedureCodes.procedureCodes[1]).toMatchObject({ id: '12', officialDescription: undefined, active: 'false' });
+    });
+
+    it('should parse encounters with nested service lines', () => {
+      const created = parseTebraResponse(fixture('CreateEncounter'), 'CreateEncounter').CreateEncounterResult;
+      expect(created.EncounterID).toBe('12001');
+
+      const encounter = normalizers.normalizeGetEncounterDetailsResponse(
+        parseTebraResponse(fixture('GetEncounterDetails'), 'GetEncounterDetails')
+      );
+      expect(encounter).toMatchObject({ id: '12001', status: 'Draft', patientId: '5001', appointmentId: null });
+      expect(encounter.serviceLines).toEqual([
+        { procedureCode: '99213', diagnosisCode1: 'Z00.00', units: 1, unitCharge: 120 },
+        { procedureCode: '99000', diagnosisCode1: undefined, units: 2, unitCharge: 15.5 }
+      ]);
+    });
+
+    it('should parse charges, payments and transactions', () => {
+      const charges = normalizers.normalizeGetChargesResponse(parseTebraResponse(fixture('GetCharges'), 'GetCharges'));
+      expect(charges.totalCount).toBe(2);
+      expect(charges.charges[1]).toMatchObject({ id: '40002', units: 2, unitCharge: 15.5, totalCharges: 31 });
+
+      const created = parseTebraResponse(fixture('CreatePayments'), 'CreatePayments').CreatePaymentsResult;
+      expect(created.PaymentID).toBe('60001');
+
+      const payments = normalizers.normalizeGetPaymentsResponse(parseTebraResponse(fixture('GetPayments'), 'GetPayments'));
+      expect(payments.payments[0]).toMatchObject({ id: '60001', amountPaid: 151, referenceNumber: 'shopify-1001' });
+
+      const transactions = normalizers.normalizeGetTransactionsResponse(parseTebraResponse(fixture('GetTransactions'), 'GetTransactions'));
+      expect(transactions.transactions.map(transaction => [transaction.type, transaction.amount])).toEqual([['Charge', 120], ['Payment', -151]]);
+    });
+
+    it('should return null without a result element and offer an empty shape instead', () => {
+      expect(parseTebraResponse(fixture('Fault'), 'CreatePatient')).toBeNull();
+      expect(emptyTebraResponse('GetCharges')).toEqual({ GetChargesResult: { Charges: [], TotalCount: 0 } });
+    });
+  });
+
+  describe('errors', () => {
+    it('should read SOAP faults with WCF exception details', () => {
+      const fault = readSoapFault(fixture('Fault'));
+
+      expect(fault).toMatchObject({
+        faultCode: 'a:InternalServiceFault',
+        faultString: 'The server was unable to process the request due to an internal error.',
+        exception: {
+          type: 'System.ArgumentException',
+          message: 'PracticeID 999 was not found',
+          innerException: 'Object reference not set to an instance of an object.'
+        }
+      });
+      expect(errorFromResponseBody(fixture('Fault'), { method: 'CreatePatient' })).toMatchObject({ code: 'TEBRA_UNAVAILABLE', faultCode: 'a:InternalServiceFault' });
+    });
+
+    it('should classify IsError and failed authentication responses', () => {
+      const rejected = parseTebraResponse(fixture('CreateAppointment.error'), 'CreateAppointment').CreateAppointmentResult;
+      expect(rejected.ErrorResponse.IsError).toBe(true);
+      expect(rejected.ErrorResponse.ErrorMessage).toContain('<AppointmentReasonID> is required');
+      expect(errorFromResponseBody(fixture('CreateAppointment.error'), { method: 'CreateAppointment' })).toMatchObject({ code: 'TEBRA_VALIDATION_ERROR' });
+
+      expect(errorFromResponseBody(fixture('GetPatients.authFailed'), { method: 'GetPatients' })).toMatchObject({
+        code: 'TEBRA_AUTH_FAILED',
+        message: 'Tebra GetPatients API call failed: Tebra Authentication Error: Invalid user name and/or password.'
+      });
+      expect(errorFromResponseBody(fixture('GetPatients'), { method: 'GetPatients' })).toBeNull();
+    });
+  });
+});
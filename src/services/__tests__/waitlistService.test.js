@@ -0,0 +1,246 @@
+// Unit tests for waitlistService.js (waitlist offers for freed slots)
+
+jest.mock('../../db/pg');
+jest.mock('../../utils/logger');
+jest.mock('../slotHoldService', () => ({
+  createHold: jest.fn(),
+  getHold: jest.fn(),
+  releaseHold: jest.fn(),
+  convertHold: jest.fn()
+}));
+jest.mock('../availabilityService', () => ({
+  getScheduleSettings: jest.fn().mockResolvedValue({ timezone: 'America/Los_Angeles' }),
+  resolveTimezone: jest.fn(settings => settings.timezone)
+}));
+jest.mock('../appointmentEmailService', () => ({ sendWaitlistOffer: jest.fn() }));
+jest.mock('../patientIdentityService', () => ({ resolve: jest.fn() }));
+jest.mock('../../config/providerMapping', () => ({
+  CA: { state: 'CA', practiceId: '1', defaultProviderId: '7', appointmentReasonId: '100' },
+  NV: { state: 'NV', practiceId: '1', defaultProviderId: '7', appointmentReasonId: '100' },
+  TX: { state: 'TX', practiceId: '2', defaultProviderId: '9' }
+}));
+
+const { query } = require('../../db/pg');
+const slotHoldService = require('../slotHoldService');
+const appointmentEmailService = require('../appointmentEmailService');
+const patientIdentityService = require('../patientIdentityService');
+const waitlistService = require('../waitlistService');
+
+const TOKEN = 'a'.repeat(64);
+const HOLD_ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+function entryRow(overrides = {}) {
+  return {
+    id: 5,
+    state: 'CA',
+    practice_id: '1',
+    provider_id: null,
+    appointment_reason_id: null,
+    from_date: '2030-01-07',
+    to_date: '2030-01-10',
+    shopify_customer_id: '42',
+    email: 'pat@example.com',
+    first_name: 'Pat',
+    last_name: 'Lee',
+    tebra_patient_id: null,
+    status: 'waiting',
+    ...overrides
+  };
+}
+
+function offerRow(overrides = {}) {
+  return {
+    id: 11,
+    waitlist_id: 5,
+    token: TOKEN,
+    state: 'CA',
+    practice_id: '1',
+    provider_id: '7',
+    appointment_reason_id: '100',
+    start_time: '2030-01-07T17:00:00.000Z',
+    end_time: '2030-01-07T17:30:00.000Z',
+    slot_hold_id: HOLD_ID,
+    status: 'offered',
+    expires_at: '2030-01-07T16:00:00.000Z',
+    ...overrides
+  };
+}
+
+const freedSlot = {
+  state: 'CA',
+  providerId: '7',
+  appointmentReasonId: '100',
+  startTime: '2030-01-07T17:00:00.000Z',
+  endTime: '2030-01-07T17:30:00.000Z'
+};
+
+describe('WaitlistService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    slotHoldService.createHold.mockResolvedValue({ id: HOLD_ID, expiresAt: '2030-01-07T16:00:00.000Z' });
+  });
+
+  describe('join', () => {
+    it('should add an entry for the state practice', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] }) // duplicate check
+        .mockResolvedValueOnce({ rows: [entryRow()] });
+
+      const entry = await waitlistService.join({
+        state: 'CA', fromDate: '2030-01-07', toDate: '2030-01-10', email: 'Pat@Example.com', shopifyCustomerId: '42'
+      });
+
+      const [sql, params] = query.mock.calls[1];
+      expect(sql).toContain('INSERT INTO appointment_waitlist');
+      expect(params.slice(0, 3)).toEqual(['CA', '1', null]);
+      expect(params[7]).toBe('pat@example.com');
+      expect(params[11]).toBe('default');
+      expect(entry).toMatchObject({ id: 5, status: 'waiting', fromDate: '2030-01-07', toDate: '2030-01-10' });
+    });
+
+    it('should reject a second entry overlapping the same window', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+      await expect(waitlistService.join({ state: 'CA', fromDate: '2030-01-08', email: 'pat@example.com' }))
+        .rejects.toMatchObject({ status: 409, code: 'ALREADY_WAITLISTED' });
+    });
+
+    it('should reject unsupported states and inverted windows', async () => {
+      await expect(waitlistService.join({ state: 'ZZ', fromDate: '2030-01-07', email: 'pat@example.com' }))
+        .rejects.toMatchObject({ status: 400, code: 'UNSUPPORTED_STATE' });
+      await expect(waitlistService.join({ state: 'CA', fromDate: '2030-01-10', toDate: '2030-01-07', email: 'pat@example.com' }))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_DATE_RANGE' });
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveStates', () => {
+    it('should fall back to the states the provider serves', () => {
+      expect(waitlistService.resolveStates(null, '7')).toEqual(['CA', 'NV']);
+      expect(waitlistService.resolveStates('tx', '9')).toEqual(['TX']);
+    });
+  });
+
+  describe('offerFreedSlot', () => {
+    it('should hold the slot for the first waiting entry and email a claim link', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [entryRow()] }) // next eligible entry
+        .mockResolvedValueOnce({ rows: [entryRow({ status: 'offered' })] }) // claim entry
+        .mockResolvedValueOnce({ rows: [offerRow()] }); // insert offer
+
+      const offer = await waitlistService.offerFreedSlot(freedSlot);
+
+      const [selectSql, selectParams] = query.mock.calls[0];
+      expect(selectSql).toContain('ORDER BY w.created_at');
+      expect(selectParams).toEqual([['CA', 'NV'], '7', '100', '2030-01-07', '2030-01-07T17:00:00.000Z']);
+      expect(slotHoldService.createHold).toHaveBeenCalledWith(
+        expect.objectContaining({ state: 'CA', providerId: '7', startTime: '2030-01-07T17:00:00.000Z', cartToken: 'waitlist:5' }),
+        expect.objectContaining({ verifyAvailability: false, endTime: '2030-01-07T17:30:00.000Z' })
+      );
+      expect(query.mock.calls[2][1][8]).toBe(HOLD_ID);
+      expect(appointmentEmailService.sendWaitlistOffer).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'pat@example.com',
+        patientName: 'Pat Lee',
+        claimUrl: expect.stringMatching(/\/pages\/waitlist-claim\?token=[0-9a-f]{64}$/)
+      }));
+      expect(offer).toMatchObject({ id: 11, waitlistId: 5, status: 'offered' });
+    });
+
+    it('should use the provider-local date to match waitlist windows', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      // 02:00 UTC on Jan 8 is still Jan 7 in Los Angeles
+      await waitlistService.offerFreedSlot({ ...freedSlot, startTime: '2030-01-08T02:00:00.000Z', endTime: '2030-01-08T02:30:00.000Z' });
+
+      expect(query.mock.calls[0][1][3]).toBe('2030-01-07');
+    });
+
+    it('should return null when nobody is waiting', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(waitlistService.offerFreedSlot(freedSlot)).resolves.toBeNull();
+      expect(slotHoldService.createHold).not.toHaveBeenCalled();
+    });
+
+    it('should not offer slots that have already started', async () => {
+      await expect(waitlistService.offerFreedSlot({ ...freedSlot, startTime: '2020-01-07T17:00:00.000Z', endTime: '2020-01-07T17:30:00.000Z' }))
+        .resolves.toBeNull();
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should put the entry back in line when the slot was taken', async () => {
+      slotHoldService.createHold.mockRejectedValueOnce(Object.assign(new Error('taken'), { status: 409, code: 'SLOT_UNAVAILABLE' }));
+      query
+        .mockResolvedValueOnce({ rows: [entryRow()] })
+        .mockResolvedValueOnce({ rows: [entryRow({ status: 'offered' })] })
+        .mockResolvedValueOnce({ rows: [] }); // revert entry
+
+      await expect(waitlistService.offerFreedSlot(freedSlot)).resolves.toBeNull();
+      expect(query.mock.calls[2][0]).toContain("SET status = 'waiting'");
+      expect(appointmentEmailService.sendWaitlistOffer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claimOffer', () => {
+    it('should book the held slot for the waitlisted patient', async () => {
+      patientIdentityService.resolve.mockResolvedValue({ patientId: 'P-1' });
+      slotHoldService.getHold.mockResolvedValue({ id: HOLD_ID, status: 'held' });
+      slotHoldService.convertHold.mockResolvedValue({ converted: true, tebraAppointmentId: 'A-9' });
+      query
+        .mockResolvedValueOnce({ rows: [offerRow({ expires_at: '2030-01-07T16:00:00.000Z' })] }) // by token
+        .mockResolvedValueOnce({ rows: [offerRow({ status: 'claiming' })] }) // claim
+        .mockResolvedValueOnce({ rows: [entryRow({ status: 'offered', tenant_id: 'entity2' })] }) // entry
+        .mockResolvedValueOnce({ rows: [offerRow({ status: 'claimed', tebra_appointment_id: 'A-9' })] })
+        .mockResolvedValueOnce({ rows: [] }); // entry booked
+
+      const result = await waitlistService.claimOffer(TOKEN);
+
+      // The patient is looked up in the Tebra account of the entry's practice
+      expect(patientIdentityService.resolve).toHaveBeenCalledWith(
+        expect.objectContaining({ shopifyCustomerId: '42', email: 'pat@example.com' }),
+        { tenantId: 'entity2' }
+      );
+      expect(slotHoldService.convertHold).toHaveBeenCalledWith(
+        { id: HOLD_ID, status: 'held' },
+        expect.objectContaining({ tebraPatientId: 'P-1' })
+      );
+      expect(query.mock.calls[4][0]).toContain("status = 'booked'");
+      expect(result).toMatchObject({ tebraAppointmentId: 'A-9', offer: { status: 'claimed' } });
+    });
+
+    it('should refuse an expired offer without booking', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [offerRow()] })
+        .mockResolvedValueOnce({ rows: [] }); // claim fails (expired)
+
+      await expect(waitlistService.claimOffer(TOKEN)).rejects.toMatchObject({ status: 409, code: 'OFFER_NOT_ACTIVE' });
+      expect(slotHoldService.convertHold).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown tokens', async () => {
+      await expect(waitlistService.claimOffer('not-a-token')).rejects.toMatchObject({ status: 404, code: 'OFFER_NOT_FOUND' });
+    });
+  });
+
+  describe('expireOffers', () => {
+    it('should roll unclaimed offers to the next patient', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [offerRow({ status: 'expired' })] }) // expire offers
+        .mockResolvedValueOnce({ rows: [] }) // entry back to waiting
+        .mockResolvedValueOnce({ rows: [entryRow({ id: 6, email: 'next@example.com' })] }) // next entry
+        .mockResolvedValueOnce({ rows: [entryRow({ id: 6, email: 'next@example.com', status: 'offered' })] })
+        .mockResolvedValueOnce({ rows: [offerRow({ id: 12, waitlist_id: 6 })] })
+        .mockResolvedValueOnce({ rowCount: 0 }); // expire past windows
+
+      const result = await waitlistService.expireOffers();
+
+      expect(slotHoldService.releaseHold).toHaveBeenCalledWith(HOLD_ID, { cartToken: 'waitlist:5' });
+      expect(slotHoldService.createHold).toHaveBeenCalledWith(
+        expect.objectContaining({ cartToken: 'waitlist:6' }),
+        expect.any(Object)
+      );
+      expect(appointmentEmailService.sendWaitlistOffer).toHaveBeenCalledWith(expect.objectContaining({ to: 'next@example.com' }));
+      expect(result).toEqual({ offersExpired: 1, entriesExpired: 0 });
+    });
+  });
+});
@@ -337,9 +337,85 @@ async function sendBookingRequestReceived({ to, patientName, appointment }) {
   }
 }
 
+/**
+ * Send a waitlist offer: a freed slot held for the patient until the claim link expires
+ * @param {Object} params
+ * @param {string} params.to - Recipient email address
+ * @param {string} params.patientName - Patient name
+ * @param {Object} params.offer - Offer details (id, startTime, endTime, expiresAt, timezone)
+ * @param {string} params.claimUrl - Link the patient follows to claim the slot
+ */
+async function sendWaitlistOffer({ to, patientName, offer, claimUrl }) {
+  if (!process.env.SENDGRID_API_KEY) {
+    logger.warn('[APPOINTMENT EMAIL] SendGrid not configured, skipping email');
+    return { success: false, reason: 'SendGrid not configured' };
+  }
+
+  try {
+    const timeZone = offer.timezone || undefined;
+    const startDate = new Date(offer.startTime);
+    const endDate = new Date(offer.endTime);
+    const expiresDate = new Date(offer.expiresAt);
+    const formattedDate = startDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone });
+    const formattedStartTime = startDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone });
+    const formattedEndTime = endDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone, timeZoneName: 'short' });
+    const formattedExpiry = expiresDate.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true, timeZone, timeZoneName: 'short' });
+
+    const emailContent = `
+      <!DOCTYPE html>
+      <html>
+      <head><meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background-color: #f9f9f9; }
+          .appointment-details { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4CAF50; }
+          .detail-row { margin: 10px 0; }
+          .label { font-weight: bold; color: #666; }
+          .button { display: inline-block; padding: 12px 24px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 4px; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header"><h1>An Appointment Opened Up</h1></div>
+          <div class="content">
+            <p>Dear ${patientName || 'Patient'},</p>
+            <p>A slot matching your waitlist request is now available and is being held for you.</p>
+            <div class="appointment-details">
+              <div class="detail-row"><span class="label">Date:</span> ${formattedDate}</div>
+              <div class="detail-row"><span class="label">Time:</span> ${formattedStartTime} – ${formattedEndTime}</div>
+            </div>
+            <p style="text-align: center;"><a class="button" href="${claimUrl}">Claim this appointment</a></p>
+            <p>This offer expires at <strong>${formattedExpiry}</strong>. If you do not claim it by then, it will be offered to the next patient on the waitlist and you will stay on the waitlist.</p>
+          </div>
+          <div class="footer"><p>This is an automated message. Please do not reply to this email.</p></div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const msg = {
+      to,
+      from: process.env.SENDGRID_FROM || 'noreply@sxrx.com',
+      subject: `Appointment Available - ${formattedDate} at ${formattedStartTime}`,
+      html: emailContent
+    };
+
+    await sgMail.send(msg);
+    logger.info('[APPOINTMENT EMAIL] Waitlist offer email sent', { to, offerId: offer.id });
+    return { success: true };
+  } catch (error) {
+    logger.error('[APPOINTMENT EMAIL] Failed to send waitlist offer email', { to, offerId: offer.id, error: error.message });
+    throw error;
+  }
+}
+
 module.exports = {
   sendAppointmentConfirmation,
   sendBookingRequestReceived,
+  sendWaitlistOffer,
   generateGoogleCalendarLink,
   generateOutlookCalendarLink,
   generateICalContent
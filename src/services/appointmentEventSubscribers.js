@@ -0,0 +1,39 @@
+// backend/src/services/appointmentEventSubscribers.js
+// Built-in subscribers to appointment change events (appointmentEvents):
+// - availability cache: a created, moved, cancelled or re-activated appointment changes the provider's free slots
+// - reminders: a rescheduled appointment gets its reminders again for the new time
+// - metrics: appointment_changes_total{event}
+
+const appointmentEvents = require('./appointmentEvents');
+const { APPOINTMENT_EVENTS } = require('./appointmentEvents');
+
+let unsubscribers = [];
+
+/**
+ * Attach the built-in subscribers (idempotent)
+ */
+function register() {
+  if (unsubscribers.length) return;
+
+  for (const event of Object.values(APPOINTMENT_EVENTS)) {
+    unsubscribers.push(appointmentEvents.subscribe(event, async ({ appointment }) => {
+      const metricsService = require('./metricsService');
+      metricsService.recordBusinessMetric('appointment_changed', event.replace(/^appointment\./, ''));
+
+      const cacheService = require('./cacheService');
+      await cacheService.invalidateAvailability(null, appointment.providerId || null);
+    }));
+  }
+
+  unsubscribers.push(appointmentEvents.subscribe(APPOINTMENT_EVENTS.RESCHEDULED, async ({ appointment }) => {
+    const appointmentStatusService = require('./appointmentStatusService');
+    await appointmentStatusService.resetReminders(appointment.id, appointment.tenantId);
+  }));
+}
+
+function unregister() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+}
+
+module.exports = { register, unregister };
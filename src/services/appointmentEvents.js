@@ -0,0 +1,83 @@
+// backend/src/services/appointmentEvents.js
+// In-process appointment change events. appointmentStatusService publishes them whenever an
+// appointment enters the local store or changes there, whatever noticed the change: the Tebra change
+// feed (tebraAppointmentFeed), the range sync, write-through after booking/cancelling here, or staff.
+// Payload: { event, appointment, previous, source, tenantId } (appointments as rowToAppointment).
+// Subscribers are wired in appointmentEventSubscribers.
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+const APPOINTMENT_EVENTS = {
+  CREATED: 'appointment.created',
+  RESCHEDULED: 'appointment.rescheduled',
+  CANCELLED: 'appointment.cancelled',
+  STATUS_CHANGED: 'appointment.status_changed'
+};
+
+function sameTime(a, b) {
+  return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+}
+
+class AppointmentEvents extends EventEmitter {
+  /**
+   * Listen to an event. Handler errors (sync or async) are logged and never reach the publisher.
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(event, handler) {
+    const listener = payload => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch(error => {
+          logger.error('[APPOINTMENT_EVENTS] Subscriber failed', {
+            event,
+            appointmentId: payload?.appointment?.id,
+            error: error.message
+          });
+        });
+    };
+    this.on(event, listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Events describing the change from one local appointment record to the next
+   * @param {Object|null} previous - Record before the change (null when new)
+   * @param {Object} current - Record after the change
+   * @returns {string[]}
+   */
+  changesBetween(previous, current) {
+    if (!current) return [];
+    if (!previous) return [APPOINTMENT_EVENTS.CREATED];
+
+    const events = [];
+    if (previous.status !== current.status) {
+      events.push(current.status === 'cancelled' ? APPOINTMENT_EVENTS.CANCELLED : APPOINTMENT_EVENTS.STATUS_CHANGED);
+    }
+    const moved = !sameTime(previous.startTime, current.startTime) || !sameTime(previous.endTime, current.endTime);
+    if (moved && current.status !== 'cancelled' && previous.startTime) {
+      events.push(APPOINTMENT_EVENTS.RESCHEDULED);
+    }
+    return events;
+  }
+
+  /**
+   * Emit the events for a change
+   * @param {Object|null} previous
+   * @param {Object} current
+   * @param {Object} options - { source, tenantId }
+   * @returns {string[]} Emitted events
+   */
+  publish(previous, current, { source = null, tenantId = null } = {}) {
+    const events = this.changesBetween(previous, current);
+    for (const event of events) {
+      this.emit(event, { event, appointment: current, previous: previous || null, source, tenantId });
+    }
+    return events;
+  }
+}
+
+const appointmentEvents = new AppointmentEvents();
+
+module.exports = appointmentEvents;
+module.exports.APPOINTMENT_EVENTS = APPOINTMENT_EVENTS;
@@ -0,0 +1,447 @@
+// backend/src/services/appointmentPolicyService.js
+// Cancellation and rescheduling policies per appointment reason: notice windows,
+// reschedule limits and late cancellation / late reschedule / no-show fees.
+// Policies are stored in PostgreSQL; every cancellation, reschedule and no-show is
+// recorded in appointment_policy_events together with the fee it triggered.
+
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+
+// Policy fields (camelCase -> column)
+const NUMBER_FIELDS = {
+  cancelNoticeHours: 'cancel_notice_hours',
+  rescheduleNoticeHours: 'reschedule_notice_hours',
+  maxReschedules: 'max_reschedules',
+  lateCancelFeeCents: 'late_cancel_fee_cents',
+  lateRescheduleFeeCents: 'late_reschedule_fee_cents',
+  noShowFeeCents: 'no_show_fee_cents'
+};
+
+const LATE_ACTIONS = ['fee', 'block'];
+const FEE_METHODS = ['none', 'stripe', 'tebra'];
+const DEFAULT_FEE_CPT_CODE = process.env.APPOINTMENT_FEE_CPT_CODE || '99199';
+
+const ACTION_LABELS = {
+  cancel: 'cancellation',
+  reschedule: 'reschedule',
+  no_show: 'no-show'
+};
+
+function policyError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+function formatHours(hours) {
+  return hours === 1 ? '1 hour' : `${hours} hours`;
+}
+
+// Tebra appointments come back in several shapes (raw SOAP, normalized, GetAppointment wrapper)
+function getAppointmentFields(appointment = {}) {
+  const apt = appointment.appointment || appointment.Appointment || appointment;
+  return {
+    startTime: apt.startDateTime || apt.startTime || apt.StartTime || null,
+    appointmentReasonId: apt.appointmentReasonId || apt.AppointmentReasonID || apt.AppointmentReasonId || null,
+    practiceId: apt.practiceId || apt.practice?.id || apt.PracticeID || apt.PracticeId || null,
+    patientId: apt.patientId || apt.PatientID || apt.PatientId || apt.patient?.id || null,
+    email: apt.patient?.email || apt.patientEmail || apt.PatientEmail || null
+  };
+}
+
+class AppointmentPolicyService {
+  constructor() {
+    this.policies = [];
+    this.loaded = false;
+  }
+
+  rowToPolicy(row) {
+    const policy = {
+      id: row.id,
+      appointmentReasonId: row.appointment_reason_id || null,
+      practiceId: row.practice_id || null,
+      label: row.label || null,
+      lateAction: row.late_action || 'fee',
+      feeMethod: row.fee_method || 'none',
+      feeCptCode: row.fee_cpt_code || null,
+      updatedAt: row.updated_at
+    };
+    for (const [field, column] of Object.entries(NUMBER_FIELDS)) {
+      policy[field] = row[column] === null || row[column] === undefined ? null : Number(row[column]);
+    }
+    return policy;
+  }
+
+  async load() {
+    try {
+      const { rows } = await query('SELECT * FROM appointment_policies ORDER BY id');
+      this.policies = rows.map(row => this.rowToPolicy(row));
+      logger.info('[APPOINTMENT_POLICY] Policies loaded from database', { count: this.policies.length });
+    } catch (error) {
+      logger.error('[APPOINTMENT_POLICY] Failed to load policies from database:', error);
+      this.policies = [];
+    }
+    this.loaded = true;
+    return this.policies;
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  async list(practiceId = null) {
+    await this.ensureLoaded();
+    if (!practiceId) return [...this.policies];
+    return this.policies.filter(policy => !policy.practiceId || String(policy.practiceId) === String(practiceId));
+  }
+
+  /**
+   * Find the most specific policy: reason+practice, reason, practice, then the default policy
+   * @param {string} appointmentReasonId
+   * @param {string} practiceId
+   * @returns {Promise<Object|null>}
+   */
+  async getPolicy(appointmentReasonId, practiceId = null) {
+    await this.ensureLoaded();
+    const reason = appointmentReasonId ? String(appointmentReasonId) : null;
+    const practice = practiceId ? String(practiceId) : null;
+    const find = (r, p) => this.policies.find(policy => policy.appointmentReasonId === r && policy.practiceId === p);
+    return (reason && practice && find(reason, practice))
+      || (reason && find(reason, null))
+      || (practice && find(null, practice))
+      || find(null, null)
+      || null;
+  }
+
+  async upsert(appointmentReasonId, practiceId, fields = {}, label = null) {
+    const lateAction = fields.lateAction || 'fee';
+    const feeMethod = fields.feeMethod || 'none';
+    if (!LATE_ACTIONS.includes(lateAction)) {
+      throw policyError(`lateAction must be one of ${LATE_ACTIONS.join(', ')}`, 400, 'INVALID_POLICY');
+    }
+    if (!FEE_METHODS.includes(feeMethod)) {
+      throw policyError(`feeMethod must be one of ${FEE_METHODS.join(', ')}`, 400, 'INVALID_POLICY');
+    }
+    await this.ensureLoaded();
+
+    const values = Object.keys(NUMBER_FIELDS).map(field => {
+      const value = fields[field];
+      return value === undefined || value === null ? null : parseInt(value, 10);
+    });
+
+    const { rows } = await query(
+      `INSERT INTO appointment_policies (appointment_reason_id, practice_id, label, cancel_notice_hours, reschedule_notice_hours, max_reschedules, late_cancel_fee_cents, late_reschedule_fee_cents, no_show_fee_cents, late_action, fee_method, fee_cpt_code, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+       ON CONFLICT ((COALESCE(appointment_reason_id, '')), (COALESCE(practice_id, ''))) DO UPDATE SET
+         label = EXCLUDED.label,
+         cancel_notice_hours = EXCLUDED.cancel_notice_hours,
+         reschedule_notice_hours = EXCLUDED.reschedule_notice_hours,
+         max_reschedules = EXCLUDED.max_reschedules,
+         late_cancel_fee_cents = EXCLUDED.late_cancel_fee_cents,
+         late_reschedule_fee_cents = EXCLUDED.late_reschedule_fee_cents,
+         no_show_fee_cents = EXCLUDED.no_show_fee_cents,
+         late_action = EXCLUDED.late_action,
+         fee_method = EXCLUDED.fee_method,
+         fee_cpt_code = EXCLUDED.fee_cpt_code,
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        appointmentReasonId ? String(appointmentReasonId) : null,
+        practiceId ? String(practiceId) : null,
+        label,
+        ...values,
+        lateAction,
+        feeMethod,
+        fields.feeCptCode || null
+      ]
+    );
+
+    const policy = this.rowToPolicy(rows[0]);
+    this.policies = this.policies.filter(p => p.id !== policy.id).concat(policy);
+    logger.info('[APPOINTMENT_POLICY] Policy saved', { id: policy.id, appointmentReasonId: policy.appointmentReasonId, practiceId: policy.practiceId });
+    return policy;
+  }
+
+  async delete(id) {
+    await this.ensureLoaded();
+    const { rowCount } = await query('DELETE FROM appointment_policies WHERE id = $1', [id]);
+    this.policies = this.policies.filter(policy => String(policy.id) !== String(id));
+    return rowCount > 0;
+  }
+
+  /**
+   * Reschedule chain of an appointment: rescheduling creates a new Tebra appointment,
+   * so the count follows new_appointment_id back to the first appointment.
+   * @returns {Promise<Object>} { rootAppointmentId, reschedules }
+   */
+  async getRescheduleHistory(appointmentId) {
+    const { rows } = await query(
+      `WITH root AS (
+         SELECT COALESCE(
+           (SELECT root_appointment_id FROM appointment_policy_events
+            WHERE new_appointment_id = $1 AND action = 'reschedule' ORDER BY id DESC LIMIT 1),
+           $1
+         ) AS id
+       )
+       SELECT root.id AS root_appointment_id,
+         (SELECT COUNT(*) FROM appointment_policy_events e WHERE e.root_appointment_id = root.id AND e.action = 'reschedule')::int AS reschedules
+       FROM root`,
+      [String(appointmentId)]
+    );
+    return {
+      rootAppointmentId: rows[0]?.root_appointment_id || String(appointmentId),
+      reschedules: rows[0]?.reschedules || 0
+    };
+  }
+
+  /**
+   * Decide whether the patient may cancel or reschedule an appointment now
+   * Without a matching policy every change is allowed free of charge.
+   * @param {Object} options
+   * @param {string} options.action - 'cancel' or 'reschedule'
+   * @param {Object} options.appointment - Tebra appointment
+   * @param {string} options.appointmentId
+   * @param {Date} options.now
+   * @returns {Promise<Object>} Decision: { action, allowed, code, message, late, deadline, fee, ... }
+   */
+  async evaluate({ action, appointment, appointmentId, now = new Date() }) {
+    if (action !== 'cancel' && action !== 'reschedule') {
+      throw policyError('action must be cancel or reschedule', 400, 'INVALID_ACTION');
+    }
+    const fields = getAppointmentFields(appointment);
+    const policy = await this.getPolicy(fields.appointmentReasonId, fields.practiceId);
+    const noticeHours = (action === 'cancel' ? policy?.cancelNoticeHours : policy?.rescheduleNoticeHours) || 0;
+    const start = fields.startTime ? new Date(fields.startTime) : null;
+    const hasStart = start && !isNaN(start.getTime());
+    const deadline = hasStart ? new Date(start.getTime() - noticeHours * 60 * 60 * 1000) : null;
+
+    const decision = {
+      action,
+      appointmentId: appointmentId ? String(appointmentId) : null,
+      allowed: true,
+      code: 'ALLOWED',
+      message: null,
+      late: false,
+      startTime: hasStart ? start.toISOString() : null,
+      deadline: deadline ? deadline.toISOString() : null,
+      hoursUntilStart: hasStart ? Math.round((start.getTime() - now.getTime()) / 36e5 * 10) / 10 : null,
+      noticeHours,
+      reschedulesUsed: null,
+      maxReschedules: policy?.maxReschedules ?? null,
+      fee: null,
+      policyId: policy?.id || null
+    };
+    const label = ACTION_LABELS[action];
+
+    if (hasStart && start.getTime() <= now.getTime()) {
+      return {
+        ...decision,
+        allowed: false,
+        code: 'APPOINTMENT_STARTED',
+        message: 'This appointment has already started and can no longer be changed online. Please contact the clinic.'
+      };
+    }
+
+    if (action === 'reschedule' && appointmentId) {
+      const history = await this.getRescheduleHistory(appointmentId);
+      decision.reschedulesUsed = history.reschedules;
+      if (decision.maxReschedules !== null && history.reschedules >= decision.maxReschedules) {
+        return {
+          ...decision,
+          allowed: false,
+          code: 'RESCHEDULE_LIMIT_REACHED',
+          message: decision.maxReschedules === 0
+            ? 'This appointment cannot be rescheduled online. Please contact the clinic.'
+            : `This appointment has already been rescheduled ${history.reschedules} time(s), the maximum allowed. Please contact the clinic.`
+        };
+      }
+    }
+
+    decision.late = !!(hasStart && noticeHours > 0 && now.getTime() > deadline.getTime());
+    if (!decision.late) {
+      return decision;
+    }
+
+    if (policy.lateAction === 'block') {
+      return {
+        ...decision,
+        allowed: false,
+        code: action === 'cancel' ? 'LATE_CANCELLATION_NOT_ALLOWED' : 'LATE_RESCHEDULE_NOT_ALLOWED',
+        message: `Appointments cannot be ${action === 'cancel' ? 'cancelled' : 'rescheduled'} online less than ${formatHours(noticeHours)} before the start time. Please contact the clinic.`
+      };
+    }
+
+    const feeCents = (action === 'cancel' ? policy.lateCancelFeeCents : policy.lateRescheduleFeeCents) || 0;
+    if (feeCents > 0 && policy.feeMethod !== 'none') {
+      decision.code = 'LATE_FEE';
+      decision.fee = { amountCents: feeCents, currency: 'usd', method: policy.feeMethod };
+      decision.message = `A ${formatCents(feeCents)} late ${label} fee applies to changes made less than ${formatHours(noticeHours)} before the appointment.`;
+    }
+    return decision;
+  }
+
+  /**
+   * Record a completed cancellation, reschedule or no-show and charge its fee
+   * Never throws: the appointment change already happened in Tebra, so fee failures
+   * are stored on the event (fee_status 'failed') for follow-up.
+   * @param {Object} options
+   * @param {Object} options.decision - From evaluate() (or decideNoShow())
+   * @param {Object} options.appointment - Tebra appointment
+   * @param {string} options.newAppointmentId - Replacement appointment of a reschedule
+   * @param {Object} options.patient - { tebraPatientId, email, shopifyCustomerId }
+   * @param {Object} options.req - Express request (used for Stripe redirect URLs)
+   * @returns {Promise<Object|null>} { eventId, feeStatus, feePaymentUrl, tebraChargeId, error }
+   */
+  async recordChange({ decision, appointment, newAppointmentId = null, patient = {}, req = null }) {
+    try {
+      const fields = getAppointmentFields(appointment);
+      const appointmentId = String(decision.appointmentId);
+      const rootAppointmentId = decision.action === 'reschedule'
+        ? (await this.getRescheduleHistory(appointmentId)).rootAppointmentId
+        : appointmentId;
+      const fee = decision.fee;
+      const tebraPatientId = patient.tebraPatientId || fields.patientId || null;
+      const email = patient.email || fields.email || null;
+
+      const { rows } = await query(
+        `INSERT INTO appointment_policy_events (appointment_id, root_appointment_id, new_appointment_id, action, late, policy_id, tebra_patient_id, shopify_customer_id, email, fee_cents, fee_method, fee_status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING id`,
+        [
+          appointmentId,
+          rootAppointmentId,
+          newAppointmentId ? String(newAppointmentId) : null,
+          decision.action,
+          !!decision.late,
+          decision.policyId,
+          tebraPatientId ? String(tebraPatientId) : null,
+          patient.shopifyCustomerId ? String(patient.shopifyCustomerId) : null,
+          email,
+          fee ? fee.amountCents : 0,
+          fee ? fee.method : 'none',
+          fee ? 'pending' : 'none'
+        ]
+      );
+      const eventId = rows[0].id;
+      if (!fee) {
+        return { eventId, feeStatus: 'none' };
+      }
+      return await this.chargeFee(eventId, { decision, fields, tebraPatientId, email, req });
+    } catch (error) {
+      logger.error('[APPOINTMENT_POLICY] Failed to record appointment change', {
+        appointmentId: decision?.appointmentId,
+        action: decision?.action,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async chargeFee(eventId, { decision, fields, tebraPatientId, email, req }) {
+    const { fee } = decision;
+    const description = `Late ${ACTION_LABELS[decision.action]} fee for the appointment on ${decision.startTime || 'N/A'}`;
+    let update;
+    try {
+      if (fee.method === 'stripe') {
+        const paymentController = require('../controllers/paymentController');
+        const session = await paymentController.createCheckoutSession({
+          req,
+          serviceName: decision.action === 'no_show' ? 'Missed appointment fee' : `Late ${ACTION_LABELS[decision.action]} fee`,
+          description,
+          amountInCents: fee.amountCents,
+          currency: fee.currency,
+          customerEmail: email,
+          metadata: {
+            serviceType: 'appointment_fee',
+            appointmentPolicyEventId: String(eventId),
+            appointmentId: String(decision.appointmentId),
+            customerEmail: email || ''
+          }
+        });
+        update = { feeStatus: 'pending', stripeCheckoutSessionId: session.id, feePaymentUrl: session.url };
+      } else {
+        if (!tebraPatientId) {
+          throw new Error('Tebra patient ID is required to post the fee');
+        }
+        const tebraWriteQueue = require('./tebraWriteQueue');
+        const policy = decision.policyId ? this.policies.find(p => p.id === decision.policyId) : null;
+        // Keyed by the policy event so the fee is charged at most once
+        const charge = await tebraWriteQueue.execute('createEncounter', {
+          practiceId: fields.practiceId || process.env.TEBRA_PRACTICE_ID,
+          patientId: tebraPatientId,
+          dateOfService: (decision.startTime || new Date().toISOString()).slice(0, 10),
+          items: [{ cpt: policy?.feeCptCode || DEFAULT_FEE_CPT_CODE, units: 1, amountCents: fee.amountCents }]
+        }, { idempotencyKey: `appointment-policy-event:${eventId}:fee`, source: 'appointment_policy' });
+        update = { feeStatus: 'charged', tebraChargeId: charge.chargeId ? String(charge.chargeId) : null };
+      }
+    } catch (error) {
+      logger.error('[APPOINTMENT_POLICY] Failed to charge appointment fee', {
+        eventId,
+        method: fee.method,
+        error: error.message
+      });
+      update = { feeStatus: 'failed', error: error.message };
+    }
+
+    await query(
+      `UPDATE appointment_policy_events SET fee_status = $2, stripe_checkout_session_id = $3, fee_payment_url = $4, tebra_charge_id = $5, error = $6, updated_at = NOW()
+       WHERE id = $1`,
+      [eventId, update.feeStatus, update.stripeCheckoutSessionId || null, update.feePaymentUrl || null, update.tebraChargeId || null, update.error || null]
+    );
+    logger.info('[APPOINTMENT_POLICY] Appointment fee processed', { eventId, method: fee.method, status: update.feeStatus, amountCents: fee.amountCents });
+    return { eventId, ...update };
+  }
+
+  /**
+   * Policy decision for a no-show: always allowed, with the policy's no-show fee (if any)
+   * @returns {Promise<Object>} Decision for recordChange()
+   */
+  async decideNoShow({ appointment, appointmentId }) {
+    const fields = getAppointmentFields(appointment);
+    const policy = await this.getPolicy(fields.appointmentReasonId, fields.practiceId);
+    const feeCents = policy?.noShowFeeCents || 0;
+    const start = fields.startTime ? new Date(fields.startTime) : null;
+    const charged = feeCents > 0 && policy.feeMethod !== 'none';
+    return {
+      action: 'no_show',
+      appointmentId: String(appointmentId),
+      allowed: true,
+      code: charged ? 'NO_SHOW_FEE' : 'ALLOWED',
+      message: charged ? `A ${formatCents(feeCents)} missed appointment fee applies.` : null,
+      late: true,
+      startTime: start && !isNaN(start.getTime()) ? start.toISOString() : null,
+      fee: charged ? { amountCents: feeCents, currency: 'usd', method: policy.feeMethod } : null,
+      policyId: policy?.id || null
+    };
+  }
+
+  async recordNoShow({ appointment, appointmentId, patient = {}, req = null }) {
+    const decision = await this.decideNoShow({ appointment, appointmentId });
+    const result = await this.recordChange({ decision, appointment, patient, req });
+    return { decision, result };
+  }
+
+  // Stripe checkout.session.completed for a fee payment link
+  async markFeePaid(eventId, stripeCheckoutSessionId) {
+    const { rows } = await query(
+      `UPDATE appointment_policy_events SET fee_status = 'paid', updated_at = NOW()
+       WHERE id = $1 AND stripe_checkout_session_id = $2 AND fee_status IN ('pending', 'failed')
+       RETURNING id`,
+      [eventId, stripeCheckoutSessionId]
+    );
+    if (rows.length > 0) {
+      logger.info('[APPOINTMENT_POLICY] Appointment fee paid', { eventId, stripeCheckoutSessionId });
+    }
+    return rows.length > 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new AppointmentPolicyService();
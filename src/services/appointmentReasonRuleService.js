@@ -0,0 +1,153 @@
+// backend/src/services/appointmentReasonRuleService.js
+// Per appointment reason scheduling rules (duration, buffers, minimum notice,
+// group capacity and the extra resources each appointment books)
+// Uses PostgreSQL for persistent storage; applied by availabilityCalculator
+
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+
+// Rule fields (camelCase -> column)
+const RULE_FIELDS = {
+  durationMinutes: 'duration_minutes',
+  bufferBeforeMinutes: 'buffer_before_minutes',
+  bufferAfterMinutes: 'buffer_after_minutes',
+  minNoticeMinutes: 'min_notice_minutes',
+  capacity: 'capacity'
+};
+
+// Resource ids are compared as strings (Tebra returns them as numbers or strings)
+function normalizeResourceIds(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter(id => id !== null && id !== undefined && id !== '').map(String))];
+}
+
+class AppointmentReasonRuleService {
+  constructor() {
+    this.rules = [];
+    this.loaded = false;
+  }
+
+  rowToRule(row) {
+    const rule = {
+      id: row.id,
+      appointmentReasonId: String(row.appointment_reason_id),
+      practiceId: row.practice_id || null,
+      label: row.label || null,
+      updatedAt: row.updated_at
+    };
+    for (const [field, column] of Object.entries(RULE_FIELDS)) {
+      rule[field] = row[column] === null || row[column] === undefined ? null : Number(row[column]);
+    }
+    rule.resourceIds = Array.isArray(row.resource_ids) ? normalizeResourceIds(row.resource_ids) : null;
+    return rule;
+  }
+
+  async load() {
+    try {
+      const { rows } = await query('SELECT * FROM appointment_reason_rules ORDER BY id');
+      this.rules = rows.map(row => this.rowToRule(row));
+      logger.info('[APPOINTMENT_REASON_RULES] Rules loaded from database', { count: this.rules.length });
+    } catch (error) {
+      logger.error('[APPOINTMENT_REASON_RULES] Failed to load rules from database:', error);
+      this.rules = [];
+    }
+    this.loaded = true;
+    return this.rules;
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  async list(practiceId = null) {
+    await this.ensureLoaded();
+    if (!practiceId) return [...this.rules];
+    return this.rules.filter(rule => !rule.practiceId || String(rule.practiceId) === String(practiceId));
+  }
+
+  /**
+   * Find the rule for a reason, preferring a practice-specific rule over the all-practice one
+   * @param {string} appointmentReasonId
+   * @param {string} practiceId
+   * @returns {Promise<Object|null>}
+   */
+  async getRule(appointmentReasonId, practiceId = null) {
+    if (appointmentReasonId === undefined || appointmentReasonId === null || appointmentReasonId === '') return null;
+    await this.ensureLoaded();
+    const candidates = this.rules.filter(rule => rule.appointmentReasonId === String(appointmentReasonId));
+    return (practiceId && candidates.find(rule => String(rule.practiceId) === String(practiceId)))
+      || candidates.find(rule => !rule.practiceId)
+      || null;
+  }
+
+  async upsert(appointmentReasonId, practiceId, fields = {}, label = null) {
+    if (appointmentReasonId === undefined || appointmentReasonId === null || appointmentReasonId === '') {
+      throw new Error('appointmentReasonId is required');
+    }
+    await this.ensureLoaded();
+
+    const values = Object.keys(RULE_FIELDS).map(field => {
+      const value = fields[field];
+      return value === undefined || value === null ? null : parseInt(value, 10);
+    });
+    const resourceIds = Array.isArray(fields.resourceIds) ? JSON.stringify(normalizeResourceIds(fields.resourceIds)) : null;
+
+    const { rows } = await query(
+      `INSERT INTO appointment_reason_rules (appointment_reason_id, practice_id, label, duration_minutes, buffer_before_minutes, buffer_after_minutes, min_notice_minutes, capacity, resource_ids, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       ON CONFLICT (appointment_reason_id, (COALESCE(practice_id, ''))) DO UPDATE SET
+         label = EXCLUDED.label,
+         duration_minutes = EXCLUDED.duration_minutes,
+         buffer_before_minutes = EXCLUDED.buffer_before_minutes,
+         buffer_after_minutes = EXCLUDED.buffer_after_minutes,
+         min_notice_minutes = EXCLUDED.min_notice_minutes,
+         capacity = EXCLUDED.capacity,
+         resource_ids = EXCLUDED.resource_ids,
+         updated_at = NOW()
+       RETURNING *`,
+      [String(appointmentReasonId), practiceId ? String(practiceId) : null, label, ...values, resourceIds]
+    );
+
+    const rule = this.rowToRule(rows[0]);
+    this.rules = this.rules.filter(r => r.id !== rule.id).concat(rule);
+    logger.info('[APPOINTMENT_REASON_RULES] Rule saved', { id: rule.id, appointmentReasonId: rule.appointmentReasonId, practiceId: rule.practiceId });
+    return rule;
+  }
+
+  async delete(id) {
+    await this.ensureLoaded();
+    const { rowCount } = await query('DELETE FROM appointment_reason_rules WHERE id = $1', [id]);
+    this.rules = this.rules.filter(rule => String(rule.id) !== String(id));
+    return rowCount > 0;
+  }
+
+  /**
+   * Resolve the effective scheduling rules for a booking
+   * Unset rule fields fall back to the availability schedule: duration to slotDuration,
+   * buffer after to bufferTime; buffer before and minimum notice default to 0; capacity
+   * defaults to 1 (one patient per slot) and resourceIds to none.
+   * @param {Object} options
+   * @param {string} options.appointmentReasonId - Tebra appointment reason (optional)
+   * @param {string} options.practiceId
+   * @param {Object} options.settings - Resolved availability settings for the provider
+   * @returns {Promise<Object>} { appointmentReasonId, durationMinutes, bufferBeforeMinutes, bufferAfterMinutes, minNoticeMinutes, capacity, resourceIds }
+   */
+  async resolveRules({ appointmentReasonId, practiceId, settings = {} } = {}) {
+    const rule = await this.getRule(appointmentReasonId, practiceId);
+    const pick = (field, fallback) => (rule && rule[field] !== null ? rule[field] : fallback);
+    return {
+      appointmentReasonId: appointmentReasonId ? String(appointmentReasonId) : null,
+      durationMinutes: pick('durationMinutes', settings.slotDuration || 30),
+      bufferBeforeMinutes: pick('bufferBeforeMinutes', 0),
+      bufferAfterMinutes: pick('bufferAfterMinutes', settings.bufferTime || 0),
+      minNoticeMinutes: pick('minNoticeMinutes', 0),
+      capacity: Math.max(pick('capacity', 1) || 1, 1),
+      resourceIds: rule && rule.resourceIds ? rule.resourceIds : []
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AppointmentReasonRuleService();
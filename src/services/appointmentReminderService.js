@@ -5,6 +5,8 @@ const sgMail = require('@sendgrid/mail');
 const { query } = require('../db/pg');
 const logger = require('../utils/logger');
 const tebraService = require('./tebraService');
+const appointmentStatusService = require('./appointmentStatusService');
+const appointmentResponseService = require('./appointmentResponseService');
 
 // Initialize SendGrid
 if (process.env.SENDGRID_API_KEY) {
@@ -13,40 +15,14 @@ if (process.env.SENDGRID_API_KEY) {
 
 /**
  * Get upcoming appointments that need reminders
+ * Reads the local appointment table (kept in sync with Tebra by appointmentStatusService)
+ * instead of querying Tebra; appointments already reminded for this lead time are skipped.
  * @param {number} hoursBefore - Hours before appointment to send reminder (24 or 2)
  * @returns {Promise<Array>} Array of appointments needing reminders
  */
 async function getAppointmentsNeedingReminders(hoursBefore) {
   try {
-    // Calculate the target time window (e.g., appointments starting in 24-25 hours)
-    const now = new Date();
-    const targetStart = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
-    const targetEnd = new Date(now.getTime() + (hoursBefore + 1) * 60 * 60 * 1000);
-    
-    // Query Tebra for appointments in this window
-    // Note: This is a simplified approach - you may need to adjust based on Tebra API
-    const appointments = await tebraService.getAppointments({
-      fromDate: targetStart.toISOString().split('T')[0],
-      toDate: targetEnd.toISOString().split('T')[0],
-      status: 'Scheduled'
-    });
-    
-    // Filter appointments that haven't received this reminder yet
-    // In a real implementation, you'd track sent reminders in a database
-    const appointmentsToRemind = (appointments.appointments || appointments || []).filter(apt => {
-      const status = (apt.AppointmentStatus || apt.appointmentStatus || apt.status || '').toString().toLowerCase();
-      if (!status || (status !== 'scheduled' && status !== 'confirmed')) {
-        return false;
-      }
-
-      const aptStart = new Date(apt.StartTime || apt.startTime || apt.start_date);
-      const hoursUntil = (aptStart.getTime() - now.getTime()) / (1000 * 60 * 60);
-      
-      // Check if appointment is within the reminder window
-      return hoursUntil >= hoursBefore && hoursUntil < hoursBefore + 1;
-    });
-    
-    return appointmentsToRemind;
+    return await appointmentStatusService.getUpcomingForReminder(hoursBefore);
   } catch (error) {
     logger.error('[APPOINTMENT REMINDER] Failed to get appointments needing reminders', {
       hoursBefore,
@@ -91,6 +67,17 @@ async function sendAppointmentReminder({ to, patientName, appointment, hoursBefo
       ? 'Your appointment is tomorrow'
       : `Your appointment is in ${hoursBefore} hours`;
 
+    // Signed, single-use confirm / cancel / reschedule links; the reminder still goes out without them
+    let responseLinks = null;
+    try {
+      responseLinks = await appointmentResponseService.createLinks(appointment, { email: to, hoursBefore });
+    } catch (linkError) {
+      logger.warn('[APPOINTMENT REMINDER] Failed to create response links', {
+        appointmentId: appointment.AppointmentID || appointment.id,
+        error: linkError.message
+      });
+    }
+
     const emailContent = `
       <!DOCTYPE html>
       <html>
@@ -104,6 +91,8 @@ async function sendAppointmentReminder({ to, patientName, appointment, hoursBefo
           .appointment-details { background-color: white; padding: 15px; margin: 15px 0; border-left: 4px solid #2196F3; }
           .detail-row { margin: 10px 0; }
           .label { font-weight: bold; color: #666; }
+          .actions { text-align: center; margin: 20px 0; }
+          .button { display: inline-block; padding: 10px 18px; margin: 4px; border-radius: 4px; color: white; text-decoration: none; font-weight: bold; }
           .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
         </style>
       </head>
@@ -135,7 +124,16 @@ async function sendAppointmentReminder({ to, patientName, appointment, hoursBefo
               ` : ''}
             </div>
             
+            ${responseLinks ? `
+            <div class="actions">
+              <a class="button" style="background-color: #4CAF50;" href="${responseLinks.confirm}">Confirm</a>
+              <a class="button" style="background-color: #2196F3;" href="${responseLinks.reschedule}">Request to reschedule</a>
+              <a class="button" style="background-color: #f44336;" href="${responseLinks.cancel}">Cancel</a>
+            </div>
+            <p>Each link can be used once and expires when your appointment starts.</p>
+            ` : `
             <p>If you need to reschedule or cancel, please contact us as soon as possible.</p>
+            `}
           </div>
           <div class="footer">
             <p>This is an automated reminder. Please do not reply to this email.</p>
@@ -204,26 +202,33 @@ async function processReminders(hoursBefore) {
           continue;
         }
         
-        const patientInfo = await tebraService.getPatient({ patientId });
-        if (!patientInfo || !patientInfo.Email) {
-          logger.warn('[APPOINTMENT REMINDER] Patient missing email', {
-            patientId,
-            appointmentId: appointment.AppointmentID || appointment.id
-          });
-          failed++;
-          continue;
+        let to = appointment.patientEmail;
+        let patientName = appointment.patientName;
+        if (!to) {
+          const patientInfo = await tebraService.forTenant(appointment.tenantId).getPatient(patientId);
+          if (!patientInfo || !patientInfo.Email) {
+            logger.warn('[APPOINTMENT REMINDER] Patient missing email', {
+              patientId,
+              appointmentId: appointment.AppointmentID || appointment.id
+            });
+            failed++;
+            continue;
+          }
+          to = patientInfo.Email;
+          patientName = patientInfo.FirstName && patientInfo.LastName
+            ? `${patientInfo.FirstName} ${patientInfo.LastName}`
+            : patientInfo.Email;
         }
         
-        const patientName = patientInfo.FirstName && patientInfo.LastName
-          ? `${patientInfo.FirstName} ${patientInfo.LastName}`
-          : patientInfo.Email;
-        
-        await sendAppointmentReminder({
-          to: patientInfo.Email,
-          patientName,
+        const result = await sendAppointmentReminder({
+          to,
+          patientName: patientName || to,
           appointment,
           hoursBefore
         });
+        if (result?.success) {
+          await appointmentStatusService.markReminderSent(appointment.id, hoursBefore, appointment.tenantId);
+        }
         
         sent++;
       } catch (error) {
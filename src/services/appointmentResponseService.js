@@ -0,0 +1,322 @@
+// backend/src/services/appointmentResponseService.js
+// Patient responses to appointment reminders.
+// Reminder emails carry signed, single-use links to confirm, cancel or request a reschedule
+// without logging in. The response is written back to Tebra (confirmation status, status or
+// notes) so it shows up in the provider's workflow, and mirrored in the local appointment record.
+// Links carry the Tebra account (tenant) of the appointment; responses are written to that account.
+
+const crypto = require('crypto');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const appointmentStatusService = require('./appointmentStatusService');
+const { DEFAULT_TENANT_ID } = require('./tebraTenantService');
+
+const ACTIONS = ['confirm', 'cancel', 'reschedule'];
+
+function responseError(message, status, code, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function appendNote(notes, line) {
+  return [notes, line].filter(Boolean).join('\n');
+}
+
+class AppointmentResponseService {
+  constructor() {
+    this.secret = process.env.APPOINTMENT_LINK_SECRET || process.env.JWT_SECRET || null;
+    const frontendUrl = process.env.FRONTEND_URL || process.env.SHOPIFY_STORE || 'https://example.myshopify.com';
+    this.responseUrl = process.env.APPOINTMENT_RESPONSE_URL || `${frontendUrl.replace(/\/$/, '')}/pages/appointment-response`;
+  }
+
+  sign(encodedPayload) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(encodedPayload).digest());
+  }
+
+  /**
+   * Build a signed token for one action on one appointment
+   * @returns {string} "<base64url payload>.<base64url HMAC-SHA256>"
+   */
+  createToken({ appointmentId, action, nonce, expiresAt, tenantId = DEFAULT_TENANT_ID }) {
+    if (!this.secret) {
+      throw responseError('APPOINTMENT_LINK_SECRET is not configured', 500, 'LINK_SECRET_MISSING');
+    }
+    const payload = base64url(JSON.stringify({
+      a: String(appointmentId),
+      x: action,
+      n: nonce,
+      e: Math.floor(new Date(expiresAt).getTime() / 1000),
+      // Tokens issued before tenants were tracked have no t: the default account
+      ...(tenantId !== DEFAULT_TENANT_ID ? { t: tenantId } : {})
+    }));
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Check a token's signature and decode it (expiry is checked by the caller)
+   * @returns {Object|null} { appointmentId, action, nonce, expiresAt, tenantId } or null when invalid
+   */
+  verifyToken(token) {
+    if (!this.secret || typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+      if (!claims.a || !ACTIONS.includes(claims.x) || !claims.n || !claims.e) return null;
+      return {
+        appointmentId: String(claims.a),
+        action: claims.x,
+        nonce: String(claims.n),
+        expiresAt: new Date(claims.e * 1000),
+        tenantId: claims.t ? String(claims.t) : DEFAULT_TENANT_ID
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  rowToLink(row) {
+    return {
+      id: row.id,
+      appointmentId: row.tebra_appointment_id,
+      tenantId: row.tenant_id || DEFAULT_TENANT_ID,
+      action: row.action,
+      email: row.email || null,
+      reminderHours: row.reminder_hours ?? null,
+      status: row.status,
+      expiresAt: row.expires_at,
+      usedAt: row.used_at || null,
+      message: row.message || null,
+      result: row.result || null,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Issue confirm / cancel / reschedule links for a reminder email
+   * Links expire when the appointment starts.
+   * @param {Object} appointment - Local (appointmentStatusService) or Tebra appointment
+   * @param {Object} options - { email, hoursBefore }
+   * @returns {Promise<Object|null>} { confirm, cancel, reschedule } URLs, or null when no links can be issued
+   */
+  async createLinks(appointment, { email = null, hoursBefore = null } = {}) {
+    const appointmentId = appointment?.id || appointment?.AppointmentID || appointment?.appointmentId;
+    const tenantId = appointment?.tenantId || DEFAULT_TENANT_ID;
+    const startTime = new Date(appointment?.startTime || appointment?.StartTime || appointment?.startDateTime);
+    if (!appointmentId || isNaN(startTime.getTime()) || startTime.getTime() <= Date.now() || !this.secret) {
+      return null;
+    }
+
+    const links = {};
+    for (const action of ACTIONS) {
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const token = this.createToken({ appointmentId, action, nonce, expiresAt: startTime, tenantId });
+      await query(
+        `INSERT INTO appointment_response_links (nonce, tebra_appointment_id, action, email, reminder_hours, expires_at, tenant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [nonce, String(appointmentId), action, email ? String(email).toLowerCase() : null, hoursBefore, startTime.toISOString(), tenantId]
+      );
+      links[action] = `${this.responseUrl}?token=${encodeURIComponent(token)}`;
+    }
+    return links;
+  }
+
+  async getLinkRow(token) {
+    const claims = this.verifyToken(token);
+    if (!claims) return null;
+    const { rows } = await query('SELECT * FROM appointment_response_links WHERE nonce = $1', [claims.nonce]);
+    const row = rows[0];
+    if (!row || row.tebra_appointment_id !== claims.appointmentId || row.action !== claims.action
+      || (row.tenant_id || DEFAULT_TENANT_ID) !== claims.tenantId) return null;
+    return row;
+  }
+
+  /**
+   * Look up a response link for the landing page
+   * @returns {Promise<Object|null>} { link, appointment, active }
+   */
+  async getLink(token) {
+    const row = await this.getLinkRow(token);
+    if (!row) return null;
+    const link = this.rowToLink(row);
+    const appointment = await appointmentStatusService.get(link.appointmentId, link.tenantId);
+    const active = link.status === 'issued' && new Date(link.expiresAt).getTime() > Date.now()
+      && (!appointment || appointment.status !== 'cancelled');
+    return { link, appointment, active };
+  }
+
+  /**
+   * Apply the patient's response from a reminder link
+   * @param {string} token - Token from the reminder email
+   * @param {Object} options - { message (reschedule request note), req, tebraService (bound to the link's account) }
+   * @returns {Promise<Object>} { action, appointmentId, link, policy, fee }
+   * @throws {Error} 404 (LINK_NOT_FOUND), 409 (LINK_USED / LINK_EXPIRED / APPOINTMENT_CANCELLED / POLICY_*)
+   */
+  async respond(token, { message = null, req = null, tebraService = null } = {}) {
+    const row = await this.getLinkRow(token);
+    if (!row) {
+      throw responseError('Link not found', 404, 'LINK_NOT_FOUND');
+    }
+
+    const { rows: claimed } = await query(
+      `UPDATE appointment_response_links SET status = 'processing', updated_at = NOW()
+       WHERE id = $1 AND status = 'issued' AND expires_at > NOW() RETURNING *`,
+      [row.id]
+    );
+    if (!claimed[0]) {
+      throw row.status === 'issued'
+        ? responseError('This link has expired', 409, 'LINK_EXPIRED')
+        : responseError('This link has already been used', 409, 'LINK_USED');
+    }
+    const link = this.rowToLink(claimed[0]);
+    const reopen = () => query(
+      `UPDATE appointment_response_links SET status = 'issued', updated_at = NOW() WHERE id = $1 AND status = 'processing'`,
+      [link.id]
+    );
+
+    // Set once the response is in Tebra; a later failure must not reissue the link
+    const progress = { tebraWritten: false };
+    let result;
+    try {
+      const tebra = tebraService || require('./tebraService').forTenant(link.tenantId);
+      const appointment = await tebra.getAppointment(link.appointmentId);
+      if (!appointment) {
+        throw responseError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+      }
+      if (appointmentStatusService.mapTebraStatus(appointment.appointmentStatus || appointment.AppointmentStatus) === 'cancelled') {
+        throw responseError('This appointment has already been cancelled', 409, 'APPOINTMENT_CANCELLED');
+      }
+
+      if (link.action === 'confirm') {
+        result = await this.confirm(tebra, link, appointment, progress);
+      } else if (link.action === 'cancel') {
+        result = await this.cancel(tebra, link, appointment, req, progress);
+      } else {
+        result = await this.requestReschedule(tebra, link, appointment, message, progress);
+      }
+    } catch (error) {
+      if (!progress.tebraWritten) {
+        await reopen();
+        throw error;
+      }
+      // Tebra already has the response (e.g. the appointment is cancelled): spend the link and report the follow-up failure
+      await this.spendLink(link, message, { policy: null, feeStatus: null, error: error.message });
+      logger.error('[APPOINTMENT_RESPONSE] Response written to Tebra but a follow-up step failed', {
+        appointmentId: link.appointmentId,
+        action: link.action,
+        error: error.message
+      });
+      throw error;
+    }
+
+    const used = await this.spendLink(link, message, { policy: result.policy?.code || null, feeStatus: result.fee?.feeStatus || null });
+
+    logger.info('[APPOINTMENT_RESPONSE] Patient responded to reminder', { appointmentId: link.appointmentId, action: link.action });
+    return {
+      action: link.action,
+      appointmentId: link.appointmentId,
+      link: used,
+      policy: result.policy || null,
+      fee: result.fee || null
+    };
+  }
+
+  // Mark a link used; links for the same action from earlier reminders are spent too, a cancellation spends them all
+  async spendLink(link, message, result) {
+    const { rows } = await query(
+      `UPDATE appointment_response_links SET status = 'used', used_at = NOW(), message = $2, result = $3, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [link.id, message, JSON.stringify(result)]
+    );
+    await query(
+      `UPDATE appointment_response_links SET status = 'used', updated_at = NOW()
+       WHERE tebra_appointment_id = $1 AND tenant_id = $3 AND status = 'issued' AND action = ANY($2)`,
+      [link.appointmentId, link.action === 'cancel' ? ACTIONS : [link.action], link.tenantId]
+    );
+    return rows[0] ? this.rowToLink(rows[0]) : null;
+  }
+
+  async confirm(tebra, link, appointment, progress = {}) {
+    await tebra.updateAppointment(link.appointmentId, {
+      confirmationStatus: 'Confirmed',
+      notes: appendNote(appointment.notes, `Confirmed by patient from reminder email (${new Date().toISOString()})`)
+    });
+    progress.tebraWritten = true;
+    await appointmentStatusService.recordFromTebra(
+      { ...appointment, id: link.appointmentId, confirmationStatus: 'Confirmed' },
+      { source: 'patient', status: 'confirmed', tenantId: link.tenantId }
+    );
+    return {};
+  }
+
+  async cancel(tebra, link, appointment, req, progress = {}) {
+    const appointmentPolicyService = require('./appointmentPolicyService');
+    const policy = await appointmentPolicyService.evaluate({ action: 'cancel', appointment, appointmentId: link.appointmentId });
+    if (!policy.allowed) {
+      throw responseError(policy.message, 409, policy.code, { policy });
+    }
+
+    await tebra.updateAppointment(link.appointmentId, {
+      appointmentStatus: 'Cancelled',
+      notes: appendNote(appointment.notes, 'Cancelled: Cancelled by patient from reminder email')
+    });
+    progress.tebraWritten = true;
+    await appointmentStatusService.recordFromTebra(
+      { ...appointment, id: link.appointmentId, appointmentStatus: 'Cancelled' },
+      { source: 'patient', status: 'cancelled', tenantId: link.tenantId }
+    );
+
+    const cacheService = require('./cacheService');
+    await cacheService.invalidateAvailability();
+
+    // Offer the freed slot to the waitlist (does not block the response)
+    const waitlistService = require('./waitlistService');
+    waitlistService.offerCancelledAppointment(appointment);
+
+    const fee = await appointmentPolicyService.recordChange({
+      decision: policy,
+      appointment,
+      patient: { tebraPatientId: appointment.patientId, email: link.email },
+      req
+    });
+    return { policy, fee };
+  }
+
+  async requestReschedule(tebra, link, appointment, message, progress = {}) {
+    const note = `Patient requested to reschedule from reminder email${message ? `: ${message}` : ''}`;
+    await tebra.updateAppointment(link.appointmentId, { notes: appendNote(appointment.notes, note) });
+    progress.tebraWritten = true;
+
+    const local = await appointmentStatusService.get(link.appointmentId, link.tenantId);
+    if (local) {
+      await appointmentStatusService.addHistory(link.appointmentId, local.status, local.status, 'patient', note, link.tenantId);
+    }
+
+    const notificationService = require('./notificationService');
+    const start = appointment.startDateTime || appointment.startTime;
+    await notificationService.sendProviderAlert({
+      subject: `Reschedule requested for appointment ${link.appointmentId}`,
+      text: [
+        `${appointment.patient?.fullName || link.email || 'A patient'} asked to reschedule appointment ${link.appointmentId}${start ? ` on ${new Date(start).toISOString()}` : ''}.`,
+        message ? `Message: ${message}` : null,
+        'The request has been added to the appointment notes in Tebra.'
+      ].filter(Boolean).join('\n')
+    });
+    return {};
+  }
+}
+
+// Export singleton instance
+module.exports = new AppointmentResponseService();
@@ -0,0 +1,453 @@
+// backend/src/services/appointmentStatusService.js
+// Local record of Tebra appointments and their lifecycle state
+// (booked, confirmed, checked_in, completed, no_show, cancelled).
+// Synchronized from Tebra (GetAppointments + GetAppointment details) by the change feed
+// (tebraAppointmentFeed) and a range sync, and written through when the backend books, cancels
+// or reschedules; staff can mark statuses (e.g. no-shows) that Tebra does not report.
+// Backs reminders and appointment metrics. Every change is published on appointmentEvents.
+// Records are kept per Tebra account (tenant_id): appointment ids are only unique within one account.
+
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const appointmentEvents = require('./appointmentEvents');
+const tebraTenantService = require('./tebraTenantService');
+
+const { DEFAULT_TENANT_ID } = tebraTenantService;
+
+const STATUSES = ['booked', 'confirmed', 'checked_in', 'completed', 'no_show', 'cancelled'];
+// Statuses that only make sense once the appointment has started
+const POST_START_STATUSES = ['checked_in', 'completed', 'no_show'];
+
+function statusError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Fields of a Tebra appointment (normalized by tebraServiceNormalizers or raw SOAP)
+function fromTebraAppointment(apt = {}) {
+  const patientName = apt.patient?.fullName
+    || [apt.patient?.firstName || apt.PatientFirstName, apt.patient?.lastName || apt.PatientLastName].filter(Boolean).join(' ')
+    || apt.PatientFullName
+    || null;
+  return {
+    tebraAppointmentId: String(apt.id || apt.appointmentId || apt.AppointmentID || apt.ID),
+    practiceId: apt.practice?.id || apt.practiceId || apt.PracticeID || null,
+    providerId: apt.provider?.id || apt.providerId || apt.ProviderID || null,
+    providerName: apt.provider?.fullName || apt.ProviderFullName || apt.providerName || null,
+    patientId: apt.patient?.id || apt.patientId || apt.PatientID || null,
+    patientEmail: apt.patient?.email || apt.patientEmail || apt.PatientEmail || null,
+    patientName: patientName || null,
+    appointmentReasonId: apt.appointment_reason?.id || apt.appointmentReasonId || apt.AppointmentReasonID || null,
+    startTime: toDate(apt.startDateTime || apt.StartTime || apt.startTime),
+    endTime: toDate(apt.endDateTime || apt.EndTime || apt.endTime),
+    tebraStatus: apt.appointmentStatus || apt.AppointmentStatus || null,
+    confirmationStatus: apt.confirmationStatus || apt.ConfirmationStatus || null,
+    tebraCreatedAt: toDate(apt.createdDate || apt.CreatedDate),
+    tebraLastModifiedAt: toDate(apt.lastModifiedDate || apt.LastModifiedDate)
+  };
+}
+
+class AppointmentStatusService {
+  constructor() {
+    this.syncDaysBack = parseInt(process.env.APPOINTMENT_SYNC_DAYS_BACK, 10) || 2;
+    this.syncDaysAhead = parseInt(process.env.APPOINTMENT_SYNC_DAYS_AHEAD, 10) || 30;
+  }
+
+  /**
+   * Map Tebra AppointmentStatus / ConfirmationStatus to the local lifecycle state
+   * @param {string} tebraStatus - e.g. Scheduled, Confirmed, CheckedIn, CheckedOut, NoShow, Cancelled
+   * @param {string} confirmationStatus
+   * @returns {string}
+   */
+  mapTebraStatus(tebraStatus, confirmationStatus = null) {
+    const s = String(tebraStatus || '').toLowerCase().replace(/[\s_-]/g, '');
+    if (s === 'cancelled' || s === 'canceled' || s === 'rescheduled') return 'cancelled';
+    if (s === 'noshow' || s === 'missed') return 'no_show';
+    if (s === 'checkedout' || s === 'checkout' || s === 'completed') return 'completed';
+    if (s === 'checkedin' || s === 'checkin' || s === 'roomed' || s === 'readyforprovider') return 'checked_in';
+    if (s === 'confirmed' || String(confirmationStatus || '').toLowerCase() === 'confirmed') return 'confirmed';
+    return 'booked';
+  }
+
+  rowToAppointment(row) {
+    return {
+      id: row.tebra_appointment_id,
+      tenantId: row.tenant_id || DEFAULT_TENANT_ID,
+      practiceId: row.practice_id || null,
+      providerId: row.provider_id || null,
+      providerName: row.provider_name || null,
+      patientId: row.patient_id || null,
+      patientEmail: row.patient_email || null,
+      patientName: row.patient_name || null,
+      appointmentReasonId: row.appointment_reason_id || null,
+      startTime: row.start_time ? new Date(row.start_time).toISOString() : null,
+      endTime: row.end_time ? new Date(row.end_time).toISOString() : null,
+      status: row.status,
+      statusSource: row.status_source,
+      statusChangedAt: row.status_changed_at,
+      tebraStatus: row.tebra_status || null,
+      confirmationStatus: row.confirmation_status || null,
+      remindersSent: row.reminders_sent || {},
+      syncedAt: row.synced_at || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async get(tebraAppointmentId, tenantId = DEFAULT_TENANT_ID) {
+    const { rows } = await query(
+      'SELECT * FROM tebra_appointments WHERE tebra_appointment_id = $1 AND tenant_id = $2',
+      [String(tebraAppointmentId), tenantId]
+    );
+    return rows[0] ? this.rowToAppointment(rows[0]) : null;
+  }
+
+  /**
+   * Tebra account of an appointment: the tenant given by the caller, else the one account the
+   * appointment is recorded under, else 'default'
+   * @param {string} tebraAppointmentId
+   * @param {string} [tenantId] - Tenant named by the caller (request, link)
+   * @returns {Promise<string>} Tenant id
+   * @throws {Error} 409 APPOINTMENT_TENANT_AMBIGUOUS when several accounts have an appointment with this id
+   */
+  async tenantFor(tebraAppointmentId, tenantId = null) {
+    if (tenantId) return tebraTenantService.resolveTenantId({ tenantId });
+    const { rows } = await query(
+      'SELECT DISTINCT tenant_id FROM tebra_appointments WHERE tebra_appointment_id = $1',
+      [String(tebraAppointmentId)]
+    );
+    if (rows.length > 1) {
+      throw statusError('Several Tebra accounts have an appointment with this id; pass tenantId', 409, 'APPOINTMENT_TENANT_AMBIGUOUS');
+    }
+    return rows[0]?.tenant_id || DEFAULT_TENANT_ID;
+  }
+
+  async getHistory(tebraAppointmentId, tenantId = DEFAULT_TENANT_ID) {
+    const { rows } = await query(
+      'SELECT * FROM appointment_status_history WHERE tebra_appointment_id = $1 AND tenant_id = $2 ORDER BY created_at, id',
+      [String(tebraAppointmentId), tenantId]
+    );
+    return rows.map(row => ({
+      fromStatus: row.from_status || null,
+      toStatus: row.to_status,
+      source: row.source,
+      note: row.note || null,
+      createdAt: row.created_at
+    }));
+  }
+
+  async list({ tenantId, status, providerId, patientId, fromDate, toDate, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (tenantId) {
+      params.push(tenantId);
+      conditions.push(`tenant_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (providerId) {
+      params.push(String(providerId));
+      conditions.push(`provider_id = $${params.length}`);
+    }
+    if (patientId) {
+      params.push(String(patientId));
+      conditions.push(`patient_id = $${params.length}`);
+    }
+    if (fromDate) {
+      params.push(fromDate);
+      conditions.push(`start_time >= $${params.length}::date`);
+    }
+    if (toDate) {
+      params.push(toDate);
+      conditions.push(`start_time < $${params.length}::date + 1`);
+    }
+    params.push(Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0);
+    const { rows } = await query(
+      `SELECT * FROM tebra_appointments
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY start_time DESC NULLS LAST
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return rows.map(row => this.rowToAppointment(row));
+  }
+
+  /**
+   * Insert or refresh an appointment from Tebra data
+   * Tebra's status wins when it changed since the last sync; otherwise a status marked
+   * locally (e.g. no_show) is kept.
+   * @param {Object} appointment - Tebra appointment (normalized or raw)
+   * @param {Object} options
+   * @param {string} options.source - History source ('sync', 'booking', ...)
+   * @param {string} options.status - Force a lifecycle state (write-through after a change made here)
+   * @param {string} options.tenantId - Tebra account the appointment came from; defaults to the
+   *   account owning its practice, else 'default'
+   * @returns {Promise<Object|null>} Local appointment
+   */
+  async upsertFromTebra(appointment, options = {}) {
+    const { appointment: local } = await this.applyFromTebra(appointment, options);
+    return local;
+  }
+
+  /**
+   * upsertFromTebra, also returning the record before the change and the published events
+   * @returns {Promise<Object>} { appointment, previous, events }
+   */
+  async applyFromTebra(appointment, { source = 'sync', status: forcedStatus = null, tenantId = null } = {}) {
+    const data = fromTebraAppointment(appointment);
+    if (!data.tebraAppointmentId || data.tebraAppointmentId === 'undefined') {
+      return { appointment: null, previous: null, events: [] };
+    }
+
+    tenantId = tebraTenantService.resolveTenantId({ tenantId, practiceId: data.practiceId });
+    const existing = await this.get(data.tebraAppointmentId, tenantId);
+    const tebraChanged = !existing || (data.tebraStatus || null) !== existing.tebraStatus
+      || (data.confirmationStatus || null) !== existing.confirmationStatus;
+    let status = existing ? existing.status : 'booked';
+    let statusSource = existing ? existing.statusSource : 'tebra';
+    if (forcedStatus) {
+      status = forcedStatus;
+      statusSource = 'tebra';
+    } else if (data.tebraStatus && (tebraChanged || existing.statusSource === 'tebra')) {
+      status = this.mapTebraStatus(data.tebraStatus, data.confirmationStatus);
+      statusSource = 'tebra';
+    }
+
+    const { rows } = await query(
+      `INSERT INTO tebra_appointments (tebra_appointment_id, practice_id, provider_id, provider_name, patient_id, patient_email, patient_name, appointment_reason_id, start_time, end_time, status, status_source, tebra_status, confirmation_status, tebra_created_at, tebra_last_modified_at, tenant_id, synced_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW(), COALESCE($15, NOW()))
+       ON CONFLICT (tenant_id, tebra_appointment_id) DO UPDATE SET
+         practice_id = COALESCE(EXCLUDED.practice_id, tebra_appointments.practice_id),
+         provider_id = COALESCE(EXCLUDED.provider_id, tebra_appointments.provider_id),
+         provider_name = COALESCE(EXCLUDED.provider_name, tebra_appointments.provider_name),
+         patient_id = COALESCE(EXCLUDED.patient_id, tebra_appointments.patient_id),
+         patient_email = COALESCE(EXCLUDED.patient_email, tebra_appointments.patient_email),
+         patient_name = COALESCE(EXCLUDED.patient_name, tebra_appointments.patient_name),
+         appointment_reason_id = COALESCE(EXCLUDED.appointment_reason_id, tebra_appointments.appointment_reason_id),
+         start_time = COALESCE(EXCLUDED.start_time, tebra_appointments.start_time),
+         end_time = COALESCE(EXCLUDED.end_time, tebra_appointments.end_time),
+         status = EXCLUDED.status,
+         status_source = EXCLUDED.status_source,
+         status_changed_at = CASE WHEN tebra_appointments.status = EXCLUDED.status THEN tebra_appointments.status_changed_at ELSE NOW() END,
+         tebra_status = COALESCE(EXCLUDED.tebra_status, tebra_appointments.tebra_status),
+         confirmation_status = COALESCE(EXCLUDED.confirmation_status, tebra_appointments.confirmation_status),
+         tebra_last_modified_at = COALESCE(EXCLUDED.tebra_last_modified_at, tebra_appointments.tebra_last_modified_at),
+         synced_at = NOW(),
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        data.tebraAppointmentId,
+        data.practiceId ? String(data.practiceId) : null,
+        data.providerId ? String(data.providerId) : null,
+        data.providerName,
+        data.patientId ? String(data.patientId) : null,
+        data.patientEmail ? String(data.patientEmail).toLowerCase() : null,
+        data.patientName,
+        data.appointmentReasonId ? String(data.appointmentReasonId) : null,
+        data.startTime ? data.startTime.toISOString() : null,
+        data.endTime ? data.endTime.toISOString() : null,
+        status,
+        statusSource,
+        data.tebraStatus,
+        data.confirmationStatus,
+        data.tebraCreatedAt ? data.tebraCreatedAt.toISOString() : null,
+        data.tebraLastModifiedAt ? data.tebraLastModifiedAt.toISOString() : null,
+        tenantId
+      ]
+    );
+
+    if (!existing || existing.status !== status) {
+      await this.addHistory(data.tebraAppointmentId, existing ? existing.status : null, status, source, null, tenantId);
+    }
+    const updated = this.rowToAppointment(rows[0]);
+    const events = appointmentEvents.publish(existing, updated, { source, tenantId });
+    return { appointment: updated, previous: existing, events };
+  }
+
+  /**
+   * Record an appointment change made by this backend (booking, cancellation, reschedule)
+   * Never throws; the periodic sync repairs anything missed here.
+   */
+  async recordFromTebra(appointment, { source, status = null, tenantId = null } = {}) {
+    try {
+      return await this.upsertFromTebra(appointment, { source, status, tenantId });
+    } catch (error) {
+      logger.warn('[APPOINTMENT_STATUS] Failed to record appointment locally', {
+        appointmentId: appointment?.id || appointment?.AppointmentID,
+        source,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async addHistory(tebraAppointmentId, fromStatus, toStatus, source, note = null, tenantId = DEFAULT_TENANT_ID) {
+    await query(
+      `INSERT INTO appointment_status_history (tebra_appointment_id, from_status, to_status, source, note, tenant_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [String(tebraAppointmentId), fromStatus, toStatus, source, note, tenantId]
+    );
+  }
+
+  /**
+   * Mark the lifecycle state of an appointment (staff action)
+   * Marking a no-show records it under the appointment policy and charges its no-show fee.
+   * @param {string} tebraAppointmentId
+   * @param {string} status
+   * @param {Object} options - { note, req, tebraService, tenantId }
+   * @returns {Promise<Object>} { appointment, noShowFee }
+   */
+  async markStatus(tebraAppointmentId, status, { note = null, req = null, tebraService = null, tenantId = DEFAULT_TENANT_ID } = {}) {
+    if (!STATUSES.includes(status)) {
+      throw statusError(`status must be one of ${STATUSES.join(', ')}`, 400, 'INVALID_STATUS');
+    }
+
+    let appointment = await this.get(tebraAppointmentId, tenantId);
+    let tebraAppointment = null;
+    if (!appointment) {
+      const tebra = tebraService || require('./tebraService').forTenant(tenantId);
+      tebraAppointment = await tebra.getAppointment(tebraAppointmentId);
+      if (!tebraAppointment || !(tebraAppointment.id || tebraAppointment.appointmentId)) {
+        throw statusError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+      }
+      appointment = await this.upsertFromTebra(tebraAppointment, { source: 'sync', tenantId });
+    }
+
+    if (POST_START_STATUSES.includes(status) && appointment.startTime && new Date(appointment.startTime).getTime() > Date.now()) {
+      throw statusError(`An appointment cannot be marked ${status} before it starts`, 409, 'APPOINTMENT_NOT_STARTED');
+    }
+    if (appointment.status === status) {
+      return { appointment, noShowFee: null };
+    }
+
+    const { rows } = await query(
+      `UPDATE tebra_appointments SET status = $2, status_source = 'local', status_changed_at = NOW(), updated_at = NOW()
+       WHERE tebra_appointment_id = $1 AND tenant_id = $3
+       RETURNING *`,
+      [String(tebraAppointmentId), status, tenantId]
+    );
+    await this.addHistory(tebraAppointmentId, appointment.status, status, 'local', note, tenantId);
+    const updated = this.rowToAppointment(rows[0]);
+    logger.info('[APPOINTMENT_STATUS] Appointment status marked', { appointmentId: String(tebraAppointmentId), from: appointment.status, to: status });
+    appointmentEvents.publish(appointment, updated, { source: 'local', tenantId });
+
+    let noShowFee = null;
+    if (status === 'no_show') {
+      const appointmentPolicyService = require('./appointmentPolicyService');
+      noShowFee = await appointmentPolicyService.recordNoShow({
+        appointment: tebraAppointment || {
+          startDateTime: updated.startTime,
+          appointmentReasonId: updated.appointmentReasonId,
+          practiceId: updated.practiceId,
+          patientId: updated.patientId,
+          patientEmail: updated.patientEmail
+        },
+        appointmentId: tebraAppointmentId,
+        patient: { tebraPatientId: updated.patientId, email: updated.patientEmail },
+        req
+      });
+    }
+    return { appointment: updated, noShowFee };
+  }
+
+  /**
+   * Pull appointments in a date range from one Tebra account into the local table
+   * @param {Object} options - { fromDate, toDate (YYYY-MM-DD), practiceId, tenantId, tebraService }
+   *   tenantId defaults to the account owning practiceId, else 'default'
+   * @returns {Promise<Object>} { tenantId, fetched, synced, failed, fromDate, toDate }
+   */
+  async syncRange({ fromDate, toDate, practiceId, tenantId = null, tebraService = null } = {}) {
+    const tenant = tebraTenantService.resolveTenantId({ tenantId, practiceId });
+    const tebra = tebraService || require('./tebraService').forTenant(tenant);
+    const now = Date.now();
+    const from = fromDate || new Date(now - this.syncDaysBack * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const to = toDate || new Date(now + this.syncDaysAhead * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const result = await tebra.getAppointments({ startDate: from, endDate: to, practiceId });
+    const appointments = result?.appointments || [];
+    let synced = 0;
+    let failed = 0;
+    for (const appointment of appointments) {
+      try {
+        if (await this.upsertFromTebra(appointment, { source: 'sync', tenantId: tenant })) synced++;
+      } catch (error) {
+        failed++;
+        logger.warn('[APPOINTMENT_STATUS] Failed to sync appointment', {
+          appointmentId: appointment?.id || appointment?.AppointmentID,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('[APPOINTMENT_STATUS] Appointments synced from Tebra', { tenantId: tenant, fromDate: from, toDate: to, fetched: appointments.length, synced, failed });
+    return { tenantId: tenant, fetched: appointments.length, synced, failed, fromDate: from, toDate: to };
+  }
+
+  /**
+   * syncRange for every Tebra account; an account that fails does not stop the others
+   * @param {Object} options - { fromDate, toDate }
+   * @returns {Promise<Object[]>} One syncRange result (or { tenantId, error }) per account
+   */
+  async syncAllTenants(options = {}) {
+    const results = [];
+    for (const { id } of tebraTenantService.listTenants()) {
+      try {
+        results.push(await this.syncRange({ ...options, tenantId: id }));
+      } catch (error) {
+        logger.warn('[APPOINTMENT_STATUS] Appointment sync failed for Tebra account', { tenantId: id, error: error.message });
+        results.push({ tenantId: id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Booked/confirmed appointments starting in [now + hoursBefore, now + hoursBefore + 1h)
+   * that have not had the reminder for this lead time yet
+   */
+  async getUpcomingForReminder(hoursBefore, now = new Date()) {
+    const windowStart = new Date(now.getTime() + hoursBefore * 60 * 60 * 1000);
+    const windowEnd = new Date(windowStart.getTime() + 60 * 60 * 1000);
+    const { rows } = await query(
+      `SELECT * FROM tebra_appointments
+       WHERE status IN ('booked', 'confirmed')
+         AND start_time >= $1 AND start_time < $2
+         AND NOT (reminders_sent ? $3)
+       ORDER BY start_time`,
+      [windowStart.toISOString(), windowEnd.toISOString(), String(hoursBefore)]
+    );
+    return rows.map(row => this.rowToAppointment(row));
+  }
+
+  /**
+   * Forget the reminders sent for an appointment (it was rescheduled, so they are due again)
+   */
+  async resetReminders(tebraAppointmentId, tenantId = DEFAULT_TENANT_ID) {
+    await query(
+      `UPDATE tebra_appointments SET reminders_sent = '{}'::jsonb, updated_at = NOW()
+       WHERE tebra_appointment_id = $1 AND tenant_id = $2 AND reminders_sent <> '{}'::jsonb`,
+      [String(tebraAppointmentId), tenantId]
+    );
+  }
+
+  async markReminderSent(tebraAppointmentId, hoursBefore, tenantId = DEFAULT_TENANT_ID) {
+    await query(
+      `UPDATE tebra_appointments SET reminders_sent = reminders_sent || jsonb_build_object($2::text, NOW()), updated_at = NOW()
+       WHERE tebra_appointment_id = $1 AND tenant_id = $3`,
+      [String(tebraAppointmentId), String(hoursBefore), tenantId]
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new AppointmentStatusService();
@@ -1,8 +1,27 @@
 // backend/src/services/availabilityCalculator.js
 // Calculates available appointment slots using GetAppointments (since GetAvailability is not available in Tebra SOAP 2.1)
 
+const moment = require('moment-timezone');
 const logger = require('../utils/logger');
 const availabilityService = require('./availabilityService');
+const availabilityExceptionService = require('./availabilityExceptionService');
+const appointmentReasonRuleService = require('./appointmentReasonRuleService');
+
+// Resource ids an appointment books: ResourceID, ResourceIDs/ResourceIds and ResourceID1..ResourceID10
+function getAppointmentResourceIds(apt) {
+  const ids = [apt.ResourceID, apt.ResourceId, apt.resourceId];
+  for (const list of [apt.ResourceIDs, apt.ResourceIds, apt.resourceIds]) {
+    if (Array.isArray(list)) ids.push(...list);
+    else if (list && typeof list === 'object') ids.push(...[].concat(list.long || list.Long || []));
+  }
+  for (let i = 1; i <= 10; i++) ids.push(apt[`ResourceID${i}`]);
+  return [...new Set(ids.filter(id => id !== null && id !== undefined && id !== '' && id !== '0' && id !== 0).map(String))];
+}
+
+function sharesResource(appointmentResourceIds, resourceIds) {
+  if (!resourceIds || resourceIds.length === 0) return false;
+  return appointmentResourceIds.some(id => resourceIds.includes(String(id)));
+}
 
 class AvailabilityCalculator {
   /**
@@ -14,7 +33,10 @@ class AvailabilityCalculator {
    * @param {string} options.providerId - Provider ID
    * @param {string} options.fromDate - Start date (YYYY-MM-DD)
    * @param {string} options.toDate - End date (YYYY-MM-DD)
-   * @param {number} options.slotDuration - Slot duration in minutes (default: 30)
+   * @param {string} options.state - State code (selects state-level schedules)
+   * @param {number} options.slotDuration - Slot duration in minutes (default: appointment reason rule, provider schedule, then 30)
+   * @param {string} options.appointmentReasonId - Tebra appointment reason; selects its duration, buffers and minimum notice
+   * @param {Object} options.holdOwner - { shopifyCustomerId, cartToken } whose own slot holds stay available
    * @returns {Promise<Object>} Availability result with slots array
    */
   async calculateAvailability(options = {}) {
@@ -25,40 +47,55 @@ class AvailabilityCalculator {
         providerId,
         fromDate,
         toDate,
-        slotDuration = 30
+        slotDuration,
+        appointmentReasonId
       } = options;
 
       if (!practiceId || !fromDate || !toDate) {
         throw new Error('practiceId, fromDate, and toDate are required');
       }
 
-      // Step 1: Get existing appointments for the date range
+      // Step 1: Resolve the schedule and the appointment reason rules (length, buffers, capacity, resources)
+      const settings = await availabilityService.getScheduleSettings({ practiceId, state: options.state, providerId });
+      const rules = await appointmentReasonRuleService.resolveRules({ appointmentReasonId, practiceId, settings });
+
+      // Step 2: Get existing appointments of the provider and of the reason's resources for the date range
       const existingAppointments = await this.getExistingAppointments({
         practiceId,
         providerId,
         fromDate,
         toDate,
         state: options.state,
+        holdOwner: options.holdOwner,
+        resourceIds: rules.resourceIds,
         tebraService
       });
 
-      // Step 2: Generate potential time slots based on business hours
+      // Step 3: Generate potential time slots based on business hours and the appointment reason rules
       const potentialSlots = await this.generateTimeSlots({
         fromDate,
         toDate,
         slotDuration,
         practiceId,
-        providerId
+        providerId,
+        state: options.state,
+        rules
       });
 
-      // Step 3: Filter out slots that conflict with existing appointments
-      const availableSlots = this.filterConflictingSlots(potentialSlots, existingAppointments);
+      // Step 4: Filter out slots that conflict with existing appointments or time-off exceptions
+      const exceptions = await availabilityExceptionService.getExceptionsForScope({
+        practiceId,
+        state: options.state,
+        providerId
+      });
+      const availableSlots = this.filterConflictingSlots(potentialSlots, existingAppointments, exceptions);
 
-      // Step 4: Apply business rules (blocked dates, advance booking, etc.)
+      // Step 5: Apply business rules (blocked dates, advance booking, etc.)
       const filteredSlots = await availabilityService.filterAvailability(availableSlots, {
         state: options.state,
         practiceId,
-        providerId
+        providerId,
+        minNoticeMinutes: rules.minNoticeMinutes
       });
 
       return {
@@ -66,6 +103,8 @@ class AvailabilityCalculator {
         totalCount: filteredSlots.length,
         fromDate,
         toDate,
+        timezone: availabilityService.resolveTimezone(settings),
+        rules: { ...rules, durationMinutes: slotDuration || rules.durationMinutes },
         practiceId,
         providerId
       };
@@ -81,9 +120,12 @@ class AvailabilityCalculator {
   /**
    * Get existing appointments using GetAppointments
    * Excludes Cancelled/Canceled. Uses startDateTime/endDateTime (full ISO) for conflict checks.
-   * Merges in recently-booked overlay (Redis, TTL 2min) to handle Tebra eventual consistency.
+   * Merges in recently-booked overlay (Redis, TTL 2min) to handle Tebra eventual consistency,
+   * and live checkout slot holds (except those owned by holdOwner).
+   * With resourceIds (rooms/equipment the appointment reason needs), appointments of other
+   * providers that book one of those resources are included too.
    */
-  async getExistingAppointments({ practiceId, providerId, fromDate, toDate, state, tebraService }) {
+  async getExistingAppointments({ practiceId, providerId, fromDate, toDate, state, holdOwner, resourceIds = [], tebraService }) {
     try {
       const appointments = await tebraService.getAppointments({
         practiceId,
@@ -103,16 +145,19 @@ class AvailabilityCalculator {
       let existingSlots = list
         .filter(statusOk)
         .filter(apt => {
-          if (providerId && String(apt.ProviderID || apt.providerId) !== String(providerId)) return false;
           if (practiceId && String(apt.PracticeID || apt.practiceId) !== String(practiceId)) return false;
-          return true;
+          if (!providerId || String(apt.ProviderID || apt.providerId) === String(providerId)) return true;
+          return sharesResource(getAppointmentResourceIds(apt), resourceIds);
         })
         .map(apt => ({
           startTime: apt.startDateTime || apt.StartTime || apt.startTime,
           endTime: apt.endDateTime || apt.EndTime || apt.endTime,
           startDate: apt.startDate || apt.StartDate,
           providerId: apt.ProviderID || apt.providerId,
-          practiceId: apt.PracticeID || apt.practiceId
+          practiceId: apt.PracticeID || apt.practiceId,
+          appointmentReasonId: apt.AppointmentReasonID || apt.appointmentReasonId || null,
+          resourceIds: getAppointmentResourceIds(apt),
+          attendees: Number(apt.AttendeesCount || apt.attendeesCount) || 1
         }));
 
       // Merge recently-booked overlay (covers Tebra eventual consistency)
@@ -120,14 +165,47 @@ class AvailabilityCalculator {
         try {
           const cacheService = require('./cacheService');
           const overlay = await cacheService.getBookedSlots(state, providerId);
-          for (const { start, end } of overlay || []) {
-            if (start && end) existingSlots.push({ startTime: start, endTime: end, startDate: (start || '').toString().slice(0, 10), providerId, practiceId });
+          for (const { start, end, appointmentReasonId: reasonId, resourceIds: booked } of overlay || []) {
+            if (start && end) {
+              existingSlots.push({
+                startTime: start,
+                endTime: end,
+                startDate: (start || '').toString().slice(0, 10),
+                providerId,
+                practiceId,
+                appointmentReasonId: reasonId || null,
+                resourceIds: booked || []
+              });
+            }
           }
         } catch (e) {
           logger.debug('[AVAILABILITY_CALCULATOR] getBookedSlots overlay failed', { error: e?.message });
         }
       }
 
+      // Merge slot holds of other customers checking out
+      if (providerId != null) {
+        try {
+          const slotHoldService = require('./slotHoldService');
+          const holds = await slotHoldService.getActiveHolds({ providerId, resourceIds, fromDate, toDate });
+          for (const hold of holds) {
+            if (holdOwner && slotHoldService.isOwner(hold, holdOwner)) continue;
+            existingSlots.push({
+              startTime: hold.startTime,
+              endTime: hold.endTime,
+              startDate: hold.startTime.slice(0, 10),
+              providerId: hold.providerId,
+              practiceId,
+              appointmentReasonId: hold.appointmentReasonId,
+              resourceIds: hold.resourceIds,
+              holdId: hold.id
+            });
+          }
+        } catch (e) {
+          logger.debug('[AVAILABILITY_CALCULATOR] slot hold overlay failed', { error: e?.message });
+        }
+      }
+
       logger.debug('[AVAILABILITY_CALCULATOR] Found existing appointments', {
         count: existingSlots.length,
         fromDate,
@@ -145,78 +223,114 @@ class AvailabilityCalculator {
 
   /**
    * Generate potential time slots based on business hours
+   * Uses the provider's schedule (inheriting practice/state/global defaults).
+   * Days and business hours are interpreted in the schedule's IANA timezone, so a
+   * 09:00-17:00 schedule means 09:00-17:00 provider-local time regardless of the
+   * server zone, including on DST transition days.
+   * Appointment reason rules set the slot length and the buffers kept free around
+   * each slot; consecutive slots are spaced so their buffers do not overlap. Each slot
+   * carries the reason's capacity (attendees) and the extra resources it books.
    */
-  async generateTimeSlots({ fromDate, toDate, slotDuration, practiceId, providerId }) {
-    await availabilityService.ensureInitialized();
-    const settings = availabilityService.settings;
+  async generateTimeSlots({ fromDate, toDate, slotDuration, practiceId, providerId, state, rules = null }) {
+    const settings = await availabilityService.getScheduleSettings({ practiceId, state, providerId });
+    const tz = availabilityService.resolveTimezone(settings);
+    rules = rules || await appointmentReasonRuleService.resolveRules({ practiceId, settings });
+    slotDuration = slotDuration || rules.durationMinutes || settings.slotDuration || 30;
+    const bufferBefore = rules.bufferBeforeMinutes || 0;
+    const bufferAfter = rules.bufferAfterMinutes || 0;
 
     const slots = [];
-    const start = new Date(fromDate + 'T00:00:00');
-    const end = new Date(toDate + 'T23:59:59');
-    const current = new Date(start);
+    const current = moment.tz(fromDate, 'YYYY-MM-DD', tz).startOf('day');
+    const last = moment.tz(toDate, 'YYYY-MM-DD', tz).startOf('day');
 
-    while (current <= end) {
-      const dateStr = current.toISOString().split('T')[0];
+    while (current.isSameOrBefore(last, 'day')) {
+      const dateStr = current.format('YYYY-MM-DD');
       // Get weekday name and convert to lowercase (monday, tuesday, etc.)
-      const dayOfWeek = current.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+      const dayOfWeek = current.clone().locale('en').format('dddd').toLowerCase();
       const daySettings = settings.businessHours[dayOfWeek];
 
       if (daySettings && daySettings.enabled) {
-        const [startHour, startMinute] = daySettings.start.split(':').map(Number);
-        const [endHour, endMinute] = daySettings.end.split(':').map(Number);
-
-        const dayStart = new Date(current);
-        dayStart.setHours(startHour, startMinute, 0, 0);
+        // Wall-clock times in the provider zone; a start inside a DST gap rolls forward
+        const dayStart = moment.tz(`${dateStr} ${daySettings.start}`, 'YYYY-MM-DD HH:mm', tz);
+        const dayEnd = moment.tz(`${dateStr} ${daySettings.end}`, 'YYYY-MM-DD HH:mm', tz);
 
-        const dayEnd = new Date(current);
-        dayEnd.setHours(endHour, endMinute, 0, 0);
+        let slotTime = dayStart.clone();
 
-        let slotTime = new Date(dayStart);
+        while (slotTime.isBefore(dayEnd)) {
+          const slotEnd = slotTime.clone().add(slotDuration, 'minutes');
 
-        while (slotTime < dayEnd) {
-          const slotEnd = new Date(slotTime.getTime() + slotDuration * 60 * 1000);
-
-          if (slotEnd <= dayEnd) {
+          if (slotEnd.isSameOrBefore(dayEnd)) {
             slots.push({
               startTime: slotTime.toISOString(),
               endTime: slotEnd.toISOString(),
               startDate: dateStr,
+              localStartTime: slotTime.format(),
+              localEndTime: slotEnd.format(),
+              timezone: tz,
               providerId,
               practiceId,
-              duration: slotDuration
+              duration: slotDuration,
+              appointmentReasonId: rules.appointmentReasonId,
+              bufferBeforeMinutes: bufferBefore,
+              bufferAfterMinutes: bufferAfter,
+              capacity: rules.capacity || 1,
+              resourceIds: rules.resourceIds || []
             });
           }
 
-          slotTime = new Date(slotTime.getTime() + slotDuration * 60 * 1000);
+          slotTime = slotEnd.clone().add(bufferAfter + bufferBefore, 'minutes');
         }
       }
 
-      current.setDate(current.getDate() + 1);
-      current.setHours(0, 0, 0, 0);
+      current.add(1, 'day');
     }
 
     logger.debug('[AVAILABILITY_CALCULATOR] Generated potential slots', {
       count: slots.length,
       fromDate,
-      toDate
+      toDate,
+      timezone: tz
     });
 
     return slots;
   }
 
+  // Whether an appointment is an attendee of a group slot rather than a conflict with it
+  isSameSession(slot, apt) {
+    if (new Date(apt.startTime).getTime() !== new Date(slot.startTime).getTime()) return false;
+    if (apt.providerId != null && slot.providerId != null && String(apt.providerId) !== String(slot.providerId)) return false;
+    return !!apt.appointmentReasonId && String(apt.appointmentReasonId) === String(slot.appointmentReasonId);
+  }
+
   /**
    * Filter out slots that conflict with existing appointments
    * Uses full ISO start/end; if apt.endTime is missing, assumes 30min after apt.startTime.
+   * A slot's buffers (bufferBeforeMinutes/bufferAfterMinutes) must also be free of appointments.
+   * Also drops slots covered by availability exceptions (recurring time off, vacations, holidays),
+   * evaluated in each slot's timezone.
+   * Group slots (capacity > 1) stay available while the appointments booked into the same
+   * session (same provider, start and reason) leave seats free; remainingCapacity is set on
+   * the slot. Any other overlapping appointment, including one of another provider using a
+   * resource the slot needs, is a conflict.
    */
-  filterConflictingSlots(potentialSlots, existingAppointments) {
+  filterConflictingSlots(potentialSlots, existingAppointments, exceptions = []) {
     const availableSlots = [];
+    let excluded = 0;
+    const scheduledExceptions = exceptions.length
+      ? availabilityExceptionService.withOccurrences(exceptions, potentialSlots)
+      : exceptions;
 
     for (const slot of potentialSlots) {
-      const slotStart = new Date(slot.startTime);
-      const slotEnd = new Date(slot.endTime);
+      const slotStart = new Date(new Date(slot.startTime).getTime() - (slot.bufferBeforeMinutes || 0) * 60 * 1000);
+      const slotEnd = new Date(new Date(slot.endTime).getTime() + (slot.bufferAfterMinutes || 0) * 60 * 1000);
       if (isNaN(slotStart.getTime()) || isNaN(slotEnd.getTime())) continue;
 
-      const hasConflict = existingAppointments.some(apt => {
+      if (scheduledExceptions.some(exception => availabilityExceptionService.blocksSlot(exception, slot))) {
+        excluded++;
+        continue;
+      }
+
+      const overlapping = existingAppointments.filter(apt => {
         const rawStart = apt.startTime || apt.startDate;
         if (!rawStart) return false;
         const aptStart = new Date(rawStart);
@@ -230,15 +344,28 @@ class AvailabilityCalculator {
         return slotStart < aptEnd && slotEnd > aptStart;
       });
 
-      if (!hasConflict) {
-        availableSlots.push(slot);
+      const capacity = slot.capacity || 1;
+      if (capacity <= 1) {
+        if (overlapping.length === 0) availableSlots.push(slot);
+        continue;
+      }
+
+      let attendees = 0;
+      const hasConflict = overlapping.some(apt => {
+        if (!this.isSameSession(slot, apt)) return true;
+        attendees += apt.attendees || 1;
+        return false;
+      });
+      if (!hasConflict && attendees < capacity) {
+        availableSlots.push({ ...slot, remainingCapacity: capacity - attendees });
       }
     }
 
     logger.debug('[AVAILABILITY_CALCULATOR] Filtered conflicting slots', {
       potential: potentialSlots.length,
       available: availableSlots.length,
-      conflicts: potentialSlots.length - availableSlots.length
+      conflicts: potentialSlots.length - availableSlots.length - excluded,
+      excludedByExceptions: excluded
     });
 
     return availableSlots;
@@ -0,0 +1,291 @@
+// backend/src/services/availabilityExceptionService.js
+// Recurring and one-off availability exceptions (time off, closures, holidays)
+// Uses PostgreSQL for persistent storage; evaluated by availabilityCalculator.filterConflictingSlots
+
+const moment = require('moment-timezone');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const { parseRRule, occursOn, occurrencesBetween, isHoliday, HOLIDAY_CALENDARS } = require('../utils/recurrenceUtils');
+
+const SCOPE_KEYS = ['practiceId', 'state', 'providerId'];
+
+// pg returns DATE columns as local-midnight Date objects
+function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) return moment(value).format('YYYY-MM-DD');
+  return String(value).slice(0, 10);
+}
+
+class AvailabilityExceptionService {
+  constructor() {
+    this.exceptions = [];
+    this.loaded = false;
+  }
+
+  rowToException(row) {
+    return {
+      id: row.id,
+      practiceId: row.practice_id || null,
+      state: row.state || null,
+      providerId: row.provider_id || null,
+      label: row.label || null,
+      rrule: row.rrule || null,
+      holidayCalendar: row.holiday_calendar || null,
+      startDate: toDateString(row.start_date),
+      endDate: toDateString(row.end_date),
+      startTime: row.start_time || null,
+      endTime: row.end_time || null,
+      exdates: row.exdates || [],
+      active: row.active !== false,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async load() {
+    try {
+      const { rows } = await query('SELECT * FROM availability_exceptions ORDER BY id');
+      this.exceptions = rows.map(row => this.rowToException(row));
+      logger.info('[AVAILABILITY_EXCEPTIONS] Exceptions loaded from database', { count: this.exceptions.length });
+    } catch (error) {
+      logger.error('[AVAILABILITY_EXCEPTIONS] Failed to load exceptions from database:', error);
+      this.exceptions = [];
+    }
+    this.loaded = true;
+    return this.exceptions;
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Validate exception fields, throwing a descriptive error for bad input
+   * @param {Object} data - Exception fields (camelCase)
+   */
+  validate(data) {
+    if (!data.startDate || !moment(data.startDate, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('startDate is required (YYYY-MM-DD)');
+    }
+    if (data.endDate && !moment(data.endDate, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('endDate must be YYYY-MM-DD');
+    }
+    if (data.endDate && data.endDate < data.startDate) {
+      throw new Error('endDate must be on or after startDate');
+    }
+    if (data.rrule && data.holidayCalendar) {
+      throw new Error('An exception cannot have both an rrule and a holidayCalendar');
+    }
+    if (data.rrule) {
+      parseRRule(data.rrule);
+    }
+    if (data.holidayCalendar && !HOLIDAY_CALENDARS[String(data.holidayCalendar).toUpperCase()]) {
+      throw new Error(`Unknown holidayCalendar: ${data.holidayCalendar}. Supported: ${Object.keys(HOLIDAY_CALENDARS).join(', ')}`);
+    }
+    if (!!data.startTime !== !!data.endTime) {
+      throw new Error('startTime and endTime must be provided together');
+    }
+    if (data.startTime && data.endTime <= data.startTime) {
+      throw new Error('endTime must be after startTime');
+    }
+    if (data.exdates && !Array.isArray(data.exdates)) {
+      throw new Error('exdates must be an array of YYYY-MM-DD dates');
+    }
+  }
+
+  async list(scope = null) {
+    await this.ensureLoaded();
+    if (!scope) return [...this.exceptions];
+    return this.exceptions.filter(exception => SCOPE_KEYS.every(
+      key => !scope[key] || String(exception[key] || '') === String(scope[key])
+    ));
+  }
+
+  async get(id) {
+    await this.ensureLoaded();
+    return this.exceptions.find(exception => String(exception.id) === String(id)) || null;
+  }
+
+  async create(data) {
+    await this.ensureLoaded();
+    this.validate(data);
+
+    const { rows } = await query(
+      `INSERT INTO availability_exceptions (practice_id, state, provider_id, label, rrule, holiday_calendar, start_date, end_date, start_time, end_time, exdates, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      this.toParams(data)
+    );
+
+    const exception = this.rowToException(rows[0]);
+    this.exceptions.push(exception);
+    logger.info('[AVAILABILITY_EXCEPTIONS] Exception created', { id: exception.id, label: exception.label });
+    return exception;
+  }
+
+  async update(id, changes) {
+    const existing = await this.get(id);
+    if (!existing) return null;
+
+    const data = { ...existing, ...changes };
+    this.validate(data);
+
+    const { rows } = await query(
+      `UPDATE availability_exceptions SET
+         practice_id = $1, state = $2, provider_id = $3, label = $4, rrule = $5, holiday_calendar = $6,
+         start_date = $7, end_date = $8, start_time = $9, end_time = $10, exdates = $11, active = $12,
+         updated_at = NOW()
+       WHERE id = $13
+       RETURNING *`,
+      [...this.toParams(data), id]
+    );
+    if (rows.length === 0) return null;
+
+    const exception = this.rowToException(rows[0]);
+    this.exceptions = this.exceptions.map(e => (String(e.id) === String(id) ? exception : e));
+    logger.info('[AVAILABILITY_EXCEPTIONS] Exception updated', { id });
+    return exception;
+  }
+
+  async delete(id) {
+    await this.ensureLoaded();
+    const { rowCount } = await query('DELETE FROM availability_exceptions WHERE id = $1', [id]);
+    this.exceptions = this.exceptions.filter(exception => String(exception.id) !== String(id));
+    return rowCount > 0;
+  }
+
+  toParams(data) {
+    return [
+      data.practiceId ? String(data.practiceId) : null,
+      data.state ? String(data.state).toUpperCase() : null,
+      data.providerId ? String(data.providerId) : null,
+      data.label || null,
+      data.rrule || null,
+      data.holidayCalendar ? String(data.holidayCalendar).toUpperCase() : null,
+      data.startDate,
+      data.endDate || null,
+      data.startTime || null,
+      data.endTime || null,
+      JSON.stringify(data.exdates || []),
+      data.active !== false
+    ];
+  }
+
+  // Active exceptions that apply to a practice/state/provider (NULL scope columns match any)
+  async getExceptionsForScope(scope = {}) {
+    await this.ensureLoaded();
+    return this.exceptions.filter(exception =>
+      exception.active && SCOPE_KEYS.every(key => {
+        if (!exception[key]) return true;
+        const target = key === 'state' && scope[key] ? String(scope[key]).toUpperCase() : scope[key];
+        return target !== undefined && target !== null && String(exception[key]) === String(target);
+      })
+    );
+  }
+
+  /**
+   * Whether an exception applies on a provider-local calendar date
+   * @param {Object} exception
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {boolean}
+   */
+  occursOn(exception, dateStr) {
+    // Worked out ahead for a range of dates (withOccurrences)
+    if (exception.occurrences) return exception.occurrences.has(dateStr);
+    if ((exception.exdates || []).includes(dateStr)) return false;
+    if (dateStr < exception.startDate) return false;
+    if (exception.endDate && dateStr > exception.endDate) return false;
+
+    if (exception.holidayCalendar) {
+      return isHoliday(exception.holidayCalendar, dateStr);
+    }
+    if (exception.rrule) {
+      try {
+        return occursOn(exception.rrule, exception.startDate, dateStr, { exdates: exception.exdates || [] });
+      } catch (error) {
+        logger.warn('[AVAILABILITY_EXCEPTIONS] Invalid rrule, ignoring exception', { id: exception.id, error: error.message });
+        return false;
+      }
+    }
+    // One-off date or range (endDate defaults to startDate)
+    return dateStr <= (exception.endDate || exception.startDate);
+  }
+
+  /**
+   * Whether an exception removes a slot
+   * The slot is converted to its timezone (slot.timezone) so dates and times are provider-local.
+   * @param {Object} exception
+   * @param {Object} slot - { startTime, endTime, timezone }
+   * @param {string} defaultTimezone - Used when the slot carries no timezone
+   * @returns {boolean}
+   */
+  blocksSlot(exception, slot, defaultTimezone = 'America/Los_Angeles') {
+    const tz = slot.timezone || defaultTimezone;
+    const start = moment.tz(slot.startTime, tz);
+    const end = slot.endTime ? moment.tz(slot.endTime, tz) : start.clone().add(30, 'minutes');
+    if (!start.isValid()) return false;
+
+    const dateStr = start.format('YYYY-MM-DD');
+    if (!this.occursOn(exception, dateStr)) return false;
+    if (!exception.startTime) return true; // All-day exception
+
+    const windowStart = moment.tz(`${dateStr} ${exception.startTime}`, 'YYYY-MM-DD HH:mm', tz);
+    const windowEnd = moment.tz(`${dateStr} ${exception.endTime}`, 'YYYY-MM-DD HH:mm', tz);
+    return start.isBefore(windowEnd) && end.isAfter(windowStart);
+  }
+
+  /**
+   * Dates an exception applies to within a range (for admin previews)
+   * @returns {string[]} YYYY-MM-DD dates
+   */
+  getOccurrences(exception, fromDate, toDate, limit = 366) {
+    if (exception.rrule && !exception.holidayCalendar) {
+      // One scan of the rule instead of evaluating it (and its COUNT) per date
+      const from = fromDate > exception.startDate ? fromDate : exception.startDate;
+      const to = exception.endDate && exception.endDate < toDate ? exception.endDate : toDate;
+      try {
+        return occurrencesBetween(exception.rrule, exception.startDate, from, to, { exdates: exception.exdates || [] }).slice(0, limit);
+      } catch (error) {
+        logger.warn('[AVAILABILITY_EXCEPTIONS] Invalid rrule, ignoring exception', { id: exception.id, error: error.message });
+        return [];
+      }
+    }
+    const dates = [];
+    const cursor = moment.utc(fromDate, 'YYYY-MM-DD');
+    const last = moment.utc(toDate, 'YYYY-MM-DD');
+    while (cursor.isSameOrBefore(last) && dates.length < limit) {
+      const dateStr = cursor.format('YYYY-MM-DD');
+      if (this.occursOn(exception, dateStr)) dates.push(dateStr);
+      cursor.add(1, 'day');
+    }
+    return dates;
+  }
+
+  /**
+   * Work out once the dates each exception applies to over the dates of a set of slots, so
+   * blocksSlot checks a slot with a lookup instead of evaluating the rule per slot
+   * @param {Object[]} exceptions
+   * @param {Object[]} slots - { startTime, timezone }
+   * @param {string} defaultTimezone - Used when a slot carries no timezone
+   * @returns {Object[]} Exceptions with an `occurrences` Set of YYYY-MM-DD dates
+   */
+  withOccurrences(exceptions, slots, defaultTimezone = 'America/Los_Angeles') {
+    const dates = slots
+      .map(slot => moment.tz(slot.startTime, slot.timezone || defaultTimezone))
+      .filter(start => start.isValid())
+      .map(start => start.format('YYYY-MM-DD'))
+      .sort();
+    if (!dates.length) return exceptions;
+    const fromDate = dates[0];
+    const toDate = dates[dates.length - 1];
+    return exceptions.map(exception => ({
+      ...exception,
+      occurrences: new Set(this.getOccurrences(exception, fromDate, toDate, Infinity))
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new AvailabilityExceptionService();
@@ -2,13 +2,31 @@
 // Service to manage and adjust appointment availability settings
 // Uses PostgreSQL for persistent storage
 
+const moment = require('moment-timezone');
 const { query } = require('../db/pg');
 const logger = require('../utils/logger');
 
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+// Scheduling fields a practice/state/provider schedule may override (camelCase -> column)
+const SCHEDULE_FIELDS = {
+  businessHours: 'business_hours',
+  blockedDates: 'blocked_dates',
+  blockedTimeSlots: 'blocked_time_slots',
+  advanceBookingDays: 'advance_booking_days',
+  slotDuration: 'slot_duration',
+  bufferTime: 'buffer_time',
+  maxSlotsPerDay: 'max_slots_per_day',
+  timezone: 'timezone'
+};
+const JSON_FIELDS = ['businessHours', 'blockedDates', 'blockedTimeSlots'];
+
 class AvailabilityService {
   constructor() {
     this.settings = null; // Will be loaded from database
     this.initialized = false;
+    this.schedules = []; // Practice/state/provider overrides of the global settings
+    this.schedulesLoaded = false;
   }
 
   // Default settings (used if database is empty)
@@ -29,7 +47,7 @@ class AvailabilityService {
       slotDuration: 30,
       bufferTime: 0,
       maxSlotsPerDay: null,
-      timezone: 'America/Los_Angeles'
+      timezone: DEFAULT_TIMEZONE
     };
   }
 
@@ -115,6 +133,199 @@ class AvailabilityService {
     if (!this.initialized) {
       await this.loadSettings();
     }
+    if (!this.schedulesLoaded) {
+      await this.loadSchedules();
+    }
+  }
+
+  // Normalize a { practiceId, state, providerId } scope; missing keys become null
+  normalizeScope(scope = {}) {
+    const clean = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+    return {
+      practiceId: clean(scope.practiceId),
+      state: scope.state ? String(scope.state).toUpperCase() : null,
+      providerId: clean(scope.providerId)
+    };
+  }
+
+  isEmptyScope(scope) {
+    const { practiceId, state, providerId } = this.normalizeScope(scope);
+    return !practiceId && !state && !providerId;
+  }
+
+  // Map a scoped availability_settings row to { id, scope, overrides }
+  rowToSchedule(row) {
+    const overrides = {};
+    for (const [field, column] of Object.entries(SCHEDULE_FIELDS)) {
+      const value = row[column];
+      if (value === null || value === undefined) continue;
+      if (Array.isArray(value) && value.length === 0) continue;
+      overrides[field] = value;
+    }
+    return {
+      id: row.id,
+      label: row.label || null,
+      scope: this.normalizeScope({ practiceId: row.practice_id, state: row.state, providerId: row.provider_id }),
+      overrides,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Load practice/state/provider schedules (every row except the global one)
+  async loadSchedules() {
+    try {
+      const { rows } = await query(
+        'SELECT * FROM availability_settings WHERE id <> 1 ORDER BY id'
+      );
+      this.schedules = rows.map(row => this.rowToSchedule(row));
+      logger.info('[AVAILABILITY] Schedules loaded from database', { count: this.schedules.length });
+    } catch (error) {
+      logger.error('[AVAILABILITY] Failed to load schedules from database:', error);
+      this.schedules = [];
+    }
+    this.schedulesLoaded = true;
+    return this.schedules;
+  }
+
+  // More specific scopes win: provider > state > practice
+  scopeSpecificity(scope) {
+    return (scope.providerId ? 4 : 0) + (scope.state ? 2 : 0) + (scope.practiceId ? 1 : 0);
+  }
+
+  // Schedules that apply to a scope, least specific first
+  getMatchingSchedules(scope = {}) {
+    const target = this.normalizeScope(scope);
+    return this.schedules
+      .filter(schedule => ['practiceId', 'state', 'providerId'].every(
+        key => !schedule.scope[key] || schedule.scope[key] === target[key]
+      ))
+      .sort((a, b) => this.scopeSpecificity(a.scope) - this.scopeSpecificity(b.scope));
+  }
+
+  // Layer schedule overrides on top of inherited settings.
+  // Business hours merge per day, blocked dates/slots accumulate, scalar fields replace.
+  mergeSettings(base, overrides = {}) {
+    const merged = {
+      ...base,
+      businessHours: { ...(base.businessHours || {}) },
+      blockedDates: [...(base.blockedDates || [])],
+      blockedTimeSlots: [...(base.blockedTimeSlots || [])]
+    };
+
+    if (overrides.businessHours) {
+      for (const [day, hours] of Object.entries(overrides.businessHours)) {
+        merged.businessHours[day] = { ...(merged.businessHours[day] || {}), ...hours };
+      }
+    }
+    for (const date of overrides.blockedDates || []) {
+      if (!merged.blockedDates.includes(date)) merged.blockedDates.push(date);
+    }
+    for (const slot of overrides.blockedTimeSlots || []) {
+      const exists = merged.blockedTimeSlots.some(
+        b => b.date === slot.date && b.startTime === slot.startTime && b.endTime === slot.endTime
+      );
+      if (!exists) merged.blockedTimeSlots.push(slot);
+    }
+    for (const field of Object.keys(SCHEDULE_FIELDS)) {
+      if (JSON_FIELDS.includes(field)) continue;
+      if (overrides[field] !== undefined && overrides[field] !== null) {
+        merged[field] = overrides[field];
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Resolve the effective schedule for a provider.
+   * Starts from the global settings and applies matching practice, state and
+   * provider schedules in order of specificity.
+   * @param {Object} scope - { practiceId, state, providerId }
+   * @returns {Promise<Object>} Settings object with the same shape as getSettings()
+   */
+  async getScheduleSettings(scope = {}) {
+    await this.ensureInitialized();
+    return this.getMatchingSchedules(scope).reduce(
+      (settings, schedule) => this.mergeSettings(settings, schedule.overrides),
+      this.mergeSettings(this.settings, {})
+    );
+  }
+
+  // Schedule stored for exactly this scope, if any
+  findSchedule(scope) {
+    const target = this.normalizeScope(scope);
+    return this.schedules.find(schedule =>
+      ['practiceId', 'state', 'providerId'].every(key => schedule.scope[key] === target[key])
+    ) || null;
+  }
+
+  async listSchedules() {
+    await this.ensureInitialized();
+    return this.schedules.map(schedule => ({ ...schedule }));
+  }
+
+  async getSchedule(id) {
+    await this.ensureInitialized();
+    return this.schedules.find(schedule => String(schedule.id) === String(id)) || null;
+  }
+
+  /**
+   * Create or replace the schedule for a practice/state/provider scope.
+   * Only the fields present in `overrides` are stored; the rest are inherited.
+   */
+  async upsertSchedule(scope, overrides = {}, label = null) {
+    await this.ensureInitialized();
+    const target = this.normalizeScope(scope);
+    if (this.isEmptyScope(target)) {
+      throw new Error('A practiceId, state or providerId is required for a scoped schedule');
+    }
+
+    const values = Object.entries(SCHEDULE_FIELDS).map(([field]) => {
+      const value = overrides[field];
+      if (value === undefined) return null;
+      return JSON_FIELDS.includes(field) ? JSON.stringify(value) : value;
+    });
+
+    const { rows } = await query(
+      `INSERT INTO availability_settings (practice_id, state, provider_id, label, business_hours, blocked_dates, blocked_time_slots, advance_booking_days, slot_duration, buffer_time, max_slots_per_day, timezone, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+       ON CONFLICT ((COALESCE(practice_id, '')), (COALESCE(state, '')), (COALESCE(provider_id, ''))) DO UPDATE SET
+         label = EXCLUDED.label,
+         business_hours = EXCLUDED.business_hours,
+         blocked_dates = EXCLUDED.blocked_dates,
+         blocked_time_slots = EXCLUDED.blocked_time_slots,
+         advance_booking_days = EXCLUDED.advance_booking_days,
+         slot_duration = EXCLUDED.slot_duration,
+         buffer_time = EXCLUDED.buffer_time,
+         max_slots_per_day = EXCLUDED.max_slots_per_day,
+         timezone = EXCLUDED.timezone,
+         updated_at = NOW()
+       RETURNING *`,
+      [target.practiceId, target.state, target.providerId, label, ...values]
+    );
+
+    const schedule = this.rowToSchedule(rows[0]);
+    this.schedules = this.schedules.filter(s => String(s.id) !== String(schedule.id)).concat(schedule);
+    logger.info('[AVAILABILITY] Schedule saved', { id: schedule.id, scope: schedule.scope });
+    return schedule;
+  }
+
+  // Merge changes into the existing schedule for a scope (creating it if needed)
+  async updateSchedule(scope, changes = {}, label) {
+    await this.ensureInitialized();
+    const target = this.normalizeScope(scope);
+    const existing = this.findSchedule(target);
+    const overrides = { ...(existing?.overrides || {}), ...changes };
+    return this.upsertSchedule(target, overrides, label !== undefined ? label : existing?.label || null);
+  }
+
+  async deleteSchedule(id) {
+    await this.ensureInitialized();
+    if (String(id) === '1') {
+      throw new Error('The global availability settings cannot be deleted');
+    }
+    const { rowCount } = await query('DELETE FROM availability_settings WHERE id = $1 AND id <> 1', [id]);
+    this.schedules = this.schedules.filter(schedule => String(schedule.id) !== String(id));
+    return rowCount > 0;
   }
 
   // Get current availability settings
@@ -136,63 +347,97 @@ class AvailabilityService {
     return this.settings;
   }
 
-  // Filter Tebra availability based on business rules
+  // IANA timezone a schedule is expressed in (falls back to the default if invalid)
+  resolveTimezone(settings = {}) {
+    const tz = settings.timezone;
+    if (tz && moment.tz.zone(tz)) return tz;
+    if (tz) {
+      logger.warn('[AVAILABILITY] Unknown timezone in schedule, using default', { timezone: tz });
+    }
+    return DEFAULT_TIMEZONE;
+  }
+
+  // Slot start as a moment in the schedule's timezone
+  getSlotStart(slot, tz) {
+    return moment.tz(slot.startTime || slot.StartTime || slot.startDate, tz);
+  }
+
+  // Add provider-local times next to the UTC ones (startTime/endTime stay UTC ISO)
+  withLocalTimes(slot, tz) {
+    const start = this.getSlotStart(slot, tz);
+    const rawEnd = slot.endTime || slot.EndTime;
+    const end = rawEnd ? moment.tz(rawEnd, tz) : null;
+    return {
+      ...slot,
+      startDate: start.format('YYYY-MM-DD'),
+      localStartTime: start.format(),
+      localEndTime: end && end.isValid() ? end.format() : slot.localEndTime,
+      timezone: tz
+    };
+  }
+
+  // Filter Tebra availability based on business rules.
+  // Business hours, blocked dates/slots and daily caps are evaluated in the
+  // provider's timezone, so results do not depend on the server's local zone.
+  // options.minNoticeMinutes drops slots starting too soon to book (appointment reason rule).
   async filterAvailability(tebraSlots, options = {}) {
     await this.ensureInitialized();
     const {
       state,
       practiceId,
-      providerId
+      providerId,
+      minNoticeMinutes = 0
     } = options;
 
     if (!tebraSlots || !Array.isArray(tebraSlots)) {
       return [];
     }
 
-    const now = new Date();
+    const settings = await this.getScheduleSettings({ state, practiceId, providerId });
+    const tz = this.resolveTimezone(settings);
+    const now = Date.now();
     const filteredSlots = [];
 
     for (const slot of tebraSlots) {
-      const slotStart = new Date(slot.startTime || slot.StartTime || slot.startDate);
+      const slotStart = this.getSlotStart(slot, tz);
+      if (!slotStart.isValid()) {
+        continue;
+      }
       
-      // Skip if slot is in the past
-      if (slotStart.getTime() < now.getTime()) {
+      // Skip if slot is in the past or inside the minimum booking notice
+      if (slotStart.valueOf() < now + (minNoticeMinutes || 0) * 60 * 1000) {
         continue;
       }
 
       // Check advance booking window
-      const daysFromNow = Math.floor((slotStart.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
-      if (daysFromNow > this.settings.advanceBookingDays) {
+      const daysFromNow = Math.floor((slotStart.valueOf() - now) / (1000 * 60 * 60 * 24));
+      if (daysFromNow > settings.advanceBookingDays) {
         continue;
       }
 
-      // Check if date is blocked
-      const slotDateStr = slotStart.toISOString().split('T')[0];
-      if (this.settings.blockedDates.includes(slotDateStr)) {
+      // Check if date is blocked (provider-local calendar date)
+      const slotDateStr = slotStart.format('YYYY-MM-DD');
+      if (settings.blockedDates.includes(slotDateStr)) {
         continue;
       }
 
       // Check business hours
       // Get weekday name and convert to lowercase (monday, tuesday, etc.)
-      const dayOfWeek = slotStart.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-      const daySettings = this.settings.businessHours[dayOfWeek];
+      const dayOfWeek = slotStart.clone().locale('en').format('dddd').toLowerCase();
+      const daySettings = settings.businessHours[dayOfWeek];
       
       if (!daySettings || !daySettings.enabled) {
         continue;
       }
 
-      const slotTime = slotStart.toLocaleTimeString('en-US', { 
-        hour12: false, 
-        hour: '2-digit', 
-        minute: '2-digit' 
-      }).slice(0, 5); // HH:MM format
+      const slotTime = slotStart.format('HH:mm');
 
       if (slotTime < daySettings.start || slotTime >= daySettings.end) {
         continue;
       }
 
       // Check if specific time slot is blocked
-      const isBlocked = this.settings.blockedTimeSlots.some(blocked => {
+      const isBlocked = settings.blockedTimeSlots.some(blocked => {
         if (blocked.date !== slotDateStr) return false;
         const blockedStart = blocked.startTime;
         const blockedEnd = blocked.endTime;
@@ -204,15 +449,16 @@ class AvailabilityService {
       }
 
       // All checks passed - include this slot
-      filteredSlots.push(slot);
+      filteredSlots.push(this.withLocalTimes(slot, tz));
     }
 
+    const byStartTime = (a, b) => this.getSlotStart(a, tz).valueOf() - this.getSlotStart(b, tz).valueOf();
+
     // Apply max slots per day limit if set
-    if (this.settings.maxSlotsPerDay) {
+    if (settings.maxSlotsPerDay) {
       const slotsByDate = {};
       filteredSlots.forEach(slot => {
-        const slotStart = new Date(slot.startTime || slot.StartTime || slot.startDate);
-        const dateStr = slotStart.toISOString().split('T')[0];
+        const dateStr = slot.startDate;
         if (!slotsByDate[dateStr]) {
           slotsByDate[dateStr] = [];
         }
@@ -221,32 +467,26 @@ class AvailabilityService {
 
       const limitedSlots = [];
       Object.keys(slotsByDate).forEach(dateStr => {
-        const daySlots = slotsByDate[dateStr].sort((a, b) => {
-          const timeA = new Date(a.startTime || a.StartTime || a.startDate).getTime();
-          const timeB = new Date(b.startTime || b.StartTime || b.startDate).getTime();
-          return timeA - timeB;
-        });
-        limitedSlots.push(...daySlots.slice(0, this.settings.maxSlotsPerDay));
+        const daySlots = slotsByDate[dateStr].sort(byStartTime);
+        limitedSlots.push(...daySlots.slice(0, settings.maxSlotsPerDay));
       });
 
-      return limitedSlots.sort((a, b) => {
-        const timeA = new Date(a.startTime || a.StartTime || a.startDate).getTime();
-        const timeB = new Date(b.startTime || b.StartTime || b.startDate).getTime();
-        return timeA - timeB;
-      });
+      return limitedSlots.sort(byStartTime);
     }
 
-    return filteredSlots.sort((a, b) => {
-      const timeA = new Date(a.startTime || a.StartTime || a.startDate).getTime();
-      const timeB = new Date(b.startTime || b.StartTime || b.startDate).getTime();
-      return timeA - timeB;
-    });
+    return filteredSlots.sort(byStartTime);
   }
 
-  // Block a specific date
-  async blockDate(date) {
+  // Block a specific date (globally, or only for the given practice/state/provider scope)
+  async blockDate(date, scope = null) {
     await this.ensureInitialized();
     const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
+    if (scope && !this.isEmptyScope(scope)) {
+      const current = (await this.getScopedOverrides(scope)).blockedDates || [];
+      if (current.includes(dateStr)) return current;
+      const schedule = await this.updateSchedule(scope, { blockedDates: [...current, dateStr] });
+      return schedule.overrides.blockedDates || [];
+    }
     if (!this.settings.blockedDates.includes(dateStr)) {
       this.settings.blockedDates.push(dateStr);
       await this.saveSettings();
@@ -255,16 +495,21 @@ class AvailabilityService {
   }
 
   // Unblock a date
-  async unblockDate(date) {
+  async unblockDate(date, scope = null) {
     await this.ensureInitialized();
     const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
+    if (scope && !this.isEmptyScope(scope)) {
+      const current = (await this.getScopedOverrides(scope)).blockedDates || [];
+      const schedule = await this.updateSchedule(scope, { blockedDates: current.filter(d => d !== dateStr) });
+      return schedule.overrides.blockedDates || [];
+    }
     this.settings.blockedDates = this.settings.blockedDates.filter(d => d !== dateStr);
     await this.saveSettings();
     return this.settings.blockedDates;
   }
 
   // Block a specific time slot
-  async blockTimeSlot(date, startTime, endTime) {
+  async blockTimeSlot(date, startTime, endTime, scope = null) {
     await this.ensureInitialized();
     const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
     const blocked = {
@@ -272,11 +517,17 @@ class AvailabilityService {
       startTime: startTime,
       endTime: endTime
     };
+    const isSame = b => b.date === dateStr && b.startTime === startTime && b.endTime === endTime;
+
+    if (scope && !this.isEmptyScope(scope)) {
+      const current = (await this.getScopedOverrides(scope)).blockedTimeSlots || [];
+      if (current.some(isSame)) return current;
+      const schedule = await this.updateSchedule(scope, { blockedTimeSlots: [...current, blocked] });
+      return schedule.overrides.blockedTimeSlots || [];
+    }
     
     // Check if already blocked
-    const exists = this.settings.blockedTimeSlots.some(
-      b => b.date === dateStr && b.startTime === startTime && b.endTime === endTime
-    );
+    const exists = this.settings.blockedTimeSlots.some(isSame);
     
     if (!exists) {
       this.settings.blockedTimeSlots.push(blocked);
@@ -287,16 +538,27 @@ class AvailabilityService {
   }
 
   // Unblock a time slot
-  async unblockTimeSlot(date, startTime, endTime) {
+  async unblockTimeSlot(date, startTime, endTime, scope = null) {
     await this.ensureInitialized();
     const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
-    this.settings.blockedTimeSlots = this.settings.blockedTimeSlots.filter(
-      b => !(b.date === dateStr && b.startTime === startTime && b.endTime === endTime)
-    );
+    const isSame = b => b.date === dateStr && b.startTime === startTime && b.endTime === endTime;
+    if (scope && !this.isEmptyScope(scope)) {
+      const current = (await this.getScopedOverrides(scope)).blockedTimeSlots || [];
+      const schedule = await this.updateSchedule(scope, { blockedTimeSlots: current.filter(b => !isSame(b)) });
+      return schedule.overrides.blockedTimeSlots || [];
+    }
+    this.settings.blockedTimeSlots = this.settings.blockedTimeSlots.filter(b => !isSame(b));
     await this.saveSettings();
     return this.settings.blockedTimeSlots;
   }
 
+  // Overrides stored on the schedule for exactly this scope (not inherited values)
+  async getScopedOverrides(scope) {
+    await this.ensureInitialized();
+    const schedule = this.findSchedule(scope);
+    return schedule ? schedule.overrides : {};
+  }
+
   // Update business hours for a day
   async updateBusinessHours(day, start, end, enabled = true) {
     await this.ensureInitialized();
@@ -22,8 +22,24 @@ CREATE TABLE IF NOT EXISTS billing_sync (
 );
 CREATE INDEX IF NOT EXISTS idx_billing_sync_patient ON billing_sync(tebra_patient_id);
 CREATE INDEX IF NOT EXISTS idx_billing_sync_pi ON billing_sync(stripe_payment_intent_id);
+-- Billable service (serviceCatalogService) the payment was for, when checkout went through the catalog
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS service_id TEXT;
+-- Refunds, disputes, invoices and subscription events (stripeBillingEventService)
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS stripe_charge_id TEXT;
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS stripe_invoice_id TEXT;
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT;
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS refunded_cents INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS disputed_cents INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS dispute_status TEXT;
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS tebra_adjustments JSONB NOT NULL DEFAULT '[]'::jsonb;
+CREATE INDEX IF NOT EXISTS idx_billing_sync_charge ON billing_sync(stripe_charge_id);
+-- Tebra account (tebraTenantService) the payment was posted to
+ALTER TABLE billing_sync ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
 `;
 
+// Columns applyChanges() may set
+const CHANGE_COLUMNS = ['status', 'error', 'stripe_charge_id', 'stripe_invoice_id', 'stripe_subscription_id', 'refunded_cents', 'disputed_cents', 'dispute_status'];
+
 let initialized = false;
 async function ensureInit() {
   if (initialized) return;
@@ -59,19 +75,21 @@ async function upsertByEventId(eventId, data) {
       tebra_payment_id: data.tebra_payment_id || row.tebra_payment_id,
       amount_cents: data.amount_cents ?? row.amount_cents,
       currency: data.currency || row.currency,
+      service_id: data.service_id || row.service_id,
+      tenant_id: data.tenant_id || row.tenant_id,
       status: data.status || row.status,
       error: data.error || row.error,
     };
     const upd = await query(
-      `UPDATE billing_sync SET stripe_payment_intent_id=$1, stripe_customer_email=$2, tebra_patient_id=$3, tebra_practice_id=$4, tebra_charge_id=$5, tebra_payment_id=$6, amount_cents=$7, currency=$8, status=$9, error=$10, updated_at=NOW() WHERE stripe_event_id=$11 RETURNING *`,
-      [merged.stripe_payment_intent_id, merged.stripe_customer_email, merged.tebra_patient_id, merged.tebra_practice_id, merged.tebra_charge_id, merged.tebra_payment_id, merged.amount_cents, merged.currency, merged.status, merged.error, eventId]
+      `UPDATE billing_sync SET stripe_payment_intent_id=$1, stripe_customer_email=$2, tebra_patient_id=$3, tebra_practice_id=$4, tebra_charge_id=$5, tebra_payment_id=$6, amount_cents=$7, currency=$8, status=$9, error=$10, service_id=$11, tenant_id=$12, updated_at=NOW() WHERE stripe_event_id=$13 RETURNING *`,
+      [merged.stripe_payment_intent_id, merged.stripe_customer_email, merged.tebra_patient_id, merged.tebra_practice_id, merged.tebra_charge_id, merged.tebra_payment_id, merged.amount_cents, merged.currency, merged.status, merged.error, merged.service_id, merged.tenant_id, eventId]
     );
     return upd.rows[0];
   }
   const ins = await query(
-    `INSERT INTO billing_sync (stripe_event_id, stripe_payment_intent_id, stripe_customer_email, tebra_patient_id, tebra_practice_id, tebra_charge_id, tebra_payment_id, amount_cents, currency, status, error)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *`,
-    [eventId, data.stripe_payment_intent_id || null, data.stripe_customer_email || null, data.tebra_patient_id || null, data.tebra_practice_id || null, data.tebra_charge_id || null, data.tebra_payment_id || null, data.amount_cents ?? null, data.currency || null, data.status || null, data.error || null]
+    `INSERT INTO billing_sync (stripe_event_id, stripe_payment_intent_id, stripe_customer_email, tebra_patient_id, tebra_practice_id, tebra_charge_id, tebra_payment_id, amount_cents, currency, status, error, service_id, tenant_id)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING *`,
+    [eventId, data.stripe_payment_intent_id || null, data.stripe_customer_email || null, data.tebra_patient_id || null, data.tebra_practice_id || null, data.tebra_charge_id || null, data.tebra_payment_id || null, data.amount_cents ?? null, data.currency || null, data.status || null, data.error || null, data.service_id || null, data.tenant_id || 'default']
   );
   return ins.rows[0];
 }
@@ -95,12 +113,14 @@ async function upsertByPaymentIntentId(paymentIntentId, data) {
       tebra_payment_id: data.tebra_payment_id ?? row.tebra_payment_id,
       amount_cents: data.amount_cents ?? row.amount_cents,
       currency: data.currency || row.currency,
+      service_id: data.service_id || row.service_id,
+      tenant_id: data.tenant_id || row.tenant_id,
       status: data.status || row.status,
       error: data.error ?? row.error,
     };
     const upd = await query(
-      `UPDATE billing_sync SET stripe_customer_email=$1, tebra_patient_id=$2, tebra_practice_id=$3, tebra_charge_id=$4, tebra_payment_id=$5, amount_cents=$6, currency=$7, status=$8, error=$9, updated_at=NOW() WHERE stripe_event_id=$10 RETURNING *`,
-      [merged.stripe_customer_email, merged.tebra_patient_id, merged.tebra_practice_id, merged.tebra_charge_id, merged.tebra_payment_id, merged.amount_cents, merged.currency, merged.status, merged.error, eventId]
+      `UPDATE billing_sync SET stripe_customer_email=$1, tebra_patient_id=$2, tebra_practice_id=$3, tebra_charge_id=$4, tebra_payment_id=$5, amount_cents=$6, currency=$7, status=$8, error=$9, service_id=$10, tenant_id=$11, updated_at=NOW() WHERE stripe_event_id=$12 RETURNING *`,
+      [merged.stripe_customer_email, merged.tebra_patient_id, merged.tebra_practice_id, merged.tebra_charge_id, merged.tebra_payment_id, merged.amount_cents, merged.currency, merged.status, merged.error, merged.service_id, merged.tenant_id, eventId]
     );
     return upd.rows[0];
   }
@@ -108,9 +128,9 @@ async function upsertByPaymentIntentId(paymentIntentId, data) {
   // No existing record, create new one with provided event ID or generate one
   const eventId = data.stripe_event_id || `evt_sync_${paymentIntentId}_${Date.now()}`;
   const ins = await query(
-    `INSERT INTO billing_sync (stripe_event_id, stripe_payment_intent_id, stripe_customer_email, tebra_patient_id, tebra_practice_id, tebra_charge_id, tebra_payment_id, amount_cents, currency, status, error)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *`,
-    [eventId, paymentIntentId, data.stripe_customer_email || null, data.tebra_patient_id || null, data.tebra_practice_id || null, data.tebra_charge_id || null, data.tebra_payment_id || null, data.amount_cents ?? null, data.currency || null, data.status || null, data.error || null]
+    `INSERT INTO billing_sync (stripe_event_id, stripe_payment_intent_id, stripe_customer_email, tebra_patient_id, tebra_practice_id, tebra_charge_id, tebra_payment_id, amount_cents, currency, status, error, service_id, tenant_id)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING *`,
+    [eventId, paymentIntentId, data.stripe_customer_email || null, data.tebra_patient_id || null, data.tebra_practice_id || null, data.tebra_charge_id || null, data.tebra_payment_id || null, data.amount_cents ?? null, data.currency || null, data.status || null, data.error || null, data.service_id || null, data.tenant_id || 'default']
   );
   return ins.rows[0];
 }
@@ -166,14 +186,43 @@ async function updateByEventId(eventId, data){
     tebra_payment_id: data.tebra_payment_id || existing.tebra_payment_id,
     amount_cents: data.amount_cents ?? existing.amount_cents,
     currency: data.currency || existing.currency,
+    service_id: data.service_id || existing.service_id,
+    tenant_id: data.tenant_id || existing.tenant_id,
     status: data.status || existing.status,
     error: data.error || existing.error,
   };
   const upd = await query(
-    `UPDATE billing_sync SET stripe_payment_intent_id=$1, stripe_customer_email=$2, tebra_patient_id=$3, tebra_practice_id=$4, tebra_charge_id=$5, tebra_payment_id=$6, amount_cents=$7, currency=$8, status=$9, error=$10, updated_at=NOW() WHERE stripe_event_id=$11 RETURNING *`,
-    [merged.stripe_payment_intent_id, merged.stripe_customer_email, merged.tebra_patient_id, merged.tebra_practice_id, merged.tebra_charge_id, merged.tebra_payment_id, merged.amount_cents, merged.currency, merged.status, merged.error, eventId]
+    `UPDATE billing_sync SET stripe_payment_intent_id=$1, stripe_customer_email=$2, tebra_patient_id=$3, tebra_practice_id=$4, tebra_charge_id=$5, tebra_payment_id=$6, amount_cents=$7, currency=$8, status=$9, error=$10, service_id=$11, tenant_id=$12, updated_at=NOW() WHERE stripe_event_id=$13 RETURNING *`,
+    [merged.stripe_payment_intent_id, merged.stripe_customer_email, merged.tebra_patient_id, merged.tebra_practice_id, merged.tebra_charge_id, merged.tebra_payment_id, merged.amount_cents, merged.currency, merged.status, merged.error, merged.service_id, merged.tenant_id, eventId]
   );
   return upd.rows[0];
 }
 
-module.exports = { ensureInit, upsertByEventId, upsertByPaymentIntentId, getRecentForEmail, getByEventId, updateByEventId };
+// Most recent record of a payment, by payment intent or Stripe charge id
+async function findPayment({ paymentIntentId, chargeId } = {}) {
+  await ensureInit();
+  if (!paymentIntentId && !chargeId) return null;
+  const res = await query(
+    `SELECT * FROM billing_sync
+     WHERE ($1::text IS NOT NULL AND stripe_payment_intent_id=$1) OR ($2::text IS NOT NULL AND stripe_charge_id=$2)
+     ORDER BY created_at DESC LIMIT 1`,
+    [paymentIntentId || null, chargeId || null]
+  );
+  return res.rows[0] || null;
+}
+
+// Set refund / dispute / invoice fields of a record and optionally append a Tebra adjustment entry
+async function applyChanges(id, fields = {}, adjustment = null) {
+  await ensureInit();
+  const columns = CHANGE_COLUMNS.filter(column => fields[column] !== undefined);
+  const params = [id, ...columns.map(column => fields[column])];
+  const sets = columns.map((column, i) => `${column}=$${i + 2}`);
+  if (adjustment) {
+    params.push(JSON.stringify([adjustment]));
+    sets.push(`tebra_adjustments=tebra_adjustments || $${params.length}::jsonb`);
+  }
+  const upd = await query(`UPDATE billing_sync SET ${[...sets, 'updated_at=NOW()'].join(', ')} WHERE id=$1 RETURNING *`, params);
+  return upd.rows[0] || null;
+}
+
+module.exports = { ensureInit, upsertByEventId, upsertByPaymentIntentId, getRecentForEmail, getByEventId, updateByEventId, findPayment, applyChanges };
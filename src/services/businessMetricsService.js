@@ -57,6 +57,9 @@ class BusinessMetricsService {
 
   /**
    * Get appointment statistics
+   * Computed from the local tebra_appointments table (see appointmentStatusService):
+   * bookings by creation date, lifecycle status counts and attendance rates over
+   * appointments that started in the last 30 days.
    * @returns {Promise<Object>} Appointment stats
    */
   async getAppointmentStats() {
@@ -71,6 +74,7 @@ class BusinessMetricsService {
           COUNT(*) FILTER (WHERE created_at::date = $1) as today,
           COUNT(*) FILTER (WHERE created_at >= $2) as this_week,
           COUNT(*) FILTER (WHERE created_at >= $3) as this_month,
+          COUNT(*) FILTER (WHERE start_time >= NOW() AND status IN ('booked', 'confirmed')) as upcoming,
           COUNT(*) as total
          FROM tebra_appointments`,
         [today, thisWeek, thisMonth]
@@ -85,19 +89,45 @@ class BusinessMetricsService {
         []
       );
 
+      // Outcomes of appointments that should have happened by now (last 30 days)
+      const { rows: outcomeStats } = await query(
+        `SELECT 
+          COUNT(*) FILTER (WHERE status IN ('checked_in', 'completed')) as attended,
+          COUNT(*) FILTER (WHERE status = 'no_show') as no_shows,
+          COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled,
+          COUNT(*) as total
+         FROM tebra_appointments
+         WHERE start_time >= $1 AND start_time < NOW()`,
+        [thisMonth]
+      );
+
+      const outcomes = outcomeStats[0] || {};
+      const pastTotal = parseInt(outcomes.total || 0);
+      const rate = (count) => (pastTotal > 0 ? (parseInt(count || 0) / pastTotal * 100).toFixed(2) : '0.00');
+
       return {
         today: parseInt(todayStats[0]?.today || 0),
         thisWeek: parseInt(todayStats[0]?.this_week || 0),
         thisMonth: parseInt(todayStats[0]?.this_month || 0),
+        upcoming: parseInt(todayStats[0]?.upcoming || 0),
         total: parseInt(todayStats[0]?.total || 0),
         byStatus: statusStats.reduce((acc, row) => {
           acc[row.status] = parseInt(row.count);
           return acc;
-        }, {})
+        }, {}),
+        last30Days: {
+          total: pastTotal,
+          attended: parseInt(outcomes.attended || 0),
+          noShows: parseInt(outcomes.no_shows || 0),
+          cancelled: parseInt(outcomes.cancelled || 0),
+          attendanceRate: rate(outcomes.attended),
+          noShowRate: rate(outcomes.no_shows),
+          cancellationRate: rate(outcomes.cancelled)
+        }
       };
     } catch (error) {
       logger.error('[BUSINESS_METRICS] Error getting appointment stats', { error: error.message });
-      return { today: 0, thisWeek: 0, thisMonth: 0, total: 0, byStatus: {} };
+      return { today: 0, thisWeek: 0, thisMonth: 0, upcoming: 0, total: 0, byStatus: {}, last30Days: null };
     }
   }
 
@@ -136,6 +166,9 @@ class BusinessMetricsService {
 
   /**
    * Get subscription statistics
+   * Dunning counts and churn over the last 30 days: involuntary churn is subscriptions cancelled by
+   * dunning (cancellation_reason 'involuntary'), its rate is over the subscriptions that were live in
+   * the window; recovered counts dunning subscriptions whose renewal was paid.
    * @returns {Promise<Object>} Subscription stats
    */
   async getSubscriptionStats() {
@@ -154,20 +187,58 @@ class BusinessMetricsService {
         []
       );
 
+      const thisMonth = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+      const { rows: churnStats } = await query(
+        `SELECT 
+          COUNT(*) FILTER (WHERE status IN ('past_due', 'retrying')) as past_due,
+          COUNT(*) FILTER (WHERE status = 'suspended') as suspended,
+          COUNT(*) FILTER (WHERE status = 'cancelled' AND cancelled_at >= $1 AND cancellation_reason = 'involuntary') as involuntary,
+          COUNT(*) FILTER (WHERE status = 'cancelled' AND cancelled_at >= $1 AND cancellation_reason IS DISTINCT FROM 'involuntary') as voluntary,
+          COUNT(*) FILTER (WHERE status <> 'cancelled' OR cancelled_at >= $1) as base
+         FROM subscriptions`,
+        [thisMonth]
+      );
+
+      const { rows: recoveryStats } = await query(
+        `SELECT COUNT(*) as recovered
+         FROM subscription_dunning_events
+         WHERE to_status = 'active' AND created_at >= $1`,
+        [thisMonth]
+      );
+
       const activeCount = parseInt(activeStats[0]?.count || 0);
       const monthlyRecurringRevenue = parseInt(revenueStats[0]?.total_revenue_cents || 0) / 100;
+      const churn = churnStats[0] || {};
+      const churnBase = parseInt(churn.base || 0);
+      const rate = (count) => (churnBase > 0 ? (parseInt(count || 0) / churnBase * 100).toFixed(2) : '0.00');
 
       // Update Prometheus gauge
       metricsService.updateSubscriptionsActive(activeCount);
 
       return {
         active: activeCount,
+        pastDue: parseInt(churn.past_due || 0),
+        suspended: parseInt(churn.suspended || 0),
         monthlyRecurringRevenue,
-        averageRevenuePerSubscription: activeCount > 0 ? monthlyRecurringRevenue / activeCount : 0
+        averageRevenuePerSubscription: activeCount > 0 ? monthlyRecurringRevenue / activeCount : 0,
+        churn: {
+          voluntary: parseInt(churn.voluntary || 0),
+          involuntary: parseInt(churn.involuntary || 0),
+          voluntaryRate: rate(churn.voluntary),
+          involuntaryRate: rate(churn.involuntary),
+          recovered: parseInt(recoveryStats[0]?.recovered || 0)
+        }
       };
     } catch (error) {
       logger.error('[BUSINESS_METRICS] Error getting subscription stats', { error: error.message });
-      return { active: 0, monthlyRecurringRevenue: 0, averageRevenuePerSubscription: 0 };
+      return {
+        active: 0,
+        pastDue: 0,
+        suspended: 0,
+        monthlyRecurringRevenue: 0,
+        averageRevenuePerSubscription: 0,
+        churn: { voluntary: 0, involuntary: 0, voluntaryRate: '0.00', involuntaryRate: '0.00', recovered: 0 }
+      };
     }
   }
 
@@ -1,8 +1,10 @@
 // backend/src/services/cacheService.js
 // Redis caching service for Tebra responses and availability data
+// Keys for Tebra-derived data include the Tebra account (tenantId) so accounts never share entries
 
 const logger = require('../utils/logger');
 const metricsService = require('./metricsService');
+const tebraTenantService = require('./tebraTenantService');
 
 class CacheService {
   constructor() {
@@ -130,6 +132,17 @@ class CacheService {
     return `sxrx:${prefix}:${sortedParams}${versionSuffix}`;
   }
 
+  /**
+   * Generate cache key for Tebra-derived data, scoped to the Tebra account (tenant)
+   * @param {string} prefix - Key prefix (e.g., 'providers')
+   * @param {Object} params - Parameters to include in key; tenantId, else state / practiceId, pick the tenant
+   * @returns {string}
+   */
+  tenantKey(prefix, params = {}) {
+    const tenantId = tebraTenantService.resolveTenantId(params);
+    return this.generateKey(prefix, { ...params, tenantId });
+  }
+
   /**
    * Get value from cache
    * @param {string} key - Cache key
@@ -249,7 +262,7 @@ class CacheService {
    * @returns {Promise<boolean>}
    */
   async cacheAvailability(params, data) {
-    const key = this.generateKey('availability', params);
+    const key = this.tenantKey('availability', params);
     return await this.set(key, data, this.availabilityTTL);
   }
 
@@ -259,7 +272,7 @@ class CacheService {
    * @returns {Promise<Object|null>}
    */
   async getCachedAvailability(params) {
-    const key = this.generateKey('availability', params);
+    const key = this.tenantKey('availability', params);
     return await this.get(key);
   }
 
@@ -281,17 +294,25 @@ class CacheService {
     }
   }
 
+  // Booked-slot overlay key: sxrx:booked:<tenantId>:<STATE>:<providerId>
+  bookedSlotsKey(state, providerId) {
+    const stateCode = String(state).toUpperCase();
+    const tenantId = tebraTenantService.resolveTenantId({ state: stateCode });
+    return `sxrx:booked:${tenantId}:${stateCode}:${providerId}`;
+  }
+
   /**
    * Record a just-booked slot so availability excludes it immediately (covers Tebra eventual consistency)
    * TTL 2 minutes. Merge with getBookedSlots in availability calculation.
+   * meta ({ appointmentReasonId, resourceIds }) lets group slots count the booking as an attendee.
    */
-  async addBookedSlot(state, providerId, startISO, endISO) {
+  async addBookedSlot(state, providerId, startISO, endISO, meta = {}) {
     if (!this.isAvailable() || !state || providerId == null) return false;
-    const key = `sxrx:booked:${String(state).toUpperCase()}:${providerId}`;
+    const key = this.bookedSlotsKey(state, providerId);
     try {
       const raw = await this.client.get(key);
       const arr = raw ? JSON.parse(raw) : [];
-      arr.push({ start: startISO, end: endISO });
+      arr.push({ start: startISO, end: endISO, ...meta });
       await this.client.setEx(key, 120, JSON.stringify(arr));
       return true;
     } catch (e) {
@@ -305,7 +326,7 @@ class CacheService {
    */
   async getBookedSlots(state, providerId) {
     if (!this.isAvailable() || !state || providerId == null) return [];
-    const key = `sxrx:booked:${String(state).toUpperCase()}:${providerId}`;
+    const key = this.bookedSlotsKey(state, providerId);
     try {
       const raw = await this.client.get(key);
       return raw ? JSON.parse(raw) : [];
@@ -322,7 +343,7 @@ class CacheService {
    * @returns {Promise<boolean>}
    */
   async cacheTebraResponse(method, params, data) {
-    const key = this.generateKey(`tebra:${method}`, params);
+    const key = this.tenantKey(`tebra:${method}`, params);
     return await this.set(key, data, this.tebraResponseTTL);
   }
 
@@ -333,7 +354,7 @@ class CacheService {
    * @returns {Promise<Object|null>}
    */
   async getCachedTebraResponse(method, params) {
-    const key = this.generateKey(`tebra:${method}`, params);
+    const key = this.tenantKey(`tebra:${method}`, params);
     return await this.get(key);
   }
 
@@ -4,6 +4,7 @@
 const logger = require('../utils/logger');
 const cacheService = require('./cacheService');
 const tebraService = require('./tebraService');
+const tebraTenantService = require('./tebraTenantService');
 const { CACHE_TAGS } = require('./cacheInvalidationService');
 
 /**
@@ -19,20 +20,26 @@ class CacheWarmingService {
     try {
       logger.info('[CACHE_WARMING] Warming provider cache');
       
-      // Get all practices
-      const practices = await tebraService.getPractices();
-      if (practices && practices.length > 0) {
-        for (const practice of practices) {
-          try {
-            const providers = await tebraService.getProviders(practice.id);
-            const cacheKey = cacheService.generateKey('provider', { practiceId: practice.id });
-            await cacheService.set(cacheKey, providers, 3600); // 1 hour
-            logger.debug('[CACHE_WARMING] Warmed provider cache', { practiceId: practice.id });
-          } catch (error) {
-            logger.warn('[CACHE_WARMING] Failed to warm provider cache for practice', {
-              practiceId: practice.id,
-              error: error.message
-            });
+      // Get all practices of every Tebra account (tenant)
+      for (const tenant of tebraTenantService.listTenants()) {
+        if (!tenant.hasCredentials) continue;
+        const tenantId = tenant.id;
+        const tebra = tebraService.forTenant(tenantId);
+        const practices = await tebra.getPractices();
+        if (practices && practices.length > 0) {
+          for (const practice of practices) {
+            try {
+              const providers = await tebra.getProviders(practice.id);
+              const cacheKey = cacheService.tenantKey('provider', { tenantId, practiceId: practice.id });
+              await cacheService.set(cacheKey, providers, 3600); // 1 hour
+              logger.debug('[CACHE_WARMING] Warmed provider cache', { tenantId, practiceId: practice.id });
+            } catch (error) {
+              logger.warn('[CACHE_WARMING] Failed to warm provider cache for practice', {
+                tenantId,
+                practiceId: practice.id,
+                error: error.message
+              });
+            }
           }
         }
       }
@@ -1,8 +1,12 @@
 // backend/src/services/customerPatientMapService.js
 // PostgreSQL-backed mapping between Shopify customers and Tebra patients.
 // Minimal footprint: creates table if not exists on first use.
+// Patient ids belong to one Tebra account (tenant_id): a customer has one mapping per account.
+// Lookups without a tenant return the customer's latest mapping in any account; callers then talk
+// to Tebra through the account in its tenant_id.
 
 const { query } = require('../db/pg');
+const { DEFAULT_TENANT_ID } = require('./tebraTenantService');
 
 const INIT_SQL = `
 CREATE TABLE IF NOT EXISTS customer_patient_map (
@@ -15,6 +19,9 @@ CREATE TABLE IF NOT EXISTS customer_patient_map (
 CREATE INDEX IF NOT EXISTS idx_cpm_shopify_customer_id ON customer_patient_map(shopify_customer_id);
 CREATE INDEX IF NOT EXISTS idx_cpm_email ON customer_patient_map(email);
 CREATE INDEX IF NOT EXISTS idx_cpm_tebra_patient_id ON customer_patient_map(tebra_patient_id);
+ALTER TABLE customer_patient_map ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
+CREATE INDEX IF NOT EXISTS idx_cpm_tenant_shopify_customer_id ON customer_patient_map(tenant_id, shopify_customer_id);
+CREATE INDEX IF NOT EXISTS idx_cpm_tenant_email ON customer_patient_map(tenant_id, email);
 `;
 
 let initialized = false;
@@ -24,31 +31,33 @@ async function ensureInit() {
   initialized = true;
 }
 
-async function getByShopifyIdOrEmail(shopifyCustomerId, email) {
+async function getByShopifyIdOrEmail(shopifyCustomerId, email, tenantId = null) {
   await ensureInit();
   const where = [];
   const params = [];
   if (shopifyCustomerId) { params.push(shopifyCustomerId); where.push(`shopify_customer_id = $${params.length}`); }
   if (email) { params.push(email); where.push(`email = $${params.length}`); }
   if (!where.length) return null;
-  const sql = `SELECT shopify_customer_id, email, tebra_patient_id, updated_at FROM customer_patient_map WHERE ${where.join(' OR ')} ORDER BY updated_at DESC LIMIT 1`;
+  let tenantFilter = '';
+  if (tenantId) { params.push(tenantId); tenantFilter = ` AND tenant_id = $${params.length}`; }
+  const sql = `SELECT shopify_customer_id, email, tebra_patient_id, tenant_id, updated_at FROM customer_patient_map WHERE (${where.join(' OR ')})${tenantFilter} ORDER BY updated_at DESC LIMIT 1`;
   const { rows } = await query(sql, params);
   return rows[0] || null;
 }
 
-async function upsert(shopifyCustomerId, email, tebraPatientId) {
+async function upsert(shopifyCustomerId, email, tebraPatientId, tenantId = DEFAULT_TENANT_ID) {
   await ensureInit();
   // Upsert by coalescing on either shopify id or email when present.
   // If both provided, prefer matching existing row by either.
   const sql = `
-    INSERT INTO customer_patient_map (shopify_customer_id, email, tebra_patient_id, updated_at)
-    VALUES ($1, $2, $3, NOW())
+    INSERT INTO customer_patient_map (shopify_customer_id, email, tebra_patient_id, tenant_id, updated_at)
+    VALUES ($1, $2, $3, $4, NOW())
     ON CONFLICT DO NOTHING
   `;
-  await query(sql, [shopifyCustomerId || null, email || null, tebraPatientId || null]);
+  await query(sql, [shopifyCustomerId || null, email || null, tebraPatientId || null, tenantId]);
 
   const updateParts = [];
-  const params = [];
+  const params = [tenantId];
   if (shopifyCustomerId) { params.push(shopifyCustomerId); updateParts.push(`shopify_customer_id = $${params.length}`); }
   if (email) { params.push(email); updateParts.push(`email = $${params.length}`); }
   if (tebraPatientId) { params.push(tebraPatientId); updateParts.push(`tebra_patient_id = $${params.length}`); }
@@ -57,19 +66,22 @@ async function upsert(shopifyCustomerId, email, tebraPatientId) {
   const where = [];
   if (shopifyCustomerId) { params.push(shopifyCustomerId); where.push(`shopify_customer_id = $${params.length}`); }
   if (email) { params.push(email); where.push(`email = $${params.length}`); }
-  const sqlUpdate = `UPDATE customer_patient_map SET ${updateParts.join(', ')}, updated_at = NOW() WHERE ${where.join(' OR ')}`;
+  const sqlUpdate = `UPDATE customer_patient_map SET ${updateParts.join(', ')}, updated_at = NOW() WHERE tenant_id = $1 AND (${where.join(' OR ')})`;
   await query(sqlUpdate, params);
 }
 
-async function deleteByShopifyIdOrEmail(shopifyCustomerId, email) {
+// Without a tenant, removes the customer's mappings in every Tebra account
+async function deleteByShopifyIdOrEmail(shopifyCustomerId, email, tenantId = null) {
   await ensureInit();
   const where = [];
   const params = [];
   if (shopifyCustomerId) { params.push(shopifyCustomerId); where.push(`shopify_customer_id = $${params.length}`); }
   if (email) { params.push(email); where.push(`email = $${params.length}`); }
   if (!where.length) return { deleted: 0 };
+  let tenantFilter = '';
+  if (tenantId) { params.push(tenantId); tenantFilter = ` AND tenant_id = $${params.length}`; }
   
-  const sql = `DELETE FROM customer_patient_map WHERE ${where.join(' OR ')}`;
+  const sql = `DELETE FROM customer_patient_map WHERE (${where.join(' OR ')})${tenantFilter}`;
   const result = await query(sql, params);
   return { deleted: result.rowCount || 0 };
 }
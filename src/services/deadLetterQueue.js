@@ -1,5 +1,5 @@
 // backend/src/services/deadLetterQueue.js
-// Dead Letter Queue service for permanently failed webhooks
+// Dead Letter Queue service for permanently failed webhooks and Tebra writes (tebra_write_commands)
 
 const { query } = require('../db/pg');
 const logger = require('../utils/logger');
@@ -33,6 +33,48 @@ async function moveToDeadLetterQueue(webhookId, reason = 'Max retry attempts exc
   }
 }
 
+/**
+ * Record a webhook straight in the dead letter queue, for orders that need staff action
+ * rather than automatic retries (e.g. the paid slot was taken, or Tebra rejected the order data)
+ * @param {Object} params
+ * @param {string} params.webhookType - Type of webhook ('shopify_order_paid', etc.)
+ * @param {string} params.webhookUrl - URL or endpoint identifier
+ * @param {Object} params.payload - Webhook payload
+ * @param {Object} params.headers - Webhook headers (optional)
+ * @param {Error} params.error - Why the webhook needs attention
+ */
+async function addToDeadLetterQueue({ webhookType, webhookUrl, payload, headers, error }) {
+  try {
+    const { MAX_ATTEMPTS } = require('./webhookRetryService');
+    const { rows } = await query(
+      `INSERT INTO failed_webhooks
+       (webhook_type, webhook_url, payload, headers, attempt_count, max_attempts, last_attempt_at, error_message, error_stack, status)
+       VALUES ($1, $2, $3, $4, $5, $5, NOW(), $6, $7, 'failed')
+       RETURNING id`,
+      [
+        webhookType,
+        webhookUrl,
+        JSON.stringify(payload),
+        headers ? JSON.stringify(headers) : null,
+        MAX_ATTEMPTS,
+        error?.message || 'Unknown error',
+        error?.stack || null
+      ]
+    );
+
+    logger.warn('[DEAD LETTER QUEUE] Added webhook to DLQ', {
+      webhookId: rows[0]?.id,
+      webhookType,
+      reason: error?.message
+    });
+
+    return { success: true, webhookId: rows[0]?.id };
+  } catch (dbError) {
+    logger.error('[DEAD LETTER QUEUE] Failed to add webhook to DLQ:', dbError);
+    return { success: false };
+  }
+}
+
 /**
  * Get all permanently failed webhooks (dead letter queue)
  * @param {Object} options
@@ -200,11 +242,81 @@ async function getWebhookStatistics() {
   }
 }
 
+/**
+ * Move a Tebra write command to the dead letter queue (rejected by Tebra or out of attempts)
+ * @param {number} commandId - tebra_write_commands ID
+ * @param {string} reason - Reason for permanent failure
+ * @param {string} errorCode - TebraError code (optional)
+ */
+async function moveTebraWriteToDeadLetterQueue(commandId, reason = 'Max retry attempts exceeded', errorCode = null) {
+  try {
+    await query(
+      `UPDATE tebra_write_commands
+       SET status = 'dead',
+           error_code = COALESCE($3, error_code),
+           error_message = $1,
+           dead_lettered_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $2`,
+      [reason, commandId, errorCode]
+    );
+
+    logger.warn('[DEAD LETTER QUEUE] Moved Tebra write to DLQ', {
+      commandId,
+      reason
+    });
+
+    return { success: true, commandId };
+  } catch (error) {
+    logger.error('[DEAD LETTER QUEUE] Failed to move Tebra write to DLQ:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get dead-lettered Tebra write commands
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of records to return
+ * @param {number} options.offset - Offset for pagination
+ * @param {string} options.command - Filter by command (optional)
+ * @returns {Promise<Object>} { commands, count }
+ */
+async function getTebraWriteDeadLetterQueue({ limit = 50, offset = 0, command = null } = {}) {
+  try {
+    const tebraWriteQueue = require('./tebraWriteQueue');
+    return await tebraWriteQueue.list({ status: 'dead', command, limit, offset });
+  } catch (error) {
+    logger.error('[DEAD LETTER QUEUE] Failed to get Tebra write DLQ records:', error);
+    return { commands: [], count: 0 };
+  }
+}
+
+/**
+ * Replay a dead-lettered (or failed) Tebra write: back to pending with a fresh set of attempts
+ * @param {number} commandId - tebra_write_commands ID
+ * @returns {Promise<Object>} Command after re-queueing
+ */
+async function replayTebraWrite(commandId) {
+  try {
+    const tebraWriteQueue = require('./tebraWriteQueue');
+    const command = await tebraWriteQueue.replay(commandId);
+    logger.info('[DEAD LETTER QUEUE] Replayed Tebra write from DLQ', { commandId });
+    return command;
+  } catch (error) {
+    logger.error('[DEAD LETTER QUEUE] Failed to replay Tebra write:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   moveToDeadLetterQueue,
+  addToDeadLetterQueue,
   getDeadLetterQueue,
   getDeadLetterQueueCount,
   replayWebhook,
   deleteFromDeadLetterQueue,
-  getWebhookStatistics
+  getWebhookStatistics,
+  moveTebraWriteToDeadLetterQueue,
+  getTebraWriteDeadLetterQueue,
+  replayTebraWrite
 };
@@ -3,6 +3,7 @@
 // questionnaire → rx → order → appointment across systems.
 
 const { query } = require('../db/pg');
+const { DEFAULT_TENANT_ID } = require('./tebraTenantService');
 
 const INIT_SQL = `
 CREATE TABLE IF NOT EXISTS encounters (
@@ -19,8 +20,20 @@ CREATE TABLE IF NOT EXISTS encounters (
 CREATE INDEX IF NOT EXISTS idx_encounters_submission ON encounters(submission_id);
 CREATE INDEX IF NOT EXISTS idx_encounters_order ON encounters(shopify_order_id);
 CREATE INDEX IF NOT EXISTS idx_encounters_patient ON encounters(tebra_patient_id);
+-- Tebra charge / payment for a paid order. They are posted through the Tebra write queue, so the
+-- command ids are kept and the Tebra ids are filled in from the command results once they succeed.
+ALTER TABLE encounters ADD COLUMN IF NOT EXISTS tebra_charge_id TEXT;
+ALTER TABLE encounters ADD COLUMN IF NOT EXISTS tebra_payment_id TEXT;
+ALTER TABLE encounters ADD COLUMN IF NOT EXISTS tebra_charge_command_id INTEGER;
+ALTER TABLE encounters ADD COLUMN IF NOT EXISTS tebra_payment_command_id INTEGER;
+-- Tebra account (tebraTenantService) the patient, charge and payment belong to
+ALTER TABLE encounters ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
 `;
 
+// Tebra id from a succeeded write command, for encounters saved after the command already ran
+const commandResultSql = (field, idParam, commandParam) =>
+  `COALESCE(${idParam}::text, (SELECT result->>'${field}' FROM tebra_write_commands WHERE id = ${commandParam}::integer AND status = 'succeeded'))`;
+
 let initialized = false;
 async function ensureInit() {
   if (initialized) return;
@@ -37,6 +50,11 @@ async function createOrUpdate(params = {}) {
     rxId = null,
     appointmentId = null,
     status = null,
+    tebraChargeId = null,
+    tebraPaymentId = null,
+    tebraChargeCommandId = null,
+    tebraPaymentCommandId = null,
+    tenantId = null,
   } = params;
 
   // Try to find by submissionId or orderId
@@ -53,9 +71,11 @@ async function createOrUpdate(params = {}) {
 
   if (!existing) {
     const ins = await query(
-      `INSERT INTO encounters (submission_id, shopify_order_id, tebra_patient_id, rx_id, appointment_id, status)
-       VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
-      [submissionId, shopifyOrderId, tebraPatientId, rxId, appointmentId, status]
+      `INSERT INTO encounters (submission_id, shopify_order_id, tebra_patient_id, rx_id, appointment_id, status,
+         tebra_charge_id, tebra_payment_id, tebra_charge_command_id, tebra_payment_command_id, tenant_id)
+       VALUES ($1,$2,$3,$4,$5,$6,${commandResultSql('chargeId', '$7', '$9')},${commandResultSql('paymentId', '$8', '$10')},$9,$10,$11) RETURNING *`,
+      [submissionId, shopifyOrderId, tebraPatientId, rxId, appointmentId, status,
+        tebraChargeId, tebraPaymentId, tebraChargeCommandId, tebraPaymentCommandId, tenantId || DEFAULT_TENANT_ID]
     );
     return ins.rows[0];
   }
@@ -68,13 +88,37 @@ async function createOrUpdate(params = {}) {
     rx_id: rxId || existing.rx_id,
     appointment_id: appointmentId || existing.appointment_id,
     status: status || existing.status,
+    tebra_charge_id: tebraChargeId || existing.tebra_charge_id,
+    tebra_payment_id: tebraPaymentId || existing.tebra_payment_id,
+    tebra_charge_command_id: tebraChargeCommandId || existing.tebra_charge_command_id,
+    tebra_payment_command_id: tebraPaymentCommandId || existing.tebra_payment_command_id,
+    tenant_id: tenantId || existing.tenant_id,
   };
   const upd = await query(
-    `UPDATE encounters SET submission_id=$1, shopify_order_id=$2, tebra_patient_id=$3, rx_id=$4, appointment_id=$5, status=$6, updated_at=NOW()
-     WHERE id=$7 RETURNING *`,
-    [merged.submission_id, merged.shopify_order_id, merged.tebra_patient_id, merged.rx_id, merged.appointment_id, merged.status, existing.id]
+    `UPDATE encounters SET submission_id=$1, shopify_order_id=$2, tebra_patient_id=$3, rx_id=$4, appointment_id=$5, status=$6,
+       tebra_charge_id=${commandResultSql('chargeId', '$7', '$9')}, tebra_payment_id=${commandResultSql('paymentId', '$8', '$10')},
+       tebra_charge_command_id=$9, tebra_payment_command_id=$10, tenant_id=$11, updated_at=NOW()
+     WHERE id=$12 RETURNING *`,
+    [merged.submission_id, merged.shopify_order_id, merged.tebra_patient_id, merged.rx_id, merged.appointment_id, merged.status,
+      merged.tebra_charge_id, merged.tebra_payment_id, merged.tebra_charge_command_id, merged.tebra_payment_command_id, merged.tenant_id, existing.id]
   );
   return upd.rows[0];
 }
 
-module.exports = { ensureInit, createOrUpdate };
+// Fill in the Tebra charge / payment id of encounters waiting on a Tebra write command that succeeded
+async function recordTebraWriteResult(commandId, command, result = {}) {
+  const columns = {
+    createEncounter: ['tebra_charge_id', 'tebra_charge_command_id', result?.chargeId],
+    createPayments: ['tebra_payment_id', 'tebra_payment_command_id', result?.paymentId],
+  }[command];
+  if (!columns || !columns[2]) return 0;
+  await ensureInit();
+  const [idColumn, commandColumn, tebraId] = columns;
+  const upd = await query(
+    `UPDATE encounters SET ${idColumn}=$1, updated_at=NOW() WHERE ${commandColumn}=$2 AND ${idColumn} IS NULL`,
+    [String(tebraId), commandId]
+  );
+  return upd.rowCount || 0;
+}
+
+module.exports = { ensureInit, createOrUpdate, recordTebraWriteResult };
@@ -38,7 +38,7 @@ async function linkGuestToCustomer(email, customerId) {
       const existingMapping = await customerPatientMapService.getByShopifyIdOrEmail(null, email);
       if (existingMapping && existingMapping.tebra_patient_id) {
         // Update mapping to include customerId
-        await customerPatientMapService.upsert(customerId, email, existingMapping.tebra_patient_id);
+        await customerPatientMapService.upsert(customerId, email, existingMapping.tebra_patient_id, existingMapping.tenant_id);
         results.patientMappingsUpdated = 1;
         console.log(`✅ [GUEST LINKING] Updated patient mapping for customer ${customerId} -> patient ${existingMapping.tebra_patient_id}`);
       }
@@ -91,15 +91,15 @@ async function sendEmail(jobData) {
 }
 
 /**
- * Process document creation job
+ * Process document creation job (jobData.tenantId selects the Tebra account)
  */
 async function createDocument(jobData) {
-  const { documentData } = jobData;
-  logger.info(`[JOB_PROCESSOR] Creating document: ${documentData.name}`);
+  const { documentData, tenantId } = jobData;
+  logger.info(`[JOB_PROCESSOR] Creating document: ${documentData.name}`, { tenantId });
 
   try {
     const tebraService = require('./tebraService');
-    const result = await tebraService.createDocument(documentData);
+    const result = await tebraService.forCall({ ...documentData, tenantId: tenantId || documentData.tenantId }).createDocument(documentData);
     logger.info(`[JOB_PROCESSOR] Document created successfully: ${result.id}`);
     return result;
   } catch (error) {
@@ -112,10 +112,22 @@ async function createDocument(jobData) {
 }
 
 /**
- * Process batch operations job
+ * Process a queued Tebra write command (tebra_write_commands row)
+ */
+async function processTebraWrite(jobData) {
+  const { commandId, tenantId } = jobData;
+  logger.info(`[JOB_PROCESSOR] Processing Tebra write command ${commandId}`, { tenantId });
+
+  // Failures are recorded on the command and retried / dead-lettered by the write queue
+  const tebraWriteQueue = require('./tebraWriteQueue');
+  return await tebraWriteQueue.processCommand(commandId);
+}
+
+/**
+ * Process batch operations job (jobData.tenantId, or item.tenantId, selects the Tebra account)
  */
 async function processBatch(jobData) {
-  const { operation, items } = jobData;
+  const { operation, items, tenantId } = jobData;
   logger.info(`[JOB_PROCESSOR] Processing batch operation: ${operation}`, { itemCount: items.length });
 
   try {
@@ -123,7 +135,7 @@ async function processBatch(jobData) {
     const batchSize = 10;
     for (let i = 0; i < items.length; i += batchSize) {
       const batch = items.slice(i, i + batchSize);
-      await Promise.all(batch.map(item => processBatchItem(operation, item)));
+      await Promise.all(batch.map(item => processBatchItem(operation, { tenantId, ...item })));
     }
     
     logger.info(`[JOB_PROCESSOR] Batch operation ${operation} completed successfully`);
@@ -144,7 +156,7 @@ async function processBatchItem(operation, item) {
     case 'sync_patients':
       // Sync patient data
       const tebraService = require('./tebraService');
-      await tebraService.updatePatient(item.patientId, item.data);
+      await tebraService.forTenant(item.tenantId).updatePatient(item.patientId, item.data);
       break;
     default:
       logger.warn(`[JOB_PROCESSOR] Unknown batch operation: ${operation}`);
@@ -156,5 +168,6 @@ module.exports = {
   processWebhook,
   sendEmail,
   createDocument,
+  processTebraWrite,
   processBatch
 };
@@ -21,6 +21,8 @@ class MetricsService {
       // External API metrics
       externalApiCallsTotal: new Map(), // Counter: service, endpoint, status
       externalApiDuration: new Map(), // Histogram: service, endpoint
+      externalApiRetries: new Map(), // Counter: service, endpoint
+      circuitBreakers: new Map(), // Gauge: name -> { state, since }
       
       // Cache metrics
       cacheHits: new Map(), // Counter: cache_type
@@ -36,6 +38,7 @@ class MetricsService {
       appointmentsCreated: 0,
       patientsCreated: 0,
       webhooksProcessed: new Map(), // Counter: webhook_type, status
+      appointmentChanges: new Map(), // Counter: event (appointment change feed)
       subscriptionsActive: 0,
       
       // Error metrics
@@ -139,6 +142,20 @@ class MetricsService {
       registers: [this.register]
     });
 
+    this.externalApiRetriesCounter = new this.prometheusClient.Counter({
+      name: 'external_api_retries_total',
+      help: 'Total number of retried external API calls',
+      labelNames: ['service', 'endpoint'],
+      registers: [this.register]
+    });
+
+    this.circuitBreakerStateGauge = new this.prometheusClient.Gauge({
+      name: 'circuit_breaker_state',
+      help: 'Circuit breaker state (0 = closed, 1 = half open, 2 = open)',
+      labelNames: ['name'],
+      registers: [this.register]
+    });
+
     // Cache metrics
     this.cacheHitsCounter = new this.prometheusClient.Counter({
       name: 'cache_hits_total',
@@ -174,6 +191,13 @@ class MetricsService {
       registers: [this.register]
     });
 
+    this.appointmentChangesCounter = new this.prometheusClient.Counter({
+      name: 'appointment_changes_total',
+      help: 'Total number of appointment changes seen (created, rescheduled, cancelled, status_changed)',
+      labelNames: ['event'],
+      registers: [this.register]
+    });
+
     this.subscriptionsActiveGauge = new this.prometheusClient.Gauge({
       name: 'subscriptions_active',
       help: 'Number of active subscriptions',
@@ -287,6 +311,38 @@ class MetricsService {
     }
   }
 
+  /**
+   * Record a retried external API call
+   * @param {string} service - Service name (e.g., 'tebra')
+   * @param {string} endpoint - API endpoint or SOAP method
+   */
+  recordExternalApiRetry(service, endpoint) {
+    if (!this.enabled) return;
+
+    const key = `${service}:${endpoint}`;
+    this.metrics.externalApiRetries.set(key, (this.metrics.externalApiRetries.get(key) || 0) + 1);
+
+    if (this.prometheusClient) {
+      this.externalApiRetriesCounter.inc({ service, endpoint });
+    }
+  }
+
+  /**
+   * Record circuit breaker state
+   * @param {string} name - Breaker name (e.g., 'tebra')
+   * @param {string} state - closed, half_open or open
+   */
+  recordCircuitBreakerState(name, state) {
+    if (!this.enabled) return;
+
+    this.metrics.circuitBreakers.set(name, { state, since: new Date().toISOString() });
+
+    if (this.prometheusClient) {
+      const value = state === 'open' ? 2 : state === 'half_open' ? 1 : 0;
+      this.circuitBreakerStateGauge.set({ name }, value);
+    }
+  }
+
   /**
    * Record cache operation
    * @param {string} operation - Operation type (hit, miss, set, delete)
@@ -339,6 +395,15 @@ class MetricsService {
           }
         }
         break;
+      case 'appointment_changed':
+        // Value should be the change event name ('created', 'rescheduled', ...)
+        if (typeof value === 'string') {
+          this.metrics.appointmentChanges.set(value, (this.metrics.appointmentChanges.get(value) || 0) + 1);
+          if (this.prometheusClient) {
+            this.appointmentChangesCounter.inc({ event: value });
+          }
+        }
+        break;
     }
   }
 
@@ -448,7 +513,9 @@ class MetricsService {
             key,
             calculateAverage(values)
           ])
-        )
+        ),
+        retriesTotal: Object.fromEntries(this.metrics.externalApiRetries),
+        circuitBreakers: Object.fromEntries(this.metrics.circuitBreakers)
       },
       cache: {
         hits: Object.fromEntries(this.metrics.cacheHits),
@@ -459,7 +526,8 @@ class MetricsService {
         appointmentsCreated: this.metrics.appointmentsCreated,
         patientsCreated: this.metrics.patientsCreated,
         subscriptionsActive: this.metrics.subscriptionsActive,
-        webhooksProcessed: Object.fromEntries(this.metrics.webhooksProcessed)
+        webhooksProcessed: Object.fromEntries(this.metrics.webhooksProcessed),
+        appointmentChanges: Object.fromEntries(this.metrics.appointmentChanges)
       },
       errors: {
         total: Object.fromEntries(this.metrics.errorsTotal)
@@ -544,6 +612,8 @@ class MetricsService {
       dbConnections: { active: 0, idle: 0, total: 0 },
       externalApiCallsTotal: new Map(),
       externalApiDuration: new Map(),
+      externalApiRetries: new Map(),
+      circuitBreakers: new Map(),
       cacheHits: new Map(),
       cacheMisses: new Map(),
       cacheOperations: new Map(),
@@ -553,6 +623,7 @@ class MetricsService {
       appointmentsCreated: 0,
       patientsCreated: 0,
       webhooksProcessed: new Map(),
+      appointmentChanges: new Map(),
       subscriptionsActive: 0,
       errorsTotal: new Map()
     };
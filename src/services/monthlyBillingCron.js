@@ -3,150 +3,77 @@
 
 const cron = require('node-cron');
 const subscriptionService = require('./subscriptionService');
-const tebraBillingService = require('./tebraBillingService');
-const tebraService = require('./tebraService');
-const customerPatientMapService = require('./customerPatientMapService');
-const shopifyUserService = require('./shopifyUserService');
+const subscriptionBillingService = require('./subscriptionBillingService');
+const subscriptionDunningService = require('./subscriptionDunningService');
+const subscriptionManagementService = require('./subscriptionManagementService');
 
+function countResult(counts, result) {
+  const key = result.skipped ? `skipped_${result.status}` : result.status;
+  counts[key] = (counts[key] || 0) + 1;
+  return key;
+}
+
+// Charges every renewal due today (or overdue) off-session to the subscription's saved Stripe payment
+// method (after resuming the subscriptions whose pause ends today). Tebra charge/payment are queued by subscriptionBillingService only for paid renewals; declined
+// cards and renewals needing authentication put the subscription into dunning. Then retries the renewals
+// of subscriptions in dunning whose retry is due and cancels those suspended for too long.
 async function processMonthlyBilling() {
   console.log('🔄 [MONTHLY BILLING] Starting monthly billing process...');
   
+  if (!subscriptionBillingService.isConfigured()) {
+    console.warn('⚠️ [MONTHLY BILLING] Stripe not configured (STRIPE_SECRET_KEY), skipping billing run');
+    return null;
+  }
+  
   try {
-    // Get all subscriptions due for billing today
-    const subscriptionsDue = await subscriptionService.getSubscriptionsDueForBilling();
+    // Renewals per resulting status (succeeded, declined, requires_action, failed, ...)
+    const counts = {};
+    const retries = {};
     
-    if (subscriptionsDue.length === 0) {
-      console.log('ℹ️ [MONTHLY BILLING] No subscriptions due for billing today');
-      return;
-    }
+    // Paused subscriptions resume on paused_until, which is also their next billing date
+    const resumed = await subscriptionManagementService.resumeDue();
+    if (resumed.length) console.log(`▶️ [MONTHLY BILLING] Resumed ${resumed.length} paused subscription(s)`);
     
+    // Get all subscriptions due for billing today
+    const subscriptionsDue = await subscriptionService.getSubscriptionsDueForBilling();
     console.log(`📋 [MONTHLY BILLING] Found ${subscriptionsDue.length} subscription(s) due for billing`);
     
-    const practiceId = process.env.TEBRA_PRACTICE_ID || undefined;
-    const dateOfService = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-    
-    let successCount = 0;
-    let errorCount = 0;
-    
     for (const subscription of subscriptionsDue) {
       try {
-        const { tebra_patient_id, amount_cents, currency, frequency, shopify_customer_id } = subscription;
-        
-        if (!tebra_patient_id) {
-          console.warn(`⚠️ [MONTHLY BILLING] Subscription ${subscription.id} has no Tebra patient ID, skipping`);
-          errorCount++;
-          continue;
-        }
-        
-        console.log(`💰 [MONTHLY BILLING] Processing subscription ${subscription.id} for patient ${tebra_patient_id}, amount: $${(amount_cents / 100).toFixed(2)}`);
-        
-        // Create charge in Tebra
-        let tebraChargeId = null;
-        let tebraPaymentId = null;
-        
-        if (practiceId) {
-          try {
-            // Create charge with generic CPT code (adjust based on your product mapping)
-            const chargeResult = await tebraBillingService.createCharge({
-              practiceId,
-              patientId: tebra_patient_id,
-              dateOfService,
-              placeOfService: '10', // Telehealth
-              items: [{
-                cpt: '99000', // Generic CPT code - adjust based on subscription product
-                units: 1,
-                amountCents: amount_cents,
-              }],
-            });
-            tebraChargeId = chargeResult.chargeId;
-            console.log(`✅ [MONTHLY BILLING] Created Tebra charge ${tebraChargeId}`);
-            
-            // Post payment to Tebra (assuming payment was processed via Shopify subscription)
-            // Note: In a real implementation, you'd need to charge the customer's payment method
-            // This is a placeholder - you may need to integrate with Shopify Subscription API or Stripe
-            const paymentResult = await tebraBillingService.postPayment({
-              practiceId,
-              patientId: tebra_patient_id,
-              amountCents: amount_cents,
-              referenceNumber: `SUBSCRIPTION-${subscription.id}-${Date.now()}`,
-              date: dateOfService,
-            });
-            tebraPaymentId = paymentResult.paymentId;
-            console.log(`✅ [MONTHLY BILLING] Posted Tebra payment ${tebraPaymentId}`);
-          } catch (e) {
-            console.error(`❌ [MONTHLY BILLING] Failed to create charge/payment for subscription ${subscription.id}:`, e?.message || e);
-            // Continue to create document as fallback
-          }
-        }
-        
-        // Create billing document in Tebra (optional backup).
-        // If charge+payment were successfully created, this can be skipped to reduce SOAP CreateDocument faults.
-        const alwaysCreateBillingDoc = String(process.env.TEBRA_ALWAYS_CREATE_BILLING_DOCUMENTS || 'false').toLowerCase() === 'true';
-        const shouldCreateBillingDoc = alwaysCreateBillingDoc || !tebraChargeId || !tebraPaymentId;
-        if (shouldCreateBillingDoc) {
-          try {
-            const payload = {
-              subscriptionId: subscription.id,
-              shopifyCustomerId: shopify_customer_id,
-              shopifyProductId: subscription.shopify_product_id,
-              amount: amount_cents / 100,
-              currency: currency || 'USD',
-              frequency,
-              tebraChargeId,
-              tebraPaymentId,
-              dateOfService,
-              type: 'subscription_renewal',
-            };
-            await tebraService.createDocument({
-              name: 'Billing - Subscription Renewal',
-              fileName: `subscription-${subscription.id}-${dateOfService}.json`,
-              label: 'Billing',
-              patientId: tebra_patient_id,
-              practiceId,
-              documentDate: dateOfService,
-              fileContent: Buffer.from(JSON.stringify(payload)).toString('base64'),
-              status: 'Completed',
-            });
-            console.log(`✅ [MONTHLY BILLING] Created billing document for subscription ${subscription.id}`);
-          } catch (e) {
-            console.warn(`⚠️ [MONTHLY BILLING] Failed to create billing document for subscription ${subscription.id}:`, e?.message || e);
-          }
-        } else {
-          console.log(`ℹ️ [MONTHLY BILLING] Skipping billing document (charge+payment created) for subscription ${subscription.id}`);
-        }
-        
-        // Update subscription next billing date
-        const nextBillingDate = getNextBillingDate(frequency);
-        await subscriptionService.updateSubscriptionBillingDate(
-          subscription.id,
-          nextBillingDate,
-          dateOfService
-        );
-        console.log(`✅ [MONTHLY BILLING] Updated subscription ${subscription.id} next billing date to ${nextBillingDate}`);
-        
-        successCount++;
+        console.log(`💰 [MONTHLY BILLING] Charging subscription ${subscription.id}, amount: $${(subscription.amount_cents / 100).toFixed(2)}`);
+        const result = await subscriptionBillingService.chargeSubscription(subscription);
+        const key = countResult(counts, result);
+        console.log(`${result.status === 'succeeded' ? '✅' : 'ℹ️'} [MONTHLY BILLING] Subscription ${subscription.id}: ${key}`);
       } catch (e) {
         console.error(`❌ [MONTHLY BILLING] Error processing subscription ${subscription.id}:`, e?.message || e);
-        errorCount++;
+        counts.error = (counts.error || 0) + 1;
+      }
+    }
+    
+    // Dunning retries (SUBSCRIPTION_DUNNING_RETRY_DAYS)
+    const retriesDue = await subscriptionDunningService.getRetriesDue();
+    for (const subscription of retriesDue) {
+      try {
+        console.log(`🔁 [MONTHLY BILLING] Retrying renewal of subscription ${subscription.id} (${subscription.status}, attempt ${(subscription.dunning_attempts || 0) + 1})`);
+        const result = await subscriptionBillingService.retryRenewal(subscription);
+        const key = countResult(retries, result);
+        console.log(`${result.status === 'succeeded' ? '✅' : 'ℹ️'} [MONTHLY BILLING] Subscription ${subscription.id} retry: ${key}`);
+      } catch (e) {
+        console.error(`❌ [MONTHLY BILLING] Error retrying subscription ${subscription.id}:`, e?.message || e);
+        retries.error = (retries.error || 0) + 1;
       }
     }
     
-    console.log(`✅ [MONTHLY BILLING] Billing process complete. Success: ${successCount}, Errors: ${errorCount}`);
+    const cancelled = await subscriptionDunningService.cancelExpired();
+    
+    console.log('✅ [MONTHLY BILLING] Billing process complete:', { resumed: resumed.length, renewals: counts, retries, cancelled: cancelled.length });
+    return { resumed: resumed.length, renewals: counts, retries, cancelled: cancelled.length };
   } catch (error) {
     console.error('❌ [MONTHLY BILLING] Fatal error in monthly billing process:', error);
+    return null;
   }
 }
 
-function getNextBillingDate(frequency) {
-  const date = new Date();
-  if (frequency === 'monthly') {
-    date.setMonth(date.getMonth() + 1);
-  } else if (frequency === 'quarterly') {
-    date.setMonth(date.getMonth() + 3);
-  }
-  return date.toISOString().slice(0, 10); // YYYY-MM-DD
-}
-
 // Initialize cron job
 // Runs daily at 2 AM to check for subscriptions due for billing
 // Cron format: minute hour day month dayOfWeek
@@ -0,0 +1,491 @@
+// backend/src/services/patientIdentityService.js
+// Single place that decides which Tebra patient a person is. Booking, telemedicine, questionnaires,
+// webhooks and Shopify registration all go through findOrCreate() so the same person does not get a
+// new chart because one entry point matched on email and another on the customer mapping.
+// - resolve(): the customer_patient_map row (Shopify id / email) wins; otherwise Tebra patients found
+//   by email or last name are scored on email, name + date of birth and phone (scoreCandidate) and the
+//   best one at or above PATIENT_MATCH_THRESHOLD is used.
+// - findDuplicates(): likely duplicate charts, from customer_patient_map (one customer or email mapped
+//   to several patients) and from the tenant's Tebra patient list (same email, name + DOB, or phone +
+//   last name).
+// - merge(): admin operation that re-points local records of duplicate patients to the surviving one
+//   and records it in patient_merges. Tebra's API cannot merge charts; the duplicate chart stays in
+//   Tebra (merge it there too), but the resolver follows patient_merges so it is never picked again.
+//   tebra_appointments is not re-pointed: it mirrors Tebra, where the appointments stay on the
+//   duplicate chart until it is merged there.
+
+const crypto = require('crypto');
+const { query, ensurePool } = require('../db/pg');
+const logger = require('../utils/logger');
+const tebraService = require('./tebraService');
+const tebraTenantService = require('./tebraTenantService');
+const customerPatientMapService = require('./customerPatientMapService');
+
+const MATCH_THRESHOLD = parseFloat(process.env.PATIENT_MATCH_THRESHOLD) || 0.85;
+// Duplicates report lists pairs scoring at least this
+const REPORT_THRESHOLD = 0.7;
+const REPORT_FIELDS = { ID: 1, FirstName: 1, LastName: 1, DOB: 1, EmailAddress: 1, HomePhone: 1, MobilePhone: 1, WorkPhone: 1 };
+// Names entry points used when creating charts without one; they identify nobody
+const PLACEHOLDER_NAMES = new Set(['unknown', 'guest', 'customer', 'patient']);
+// Local records owned by a patient: table -> patient id column
+const PATIENT_TABLES = {
+  customer_patient_map: 'tebra_patient_id',
+  subscriptions: 'tebra_patient_id',
+  questionnaire_completions: 'patient_id',
+  tebra_documents: 'patient_id',
+  encounters: 'tebra_patient_id',
+  billing_sync: 'tebra_patient_id',
+  appointment_waitlist: 'tebra_patient_id'
+};
+
+function identityError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function normalizeEmail(value) {
+  return value ? String(value).trim().toLowerCase() || null : null;
+}
+
+function normalizeName(value) {
+  const name = value ? String(value).toLowerCase().replace(/[^a-z]/g, '') : '';
+  return name && !PLACEHOLDER_NAMES.has(name) ? name : null;
+}
+
+// Last 10 digits, so +1 (555) 010-0000 and 5550100000 compare equal
+function normalizePhone(value) {
+  const digits = value ? String(value).replace(/\D/g, '') : '';
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function normalizeDate(value) {
+  if (!value) return null;
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Identity fields of a person or a Tebra patient (normalized GetPatients shape or raw SOAP fields)
+function toIdentity(person = {}) {
+  const phones = [
+    person.phone, person.mobilePhone, person.homePhone, person.workPhone,
+    person.mobile_phone, person.home_phone, person.work_phone,
+    person.MobilePhone, person.HomePhone, person.WorkPhone
+  ].map(normalizePhone).filter(Boolean);
+  return {
+    id: String(person.id || person.ID || person.Id || person.PatientID || '') || null,
+    email: normalizeEmail(person.email || person.Email || person.EmailAddress),
+    firstName: normalizeName(person.firstName || person.first_name || person.FirstName),
+    lastName: normalizeName(person.lastName || person.last_name || person.LastName),
+    dateOfBirth: normalizeDate(person.dateOfBirth || person.date_of_birth || person.DOB || person.DateOfBirth),
+    phones: [...new Set(phones)]
+  };
+}
+
+// Write-queue key of a chart created for a person: a retried or concurrent request for the same
+// person reuses the chart, while a different person on a shared mailbox still gets their own
+function creationKey(tenantId, person) {
+  const identity = toIdentity(person);
+  const digest = crypto.createHash('sha256')
+    .update(JSON.stringify([person.shopifyCustomerId ? String(person.shopifyCustomerId) : null, identity.email, identity.firstName, identity.lastName, identity.dateOfBirth]))
+    .digest('hex')
+    .slice(0, 32);
+  return `patient-identity:${tenantId}:${digest}`;
+}
+
+/**
+ * How likely two identities are the same person
+ * - email + name or DOB: 1.0; name + DOB: 0.95; email: 0.9 (0.6 when the first names differ,
+ *   e.g. a shared family mailbox); phone + name or DOB: 0.85; phone + last name: 0.7; name or phone
+ *   alone: 0.4.
+ * - Different dates of birth cap the score at 0.4: never the same person automatically.
+ * @param {Object} a - toIdentity() result
+ * @param {Object} b - toIdentity() result
+ * @returns {{ score: number, matchedOn: string[] }}
+ */
+function scoreCandidate(a, b) {
+  const email = !!(a.email && a.email === b.email);
+  const lastName = !!(a.lastName && a.lastName === b.lastName);
+  const name = lastName && !!(a.firstName && a.firstName === b.firstName);
+  const dob = !!(a.dateOfBirth && a.dateOfBirth === b.dateOfBirth);
+  const phone = a.phones.some(p => b.phones.includes(p));
+  const firstNameConflict = !!(a.firstName && b.firstName && a.firstName !== b.firstName);
+  const dobConflict = !!(a.dateOfBirth && b.dateOfBirth && !dob);
+
+  const matchedOn = [];
+  if (email) matchedOn.push('email');
+  if (name) matchedOn.push('name');
+  if (dob) matchedOn.push('date_of_birth');
+  if (phone) matchedOn.push('phone');
+
+  let score = 0;
+  if (email && (name || dob)) score = 1;
+  else if (name && dob) score = 0.95;
+  else if (email) score = firstNameConflict ? 0.6 : 0.9;
+  else if (phone && (name || dob)) score = 0.85;
+  else if (phone && lastName) score = 0.7;
+  else if (name || phone) score = 0.4;
+  if (dobConflict) score = Math.min(score, 0.4);
+  return { score, matchedOn };
+}
+
+function candidateSummary(patient) {
+  return {
+    id: String(patient.id || patient.ID || patient.PatientID),
+    firstName: patient.first_name || patient.firstName || patient.FirstName || null,
+    lastName: patient.last_name || patient.lastName || patient.LastName || null,
+    email: patient.email || patient.EmailAddress || null,
+    dateOfBirth: normalizeDate(patient.date_of_birth || patient.dateOfBirth || patient.DOB)
+  };
+}
+
+function rowToMerge(row) {
+  return {
+    tenantId: row.tenant_id,
+    duplicateId: row.duplicate_id,
+    survivorId: row.survivor_id,
+    repointed: row.repointed,
+    reason: row.reason,
+    mergedBy: row.merged_by,
+    mergedAt: row.merged_at
+  };
+}
+
+class PatientIdentityService {
+  constructor() {
+    this.matchThreshold = MATCH_THRESHOLD;
+  }
+
+  /**
+   * Patient a (possibly merged) patient id stands for now
+   * @returns {Promise<string|null>}
+   */
+  async canonicalId(patientId, tenantId = 'default') {
+    if (!patientId) return null;
+    let id = String(patientId);
+    // Merges are never chained by merge(), but follow a few hops for rows edited by hand
+    for (let hop = 0; hop < 5; hop++) {
+      const { rows } = await query(
+        'SELECT survivor_id FROM patient_merges WHERE tenant_id = $1 AND duplicate_id = $2',
+        [tenantId, id]
+      );
+      if (!rows[0]) break;
+      id = rows[0].survivor_id;
+    }
+    return id;
+  }
+
+  /**
+   * Find the Tebra patient for a person without creating one
+   * @param {Object} person - { shopifyCustomerId, email, firstName, lastName, dateOfBirth, phone }
+   * @param {Object} options - { tebra (client, defaults to the one for tenantId/state/practiceId), tenantId, state, practiceId }
+   * @returns {Promise<{ patientId: string|null, confidence: number, matchedOn: string[], source: string|null, candidates: Array }>}
+   */
+  async resolve(person = {}, options = {}) {
+    const tenantId = tebraTenantService.resolveTenantId(options);
+    const identity = toIdentity(person);
+
+    const mapping = await customerPatientMapService.getByShopifyIdOrEmail(person.shopifyCustomerId, person.email, tenantId);
+    if (mapping?.tebra_patient_id) {
+      const patientId = await this.canonicalId(mapping.tebra_patient_id, tenantId);
+      return {
+        patientId,
+        confidence: 1,
+        matchedOn: [person.shopifyCustomerId && mapping.shopify_customer_id === String(person.shopifyCustomerId) ? 'shopify_customer_id' : 'email'],
+        source: 'mapping',
+        candidates: []
+      };
+    }
+
+    const tebra = options.tebra || tebraService.forTenant(tenantId);
+    const found = new Map();
+    const searches = [];
+    if (identity.email) searches.push({ email: identity.email });
+    if (identity.lastName) searches.push({ lastName: String(person.lastName).trim() });
+    for (const search of searches) {
+      try {
+        const result = await tebra.searchPatients(search);
+        for (const patient of result?.patients || result?.Patients || []) {
+          const candidate = toIdentity(patient);
+          if (candidate.id && !found.has(candidate.id)) found.set(candidate.id, { patient, candidate });
+        }
+      } catch (error) {
+        logger.warn('[PATIENT_IDENTITY] Tebra patient search failed', { search: Object.keys(search), error: error.message });
+      }
+    }
+
+    const candidates = [...found.values()]
+      .map(({ patient, candidate }) => ({ ...candidateSummary(patient), ...scoreCandidate(identity, candidate) }))
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+    const best = candidates[0];
+    if (!best || best.score < this.matchThreshold) {
+      return { patientId: null, confidence: best?.score || 0, matchedOn: best?.matchedOn || [], source: null, candidates };
+    }
+    return {
+      patientId: await this.canonicalId(best.id, tenantId),
+      confidence: best.score,
+      matchedOn: best.matchedOn,
+      source: 'tebra',
+      candidates
+    };
+  }
+
+  /**
+   * Resolve the person's patient, creating the Tebra chart when no match is confident enough,
+   * and remember it in customer_patient_map
+   * @param {Object} person - As for resolve()
+   * @param {Object} options - As for resolve(), plus createPayload (createPatient payload; built from person when omitted)
+   *   and idempotencyKey / source for the tebraWriteQueue createPatient command (the key defaults to one derived from
+   *   the person, so a retried request reuses the chart it created)
+   * @returns {Promise<{ id: string, created: boolean, confidence: number, matchedOn: string[], source: string }>}
+   */
+  async findOrCreate(person = {}, options = {}) {
+    if (!person.email && !(person.firstName && person.lastName)) {
+      throw identityError('Missing patient identity (email or name)', 400, 'PATIENT_IDENTITY_MISSING');
+    }
+    const tebra = options.tebra || tebraService.forCall({ tenantId: options.tenantId, state: options.state, practiceId: options.practiceId });
+    const resolved = await this.resolve(person, { ...options, tenantId: tebra.tenantId, tebra });
+
+    let id = resolved.patientId;
+    let created = false;
+    if (!id) {
+      const payload = options.createPayload || {
+        email: person.email,
+        firstName: person.firstName || 'Unknown',
+        lastName: person.lastName || 'Unknown',
+        mobilePhone: person.phone,
+        dateOfBirth: person.dateOfBirth
+      };
+      const tebraWriteQueue = require('./tebraWriteQueue');
+      const result = await tebraWriteQueue.execute('createPatient', payload, {
+        idempotencyKey: options.idempotencyKey || creationKey(tebra.tenantId, person),
+        source: options.source || 'patient_identity',
+        tenantId: tebra.tenantId
+      });
+      id = result?.id || result?.patientId || result?.PatientID;
+      if (!id) {
+        throw identityError('Failed to create Tebra patient: No ID returned', 502, 'PATIENT_CREATE_FAILED');
+      }
+      id = String(id);
+      created = true;
+      if (resolved.candidates.length) {
+        logger.info('[PATIENT_IDENTITY] Created patient; possible matches were below the threshold', {
+          patientId: id,
+          candidates: resolved.candidates.slice(0, 3).map(c => ({ id: c.id, score: c.score, matchedOn: c.matchedOn }))
+        });
+      }
+    }
+
+    // Also for mapped patients: attaches the Shopify id to an email-only row
+    if (person.shopifyCustomerId || person.email) {
+      try {
+        await customerPatientMapService.upsert(person.shopifyCustomerId, person.email, id, tebra.tenantId);
+      } catch (error) {
+        logger.warn('[PATIENT_IDENTITY] Failed to store customer-patient mapping', { patientId: id, error: error.message });
+      }
+    }
+
+    logger.debug('[PATIENT_IDENTITY] Patient resolved', { patientId: id, created, source: resolved.source, confidence: resolved.confidence });
+    return {
+      id,
+      created,
+      confidence: created ? 1 : resolved.confidence,
+      matchedOn: resolved.matchedOn,
+      source: created ? 'created' : resolved.source
+    };
+  }
+
+  /**
+   * Likely duplicate patients
+   * @param {Object} options - { tenantId, includeTebra (default true) }
+   * @returns {Promise<{ tenantId, groups: Array, tebraError: string|null }>} groups:
+   *   [{ source: 'mapping'|'tebra', matchedOn, confidence, key, patients }]
+   */
+  async findDuplicates({ tenantId, includeTebra = true } = {}) {
+    const tenant = tebraTenantService.getTenant(tenantId).id;
+    const { rows: merged } = await query('SELECT duplicate_id FROM patient_merges WHERE tenant_id = $1', [tenant]);
+    const mergedIds = new Set(merged.map(row => row.duplicate_id));
+    const groups = [];
+
+    const { rows } = await query(
+      `SELECT 'email' AS matched_on, LOWER(email) AS key, ARRAY_AGG(DISTINCT tebra_patient_id) AS patient_ids
+         FROM customer_patient_map WHERE tenant_id = $1 AND email IS NOT NULL AND tebra_patient_id IS NOT NULL
+        GROUP BY LOWER(email) HAVING COUNT(DISTINCT tebra_patient_id) > 1
+       UNION ALL
+       SELECT 'shopify_customer_id', shopify_customer_id, ARRAY_AGG(DISTINCT tebra_patient_id)
+         FROM customer_patient_map WHERE tenant_id = $1 AND shopify_customer_id IS NOT NULL AND tebra_patient_id IS NOT NULL
+        GROUP BY shopify_customer_id HAVING COUNT(DISTINCT tebra_patient_id) > 1`,
+      [tenant]
+    );
+    for (const row of rows) {
+      const ids = row.patient_ids.filter(id => !mergedIds.has(id));
+      if (ids.length < 2) continue;
+      groups.push({ source: 'mapping', matchedOn: [row.matched_on], confidence: 1, key: row.key, patients: ids.map(id => ({ id })) });
+    }
+
+    let tebraError = null;
+    if (includeTebra) {
+      try {
+        const result = await tebraService.forTenant(tenant).getPatients({ fields: REPORT_FIELDS });
+        const data = result?.GetPatientsResult || result;
+        const patients = (data?.patients || data?.Patients || [])
+          .map(patient => ({ patient, identity: toIdentity(patient) }))
+          .filter(({ identity }) => identity.id && !mergedIds.has(identity.id));
+        groups.push(...this.groupTebraPatients(patients));
+      } catch (error) {
+        tebraError = error.message;
+        logger.warn('[PATIENT_IDENTITY] Could not list Tebra patients for the duplicates report', { tenantId: tenant, error: error.message });
+      }
+    }
+
+    return { tenantId: tenant, groups, tebraError };
+  }
+
+  // Group Tebra patients sharing an email, name + DOB or phone + last name; keep groups whose
+  // members all score at least REPORT_THRESHOLD against the first
+  groupTebraPatients(patients) {
+    const buckets = new Map();
+    const add = (key, entry) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      const bucket = buckets.get(key);
+      if (!bucket.includes(entry)) bucket.push(entry);
+    };
+    for (const entry of patients) {
+      const { email, firstName, lastName, dateOfBirth, phones } = entry.identity;
+      if (email) add(`email:${email}`, entry);
+      if (firstName && lastName && dateOfBirth) add(`name_dob:${firstName}|${lastName}|${dateOfBirth}`, entry);
+      if (lastName) phones.forEach(phone => add(`phone:${phone}|${lastName}`, entry));
+    }
+
+    const groups = new Map();
+    for (const [key, bucket] of buckets) {
+      if (bucket.length < 2) continue;
+      const [first, ...others] = bucket;
+      const scores = others.map(other => scoreCandidate(first.identity, other.identity));
+      const confidence = Math.min(...scores.map(s => s.score));
+      if (confidence < REPORT_THRESHOLD) continue;
+      const ids = bucket.map(entry => entry.identity.id).sort();
+      const groupKey = ids.join(',');
+      const matchedOn = [...new Set(scores.flatMap(s => s.matchedOn))];
+      const existing = groups.get(groupKey);
+      if (existing) {
+        existing.matchedOn = [...new Set([...existing.matchedOn, ...matchedOn])];
+        existing.confidence = Math.max(existing.confidence, confidence);
+        continue;
+      }
+      groups.set(groupKey, {
+        source: 'tebra',
+        matchedOn,
+        confidence,
+        key: key.split(':')[0],
+        patients: bucket.map(entry => candidateSummary(entry.patient))
+      });
+    }
+    return [...groups.values()].sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Merge duplicate patients into a surviving one: re-point local records and record the merge
+   * Only the records of the given Tebra account are re-pointed: another account may use the same
+   * patient ids for different people.
+   * @param {string} survivorId - Tebra patient that stays
+   * @param {string[]} duplicateIds - Tebra patients merged into it
+   * @param {Object} options - { tenantId, mergedBy, reason }
+   * @returns {Promise<{ tenantId, survivorId, duplicateIds, repointed }>} repointed: rows per table
+   */
+  async merge(survivorId, duplicateIds, { tenantId, mergedBy = null, reason = null } = {}) {
+    const survivor = survivorId ? String(survivorId) : null;
+    const duplicates = [...new Set((Array.isArray(duplicateIds) ? duplicateIds : [duplicateIds]).filter(Boolean).map(String))];
+    if (!survivor || !duplicates.length) {
+      throw identityError('survivorId and duplicateIds are required', 400, 'PATIENT_MERGE_INVALID');
+    }
+    if (duplicates.includes(survivor)) {
+      throw identityError('A patient cannot be merged into itself', 400, 'PATIENT_MERGE_INVALID');
+    }
+    const tenant = tebraTenantService.getTenant(tenantId).id;
+
+    const { rows: existing } = await query(
+      'SELECT duplicate_id, survivor_id FROM patient_merges WHERE tenant_id = $1 AND duplicate_id = ANY($2)',
+      [tenant, [survivor, ...duplicates]]
+    );
+    if (existing.length) {
+      const row = existing[0];
+      throw identityError(`Patient ${row.duplicate_id} was already merged into ${row.survivor_id}`, 409, 'PATIENT_ALREADY_MERGED');
+    }
+
+    const patient = await tebraService.forTenant(tenant).getPatient(survivor);
+    if (!patient?.id) {
+      throw identityError(`Tebra patient ${survivor} not found`, 404, 'PATIENT_NOT_FOUND');
+    }
+
+    const pool = await ensurePool();
+    const client = await pool.connect();
+    const repointed = {};
+    try {
+      await client.query('BEGIN');
+      // Tables are created by their services on first use; skip the ones not there yet
+      const { rows: present } = await client.query(
+        'SELECT name FROM UNNEST($1::text[]) AS name WHERE to_regclass(name) IS NOT NULL',
+        [Object.keys(PATIENT_TABLES)]
+      );
+      for (const { name } of present) {
+        const column = PATIENT_TABLES[name];
+        const result = await client.query(
+          `UPDATE ${name} SET ${column} = $1 WHERE tenant_id = $2 AND ${column} = ANY($3)`,
+          [survivor, tenant, duplicates]
+        );
+        repointed[name] = result.rowCount;
+      }
+      // Earlier merges into a patient now merged away point at the new survivor
+      await client.query('UPDATE patient_merges SET survivor_id = $2 WHERE tenant_id = $1 AND survivor_id = ANY($3)', [tenant, survivor, duplicates]);
+      for (const duplicate of duplicates) {
+        await client.query(
+          `INSERT INTO patient_merges (tenant_id, duplicate_id, survivor_id, repointed, reason, merged_by)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [tenant, duplicate, survivor, JSON.stringify(repointed), reason, mergedBy]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info('[PATIENT_IDENTITY] Patients merged', { tenantId: tenant, survivorId: survivor, duplicateIds: duplicates, repointed, mergedBy });
+    return { tenantId: tenant, survivorId: survivor, duplicateIds: duplicates, repointed };
+  }
+
+  /**
+   * Recorded merges, newest first
+   * @param {Object} options - { tenantId, patientId (as survivor or duplicate), limit }
+   */
+  async listMerges({ tenantId, patientId, limit = 50 } = {}) {
+    const params = [];
+    const conditions = [];
+    if (tenantId) {
+      params.push(tenantId);
+      conditions.push(`tenant_id = $${params.length}`);
+    }
+    if (patientId) {
+      params.push(String(patientId));
+      conditions.push(`(survivor_id = $${params.length} OR duplicate_id = $${params.length})`);
+    }
+    params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500));
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { rows } = await query(`SELECT * FROM patient_merges ${where} ORDER BY merged_at DESC LIMIT $${params.length}`, params);
+    return rows.map(rowToMerge);
+  }
+}
+
+// Export singleton instance
+module.exports = new PatientIdentityService();
+module.exports.scoreCandidate = scoreCandidate;
+module.exports.toIdentity = toIdentity;
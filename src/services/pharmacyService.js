@@ -26,6 +26,13 @@ async function submitPrescription({ patientId, practiceId, treatment, pharmacy,
     return { success: false, message: 'Missing patient or treatment for eRx' };
   }
 
+  // Fulfilment is paused while a subscription of the patient is suspended for non-payment (dunning)
+  const subscriptionDunningService = require('./subscriptionDunningService');
+  if (await subscriptionDunningService.isFulfilmentPaused(patientId)) {
+    console.warn(`[Pharmacy] Prescription for patient ${patientId} not submitted: subscription suspended for non-payment`);
+    return { success: false, paused: true, message: 'Prescription fulfilment paused: subscription suspended for non-payment' };
+  }
+
   // Route to appropriate eRx provider based on configuration
   switch (ERX_PROVIDER) {
     case 'tebra':
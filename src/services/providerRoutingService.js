@@ -2,6 +2,8 @@
 // Minimal provider routing and policy evaluation service.
 // Decides provider/practice assignment based on state and product/treatment keywords.
 
+const tebraTenantService = require('./tebraTenantService');
+
 function normalizeState(input) {
   if (!input) return '';
   const s = String(input).trim().toUpperCase();
@@ -40,7 +42,7 @@ function evaluate(questionnaire = {}, treatment = {}, stateInput) {
   return { state, redFlags, restrictions, requiresConsult, restricted };
 }
 
-// Select provider and practice based on state
+// Select provider, practice and Tebra account (tenant) based on state
 function selectProvider({ stateInput, preferredPracticeId }) {
   const state = normalizeState(stateInput);
   const defaultPracticeId = process.env.TEBRA_PRACTICE_ID || preferredPracticeId || null;
@@ -61,7 +63,10 @@ function selectProvider({ stateInput, preferredPracticeId }) {
 
   const providerContact = providerMap[state] || process.env.PROVIDER_ALERT_EMAIL || null;
 
-  return { state, practiceId, providerContact };
+  // providerMapping[state].tenantId (TEBRA_TENANT_<STATE>), else the tenant owning the practice
+  const tenantId = tebraTenantService.resolveTenantId({ state: state || undefined, practiceId });
+
+  return { state, practiceId, tenantId, providerContact };
 }
 
 module.exports = { evaluate, selectProvider };
@@ -3,6 +3,7 @@
 // Prevents guest users from bypassing questionnaire by manipulating cart properties
 
 const { query } = require('../db/pg');
+const tebraTenantService = require('./tebraTenantService');
 
 const INIT_SQL = `
 CREATE TABLE IF NOT EXISTS questionnaire_completions (
@@ -26,6 +27,8 @@ CREATE INDEX IF NOT EXISTS idx_qc_product ON questionnaire_completions(product_i
 CREATE INDEX IF NOT EXISTS idx_qc_patient ON questionnaire_completions(patient_id);
 CREATE INDEX IF NOT EXISTS idx_qc_completed_at ON questionnaire_completions(completed_at);
 CREATE UNIQUE INDEX IF NOT EXISTS idx_qc_unique ON questionnaire_completions(email, product_id, completed_at);
+-- Tebra account (tebraTenantService) patient_id belongs to, from the patient's state
+ALTER TABLE questionnaire_completions ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
 `;
 
 let initialized = false;
@@ -67,9 +70,9 @@ async function recordCompletion({
   const sql = `
     INSERT INTO questionnaire_completions (
       email, customer_id, product_id, quiz_id, patient_id,
-      red_flags_detected, state, purchase_type, completed_at, updated_at
+      red_flags_detected, state, purchase_type, tenant_id, completed_at, updated_at
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
     RETURNING *
   `;
   
@@ -81,7 +84,8 @@ async function recordCompletion({
     patientId || null,
     redFlagsDetected,
     state ? state.toUpperCase() : null,
-    purchaseType
+    purchaseType,
+    tebraTenantService.resolveTenantId({ state })
   ];
 
   const { rows } = await query(sql, params);
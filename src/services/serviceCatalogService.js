@@ -0,0 +1,281 @@
+// backend/src/services/serviceCatalogService.js
+// Server-side catalog of billable services (consult types, follow-ups, lab panels, subscriptions):
+// price, currency, CPT code / modifier and tax flags per service id. The storefront sends a service
+// id; checkout, Tebra charges and the billing summary read price and codes from here.
+// Services come from:
+// - BILLABLE_SERVICES_JSON: {"<serviceId>": {"name", "description", "category", "priceCents", "currency",
+//   "cptCode", "cptModifier", "taxable", "stripeTaxCode", "shopifyProductIds": ["123"], "active"}}
+// - billable_services table (admin API), loaded by refresh(); rows override config services with the same id.
+//   refresh() runs at startup, after each admin edit and every minute (index.js), so edits made on
+//   another instance apply here too
+
+const logger = require('../utils/logger');
+
+const SERVICE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const CATEGORIES = ['consultation', 'follow_up', 'lab_panel', 'subscription', 'fee', 'other'];
+const CPT_PATTERN = /^[0-9A-Z]{5}$/;
+const MODIFIER_PATTERN = /^[0-9A-Z]{2}$/;
+const CURRENCY_PATTERN = /^[a-z]{3}$/;
+const MAX_QUANTITY = 10;
+
+function catalogError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function normalizeService(id, config = {}, source) {
+  return {
+    id,
+    name: config.name,
+    description: config.description || null,
+    category: config.category || 'other',
+    priceCents: Number(config.priceCents),
+    currency: String(config.currency || 'usd').toLowerCase(),
+    cptCode: config.cptCode ? String(config.cptCode).toUpperCase() : null,
+    cptModifier: config.cptModifier ? String(config.cptModifier).toUpperCase() : null,
+    taxable: config.taxable === true,
+    stripeTaxCode: config.stripeTaxCode || null,
+    shopifyProductIds: (config.shopifyProductIds || []).map(String),
+    active: config.active !== false,
+    source
+  };
+}
+
+// Problems with a service definition, empty when valid
+function validateService(service) {
+  const problems = [];
+  if (!SERVICE_ID_PATTERN.test(service.id)) problems.push('id must be 1-50 lowercase letters, digits, "-" or "_"');
+  if (!service.name) problems.push('name is required');
+  if (!CATEGORIES.includes(service.category)) problems.push(`category must be one of ${CATEGORIES.join(', ')}`);
+  if (!Number.isInteger(service.priceCents) || service.priceCents <= 0) problems.push('priceCents must be a positive integer');
+  if (!CURRENCY_PATTERN.test(service.currency)) problems.push('currency must be a 3-letter ISO code');
+  if (!service.cptCode || !CPT_PATTERN.test(service.cptCode)) problems.push('cptCode must be a 5-character CPT/HCPCS code');
+  if (service.cptModifier && !MODIFIER_PATTERN.test(service.cptModifier)) problems.push('cptModifier must be 2 characters');
+  return problems;
+}
+
+function loadConfigServices(env = process.env) {
+  const services = new Map();
+  let configured = {};
+  try {
+    configured = JSON.parse(env.BILLABLE_SERVICES_JSON || '{}');
+  } catch (error) {
+    logger.error('[SERVICE_CATALOG] BILLABLE_SERVICES_JSON is not valid JSON, ignoring it', { error: error.message });
+  }
+  for (const [id, config] of Object.entries(configured || {})) {
+    const service = normalizeService(id, config, 'config');
+    const problems = validateService(service);
+    if (problems.length) {
+      logger.error('[SERVICE_CATALOG] Ignoring invalid service in BILLABLE_SERVICES_JSON', { serviceId: id, problems });
+      continue;
+    }
+    services.set(id, service);
+  }
+  return services;
+}
+
+function rowToService(row) {
+  return normalizeService(row.service_id, {
+    name: row.name,
+    description: row.description,
+    category: row.category,
+    priceCents: row.price_cents,
+    currency: row.currency,
+    cptCode: row.cpt_code,
+    cptModifier: row.cpt_modifier,
+    taxable: row.taxable,
+    stripeTaxCode: row.stripe_tax_code,
+    shopifyProductIds: row.shopify_product_ids,
+    active: row.active
+  }, 'database');
+}
+
+class ServiceCatalogService {
+  constructor() {
+    this.reload();
+  }
+
+  /**
+   * Rebuild the catalog from env config (drops services loaded from the database until refresh())
+   */
+  reload() {
+    this.configServices = loadConfigServices();
+    this.services = new Map(this.configServices);
+  }
+
+  /**
+   * Load billable_services on top of the config services.
+   * Keeps the current catalog when the database is unavailable.
+   * @returns {Promise<number>} Number of services loaded from the database
+   */
+  async refresh() {
+    try {
+      const { query } = require('../db/pg');
+      const { rows } = await query('SELECT * FROM billable_services ORDER BY service_id');
+      const services = new Map(this.configServices);
+      for (const row of rows) {
+        services.set(row.service_id, rowToService(row));
+      }
+      this.services = services;
+      return rows.length;
+    } catch (error) {
+      logger.warn('[SERVICE_CATALOG] Could not load billable services from database', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Services in the catalog
+   * @param {Object} options - { includeInactive }
+   * @returns {Array}
+   */
+  listServices({ includeInactive = false } = {}) {
+    return [...this.services.values()]
+      .filter(service => includeInactive || service.active)
+      .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Service by id, active or not; null when unknown
+   */
+  getService(serviceId) {
+    return serviceId ? this.services.get(String(serviceId)) || null : null;
+  }
+
+  /**
+   * Active service a Shopify (subscription) product is billed as; null when none lists the product
+   */
+  forShopifyProduct(productId) {
+    if (!productId) return null;
+    const id = String(productId);
+    return this.listServices().find(service => service.shopifyProductIds.includes(id)) || null;
+  }
+
+  /**
+   * Price of a purchase, from the catalog only
+   * @param {string} serviceId
+   * @param {number} [quantity=1]
+   * @returns {{ service: Object, quantity: number, unitAmountCents: number, amountCents: number, currency: string }}
+   */
+  quote(serviceId, quantity = 1) {
+    const service = this.getService(serviceId);
+    if (!service || !service.active) {
+      throw catalogError(`Unknown or inactive service: ${serviceId}`, 400, 'UNKNOWN_SERVICE');
+    }
+    const count = Number(quantity);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_QUANTITY) {
+      throw catalogError(`quantity must be an integer from 1 to ${MAX_QUANTITY}`, 400, 'INVALID_QUANTITY');
+    }
+    return {
+      service,
+      quantity: count,
+      unitAmountCents: service.priceCents,
+      amountCents: service.priceCents * count,
+      currency: service.currency
+    };
+  }
+
+  /**
+   * Tebra encounter items (tebraBillingService.createCharge) for a service
+   * @param {Object} service - Catalog service
+   * @param {number} [quantity=1]
+   * @param {number} [unitAmountCents] - Defaults to the catalog price
+   */
+  chargeItems(service, quantity = 1, unitAmountCents = service.priceCents) {
+    return [{
+      cpt: service.cptCode,
+      modifier: service.cptModifier || undefined,
+      units: quantity,
+      amountCents: unitAmountCents
+    }];
+  }
+
+  /**
+   * Tebra encounter items priced at what was paid, so the charge matches the payment when the
+   * price changed after checkout or a discount applied. An amount that does not split evenly
+   * puts the remainder on the last unit.
+   * @param {Object} service - Catalog service (or { cptCode, cptModifier } for uncataloged products)
+   * @param {number} quantity
+   * @param {number} paidCents - Paid for all units, excluding tax
+   */
+  paidChargeItems(service, quantity, paidCents) {
+    const units = Math.max(1, parseInt(quantity, 10) || 1);
+    const unitCents = Math.floor(paidCents / units);
+    const remainder = paidCents - unitCents * units;
+    if (!remainder) return this.chargeItems(service, units, unitCents);
+    return [
+      ...(units > 1 ? this.chargeItems(service, units - 1, unitCents) : []),
+      ...this.chargeItems(service, 1, unitCents + remainder)
+    ];
+  }
+
+  /**
+   * Create or update a service in billable_services
+   * @param {string} serviceId
+   * @param {Object} fields - As in BILLABLE_SERVICES_JSON; omitted fields keep their current value
+   * @param {Object} options - { updatedBy }
+   * @returns {Promise<Object>} Saved service
+   */
+  async saveService(serviceId, fields = {}, { updatedBy = null } = {}) {
+    const id = String(serviceId || '');
+    if (fields.shopifyProductIds !== undefined && !Array.isArray(fields.shopifyProductIds)) {
+      throw catalogError('shopifyProductIds must be an array', 400, 'INVALID_SERVICE');
+    }
+    // Merge onto the stored row, which another instance may have edited since our last refresh
+    await this.refresh();
+    const current = this.services.get(id);
+    const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    const service = normalizeService(id, { ...(current || {}), ...defined }, 'database');
+    const problems = validateService(service);
+    if (problems.length) {
+      throw catalogError(`Invalid service: ${problems.join('; ')}`, 400, 'INVALID_SERVICE');
+    }
+
+    const { query } = require('../db/pg');
+    await query(
+      `INSERT INTO billable_services (service_id, name, description, category, price_cents, currency, cpt_code, cpt_modifier,
+                                      taxable, stripe_tax_code, shopify_product_ids, active, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       ON CONFLICT (service_id) DO UPDATE SET
+         name = EXCLUDED.name,
+         description = EXCLUDED.description,
+         category = EXCLUDED.category,
+         price_cents = EXCLUDED.price_cents,
+         currency = EXCLUDED.currency,
+         cpt_code = EXCLUDED.cpt_code,
+         cpt_modifier = EXCLUDED.cpt_modifier,
+         taxable = EXCLUDED.taxable,
+         stripe_tax_code = EXCLUDED.stripe_tax_code,
+         shopify_product_ids = EXCLUDED.shopify_product_ids,
+         active = EXCLUDED.active,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()`,
+      [
+        id,
+        service.name,
+        service.description,
+        service.category,
+        service.priceCents,
+        service.currency,
+        service.cptCode,
+        service.cptModifier,
+        service.taxable,
+        service.stripeTaxCode,
+        service.shopifyProductIds,
+        service.active,
+        updatedBy
+      ]
+    );
+    logger.info('[SERVICE_CATALOG] Saved billable service', { serviceId: id, priceCents: service.priceCents, active: service.active, updatedBy });
+
+    await this.refresh();
+    return this.getService(id) || service;
+  }
+}
+
+const serviceCatalogService = new ServiceCatalogService();
+
+module.exports = serviceCatalogService;
+module.exports.CATEGORIES = CATEGORIES;
@@ -0,0 +1,549 @@
+// backend/src/services/slotHoldService.js
+// Temporary slot reservations during checkout.
+// A hold takes the slot out of everyone else's availability (merged into the
+// existing appointments by availabilityCalculator) until it expires, is released,
+// or is converted into a Tebra appointment when the Shopify order is paid.
+// Group slots (appointment reasons with capacity > 1) can be held once per free seat.
+
+const { randomUUID } = require('crypto');
+const moment = require('moment-timezone');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const providerMapping = require('../config/providerMapping');
+
+// Line item / note attribute names the storefront uses to pass the hold id through checkout
+const HOLD_PROPERTY_KEYS = ['_slot_hold_id', 'slot_hold_id', 'slothold', 'slot hold id', '_hold_id', 'hold_id'];
+
+function holdError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+class SlotHoldService {
+  constructor() {
+    this.ttlMinutes = parseInt(process.env.SLOT_HOLD_TTL_MINUTES, 10) || 10;
+    this.maxHoldMinutes = parseInt(process.env.SLOT_HOLD_MAX_MINUTES, 10) || 30;
+    this.maxHoldsPerIp = parseInt(process.env.SLOT_HOLD_MAX_PER_IP, 10) || 3;
+  }
+
+  rowToHold(row) {
+    return {
+      id: row.id,
+      state: row.state,
+      practiceId: row.practice_id,
+      providerId: row.provider_id,
+      appointmentReasonId: row.appointment_reason_id || null,
+      seat: row.seat || 1,
+      capacity: row.capacity || 1,
+      resourceIds: Array.isArray(row.resource_ids) ? row.resource_ids.map(String) : [],
+      startTime: new Date(row.start_time).toISOString(),
+      endTime: new Date(row.end_time).toISOString(),
+      shopifyCustomerId: row.shopify_customer_id || null,
+      cartToken: row.cart_token || null,
+      email: row.email || null,
+      status: row.status,
+      expiresAt: new Date(row.expires_at).toISOString(),
+      shopifyOrderId: row.shopify_order_id || null,
+      tebraAppointmentId: row.tebra_appointment_id || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  isLive(hold, now = Date.now()) {
+    if (hold.status === 'converting') return true;
+    return hold.status === 'held' && new Date(hold.expiresAt).getTime() > now;
+  }
+
+  // A hold belongs to the caller when the Shopify customer or the cart matches
+  isOwner(hold, owner = {}) {
+    if (!hold || !owner) return false;
+    if (hold.shopifyCustomerId && owner.shopifyCustomerId && String(hold.shopifyCustomerId) === String(owner.shopifyCustomerId)) return true;
+    return !!(hold.cartToken && owner.cartToken && hold.cartToken === owner.cartToken);
+  }
+
+  async getHold(id) {
+    if (!id || !/^[0-9a-f-]{36}$/i.test(String(id))) return null;
+    const { rows } = await query('SELECT * FROM slot_holds WHERE id = $1', [id]);
+    return rows[0] ? this.rowToHold(rows[0]) : null;
+  }
+
+  /**
+   * Live holds for a provider, optionally limited to a date range
+   * @param {Object} options
+   * @param {string} options.providerId
+   * @param {string[]} options.resourceIds - Also include holds of other providers booking one of these resources
+   * @param {string} options.fromDate - YYYY-MM-DD (optional)
+   * @param {string} options.toDate - YYYY-MM-DD (optional, inclusive)
+   * @returns {Promise<Object[]>}
+   */
+  async getActiveHolds({ providerId, resourceIds = [], fromDate, toDate } = {}) {
+    const params = [providerId != null ? String(providerId) : null, (resourceIds || []).map(String)];
+    let sql = `SELECT * FROM slot_holds
+       WHERE ($1::text IS NULL OR provider_id = $1 OR resource_ids ?| $2::text[])
+         AND (status = 'converting' OR (status = 'held' AND expires_at > NOW()))`;
+    if (fromDate) {
+      params.push(moment.utc(fromDate).subtract(1, 'day').toISOString());
+      sql += ` AND end_time > $${params.length}`;
+    }
+    if (toDate) {
+      params.push(moment.utc(toDate).add(2, 'days').toISOString());
+      sql += ` AND start_time < $${params.length}`;
+    }
+    const { rows } = await query(`${sql} ORDER BY start_time`, params);
+    return rows.map(row => this.rowToHold(row));
+  }
+
+  /**
+   * Hold a slot for a customer/cart
+   * The slot must currently be offered by availability (holds owned by the same
+   * customer/cart are ignored, so a patient can re-hold after changing their mind).
+   * Any other live hold of the same customer/cart is released once the new one is about to be created,
+   * so each cart holds one slot at a time; a client IP may hold at most SLOT_HOLD_MAX_PER_IP slots across carts. Group slots take the lowest
+   * free seat; the unique seat index rejects a concurrent hold of the last seat.
+   * @param {Object} data
+   * @param {string} data.state - State code (selects practice/provider mapping)
+   * @param {string} data.startTime - Slot start (ISO 8601)
+   * @param {string} data.providerId - Provider (default: state's default provider)
+   * @param {string} data.appointmentReasonId - Appointment reason (default: state's reason)
+   * @param {string} data.shopifyCustomerId - Authenticated Shopify customer
+   * @param {string} data.cartToken - Shopify cart token
+   * @param {string} data.email
+   * @param {string} data.clientIp - Requesting IP (caps live holds per client)
+   * @param {Object} options
+   * @param {number} options.ttlMinutes - Hold lifetime (default SLOT_HOLD_TTL_MINUTES)
+   * @param {boolean} options.verifyAvailability - Require the slot to be offered by availability (default true)
+   * @param {string} options.endTime - Slot end (ISO 8601); required when verifyAvailability is false
+   * @returns {Promise<Object>} Hold
+   * @throws {Error} status 400 for bad input, 409 (SLOT_UNAVAILABLE) if the slot is taken,
+   *   429 (TOO_MANY_HOLDS) when the client IP already holds SLOT_HOLD_MAX_PER_IP slots
+   */
+  async createHold(data = {}, { ttlMinutes = this.ttlMinutes, verifyAvailability = true, endTime = null } = {}) {
+    const state = String(data.state || '').toUpperCase();
+    const mapping = providerMapping[state];
+    if (!mapping || !mapping.practiceId) {
+      throw holdError(`Unsupported state: ${data.state}`, 400, 'UNSUPPORTED_STATE');
+    }
+    if (!data.shopifyCustomerId && !data.cartToken) {
+      throw holdError('A hold must belong to a customer or a cart (cartToken)', 400, 'HOLD_OWNER_REQUIRED');
+    }
+
+    const start = moment.utc(data.startTime, moment.ISO_8601, true);
+    if (!start.isValid()) {
+      throw holdError('startTime must be a valid ISO 8601 date-time', 400, 'INVALID_START_TIME');
+    }
+
+    const practiceId = String(mapping.practiceId);
+    if (!data.providerId && !mapping.defaultProviderId) {
+      throw holdError(`No provider configured for state: ${state}`, 400, 'NO_PROVIDER');
+    }
+    const providerId = String(data.providerId || mapping.defaultProviderId);
+    const appointmentReasonId = data.appointmentReasonId || mapping.appointmentReasonId || null;
+    const owner = { shopifyCustomerId: data.shopifyCustomerId, cartToken: data.cartToken };
+
+    let end;
+    let capacity = 1;
+    let resourceIds = [];
+    if (verifyAvailability) {
+      const slot = await this.findOfferedSlot({ state, practiceId, providerId, appointmentReasonId, start, owner });
+      if (!slot) {
+        throw holdError('The selected time is no longer available', 409, 'SLOT_UNAVAILABLE');
+      }
+      end = moment.utc(slot.endTime);
+      capacity = slot.capacity || 1;
+      resourceIds = slot.resourceIds || [];
+    } else {
+      // Freed slots (e.g. waitlist offers) may still show as booked while Tebra catches up
+      end = moment.utc(endTime, moment.ISO_8601, true);
+      if (!end.isValid() || !end.isAfter(start)) {
+        throw holdError('endTime must be a valid ISO 8601 date-time after startTime', 400, 'INVALID_END_TIME');
+      }
+    }
+
+    // The caller's own holds are about to be replaced, so they count neither toward the cap nor as taken seats
+    if (data.clientIp) {
+      const { rows: live } = await query(
+        `SELECT COUNT(*)::int AS count FROM slot_holds
+         WHERE client_ip = $1 AND status = 'held' AND expires_at > NOW()
+           AND NOT ((shopify_customer_id IS NOT NULL AND shopify_customer_id = $2) OR (cart_token IS NOT NULL AND cart_token = $3))`,
+        [String(data.clientIp), owner.shopifyCustomerId ? String(owner.shopifyCustomerId) : null, owner.cartToken || null]
+      );
+      if ((live[0]?.count || 0) >= this.maxHoldsPerIp) {
+        throw holdError('Too many slots held from this client; release one or complete checkout first', 429, 'TOO_MANY_HOLDS');
+      }
+    }
+    const seat = await this.findFreeSeat(providerId, start, capacity, owner);
+    if (!seat) {
+      throw holdError('The selected time is no longer available', 409, 'SLOT_UNAVAILABLE');
+    }
+    await this.releaseOwnerHolds(owner);
+
+    let row;
+    try {
+      const { rows } = await query(
+        `INSERT INTO slot_holds (id, state, practice_id, provider_id, appointment_reason_id, start_time, end_time, shopify_customer_id, cart_token, email, status, expires_at, seat, capacity, resource_ids, client_ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'held', NOW() + ($11 || ' minutes')::interval, $12, $13, $14, $15)
+         RETURNING *`,
+        [
+          randomUUID(),
+          state,
+          practiceId,
+          providerId,
+          appointmentReasonId ? String(appointmentReasonId) : null,
+          start.toISOString(),
+          end.toISOString(),
+          data.shopifyCustomerId ? String(data.shopifyCustomerId) : null,
+          data.cartToken || null,
+          data.email || null,
+          String(ttlMinutes),
+          seat,
+          capacity,
+          JSON.stringify(resourceIds.map(String)),
+          data.clientIp ? String(data.clientIp) : null
+        ]
+      );
+      row = rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw holdError('The selected time is no longer available', 409, 'SLOT_UNAVAILABLE');
+      }
+      throw error;
+    }
+
+    const hold = this.rowToHold(row);
+    await this.invalidateAvailability(hold);
+    logger.info('[SLOT_HOLD] Slot held', { holdId: hold.id, state, providerId, startTime: hold.startTime, expiresAt: hold.expiresAt });
+    return hold;
+  }
+
+  /**
+   * Lowest seat number free for a new hold at a provider start time
+   * Only seats 1..capacity are offered, so concurrent holds on the last seat collide on the
+   * unique seat index instead of spilling onto a seat the slot does not have.
+   * Held seats of `owner` count as free (createHold releases them before inserting).
+   * Holds at this start time past their expiry are expired first, as availability already treats
+   * them as free and the unique seat index would otherwise still reject their seats.
+   * @returns {Promise<number|null>} Seat, or null when every seat is held
+   */
+  async findFreeSeat(providerId, start, capacity = 1, owner = null) {
+    const { rows } = await query(
+      `WITH expired AS (
+         UPDATE slot_holds SET status = 'expired', updated_at = NOW()
+         WHERE provider_id = $1 AND start_time = $2 AND status = 'held' AND expires_at <= NOW()
+         RETURNING id
+       )
+       SELECT seat, status, shopify_customer_id, cart_token FROM slot_holds
+       WHERE provider_id = $1 AND start_time = $2 AND status IN ('held', 'converting')
+         AND id NOT IN (SELECT id FROM expired)`,
+      [String(providerId), start.toISOString()]
+    );
+    const taken = new Set(rows
+      .filter(row => !(owner && row.status === 'held' && this.isOwner({ shopifyCustomerId: row.shopify_customer_id, cartToken: row.cart_token }, owner)))
+      .map(row => row.seat || 1));
+    const maxSeat = Math.max(parseInt(capacity, 10) || 1, 1);
+    for (let seat = 1; seat <= maxSeat; seat++) {
+      if (!taken.has(seat)) return seat;
+    }
+    return null;
+  }
+
+  // The availability slot starting at `start`, computed as the holder would see it
+  async findOfferedSlot({ state, practiceId, providerId, appointmentReasonId, start, owner }) {
+    const availabilityCalculator = require('./availabilityCalculator');
+    const result = await availabilityCalculator.calculateAvailability({
+      practiceId,
+      providerId,
+      state,
+      appointmentReasonId,
+      fromDate: start.clone().subtract(1, 'day').format('YYYY-MM-DD'),
+      toDate: start.clone().add(1, 'day').format('YYYY-MM-DD'),
+      holdOwner: owner
+    });
+    return (result.availability || []).find(slot => new Date(slot.startTime).getTime() === start.valueOf()) || null;
+  }
+
+  /**
+   * Push a hold's expiry out again (capped at SLOT_HOLD_MAX_MINUTES after it was created)
+   * @returns {Promise<Object>} Updated hold
+   */
+  async extendHold(id, owner, minutes = this.ttlMinutes) {
+    const hold = await this.getHold(id);
+    if (!hold || !this.isOwner(hold, owner)) {
+      throw holdError('Hold not found', 404, 'HOLD_NOT_FOUND');
+    }
+    if (!this.isLive(hold) || hold.status !== 'held') {
+      throw holdError(`Hold is ${hold.status === 'held' ? 'expired' : hold.status}`, 409, 'HOLD_NOT_ACTIVE');
+    }
+
+    const requested = Math.min(Math.max(parseInt(minutes, 10) || this.ttlMinutes, 1), this.maxHoldMinutes);
+    const { rows } = await query(
+      `UPDATE slot_holds SET
+         expires_at = LEAST(NOW() + ($2 || ' minutes')::interval, created_at + ($3 || ' minutes')::interval),
+         updated_at = NOW()
+       WHERE id = $1 AND status = 'held' AND expires_at > NOW()
+       RETURNING *`,
+      [id, String(requested), String(this.maxHoldMinutes)]
+    );
+    if (!rows[0]) {
+      throw holdError('Hold is expired', 409, 'HOLD_NOT_ACTIVE');
+    }
+    return this.rowToHold(rows[0]);
+  }
+
+  /**
+   * Give a held slot back
+   * @returns {Promise<Object>} Released hold
+   */
+  async releaseHold(id, owner) {
+    const hold = await this.getHold(id);
+    if (!hold || !this.isOwner(hold, owner)) {
+      throw holdError('Hold not found', 404, 'HOLD_NOT_FOUND');
+    }
+    if (hold.status !== 'held') {
+      return hold;
+    }
+    const { rows } = await query(
+      `UPDATE slot_holds SET status = 'released', updated_at = NOW() WHERE id = $1 AND status = 'held' RETURNING *`,
+      [id]
+    );
+    const released = rows[0] ? this.rowToHold(rows[0]) : await this.getHold(id);
+    await this.invalidateAvailability(released);
+    logger.info('[SLOT_HOLD] Hold released', { holdId: id });
+    return released;
+  }
+
+  async releaseOwnerHolds(owner = {}) {
+    if (!owner.shopifyCustomerId && !owner.cartToken) return 0;
+    const { rows } = await query(
+      `UPDATE slot_holds SET status = 'released', updated_at = NOW()
+       WHERE status = 'held'
+         AND ((shopify_customer_id IS NOT NULL AND shopify_customer_id = $1) OR (cart_token IS NOT NULL AND cart_token = $2))
+       RETURNING *`,
+      [owner.shopifyCustomerId ? String(owner.shopifyCustomerId) : null, owner.cartToken || null]
+    );
+    for (const row of rows) {
+      await this.invalidateAvailability(this.rowToHold(row));
+    }
+    return rows.length;
+  }
+
+  /**
+   * Mark holds past their expiry as expired and return their slots to availability
+   * @returns {Promise<number>} Number of holds expired
+   */
+  async expireHolds() {
+    const { rows } = await query(
+      `UPDATE slot_holds SET status = 'expired', updated_at = NOW()
+       WHERE status = 'held' AND expires_at <= NOW()
+       RETURNING *`
+    );
+    for (const row of rows) {
+      await this.invalidateAvailability(this.rowToHold(row));
+    }
+    if (rows.length) {
+      logger.info('[SLOT_HOLD] Expired holds released', { count: rows.length });
+    }
+    return rows.length;
+  }
+
+  /**
+   * Find the hold an order was checked out with
+   * Looks for a hold id in line item properties or note attributes, then falls back
+   * to a live hold for the order's cart token.
+   * @param {Object} order - Shopify order payload
+   * @returns {Promise<Object|null>}
+   */
+  async findHoldForOrder(order = {}) {
+    const matchesKey = (name) => HOLD_PROPERTY_KEYS.includes(String(name || '').trim().toLowerCase());
+    const candidates = [];
+    for (const item of order.line_items || []) {
+      for (const prop of item.properties || []) {
+        if (matchesKey(prop.name) && prop.value) candidates.push(String(prop.value).trim());
+      }
+    }
+    for (const attr of order.note_attributes || []) {
+      if (matchesKey(attr.name) && attr.value) candidates.push(String(attr.value).trim());
+    }
+
+    for (const id of candidates) {
+      const hold = await this.getHold(id);
+      if (hold) return hold;
+    }
+
+    if (order.cart_token) {
+      const { rows } = await query(
+        `SELECT * FROM slot_holds WHERE cart_token = $1 AND status IN ('held', 'converting', 'converted', 'expired')
+         ORDER BY created_at DESC LIMIT 1`,
+        [order.cart_token]
+      );
+      if (rows[0]) return this.rowToHold(rows[0]);
+    }
+    return null;
+  }
+
+  /**
+   * Book a held slot in Tebra for a paid order
+   * Idempotent per order: a hold already converted for the same order returns its appointment.
+   * A hold that expired before payment arrived is still booked when its slot is free.
+   * @param {Object} hold
+   * @param {Object} options
+   * @param {string} options.tebraPatientId
+   * @param {string} options.shopifyOrderId
+   * @param {string} options.appointmentName
+   * @param {string} options.notes - Appointment notes (default: references the order and hold)
+   * @returns {Promise<Object>} { converted, hold, tebraAppointmentId, reason }
+   *   reason is 'slot_unavailable' when the hold expired and its slot has since been taken
+   */
+  async convertHold(hold, { tebraPatientId, shopifyOrderId, appointmentName, notes } = {}) {
+    const { rows: claimed } = await query(
+      `UPDATE slot_holds SET status = 'converting', shopify_order_id = $2, updated_at = NOW()
+       WHERE id = $1 AND status = 'held' AND expires_at > NOW()
+       RETURNING *`,
+      [hold.id, shopifyOrderId ? String(shopifyOrderId) : null]
+    );
+
+    let claimedRow = claimed[0];
+    if (!claimedRow) {
+      const current = await this.getHold(hold.id);
+      if (current?.status === 'converted' && String(current.shopifyOrderId) === String(shopifyOrderId)) {
+        return { converted: true, hold: current, tebraAppointmentId: current.tebraAppointmentId };
+      }
+      const expired = current?.status === 'expired' || current?.status === 'held';
+      const reclaimed = expired ? await this.reclaimExpiredHold(current, shopifyOrderId) : null;
+      if (!reclaimed) {
+        const reason = expired ? 'slot_unavailable' : (current?.status || 'not_found');
+        logger.warn('[SLOT_HOLD] Hold could not be converted', { holdId: hold.id, shopifyOrderId, reason });
+        return { converted: false, hold: current, tebraAppointmentId: null, reason };
+      }
+      claimedRow = reclaimed;
+    }
+
+    const claimedHold = this.rowToHold(claimedRow);
+    const mapping = providerMapping[claimedHold.state] || {};
+
+    try {
+      // Keyed by the hold so a retried conversion never books the slot twice in Tebra
+      const tebraWriteQueue = require('./tebraWriteQueue');
+      const appointment = await tebraWriteQueue.execute('createAppointment', {
+        appointmentName: appointmentName || 'Telemedicine Consultation',
+        appointmentStatus: 'Scheduled',
+        appointmentType: 'P',
+        appointmentMode: 'Telehealth',
+        startTime: claimedHold.startTime,
+        endTime: claimedHold.endTime,
+        patientId: tebraPatientId,
+        practiceId: claimedHold.practiceId,
+        providerId: claimedHold.providerId,
+        serviceLocationId: mapping.serviceLocationId,
+        appointmentReasonId: claimedHold.appointmentReasonId || mapping.appointmentReasonId,
+        notes: notes || `Appointment booking from order ${shopifyOrderId} (slot hold ${claimedHold.id}).`,
+        isRecurring: false,
+        state: claimedHold.state,
+        practiceGuid: mapping.practiceGuid,
+        providerGuid: mapping.providerGuid,
+        resourceGuid: mapping.resourceGuid,
+        resourceId: mapping.resourceId,
+        resourceIds: claimedHold.resourceIds,
+        isGroupAppointment: claimedHold.capacity > 1,
+        maxAttendees: claimedHold.capacity
+      }, { idempotencyKey: `slot-hold:${claimedHold.id}:appointment`, source: 'slot_hold' });
+      const tebraAppointmentId = appointment?.CreateAppointmentResult?.Appointment?.AppointmentID ||
+        appointment?.id ||
+        appointment?.AppointmentID ||
+        appointment?.CreateAppointmentResult?.Appointment?.id ||
+        null;
+
+      const { rows } = await query(
+        `UPDATE slot_holds SET status = 'converted', tebra_appointment_id = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [claimedHold.id, tebraAppointmentId ? String(tebraAppointmentId) : null]
+      );
+
+      try {
+        const cacheService = require('./cacheService');
+        await cacheService.addBookedSlot(claimedHold.state, claimedHold.providerId, claimedHold.startTime, claimedHold.endTime, {
+          appointmentReasonId: claimedHold.appointmentReasonId,
+          resourceIds: claimedHold.resourceIds
+        });
+      } catch (e) {
+        logger.debug('[SLOT_HOLD] addBookedSlot failed', { error: e?.message });
+      }
+      await this.invalidateAvailability(claimedHold);
+
+      if (tebraAppointmentId) {
+        const appointmentStatusService = require('./appointmentStatusService');
+        await appointmentStatusService.recordFromTebra({
+          id: tebraAppointmentId,
+          practiceId: claimedHold.practiceId,
+          providerId: claimedHold.providerId,
+          patientId: tebraPatientId,
+          patientEmail: claimedHold.email,
+          appointmentReasonId: claimedHold.appointmentReasonId,
+          startDateTime: claimedHold.startTime,
+          endDateTime: claimedHold.endTime,
+          appointmentStatus: 'Scheduled'
+        }, { source: 'booking' });
+      }
+
+      logger.info('[SLOT_HOLD] Hold converted to Tebra appointment', { holdId: claimedHold.id, shopifyOrderId, tebraAppointmentId });
+      return { converted: true, hold: this.rowToHold(rows[0]), tebraAppointmentId };
+    } catch (error) {
+      // Give the slot back to the hold so a webhook retry can convert it
+      await query(`UPDATE slot_holds SET status = 'held', updated_at = NOW() WHERE id = $1 AND status = 'converting'`, [claimedHold.id]);
+      logger.error('[SLOT_HOLD] Failed to convert hold to Tebra appointment', { holdId: claimedHold.id, shopifyOrderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an expired hold for conversion when its slot is still offered
+   * Payment can land after the hold's TTL; the slot is re-checked against availability and
+   * given a free seat, and the unique seat index rejects a slot someone else holds meanwhile.
+   * @returns {Promise<Object|null>} Claimed slot_holds row, or null when the slot is taken
+   */
+  async reclaimExpiredHold(hold, shopifyOrderId) {
+    const start = moment.utc(hold.startTime);
+    const owner = { shopifyCustomerId: hold.shopifyCustomerId, cartToken: hold.cartToken };
+    const slot = await this.findOfferedSlot({
+      state: hold.state,
+      practiceId: hold.practiceId,
+      providerId: hold.providerId,
+      appointmentReasonId: hold.appointmentReasonId,
+      start,
+      owner
+    });
+    if (!slot) return null;
+    const seat = await this.findFreeSeat(hold.providerId, start, slot.capacity || 1);
+    if (!seat) return null;
+
+    try {
+      const { rows } = await query(
+        `UPDATE slot_holds SET status = 'converting', shopify_order_id = $2, seat = $3, updated_at = NOW()
+         WHERE id = $1 AND (status = 'expired' OR (status = 'held' AND expires_at <= NOW()))
+         RETURNING *`,
+        [hold.id, shopifyOrderId ? String(shopifyOrderId) : null, seat]
+      );
+      if (rows[0]) {
+        logger.info('[SLOT_HOLD] Expired hold reclaimed for paid order', { holdId: hold.id, shopifyOrderId, seat });
+      }
+      return rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505') return null;
+      throw error;
+    }
+  }
+
+  async invalidateAvailability(hold) {
+    if (!hold) return;
+    try {
+      const cacheService = require('./cacheService');
+      await cacheService.invalidateAvailability(hold.state, hold.providerId);
+    } catch (e) {
+      logger.debug('[SLOT_HOLD] Availability cache invalidation failed', { error: e?.message });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new SlotHoldService();
@@ -0,0 +1,377 @@
+// backend/src/services/stripeBillingEventService.js
+// Stripe events after (or instead of) a successful one-off payment: refunds, disputes, failed payments,
+// subscription invoices and subscription lifecycle. Each event is reflected in billing_sync and, where
+// money moved, posted to Tebra through tebraWriteQueue so the patient's ledger matches Stripe:
+// - charge.refunded: negative payment (money returned) plus a credit adjustment line on a new encounter
+//   (the refunded service is written off), for the amount refunded since the last event
+// - charge.dispute.created: negative payment when the funds are withdrawn (inquiries move no money)
+// - charge.dispute.closed: won -> payment reinstating the funds; lost -> the balance stays with the patient
+// - invoice.paid: charge and payment, like a checkout payment (CPT code from the service catalog, else 99000)
+// - payment_intent.payment_failed, invoice.payment_failed, customer.subscription.*: billing_sync only
+//   (failed subscription renewals are also settled by subscriptionBillingService.recordFailure)
+// Write keys come from Stripe ids, so redelivered events post nothing twice.
+
+const logger = require('../utils/logger');
+const billingSync = require('./billingSyncService');
+const tebraWriteQueue = require('./tebraWriteQueue');
+const tebraTenantService = require('./tebraTenantService');
+const serviceCatalogService = require('./serviceCatalogService');
+const patientIdentityService = require('./patientIdentityService');
+const subscriptionBillingService = require('./subscriptionBillingService');
+
+const SOURCE = 'stripe_webhook';
+// Charge lines for services the catalog does not list: the generic 99000 for subscription renewals
+// (as subscriptionBillingService posts them), the 99213 telemedicine visit for checkout payments
+const DEFAULT_SUBSCRIPTION_ITEM = { cpt: '99000' };
+const DEFAULT_CHECKOUT_ITEM = { cpt: '99213', modifier: '95' };
+
+function useTebraMock() {
+  return String(process.env.USE_TEBRA_MOCK || '').toLowerCase() === 'true';
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Payment record for a charge / dispute / payment intent, created when the payment was never recorded here
+async function paymentRecord(event, { paymentIntentId, chargeId, email, amountCents, currency }) {
+  const existing = await billingSync.findPayment({ paymentIntentId, chargeId });
+  if (existing) return existing;
+  if (paymentIntentId) {
+    return billingSync.upsertByPaymentIntentId(paymentIntentId, {
+      stripe_event_id: event.id,
+      stripe_customer_email: email || null,
+      amount_cents: amountCents,
+      currency: currency || 'usd',
+      status: 'received'
+    });
+  }
+  return billingSync.upsertByEventId(event.id, {
+    stripe_customer_email: email || null,
+    amount_cents: amountCents,
+    currency: currency || 'usd',
+    status: 'received'
+  });
+}
+
+// Default charge line for a billing_sync payment: invoices and off-session renewals are subscriptions
+function defaultChargeItem(record) {
+  const renewal = record.stripe_invoice_id || record.stripe_subscription_id ||
+    String(record.stripe_event_id || '').startsWith('subscription-charge-');
+  return renewal ? DEFAULT_SUBSCRIPTION_ITEM : DEFAULT_CHECKOUT_ITEM;
+}
+
+/**
+ * Queue Tebra writes for an adjustment of a recorded payment
+ * @param {Object} record - billing_sync row (needs tebra_patient_id)
+ * @param {Object} adjustment - { type, stripeId, amountCents, keyPrefix, referenceNumber, creditCents }
+ *   amountCents is the payment to post (negative for money leaving the practice);
+ *   creditCents adds a credit line for the written-off service
+ * @returns {Promise<Object>} Adjustment entry stored in billing_sync.tebra_adjustments
+ */
+async function postAdjustment(record, { type, stripeId, amountCents, keyPrefix, referenceNumber, creditCents = 0 }) {
+  const entry = { type, stripeId, amountCents, creditCents: creditCents || undefined, at: new Date().toISOString() };
+  if (!record.tebra_patient_id) {
+    logger.warn('[STRIPE_BILLING] Payment has no Tebra patient, adjustment not posted', { billingSyncId: record.id, type, stripeId });
+    return { ...entry, posted: false, reason: 'no_patient' };
+  }
+  if (useTebraMock()) {
+    return { ...entry, posted: true, mock: true };
+  }
+
+  // Adjustments go to the Tebra account the payment was posted to
+  const { tenantId, practiceId } = tebraTenantService.resolvePractice({ tenantId: record.tenant_id, practiceId: record.tebra_practice_id });
+  const commands = {};
+  const payment = await tebraWriteQueue.enqueue('createPayments', {
+    practiceId,
+    patientId: record.tebra_patient_id,
+    amountCents,
+    referenceNumber,
+    date: today()
+  }, { idempotencyKey: `${keyPrefix}:payment`, source: SOURCE, tenantId });
+  commands.payment = payment.id;
+
+  if (creditCents) {
+    const service = serviceCatalogService.getService(record.service_id);
+    const item = service ? { cpt: service.cptCode, modifier: service.cptModifier || undefined } : defaultChargeItem(record);
+    const credit = await tebraWriteQueue.enqueue('createEncounter', {
+      practiceId,
+      patientId: record.tebra_patient_id,
+      dateOfService: today(),
+      placeOfService: '10',
+      items: [{ ...item, units: 1, amountCents: -creditCents }]
+    }, { idempotencyKey: `${keyPrefix}:credit`, source: SOURCE, tenantId });
+    commands.credit = credit.id;
+  }
+
+  logger.info('[STRIPE_BILLING] Queued Tebra adjustment', { billingSyncId: record.id, type, stripeId, amountCents, commands });
+  return { ...entry, posted: true, commands };
+}
+
+async function handleChargeRefunded(event) {
+  const charge = event.data.object;
+  const record = await paymentRecord(event, {
+    paymentIntentId: charge.payment_intent,
+    chargeId: charge.id,
+    email: charge.billing_details?.email || charge.receipt_email,
+    amountCents: charge.amount,
+    currency: charge.currency
+  });
+
+  // amount_refunded is cumulative; post only what was refunded since the last event
+  const refundedCents = charge.amount_refunded || 0;
+  const newlyRefunded = refundedCents - (record.refunded_cents || 0);
+  const status = charge.refunded ? 'refunded' : 'partially_refunded';
+  const fields = { status, refunded_cents: Math.max(refundedCents, record.refunded_cents || 0), stripe_charge_id: charge.id };
+  if (newlyRefunded <= 0) {
+    await billingSync.applyChanges(record.id, fields);
+    return { status, refundedCents, adjustment: null };
+  }
+
+  const adjustment = await postAdjustment(record, {
+    type: 'refund',
+    stripeId: charge.id,
+    amountCents: -newlyRefunded,
+    creditCents: newlyRefunded,
+    keyPrefix: `stripe-charge:${charge.id}:refund:${refundedCents}`,
+    referenceNumber: `REFUND-${charge.payment_intent || charge.id}`
+  });
+  await billingSync.applyChanges(record.id, fields, adjustment);
+  return { status, refundedCents, adjustment };
+}
+
+// Inquiries (warning_*) are questions from the bank; no funds are withdrawn
+function isInquiry(dispute) {
+  return String(dispute.status || '').startsWith('warning_');
+}
+
+// Whether a redelivered event's adjustment is already on the record
+function hasAdjustment(record, type, stripeId) {
+  return (record.tebra_adjustments || []).some(entry => entry.type === type && entry.stripeId === stripeId);
+}
+
+async function handleDisputeCreated(event) {
+  const dispute = event.data.object;
+  const record = await paymentRecord(event, {
+    paymentIntentId: dispute.payment_intent,
+    chargeId: dispute.charge,
+    amountCents: dispute.amount,
+    currency: dispute.currency
+  });
+  const fields = { status: 'disputed', dispute_status: dispute.status, disputed_cents: dispute.amount, stripe_charge_id: dispute.charge };
+  if (isInquiry(dispute) || hasAdjustment(record, 'chargeback', dispute.id)) {
+    await billingSync.applyChanges(record.id, fields);
+    return { status: 'disputed', disputeStatus: dispute.status, adjustment: null };
+  }
+
+  const adjustment = await postAdjustment(record, {
+    type: 'chargeback',
+    stripeId: dispute.id,
+    amountCents: -dispute.amount,
+    keyPrefix: `stripe-dispute:${dispute.id}:withdrawn`,
+    referenceNumber: `CHARGEBACK-${dispute.id}`
+  });
+  await billingSync.applyChanges(record.id, fields, adjustment);
+  return { status: 'disputed', disputeStatus: dispute.status, adjustment };
+}
+
+async function handleDisputeClosed(event) {
+  const dispute = event.data.object;
+  const record = await paymentRecord(event, {
+    paymentIntentId: dispute.payment_intent,
+    chargeId: dispute.charge,
+    amountCents: dispute.amount,
+    currency: dispute.currency
+  });
+  const status = dispute.status === 'won' ? 'dispute_won' : dispute.status === 'lost' ? 'dispute_lost' : 'dispute_closed';
+  const fields = { status, dispute_status: dispute.status, stripe_charge_id: dispute.charge };
+  // Only a won chargeback returns money; closed inquiries never withdrew any
+  if (dispute.status !== 'won' || hasAdjustment(record, 'chargeback_reversal', dispute.id)) {
+    await billingSync.applyChanges(record.id, fields);
+    return { status, disputeStatus: dispute.status, adjustment: null };
+  }
+
+  const adjustment = await postAdjustment(record, {
+    type: 'chargeback_reversal',
+    stripeId: dispute.id,
+    amountCents: dispute.amount,
+    keyPrefix: `stripe-dispute:${dispute.id}:reinstated`,
+    referenceNumber: `CHARGEBACK-REVERSAL-${dispute.id}`
+  });
+  await billingSync.applyChanges(record.id, fields, adjustment);
+  return { status, disputeStatus: dispute.status, adjustment };
+}
+
+async function handlePaymentFailed(event) {
+  const paymentIntent = event.data.object;
+  const error = paymentIntent.last_payment_error;
+  const record = await billingSync.upsertByPaymentIntentId(paymentIntent.id, {
+    stripe_event_id: event.id,
+    stripe_customer_email: paymentIntent.receipt_email || error?.payment_method?.billing_details?.email || null,
+    amount_cents: paymentIntent.amount,
+    currency: paymentIntent.currency || 'usd',
+    status: 'payment_failed',
+    error: error ? `${error.code || error.type}: ${error.message}` : 'Payment failed'
+  });
+  await billingSync.applyChanges(record.id, { stripe_invoice_id: paymentIntent.invoice || undefined });
+  // Off-session subscription renewal (or its on-session retry): the renewal waits for the patient
+  if (paymentIntent.metadata?.subscriptionChargeId) {
+    await subscriptionBillingService.recordFailure(paymentIntent);
+  }
+  return { status: 'payment_failed', declineCode: error?.decline_code || null };
+}
+
+// Catalog service id of a subscription invoice (subscription, invoice or first line metadata)
+function invoiceServiceId(invoice) {
+  return invoice.subscription_details?.metadata?.serviceId
+    || invoice.metadata?.serviceId
+    || invoice.lines?.data?.[0]?.metadata?.serviceId
+    || null;
+}
+
+async function invoiceRecord(event, invoice, data) {
+  const base = {
+    stripe_event_id: event.id,
+    stripe_customer_email: invoice.customer_email || null,
+    currency: invoice.currency || 'usd',
+    ...data
+  };
+  const record = invoice.payment_intent
+    ? await billingSync.upsertByPaymentIntentId(invoice.payment_intent, base)
+    : await billingSync.upsertByEventId(event.id, base);
+  return billingSync.applyChanges(record.id, {
+    stripe_invoice_id: invoice.id,
+    stripe_subscription_id: invoice.subscription || undefined
+  });
+}
+
+async function handleInvoicePaid(event) {
+  const invoice = event.data.object;
+  const amountCents = invoice.amount_paid || 0;
+  const service = serviceCatalogService.getService(invoiceServiceId(invoice));
+  if (amountCents <= 0) {
+    // Trials and fully discounted invoices
+    await invoiceRecord(event, invoice, { amount_cents: 0, service_id: service?.id || null, status: 'paid' });
+    return { status: 'paid', posted: false };
+  }
+
+  // Tebra account named by the invoice or subscription metadata (tenantId or the patient's state)
+  const metadata = { ...invoice.subscription_details?.metadata, ...invoice.metadata };
+  const { tenantId, practiceId } = tebraTenantService.resolvePractice({ tenantId: metadata.tenantId, state: metadata.state });
+
+  let patientId = null;
+  let error = null;
+  try {
+    const patient = await patientIdentityService.findOrCreate({
+      email: invoice.customer_email,
+      shopifyCustomerId: invoice.metadata?.shopifyCustomerId || invoice.subscription_details?.metadata?.shopifyCustomerId
+    }, { tenantId });
+    patientId = patient.id;
+  } catch (e) {
+    error = `Patient not resolved: ${e.message}`;
+    logger.warn('[STRIPE_BILLING] Could not resolve patient for invoice', { invoiceId: invoice.id, error: e.message });
+  }
+
+  let status = patientId ? 'queued' : 'stored';
+  const commands = {};
+  if (patientId && useTebraMock()) {
+    status = 'synced-mock';
+  } else if (patientId) {
+    // Sales tax collected by Stripe is not part of the patient's Tebra balance
+    const netCents = amountCents - (invoice.tax || 0);
+    const items = service
+      ? serviceCatalogService.chargeItems(service, 1, netCents)
+      : [{ ...DEFAULT_SUBSCRIPTION_ITEM, units: 1, amountCents: netCents }];
+    const charge = await tebraWriteQueue.enqueue('createEncounter', {
+      practiceId,
+      patientId,
+      items,
+      dateOfService: today(),
+      placeOfService: '10'
+    }, { idempotencyKey: `stripe-invoice:${invoice.id}:charge`, source: SOURCE, tenantId });
+    const payment = await tebraWriteQueue.enqueue('createPayments', {
+      practiceId,
+      patientId,
+      amountCents: netCents,
+      referenceNumber: invoice.payment_intent || invoice.id,
+      date: today()
+    }, { idempotencyKey: `stripe-invoice:${invoice.id}:payment`, source: SOURCE, tenantId, dependsOn: charge.id });
+    commands.charge = charge.id;
+    commands.payment = payment.id;
+  }
+
+  await invoiceRecord(event, invoice, {
+    tebra_patient_id: patientId,
+    tebra_practice_id: practiceId || null,
+    tenant_id: tenantId,
+    amount_cents: amountCents,
+    service_id: service?.id || null,
+    status,
+    error
+  });
+  return { status, patientId, commands };
+}
+
+async function handleInvoicePaymentFailed(event) {
+  const invoice = event.data.object;
+  const retry = invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000).toISOString() : null;
+  await invoiceRecord(event, invoice, {
+    amount_cents: invoice.amount_due,
+    status: 'payment_failed',
+    error: `Invoice payment failed (attempt ${invoice.attempt_count || 1}${retry ? `, next attempt ${retry}` : ''})`
+  });
+  return { status: 'payment_failed', attemptCount: invoice.attempt_count || 1, nextPaymentAttempt: retry };
+}
+
+// customer.subscription.created / updated / deleted / paused / resumed / trial_will_end
+async function handleSubscriptionEvent(event) {
+  const subscription = event.data.object;
+  const status = `subscription_${event.type === 'customer.subscription.deleted' ? 'canceled' : subscription.status}`;
+  const record = await billingSync.upsertByEventId(event.id, {
+    currency: subscription.currency || null,
+    service_id: serviceCatalogService.getService(subscription.metadata?.serviceId)?.id || null,
+    status,
+    error: subscription.cancellation_details?.reason ? `Cancellation: ${subscription.cancellation_details.reason}` : null
+  });
+  await billingSync.applyChanges(record.id, { stripe_subscription_id: subscription.id });
+  return { status, subscriptionId: subscription.id };
+}
+
+const HANDLERS = {
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated,
+  'charge.dispute.closed': handleDisputeClosed,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'invoice.paid': handleInvoicePaid,
+  'invoice.payment_failed': handleInvoicePaymentFailed
+};
+
+function handlerFor(type) {
+  if (HANDLERS[type]) return HANDLERS[type];
+  if (String(type).startsWith('customer.subscription.')) return handleSubscriptionEvent;
+  return null;
+}
+
+/**
+ * Whether handle() processes this event type
+ */
+function handles(type) {
+  return !!handlerFor(type);
+}
+
+/**
+ * Reflect a verified Stripe event in billing_sync and Tebra
+ * @param {Object} event - Stripe event
+ * @returns {Promise<Object>} Handler summary ({ status, adjustment | commands, ... })
+ */
+async function handle(event) {
+  const handler = handlerFor(event.type);
+  if (!handler) {
+    return { ignored: true };
+  }
+  const result = await handler(event);
+  logger.info('[STRIPE_BILLING] Stripe event processed', { eventId: event.id, type: event.type, status: result.status });
+  return result;
+}
+
+module.exports = { handles, handle, EVENT_TYPES: [...Object.keys(HANDLERS), 'customer.subscription.*'] };
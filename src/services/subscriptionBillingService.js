@@ -0,0 +1,607 @@
+// backend/src/services/subscriptionBillingService.js
+// Recurring subscription charges. Each renewal (subscription + billing date) is one subscription_charges
+// row, charged off-session to the subscription's saved Stripe payment method with a confirmed
+// PaymentIntent. The Tebra charge and payment are queued only once Stripe reports the renewal paid.
+// - succeeded: Tebra charge + payment queued, next_billing_date moved one billing period
+// - authentication required (SCA) / card declined / no saved payment method: the subscription enters
+//   dunning (subscriptionDunningService), which emails the patient and schedules the retries (retryRenewal)
+// - Stripe API / network errors: status failed, retried on the next cron run
+// A renewal keeps one PaymentIntent idempotency key until Stripe definitely declines it (payment_attempt),
+// so a retry after an error or a crash mid-charge gets the PaymentIntent Stripe may already have created.
+// Before such a retry the PaymentIntent is also looked up in Stripe (idempotency keys expire after 24h).
+// Patients update the card through a Stripe Checkout session (createPaymentMethodSession): setup mode
+// when nothing is owed, otherwise payment mode paying the outstanding renewal on-session (which also
+// completes SCA) and saving the card for future renewals. While that session is open the renewal is
+// awaiting_checkout and dunning retries leave it alone.
+
+const Stripe = require('stripe');
+const moment = require('moment-timezone');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const subscriptionService = require('./subscriptionService');
+const tebraWriteQueue = require('./tebraWriteQueue');
+const tebraTenantService = require('./tebraTenantService');
+const billingSync = require('./billingSyncService');
+const serviceCatalogService = require('./serviceCatalogService');
+const subscriptionManagementService = require('./subscriptionManagementService');
+const subscriptionDunningService = require('./subscriptionDunningService');
+
+const SOURCE = 'monthly_billing';
+// Generic CPT code for subscription products that no catalog service lists
+const DEFAULT_SUBSCRIPTION_CPT = '99000';
+// Renewals waiting for the patient to update their payment method or authenticate (or a dunning retry)
+const AWAITING_PATIENT = ['requires_payment_method', 'requires_action', 'declined'];
+// Renewal being paid through a Checkout session; retried only once the session expired
+const AWAITING_CHECKOUT = 'awaiting_checkout';
+// Renewals whose next charge needs a new PaymentIntent
+const NEW_PAYMENT_ATTEMPT = [...AWAITING_PATIENT, AWAITING_CHECKOUT];
+// Renewals whose last charge attempt may have reached Stripe without a recorded outcome
+const UNCERTAIN = ['failed', 'processing'];
+// A renewal left 'processing' this long (crashed run) is claimed again
+const PROCESSING_TIMEOUT_MINUTES = parseInt(process.env.SUBSCRIPTION_CHARGE_PROCESSING_TIMEOUT_MINUTES || '30', 10);
+// Lifetime of a renewal Checkout session (Stripe allows 30 minutes to 24 hours)
+const CHECKOUT_EXPIRES_MINUTES = Math.min(Math.max(parseInt(process.env.SUBSCRIPTION_CHECKOUT_EXPIRES_MINUTES || '60', 10) || 60, 30), 24 * 60);
+
+function billingError(message, status = 400, code = 'SUBSCRIPTION_BILLING_ERROR') {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+// pg returns DATE columns as local-midnight Date objects
+function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) return moment(value).format('YYYY-MM-DD');
+  return String(value).slice(0, 10);
+}
+
+class SubscriptionBillingService {
+  constructor() {
+    this.stripe = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  }
+
+  getStripe() {
+    if (!this.stripe) {
+      if (!this.isConfigured()) throw billingError('Stripe not configured', 503, 'STRIPE_NOT_CONFIGURED');
+      this.stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.stripe;
+  }
+
+  /**
+   * Charge one subscription renewal to its saved payment method
+   * @param {Object} subscription - subscriptions row
+   * @param {Object} options - { billingDate, retry } billingDate defaults to the subscription's next_billing_date;
+   *   retry charges a renewal that is waiting for the patient again (dunning retry)
+   * @returns {Promise<Object>} { chargeId, status, paymentIntentId, skipped }
+   */
+  async chargeSubscription(subscription, { billingDate = toDateString(subscription.next_billing_date), retry = false } = {}) {
+    const { rows: [charge] } = await query(
+      `INSERT INTO subscription_charges (subscription_id, billing_date, amount_cents, currency)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (subscription_id, billing_date) DO UPDATE SET updated_at = subscription_charges.updated_at
+       RETURNING *`,
+      [subscription.id, billingDate, subscription.amount_cents, String(subscription.currency || 'usd').toLowerCase()]
+    );
+    const result = { chargeId: charge.id, status: charge.status, paymentIntentId: charge.stripe_payment_intent_id || null };
+
+    const claimable = retry ? ['pending', 'failed', ...NEW_PAYMENT_ATTEMPT] : ['pending', 'failed'];
+    if (!claimable.includes(charge.status) && charge.status !== 'processing') {
+      return { ...result, skipped: true };
+    }
+
+    // Claim the renewal so overlapping runs do not charge it twice. 'processing' is only claimed once
+    // timed out and awaiting_checkout once its session expired; a renewal Stripe declined starts a new
+    // payment attempt (new PaymentIntent).
+    const { rows: [claimed] } = await query(
+      `UPDATE subscription_charges
+       SET status = 'processing', attempts = attempts + 1,
+           payment_attempt = payment_attempt + CASE WHEN status = ANY($3) THEN 1 ELSE 0 END,
+           stripe_payment_intent_id = CASE WHEN status = ANY($3) THEN NULL ELSE stripe_payment_intent_id END,
+           updated_at = NOW()
+       WHERE id = $1 AND status = $2
+         AND (status <> 'processing' OR updated_at < NOW() - $4 * INTERVAL '1 minute')
+         AND (status <> '${AWAITING_CHECKOUT}' OR checkout_expires_at < NOW())
+       RETURNING *`,
+      [charge.id, charge.status, NEW_PAYMENT_ATTEMPT, PROCESSING_TIMEOUT_MINUTES]
+    );
+    if (!claimed) return { ...result, skipped: true };
+
+    let paymentIntent = null;
+    if (UNCERTAIN.includes(charge.status) || charge.status === AWAITING_CHECKOUT) {
+      try {
+        paymentIntent = charge.status === AWAITING_CHECKOUT
+          ? await this.findCheckoutPayment(claimed)
+          : await this.findPaymentIntent(claimed);
+      } catch (error) {
+        return { ...result, ...(await this.handleChargeError(subscription, claimed, error)) };
+      }
+    }
+
+    if (!paymentIntent && (!subscription.stripe_customer_id || !subscription.stripe_payment_method_id)) {
+      const updated = await this.updateCharge(claimed.id, {
+        status: 'requires_payment_method',
+        failure_code: 'no_payment_method',
+        failure_message: 'No saved payment method'
+      });
+      await subscriptionDunningService.recordFailure(subscription, updated);
+      return { ...result, status: 'requires_payment_method' };
+    }
+
+    if (!paymentIntent) {
+      try {
+        paymentIntent = await this.getStripe().paymentIntents.create({
+          amount: claimed.amount_cents,
+          currency: claimed.currency,
+          customer: subscription.stripe_customer_id,
+          payment_method: subscription.stripe_payment_method_id,
+          off_session: true,
+          confirm: true,
+          description: `Subscription ${subscription.id} renewal ${billingDate}`,
+          metadata: this.chargeMetadata(subscription, claimed)
+        }, { idempotencyKey: this.paymentIntentKey(claimed) });
+      } catch (error) {
+        return { ...result, ...(await this.handleChargeError(subscription, claimed, error)) };
+      }
+    }
+
+    if (paymentIntent.status === 'succeeded') {
+      await this.recordSuccess(claimed, paymentIntent);
+      return { ...result, status: 'succeeded', paymentIntentId: paymentIntent.id };
+    }
+    if (paymentIntent.status === 'processing') {
+      // Delayed payment methods: payment_intent.succeeded / payment_failed settles the renewal
+      await this.updateCharge(claimed.id, { stripe_payment_intent_id: paymentIntent.id });
+      return { ...result, status: 'processing', paymentIntentId: paymentIntent.id };
+    }
+    const status = paymentIntent.status === 'requires_action' ? 'requires_action' : 'declined';
+    const updated = await this.updateCharge(claimed.id, {
+      status,
+      stripe_payment_intent_id: paymentIntent.id,
+      failure_code: paymentIntent.last_payment_error?.code || paymentIntent.status,
+      failure_message: paymentIntent.last_payment_error?.message || null
+    });
+    await subscriptionDunningService.recordFailure(subscription, updated);
+    return { ...result, status, paymentIntentId: paymentIntent.id };
+  }
+
+  // One key per payment attempt; the first attempt is keyed on the renewal alone
+  paymentIntentKey(charge) {
+    const key = `subscription-charge-${charge.id}`;
+    return charge.payment_attempt ? `${key}-${charge.payment_attempt}` : key;
+  }
+
+  /**
+   * PaymentIntent of the renewal's current payment attempt that Stripe already has, if any
+   * @param {Object} charge - subscription_charges row
+   * @returns {Promise<Object|null>} PaymentIntent, or null when there is none to settle the renewal with
+   */
+  async findPaymentIntent(charge) {
+    const stripe = this.getStripe();
+    let paymentIntent;
+    if (charge.stripe_payment_intent_id) {
+      paymentIntent = await stripe.paymentIntents.retrieve(charge.stripe_payment_intent_id);
+    } else {
+      const { data } = await stripe.paymentIntents.search({
+        query: `metadata['subscriptionChargeId']:'${charge.id}' AND metadata['paymentAttempt']:'${charge.payment_attempt || 0}'`
+      });
+      paymentIntent = data.find(pi => pi.status !== 'canceled');
+    }
+    if (!paymentIntent || paymentIntent.status === 'canceled') return null;
+    logger.info('[SUBSCRIPTION_BILLING] Found the PaymentIntent of an earlier attempt', { chargeId: charge.id, paymentIntentId: paymentIntent.id, status: paymentIntent.status });
+    return paymentIntent;
+  }
+
+  // PaymentIntent of an expired Checkout session the patient paid just before it closed
+  async findCheckoutPayment(charge) {
+    if (!charge.checkout_session_id) return null;
+    const session = await this.getStripe().checkout.sessions.retrieve(charge.checkout_session_id, { expand: ['payment_intent'] });
+    return session.payment_status === 'paid' && session.payment_intent?.status === 'succeeded' ? session.payment_intent : null;
+  }
+
+  chargeMetadata(subscription, charge) {
+    const service = serviceCatalogService.forShopifyProduct(subscription.shopify_product_id);
+    return {
+      type: 'subscription_renewal',
+      subscriptionId: String(subscription.id),
+      subscriptionChargeId: String(charge.id),
+      paymentAttempt: String(charge.payment_attempt || 0),
+      billingDate: toDateString(charge.billing_date),
+      serviceId: service ? service.id : ''
+    };
+  }
+
+  // Card errors wait for the patient; anything else is retried on the next run
+  async handleChargeError(subscription, charge, error) {
+    const paymentIntentId = error.raw?.payment_intent?.id || error.payment_intent?.id || null;
+    const declineMessage = error.decline_code ? `${error.message} (${error.decline_code})` : error.message;
+    if (error.code === 'authentication_required' || error.type === 'StripeCardError' || error.type === 'card_error') {
+      const status = error.code === 'authentication_required' ? 'requires_action' : 'declined';
+      const updated = await this.updateCharge(charge.id, {
+        status,
+        stripe_payment_intent_id: paymentIntentId,
+        failure_code: error.code || 'card_declined',
+        failure_message: declineMessage
+      });
+      logger.warn('[SUBSCRIPTION_BILLING] Renewal needs the patient', { subscriptionId: subscription.id, chargeId: charge.id, status, code: error.code });
+      await subscriptionDunningService.recordFailure(subscription, updated);
+      return { status, paymentIntentId };
+    }
+    await this.updateCharge(charge.id, {
+      status: 'failed',
+      stripe_payment_intent_id: paymentIntentId,
+      failure_code: error.code || error.type || 'stripe_error',
+      failure_message: error.message
+    });
+    logger.error('[SUBSCRIPTION_BILLING] Renewal charge failed, will retry', { subscriptionId: subscription.id, chargeId: charge.id, error: error.message });
+    return { status: 'failed', paymentIntentId };
+  }
+
+  async updateCharge(chargeId, fields) {
+    const columns = Object.keys(fields);
+    const sets = columns.map((column, i) => `${column} = $${i + 2}`);
+    const { rows } = await query(
+      `UPDATE subscription_charges SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [chargeId, ...columns.map(column => fields[column])]
+    );
+    return rows[0] || null;
+  }
+
+  async getCharge(chargeId) {
+    const { rows } = await query('SELECT * FROM subscription_charges WHERE id = $1', [chargeId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Book a paid renewal: Tebra charge + payment, billing_sync record and the next billing date.
+   * Safe to call again for the same renewal (cron result and webhook both report it).
+   * @param {Object} charge - subscription_charges row
+   * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent
+   * @returns {Promise<Object|null>} Updated row, or null when the renewal was already booked
+   */
+  async recordSuccess(charge, paymentIntent) {
+    const { rows: [paid] } = await query(
+      `UPDATE subscription_charges
+       SET status = 'succeeded', stripe_payment_intent_id = $2, paid_at = NOW(),
+           failure_code = NULL, failure_message = NULL, updated_at = NOW()
+       WHERE id = $1 AND status <> 'succeeded'
+       RETURNING *`,
+      [charge.id, paymentIntent.id]
+    );
+    if (!paid) return null;
+
+    const subscription = await subscriptionService.getSubscription(paid.subscription_id);
+    const billingDate = toDateString(paid.billing_date);
+    // Renewals are posted to the Tebra account the subscription's patient belongs to
+    const { tenantId, practiceId } = tebraTenantService.resolvePractice({ tenantId: subscription?.tenant_id });
+    const billingKey = `subscription:${paid.subscription_id}:${billingDate}`;
+    const service = serviceCatalogService.forShopifyProduct(subscription?.shopify_product_id);
+    const commands = {};
+
+    if (subscription?.tebra_patient_id && practiceId) {
+      try {
+        const charge = await tebraWriteQueue.enqueue('createEncounter', {
+          practiceId,
+          patientId: subscription.tebra_patient_id,
+          dateOfService: billingDate,
+          placeOfService: '10', // Telehealth
+          items: service
+            ? serviceCatalogService.chargeItems(service, 1, paid.amount_cents)
+            : [{ cpt: DEFAULT_SUBSCRIPTION_CPT, units: 1, amountCents: paid.amount_cents }]
+        }, { idempotencyKey: `${billingKey}:charge`, source: SOURCE, tenantId });
+        commands.charge = charge.id;
+        const payment = await tebraWriteQueue.enqueue('createPayments', {
+          practiceId,
+          patientId: subscription.tebra_patient_id,
+          amountCents: paid.amount_cents,
+          referenceNumber: paymentIntent.id,
+          date: billingDate
+        }, { idempotencyKey: `${billingKey}:payment`, source: SOURCE, tenantId, dependsOn: charge.id });
+        commands.payment = payment.id;
+      } catch (e) {
+        logger.error('[SUBSCRIPTION_BILLING] Failed to queue Tebra charge/payment', { chargeId: paid.id, error: e.message });
+      }
+    } else {
+      logger.warn('[SUBSCRIPTION_BILLING] Paid renewal not posted to Tebra (no patient or practice)', { chargeId: paid.id });
+    }
+
+    // Billing document as a backup when the charge and payment could not be queued
+    const alwaysCreateBillingDoc = String(process.env.TEBRA_ALWAYS_CREATE_BILLING_DOCUMENTS || 'false').toLowerCase() === 'true';
+    if (subscription?.tebra_patient_id && (alwaysCreateBillingDoc || !commands.charge || !commands.payment)) {
+      try {
+        const payload = {
+          subscriptionId: paid.subscription_id,
+          shopifyCustomerId: subscription.shopify_customer_id,
+          shopifyProductId: subscription.shopify_product_id,
+          amount: paid.amount_cents / 100,
+          currency: paid.currency,
+          frequency: subscription.frequency,
+          stripePaymentIntentId: paymentIntent.id,
+          tebraWriteCommands: commands,
+          dateOfService: billingDate,
+          type: 'subscription_renewal'
+        };
+        await tebraWriteQueue.enqueue('createDocument', {
+          name: 'Billing - Subscription Renewal',
+          fileName: `subscription-${paid.subscription_id}-${billingDate}.json`,
+          label: 'Billing',
+          patientId: subscription.tebra_patient_id,
+          practiceId,
+          documentDate: billingDate,
+          fileContent: Buffer.from(JSON.stringify(payload)).toString('base64'),
+          status: 'Completed'
+        }, { idempotencyKey: `${billingKey}:billing-document`, source: SOURCE, tenantId });
+      } catch (e) {
+        logger.warn('[SUBSCRIPTION_BILLING] Failed to queue billing document', { chargeId: paid.id, error: e.message });
+      }
+    }
+
+    const updated = await this.updateCharge(paid.id, {
+      tebra_charge_command_id: commands.charge || null,
+      tebra_payment_command_id: commands.payment || null
+    });
+
+    try {
+      await billingSync.upsertByPaymentIntentId(paymentIntent.id, {
+        stripe_event_id: `subscription-charge-${paid.id}`,
+        stripe_customer_email: subscription?.customer_email || null,
+        tebra_patient_id: subscription?.tebra_patient_id || null,
+        tebra_practice_id: practiceId || null,
+        tenant_id: tenantId,
+        amount_cents: paid.amount_cents,
+        currency: paid.currency,
+        service_id: service ? service.id : null,
+        status: commands.payment ? 'queued' : 'stored'
+      });
+    } catch (e) {
+      logger.error('[SUBSCRIPTION_BILLING] billing_sync upsert failed', { chargeId: paid.id, error: e.message });
+    }
+
+    if (subscription) {
+      // Move the schedule only if this renewal is still the one due
+      if (toDateString(subscription.next_billing_date) <= billingDate) {
+        const nextBillingDate = moment(billingDate, 'YYYY-MM-DD')
+          .add(subscriptionService.BILLING_MONTHS[subscription.frequency] || 1, 'months')
+          .format('YYYY-MM-DD');
+        await subscriptionService.updateSubscriptionBillingDate(subscription.id, nextBillingDate, billingDate);
+      }
+      // Cards saved during an on-session payment become the card for future renewals
+      if (paymentIntent.payment_method && paymentIntent.payment_method !== subscription.stripe_payment_method_id) {
+        await subscriptionService.setStripePaymentMethod(subscription.id, {
+          customerId: paymentIntent.customer || undefined,
+          paymentMethodId: paymentIntent.payment_method
+        });
+      }
+      await subscriptionDunningService.recordRecovery(subscription, updated);
+    }
+
+    logger.info('[SUBSCRIPTION_BILLING] Renewal paid', { subscriptionId: paid.subscription_id, billingDate, paymentIntentId: paymentIntent.id, commands });
+    return updated;
+  }
+
+  /**
+   * Settle a renewal from a payment_intent.payment_failed webhook (delayed or on-session payments).
+   * Failures the cron already recorded for the same PaymentIntent, and failed tries inside a Checkout
+   * session that is still open, are ignored.
+   * @param {Object} paymentIntent - Stripe PaymentIntent with metadata.subscriptionChargeId
+   * @returns {Promise<Object|null>} Updated row, or null when nothing changed
+   */
+  async recordFailure(paymentIntent) {
+    const charge = await this.getCharge(paymentIntent.metadata?.subscriptionChargeId);
+    if (!charge || charge.status === 'succeeded' || NEW_PAYMENT_ATTEMPT.includes(charge.status)) return null;
+    if (charge.stripe_payment_intent_id && charge.stripe_payment_intent_id !== paymentIntent.id) return null;
+
+    const error = paymentIntent.last_payment_error || {};
+    const updated = await this.updateCharge(charge.id, {
+      status: error.code === 'authentication_required' ? 'requires_action' : 'declined',
+      stripe_payment_intent_id: paymentIntent.id,
+      failure_code: error.code || 'payment_failed',
+      failure_message: error.message || 'Payment failed'
+    });
+    const subscription = await subscriptionService.getSubscription(charge.subscription_id);
+    if (subscription) await subscriptionDunningService.recordFailure(subscription, updated);
+    return updated;
+  }
+
+  /**
+   * Whether handleEvent() processes this Stripe event
+   * @param {Object} event - Verified Stripe event
+   * @returns {boolean}
+   */
+  handles(event) {
+    const object = event.data?.object || {};
+    if (event.type === 'checkout.session.completed') {
+      return object.mode === 'setup' && object.metadata?.type === 'subscription_payment_method'
+        || Boolean(object.metadata?.subscriptionChargeId);
+    }
+    return event.type === 'payment_intent.succeeded' && Boolean(object.metadata?.subscriptionChargeId);
+  }
+
+  /**
+   * Handle a Stripe event for a renewal or a saved payment method
+   * @param {Object} event - Verified Stripe event
+   * @returns {Promise<Object>} { status, subscriptionId?, chargeId? }
+   */
+  async handleEvent(event) {
+    const object = event.data.object;
+    if (event.type === 'payment_intent.succeeded') {
+      const charge = await this.getCharge(object.metadata.subscriptionChargeId);
+      if (!charge) return { status: 'unknown_charge' };
+      const updated = await this.recordSuccess(charge, object);
+      return { status: updated ? 'succeeded' : 'duplicate', chargeId: charge.id };
+    }
+    if (object.mode === 'setup') {
+      const subscription = await this.handleSetupSessionCompleted(object);
+      return { status: 'payment_method_saved', subscriptionId: subscription?.id || null };
+    }
+    // Renewal paid through Checkout: booked from its payment_intent.succeeded event
+    return { status: 'ignored', chargeId: Number(object.metadata.subscriptionChargeId) };
+  }
+
+  /**
+   * Save the card collected by a setup-mode Checkout session for future renewals
+   * @param {Object} session - Completed Stripe Checkout session (mode setup)
+   * @returns {Promise<Object|null>} Updated subscription
+   */
+  async handleSetupSessionCompleted(session) {
+    const stripe = this.getStripe();
+    const setupIntent = typeof session.setup_intent === 'string'
+      ? await stripe.setupIntents.retrieve(session.setup_intent)
+      : session.setup_intent;
+    const paymentMethodId = typeof setupIntent?.payment_method === 'string'
+      ? setupIntent.payment_method
+      : setupIntent?.payment_method?.id;
+    if (!paymentMethodId) {
+      logger.warn('[SUBSCRIPTION_BILLING] Setup session without a payment method', { sessionId: session.id });
+      return null;
+    }
+    const customerId = session.customer || setupIntent.customer || undefined;
+    const subscription = await subscriptionService.setStripePaymentMethod(session.metadata.subscriptionId, {
+      customerId,
+      paymentMethodId
+    });
+    if (customerId) {
+      try {
+        await stripe.customers.update(customerId, { invoice_settings: { default_payment_method: paymentMethodId } });
+      } catch (e) {
+        logger.warn('[SUBSCRIPTION_BILLING] Could not set default payment method', { customerId, error: e.message });
+      }
+    }
+    logger.info('[SUBSCRIPTION_BILLING] Payment method saved', { subscriptionId: session.metadata.subscriptionId });
+    return subscription;
+  }
+
+  /**
+   * Charge the unpaid renewal of a subscription in dunning again (retry schedule of subscriptionDunningService)
+   * @param {Object} subscription - subscriptions row (past_due / retrying)
+   * @returns {Promise<Object>} Same as chargeSubscription, or { status: 'nothing_due', skipped: true }
+   */
+  async retryRenewal(subscription) {
+    const charge = await this.outstandingCharge(subscription.id);
+    if (!charge) return { chargeId: null, status: 'nothing_due', paymentIntentId: null, skipped: true };
+    return this.chargeSubscription(subscription, { billingDate: toDateString(charge.billing_date), retry: true });
+  }
+
+  async outstandingCharge(subscriptionId) {
+    const { rows } = await query(
+      `SELECT * FROM subscription_charges
+       WHERE subscription_id = $1 AND status = ANY($2)
+       ORDER BY billing_date DESC LIMIT 1`,
+      [subscriptionId, [...NEW_PAYMENT_ATTEMPT, 'failed']]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Stripe Checkout session for the patient to update the card a subscription is charged to.
+   * Pays the outstanding renewal at the same time when one is waiting for the patient; the renewal is
+   * awaiting_checkout until the session expires (a session opened earlier is expired first).
+   * @param {number|string} subscriptionId
+   * @param {Object} owner - { shopifyCustomerId, email } of the logged-in customer
+   * @returns {Promise<Object>} { url, sessionId, mode, chargeId }
+   */
+  async createPaymentMethodSession(subscriptionId, owner = {}) {
+    const stripe = this.getStripe();
+    let subscription = await subscriptionManagementService.getOwnedSubscription(subscriptionId, owner);
+    if (subscription.status === 'cancelled') {
+      throw billingError('Subscription is not active', 409, 'SUBSCRIPTION_NOT_ACTIVE');
+    }
+
+    const email = subscription.customer_email || owner.email || undefined;
+    if (!subscription.stripe_customer_id) {
+      const customer = await stripe.customers.create({
+        email,
+        metadata: { subscriptionId: String(subscription.id), shopifyCustomerId: subscription.shopify_customer_id || '' }
+      });
+      subscription = await subscriptionService.setStripePaymentMethod(subscription.id, { customerId: customer.id, email });
+    }
+
+    const returnUrl = `${subscriptionDunningService.paymentMethodUrl}?subscriptionId=${subscription.id}`;
+    const charge = await this.outstandingCharge(subscription.id);
+    if (!charge) {
+      const session = await stripe.checkout.sessions.create({
+        mode: 'setup',
+        customer: subscription.stripe_customer_id,
+        payment_method_types: ['card'],
+        metadata: { type: 'subscription_payment_method', subscriptionId: String(subscription.id) },
+        success_url: `${returnUrl}&status=updated`,
+        cancel_url: `${returnUrl}&status=cancelled`
+      });
+      return { url: session.url, sessionId: session.id, mode: 'setup', chargeId: null };
+    }
+
+    if (charge.status === AWAITING_CHECKOUT && charge.checkout_session_id) {
+      await this.expireCheckoutSession(charge.checkout_session_id);
+    }
+
+    // Take the renewal out of the dunning retries before the patient can pay it
+    const expiresAt = Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRES_MINUTES * 60;
+    const { rows: [awaiting] } = await query(
+      `UPDATE subscription_charges
+       SET status = '${AWAITING_CHECKOUT}', checkout_session_id = NULL, checkout_expires_at = $3, updated_at = NOW()
+       WHERE id = $1 AND status = $2
+       RETURNING *`,
+      [charge.id, charge.status, new Date(expiresAt * 1000)]
+    );
+    if (!awaiting) {
+      throw billingError('The renewal is being charged, try again shortly', 409, 'SUBSCRIPTION_RENEWAL_PROCESSING');
+    }
+
+    // The renewal's off-session PaymentIntent is replaced by the Checkout payment
+    if (charge.stripe_payment_intent_id) {
+      try {
+        await stripe.paymentIntents.cancel(charge.stripe_payment_intent_id);
+      } catch (e) {
+        logger.debug('[SUBSCRIPTION_BILLING] Previous renewal PaymentIntent not cancelled', { paymentIntentId: charge.stripe_payment_intent_id, error: e.message });
+      }
+    }
+    const metadata = this.chargeMetadata(subscription, awaiting);
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        customer: subscription.stripe_customer_id,
+        payment_method_types: ['card'],
+        line_items: [{
+          price_data: {
+            currency: charge.currency,
+            unit_amount: charge.amount_cents,
+            product_data: { name: `Subscription renewal (${toDateString(charge.billing_date)})` }
+          },
+          quantity: 1
+        }],
+        payment_intent_data: { setup_future_usage: 'off_session', metadata },
+        metadata,
+        expires_at: expiresAt,
+        success_url: `${returnUrl}&status=paid`,
+        cancel_url: `${returnUrl}&status=cancelled`
+      });
+    } catch (error) {
+      await this.updateCharge(charge.id, { status: charge.status, checkout_expires_at: null });
+      throw error;
+    }
+    await this.updateCharge(charge.id, { checkout_session_id: session.id });
+    return { url: session.url, sessionId: session.id, mode: 'payment', chargeId: charge.id };
+  }
+
+  // Close a renewal Checkout session before opening another; refuses when it was already paid
+  async expireCheckoutSession(sessionId) {
+    const stripe = this.getStripe();
+    try {
+      await stripe.checkout.sessions.expire(sessionId);
+    } catch (error) {
+      const session = await stripe.checkout.sessions.retrieve(sessionId);
+      if (session.status === 'complete') {
+        throw billingError('The renewal has already been paid', 409, 'SUBSCRIPTION_RENEWAL_PAID');
+      }
+      logger.debug('[SUBSCRIPTION_BILLING] Renewal Checkout session not expired', { sessionId, error: error.message });
+    }
+  }
+}
+
+module.exports = new SubscriptionBillingService();
@@ -0,0 +1,261 @@
+// backend/src/services/subscriptionDunningService.js
+// Dunning of subscriptions whose renewal could not be charged (subscriptionBillingService). The state
+// lives in subscriptions.status:
+//   active --renewal fails--> past_due --retry fails--> retrying --last retry fails--> suspended
+//   suspended --SUBSCRIPTION_DUNNING_CANCEL_DAYS later--> cancelled (cancellation_reason 'involuntary')
+//   past_due / retrying / suspended --renewal paid (retry or patient updates the card)--> active
+// Retries run at SUBSCRIPTION_DUNNING_RETRY_DAYS (days after the first failure, default 1,3,7) from the
+// monthly billing cron. The patient is emailed at each step with the update-payment link, and
+// prescription fulfilment (pharmacyService) is paused while a subscription is suspended.
+// Every transition is a conditional update on the current status, so concurrent runs and redelivered
+// webhooks move a subscription (and email the patient) once; transitions are kept in
+// subscription_dunning_events.
+
+const moment = require('moment-timezone');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const customerPatientMapService = require('./customerPatientMapService');
+const notificationService = require('./notificationService');
+
+// Statuses of a subscription in dunning (renewal unpaid, not cancelled)
+const DUNNING_STATUSES = ['past_due', 'retrying', 'suspended'];
+const INVOLUNTARY = 'involuntary';
+
+function parseRetryDays(value) {
+  const days = String(value || '')
+    .split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => Number.isInteger(day) && day > 0)
+    .sort((a, b) => a - b);
+  return days.length ? days : [1, 3, 7];
+}
+
+function formatDate(value) {
+  return moment(value).format('MMMM D, YYYY');
+}
+
+class SubscriptionDunningService {
+  constructor() {
+    this.retryDays = parseRetryDays(process.env.SUBSCRIPTION_DUNNING_RETRY_DAYS);
+    const cancelDays = parseInt(process.env.SUBSCRIPTION_DUNNING_CANCEL_DAYS, 10);
+    this.cancelAfterDays = Number.isInteger(cancelDays) && cancelDays >= 0 ? cancelDays : 14;
+    const frontendUrl = (process.env.FRONTEND_URL || process.env.SHOPIFY_STORE || 'https://example.myshopify.com').replace(/\/$/, '');
+    this.paymentMethodUrl = process.env.BILLING_PAYMENT_METHOD_URL || `${frontendUrl}/pages/billing-payment-method`;
+  }
+
+  isInDunning(subscription) {
+    return Boolean(subscription) && DUNNING_STATUSES.includes(subscription.status);
+  }
+
+  // Retry n (1-based) is due retryDays[n - 1] days after the first failure
+  retryAt(startedAt, retryNumber) {
+    return moment(startedAt).add(this.retryDays[retryNumber - 1], 'days').toDate();
+  }
+
+  /**
+   * Move a subscription to the next dunning step after a failed renewal charge
+   * @param {Object} subscription - subscriptions row (status as the caller saw it)
+   * @param {Object} charge - subscription_charges row that failed (status declined / requires_action / requires_payment_method)
+   * @returns {Promise<Object|null>} Updated subscription, or null when nothing changed
+   */
+  async recordFailure(subscription, charge) {
+    const { rows: [current] } = await query('SELECT * FROM subscriptions WHERE id = $1', [subscription.id]);
+    if (!current) return null;
+
+    if (current.status === 'active') {
+      const startedAt = new Date();
+      const nextRetryAt = this.retryAt(startedAt, 1);
+      return this.transition(current, 'past_due', {
+        dunning_started_at: startedAt,
+        dunning_attempts: 0,
+        next_retry_at: nextRetryAt,
+        suspended_at: null
+      }, { charge, nextRetryAt });
+    }
+
+    if (current.status !== 'past_due' && current.status !== 'retrying') {
+      // Suspended or cancelled: the patient already knows, nothing is retried
+      return null;
+    }
+
+    const attempts = (current.dunning_attempts || 0) + 1;
+    if (attempts < this.retryDays.length) {
+      const nextRetryAt = this.retryAt(current.dunning_started_at || new Date(), attempts + 1);
+      return this.transition(current, 'retrying', { dunning_attempts: attempts, next_retry_at: nextRetryAt }, { charge, nextRetryAt });
+    }
+    return this.transition(current, 'suspended', { dunning_attempts: attempts, next_retry_at: null, suspended_at: new Date() }, { charge });
+  }
+
+  /**
+   * Reactivate a subscription in dunning once its renewal is paid
+   * @param {Object} subscription - subscriptions row
+   * @param {Object} charge - Paid subscription_charges row
+   * @returns {Promise<Object|null>} Updated subscription, or null when it was not in dunning
+   */
+  async recordRecovery(subscription, charge) {
+    if (!this.isInDunning(subscription)) return null;
+    return this.transition(subscription, 'active', {
+      dunning_started_at: null,
+      dunning_attempts: 0,
+      next_retry_at: null,
+      suspended_at: null
+    }, { charge });
+  }
+
+  /**
+   * Subscriptions whose next retry is due
+   * @param {Date} now
+   * @returns {Promise<Array>} subscriptions rows
+   */
+  async getRetriesDue(now = new Date()) {
+    const { rows } = await query(
+      `SELECT * FROM subscriptions
+       WHERE status IN ('past_due', 'retrying') AND next_retry_at <= $1
+       ORDER BY next_retry_at ASC`,
+      [now]
+    );
+    return rows;
+  }
+
+  /**
+   * Cancel subscriptions suspended for longer than SUBSCRIPTION_DUNNING_CANCEL_DAYS (involuntary churn)
+   * @param {Date} now
+   * @returns {Promise<Array>} Cancelled subscriptions
+   */
+  async cancelExpired(now = new Date()) {
+    if (!this.cancelAfterDays) return [];
+    const cutoff = moment(now).subtract(this.cancelAfterDays, 'days').toDate();
+    const { rows } = await query(
+      `SELECT * FROM subscriptions WHERE status = 'suspended' AND suspended_at <= $1 ORDER BY suspended_at ASC`,
+      [cutoff]
+    );
+    const cancelled = [];
+    for (const subscription of rows) {
+      try {
+        const updated = await this.transition(subscription, 'cancelled', {
+          cancelled_at: now,
+          cancellation_reason: INVOLUNTARY,
+          next_retry_at: null
+        }, { reason: `Unpaid for ${this.cancelAfterDays} days after suspension` });
+        if (updated) cancelled.push(updated);
+      } catch (e) {
+        logger.error('[SUBSCRIPTION_DUNNING] Failed to cancel suspended subscription', { subscriptionId: subscription.id, error: e.message });
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * Whether prescription fulfilment is paused for a patient (a subscription of theirs is suspended).
+   * Lookup errors do not block fulfilment.
+   * @param {string} tebraPatientId
+   * @returns {Promise<boolean>}
+   */
+  async isFulfilmentPaused(tebraPatientId) {
+    if (!tebraPatientId) return false;
+    try {
+      const { rows } = await query(
+        `SELECT 1 FROM subscriptions WHERE tebra_patient_id = $1 AND status = 'suspended' LIMIT 1`,
+        [String(tebraPatientId)]
+      );
+      return rows.length > 0;
+    } catch (e) {
+      logger.warn('[SUBSCRIPTION_DUNNING] Could not check suspended subscriptions', { tebraPatientId, error: e.message });
+      return false;
+    }
+  }
+
+  async transition(subscription, toStatus, fields, { charge = null, nextRetryAt = null, reason = null } = {}) {
+    const columns = Object.keys(fields);
+    const sets = columns.map((column, i) => `${column} = $${i + 4}`);
+    const { rows: [updated] } = await query(
+      `UPDATE subscriptions
+       SET status = $2, ${sets.join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND status = $3 AND dunning_attempts = $${columns.length + 4}
+       RETURNING *`,
+      [subscription.id, toStatus, subscription.status, ...columns.map(column => fields[column]), subscription.dunning_attempts || 0]
+    );
+    if (!updated) return null;
+
+    const failure = reason || (charge?.failure_code ? `${charge.failure_code}: ${charge.failure_message || ''}`.trim() : null);
+    const notified = await this.notifyPatient(updated, toStatus, { charge, nextRetryAt });
+    if (notified && charge) {
+      await query('UPDATE subscription_charges SET notified_at = NOW() WHERE id = $1', [charge.id]);
+    }
+    await query(
+      `INSERT INTO subscription_dunning_events
+        (subscription_id, subscription_charge_id, from_status, to_status, attempt, reason, next_retry_at, notified)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [updated.id, charge?.id || null, subscription.status, toStatus, updated.dunning_attempts || 0, failure, nextRetryAt, notified]
+    );
+    logger.info('[SUBSCRIPTION_DUNNING] Subscription status changed', {
+      subscriptionId: updated.id,
+      from: subscription.status,
+      to: toStatus,
+      attempt: updated.dunning_attempts,
+      nextRetryAt
+    });
+    return updated;
+  }
+
+  async patientEmail(subscription) {
+    if (subscription.customer_email) return subscription.customer_email;
+    try {
+      const mapping = await customerPatientMapService.getByShopifyIdOrEmail(subscription.shopify_customer_id, null, subscription.tenant_id || null);
+      return mapping?.email || null;
+    } catch (e) {
+      logger.warn('[SUBSCRIPTION_DUNNING] Could not look up patient email', { subscriptionId: subscription.id, error: e.message });
+      return null;
+    }
+  }
+
+  // Why the renewal could not be charged, in the patient's words
+  failureText(charge) {
+    if (!charge) return 'we could not charge your card';
+    if (charge.status === 'requires_payment_method') return 'no card is saved for your subscription';
+    if (charge.status === 'requires_action') return 'your bank needs you to confirm the payment';
+    return `your card was declined${charge.failure_message ? ` (${charge.failure_message})` : ''}`;
+  }
+
+  /**
+   * Email the patient about a dunning step. Failures are logged, never thrown.
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  async notifyPatient(subscription, step, { charge, nextRetryAt } = {}) {
+    try {
+      const to = await this.patientEmail(subscription);
+      if (!to) {
+        logger.warn('[SUBSCRIPTION_DUNNING] No email for dunning notification', { subscriptionId: subscription.id, step });
+        return false;
+      }
+      const amount = `$${(subscription.amount_cents / 100).toFixed(2)}`;
+      const link = `${this.paymentMethodUrl}?subscriptionId=${subscription.id}`;
+      const failure = this.failureText(charge);
+      const messages = {
+        past_due: ['Your subscription payment failed',
+          `We could not charge your ${amount} subscription renewal: ${failure}. We will try again on ${nextRetryAt ? formatDate(nextRetryAt) : 'the next retry date'}, or you can update your payment method now.`],
+        retrying: ['Your subscription payment failed again',
+          `We tried your ${amount} subscription renewal again, but ${failure}. The next attempt is on ${nextRetryAt ? formatDate(nextRetryAt) : 'the next retry date'}.`],
+        suspended: ['Your subscription is suspended',
+          `We could not charge your ${amount} subscription renewal after several attempts (${failure}). Your subscription is suspended and prescription refills are paused until the payment goes through.`],
+        cancelled: ['Your subscription was cancelled',
+          'Your subscription was cancelled because the renewal stayed unpaid. You can start a new subscription at any time.'],
+        active: ['Your subscription is active again',
+          `Thank you, your ${amount} subscription renewal was paid. Your subscription is active again and prescription refills continue as usual.`]
+      };
+      if (!messages[step]) return false;
+      const [subject, body] = messages[step];
+      const action = step === 'active' || step === 'cancelled' ? '' : `\n\nUpdate your payment method:\n${link}`;
+      const text = `${body}${action}`;
+      const html = `<p>${body}</p>${action ? `<p><a href="${link}">Update payment method</a></p>` : ''}`;
+      const result = await notificationService.sendEmail({ to, subject, text, html });
+      return Boolean(result?.success);
+    } catch (e) {
+      logger.warn('[SUBSCRIPTION_DUNNING] Failed to send dunning notification', { subscriptionId: subscription.id, step, error: e.message });
+      return false;
+    }
+  }
+}
+
+module.exports = new SubscriptionDunningService();
+module.exports.DUNNING_STATUSES = DUNNING_STATUSES;
@@ -0,0 +1,340 @@
+// backend/src/services/subscriptionManagementService.js
+// Patient self-service on subscriptions (/api/billing/subscriptions): pause for a number of billing
+// periods, skip the next renewal, switch between monthly and quarterly, change the dose (Shopify
+// variant) and cancel with a reason. Changes take effect from the next renewal; nothing is charged or
+// refunded here (subscriptionBillingService charges renewals).
+// - pause: status paused, next_billing_date and paused_until moved N billing periods; the billing cron
+//   resumes the subscription on paused_until (resumeDue) and charges the renewal the same run
+// - skip: next_billing_date moved one billing period
+// - frequency / variant: amount_cents recalculated per billing period
+// Subscriptions in dunning (subscriptionDunningService) can only be cancelled until the card is updated.
+// Every change is a conditional update on the status and billing date the caller saw, and is recorded in
+// subscription_changes with the changed columns ({ column: { from, to } }).
+
+const moment = require('moment-timezone');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const subscriptionService = require('./subscriptionService');
+const customerPatientMapService = require('./customerPatientMapService');
+const { DEFAULT_TENANT_ID } = require('./tebraTenantService');
+const shopifyUserService = require('./shopifyUserService');
+
+const CANCELLATION_REASONS = ['too_expensive', 'not_effective', 'side_effects', 'no_longer_needed', 'switching_provider', 'other'];
+// Statuses whose schedule, frequency and dose the patient can change
+const CHANGEABLE_STATUSES = ['active', 'paused'];
+const DATE_COLUMNS = ['next_billing_date', 'paused_until'];
+const MAX_COMMENT_LENGTH = 1000;
+const SYSTEM_ACTOR = { type: 'system', id: 'monthly_billing_cron' };
+
+function managementError(message, status = 400, code = 'SUBSCRIPTION_CHANGE_ERROR') {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+// pg returns DATE columns as local-midnight Date objects
+function toDateString(value) {
+  if (!value) return null;
+  return moment(value).format('YYYY-MM-DD');
+}
+
+function auditValue(column, value) {
+  if (value === null || value === undefined) return null;
+  if (DATE_COLUMNS.includes(column)) return toDateString(value);
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+function patientActor(owner) {
+  return { type: 'patient', id: owner.shopifyCustomerId ? String(owner.shopifyCustomerId) : owner.email || null };
+}
+
+class SubscriptionManagementService {
+  constructor() {
+    const maxPause = parseInt(process.env.SUBSCRIPTION_MAX_PAUSE_CYCLES, 10);
+    this.maxPauseCycles = Number.isInteger(maxPause) && maxPause > 0 ? maxPause : 3;
+  }
+
+  billingMonths(frequency) {
+    return subscriptionService.BILLING_MONTHS[frequency] || 1;
+  }
+
+  // Billing date `periods` billing periods after the current next_billing_date
+  addPeriods(subscription, periods) {
+    return moment(toDateString(subscription.next_billing_date), 'YYYY-MM-DD')
+      .add(this.billingMonths(subscription.frequency) * periods, 'months')
+      .format('YYYY-MM-DD');
+  }
+
+  // Tebra patient of the logged-in customer (subscriptions are billed to the patient): in the given
+  // Tebra account, or in the account of the customer's latest mapping. Patient ids are only unique per account.
+  async patientFor(owner, tenantId = null) {
+    if (!owner.shopifyCustomerId && !owner.email) return null;
+    try {
+      const mapping = await customerPatientMapService.getByShopifyIdOrEmail(owner.shopifyCustomerId || null, owner.email || null, tenantId);
+      if (!mapping?.tebra_patient_id) return null;
+      return { patientId: mapping.tebra_patient_id, tenantId: mapping.tenant_id || tenantId || DEFAULT_TENANT_ID };
+    } catch (e) {
+      logger.warn('[SUBSCRIPTION_MANAGEMENT] Could not look up patient for customer', { error: e.message });
+      return null;
+    }
+  }
+
+  /**
+   * Subscriptions of the logged-in customer, newest first
+   * @param {Object} owner - { shopifyCustomerId, email } of the logged-in customer
+   * @returns {Promise<Array>} Subscription views (see toView)
+   */
+  async listSubscriptions(owner = {}) {
+    const patient = await this.patientFor(owner);
+    const rows = await subscriptionService.getCustomerSubscriptions({
+      shopifyCustomerId: owner.shopifyCustomerId,
+      email: owner.email,
+      tebraPatientId: patient?.patientId || null,
+      tenantId: patient?.tenantId
+    });
+    return rows.map(row => this.toView(row));
+  }
+
+  /**
+   * Subscription of the logged-in customer. Subscriptions belong to the Shopify customer that bought
+   * them, or to the same email / Tebra patient; anything else is reported as not found.
+   * @param {number|string} subscriptionId
+   * @param {Object} owner - { shopifyCustomerId, email }
+   * @returns {Promise<Object>} subscriptions row
+   */
+  async getOwnedSubscription(subscriptionId, owner = {}) {
+    const notFound = managementError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+    if (!/^\d+$/.test(String(subscriptionId))) throw notFound;
+    const subscription = await subscriptionService.getSubscription(subscriptionId);
+    if (!subscription) throw notFound;
+    if (owner.shopifyCustomerId && String(subscription.shopify_customer_id) === String(owner.shopifyCustomerId)) return subscription;
+    const email = String(owner.email || '').toLowerCase();
+    if (email && String(subscription.customer_email || '').toLowerCase() === email) return subscription;
+    const patient = await this.patientFor(owner, subscription.tenant_id || DEFAULT_TENANT_ID);
+    if (patient && String(patient.patientId) === String(subscription.tebra_patient_id)) return subscription;
+    throw notFound;
+  }
+
+  assertChangeable(subscription) {
+    if (subscription.status === 'cancelled') throw managementError('Subscription is cancelled', 409, 'SUBSCRIPTION_CANCELLED');
+    if (!CHANGEABLE_STATUSES.includes(subscription.status)) {
+      throw managementError('Subscription payment is overdue, please update your payment method first', 409, 'SUBSCRIPTION_PAYMENT_OVERDUE');
+    }
+  }
+
+  /**
+   * Pause the subscription for a number of billing periods (1..SUBSCRIPTION_MAX_PAUSE_CYCLES)
+   * @returns {Promise<Object>} Subscription view
+   */
+  async pause(subscriptionId, owner, { cycles } = {}) {
+    const count = Number(cycles);
+    if (!Number.isInteger(count) || count < 1 || count > this.maxPauseCycles) {
+      throw managementError(`cycles must be between 1 and ${this.maxPauseCycles}`, 400, 'INVALID_PAUSE_CYCLES');
+    }
+    const subscription = await this.getOwnedSubscription(subscriptionId, owner);
+    this.assertChangeable(subscription);
+    if (subscription.status === 'paused') throw managementError('Subscription is already paused', 409, 'SUBSCRIPTION_PAUSED');
+
+    const resumeOn = this.addPeriods(subscription, count);
+    const updated = await this.applyChange(subscription, 'pause', {
+      status: 'paused',
+      paused_until: resumeOn,
+      next_billing_date: resumeOn
+    }, { actor: patientActor(owner), reason: `${count} billing period${count === 1 ? '' : 's'}` });
+    return this.toView(updated);
+  }
+
+  /**
+   * Skip the next renewal (next_billing_date moved one billing period)
+   * @returns {Promise<Object>} Subscription view
+   */
+  async skipNext(subscriptionId, owner) {
+    const subscription = await this.getOwnedSubscription(subscriptionId, owner);
+    this.assertChangeable(subscription);
+    if (subscription.status === 'paused') throw managementError('Subscription is paused', 409, 'SUBSCRIPTION_PAUSED');
+
+    const updated = await this.applyChange(subscription, 'skip', {
+      next_billing_date: this.addPeriods(subscription, 1)
+    }, { actor: patientActor(owner) });
+    return this.toView(updated);
+  }
+
+  /**
+   * Switch the billing frequency (monthly / quarterly) from the next renewal. The amount per billing
+   * period is scaled to the new period length.
+   * @returns {Promise<Object>} Subscription view
+   */
+  async changeFrequency(subscriptionId, owner, { frequency } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(subscriptionService.BILLING_MONTHS, frequency)) {
+      throw managementError(`frequency must be one of ${Object.keys(subscriptionService.BILLING_MONTHS).join(', ')}`, 400, 'INVALID_FREQUENCY');
+    }
+    const subscription = await this.getOwnedSubscription(subscriptionId, owner);
+    this.assertChangeable(subscription);
+    const current = subscription.frequency || 'monthly';
+    if (current === frequency) throw managementError(`Subscription is already billed ${frequency}`, 400, 'FREQUENCY_UNCHANGED');
+
+    const updated = await this.applyChange(subscription, 'change_frequency', {
+      frequency,
+      amount_cents: Math.round(subscription.amount_cents * this.billingMonths(frequency) / this.billingMonths(current))
+    }, { actor: patientActor(owner) });
+    return this.toView(updated);
+  }
+
+  /**
+   * Change the dose: another variant of the subscription's Shopify product, billed at the variant's
+   * price from the next renewal
+   * @returns {Promise<Object>} Subscription view
+   */
+  async changeVariant(subscriptionId, owner, { variantId } = {}) {
+    if (!variantId) throw managementError('variantId is required', 400, 'INVALID_VARIANT');
+    const subscription = await this.getOwnedSubscription(subscriptionId, owner);
+    this.assertChangeable(subscription);
+    if (!subscription.shopify_product_id) {
+      throw managementError('This subscription has no product to change the dose of', 409, 'VARIANT_CHANGE_UNAVAILABLE');
+    }
+    if (String(subscription.shopify_variant_id) === String(variantId)) {
+      throw managementError('Subscription is already on this dose', 400, 'VARIANT_UNCHANGED');
+    }
+
+    let product;
+    try {
+      product = await shopifyUserService.getProduct(subscription.shopify_product_id);
+    } catch (e) {
+      logger.error('[SUBSCRIPTION_MANAGEMENT] Could not load subscription product', { subscriptionId: subscription.id, error: e.message });
+      throw managementError('Could not load the product, please try again later', 502, 'SHOPIFY_UNAVAILABLE');
+    }
+    const variant = (product?.variants || []).find(v => String(v.id) === String(variantId));
+    const priceCents = Math.round(parseFloat(variant?.price) * 100);
+    if (!variant || !Number.isFinite(priceCents) || priceCents <= 0) {
+      throw managementError('Variant is not available for this subscription', 400, 'INVALID_VARIANT');
+    }
+
+    const updated = await this.applyChange(subscription, 'change_variant', {
+      shopify_variant_id: String(variant.id),
+      amount_cents: priceCents * this.billingMonths(subscription.frequency)
+    }, { actor: patientActor(owner), reason: variant.title || null });
+    return this.toView(updated);
+  }
+
+  /**
+   * Cancel the subscription (voluntary churn). No further renewals are charged or retried.
+   * @param {Object} options - { reason: one of CANCELLATION_REASONS, comment }
+   * @returns {Promise<Object>} Subscription view
+   */
+  async cancel(subscriptionId, owner, { reason, comment } = {}) {
+    if (!CANCELLATION_REASONS.includes(reason)) {
+      throw managementError(`reason must be one of ${CANCELLATION_REASONS.join(', ')}`, 400, 'INVALID_CANCELLATION_REASON');
+    }
+    const note = comment ? String(comment).trim().slice(0, MAX_COMMENT_LENGTH) : null;
+    const subscription = await this.getOwnedSubscription(subscriptionId, owner);
+    if (subscription.status === 'cancelled') throw managementError('Subscription is already cancelled', 409, 'SUBSCRIPTION_CANCELLED');
+
+    const updated = await this.applyChange(subscription, 'cancel', {
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      cancellation_reason: reason,
+      paused_until: null,
+      next_retry_at: null
+    }, { actor: patientActor(owner), reason, comment: note || null });
+    return this.toView(updated);
+  }
+
+  /**
+   * Changes made to a subscription, newest first
+   * @returns {Promise<Array>} { action, actor, changes, reason, comment, createdAt }
+   */
+  async getHistory(subscriptionId, owner) {
+    const subscription = await this.getOwnedSubscription(subscriptionId, owner);
+    const { rows } = await query(
+      `SELECT action, actor_type, changes, reason, comment, created_at
+       FROM subscription_changes
+       WHERE subscription_id = $1
+       ORDER BY created_at DESC, id DESC`,
+      [subscription.id]
+    );
+    return rows.map(row => ({
+      action: row.action,
+      actor: row.actor_type,
+      changes: row.changes || {},
+      reason: row.reason,
+      comment: row.comment,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Reactivate paused subscriptions whose pause ends on or before the date (billing cron, before the
+   * renewals due that day are charged)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array>} Resumed subscriptions rows
+   */
+  async resumeDue(date = new Date().toISOString().slice(0, 10)) {
+    const { rows } = await query(
+      `SELECT * FROM subscriptions WHERE status = 'paused' AND paused_until <= $1 ORDER BY paused_until ASC`,
+      [date]
+    );
+    const resumed = [];
+    for (const subscription of rows) {
+      try {
+        resumed.push(await this.applyChange(subscription, 'resume', { status: 'active', paused_until: null }, { actor: SYSTEM_ACTOR }));
+      } catch (e) {
+        logger.error('[SUBSCRIPTION_MANAGEMENT] Failed to resume paused subscription', { subscriptionId: subscription.id, error: e.message });
+      }
+    }
+    return resumed;
+  }
+
+  async applyChange(subscription, action, fields, { actor, reason = null, comment = null }) {
+    const columns = Object.keys(fields);
+    const sets = columns.map((column, i) => `${column} = $${i + 4}`);
+    const { rows: [updated] } = await query(
+      `UPDATE subscriptions
+       SET ${sets.join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND status = $2 AND next_billing_date = $3
+       RETURNING *`,
+      [subscription.id, subscription.status, toDateString(subscription.next_billing_date), ...columns.map(column => fields[column])]
+    );
+    if (!updated) {
+      throw managementError('Subscription was changed in the meantime, please reload it', 409, 'SUBSCRIPTION_CHANGED');
+    }
+
+    const changes = {};
+    for (const column of columns) {
+      const from = auditValue(column, subscription[column]);
+      const to = auditValue(column, updated[column]);
+      if (from !== to) changes[column] = { from, to };
+    }
+    await query(
+      `INSERT INTO subscription_changes (subscription_id, action, actor_type, actor_id, changes, reason, comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [updated.id, action, actor.type, actor.id, JSON.stringify(changes), reason, comment]
+    );
+    logger.info('[SUBSCRIPTION_MANAGEMENT] Subscription changed', { subscriptionId: updated.id, action, actor: actor.type, changes });
+    return updated;
+  }
+
+  toView(row) {
+    return {
+      id: row.id,
+      status: row.status,
+      productId: row.shopify_product_id,
+      variantId: row.shopify_variant_id,
+      amountCents: row.amount_cents,
+      currency: row.currency,
+      frequency: row.frequency,
+      nextBillingDate: toDateString(row.next_billing_date),
+      lastBillingDate: toDateString(row.last_billing_date),
+      pausedUntil: toDateString(row.paused_until),
+      nextRetryAt: row.next_retry_at || null,
+      cancelledAt: row.cancelled_at || null,
+      cancellationReason: row.cancellation_reason || null,
+      paymentMethodSaved: Boolean(row.stripe_payment_method_id),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new SubscriptionManagementService();
+module.exports.CANCELLATION_REASONS = CANCELLATION_REASONS;
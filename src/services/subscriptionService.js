@@ -2,6 +2,10 @@
 // Manages subscription records for monthly recurring billing
 
 const { query } = require('../db/pg');
+const { DEFAULT_TENANT_ID } = require('./tebraTenantService');
+
+// Months per billing period of each supported frequency
+const BILLING_MONTHS = { monthly: 1, quarterly: 3 };
 
 const INIT_SQL = `
 CREATE TABLE IF NOT EXISTS subscriptions (
@@ -25,6 +29,26 @@ CREATE TABLE IF NOT EXISTS subscriptions (
 CREATE INDEX IF NOT EXISTS idx_subscriptions_patient ON subscriptions(tebra_patient_id);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_customer ON subscriptions(shopify_customer_id);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_next_billing ON subscriptions(next_billing_date) WHERE status = 'active';
+-- Stripe customer and saved payment method renewals are charged to (subscriptionBillingService)
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS stripe_customer_id TEXT;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS stripe_payment_method_id TEXT;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS customer_email TEXT;
+-- Dunning of failed renewals (subscriptionDunningService): status past_due / retrying / suspended
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS dunning_started_at TIMESTAMPTZ;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS dunning_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+CREATE INDEX IF NOT EXISTS idx_subscriptions_next_retry ON subscriptions(next_retry_at) WHERE status IN ('past_due', 'retrying');
+-- Patient pauses (subscriptionManagementService): status paused until paused_until, then active again
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS paused_until DATE;
+CREATE INDEX IF NOT EXISTS idx_subscriptions_paused_until ON subscriptions(paused_until) WHERE status = 'paused';
+-- One active subscription per customer and product; any number cancelled / paused (the former
+-- UNIQUE(shopify_customer_id, shopify_product_id, status) rejected a second cancellation of the same product)
+ALTER TABLE subscriptions DROP CONSTRAINT IF EXISTS subscriptions_shopify_customer_id_shopify_product_id_status_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_active_product ON subscriptions(shopify_customer_id, shopify_product_id) WHERE status = 'active';
+-- Tebra account (tebraTenantService) tebra_patient_id belongs to; renewals are billed to it
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default';
 `;
 
 let initialized = false;
@@ -50,11 +74,13 @@ async function createSubscription(data) {
     shopifyProductId,
     shopifyVariantId,
     tebraPatientId,
+    customerEmail,
     amountCents,
     currency = 'USD',
     frequency = 'monthly',
     status = 'active',
     nextBillingDate,
+    tenantId = DEFAULT_TENANT_ID,
   } = data;
 
   // Check if subscription already exists for this customer + product
@@ -75,8 +101,8 @@ async function createSubscription(data) {
   const result = await query(
     `INSERT INTO subscriptions (
       shopify_customer_id, shopify_order_id, shopify_product_id, shopify_variant_id,
-      tebra_patient_id, amount_cents, currency, frequency, status, next_billing_date
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      tebra_patient_id, amount_cents, currency, frequency, status, next_billing_date, customer_email, tenant_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
     RETURNING *`,
     [
       shopifyCustomerId || null,
@@ -89,6 +115,8 @@ async function createSubscription(data) {
       frequency,
       status,
       nextBillingDate,
+      customerEmail || null,
+      tenantId,
     ]
   );
 
@@ -184,8 +212,53 @@ async function cancelSubscription(subscriptionId, shopifyCustomerId = null, shop
   return result.rows[0] || null;
 }
 
+async function getSubscription(subscriptionId) {
+  await ensureInit();
+  const result = await query('SELECT * FROM subscriptions WHERE id = $1', [subscriptionId]);
+  return result.rows[0] || null;
+}
+
+// Save the Stripe customer / payment method a subscription is charged to (omitted values are kept)
+async function setStripePaymentMethod(subscriptionId, { customerId, paymentMethodId, email } = {}) {
+  await ensureInit();
+  const result = await query(
+    `UPDATE subscriptions
+     SET stripe_customer_id = COALESCE($2, stripe_customer_id),
+         stripe_payment_method_id = COALESCE($3, stripe_payment_method_id),
+         customer_email = COALESCE($4, customer_email),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [subscriptionId, customerId || null, paymentMethodId || null, email || null]
+  );
+  return result.rows[0] || null;
+}
+
+// All subscriptions (any status) of a customer: bought with their Shopify account, under their email or
+// billed to their Tebra patient (in the Tebra account tenantId)
+async function getCustomerSubscriptions({ shopifyCustomerId, email, tebraPatientId, tenantId = DEFAULT_TENANT_ID } = {}) {
+  await ensureInit();
+  if (!shopifyCustomerId && !email && !tebraPatientId) return [];
+  const result = await query(
+    `SELECT * FROM subscriptions
+     WHERE shopify_customer_id = $1 OR LOWER(customer_email) = $2 OR (tebra_patient_id = $3 AND tenant_id = $4)
+     ORDER BY created_at DESC`,
+    [
+      shopifyCustomerId ? String(shopifyCustomerId) : null,
+      email ? String(email).toLowerCase() : null,
+      tebraPatientId ? String(tebraPatientId) : null,
+      tenantId,
+    ]
+  );
+  return result.rows;
+}
+
 module.exports = {
+  BILLING_MONTHS,
   createSubscription,
+  getSubscription,
+  getCustomerSubscriptions,
+  setStripePaymentMethod,
   getActiveSubscriptions,
   getSubscriptionsDueForBilling,
   updateSubscriptionBillingDate,
@@ -0,0 +1,1546 @@
+// backend/src/services/tebraAppointmentClient.js
+// Tebra appointment operations: booking, lookup, update and cancellation, appointment reasons
+// and availability.
+const { TebraClient } = require('./tebraClient');
+const { tryParseXml, readSoapFault, readErrorResponse } = require('./tebraXmlParser');
+
+class TebraAppointmentClient extends TebraClient {
+  constructor(transport) {
+    super(transport);
+    transport.registerEnvelope('CreateAppointment', fields => this.generateCreateAppointmentSOAPXML(fields));
+    transport.registerEnvelope('GetAppointment', fields => this.generateGetAppointmentSOAPXML(fields));
+    transport.registerEnvelope('GetAppointmentReasons', fields => this.generateGetAppointmentReasonsSOAPXML(fields));
+    transport.registerEnvelope('DeleteAppointment', fields => this.generateDeleteAppointmentSOAPXML(fields));
+    transport.registerEnvelope('UpdateAppointment', fields => this.generateUpdateAppointmentSOAPXML(fields));
+  }
+
+  // Generate CreateAppointment SOAP XML with proper structure
+  // Tebra schema expects element names with ...Id (e.g. PracticeId), not ...ID. Order: PracticeId, PatientSummary before StartTime.
+  // RequestHeader (Tebra 2.3) must contain ONLY CustomerKey, Password, User — PracticeId belongs in the Appointment element only.
+  generateCreateAppointmentSOAPXML(appointmentData) {
+    const auth = this.buildRequestHeader();
+    // Map our *ID keys to schema element names (*Id). Tebra .NET deserializer is case-sensitive; wrong casing causes DeserializationFailed.
+    const SCHEMA_NAME_MAP = {
+      PracticeID: 'PracticeId',
+      ServiceLocationID: 'ServiceLocationId',
+      AppointmentReasonID: 'AppointmentReasonId',
+      ProviderID: 'ProviderId',
+      ResourceID: 'ResourceId',
+      PatientID: 'PatientId',
+      PatientCaseID: 'PatientCaseId',
+      InsurancePolicyAuthorizationID: 'InsurancePolicyAuthorizationId'
+    };
+    const toSchemaName = (k) => SCHEMA_NAME_MAP[k] || k;
+
+    // Schema: follow strict field ordering (aligns with SOAP spec and CreateAppointmentV3 translator).
+    // Keep PracticeID/PracticeGuid before StartTime, and ProviderID/ResourceID before StartTime.
+    const requiredFieldOrder = [
+      'AppointmentId',
+      'AppointmentMode',
+      'AppointmentName',
+      'AppointmentReasonID',
+      'AppointmentStatus',
+      'AppointmentType',
+      'AppointmentUUID',
+      'AttendeesCount',
+      'CreatedAt',
+      'CreatedBy',
+      'CustomerId',
+      'EndTime',
+      'ForRecare',
+      'InsurancePolicyAuthorizationID',
+      'IsDeleted',
+      'IsGroupAppointment',
+      'IsRecurring',
+      'MaxAttendees',
+      'Notes',
+      'OccurrenceId',
+      'PatientCaseID',
+      'PatientSummaries',
+      'PatientSummary',
+      'PatientGuid',
+      'PatientID',
+      'PracticeID',
+      'PracticeGuid',
+      'ServiceLocationID',
+      'ServiceLocationGuid',
+      'ProviderID',
+      'ProviderGuids',
+      'RecurrenceRule',
+      'ResourceID',
+      'ResourceIds',
+      'ResourceGuids',
+      'StartTime',
+      'UpdatedAt',
+      'UpdatedBy',
+      'WasCreatedOnline'
+    ];
+
+    const buildAppointmentXml = (data, indent = '         ') => {
+      if (!data || typeof data !== 'object') return '';
+      let xml = '';
+
+      for (const key of requiredFieldOrder) {
+        const value = data[key];
+        if (value === undefined || value === '') {
+          if (key === 'PracticeID' && (data.PracticeID === undefined && data.practiceID === undefined))
+            console.warn(`⚠️ [TEBRA] PracticeID is missing - required before StartTime`);
+          continue;
+        }
+        const skipNullFields = [
+          'AppointmentReasonID', 'PatientCaseID', 'InsurancePolicyAuthorizationID',
+          'Notes', 'DateOfBirth', 'PatientSummary'
+        ];
+        if (value === null && skipNullFields.includes(key)) continue;
+        if (key === 'AppointmentReasonID' && (value === 0 || value === '0')) continue;
+        const orderCriticalFields = ['ResourceID', 'ResourceIds', 'RecurrenceRule'];
+        if (orderCriticalFields.includes(key) && value === null) continue;
+        if ((key === 'StartTime' || key === 'EndTime') && (!value || value === '')) continue;
+
+        const tag = toSchemaName(key);
+        if (Array.isArray(value)) {
+          if (value.length > 0) {
+            // CreateAppointmentV3 expects ProviderGuids/ResourceGuids as UUID strings, not arr:long
+            if (key === 'ProviderGuids' && value.every((x) => typeof x === 'string')) {
+              xml += `${indent}<sch:ProviderGuids>\n`;
+              for (const item of value) {
+                if (/^[0-9a-fA-F-]{36}$/.test(item)) xml += `${indent}   <sch:ProviderGuid>${this.xmlEscape(item)}</sch:ProviderGuid>\n`;
+              }
+              xml += `${indent}</sch:ProviderGuids>\n`;
+            } else if (key === 'ResourceGuids' && value.every((x) => typeof x === 'string')) {
+              xml += `${indent}<sch:ResourceGuids>\n`;
+              for (const item of value) {
+                if (/^[0-9a-fA-F-]{36}$/.test(item)) xml += `${indent}   <sch:ResourceGuid>${this.xmlEscape(item)}</sch:ResourceGuid>\n`;
+              }
+              xml += `${indent}</sch:ResourceGuids>\n`;
+            } else {
+              xml += `${indent}<sch:${tag}>\n`;
+              for (const item of value) {
+                if (typeof item === 'object') {
+                  xml += `${indent}   <sch:GroupPatientSummary>\n`;
+                  xml += buildAppointmentXml(item, indent + '      ');
+                  xml += `${indent}   </sch:GroupPatientSummary>\n`;
+                } else {
+                  xml += `${indent}   <arr:long>${this.xmlEscape(String(item))}</arr:long>\n`;
+                }
+              }
+              xml += `${indent}</sch:${tag}>\n`;
+            }
+          }
+        } else if (typeof value === 'object' && !(value instanceof Date)) {
+      xml += `${indent}<sch:${tag}>\n`;
+      xml += buildAppointmentXml(value, indent + '   ');
+      xml += `${indent}</sch:${tag}>\n`;
+    } else {
+          if (key === 'StartTime' || key === 'EndTime') {
+            let dateValue = value instanceof Date ? value.toISOString() : (typeof value === 'string' ? (() => { try { const p = new Date(value); return !isNaN(p.getTime()) ? p.toISOString() : value; } catch (e) { return value; } })() : String(value ?? ''));
+            xml += `${indent}<sch:${tag}>${this.xmlEscape(String(dateValue))}</sch:${tag}>\n`;
+          } else {
+            const finalValue = value instanceof Date ? value.toISOString() : (value === null ? '' : value);
+            xml += `${indent}<sch:${tag}>${this.xmlEscape(String(finalValue))}</sch:${tag}>\n`;
+          }
+        }
+      }
+
+      for (const [key, value] of Object.entries(data)) {
+        if (requiredFieldOrder.includes(key)) continue;
+        if (value === undefined || value === '') continue;
+        const skipNullFields = [
+          'AppointmentReasonID', 'PatientCaseID', 'ResourceID', 'InsurancePolicyAuthorizationID',
+          'Notes', 'ResourceIds', 'DateOfBirth', 'ProviderID', 'ServiceLocationID', 'PatientSummary'
+        ];
+        if (value === null && skipNullFields.includes(key)) continue;
+
+        const tag = toSchemaName(key);
+        if (Array.isArray(value)) {
+          if (value.length > 0) {
+            xml += `${indent}<sch:${tag}>\n`;
+            for (const item of value) {
+              if (typeof item === 'object') {
+                xml += `${indent}   <sch:GroupPatientSummary>\n`;
+                xml += buildAppointmentXml(item, indent + '      ');
+                xml += `${indent}   </sch:GroupPatientSummary>\n`;
+              } else {
+                xml += `${indent}   <arr:long>${this.xmlEscape(String(item))}</arr:long>\n`;
+              }
+            }
+            xml += `${indent}</sch:${tag}>\n`;
+          }
+        } else if (typeof value === 'object') {
+          xml += `${indent}<sch:${tag}>\n`;
+          xml += buildAppointmentXml(value, indent + '   ');
+          xml += `${indent}</sch:${tag}>\n`;
+        } else {
+          const finalValue = value instanceof Date ? value.toISOString() : (value === null ? '' : value);
+          xml += `${indent}<sch:${tag}>${this.xmlEscape(String(finalValue))}</sch:${tag}>\n`;
+        }
+      }
+
+      return xml;
+    };
+
+    const appointmentXml = buildAppointmentXml(appointmentData);
+
+    // Log the field order in the generated XML for debugging (uses schema names, e.g. PracticeId)
+    const fieldOrderInXml = [];
+    const fieldMatches = appointmentXml.match(/<sch:(\w+)>/g);
+    if (fieldMatches) {
+      fieldMatches.forEach(match => {
+        const fieldName = match.replace(/<sch:|>/g, '');
+        if (!fieldOrderInXml.includes(fieldName)) {
+          fieldOrderInXml.push(fieldName);
+        }
+      });
+      this.logSoapDebug('🔍 [TEBRA] Field order in generated XML:', fieldOrderInXml.join(' -> '));
+      const startTimeIndex = fieldOrderInXml.indexOf('StartTime');
+      const practiceIdIndex = fieldOrderInXml.indexOf('PracticeId');
+      if (startTimeIndex !== -1 && practiceIdIndex !== -1 && startTimeIndex <= practiceIdIndex)
+        console.warn(`⚠️ [TEBRA] StartTime appears before PracticeId - schema requires PracticeId first`);
+    }
+    
+    return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/"
+                  xmlns:sys="http://schemas.datacontract.org/2004/07/System"
+                  xmlns:arr="http://schemas.microsoft.com/2003/10/Serialization/Arrays">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:CreateAppointment>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:Appointment>
+${appointmentXml}        </sch:Appointment>
+      </sch:request>
+    </sch:CreateAppointment>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  generateGetAppointmentSOAPXML(appointmentData) {
+    const auth = this.getAuthHeader();
+    
+    // Build appointment XML - handle nested objects properly
+    const buildAppointmentXml = (data, indent = '         ') => {
+      let xml = '';
+      for (const [key, value] of Object.entries(data)) {
+        if (value === null || value === undefined) continue;
+        
+        if (typeof value === 'object' && !Array.isArray(value)) {
+          // Handle nested objects
+          xml += `${indent}<sch:${key}>\n`;
+          xml += buildAppointmentXml(value, indent + '   ');
+          xml += `${indent}</sch:${key}>\n`;
+        } else {
+          // Handle simple values - escape XML special characters using helper method
+          const escapedValue = this.xmlEscape(String(value));
+          xml += `${indent}<sch:${key}>${escapedValue}</sch:${key}>\n`;
+        }
+      }
+      return xml;
+    };
+    
+    const appointmentXml = buildAppointmentXml(appointmentData);
+    
+    return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:GetAppointment>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+${appointmentXml}
+      </sch:request>
+    </sch:GetAppointment>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  // Generate GetAppointmentReasons SOAP XML (RequestHeader + PracticeId only; xmlEscape avoids InternalServiceFault from special chars in Password)
+  generateGetAppointmentReasonsSOAPXML(fields) {
+    const auth = this.getAuthHeader();
+    const practiceId = fields?.PracticeId != null ? String(fields.PracticeId) : '';
+    return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:GetAppointmentReasons>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:PracticeId>${this.xmlEscape(practiceId)}</sch:PracticeId>
+      </sch:request>
+    </sch:GetAppointmentReasons>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  // Generate DeleteAppointment SOAP XML specifically
+  generateDeleteAppointmentSOAPXML(appointmentData) {
+    const auth = this.getAuthHeader();
+
+    // Build appointment XML - handle nested objects properly
+    const buildAppointmentXml = (data, indent = '         ') => {
+      let xml = '';
+      for (const [key, value] of Object.entries(data)) {
+        if (value === null || value === undefined) continue;
+
+        if (typeof value === 'object' && !Array.isArray(value)) {
+          // Handle nested objects like Appointment
+          xml += `${indent}<sch:${key}>\n`;
+          xml += buildAppointmentXml(value, indent + '   ');
+          xml += `${indent}</sch:${key}>\n`;
+        } else {
+          // Handle simple values - escape XML special characters using helper method
+          const escapedValue = this.xmlEscape(String(value));
+          xml += `${indent}<sch:${key}>${escapedValue}</sch:${key}>\n`;
+        }
+      }
+      return xml;
+    };
+
+    const appointmentXml = buildAppointmentXml(appointmentData);
+    
+    return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:DeleteAppointment>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+${appointmentXml}
+      </sch:request>
+    </sch:DeleteAppointment>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  // Generate UpdateAppointment SOAP XML
+  generateUpdateAppointmentSOAPXML(appointmentData) {
+    const auth = this.getAuthHeader();
+
+    const buildAppointmentXml = (data, indent = '         ') => {
+      let xml = '';
+      for (const [key, value] of Object.entries(data)) {
+        if (value === null || value === undefined) continue;
+
+        if (typeof value === 'object' && !Array.isArray(value)) {
+          xml += `${indent}<sch:${key}>\n`;
+          xml += buildAppointmentXml(value, indent + '   ');
+          xml += `${indent}</sch:${key}>\n`;
+        } else {
+          // Use xmlEscape helper method for consistency
+          const escapedValue = this.xmlEscape(String(value));
+          xml += `${indent}<sch:${key}>${escapedValue}</sch:${key}>\n`;
+        }
+      }
+      return xml;
+    };
+
+    const appointmentXml = buildAppointmentXml(appointmentData);
+
+    return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:UpdateAppointment>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+${appointmentXml}
+      </sch:request>
+    </sch:UpdateAppointment>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  // Helper method to build appointment notes with health category
+  buildAppointmentNotes(appointmentData) {
+    const notes = appointmentData.notes || appointmentData.Notes || '';
+    const healthCategory = appointmentData.healthCategory || appointmentData.HealthCategory;
+    
+    if (healthCategory && healthCategory.trim() !== '') {
+      const categoryNote = `Health Category: ${healthCategory}`;
+      return notes ? `${notes}\n${categoryNote}` : categoryNote;
+    }
+    
+    return notes || null;
+  }
+
+  // Helper method to look up appointment reason ID by numeric ID, GUID (TEBRA_DEFAULT_APPT_REASON_GUID), or name
+  async lookupAppointmentReasonId(reasonNameOrId, practiceId) {
+    try {
+      // If it's already a number, return it
+      if (!isNaN(reasonNameOrId) && reasonNameOrId !== '') {
+        return parseInt(reasonNameOrId);
+      }
+      
+      if (typeof reasonNameOrId !== 'string' || reasonNameOrId.trim() === '') return null;
+
+      const reasonsResult = await this.getAppointmentReasons(practiceId);
+      const reasons = reasonsResult.appointmentReasons || [];
+      const input = reasonNameOrId.trim();
+
+      // If it's a UUID (e.g. TEBRA_DEFAULT_APPT_REASON_GUID), find by appointmentReasonGuid
+      if (/^[0-9a-fA-F-]{36}$/.test(input)) {
+        const byGuid = reasons.find(r => (r.appointmentReasonGuid || '').toLowerCase() === input.toLowerCase());
+        if (byGuid && (byGuid.id != null || byGuid.appointmentReasonId != null)) {
+          const id = byGuid.id ?? byGuid.appointmentReasonId;
+          this.logSoapDebug('✅ Found appointment reason ID for GUID:', { id, guid: input });
+          return parseInt(String(id), 10);
+        }
+        this.logSoapDebug('⚠️ No appointment reason found for GUID:', input);
+        return null;
+      }
+
+      // Find by name (case-insensitive)
+      this.logSoapDebug('🔍 Looking up appointment reason ID for name:', input);
+      const idx = reasons.findIndex(reason => reason.name && reason.name.toLowerCase() === input.toLowerCase());
+      const matchingReason = idx >= 0 ? reasons[idx] : null;
+
+      if (matchingReason && (matchingReason.id != null || matchingReason.appointmentReasonId != null)) {
+        const id = matchingReason.id ?? matchingReason.appointmentReasonId;
+        this.logSoapDebug('✅ Found appointment reason ID for name:', { id, name: input });
+        return parseInt(String(id), 10);
+      }
+      if (matchingReason && idx >= 0) {
+        const fallbackId = idx + 1;
+        this.logSoapDebug('⚠️ Using 1-based index as fallback AppointmentReasonID:', {
+          name: input,
+          fallbackId
+        });
+        return fallbackId;
+      }
+      this.logSoapDebug('⚠️ No appointment reason found for name:', input);
+      return null;
+    } catch (error) {
+      console.error(`❌ Error looking up appointment reason ID for "${reasonNameOrId}":`, error.message);
+      return null;
+    }
+  }
+
+  // Build appointment data for CreateAppointment SOAP call.
+  // Tebra 4.14.1 The Request: only required fields. Optional fields omitted.
+  async buildAppointmentData(appointmentData) {
+    const parseId = (value) => {
+      if (value === null || value === undefined || value === '') return undefined;
+      if (typeof value === 'number') return value;
+      if (typeof value === 'string' && /^\d+$/.test(value)) return parseInt(value, 10);
+      return value;
+    };
+
+    const practiceID = (() => {
+      const v = appointmentData.practiceId ?? appointmentData.PracticeId ?? '1';
+      const parsed = typeof v === 'string' ? parseInt(v, 10) : v;
+      if (isNaN(parsed)) { console.error(`❌ [TEBRA] Invalid PracticeID: ${v}, using 1`); return 1; }
+      return parsed;
+    })();
+    const providerID = (() => {
+      const v = appointmentData.providerId ?? appointmentData.ProviderId;
+      if (!v) return 1;
+      const parsed = typeof v === 'string' ? parseInt(v, 10) : v;
+      return isNaN(parsed) ? 1 : parsed;
+    })();
+    const serviceLocationID = (() => {
+      const v = appointmentData.serviceLocationId ?? appointmentData.ServiceLocationId;
+      if (!v || v === 'default-location') return 1;
+      const parsed = typeof v === 'string' ? parseInt(v, 10) : v;
+      if (isNaN(parsed)) return v;
+      return parsed <= 0 ? 1 : parsed;
+    })();
+    const patientID = parseId(appointmentData.patientId ?? appointmentData.PatientId);
+
+    // Required only (4.14.1): PracticeID, ServiceLocationID, AppointmentStatus, StartTime, EndTime, IsRecurring, PatientSummary, AppointmentReasonID, ProviderID, ResourceID, ResourceIDs, AppointmentType, WasCreatedOnline, PatientID. Optional omitted.
+    const appointment = {
+      PracticeID: practiceID,
+      ServiceLocationID: serviceLocationID,
+      AppointmentStatus: appointmentData.appointmentStatus ?? appointmentData.AppointmentStatus ?? 'Scheduled',
+      StartTime: appointmentData.startTime ?? appointmentData.StartTime,
+      EndTime: appointmentData.endTime ?? appointmentData.EndTime,
+      IsRecurring: appointmentData.isRecurring ?? appointmentData.IsRecurring ?? false,
+      AppointmentReasonID: null, // set after lookup
+      ProviderID: providerID,
+      ResourceID: parseId(appointmentData.resourceId ?? appointmentData.ResourceId),
+      AppointmentType: appointmentData.appointmentType ?? appointmentData.AppointmentType ?? 'P',
+      WasCreatedOnline: appointmentData.wasCreatedOnline ?? appointmentData.WasCreatedOnline ?? true,
+      PatientID: patientID
+    };
+
+    // PatientSummary (required): only required sub-fields per 4.14 — PatientID, PracticeID, FirstName, LastName, Email.
+    const fromInput = appointmentData.patientSummary || appointmentData.PatientSummary;
+    appointment.PatientSummary = {
+      PatientID: patientID,
+      PracticeID: practiceID,
+      FirstName: fromInput?.FirstName ?? fromInput?.firstName ?? appointmentData.patientFirstName ?? 'Unknown',
+      LastName: fromInput?.LastName ?? fromInput?.lastName ?? appointmentData.patientLastName ?? 'Patient',
+      Email: fromInput?.Email ?? fromInput?.email ?? appointmentData.patientEmail ?? 'unknown@example.com'
+    };
+
+    // Look up AppointmentReasonId
+    const reasonNameOrId = appointmentData.appointmentReasonId ?? appointmentData.AppointmentReasonId;
+    if (reasonNameOrId) {
+      const reasonId = await this.lookupAppointmentReasonId(reasonNameOrId, appointment.PracticeID);
+      appointment.AppointmentReasonID = reasonId;
+    }
+
+    // Fallback when AppointmentReasonId is null. Order: TEBRA_DEFAULT_APPT_REASON_ID -> TEBRA_DEFAULT_APPT_REASON_GUID -> TEBRA_DEFAULT_APPT_REASON_NAME -> first from API
+    if (appointment.AppointmentReasonID == null) {
+      const defaultId = process.env.TEBRA_DEFAULT_APPT_REASON_ID;
+      const defaultGuid = (typeof process.env.TEBRA_DEFAULT_APPT_REASON_GUID === 'string' && /^[0-9a-fA-F-]{36}$/.test(process.env.TEBRA_DEFAULT_APPT_REASON_GUID.trim()))
+        ? process.env.TEBRA_DEFAULT_APPT_REASON_GUID.trim() : null;
+      const defaultName = process.env.TEBRA_DEFAULT_APPT_REASON_NAME;
+      if (defaultId != null && defaultId !== '' && !isNaN(parseInt(String(defaultId), 10))) {
+        appointment.AppointmentReasonID = parseInt(String(defaultId), 10);
+      } else if (defaultGuid) {
+        const reasonId = await this.lookupAppointmentReasonId(defaultGuid, appointment.PracticeID);
+        if (reasonId != null) appointment.AppointmentReasonID = reasonId;
+      }
+      if (appointment.AppointmentReasonID == null && defaultName != null && typeof defaultName === 'string' && defaultName.trim() !== '') {
+        const reasonId = await this.lookupAppointmentReasonId(defaultName.trim(), appointment.PracticeID);
+        if (reasonId != null) appointment.AppointmentReasonID = reasonId;
+      }
+      if (appointment.AppointmentReasonID == null) {
+        try {
+          const reasonsResult = await this.getAppointmentReasons(appointment.PracticeID);
+          const first = (reasonsResult?.appointmentReasons || [])[0];
+          const firstId = first?.id ?? first?.appointmentReasonId;
+          if (firstId != null) appointment.AppointmentReasonID = parseInt(String(firstId), 10);
+        } catch (e) {
+          console.warn(`⚠️ [TEBRA] getAppointmentReasons fallback failed:`, e?.message || e);
+        }
+      }
+      if (appointment.AppointmentReasonID == null) {
+        console.warn(`⚠️ [TEBRA] AppointmentReasonID is still null. Set TEBRA_DEFAULT_APPT_REASON_ID, TEBRA_DEFAULT_APPT_REASON_GUID, or TEBRA_DEFAULT_APPT_REASON_NAME.`);
+      }
+    }
+
+    // ResourceID: use env.TEBRA_RESOURCE_ID (with state override); fallback to ProviderID only when TEBRA_RESOURCE_ID not set.
+    // ResourceIds: SOAP 4.14 expects array of integer IDs (arr:long). Use [TEBRA_RESOURCE_ID]; GUIDs go in ResourceGuids/ProviderGuids.
+    const uuid = (s) => (typeof s === 'string' && /^[0-9a-fA-F-]{36}$/.test(String(s).trim()) ? String(s).trim() : null);
+    const hasResourceId = (v) => (v != null && v !== '') && (typeof v !== 'number' || !isNaN(v));
+    const state = (appointmentData.state || 'CA').toString().toUpperCase();
+    if (!hasResourceId(appointment.ResourceID)) {
+      const ridEnv = parseId(process.env['TEBRA_RESOURCE_ID_' + state]) || parseId(process.env.TEBRA_RESOURCE_ID);
+      if (ridEnv != null) appointment.ResourceID = ridEnv;
+    }
+    if (!hasResourceId(appointment.ResourceID)) {
+      const pid = appointment.ProviderID;
+      if (pid != null && !isNaN(parseInt(String(pid), 10))) appointment.ResourceID = parseInt(String(pid), 10);
+    }
+    // Multi-resource appointments (provider + room/equipment): ResourceIds lists the primary resource
+    // followed by every distinct extra resource. A single resource is duplicated ([1, 1]) as a
+    // workaround for V3 translator validation.
+    const extraResourceIds = (Array.isArray(appointmentData.resourceIds) ? appointmentData.resourceIds : [])
+      .map((id) => parseId(id))
+      .filter((id) => id != null && id !== '' && !isNaN(parseInt(String(id), 10)))
+      .map((id) => parseInt(String(id), 10));
+    if (!hasResourceId(appointment.ResourceID) && extraResourceIds.length > 0) {
+      appointment.ResourceID = extraResourceIds[0];
+    }
+    if (hasResourceId(appointment.ResourceID)) {
+      const resourceId = parseInt(String(appointment.ResourceID), 10);
+      const resourceIds = [...new Set([resourceId, ...extraResourceIds])];
+      appointment.ResourceIds = resourceIds.length > 1 ? resourceIds : [resourceId, resourceId]; // Duplicate: [1, 1] for ResourceID 1
+    } else {
+      appointment.ResourceIds = [];
+    }
+
+    // Group sessions: one appointment per attendee, flagged as a group with the session capacity
+    const maxAttendees = parseInt(String(appointmentData.maxAttendees ?? appointmentData.MaxAttendees ?? ''), 10);
+    if (appointmentData.isGroupAppointment || appointmentData.IsGroupAppointment || maxAttendees > 1) {
+      appointment.IsGroupAppointment = true;
+      if (maxAttendees > 1) appointment.MaxAttendees = maxAttendees;
+    }
+
+    // CreateAppointmentV3 requires PracticeGuid (practice UUID); getPracticeGuid() is null otherwise. Not in SOAP 4.14.
+    const practiceGuidVal = uuid(appointmentData.practiceGuid) || uuid(process.env['TEBRA_PRACTICE_GUID_' + state]) || uuid(process.env.TEBRA_PRACTICE_GUID);
+    if (practiceGuidVal) appointment.PracticeGuid = practiceGuidVal;
+
+    // ServiceLocationGuid (V3): when set in env or appointmentData, include for translation to CreateAppointmentV3.
+    const slGuid = uuid(appointmentData.serviceLocationGuid) || uuid(process.env['TEBRA_SERVICE_LOCATION_GUID_' + state]) || uuid(process.env.TEBRA_SERVICE_LOCATION_GUID);
+    if (slGuid) appointment.ServiceLocationGuid = slGuid;
+
+    // CreateAppointmentV3 requires ProviderGuids or ResourceGuids (not in 4.14). When provided via appointmentData or env, add them so V3 accepts the request.
+    // Set TEBRA_SKIP_PROVIDER_RESOURCE_GUIDS=true to omit them (e.g. to test if 4.14→V3 translator infers from ProviderID/ResourceID).
+    const skipGuids = process.env.TEBRA_SKIP_PROVIDER_RESOURCE_GUIDS === 'true' || process.env.TEBRA_SKIP_PROVIDER_RESOURCE_GUIDS === '1';
+    if (!skipGuids) {
+      if (Array.isArray(appointmentData.resourceGuids) && appointmentData.resourceGuids.length) {
+        const guids = appointmentData.resourceGuids.map((g) => uuid(g)).filter(Boolean);
+        if (guids.length) appointment.ResourceGuids = guids;
+      } else {
+        const r = uuid(appointmentData.resourceGuid) || uuid(process.env['TEBRA_RESOURCE_GUID_' + state]) || uuid(process.env.TEBRA_RESOURCE_GUID);
+        if (r) appointment.ResourceGuids = [r];
+      }
+      if (Array.isArray(appointmentData.providerGuids) && appointmentData.providerGuids.length) {
+        const guids = appointmentData.providerGuids.map((g) => uuid(g)).filter(Boolean);
+        if (guids.length) appointment.ProviderGuids = guids;
+      } else {
+        const p = uuid(appointmentData.providerGuid) || uuid(process.env['TEBRA_PROVIDER_GUID_' + state]) || uuid(process.env.TEBRA_PROVIDER_GUID);
+        if (p) appointment.ProviderGuids = [p];
+      }
+    }
+
+    return appointment;
+  }
+
+  // Build appointment fields for GetAppointments SOAP call
+  buildAppointmentFields() {
+    return {
+      // Basic appointment information - matching SOAP schema
+      ID: 1,
+      StartDate: 1,
+      EndDate: 1,
+      AppointmentDuration: 1,
+      AllDay: 1,
+      Type: 1,
+      ConfirmationStatus: 1,
+      Notes: 1,
+      CreatedDate: 1,
+      LastModifiedDate: 1,
+      // Patient information - matching SOAP schema
+      PatientID: 1,
+      PatientFullName: 1,
+      PatientCaseID: 1,
+      PatientCaseName: 1,
+      PatientCasePayerScenario: 1,
+      // Practice information - matching SOAP schema
+      PracticeID: 1,
+      PracticeName: 1,
+      // Service location - matching SOAP schema
+      ServiceLocationID: 1,
+      ServiceLocationName: 1,
+      // Authorization information - matching SOAP schema
+      AuthorizationID: 1,
+      AuthorizationNumber: 1,
+      AuthorizationStartDate: 1,
+      AuthorizationEndDate: 1,
+      AuthorizationInsurancePlan: 1,
+      // Appointment reasons - matching SOAP schema
+      AppointmentReason1: 1,
+      AppointmentReason2: 1,
+      AppointmentReason3: 1,
+      AppointmentReason4: 1,
+      AppointmentReason5: 1,
+      AppointmentReason6: 1,
+      AppointmentReason7: 1,
+      AppointmentReason8: 1,
+      AppointmentReason9: 1,
+      AppointmentReason10: 1,
+      AppointmentReasonID1: 1,
+      AppointmentReasonID2: 1,
+      AppointmentReasonID3: 1,
+      AppointmentReasonID4: 1,
+      AppointmentReasonID5: 1,
+      AppointmentReasonID6: 1,
+      AppointmentReasonID7: 1,
+      AppointmentReasonID8: 1,
+      AppointmentReasonID9: 1,
+      AppointmentReasonID10: 1,
+      // Resources - matching SOAP schema
+      ResourceID1: 1,
+      ResourceID2: 1,
+      ResourceID3: 1,
+      ResourceID4: 1,
+      ResourceID5: 1,
+      ResourceID6: 1,
+      ResourceID7: 1,
+      ResourceID8: 1,
+      ResourceID9: 1,
+      ResourceID10: 1,
+      ResourceName1: 1,
+      ResourceName2: 1,
+      ResourceName3: 1,
+      ResourceName4: 1,
+      ResourceName5: 1,
+      ResourceName6: 1,
+      ResourceName7: 1,
+      ResourceName8: 1,
+      ResourceName9: 1,
+      ResourceName10: 1,
+      ResourceTypeID1: 1,
+      ResourceTypeID2: 1,
+      ResourceTypeID3: 1,
+      ResourceTypeID4: 1,
+      ResourceTypeID5: 1,
+      ResourceTypeID6: 1,
+      ResourceTypeID7: 1,
+      ResourceTypeID8: 1,
+      ResourceTypeID9: 1,
+      ResourceTypeID10: 1
+    };
+  }
+
+  // Build appointment filters from options
+  buildAppointmentFilters(options) {
+    // Handle undefined or null options
+    if (!options || typeof options !== 'object') {
+      console.warn('⚠️ buildAppointmentFilters: options is undefined or not an object, returning empty filters');
+      return {};
+    }
+
+    const safeGet = (obj, prop) => {
+      try {
+        return obj && obj.hasOwnProperty(prop) ? obj[prop] : undefined;
+      } catch (error) {
+        console.warn(`⚠️ buildAppointmentFilters: Error accessing property '${prop}':`, error.message);
+        return undefined;
+      }
+    };
+
+    const { startDate, endDate, timeZoneOffsetFromGMT } = this.getAppointmentDateFilters(options);
+    const resolvedPracticeName = this.resolvePracticeName(options);
+    const filters = {
+      // Basic filters - removed PatientID filter to get all appointments
+      PatientFullName: safeGet(options, 'patientFullName'),
+      PracticeName: resolvedPracticeName,
+      ServiceLocationName: safeGet(options, 'serviceLocationName'),
+      ResourceName: safeGet(options, 'resourceName'),
+      // Date filters
+      StartDate: startDate,
+      EndDate: endDate,
+      FromCreatedDate: safeGet(options, 'fromCreatedDate'),
+      ToCreatedDate: safeGet(options, 'toCreatedDate'),
+      FromLastModifiedDate: safeGet(options, 'fromLastModifiedDate'),
+      ToLastModifiedDate: safeGet(options, 'toLastModifiedDate'),
+      // Other filters
+      AppointmentReason: safeGet(options, 'appointmentReason'),
+      ConfirmationStatus: safeGet(options, 'confirmationStatus'),
+      PatientCasePayerScenario: safeGet(options, 'patientCasePayerScenario'),
+      Type: safeGet(options, 'type'),
+      TimeZoneOffsetFromGMT: timeZoneOffsetFromGMT
+    };
+
+    // Remove undefined/null values
+    const cleanFilters = {};
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        cleanFilters[key] = value;
+      }
+    }
+
+    return cleanFilters;
+  }
+
+  normalizeAppointmentDateFilter(value, isEnd) {
+    if (!value) return value;
+    if (value instanceof Date && !isNaN(value.getTime())) {
+      return value.toISOString();
+    }
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    if (!trimmed) return value;
+    if (trimmed.includes('T')) return trimmed;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+      return isEnd ? `${trimmed}T23:59:59` : `${trimmed}T00:00:00`;
+    }
+    const parsed = new Date(trimmed);
+    if (!isNaN(parsed.getTime())) return parsed.toISOString();
+    return value;
+  }
+
+  getAppointmentDateFilters(options) {
+    const startRaw = options?.startDate || options?.fromDate;
+    const endRaw = options?.endDate || options?.toDate;
+    const startDate = this.normalizeAppointmentDateFilter(startRaw, false);
+    const endDate = this.normalizeAppointmentDateFilter(endRaw, true);
+    const timeZoneOffsetFromGMT = options?.timeZoneOffsetFromGMT ?? process.env.TEBRA_TIMEZONE_OFFSET;
+    return { startDate, endDate, timeZoneOffsetFromGMT };
+  }
+
+  // Appointments
+  async getAppointments(options = {}) {
+    try {
+      this.logSoapDebug('🔍 [GET APPOINTMENTS] Starting with options:', options);
+      
+      // Step 1: Get appointment IDs using GetAppointments
+      const appointmentIds = await this.getAppointmentIds(options);
+      this.logSoapDebug('📋 [GET APPOINTMENTS] Found appointment IDs:', {
+        count: appointmentIds.length
+      });
+      this.logSoapDebug('📋 [GET APPOINTMENTS] Appointment IDs array:', appointmentIds);
+      
+      // Add a small delay after getting IDs before processing details
+      if (appointmentIds.length > 0) {
+        this.logSoapDebug('⏳ [GET APPOINTMENTS] Waiting before fetching details (ms):', this.delayAfterGetIds);
+        await new Promise(resolve => setTimeout(resolve, this.delayAfterGetIds));
+      }
+      
+      if (appointmentIds.length === 0) {
+        return {
+          appointments: [],
+          totalCount: 0,
+          hasMore: false,
+          nextStartKey: null
+        };
+      }
+      
+      // Step 2: Get full details for each appointment using GetAppointment
+      this.logSoapDebug('🔍 [GET APPOINTMENTS] Fetching full details for each appointment...', {});
+      const appointments = await this.getAppointmentDetails(appointmentIds, options.requestingPatientId);
+      
+      this.logSoapDebug('✅ [GET APPOINTMENTS] Retrieved appointments with full details:', {
+        count: appointments.length
+      });
+      
+      return {
+        appointments: appointments,
+        totalCount: appointments.length,
+        hasMore: false,
+        nextStartKey: null
+      };
+    } catch (error) {
+      console.error('Tebra SOAP: GetAppointments error', error.message);
+      throw error;
+    }
+  }
+
+  // Get appointment IDs using GetAppointments SOAP call
+  async getAppointmentIds(options = {}) {
+    try {
+      this.logSoapDebug('🔍 [GET APPOINTMENT IDS] Starting with options:', options);
+      
+      // Use raw SOAP if enabled, otherwise use soap library
+      if (this.useRawSOAP) {
+        const fields = { ID: 1 }; // Only request ID field for efficiency
+        const filters = this.buildAppointmentFilters(options);
+        this.logSoapDebug('🔍 [RAW SOAP] GetAppointmentIds fields requested:', fields);
+        this.logSoapDebug('🔍 [RAW SOAP] GetAppointmentIds filters:', filters);
+        const result = await this.callRawSOAPMethod('GetAppointments', fields, filters);
+        const parsedResult = this.parseRawSOAPResponse(result, 'GetAppointments');
+        const appointmentIds = this.extractAppointmentIds(parsedResult);
+        this.logSoapDebug('📋 [GET APPOINTMENT IDS] Final appointment IDs array:', appointmentIds);
+        return appointmentIds;
+      }
+
+      const client = await this.getClient();
+      
+      // Build the request structure for GetAppointments (only requesting IDs)
+      const { startDate, endDate, timeZoneOffsetFromGMT } = this.getAppointmentDateFilters(options);
+      const resolvedPracticeName = this.resolvePracticeName(options);
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          Fields: {
+            ID: 1 // Only request ID field for efficiency
+          },
+          Filter: {
+            // Basic filters - removed PatientID filter to get all appointments
+            PatientFullName: options.patientFullName,
+            PracticeName: resolvedPracticeName,
+            ServiceLocationName: options.serviceLocationName,
+            ResourceName: options.resourceName,
+            // Date filters
+            StartDate: startDate,
+            EndDate: endDate,
+            FromCreatedDate: options.fromCreatedDate,
+            ToCreatedDate: options.toCreatedDate,
+            FromLastModifiedDate: options.fromLastModifiedDate,
+            ToLastModifiedDate: options.toLastModifiedDate,
+            // Other filters
+            AppointmentReason: options.appointmentReason,
+            ConfirmationStatus: options.confirmationStatus,
+            PatientCasePayerScenario: options.patientCasePayerScenario,
+            Type: options.type,
+            TimeZoneOffsetFromGMT: timeZoneOffsetFromGMT
+          }
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('GetAppointmentIds args:', args);
+      const [result] = await client.GetAppointmentsAsync(args);
+      this.logSoapDebug('GetAppointmentIds result:', result);
+      const appointmentIds = this.extractAppointmentIds(result);
+      this.logSoapDebug('📋 [GET APPOINTMENT IDS] Final appointment IDs array:', appointmentIds);
+      return appointmentIds;
+    } catch (error) {
+      console.error('Tebra SOAP: GetAppointmentIds error', error.message);
+      throw error;
+    }
+  }
+
+  // Extract appointment IDs from GetAppointments response
+  extractAppointmentIds(result) {
+    const data = this.unwrap(result);
+    const appointmentIds = [];
+    
+    if (data.Appointments && Array.isArray(data.Appointments)) {
+      for (const appointment of data.Appointments) {
+        const id = appointment.ID || appointment.AppointmentID || appointment.id;
+        if (id) {
+          appointmentIds.push(id);
+        }
+      }
+    } else if (Array.isArray(data)) {
+      for (const appointment of data) {
+        const id = appointment.ID || appointment.AppointmentID || appointment.id;
+        if (id) {
+          appointmentIds.push(id);
+        }
+      }
+    }
+    
+    this.logSoapDebug('📋 [EXTRACT IDS] Extracted appointment IDs:', {
+      count: appointmentIds.length,
+      ids: appointmentIds
+    });
+    return appointmentIds;
+  }
+
+  // Get full details for multiple appointments
+  async getAppointmentDetails(appointmentIds, requestingPatientId = null) {
+    const appointments = [];
+    
+    // Process appointments in batches to avoid overwhelming the API
+    const batchSize = this.batchSize;
+    for (let i = 0; i < appointmentIds.length; i += batchSize) {
+      const batch = appointmentIds.slice(i, i + batchSize);
+      this.logSoapDebug('🔄 [BATCH] Processing appointment batch:', {
+        batchIndex: Math.floor(i / batchSize) + 1,
+        batchTotal: Math.ceil(appointmentIds.length / batchSize),
+        batchSize: batch.length
+      });
+      
+      // Process batch with small delays between calls to be respectful to the API
+      const batchResults = [];
+      for (let j = 0; j < batch.length; j++) {
+        const appointmentId = batch[j];
+        try {
+          this.logSoapDebug('🔍 [BATCH] Getting appointment:', {
+            index: j + 1,
+            total: batch.length,
+            appointmentId
+          });
+          const appointment = await this.getAppointment(appointmentId, requestingPatientId);
+          batchResults.push(appointment);
+          
+          // Add a small delay between individual calls (except for the last one in the batch)
+          if (j < batch.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, this.delayBetweenCalls));
+          }
+        } catch (error) {
+          console.error(`❌ [BATCH] Failed to get appointment ${appointmentId}:`, error.message);
+          batchResults.push(null); // Add null for failed appointments
+        }
+      }
+      
+      // Filter out null results and add to appointments array
+      const validAppointments = batchResults.filter(appointment => appointment !== null);
+      appointments.push(...validAppointments);
+      
+      // Add a delay between batches to be respectful to the API
+      if (i + batchSize < appointmentIds.length) {
+        this.logSoapDebug('⏳ [BATCH] Waiting before next batch (ms):', this.delayBetweenBatches);
+        await new Promise(resolve => setTimeout(resolve, this.delayBetweenBatches));
+      }
+    }
+    
+    return appointments;
+  }
+
+  async getAppointment(appointmentId, requestingPatientId = null) {
+    try {
+      // Use raw SOAP if enabled, otherwise use soap library
+      if (this.useRawSOAP) {
+        const result = await this.callRawSOAPMethod('GetAppointment', { Appointment: { AppointmentId: appointmentId } }, {});
+        const parsedResult = this.parseRawSOAPResponse(result, 'GetAppointment');
+        return this.normalizeGetAppointmentResponse(parsedResult, requestingPatientId);
+      }
+
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      // GetAppointment expects Appointment object with AppointmentId inside
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          Appointment: {
+            AppointmentId: (typeof appointmentId === 'string' && /^\d+$/.test(appointmentId)) ? parseInt(appointmentId, 10) : appointmentId
+          }
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('GetAppointment args:', args);
+      const [result] = await client.GetAppointmentAsync(args);
+      this.logSoapDebug('GetAppointment result:', result);
+      return this.normalizeGetAppointmentResponse(result, requestingPatientId);
+    } catch (error) {
+      console.error('Tebra SOAP: GetAppointment error', error.message);
+      throw error;
+    }
+  }
+
+  async createAppointment(appointmentData) {
+    try {
+      // Use raw SOAP if enabled, otherwise use soap library
+      if (this.useRawSOAP) {
+        const appointment = await this.buildAppointmentData(appointmentData);
+        this.logSoapDebug('🔍 Built appointment data:', appointment);
+        // Tebra requires AppointmentReasonID; avoid sending without it (causes 500 / "Error translating AppointmentCreate to CreateAppointmentV3Request")
+        if (appointment.AppointmentReasonID == null) {
+          const hint = 'Set TEBRA_DEFAULT_APPT_REASON_ID or TEBRA_DEFAULT_APPT_REASON_NAME (e.g. "Counseling"). Run: node scripts/list-tebra-appointment-reasons.js <practiceId> to list IDs.';
+          throw new Error(`AppointmentReasonID is required by Tebra but could not be resolved. ${hint}`);
+        }
+        // Log the appointment data being sent (required 4.14 fields)
+        this.logSoapDebug('🔍 [TEBRA] Appointment data being sent:', {
+          PracticeID: appointment.PracticeID,
+          ServiceLocationID: appointment.ServiceLocationID,
+          StartTime: appointment.StartTime,
+          EndTime: appointment.EndTime,
+          PatientID: appointment.PatientID,
+          AppointmentReasonID: appointment.AppointmentReasonID,
+          ProviderID: appointment.ProviderID,
+          ResourceID: appointment.ResourceID,
+          ResourceIds: appointment.ResourceIds
+        });
+        
+        let rawXml, parsed, appointmentId;
+        const errTranslate = 'Error translating AppointmentCreate to CreateAppointmentV3Request';
+        const baseSummary = appointment.PatientSummary;
+        const payloadVariants = [
+          { label: 'base', data: { ...appointment } },
+          { label: 'no-practice-guid', data: { ...appointment, PracticeGuid: undefined } },
+          { label: 'no-service-location-guid', data: { ...appointment, ServiceLocationGuid: undefined } },
+          { label: 'no-practice-service-guids', data: { ...appointment, PracticeGuid: undefined, ServiceLocationGuid: undefined } },
+          { label: 'provider-guids-only', data: { ...appointment, ResourceGuids: undefined } },
+          { label: 'resource-guids-only', data: { ...appointment, ProviderGuids: undefined } },
+          { label: 'guids-only-no-ids', data: { ...appointment, ProviderID: undefined, ResourceID: undefined, ResourceIds: undefined } },
+          { label: 'ids-only-no-guids', data: { ...appointment, ProviderGuids: undefined, ResourceGuids: undefined } },
+          { label: 'no-top-level-patient-id', data: { ...appointment, PatientID: undefined } },
+          { label: 'patient-summaries-only', data: { ...appointment, PatientSummary: undefined, PatientSummaries: baseSummary ? [baseSummary] : undefined } },
+          { label: 'guids-only-no-ids-no-top-patient-id', data: { ...appointment, ProviderID: undefined, ResourceID: undefined, ResourceIds: undefined, PatientID: undefined } }
+        ];
+        let lastPayload = appointment;
+
+        for (const variant of payloadVariants) {
+          const payload = variant.data;
+          lastPayload = payload;
+          if (!payload.AppointmentReasonID || payload.AppointmentReasonID === 0) {
+            const defaultId = process.env.TEBRA_DEFAULT_APPT_REASON_ID;
+            if (defaultId && defaultId !== '0' && !isNaN(parseInt(String(defaultId), 10))) {
+              payload.AppointmentReasonID = parseInt(String(defaultId), 10);
+            }
+          }
+          this.logSoapDebug('🔄 [TEBRA] CreateAppointment attempt:', variant.label);
+
+          rawXml = await this.callRawSOAPMethod('CreateAppointment', payload, {});
+          const xmlPreview = typeof rawXml === 'string' && rawXml.length > 500 ? rawXml.substring(0, 500) + '...' : rawXml;
+          this.logSoapDebug('🔍 [TEBRA] Raw CreateAppointment XML response (preview):', xmlPreview);
+
+          parsed = this.parseRawSOAPResponse(rawXml, 'CreateAppointment');
+          const createResult = parsed?.CreateAppointmentResult || {};
+          const appointmentNode = createResult.Appointment || {};
+          appointmentId = appointmentNode.AppointmentID || appointmentNode.AppointmentId || appointmentNode.id;
+
+          if (!appointmentId && typeof rawXml === 'string') {
+            const fault = readSoapFault(tryParseXml(rawXml));
+            if (fault) {
+              console.error(`❌ [TEBRA] SOAP Fault in CreateAppointment response:`);
+              console.error(`   Fault Code: ${fault.faultCode}`);
+              console.error(`   Fault String: ${fault.faultString}`);
+              throw new Error(`Tebra CreateAppointment SOAP Fault: ${fault.faultCode} - ${fault.faultString}`);
+            }
+            const errorMsg = createResult.ErrorResponse?.ErrorMessage || null;
+            if (errorMsg) console.error(`❌ [TEBRA] Error message in CreateAppointment response: ${errorMsg}`);
+            if (errorMsg && errorMsg.toLowerCase() !== 'success') {
+              if (errorMsg === errTranslate) {
+                continue;
+              }
+              let h = '';
+              if (/ProviderGuids or ResourceGuids/i.test(errorMsg)) {
+                h = ' CreateAppointmentV3 requires valid TEBRA_PROVIDER_GUID and/or TEBRA_RESOURCE_GUID. Obtain from Tebra Support and set in .env. See docs/TEBRA_CREATE_APPOINTMENT_V3_FINDINGS.md.';
+                console.warn('[TEBRA] Hint:', h);
+              } else if (/not authorized for Practice/i.test(errorMsg)) {
+                h = ' Use an authorized practice: GetPractices({}).then(console.log), then set TEBRA_PRACTICE_ID and TEBRA_PRACTICE_ID_CA to that ID.';
+                console.warn('[TEBRA] Hint:', h);
+              }
+              const short = errorMsg.length > 280 ? errorMsg.slice(0, 280) + '…' : errorMsg;
+              throw new Error(`Tebra CreateAppointment failed: ${short}${h}`);
+            }
+            if (createResult.ErrorResponse?.IsError) {
+              throw new Error(`Tebra CreateAppointment returned IsError=true: ${errorMsg || 'Unknown error'}`);
+            }
+          }
+
+          if (appointmentId) {
+            if (!parsed.CreateAppointmentResult) parsed.CreateAppointmentResult = {};
+            if (!parsed.CreateAppointmentResult.Appointment) parsed.CreateAppointmentResult.Appointment = {};
+            parsed.CreateAppointmentResult.Appointment.AppointmentID = appointmentId;
+            parsed.CreateAppointmentResult.Appointment.AppointmentId = appointmentId;
+            parsed.CreateAppointmentResult.Appointment.id = appointmentId;
+            return parsed;
+          }
+        }
+
+        // Fallback: try node-soap CreateAppointmentAsync when raw SOAP fails all variants (WSDL-shaped XML may satisfy CreateAppointmentV3)
+        try {
+          this.logSoapDebug('🔄 [TEBRA] Trying node-soap CreateAppointmentAsync (raw SOAP retries exhausted)', {});
+          const client = await this.getClient();
+          const args = { request: { RequestHeader: this.buildRequestHeader(), Appointment: lastPayload || appointment } };
+          this.cleanRequestData(args);
+          const [result] = await client.CreateAppointmentAsync(args);
+          return this.normalizeCreateAppointmentResponse(result);
+        } catch (nodeSoapErr) {
+          console.warn('[TEBRA] node-soap CreateAppointmentAsync also failed:', nodeSoapErr.message);
+        }
+
+        const lastErr = readErrorResponse(tryParseXml(rawXml));
+        const msg = (lastErr && lastErr.ErrorMessage) || 'No AppointmentID in response';
+        let hint = '';
+        if (/ProviderGuids or ResourceGuids/i.test(msg)) {
+          hint = ' CreateAppointmentV3 requires valid TEBRA_PROVIDER_GUID and/or TEBRA_RESOURCE_GUID. SOAP Get* APIs do not return them — obtain from Tebra Support/Customer Care and set in .env. See docs/TEBRA_CREATE_APPOINTMENT_V3_FINDINGS.md.';
+        } else if (/not authorized for Practice/i.test(msg)) {
+          hint = ' Use a practice your user is authorized for: run GetPractices (or node -e "require(\'./src/services/tebraService\').getPractices({}).then(console.log)"), then set TEBRA_PRACTICE_ID and TEBRA_PRACTICE_ID_CA to that practice\'s ID.';
+        } else if (/CreateAppointmentV3Request|Error translating/i.test(msg)) {
+          hint = ' Set TEBRA_DEFAULT_APPT_REASON_ID from: node scripts/list-tebra-appointment-reasons.js ' + (appointment.PracticeID || '1') + '. If "not authorized for Practice", switch to an authorized practice (GetPractices). If "ProviderGuids or ResourceGuids", obtain TEBRA_PROVIDER_GUID/TEBRA_RESOURCE_GUID from Tebra.';
+        }
+        if (hint) console.warn('[TEBRA] Hint:', hint);
+        const shortMsg = msg.length > 320 ? msg.slice(0, 320) + '…' : msg;
+        throw new Error(`Tebra CreateAppointment failed: ${shortMsg}${hint}`);
+      }
+
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          Appointment: {
+            AppointmentId: appointmentData.appointmentId,
+            AppointmentMode: appointmentData.appointmentMode,
+            AppointmentName: appointmentData.appointmentName,
+            AppointmentReasonId: appointmentData.appointmentReasonId,
+            AppointmentStatus: appointmentData.appointmentStatus,
+            AppointmentType: appointmentData.appointmentType,
+            AttendeesCount: appointmentData.attendeesCount,
+            EndTime: appointmentData.endTime,
+            ForRecare: appointmentData.forRecare,
+            InsurancePolicyAuthorizationId: appointmentData.insurancePolicyAuthorizationId,
+            IsGroupAppointment: appointmentData.isGroupAppointment,
+            IsRecurring: appointmentData.isRecurring,
+            MaxAttendees: appointmentData.maxAttendees,
+            Notes: appointmentData.notes,
+            OccurrenceId: appointmentData.occurrenceId,
+            PatientCaseId: appointmentData.patientCaseId,
+            PracticeId: appointmentData.practiceId,
+            ProviderId: appointmentData.providerId || '1',
+            ResourceId: appointmentData.resourceId,
+            // Primary resource plus any extra resources (rooms/equipment) the appointment books
+            ResourceIds: appointmentData.resourceIds?.length
+              ? [...new Set([appointmentData.resourceId, ...appointmentData.resourceIds].filter((id) => id != null && id !== '').map(String))]
+              : appointmentData.resourceIds,
+            ServiceLocationId: appointmentData.serviceLocationId,
+            StartTime: appointmentData.startTime,
+            UpdatedAt: appointmentData.updatedAt,
+            UpdatedBy: appointmentData.updatedBy,
+            WasCreatedOnline: appointmentData.wasCreatedOnline,
+            // Patient summary
+            PatientSummary: appointmentData.patientSummary && {
+              DateOfBirth: appointmentData.patientSummary.dateOfBirth,
+              Email: appointmentData.patientSummary.email,
+              FirstName: appointmentData.patientSummary.firstName,
+              GenderId: appointmentData.patientSummary.genderId,
+              Guid: appointmentData.patientSummary.guid,
+              HomePhone: appointmentData.patientSummary.homePhone,
+              LastName: appointmentData.patientSummary.lastName,
+              MiddleName: appointmentData.patientSummary.middleName,
+              MobilePhone: appointmentData.patientSummary.mobilePhone,
+              OtherEmail: appointmentData.patientSummary.otherEmail,
+              OtherPhone: appointmentData.patientSummary.otherPhone,
+              PatientId: appointmentData.patientSummary.patientId,
+              PracticeId: appointmentData.patientSummary.practiceId,
+              PreferredEmailType: appointmentData.patientSummary.preferredEmailType,
+              PreferredPhoneType: appointmentData.patientSummary.preferredPhoneType,
+              WorkEmail: appointmentData.patientSummary.workEmail,
+              WorkPhone: appointmentData.patientSummary.workPhone
+            },
+            // Group patient summaries
+            PatientSummaries: appointmentData.patientSummaries,
+            // Recurrence rule
+            RecurrenceRule: appointmentData.recurrenceRule && {
+              AppointmentId: appointmentData.recurrenceRule.appointmentId,
+              DayInterval: appointmentData.recurrenceRule.dayInterval,
+              DayOfMonth: appointmentData.recurrenceRule.dayOfMonth,
+              DayOfWeek: appointmentData.recurrenceRule.dayOfWeek,
+              DayOfWeekFlags: appointmentData.recurrenceRule.dayOfWeekFlags,
+              DayOfWeekMonthlyOrdinal: appointmentData.recurrenceRule.dayOfWeekMonthlyOrdinal,
+              DayOfWeekMonthlyOrdinalFlags: appointmentData.recurrenceRule.dayOfWeekMonthlyOrdinalFlags,
+              EndDate: appointmentData.recurrenceRule.endDate,
+              MonthInterval: appointmentData.recurrenceRule.monthInterval,
+              MonthOfYear: appointmentData.recurrenceRule.monthOfYear,
+              NumOccurrences: appointmentData.recurrenceRule.numOccurrences,
+              NumberOfTimes: appointmentData.recurrenceRule.numberOfTimes,
+              RecurrenceRuleId: appointmentData.recurrenceRule.recurrenceRuleId,
+              StartDate: appointmentData.recurrenceRule.startDate,
+              TypeOfDay: appointmentData.recurrenceRule.typeOfDay,
+              TypeOfDayMonthlyOrdinal: appointmentData.recurrenceRule.typeOfDayMonthlyOrdinal,
+              TypeOfDayMonthlyOrdinalFlags: appointmentData.recurrenceRule.typeOfDayMonthlyOrdinalFlags
+            }
+          }
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('CreateAppointment args:', args);
+      const [result] = await client.CreateAppointmentAsync(args);
+      this.logSoapDebug('CreateAppointment result:', result);
+      return this.normalizeCreateAppointmentResponse(result);
+    } catch (error) {
+      console.error('Tebra SOAP: CreateAppointment error', error.message);
+      throw error;
+    }
+  }
+
+  async deleteAppointment(appointmentId) {
+    try {
+      this.logSoapDebug('❌ [TEBRA SERVICE] Deleting appointment:', appointmentId);
+      // Coerce numeric string IDs to integers to match SOAP type expectations
+      const appointmentIdToUse = (typeof appointmentId === 'string' && /^\d+$/.test(appointmentId)) ? parseInt(appointmentId, 10) : appointmentId;
+
+      // Use raw SOAP if enabled, otherwise use soap library
+      if (this.useRawSOAP) {
+        const appointmentPayload = { Appointment: { AppointmentId: appointmentIdToUse } };
+        const result = await this.callRawSOAPMethod('DeleteAppointment', appointmentPayload, {});
+        return this.parseRawSOAPResponse(result, 'DeleteAppointment');
+      }
+
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          Appointment: {
+            AppointmentId: appointmentIdToUse
+          }
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('DeleteAppointment args:', args);
+      const [result] = await client.DeleteAppointmentAsync(args);
+      this.logSoapDebug('DeleteAppointment result:', result);
+      
+      // Return success structure
+      return { success: true, message: 'Appointment deleted successfully', appointmentId: appointmentIdToUse };
+    } catch (error) {
+      console.error('❌ Tebra SOAP: DeleteAppointment error', error && error.message ? error.message : error);
+      
+      // Enhanced error logging for debugging
+      if (error.response) {
+        console.error('Response data:', error.response.data);
+        console.error('Response status:', error.response.status);
+        console.error('Response headers:', error.response.headers);
+      }
+      
+      if (error.request) {
+        console.error('Request details:', {
+          method: error.request.method,
+          url: error.request.url,
+          headers: error.request.headers
+        });
+      }
+
+      if (this.shouldLogSoap()) {
+        // Generate and log raw SOAP XML for debugging (but don't send it)
+        try {
+          const appointmentPayload = { Appointment: { AppointmentId: appointmentId } };
+          const rawXml = this.generateRawSOAPXML('DeleteAppointment', appointmentPayload, {});
+          this.logSoapDebug('🔍 Generated raw SOAP XML for DeleteAppointment (debug):', rawXml);
+        } catch (xmlErr) {
+          console.error('Failed to generate raw SOAP XML for debugging:', xmlErr && xmlErr.message ? xmlErr.message : xmlErr);
+        }
+
+        // If soap client exists, log lastRequest/lastResponse for further clues
+        try {
+          const client = await this.getClient();
+          if (client && client.lastRequest) {
+            this.logSoapDebug('🔍 SOAP client lastRequest:', client.lastRequest);
+          }
+          if (client && client.lastResponse) {
+            this.logSoapDebug('🔍 SOAP client lastResponse:', client.lastResponse);
+          }
+        } catch (cliErr) {
+          console.error('Failed to log SOAP client lastRequest/lastResponse:', cliErr && cliErr.message ? cliErr.message : cliErr);
+        }
+      }
+
+      // Throw a more descriptive error
+      const enhancedError = new Error(`Failed to delete appointment ${appointmentId}: ${error.message}`);
+      enhancedError.originalError = error;
+      enhancedError.appointmentId = appointmentId;
+      throw enhancedError;
+    }
+  }
+
+  async updateAppointment(appointmentId, updates) {
+    try {
+      this.logSoapDebug('✏️ [TEBRA SERVICE] Updating appointment:', appointmentId);
+
+      // Coerce numeric string IDs to integers to match SOAP type expectations
+      const appointmentIdToUse = (typeof appointmentId === 'string' && /^\d+$/.test(appointmentId)) ? parseInt(appointmentId, 10) : appointmentId;
+
+      const getUpdate = (camel, pascal) => {
+        if (!updates || typeof updates !== 'object') return undefined;
+        return updates[camel] ?? updates[pascal];
+      };
+
+      // If required fields are missing, fetch base appointment to fill gaps per Tebra guide 4.19.1
+      const requiredFieldsPresent = [
+        getUpdate('appointmentStatus', 'AppointmentStatus'),
+        getUpdate('serviceLocationId', 'ServiceLocationId'),
+        getUpdate('startTime', 'StartTime'),
+        getUpdate('endTime', 'EndTime'),
+        getUpdate('appointmentReasonId', 'AppointmentReasonId'),
+        getUpdate('resourceId', 'ResourceId'),
+        getUpdate('patientId', 'PatientId'),
+        getUpdate('appointmentName', 'AppointmentName'),
+        getUpdate('maxAttendees', 'MaxAttendees')
+      ].every(v => v != null && v !== '');
+
+      let baseAppointment = null;
+      if (!requiredFieldsPresent) {
+        try {
+          baseAppointment = await this.getAppointment(appointmentIdToUse);
+        } catch (baseErr) {
+          console.warn('⚠️ [TEBRA SERVICE] Failed to fetch base appointment for update:', baseErr?.message || baseErr);
+        }
+      }
+
+      const baseServiceLocationId = baseAppointment?.serviceLocation?.id || baseAppointment?.serviceLocationId;
+      const baseStartTime = baseAppointment?.startDateTime || baseAppointment?.startTime;
+      const baseEndTime = baseAppointment?.endDateTime || baseAppointment?.endTime;
+      const baseResourceId = baseAppointment?.resourceId || baseAppointment?.providerId;
+
+      // Build Appointment payload
+      const appointmentPayload = {
+        Appointment: {
+          AppointmentId: appointmentIdToUse,
+          AppointmentMode: getUpdate('appointmentMode', 'AppointmentMode'),
+          AppointmentName: getUpdate('appointmentName', 'AppointmentName') ?? baseAppointment?.appointmentName,
+          AppointmentReasonId: getUpdate('appointmentReasonId', 'AppointmentReasonId') ?? baseAppointment?.appointmentReasonId,
+          AppointmentStatus: getUpdate('appointmentStatus', 'AppointmentStatus') ?? baseAppointment?.appointmentStatus,
+          ConfirmationStatus: getUpdate('confirmationStatus', 'ConfirmationStatus'),
+          EndTime: getUpdate('endTime', 'EndTime') ?? baseEndTime,
+          InsurancePolicyAuthorizationId: getUpdate('insurancePolicyAuthorizationId', 'InsurancePolicyAuthorizationId'),
+          IsRecurring: getUpdate('isRecurring', 'IsRecurring'),
+          MaxAttendees: getUpdate('maxAttendees', 'MaxAttendees') ?? baseAppointment?.maxAttendees ?? 1,
+          Notes: getUpdate('notes', 'Notes'),
+          OccurrenceId: getUpdate('occurrenceId', 'OccurrenceId'),
+          PatientCaseId: getUpdate('patientCaseId', 'PatientCaseId'),
+          PatientId: getUpdate('patientId', 'PatientId') ?? baseAppointment?.patientId,
+          ProviderId: getUpdate('providerId', 'ProviderId') || baseAppointment?.providerId || '1',
+          ResourceId: getUpdate('resourceId', 'ResourceId') ?? baseResourceId,
+          ResourceIds: getUpdate('resourceIds', 'ResourceIds'),
+          ServiceLocationId: getUpdate('serviceLocationId', 'ServiceLocationId') ?? baseServiceLocationId,
+          StartTime: getUpdate('startTime', 'StartTime') ?? baseStartTime,
+          UpdatedAt: getUpdate('updatedAt', 'UpdatedAt'),
+          UpdatedBy: getUpdate('updatedBy', 'UpdatedBy')
+        }
+      };
+
+      // Clean payload
+      this.cleanRequestData(appointmentPayload);
+
+      // If raw SOAP mode, call raw method and parse response
+      if (this.useRawSOAP) {
+        const rawResult = await this.callRawSOAPMethod('UpdateAppointment', appointmentPayload.Appointment, {});
+        return this.parseRawSOAPResponse(rawResult, 'UpdateAppointment');
+      }
+
+      const client = await this.getClient();
+
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          Appointment: appointmentPayload.Appointment
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+
+      this.logSoapArgs('UpdateAppointment args:', args);
+      const [result] = await client.UpdateAppointmentAsync(args);
+      this.logSoapDebug('UpdateAppointment result:', result);
+      return this.normalizeGetAppointmentResponse(result);
+    } catch (error) {
+      console.error('❌ Tebra SOAP: UpdateAppointment error', error && error.message ? error.message : error);
+      if (error && error.stack) console.error('Stack:', error.stack);
+      if (error && error.response && error.response.data) console.error('Upstream response data:', error.response.data);
+
+      if (this.shouldLogSoap()) {
+        // Generate and log raw SOAP XML for debugging (do not send)
+        try {
+          const rawXml = this.generateRawSOAPXML(
+            'UpdateAppointment',
+            appointmentPayload && appointmentPayload.Appointment ? appointmentPayload.Appointment : updates,
+            {}
+          );
+          this.logSoapDebug('🔍 Generated raw SOAP XML for UpdateAppointment (debug):', rawXml);
+        } catch (xmlErr) {
+          console.error('Failed to generate raw SOAP XML for debugging:', xmlErr && xmlErr.message ? xmlErr.message : xmlErr);
+        }
+
+        // If soap client exists, log lastRequest/lastResponse for further clues
+        try {
+          const client = await this.getClient();
+          if (client && client.lastRequest) {
+            this.logSoapDebug('🔍 SOAP client lastRequest:', client.lastRequest);
+          }
+          if (client && client.lastResponse) {
+            this.logSoapDebug('🔍 SOAP client lastResponse:', client.lastResponse);
+          }
+        } catch (cliErr) {
+          console.error('Failed to log SOAP client lastRequest/lastResponse:', cliErr && cliErr.message ? cliErr.message : cliErr);
+        }
+      }
+
+      const enhancedError = new Error(`Failed to update appointment ${appointmentId}: ${error.message}`);
+      enhancedError.originalError = error;
+      enhancedError.appointmentId = appointmentId;
+      throw enhancedError;
+    }
+  }
+
+  // Appointment Reasons
+  async createAppointmentReason(appointmentReasonData) {
+    try {
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          AppointmentReason: {
+            DefaultColorCode: appointmentReasonData.defaultColorCode,
+            DefaultDurationMinutes: appointmentReasonData.defaultDurationMinutes,
+            Name: appointmentReasonData.name,
+            PracticeId: appointmentReasonData.practiceId,
+            PracticeReasourceIds: appointmentReasonData.practiceResourceIds,
+            ProcedureCodeIds: appointmentReasonData.procedureCodeIds,
+            ProviderIds: appointmentReasonData.providerIds
+          }
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('CreateAppointmentReason args:', args);
+      const [result] = await client.CreateAppointmentReasonAsync(args);
+      this.logSoapDebug('CreateAppointmentReason result:', result);
+      return this.normalizeCreateAppointmentReasonResponse(result);
+    } catch (error) {
+      console.error('Tebra SOAP: CreateAppointmentReason error', error.message);
+      throw error;
+    }
+  }
+
+  async getAppointmentReasons(practiceId) {
+    try {
+      // Use raw SOAP when enabled so RequestHeader (Password, etc.) is xmlEscape'd and avoids InternalServiceFault from special chars
+      if (this.useRawSOAP) {
+        const rawXml = await this.callRawSOAPMethod('GetAppointmentReasons', { PracticeId: practiceId }, {});
+        if (process.env.DEBUG_TEBRA_RAW === 'GetAppointmentReasons') {
+          this.logSoapDebug('[DEBUG_TEBRA_RAW] GetAppointmentReasons response (preview):', String(rawXml).slice(0, 4000), { maxLength: 4000 });
+        }
+        const parsed = this.parseRawSOAPResponse(rawXml, 'GetAppointmentReasons');
+        return this.normalizeGetAppointmentReasonsResponse(parsed);
+      }
+
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          PracticeId: practiceId
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('GetAppointmentReasons args:', args);
+      const [result] = await client.GetAppointmentReasonsAsync(args);
+      this.logSoapDebug('GetAppointmentReasons result:', result);
+      return this.normalizeGetAppointmentReasonsResponse(result);
+    } catch (error) {
+      console.error('Tebra SOAP: GetAppointmentReasons error', error.message);
+      throw error;
+    }
+  }
+
+  // Availability and Scheduling
+  /**
+   * Get availability slots
+   * ⚠️ NOTE: GetAvailability is NOT available in Tebra SOAP 2.1 API
+   * This method calculates availability using GetAppointments to find existing appointments,
+   * then generates available slots based on business hours and filters out conflicts.
+   * 
+   * @param {Object} options - Availability options
+   * @param {string} options.practiceId - Practice ID
+   * @param {string} options.providerId - Provider ID (optional)
+   * @param {string} options.fromDate - Start date (YYYY-MM-DD)
+   * @param {string} options.toDate - End date (YYYY-MM-DD)
+   * @param {number} options.slotDuration - Slot duration in minutes (default: appointment reason rule, then provider schedule)
+   * @param {string} options.appointmentReasonId - Appointment reason whose duration, buffers and minimum notice apply
+   * @returns {Promise<Object>} Availability result with slots array
+   */
+  async getAvailability(options = {}) {
+    try {
+      const availabilityCalculator = require('./availabilityCalculator');
+      
+      // Use the availability calculator which uses GetAppointments
+      const result = await availabilityCalculator.calculateAvailability({
+        practiceId: options.practiceId,
+        providerId: options.providerId || '1',
+        fromDate: options.fromDate || options.FromDate,
+        toDate: options.toDate || options.ToDate,
+        slotDuration: options.slotDuration,
+        appointmentReasonId: options.appointmentReasonId || options.AppointmentReasonID,
+        state: options.state
+      });
+
+      return result;
+    } catch (error) {
+      console.error('[TEBRA] Failed to calculate availability:', error.message);
+      
+      // Return empty result on error to maintain backward compatibility
+      return {
+        availability: [],
+        totalCount: 0,
+        error: error.message,
+        message: 'Failed to calculate availability. GetAvailability is not available in Tebra SOAP 2.1 API.'
+      };
+    }
+  }
+}
+
+module.exports = { TebraAppointmentClient };
@@ -0,0 +1,158 @@
+// backend/src/services/tebraAppointmentFeed.js
+// Incremental appointment change feed from Tebra. Each poll asks every Tebra tenant for the
+// appointments modified since its stored watermark (GetAppointments FromLastModifiedDate /
+// ToLastModifiedDate), stores them through appointmentStatusService (which publishes the
+// created / rescheduled / cancelled / status_changed events on appointmentEvents) and moves the
+// watermark to the end of the polled window.
+// - Windows overlap by APPOINTMENT_FEED_OVERLAP_SECONDS so changes Tebra commits late are not missed;
+//   re-fetched unchanged appointments publish no events.
+// - The first poll of a tenant looks back APPOINTMENT_FEED_LOOKBACK_HOURS.
+// - When an appointment cannot be stored the watermark stays, so the window is polled again.
+// Appointments deleted in Tebra do not show up as modified; the periodic range sync reconciles them.
+
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const tebraService = require('./tebraService');
+const tebraTenantService = require('./tebraTenantService');
+const appointmentStatusService = require('./appointmentStatusService');
+
+const FEED = 'appointments';
+
+class TebraAppointmentFeed {
+  constructor() {
+    this.overlapMs = (parseInt(process.env.APPOINTMENT_FEED_OVERLAP_SECONDS, 10) || 120) * 1000;
+    this.lookbackMs = (parseInt(process.env.APPOINTMENT_FEED_LOOKBACK_HOURS, 10) || 24) * 60 * 60 * 1000;
+    this.polling = new Set();
+  }
+
+  /**
+   * Feed position per tenant
+   * @returns {Promise<Array>} [{ tenantId, watermark, lastPolledAt, lastChanges, lastError }]
+   */
+  async getStatus() {
+    const { rows } = await query('SELECT * FROM tebra_sync_watermarks WHERE feed = $1 ORDER BY tenant_id', [FEED]);
+    return rows.map(row => ({
+      tenantId: row.tenant_id,
+      watermark: row.watermark,
+      lastPolledAt: row.last_polled_at,
+      lastChanges: row.last_changes,
+      lastError: row.last_error
+    }));
+  }
+
+  /**
+   * Poll one tenant, or every tenant with credentials
+   * @param {Object} options - { tenantId, now }
+   * @returns {Promise<Array>} One result per tenant: { tenantId, from, to, fetched, stored, failed, events, error }
+   */
+  async poll({ tenantId, now = new Date() } = {}) {
+    const tenantIds = tenantId
+      ? [tebraTenantService.getTenant(tenantId).id]
+      : tebraTenantService.listTenants().filter(tenant => tenant.hasCredentials).map(tenant => tenant.id);
+
+    const results = [];
+    for (const id of tenantIds) {
+      if (this.polling.has(id)) {
+        logger.debug('[APPOINTMENT_FEED] Previous poll still running, skipping tenant', { tenantId: id });
+        continue;
+      }
+      this.polling.add(id);
+      try {
+        results.push(await this.pollTenant(id, now));
+      } finally {
+        this.polling.delete(id);
+      }
+    }
+    return results;
+  }
+
+  async pollTenant(tenantId, now) {
+    const { rows } = await query('SELECT watermark FROM tebra_sync_watermarks WHERE feed = $1 AND tenant_id = $2', [FEED, tenantId]);
+    const watermark = rows[0]?.watermark ? new Date(rows[0].watermark) : null;
+    const from = new Date(watermark ? watermark.getTime() - this.overlapMs : now.getTime() - this.lookbackMs);
+    const to = new Date(now);
+    const result = { tenantId, from: from.toISOString(), to: to.toISOString(), fetched: 0, stored: 0, failed: 0, events: {}, error: null };
+
+    let appointments;
+    try {
+      const response = await tebraService.forTenant(tenantId).getAppointments({
+        fromLastModifiedDate: result.from,
+        toLastModifiedDate: result.to
+      });
+      appointments = response?.appointments || [];
+    } catch (error) {
+      logger.warn('[APPOINTMENT_FEED] Could not fetch changed appointments', { tenantId, from: result.from, error: error.message });
+      await this.saveWatermark(tenantId, watermark, 0, error.message);
+      return { ...result, error: error.message };
+    }
+
+    result.fetched = appointments.length;
+    for (const appointment of appointments) {
+      try {
+        const { appointment: local, events } = await appointmentStatusService.applyFromTebra(appointment, { source: 'feed', tenantId });
+        if (!local) continue;
+        result.stored++;
+        for (const event of events) {
+          result.events[event] = (result.events[event] || 0) + 1;
+        }
+      } catch (error) {
+        result.failed++;
+        logger.warn('[APPOINTMENT_FEED] Failed to store changed appointment', {
+          tenantId,
+          appointmentId: appointment?.id || appointment?.AppointmentID,
+          error: error.message
+        });
+      }
+    }
+
+    const changes = Object.values(result.events).reduce((sum, count) => sum + count, 0);
+    if (result.failed) {
+      result.error = `${result.failed} appointment(s) could not be stored`;
+      await this.saveWatermark(tenantId, watermark, changes, result.error);
+    } else {
+      await this.saveWatermark(tenantId, to, changes, null);
+    }
+    if (result.fetched) {
+      logger.info('[APPOINTMENT_FEED] Appointment changes polled', { tenantId, from: result.from, to: result.to, fetched: result.fetched, events: result.events });
+    }
+    return result;
+  }
+
+  async saveWatermark(tenantId, watermark, changes, error) {
+    await query(
+      `INSERT INTO tebra_sync_watermarks (feed, tenant_id, watermark, last_polled_at, last_changes, last_error, updated_at)
+       VALUES ($1, $2, $3, NOW(), $4, $5, NOW())
+       ON CONFLICT (feed, tenant_id) DO UPDATE SET
+         watermark = COALESCE(EXCLUDED.watermark, tebra_sync_watermarks.watermark),
+         last_polled_at = NOW(),
+         last_changes = EXCLUDED.last_changes,
+         last_error = EXCLUDED.last_error,
+         updated_at = NOW()`,
+      [FEED, tenantId, watermark ? watermark.toISOString() : null, changes, error]
+    );
+  }
+
+  /**
+   * Move a tenant's watermark (e.g. back, to replay changes); subscribers see only real changes again
+   */
+  async resetWatermark(tenantId, watermark) {
+    const date = new Date(watermark);
+    if (!watermark || isNaN(date.getTime())) {
+      const e = new Error('watermark must be a date');
+      e.status = 400;
+      e.code = 'INVALID_WATERMARK';
+      throw e;
+    }
+    const id = tebraTenantService.getTenant(tenantId).id;
+    await query(
+      `INSERT INTO tebra_sync_watermarks (feed, tenant_id, watermark, updated_at) VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (feed, tenant_id) DO UPDATE SET watermark = EXCLUDED.watermark, last_error = NULL, updated_at = NOW()`,
+      [FEED, id, date.toISOString()]
+    );
+    logger.info('[APPOINTMENT_FEED] Watermark reset', { tenantId: id, watermark: date.toISOString() });
+    return { tenantId: id, watermark: date.toISOString() };
+  }
+}
+
+// Export singleton instance
+module.exports = new TebraAppointmentFeed();
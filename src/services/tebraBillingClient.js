@@ -0,0 +1,412 @@
+// backend/src/services/tebraBillingClient.js
+// Tebra billing operations: encounters (charges), payments, transactions and procedure codes.
+const { TebraClient } = require('./tebraClient');
+const { classifyTebraError } = require('./tebraErrors');
+
+class TebraBillingClient extends TebraClient {
+  // ============================================
+  // ENCOUNTER MANAGEMENT (Official API Methods)
+  // ============================================
+
+  /**
+   * Create Encounter - Creates encounter with service lines (charges)
+   * This is the OFFICIAL way to create charges in Tebra
+   * Reference: Official API Guide Section 4.16
+   */
+  async createEncounter(encounterData) {
+    try {
+      const auth = this.getAuthHeader();
+      const practiceId = encounterData.practiceId || encounterData.PracticeId || encounterData.Practice?.PracticeID;
+      const practiceName = encounterData.practiceName || encounterData.Practice?.PracticeName;
+      
+      if (!practiceId && !practiceName) {
+        throw new Error('PracticeId or PracticeName is required for CreateEncounter');
+      }
+
+      // Build encounter XML according to official API structure
+      const buildEncounterXml = (data, indent = '         ') => {
+        let xml = '';
+        
+        // Practice (required)
+        if (data.Practice || practiceId || practiceName) {
+          xml += `${indent}<sch:Practice>\n`;
+          if (practiceId) xml += `${indent}  <sch:PracticeID>${this.xmlEscape(String(practiceId))}</sch:PracticeID>\n`;
+          if (practiceName) xml += `${indent}  <sch:PracticeName>${this.xmlEscape(practiceName)}</sch:PracticeName>\n`;
+          xml += `${indent}</sch:Practice>\n`;
+        }
+
+        // Appointment (optional)
+        if (data.Appointment || data.appointmentId) {
+          xml += `${indent}<sch:Appointment>\n`;
+          if (data.appointmentId || data.Appointment?.AppointmentID) {
+            xml += `${indent}  <sch:AppointmentID>${this.xmlEscape(String(data.appointmentId || data.Appointment.AppointmentID))}</sch:AppointmentID>\n`;
+          }
+          xml += `${indent}</sch:Appointment>\n`;
+        }
+
+        // Patient (required)
+        if (data.Patient || data.patientId) {
+          xml += `${indent}<sch:Patient>\n`;
+          if (data.patientId || data.Patient?.PatientID) {
+            xml += `${indent}  <sch:PatientID>${this.xmlEscape(String(data.patientId || data.Patient.PatientID))}</sch:PatientID>\n`;
+          }
+          if (data.Patient?.FirstName) xml += `${indent}  <sch:FirstName>${this.xmlEscape(data.Patient.FirstName)}</sch:FirstName>\n`;
+          if (data.Patient?.LastName) xml += `${indent}  <sch:LastName>${this.xmlEscape(data.Patient.LastName)}</sch:LastName>\n`;
+          xml += `${indent}</sch:Patient>\n`;
+        }
+
+        // Case (required)
+        if (data.Case || data.caseId || data.caseName) {
+          xml += `${indent}<sch:Case>\n`;
+          if (data.caseId || data.Case?.CaseID) {
+            xml += `${indent}  <sch:CaseID>${this.xmlEscape(String(data.caseId || data.Case.CaseID))}</sch:CaseID>\n`;
+          }
+          if (data.caseName || data.Case?.CaseName) {
+            xml += `${indent}  <sch:CaseName>${this.xmlEscape(data.caseName || data.Case.CaseName)}</sch:CaseName>\n`;
+          }
+          if (data.payerScenario || data.Case?.CasePayerScenario) {
+            xml += `${indent}  <sch:CasePayerScenario>${this.xmlEscape(data.payerScenario || data.Case.CasePayerScenario)}</sch:CasePayerScenario>\n`;
+          }
+          xml += `${indent}</sch:Case>\n`;
+        }
+
+        // Service Start/End Date (required)
+        if (data.serviceStartDate) {
+          xml += `${indent}<sch:ServiceStartDate>${this.xmlEscape(data.serviceStartDate)}</sch:ServiceStartDate>\n`;
+        }
+        if (data.serviceEndDate) {
+          xml += `${indent}<sch:ServiceEndDate>${this.xmlEscape(data.serviceEndDate)}</sch:ServiceEndDate>\n`;
+        }
+
+        // Post Date (required)
+        if (data.postDate) {
+          xml += `${indent}<sch:PostDate>${this.xmlEscape(data.postDate)}</sch:PostDate>\n`;
+        }
+
+        // Service Lines (required) - This is where charges are created
+        if (data.serviceLines && Array.isArray(data.serviceLines) && data.serviceLines.length > 0) {
+          xml += `${indent}<sch:ServiceLines>\n`;
+          data.serviceLines.forEach((line) => {
+            xml += `${indent}  <sch:ServiceLine>\n`;
+            if (line.procedureCode) xml += `${indent}    <sch:ProcedureCode>${this.xmlEscape(line.procedureCode)}</sch:ProcedureCode>\n`;
+            if (line.procedureModifier1) xml += `${indent}    <sch:ProcedureModifier1>${this.xmlEscape(line.procedureModifier1)}</sch:ProcedureModifier1>\n`;
+            if (line.diagnosisCode1) xml += `${indent}    <sch:DiagnosisCode1>${this.xmlEscape(line.diagnosisCode1)}</sch:DiagnosisCode1>\n`;
+            if (line.units) xml += `${indent}    <sch:Units>${this.xmlEscape(String(line.units))}</sch:Units>\n`;
+            if (line.unitCharge !== undefined) xml += `${indent}    <sch:UnitCharge>${this.xmlEscape(String(line.unitCharge))}</sch:UnitCharge>\n`;
+            xml += `${indent}  </sch:ServiceLine>\n`;
+          });
+          xml += `${indent}</sch:ServiceLines>\n`;
+        }
+
+        return xml;
+      };
+
+      const encounterXml = buildEncounterXml(encounterData);
+      
+      const soapXml = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:CreateEncounter>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:Encounter>
+${encounterXml}        </sch:Encounter>
+      </sch:request>
+    </sch:CreateEncounter>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+
+      const data = await this.send('CreateEncounter', soapXml);
+
+      const encounterId = this.parseRawSOAPResponse(data, 'CreateEncounter').CreateEncounterResult?.EncounterID || null;
+
+      return {
+        encounterId,
+        success: !!encounterId,
+        raw: data
+      };
+    } catch (error) {
+      console.error('❌ [TEBRA] Error creating encounter:', error.message);
+      throw classifyTebraError(error, { method: 'CreateEncounter' });
+    }
+  }
+
+  /**
+   * Get Encounter Details
+   * Reference: Official API Guide Section 4.5
+   */
+  async getEncounterDetails(encounterId, practiceId) {
+    try {
+      const auth = this.getAuthHeader();
+      
+      const soapXml = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:GetEncounterDetails>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:PracticeID>${this.xmlEscape(String(practiceId))}</sch:PracticeID>
+        <sch:PracticeName>${this.xmlEscape(this.practiceName)}</sch:PracticeName>
+        <sch:EncounterID>${this.xmlEscape(String(encounterId))}</sch:EncounterID>
+      </sch:request>
+    </sch:GetEncounterDetails>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+
+      const data = await this.send('GetEncounterDetails', soapXml);
+
+      return this.normalizeGetEncounterDetailsResponse(this.parseRawSOAPResponse(data, 'GetEncounterDetails'));
+    } catch (error) {
+      console.error('❌ [TEBRA] Error getting encounter details:', error.message);
+      throw classifyTebraError(error, { method: 'GetEncounterDetails' });
+    }
+  }
+
+  /**
+   * Update Encounter Status
+   * Reference: Official API Guide Section 4.20
+   */
+  async updateEncounterStatus(encounterId, status, practiceId) {
+    try {
+      const auth = this.getAuthHeader();
+      
+      const soapXml = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:UpdateEncounterStatus>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:Practice>
+          <sch:PracticeID>${this.xmlEscape(String(practiceId))}</sch:PracticeID>
+        </sch:Practice>
+        <sch:EncounterID>${this.xmlEscape(String(encounterId))}</sch:EncounterID>
+        <sch:EncounterStatus>${this.xmlEscape(status)}</sch:EncounterStatus>
+      </sch:request>
+    </sch:UpdateEncounterStatus>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+
+      const data = await this.send('UpdateEncounterStatus', soapXml);
+
+      return this.parseRawSOAPResponse(data, 'UpdateEncounterStatus');
+    } catch (error) {
+      console.error('❌ [TEBRA] Error updating encounter status:', error.message);
+      throw classifyTebraError(error, { method: 'UpdateEncounterStatus' });
+    }
+  }
+
+  // ============================================
+  // BILLING OPERATIONS (Official API Methods)
+  // ============================================
+
+  /**
+   * Get Charges
+   * Reference: Official API Guide Section 4.4
+   */
+  async getCharges(options = {}) {
+    try {
+      const filters = {
+        PracticeName: options.practiceName || this.practiceName,
+        ...(options.fromCreatedDate && { FromCreatedDate: options.fromCreatedDate }),
+        ...(options.toCreatedDate && { ToCreatedDate: options.toCreatedDate }),
+        ...(options.patientId && { PatientID: String(options.patientId) }),
+        ...(options.patientName && { PatientName: options.patientName })
+      };
+
+      const rawXml = await this.callRawSOAPMethod('GetCharges', {}, filters);
+      return this.normalizeGetChargesResponse(this.parseRawSOAPResponse(rawXml, 'GetCharges'));
+    } catch (error) {
+      this.handleSOAPError(error, 'GetCharges', { options });
+    }
+  }
+
+  /**
+   * Get Payments
+   * Reference: Official API Guide Section 4.8
+   */
+  async getPayments(options = {}) {
+    try {
+      const filters = {
+        ...(options.practiceId && { PracticeID: String(options.practiceId) }),
+        ...(options.practiceName && { PracticeName: options.practiceName }),
+        ...(options.patientId && { PatientID: String(options.patientId) }),
+        ...(options.fromPostDate && { FromPostDate: options.fromPostDate }),
+        ...(options.toPostDate && { ToPostDate: options.toPostDate })
+      };
+
+      const rawXml = await this.callRawSOAPMethod('GetPayments', {}, filters);
+      return this.normalizeGetPaymentsResponse(this.parseRawSOAPResponse(rawXml, 'GetPayments'));
+    } catch (error) {
+      this.handleSOAPError(error, 'GetPayments', { options });
+    }
+  }
+
+  /**
+   * Create Payments (Official method - plural)
+   * Reference: Official API Guide Section 4.18
+   */
+  async createPayments(paymentData) {
+    try {
+      const auth = this.getAuthHeader();
+      const practiceId = paymentData.practiceId || paymentData.Practice?.PracticeID;
+      const practiceName = paymentData.practiceName || paymentData.Practice?.PracticeName;
+      
+      const buildPaymentXml = (data, indent = '         ') => {
+        let xml = '';
+        
+        // Practice (optional but recommended)
+        if (practiceId || practiceName) {
+          xml += `${indent}<sch:Practice>\n`;
+          if (practiceId) xml += `${indent}  <sch:PracticeID>${this.xmlEscape(String(practiceId))}</sch:PracticeID>\n`;
+          if (practiceName) xml += `${indent}  <sch:PracticeName>${this.xmlEscape(practiceName)}</sch:PracticeName>\n`;
+          xml += `${indent}</sch:Practice>\n`;
+        }
+
+        // Patient (required)
+        if (data.Patient || data.patientId) {
+          xml += `${indent}<sch:Patient>\n`;
+          if (data.patientId || data.Patient?.PatientID) {
+            xml += `${indent}  <sch:PatientID>${this.xmlEscape(String(data.patientId || data.Patient.PatientID))}</sch:PatientID>\n`;
+          }
+          if (data.Patient?.FirstName) xml += `${indent}  <sch:FirstName>${this.xmlEscape(data.Patient.FirstName)}</sch:FirstName>\n`;
+          if (data.Patient?.LastName) xml += `${indent}  <sch:LastName>${this.xmlEscape(data.Patient.LastName)}</sch:LastName>\n`;
+          xml += `${indent}</sch:Patient>\n`;
+        }
+
+        // Insurance (optional)
+        if (data.Insurance || data.companyPlanId || data.companyPlanName) {
+          xml += `${indent}<sch:Insurance>\n`;
+          if (data.companyPlanId || data.Insurance?.CompanyPlanID) {
+            xml += `${indent}  <sch:CompanyPlanID>${this.xmlEscape(String(data.companyPlanId || data.Insurance.CompanyPlanID))}</sch:CompanyPlanID>\n`;
+          }
+          if (data.companyPlanName || data.Insurance?.CompanyPlanName) {
+            xml += `${indent}  <sch:CompanyPlanName>${this.xmlEscape(data.companyPlanName || data.Insurance.CompanyPlanName)}</sch:CompanyPlanName>\n`;
+          }
+          xml += `${indent}</sch:Insurance>\n`;
+        }
+
+        // Payment (required)
+        xml += `${indent}<sch:Payment>\n`;
+        if (data.amountPaid !== undefined) xml += `${indent}  <sch:AmountPaid>${this.xmlEscape(String(data.amountPaid))}</sch:AmountPaid>\n`;
+        if (data.paymentMethod) xml += `${indent}  <sch:PaymentMethod>${this.xmlEscape(data.paymentMethod)}</sch:PaymentMethod>\n`;
+        if (data.referenceNumber) xml += `${indent}  <sch:ReferenceNumber>${this.xmlEscape(data.referenceNumber)}</sch:ReferenceNumber>\n`;
+        if (data.postDate) xml += `${indent}  <sch:PostDate>${this.xmlEscape(data.postDate)}</sch:PostDate>\n`;
+        if (data.payerType) xml += `${indent}  <sch:PayerType>${this.xmlEscape(data.payerType)}</sch:PayerType>\n`;
+        xml += `${indent}</sch:Payment>\n`;
+
+        return xml;
+      };
+
+      const paymentXml = buildPaymentXml(paymentData);
+      
+      const soapXml = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:CreatePayments>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:Payment>
+${paymentXml}        </sch:Payment>
+      </sch:request>
+    </sch:CreatePayments>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+
+      const data = await this.send('CreatePayments', soapXml);
+
+      const paymentId = this.parseRawSOAPResponse(data, 'CreatePayments').CreatePaymentsResult?.PaymentID || null;
+
+      return {
+        paymentId,
+        success: !!paymentId,
+        raw: data
+      };
+    } catch (error) {
+      console.error('❌ [TEBRA] Error creating payment:', error.message);
+      throw classifyTebraError(error, { method: 'CreatePayments' });
+    }
+  }
+
+  // ============================================
+  // PROCEDURE CODES
+  // ============================================
+
+  /**
+   * Get Procedure Codes
+   * Reference: Official API Guide Section 4.10
+   */
+  async getProcedureCode(options = {}) {
+    try {
+      const filters = {
+        ...(options.id && { ID: String(options.id) }),
+        ...(options.procedureCode && { ProcedureCode: options.procedureCode }),
+        ...(options.active !== undefined && { Active: options.active })
+      };
+      const fields = {
+        ProcedureCode: 1,
+        OfficialName: 1,
+        OfficialDescription: 1,
+        ID: 1,
+        Active: 1
+      };
+      return await this.callRawSOAPMethod('GetProcedureCodes', fields, filters);
+    } catch (error) {
+      this.handleSOAPError(error, 'GetProcedureCodes', { options });
+    }
+  }
+
+  /**
+   * Get Procedure Codes, parsed and normalized (getProcedureCode returns the raw XML)
+   * @returns {Promise<Object>} { procedureCodes, totalCount }
+   */
+  async getProcedureCodes(options = {}) {
+    const rawXml = await this.getProcedureCode(options);
+    return this.normalizeGetProcedureCodesResponse(this.parseRawSOAPResponse(rawXml, 'GetProcedureCodes'));
+  }
+
+  // ============================================
+  // TRANSACTIONS
+  // ============================================
+
+  /**
+   * Get Transactions
+   * Reference: Official API Guide Section 4.13
+   */
+  async getTransactions(options = {}) {
+    try {
+      const filters = {
+        PracticeName: options.practiceName || this.practiceName,
+        ...(options.fromTransactionDate && { FromTransactionDate: options.fromTransactionDate }),
+        ...(options.toTransactionDate && { ToTransactionDate: options.toTransactionDate }),
+        ...(options.patientId && { PatientID: String(options.patientId) })
+      };
+
+      const rawXml = await this.callRawSOAPMethod('GetTransactions', {}, filters);
+      return this.normalizeGetTransactionsResponse(this.parseRawSOAPResponse(rawXml, 'GetTransactions'));
+    } catch (error) {
+      this.handleSOAPError(error, 'GetTransactions', { options });
+    }
+  }
+}
+
+module.exports = { TebraBillingClient };
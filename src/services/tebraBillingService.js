@@ -2,6 +2,7 @@
 // Billing service using OFFICIAL Tebra SOAP API methods
 // FIXED: Now uses CreateEncounter (for charges) and CreatePayments (for payments) as per official API
 // Reference: Official Tebra Web Services API 2.1 Technical Guide
+// Every function takes an optional tenantId (Tebra account); otherwise the account owning practiceId is used
 
 const tebraService = require('./tebraService');
 
@@ -10,8 +11,10 @@ const tebraService = require('./tebraService');
  * Charges in Tebra are created via encounters with service lines
  * Reference: Official API Guide Section 4.16
  */
-async function createCharge({ practiceId, patientId, dateOfService, placeOfService = '10', items = [], caseId, caseName, payerScenario }) {
+async function createCharge({ tenantId, practiceId, patientId, dateOfService, placeOfService = '10', items = [], caseId, caseName, payerScenario }) {
   try {
+    const tebra = tebraService.forCall({ tenantId, practiceId });
+
     // Get patient case ID if not provided (required for encounter)
     let finalCaseId = caseId;
     let finalCaseName = caseName || 'Default Case';
@@ -20,7 +23,7 @@ async function createCharge({ practiceId, patientId, dateOfService, placeOfServi
     if (!finalCaseId) {
       try {
         // Try to get patient with cases
-        const patient = await tebraService.getPatient(patientId);
+        const patient = await tebra.getPatient(patientId);
         finalCaseId = patient?.Cases?.[0]?.PatientCaseID || 
                      patient?.DefaultCaseID ||
                      patient?.DefaultCase?.PatientCaseID;
@@ -44,6 +47,7 @@ async function createCharge({ practiceId, patientId, dateOfService, placeOfServi
     // Convert items to service lines format
     const serviceLines = items.map(item => ({
       procedureCode: item.cpt || '99000', // Default CPT code if not provided
+      procedureModifier1: item.modifier || undefined,
       diagnosisCode1: item.diagnosisCode1 || 'Z00.00', // Default diagnosis if not provided
       units: item.units || 1,
       unitCharge: (item.amountCents || 0) / 100, // Convert cents to dollars
@@ -64,7 +68,7 @@ async function createCharge({ practiceId, patientId, dateOfService, placeOfServi
       serviceLines
     };
 
-    const result = await tebraService.createEncounter(encounterData);
+    const result = await tebra.createEncounter(encounterData);
     
     return {
       chargeId: result.encounterId, // Encounter ID serves as charge identifier
@@ -82,8 +86,9 @@ async function createCharge({ practiceId, patientId, dateOfService, placeOfServi
  * Create Payment (Official method - uses CreatePayments)
  * Reference: Official API Guide Section 4.18
  */
-async function postPayment({ practiceId, patientId, amountCents, referenceNumber, date }) {
+async function postPayment({ tenantId, practiceId, patientId, amountCents, referenceNumber, date }) {
   try {
+    const tebra = tebraService.forCall({ tenantId, practiceId });
     const paymentData = {
       practiceId,
       patientId,
@@ -94,7 +99,7 @@ async function postPayment({ practiceId, patientId, amountCents, referenceNumber
       payerType: 'Patient'
     };
 
-    const result = await tebraService.createPayments(paymentData);
+    const result = await tebra.createPayments(paymentData);
     
     return {
       paymentId: result.paymentId,
@@ -111,9 +116,9 @@ async function postPayment({ practiceId, patientId, amountCents, referenceNumber
  * Get Charges (Official method)
  * Reference: Official API Guide Section 4.4
  */
-async function getCharges(options = {}) {
+async function getCharges({ tenantId, ...options } = {}) {
   try {
-    return await tebraService.getCharges(options);
+    return await tebraService.forCall({ tenantId, practiceId: options.practiceId }).getCharges(options);
   } catch (error) {
     console.error('❌ [BILLING] Error getting charges:', error.message);
     throw error;
@@ -124,9 +129,9 @@ async function getCharges(options = {}) {
  * Get Payments (Official method)
  * Reference: Official API Guide Section 4.8
  */
-async function getPayments(options = {}) {
+async function getPayments({ tenantId, ...options } = {}) {
   try {
-    return await tebraService.getPayments(options);
+    return await tebraService.forCall({ tenantId, practiceId: options.practiceId }).getPayments(options);
   } catch (error) {
     console.error('❌ [BILLING] Error getting payments:', error.message);
     throw error;
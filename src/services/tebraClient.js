@@ -0,0 +1,67 @@
+// backend/src/services/tebraClient.js
+// Base class for the Tebra domain clients. Every client shares one TebraTransport; the SOAP helpers
+// and connection settings below are forwarded to it, so client methods call this.callRawSOAPMethod(),
+// this.send() or read this.practiceName without caring which transport instance backs them.
+const tebraNormalizers = require('./tebraServiceNormalizers');
+
+// Transport methods available on every client
+const TRANSPORT_METHODS = [
+  'getClient',
+  'buildRequestHeader',
+  'getAuthHeader',
+  'generateRawSOAPXML',
+  'callRawSOAPMethod',
+  'send',
+  'throwIfTebraError',
+  'parseRawSOAPResponse',
+  'resolvePracticeName',
+  'handleSOAPError',
+  'shouldLogSoap',
+  'redactSoapArgs',
+  'logSoapArgs',
+  'logSoapDebug',
+  'xmlEscape'
+];
+
+// Tenant, credentials, endpoint and batching settings read from the transport
+const TRANSPORT_SETTINGS = [
+  'tenantId',
+  'soapEndpoint',
+  'customerKey',
+  'user',
+  'password',
+  'practiceName',
+  'useRawSOAP',
+  'batchSize',
+  'delayBetweenCalls',
+  'delayBetweenBatches',
+  'delayAfterGetIds'
+];
+
+class TebraClient {
+  /**
+   * @param {TebraTransport} transport - Shared transport (credentials, envelopes, resilience)
+   */
+  constructor(transport) {
+    this.transport = transport;
+  }
+}
+
+for (const name of TRANSPORT_METHODS) {
+  TebraClient.prototype[name] = function(...args) {
+    return this.transport[name](...args);
+  };
+}
+
+for (const name of TRANSPORT_SETTINGS) {
+  Object.defineProperty(TebraClient.prototype, name, {
+    get() {
+      return this.transport[name];
+    }
+  });
+}
+
+// Response normalizers (normalizeGetPatientsResponse, cleanRequestData, ...) are pure helpers
+Object.assign(TebraClient.prototype, tebraNormalizers);
+
+module.exports = { TebraClient };
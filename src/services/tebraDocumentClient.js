@@ -0,0 +1,385 @@
+// backend/src/services/tebraDocumentClient.js
+// Tebra document operations: CreateDocument / DeleteDocument over SOAP, plus listing and content
+// reads served from the local copy kept by tebraDocumentService.
+const { TebraClient } = require('./tebraClient');
+const { tryParseXml, readSoapFault } = require('./tebraXmlParser');
+
+class TebraDocumentClient extends TebraClient {
+  async createDocument(documentData) {
+    // Import document service for local storage
+    const documentService = require('./tebraDocumentService');
+    
+    // Hardened document creation with validation, SOAP Fault parsing, and retries with minimal payloads
+    const ensureBase64 = (input) => {
+      if (!input) return '';
+      // Heuristic: if it looks like JSON or plain text, base64-encode it
+      const looksBase64 = typeof input === 'string' && /^[A-Za-z0-9+/=\r\n]+$/.test(input) && input.length % 4 === 0;
+      if (looksBase64) return input;
+      try {
+        const buf = Buffer.isBuffer(input) ? input : Buffer.from(typeof input === 'string' ? input : JSON.stringify(input), 'utf8');
+        return buf.toString('base64');
+      } catch (_) {
+        return String(input);
+      }
+    };
+
+    const buildArgs = (doc, minimal = false) => {
+      const practiceIdRaw = doc.practiceId || process.env.TEBRA_PRACTICE_ID || undefined;
+      // Coerce numeric identifiers to integers where possible (SOAP often expects xs:int)
+      const practiceId = (practiceIdRaw && /^\d+$/.test(String(practiceIdRaw))) ? parseInt(String(practiceIdRaw), 10) : practiceIdRaw;
+      const patientIdRaw = doc.patientId;
+      const patientId = (patientIdRaw && /^\d+$/.test(String(patientIdRaw))) ? parseInt(String(patientIdRaw), 10) : patientIdRaw;
+      const payload = {
+        request: {
+          RequestHeader: this.buildRequestHeader(practiceId),
+          DocumentToCreate: minimal ? {
+            // minimal payload for retry path
+            DocumentDate: doc.documentDate || new Date().toISOString(),
+            FileContent: ensureBase64(doc.fileContent || ''),
+            FileName: doc.fileName || `document-${Date.now()}.json`,
+            Name: doc.name || 'Document',
+            PatientId: patientId,
+            PracticeId: practiceId,
+            Status: doc.status || 'Completed',
+          } : {
+            DocumentDate: doc.documentDate || new Date().toISOString(),
+            DocumentNotes: doc.documentNotes || doc.notes || '',
+            FileContent: ensureBase64(doc.fileContent || ''),
+            FileName: doc.fileName || `document-${Date.now()}.json`,
+            Label: doc.label || 'General',
+            Name: doc.name || 'Document',
+            PatientId: patientId,
+            PracticeId: practiceId,
+            Status: doc.status || 'Completed'
+          }
+        }
+      };
+      this.cleanRequestData(payload);
+      return payload;
+    };
+
+    const parseSoapFault = (err) => {
+      const xml = err?.response?.data || err?.data || '';
+      const fault = readSoapFault(tryParseXml(xml));
+      if (!fault) {
+        // Tebra-specific internal service fault string outside a well-formed envelope
+        return typeof xml === 'string' && /InternalServiceFault/i.test(xml) ? 'InternalServiceFault' : null;
+      }
+
+      // Exception details are only present when IncludeExceptionDetailInFaults is enabled
+      const exception = fault.exception || {};
+      if (exception.type || exception.stackTrace || exception.innerException) {
+        err.exceptionDetails = {
+          faultString: fault.faultString,
+          faultCode: fault.faultCode,
+          faultActor: fault.faultActor,
+          detail: fault.detail,
+          innerException: exception.innerException,
+          stackTrace: exception.stackTrace,
+          message: exception.message,
+          type: exception.type,
+          rawXml: xml
+        };
+      }
+      return exception.message || fault.faultString || 'SOAP Fault';
+    };
+
+    const tooLarge = (b64) => {
+      try {
+        // rough limit ~1MB decoded
+        const sizeApprox = Math.floor((b64.length * 3) / 4);
+        return sizeApprox > 1024 * 1024;
+      } catch { return false; }
+    };
+
+    // Validate inputs early
+    if (!documentData || !documentData.patientId) {
+      const e = new Error('Missing patientId for document creation');
+      e.status = 400;
+      throw e;
+    }
+
+    let args = buildArgs(documentData, false);
+
+    // If FileContent looks huge, trim to 1MB to avoid upstream faults
+    try {
+      const b64 = args.request.DocumentToCreate.FileContent || '';
+      if (tooLarge(b64)) {
+        console.warn('CreateDocument: file too large; truncating to 1MB for upload');
+        const trimmed = Buffer.from(b64, 'base64').subarray(0, 1024 * 1024).toString('base64');
+        args.request.DocumentToCreate.FileContent = trimmed;
+      }
+    } catch (_) {}
+
+    try {
+      const client = await this.getClient();
+      this.logSoapArgs('CreateDocument args:', args);
+      const [result] = await client.CreateDocumentAsync(args);
+      this.logSoapDebug('CreateDocument result:', result);
+      
+      // Write raw Tebra response to file for debugging
+      try {
+        const fs = require('fs');
+        const path = require('path');
+        const responseFile = path.join(__dirname, '../../scripts/tebra-create-document-raw-response.json');
+        fs.writeFileSync(responseFile, JSON.stringify({
+          timestamp: new Date().toISOString(),
+          rawTebraResponse: result,
+          normalizedResponse: this.normalizeCreateDocumentResponse(result)
+        }, null, 2), 'utf8');
+      } catch (fileErr) {
+        // Non-critical
+      }
+      
+      const normalizedResult = this.normalizeCreateDocumentResponse(result);
+      
+      // Store document metadata in local database for retrieval (optional - only if database is available)
+      // (since Tebra SOAP 2.1 doesn't support GetDocuments/GetDocumentContent)
+      // Skip database storage if DATABASE_URL is not set or if we're just testing Tebra API
+      if (process.env.DATABASE_URL && !process.env.TEBRA_SKIP_DB_STORAGE) {
+        try {
+          await documentService.initialize(); // Ensure table exists
+          await documentService.storeDocument({
+            tebraDocumentId: normalizedResult.id,
+            patientId: documentData.patientId,
+            practiceId: documentData.practiceId,
+            name: documentData.name || 'Document',
+            fileName: documentData.fileName || `document-${Date.now()}.json`,
+            label: documentData.label || 'General',
+            status: documentData.status || 'Completed',
+            documentDate: documentData.documentDate || new Date().toISOString(),
+            documentNotes: documentData.documentNotes || documentData.notes || '',
+            fileContentBase64: documentData.fileContent || '',
+            mimeType: documentData.mimeType || 'application/json',
+            tenantId: this.tenantId
+          });
+          console.log(`✅ [DOCUMENT] Stored document metadata in local database: ${normalizedResult.id}`);
+        } catch (dbError) {
+          // Non-critical: log but don't fail document creation
+          // Silently skip if it's a connection error (database not available for testing)
+          const isConnectionError = dbError.message && (
+            dbError.message.includes('ECONNREFUSED') || 
+            dbError.message.includes('connect') ||
+            dbError.code === 'ECONNREFUSED'
+          );
+          if (!isConnectionError) {
+            console.warn('⚠️ [DOCUMENT] Failed to store document metadata in database (non-critical):', dbError?.message || dbError);
+          }
+        }
+      } else {
+        console.log('ℹ️  [DOCUMENT] Skipping local database storage (TEBRA_SKIP_DB_STORAGE set or DATABASE_URL not configured)');
+      }
+      
+      return normalizedResult;
+    } catch (error) {
+      const faultMsg = parseSoapFault(error);
+      console.error('Tebra SOAP: CreateDocument error', error.message, faultMsg ? `| Fault: ${faultMsg}` : '');
+
+      // Retry once with a minimal payload if we hit an internal fault
+      if (faultMsg) {
+        try {
+          const client = await this.getClient();
+          const minimalArgs = buildArgs(documentData, true);
+          this.logSoapArgs('CreateDocument retry (minimal) args:', minimalArgs);
+          const [result2] = await client.CreateDocumentAsync(minimalArgs);
+          this.logSoapDebug('CreateDocument retry result:', result2);
+          const normalizedResult2 = this.normalizeCreateDocumentResponse(result2);
+          
+          // Store document metadata in local database for retrieval (optional - only if database is available)
+          if (process.env.DATABASE_URL && !process.env.TEBRA_SKIP_DB_STORAGE) {
+            try {
+              await documentService.initialize();
+              await documentService.storeDocument({
+                tebraDocumentId: normalizedResult2.id,
+                patientId: documentData.patientId,
+                practiceId: documentData.practiceId,
+                name: documentData.name || 'Document',
+                fileName: documentData.fileName || `document-${Date.now()}.json`,
+                label: documentData.label || 'General',
+                status: documentData.status || 'Completed',
+                documentDate: documentData.documentDate || new Date().toISOString(),
+                documentNotes: documentData.documentNotes || documentData.notes || '',
+                fileContentBase64: documentData.fileContent || '',
+                mimeType: documentData.mimeType || 'application/json',
+                tenantId: this.tenantId
+              });
+              console.log(`✅ [DOCUMENT] Stored document metadata in local database (retry): ${normalizedResult2.id}`);
+            } catch (dbError) {
+              // Non-critical: silently skip if database not available
+              const isConnectionError = dbError.message && (
+                dbError.message.includes('ECONNREFUSED') || 
+                dbError.message.includes('connect') ||
+                dbError.code === 'ECONNREFUSED'
+              );
+              if (!isConnectionError) {
+                console.warn('⚠️ [DOCUMENT] Failed to store document metadata in database (non-critical):', dbError?.message || dbError);
+              }
+            }
+          }
+          
+          return normalizedResult2;
+        } catch (retryErr) {
+          const e = new Error(`Tebra CreateDocument failed: ${faultMsg}`);
+          e.status = 502;
+          e.code = 'TEBRA_CREATE_DOCUMENT_FAULT';
+          e.details = retryErr?.response?.data || retryErr?.message;
+          throw e;
+        }
+      }
+
+      // Non-fault path: rethrow with mapped status
+      const e = new Error(error?.message || 'CreateDocument failed');
+      e.status = error?.status || 502;
+      e.code = 'TEBRA_CREATE_DOCUMENT_ERROR';
+      e.details = error?.response?.data || undefined;
+      throw e;
+    }
+  }
+
+  async deleteDocument(documentId) {
+    try {
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          DocumentId: documentId
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('DeleteDocument args:', args);
+      const [result] = await client.DeleteDocumentAsync(args);
+      this.logSoapDebug('DeleteDocument result:', result);
+      
+      // Also delete from local database (soft delete)
+      try {
+        const documentService = require('./tebraDocumentService');
+        await documentService.deleteDocument(documentId);
+        console.log(`✅ [DOCUMENT] Deleted document from local database: ${documentId}`);
+      } catch (dbError) {
+        // Non-critical: log but don't fail document deletion
+        console.warn('⚠️ [DOCUMENT] Failed to delete document from database (non-critical):', dbError?.message || dbError);
+      }
+      
+      return { success: 1, tebraResponse: result };
+    } catch (error) {
+      console.error('Tebra SOAP: DeleteDocument error', error.message);
+      throw error;
+    }
+  }
+
+  // Document APIs with local database workaround
+  // NOTE: KareoServices SOAP 2.1 does NOT expose document-listing or document-download operations
+  // (WSDL includes CreateDocument/DeleteDocument only). We store document metadata locally
+  // when creating documents, so we can retrieve them even though Tebra doesn't support listing.
+  async getDocuments({ patientId, label, name }) {
+    if (!patientId) throw new Error('patientId is required');
+  
+    try {
+      const documentService = require('./tebraDocumentService');
+      try {
+        await documentService.initialize(); // Ensure table exists
+      } catch (initError) {
+        // If initialization fails due to connection error, that's okay - we'll return empty list
+        const isConnectionError = initError.message && (
+          initError.message.includes('ECONNREFUSED') || 
+          initError.message.includes('connect') ||
+          initError.code === 'ECONNREFUSED'
+        );
+        if (isConnectionError) {
+          return { documents: [] };
+        }
+        throw initError;
+      }
+    
+      const documents = await documentService.getDocumentsForPatient({ patientId, label, name, tenantId: this.tenantId });
+    
+      // Transform database records to match expected format
+      const transformed = documents.map(doc => ({
+        id: doc.tebra_document_id || doc.id,
+        documentId: doc.tebra_document_id || doc.id,
+        patientId: doc.patient_id,
+        practiceId: doc.practice_id,
+        name: doc.name,
+        fileName: doc.file_name,
+        label: doc.label,
+        status: doc.status,
+        documentDate: doc.document_date,
+        createdAt: doc.created_at,
+        notes: doc.document_notes,
+        fileSize: doc.file_size_bytes,
+        mimeType: doc.mime_type,
+        // Include fileContent if available (for backward compatibility)
+        fileContent: doc.file_content_base64 || null
+      }));
+    
+      return { documents: transformed };
+    } catch (error) {
+      // Check if it's a database connection error
+      const isConnectionError = error.message && (
+        error.message.includes('ECONNREFUSED') || 
+        error.message.includes('connect') ||
+        error.code === 'ECONNREFUSED'
+      );
+    
+      if (isConnectionError) {
+        // Don't log connection errors as errors - they're expected if DB is not running
+        // The calling code can handle this gracefully
+      } else {
+        console.error('❌ [TEBRA] Error getting documents from local database:', error.message);
+      }
+      // Fallback to empty list if database query fails
+      return { documents: [] };
+    }
+  }
+
+  async getDocumentContent(documentId) {
+    if (!documentId) throw new Error('documentId is required');
+  
+    try {
+      const documentService = require('./tebraDocumentService');
+      await documentService.initialize(); // Ensure table exists
+    
+      const doc = await documentService.getDocumentContent(documentId);
+    
+      if (!doc) {
+        return { 
+          fileName: `document-${documentId}.pdf`, 
+          mimeType: 'application/pdf', 
+          base64Content: null 
+        };
+      }
+    
+      // Return document content in expected format
+      return {
+        id: doc.tebra_document_id || doc.id,
+        documentId: doc.tebra_document_id || doc.id,
+        patientId: doc.patient_id,
+        practiceId: doc.practice_id,
+        fileName: doc.file_name,
+        name: doc.name,
+        label: doc.label,
+        status: doc.status,
+        documentDate: doc.document_date,
+        notes: doc.document_notes,
+        mimeType: doc.mime_type || 'application/json',
+        base64Content: doc.file_content_base64 || null,
+        fileSize: doc.file_size_bytes
+      };
+    } catch (error) {
+      console.error('❌ [TEBRA] Error getting document content from local database:', error.message);
+      // Fallback to null content if database query fails
+      return { 
+        fileName: `document-${documentId}.pdf`, 
+        mimeType: 'application/pdf', 
+        base64Content: null 
+      };
+    }
+  }
+}
+
+module.exports = { TebraDocumentClient };
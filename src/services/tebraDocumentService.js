@@ -4,6 +4,7 @@
 // we store document metadata locally when we create documents
 
 const { query } = require('../db/pg');
+const { DEFAULT_TENANT_ID } = require('./tebraTenantService');
 
 /**
  * Store document metadata in local database
@@ -34,7 +35,8 @@ async function storeDocument(params) {
       documentDate,
       documentNotes,
       fileContentBase64,
-      mimeType = 'application/json'
+      mimeType = 'application/json',
+      tenantId = DEFAULT_TENANT_ID
     } = params;
 
     // Calculate file size
@@ -46,8 +48,8 @@ async function storeDocument(params) {
       `INSERT INTO tebra_documents (
         tebra_document_id, patient_id, practice_id, name, file_name, 
         label, status, document_date, document_notes, 
-        file_content_base64, file_size_bytes, mime_type
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        file_content_base64, file_size_bytes, mime_type, tenant_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *`,
       [
         tebraDocumentId,
@@ -61,7 +63,8 @@ async function storeDocument(params) {
         documentNotes || null,
         fileContentBase64 || null,
         fileSizeBytes,
-        mimeType
+        mimeType,
+        tenantId
       ]
     );
 
@@ -80,7 +83,7 @@ async function storeDocument(params) {
  * @param {string} params.name - Optional name filter
  * @returns {Promise<Array>} Array of document records
  */
-async function getDocumentsForPatient({ patientId, label, name }) {
+async function getDocumentsForPatient({ patientId, label, name, tenantId = DEFAULT_TENANT_ID }) {
   try {
     let sql = `
       SELECT 
@@ -99,9 +102,9 @@ async function getDocumentsForPatient({ patientId, label, name }) {
         created_at,
         updated_at
       FROM tebra_documents
-      WHERE patient_id = $1 AND deleted_at IS NULL
+      WHERE patient_id = $1 AND tenant_id = $2 AND deleted_at IS NULL
     `;
-    const params = [String(patientId)];
+    const params = [String(patientId), tenantId];
 
     if (label) {
       sql += ` AND label = $${params.length + 1}`;
@@ -238,6 +241,10 @@ async function initialize() {
       ON tebra_documents(patient_id, deleted_at) 
       WHERE deleted_at IS NULL
     `);
+    // Tebra account (tebraTenantService) the patient and document belong to
+    await query(`
+      ALTER TABLE tebra_documents ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(50) NOT NULL DEFAULT 'default'
+    `);
   } catch (error) {
     // Table might already exist, that's okay
     if (!error.message.includes('already exists')) {
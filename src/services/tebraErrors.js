@@ -0,0 +1,301 @@
+// backend/src/services/tebraErrors.js
+// Typed errors for Tebra SOAP calls.
+// callRawSOAPMethod classifies every failure (SOAP fault, IsError response, failed authentication,
+// HTTP/network error) into one of these classes so callers can tell a misconfigured account from
+// bad input, a missing record, a duplicate or a Tebra outage, and decide whether a retry can help.
+// Each error carries the SOAP method, Tebra fault code, upstream HTTP status and a request context
+// with patient data and credentials redacted, so it is safe to log and report.
+
+const { tryParseXml, readSoapFault, readErrorResponse, readSecurityResponse } = require('./tebraXmlParser');
+
+const REDACTED = '[REDACTED]';
+
+// Request keys whose values are safe to keep in error context (identifiers, dates, statuses, codes)
+const SAFE_CONTEXT_KEY = /(ID|Id|IDs|Ids|Guid|GUID)$|Date$|Time$|Status$|Type$|^Is[A-Z]|Minutes$|^Units$|Code\d*$|^PracticeName$|^TimeZoneOffsetFromGMT$|^MaxAttendees$/;
+
+class TebraError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { code, status, retryable, method, faultCode, httpStatus, context, cause }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.isTebraError = true;
+    this.code = details.code || 'TEBRA_ERROR';
+    this.status = details.status || 502;
+    this.retryable = details.retryable === true;
+    this.method = details.method || null;
+    this.faultCode = details.faultCode || null;
+    this.httpStatus = details.httpStatus || null;
+    this.context = details.context || null;
+    if (details.cause) {
+      Object.defineProperty(this, 'cause', { value: details.cause, enumerable: false });
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      status: this.status,
+      retryable: this.retryable,
+      method: this.method,
+      faultCode: this.faultCode,
+      httpStatus: this.httpStatus,
+      context: this.context
+    };
+  }
+}
+
+// Invalid user name / password, or the user lacks access to the practice (configuration problem)
+class TebraAuthError extends TebraError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TEBRA_AUTH_FAILED', status: 502, ...details, retryable: false });
+  }
+}
+
+class TebraCustomerKeyError extends TebraAuthError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TEBRA_CUSTOMER_KEY_INVALID', ...details });
+  }
+}
+
+// Tebra rejected the request content (missing/invalid fields, unknown reason, malformed message)
+class TebraValidationError extends TebraError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TEBRA_VALIDATION_ERROR', status: 422, ...details, retryable: false });
+  }
+}
+
+class TebraNotFoundError extends TebraError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TEBRA_NOT_FOUND', status: 404, ...details, retryable: false });
+  }
+}
+
+class TebraDuplicateError extends TebraError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TEBRA_DUPLICATE', status: 409, ...details, retryable: false });
+  }
+}
+
+// Tebra-side failure or unreachable service (InternalServiceFault, HTTP 5xx, connection reset)
+class TebraTransientError extends TebraError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TEBRA_UNAVAILABLE', status: 503, ...details, retryable: true });
+  }
+}
+
+class TebraTimeoutError extends TebraTransientError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TEBRA_TIMEOUT', status: 504, ...details });
+  }
+}
+
+// Raised without calling Tebra while the circuit breaker is open (see tebraResilience.js)
+class TebraCircuitOpenError extends TebraTransientError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TEBRA_CIRCUIT_OPEN', ...details });
+    this.retryAfter = details.retryAfter || null; // seconds
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfter: this.retryAfter };
+  }
+}
+
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+/**
+ * Copy request fields/filters for error context, keeping identifiers, dates and statuses and
+ * redacting everything else (names, contact details, notes, credentials, file content)
+ */
+function sanitizeContext(value, key = null, depth = 0) {
+  if (value === undefined || value === null || value === '') return value;
+  if (depth > 5) return REDACTED;
+  if (Array.isArray(value)) return value.map(item => sanitizeContext(item, key, depth + 1));
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+      out[childKey] = sanitizeContext(childValue, childKey, depth + 1);
+    }
+    return out;
+  }
+  if (key && SAFE_CONTEXT_KEY.test(key) && !/password|customerkey/i.test(key)) {
+    const text = String(value);
+    return text.length > 100 ? `${text.slice(0, 100)}…` : value;
+  }
+  return REDACTED;
+}
+
+/**
+ * Pick the error class for a Tebra business error message (IsError / ErrorMessage)
+ */
+function classForMessage(message) {
+  const text = String(message || '');
+  if (/not authori[sz]ed|permission|access denied/i.test(text)) return TebraAuthError;
+  if (/already exists|duplicate|already booked|conflicts? with/i.test(text)) return TebraDuplicateError;
+  if (/not found|does not exist|could not be found|no such|unknown (patient|appointment|encounter|document)/i.test(text)) return TebraNotFoundError;
+  if (/time(d)? ?out|timeout expired/i.test(text)) return TebraTimeoutError;
+  if (/internal error|temporarily unavailable|service unavailable|deadlock|try again later/i.test(text)) return TebraTransientError;
+  return TebraValidationError;
+}
+
+/**
+ * Pick the error class for a SOAP fault code / fault string
+ */
+function classForFault(faultCode, faultString) {
+  const code = String(faultCode || '');
+  if (/DeserializationFailed|ActionNotSupported|InvalidMessage|ContractFilter|(^|:)(Client|Sender)$/i.test(code)) {
+    return TebraValidationError;
+  }
+  if (/InternalServiceFault|(^|:)(Server|Receiver)$/i.test(code)) {
+    return /time(d)? ?out/i.test(String(faultString || '')) ? TebraTimeoutError : TebraTransientError;
+  }
+  return classForMessage(faultString);
+}
+
+/**
+ * Read a SOAP fault out of a response body
+ * @returns {{ faultCode: string, faultString: string }|null}
+ */
+function parseSoapFault(body) {
+  const fault = readSoapFault(typeof body === 'string' ? tryParseXml(body) : null);
+  return fault ? { faultCode: fault.faultCode, faultString: fault.faultString } : null;
+}
+
+/**
+ * Classify a SOAP response body: faults, IsError responses and failed authentication
+ * @returns {TebraError|null} Error to throw, or null when the response is a success
+ */
+function errorFromResponseBody(body, { method = null, context = null, httpStatus = null } = {}) {
+  const details = { method, context, httpStatus };
+  const prefix = `Tebra ${method} API call failed: `;
+
+  const doc = typeof body === 'string' ? tryParseXml(body) : null;
+
+  const fault = readSoapFault(doc);
+  if (fault) {
+    const ErrorClass = classForFault(fault.faultCode, fault.faultString);
+    return new ErrorClass(`${prefix}Tebra SOAP Fault [${fault.faultCode}]: ${fault.faultString}`, { ...details, faultCode: fault.faultCode });
+  }
+
+  const errorResponse = readErrorResponse(doc);
+  if (errorResponse && errorResponse.IsError) {
+    const errorMessage = errorResponse.ErrorMessage || 'Unknown Tebra API error';
+    const ErrorClass = classForMessage(errorMessage);
+    return new ErrorClass(`${prefix}Tebra API Error: ${errorMessage}`, details);
+  }
+
+  const security = readSecurityResponse(doc);
+  if (security && security.CustomerKeyValid === false) {
+    return new TebraCustomerKeyError(`${prefix}Tebra Authentication Error: Invalid customer key`, { ...details, faultCode: 'CustomerKeyInvalid' });
+  }
+
+  if (security && security.Authenticated === false) {
+    const securityMessage = security.SecurityResult || 'Invalid user name and/or password';
+    return new TebraAuthError(`${prefix}Tebra Authentication Error: ${securityMessage}`, { ...details, faultCode: 'NotAuthenticated' });
+  }
+
+  if (httpStatus === 429) {
+    return new TebraTransientError(`${prefix}Tebra rate limit exceeded (HTTP 429)`, details);
+  }
+
+  return null;
+}
+
+/**
+ * Turn any error raised while calling Tebra into a TebraError
+ * @param {Error} error - axios / node-soap / TebraError
+ * @param {Object} options - { method, context }
+ * @returns {TebraError}
+ */
+function classifyTebraError(error, { method = null, context = null } = {}) {
+  if (error && error.isTebraError) return error;
+
+  const reason = error?.message || String(error);
+  const prefix = `Tebra ${method} API call failed: `;
+  const details = { method, context, cause: error };
+  const response = error?.response;
+
+  if (response) {
+    const httpStatus = response.status;
+    const body = typeof response.data === 'string' ? response.data : (error.body || null);
+    const classified = errorFromResponseBody(body, { method, context, httpStatus });
+    if (classified) {
+      Object.defineProperty(classified, 'cause', { value: error, enumerable: false });
+      return classified;
+    }
+    if (httpStatus === 401 || httpStatus === 403) {
+      return new TebraAuthError(`${prefix}${reason}`, { ...details, httpStatus });
+    }
+    if (httpStatus === 404) {
+      // Wrong TEBRA_SOAP_ENDPOINT; repeating the call will not help
+      return new TebraError(`${prefix}Tebra endpoint not found (HTTP 404)`, { ...details, httpStatus, code: 'TEBRA_ENDPOINT_NOT_FOUND' });
+    }
+    if (httpStatus >= 500 || httpStatus === 429 || httpStatus === 408) {
+      const ErrorClass = httpStatus === 408 || httpStatus === 504 ? TebraTimeoutError : TebraTransientError;
+      return new ErrorClass(`${prefix}${reason}`, { ...details, httpStatus });
+    }
+    return new TebraValidationError(`${prefix}${reason}`, { ...details, httpStatus });
+  }
+
+  // node-soap attaches the parsed fault to error.root
+  const soapFault = error?.root?.Envelope?.Body?.Fault;
+  if (soapFault) {
+    const ErrorClass = classForFault(soapFault.faultcode, soapFault.faultstring);
+    return new ErrorClass(`${prefix}${reason}`, { ...details, faultCode: soapFault.faultcode || null });
+  }
+
+  if (TIMEOUT_CODES.includes(error?.code) || /timeout/i.test(reason)) {
+    return new TebraTimeoutError(`${prefix}${reason}`, details);
+  }
+  if (TRANSIENT_NETWORK_CODES.includes(error?.code) || error?.request) {
+    return new TebraTransientError(`${prefix}${reason}`, details);
+  }
+  if (/InternalServiceFault|internal error/i.test(reason)) {
+    return new TebraTransientError(`${prefix}${reason}`, { ...details, faultCode: 'InternalServiceFault' });
+  }
+  return new (classForMessage(reason))(`${prefix}${reason}`, details);
+}
+
+function isTebraError(error) {
+  return Boolean(error && error.isTebraError);
+}
+
+/**
+ * Whether repeating the same call later may succeed (Tebra outage, timeout, rate limit)
+ */
+function isRetryableTebraError(error) {
+  return isTebraError(error) && error.retryable === true;
+}
+
+/**
+ * Whether Tebra rejected the request itself (invalid data, missing record, duplicate);
+ * sending the same request again fails the same way until the data is fixed
+ */
+function isTebraRequestError(error) {
+  return error instanceof TebraValidationError || error instanceof TebraNotFoundError || error instanceof TebraDuplicateError;
+}
+
+module.exports = {
+  TebraError,
+  TebraAuthError,
+  TebraCustomerKeyError,
+  TebraValidationError,
+  TebraNotFoundError,
+  TebraDuplicateError,
+  TebraTransientError,
+  TebraTimeoutError,
+  TebraCircuitOpenError,
+  classifyTebraError,
+  errorFromResponseBody,
+  parseSoapFault,
+  sanitizeContext,
+  isTebraError,
+  isRetryableTebraError,
+  isTebraRequestError
+};
@@ -0,0 +1,892 @@
+// backend/src/services/tebraPatientClient.js
+// Tebra patient operations: create, search, read, update and deactivate patients, and the
+// patient-case update used by billing.
+const { TebraClient } = require('./tebraClient');
+const { patientFieldsBasic, patientFieldsComplete } = require('./tebraPatientFields');
+const { classifyTebraError } = require('./tebraErrors');
+const { tryParseXml, readSoapFault } = require('./tebraXmlParser');
+
+class TebraPatientClient extends TebraClient {
+  constructor(transport) {
+    super(transport);
+    transport.registerEnvelope('CreatePatient', fields => this.generateCreatePatientSOAPXML(fields));
+    transport.registerEnvelope('UpdatePatient', fields => this.generateUpdatePatientSOAPXML(fields));
+  }
+
+  // Generate CreatePatient SOAP XML following official Tebra documentation
+  generateCreatePatientSOAPXML(patientData) {
+    const auth = this.getAuthHeader();
+    
+    // Validate required authentication
+    if (!auth.CustomerKey || !auth.User || !auth.Password) {
+      throw new Error('Missing required authentication for CreatePatient');
+    }
+    
+    // Build patient XML with proper nesting and validation
+    const buildPatientXml = (data, indent = '          ') => {
+      let xml = '';
+      
+      // Define the proper field order for patient data (based on Tebra schema)
+      const fieldOrder = [
+        'FirstName', 'LastName', 'MiddleName', 'Suffix',
+        'DateOfBirth', 'Gender', 'SSN', 'ExternalID',
+        'EmailAddress', 'HomePhone', 'MobilePhone', 'WorkPhone',
+        'Address', 'City', 'State', 'ZipCode', 'Country',
+        'Practice', 'PrimaryProvider', 'DefaultCase'
+      ];
+      
+      // Process fields in the correct order
+      for (const key of fieldOrder) {
+        const value = data[key];
+        if (value === null || value === undefined || value === '') continue;
+        
+        if (typeof value === 'object' && !Array.isArray(value)) {
+          // Handle nested objects like Practice, Address, etc.
+          xml += `${indent}<sch:${key}>\n`;
+          xml += buildPatientXml(value, indent + '  ');
+          xml += `${indent}</sch:${key}>\n`;
+        } else {
+          // Handle simple values with proper XML escaping
+          xml += `${indent}<sch:${key}>${this.xmlEscape(String(value))}</sch:${key}>\n`;
+        }
+      }
+      
+      // Add any remaining fields not in the standard order
+      for (const [key, value] of Object.entries(data)) {
+        if (fieldOrder.includes(key) || value === null || value === undefined || value === '') continue;
+        
+        if (typeof value === 'object' && !Array.isArray(value)) {
+          xml += `${indent}<sch:${key}>\n`;
+          xml += buildPatientXml(value, indent + '  ');
+          xml += `${indent}</sch:${key}>\n`;
+        } else {
+          xml += `${indent}<sch:${key}>${this.xmlEscape(String(value))}</sch:${key}>\n`;
+        }
+      }
+      
+      return xml;
+    };
+    
+    const patientXml = buildPatientXml(patientData);
+    
+    // Generate SOAP envelope following official Tebra format
+    return `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:CreatePatient>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:Patient>
+${patientXml}        </sch:Patient>
+      </sch:request>
+    </sch:CreatePatient>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  // Generate UpdatePatient SOAP XML (RequestHeader + Patient with Practice). xmlEscape on all scalars to avoid InternalServiceFault from special chars in Password or patient data.
+  generateUpdatePatientSOAPXML(fields) {
+    const auth = this.buildRequestHeader();
+    const buildNodeXml = (data, indent = '          ') => {
+      if (!data || typeof data !== 'object') return '';
+      let xml = '';
+      for (const [key, value] of Object.entries(data)) {
+        if (value === null || value === undefined) continue;
+        if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+          const inner = buildNodeXml(value, indent + '   ');
+          xml += `${indent}<sch:${key}>\n${inner}${indent}</sch:${key}>\n`;
+        } else {
+          xml += `${indent}<sch:${key}>${this.xmlEscape(String(value))}</sch:${key}>\n`;
+        }
+      }
+      return xml;
+    };
+    const patientPayload = fields?.Patient && typeof fields.Patient === 'object' ? { ...fields.Patient } : {};
+    if (!patientPayload.Practice && fields?.Practice && typeof fields.Practice === 'object') {
+      patientPayload.Practice = fields.Practice;
+    }
+    const patientXml = buildNodeXml(patientPayload, '          ');
+    return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:UpdatePatient>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:Patient>
+${patientXml}        </sch:Patient>
+      </sch:request>
+    </sch:UpdatePatient>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  async createPatient(userData) {
+    try {
+      // Use raw SOAP if enabled, otherwise use soap library
+      if (this.useRawSOAP) {
+        const patientData = this.buildPatientData(userData);
+        const rawXml = await this.callRawSOAPMethod('CreatePatient', patientData, {});
+        const parsed = this.parseRawSOAPResponse(rawXml, 'CreatePatient');
+
+        // Normalize into { id, patientId, practiceId } for callers like ensureTebraPatient()
+        const result = parsed?.CreatePatientResult || {};
+        const patientNode = result.Patient || {};
+        const id = patientNode.PatientID || patientNode.PatientId || null;
+        const practiceId = patientNode.PracticeID || patientNode.PracticeId || null;
+        if (result.ErrorResponse?.IsError || !id) {
+          const msg = result.ErrorResponse?.ErrorMessage || 'CreatePatient returned no PatientID';
+          const e = new Error(msg);
+          e.code = 'TEBRA_CREATE_PATIENT_FAILED';
+          throw e;
+        }
+        return { id, patientId: id, practiceId };
+      }
+
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          Patient: {
+            FirstName: userData.firstName,
+            LastName: userData.lastName,
+            EmailAddress: userData.email,
+            HomePhone: userData.phone,
+            MobilePhone: userData.mobilePhone,
+            DateofBirth: userData.dateOfBirth,
+            Gender: userData.gender,
+            SocialSecurityNumber: userData.ssn,
+            AddressLine1: userData.address?.street,
+            City: userData.address?.city,
+            State: userData.state,
+            ZipCode: userData.address?.zipCode,
+            Country: userData.address?.country || 'US',
+            PatientExternalID: userData.externalId,
+            Practice: {
+              PracticeID: userData.practice?.PracticeID || userData.practiceId || process.env.TEBRA_PRACTICE_ID || null,
+              PracticeName: userData.practice?.PracticeName || this.practiceName
+            }
+          }
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('CreatePatient args:', args);
+      const [result] = await client.CreatePatientAsync(args);
+      this.logSoapDebug('CreatePatient result:', result);
+      return this.normalizeCreatePatientResponse(result);
+    } catch (error) {
+      // Parse SOAP fault if available
+      let faultMsg = null;
+      try {
+        const xml = error?.response?.data || error?.data || '';
+        const fault = readSoapFault(tryParseXml(xml));
+        if (fault) {
+          faultMsg = /InternalServiceFault/i.test(`${fault.faultCode} ${fault.faultString}`) ? 'InternalServiceFault' : fault.faultString;
+        }
+      } catch (_) {}
+      
+      console.error('Tebra SOAP: CreatePatient error', error.message, faultMsg ? `| Fault: ${faultMsg}` : '');
+      console.error('CreatePatient error details:', {
+        message: error.message,
+        fault: faultMsg,
+        args: this.redactSoapArgs(args)
+      });
+      
+      // If InternalServiceFault, log helpful diagnostic info
+      if (faultMsg && /InternalServiceFault/i.test(faultMsg)) {
+        console.error('⚠️ [TEBRA] InternalServiceFault - Common causes:');
+        console.error('  1. Invalid or missing PracticeID:', args?.request?.Patient?.Practice?.PracticeID || 'MISSING');
+        console.error('  2. Invalid PracticeName:', args?.request?.Patient?.Practice?.PracticeName || 'MISSING');
+        console.error('  3. Missing required patient fields:');
+        console.error('     - firstName:', args?.request?.Patient?.FirstName || 'MISSING');
+        console.error('     - lastName:', args?.request?.Patient?.LastName || 'MISSING');
+        console.error('     - email:', args?.request?.Patient?.EmailAddress || 'MISSING');
+        console.error('     - state:', args?.request?.Patient?.State || 'MISSING');
+        console.error('  4. Invalid data format (dates, phone numbers, etc.)');
+        console.error('  5. Practice ID not found or inactive in Tebra');
+      }
+      
+      throw error;
+    }
+  }
+
+  // Get comprehensive patient fields (all available fields)
+  getPatientFieldsComplete() {
+    return { ...patientFieldsComplete };
+  }
+
+  // Get basic patient fields only
+  getPatientFieldsBasic() {
+    return { ...patientFieldsBasic };
+  }
+
+  // Get patients with basic fields only (matches working client)
+  async getPatientsBasic(options = {}) {
+    const basicFields = this.getPatientFieldsBasic();
+    return await this.getPatients({
+      ...options,
+      fields: basicFields
+    });
+  }
+
+  // Get patients with all available fields (matches working client)
+  async getPatientsComplete(options = {}) {
+    const allFields = this.getPatientFieldsComplete();
+    return await this.getPatients({
+      ...options,
+      fields: allFields
+    });
+  }
+
+  async getPatients(options = {}) {
+    try {
+      // Use raw SOAP if enabled, otherwise use soap library
+      if (this.useRawSOAP) {
+        const fields = options.fields || this.getPatientFieldsBasic();
+        const filters = this.buildPatientFilters(options.searchFilters || options);
+        const result = await this.callRawSOAPMethod('GetPatients', fields, filters);
+        return this.parseRawSOAPResponse(result, 'GetPatients');
+      }
+
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          Fields: options.fields || {
+            // Basic patient information fields
+            ID: 1,
+            FirstName: 1,
+            LastName: 1,
+            PatientFullName: 1,
+            EmailAddress: 1,
+            HomePhone: 1,
+            MobilePhone: 1,
+            WorkPhone: 1,
+            DOB: 1,
+            Gender: 1,
+            SSN: 1,
+            AddressLine1: 1,
+            City: 1,
+            State: 1,
+            ZipCode: 1,
+            Country: 1,
+            MedicalRecordNumber: 1,
+            CreatedDate: 1,
+            LastModifiedDate: 1,
+            PracticeId: 1,
+            PracticeName: 1,
+            // Emergency contact
+            EmergencyName: 1,
+            EmergencyPhone: 1,
+            // Insurance information
+            PrimaryInsurancePolicyCompanyName: 1,
+            PrimaryInsurancePolicyNumber: 1,
+            PrimaryInsurancePolicyPlanName: 1,
+            SecondaryInsurancePolicyCompanyName: 1,
+            SecondaryInsurancePolicyNumber: 1,
+            SecondaryInsurancePolicyPlanName: 1,
+            // Provider information
+            DefaultRenderingProviderFullName: 1,
+            PrimaryCarePhysicianFullName: 1,
+            ReferringProviderFullName: 1,
+            // Service location
+            DefaultServiceLocationName: 1,
+            DefaultServiceLocationId: 1,
+            // Recent activity
+            LastAppointmentDate: 1,
+            LastEncounterDate: 1,
+            LastDiagnosis: 1,
+            // Notes
+            StatementNote: 1,
+            MostRecentNote1Message: 1,
+            MostRecentNote1Date: 1,
+            MostRecentNote1User: 1,
+            // Financial information
+            PatientBalance: 1,
+            InsuranceBalance: 1,
+            TotalBalance: 1,
+            PatientPayments: 1,
+            InsurancePayments: 1,
+            Charges: 1,
+            Adjustments: 1,
+            LastPaymentDate: 1,
+            LastStatementDate: 1
+          },
+          Filter: this.buildPatientFilters(options.searchFilters)
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('GetPatients args:', args);
+      const [result] = await client.GetPatientsAsync(args);
+      this.logSoapDebug('GetPatients result:', result);
+      return this.normalizeGetPatientsResponse(result);
+    } catch (error) {
+      this.handleSOAPError(error, 'GetPatients', { options });
+    }
+  }
+
+  // Search patients with specific criteria
+  async searchPatients(searchOptions = {}) {
+    try {
+      this.logSoapDebug('🔍 Searching patients with criteria:', searchOptions);
+      
+      // Build search filters based on the search options (keys as buildPatientFilters reads them)
+      const searchFilters = {};
+      
+      if (searchOptions.firstName) {
+        searchFilters.firstName = searchOptions.firstName;
+      }
+      
+      if (searchOptions.lastName) {
+        searchFilters.lastName = searchOptions.lastName;
+      }
+      
+      if (searchOptions.email) {
+        searchFilters.EmailAddress = searchOptions.email;
+      }
+
+      // Use the existing getPatients method with search filters
+      const result = await this.getPatients({
+        searchFilters: searchFilters
+      });
+
+      // Handle the nested structure returned by getPatients
+      const patientsData = result.GetPatientsResult || result;
+      
+      return {
+        patients: patientsData.Patients || patientsData.patients || [],
+        totalCount: patientsData.TotalCount || patientsData.totalCount || 0
+      };
+    } catch (error) {
+      console.error('❌ Error searching patients:', error);
+      throw error;
+    }
+  }
+
+  // Map gender values to Tebra API enum values
+  mapGenderToTebraEnum(gender) {
+    if (!gender) return null;
+    
+    const genderLower = gender.toLowerCase();
+    switch (genderLower) {
+      case 'male':
+      case 'm':
+        return 'Male'; // Try capitalized version first
+      case 'female':
+      case 'f':
+        return 'Female'; // Try capitalized version first
+      default:
+        console.warn(`⚠️ Unknown gender value: ${gender}, using as-is`);
+        return gender;
+    }
+  }
+
+  // Format phone number for Tebra API (max 10 characters)
+  formatPhoneForTebra(phone) {
+    if (!phone) return null;
+    
+    // Remove all non-digit characters
+    const digitsOnly = phone.replace(/\D/g, '');
+    
+    // If it's an international number (more than 10 digits), take the last 10 digits
+    if (digitsOnly.length > 10) {
+      const last10Digits = digitsOnly.slice(-10);
+      this.logSoapDebug('📞 Phone number formatted (last 10 digits):', {
+        original: phone,
+        formatted: last10Digits
+      });
+      return last10Digits;
+    }
+    
+    // If it's exactly 10 digits or less, return as-is
+    if (digitsOnly.length <= 10) {
+      return digitsOnly;
+    }
+    
+    return phone; // Fallback
+  }
+
+  // Build patient data for CreatePatient SOAP call
+  buildPatientData(userData) {
+    this.logSoapDebug('🔍 Building patient data from:', userData);
+    
+    // Build patient data in the correct order according to SOAP schema
+    const patientData = {};
+    
+    // Add fields in the correct order as per SOAP schema
+    if (userData.address?.street) patientData.AddressLine1 = userData.address.street;
+    if (userData.address?.addressLine2) patientData.AddressLine2 = userData.address.addressLine2;
+    
+    if (userData.address?.city) patientData.City = userData.address.city;
+    if (userData.collectionCategoryName) patientData.CollectionCategoryName = userData.collectionCategoryName;
+    if (userData.address?.country) patientData.Country = userData.address.country;
+    if (userData.dateOfBirth) patientData.DateofBirth = userData.dateOfBirth;
+    
+    if (userData.email) patientData.EmailAddress = userData.email;
+    if (userData.emergencyName) patientData.EmergencyName = userData.emergencyName;
+    if (userData.emergencyPhone) patientData.EmergencyPhone = userData.emergencyPhone;
+    if (userData.emergencyPhoneExt) patientData.EmergencyPhoneExt = userData.emergencyPhoneExt;
+    
+    if (userData.firstName) patientData.FirstName = userData.firstName;
+    if (userData.gender) patientData.Gender = this.mapGenderToTebraEnum(userData.gender);
+    
+    if (userData.phone) patientData.HomePhone = this.formatPhoneForTebra(userData.phone);
+    if (userData.homePhoneExt) patientData.HomePhoneExt = userData.homePhoneExt;
+    
+    if (userData.lastName) patientData.LastName = userData.lastName;
+    if (userData.maritalStatus) patientData.MaritalStatus = userData.maritalStatus;
+    if (userData.medicalRecordNumber) patientData.MedicalRecordNumber = userData.medicalRecordNumber;
+    if (userData.middleName) patientData.MiddleName = userData.middleName;
+    
+    if (userData.mobilePhone) patientData.MobilePhone = this.formatPhoneForTebra(userData.mobilePhone);
+    if (userData.mobilePhoneExt) patientData.MobilePhoneExt = userData.mobilePhoneExt;
+    if (userData.note) patientData.Note = userData.note;
+    if (userData.externalId) patientData.PatientExternalID = userData.externalId;
+    
+    // Practice must come after PatientExternalID
+    patientData.Practice = {
+      PracticeID: userData.practice?.PracticeID || userData.practiceId || process.env.TEBRA_PRACTICE_ID || null,
+      PracticeName: userData.practice?.PracticeName || userData.practiceName || this.practiceName
+    };
+    
+    if (userData.prefix) patientData.Prefix = userData.prefix;
+    if (userData.primaryCarePhysician) patientData.PrimaryCarePhysician = userData.primaryCarePhysician;
+    if (userData.referralSource) patientData.ReferralSource = userData.referralSource;
+    if (userData.referringProvider) patientData.ReferringProvider = userData.referringProvider;
+    
+    if (userData.ssn) patientData.SocialSecurityNumber = userData.ssn;
+    
+    // State must come after SocialSecurityNumber and before Suffix
+    if (userData.state) patientData.State = userData.state;
+    
+    if (userData.suffix) patientData.Suffix = userData.suffix;
+    if (userData.workPhone) patientData.WorkPhone = this.formatPhoneForTebra(userData.workPhone);
+    if (userData.workPhoneExt) patientData.WorkPhoneExt = userData.workPhoneExt;
+    if (userData.address?.zipCode) patientData.ZipCode = userData.address.zipCode;
+    
+    // Remove undefined/null values from patient data
+    const cleanPatientData = {};
+    for (const [key, value] of Object.entries(patientData)) {
+      if (value !== undefined && value !== null && value !== '') {
+        if (typeof value === 'object' && !Array.isArray(value)) {
+          // Handle nested objects like Practice
+          const cleanNested = {};
+          for (const [nestedKey, nestedValue] of Object.entries(value)) {
+            if (nestedValue !== undefined && nestedValue !== null && nestedValue !== '') {
+              cleanNested[nestedKey] = nestedValue;
+            }
+          }
+          if (Object.keys(cleanNested).length > 0) {
+            cleanPatientData[key] = cleanNested;
+          }
+        } else {
+          cleanPatientData[key] = value;
+        }
+      }
+    }
+
+    this.logSoapDebug('🔍 Built patient data:', cleanPatientData);
+    return cleanPatientData;
+  }
+
+  // Build patient filters from options
+  buildPatientFilters(options) {
+    // Handle undefined or null options
+    if (!options || typeof options !== 'object') {
+      console.warn('⚠️ buildPatientFilters: options is undefined or not an object, returning empty filters');
+      return {};
+    }
+
+    // Helper function to safely get property value
+    const safeGet = (obj, prop) => {
+      try {
+        return obj && obj.hasOwnProperty(prop) ? obj[prop] : undefined;
+      } catch (error) {
+        console.warn(`⚠️ buildPatientFilters: Error accessing property '${prop}':`, error.message);
+        return undefined;
+      }
+    };
+
+    const filters = {
+      // Basic filters
+      FirstName: safeGet(options, 'firstName'),
+      LastName: safeGet(options, 'lastName'),
+      MiddleName: safeGet(options, 'middleName'),
+      FullName: safeGet(options, 'fullName'),
+      Gender: safeGet(options, 'gender'),
+      SSN: safeGet(options, 'ssn'),
+      PracticeID: safeGet(options, 'practiceId'),
+      PracticeName: safeGet(options, 'practiceName'),
+      EmailAddress: safeGet(options, 'EmailAddress'),
+      // Provider filters
+      DefaultRenderingProviderFullName: safeGet(options, 'defaultRenderingProvider'),
+      PrimaryCarePhysicianFullName: safeGet(options, 'primaryCarePhysician'),
+      ReferringProviderFullName: safeGet(options, 'referringProvider'),
+      // Service location filters
+      DefaultServiceLocationName: safeGet(options, 'defaultServiceLocation'),
+      // Insurance filters
+      PrimaryInsurancePolicyCompanyName: safeGet(options, 'primaryInsuranceCompany'),
+      PrimaryInsurancePolicyPlanName: safeGet(options, 'primaryInsurancePlan'),
+      SecondaryInsurancePolicyCompanyName: safeGet(options, 'secondaryInsuranceCompany'),
+      SecondaryInsurancePolicyPlanName: safeGet(options, 'secondaryInsurancePlan'),
+      // Case filters
+      DefaultCasePayerScenario: safeGet(options, 'payerScenario'),
+      CollectionCategoryName: safeGet(options, 'collectionCategory'),
+      // Date range filters
+      FromCreatedDate: safeGet(options, 'fromCreatedDate'),
+      ToCreatedDate: safeGet(options, 'toCreatedDate'),
+      FromDateOfBirth: safeGet(options, 'fromDateOfBirth'),
+      ToDateOfBirth: safeGet(options, 'toDateOfBirth'),
+      FromLastEncounterDate: safeGet(options, 'fromLastEncounterDate'),
+      ToLastEncounterDate: safeGet(options, 'toLastEncounterDate'),
+      FromLastModifiedDate: safeGet(options, 'fromLastModifiedDate'),
+      ToLastModifiedDate: safeGet(options, 'toLastModifiedDate'),
+      // Other filters
+      ReferralSource: safeGet(options, 'referralSource')
+    };
+
+    // Remove undefined/null values
+    const cleanFilters = {};
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        cleanFilters[key] = value;
+      }
+    }
+
+    return cleanFilters;
+  }
+
+  async getPatient(patientId, options = {}) {
+    try {
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          Filter: {
+            PatientID: patientId,
+            ExternalID: options.externalId,
+            ExternalVendorID: options.externalVendorId
+          }
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('GetPatient args:', args);
+      const [result] = await client.GetPatientAsync(args);
+      this.logSoapDebug('GetPatient result:', result);
+      return this.normalizeGetPatientResponse(result);
+    } catch (error) {
+      // Parse SOAP fault if available
+      let faultMsg = null;
+      let isInternalFault = false;
+      try {
+        const xml = error?.response?.data || error?.data || error?.message || '';
+        if (typeof xml === 'string') {
+          if (/InternalServiceFault/i.test(xml)) {
+            isInternalFault = true;
+            faultMsg = 'InternalServiceFault';
+          } else {
+            const fault = readSoapFault(tryParseXml(xml));
+            faultMsg = fault ? fault.faultString : null;
+            if (/InternalServiceFault/i.test(faultMsg || '')) {
+              isInternalFault = true;
+              faultMsg = 'InternalServiceFault';
+            }
+          }
+        }
+        // Also check error.message directly
+        if (!faultMsg && /InternalServiceFault/i.test(error?.message || '')) {
+          isInternalFault = true;
+          faultMsg = 'InternalServiceFault';
+        }
+      } catch (_) {}
+      
+      // InternalServiceFault is a Tebra server-side issue, not our code issue.
+      // Log as warning to reduce noise, but still throw so callers can handle gracefully.
+      if (isInternalFault) {
+        console.warn('⚠️ [TEBRA] GetPatient InternalServiceFault (Tebra server-side error) for patientId:', patientId, '|', faultMsg || error.message);
+        console.warn('   This is typically a temporary Tebra server issue. Chart endpoint will continue with other data.');
+      } else {
+        console.error('Tebra SOAP: GetPatient error', error.message, faultMsg ? `| Fault: ${faultMsg}` : '');
+      }
+      
+      throw error;
+    }
+  }
+
+  async updatePatient(patientId, updates) {
+    try {
+      // Build the request structure per Tebra 4.21: RequestHeader (CustomerKey, User, Password only), Patient (includes Practice).
+      // RequestHeader must NOT include PracticeId (Tebra 2.3). Practice is nested under Patient.
+      const patientPractice = {
+        PracticeID: updates.practice?.id || process.env.TEBRA_PRACTICE_ID,
+        PracticeName: this.practiceName || updates.practice?.name
+      };
+      if (!patientPractice.PracticeID && !patientPractice.PracticeName) {
+        patientPractice.PracticeID = process.env.TEBRA_PRACTICE_ID || '1';
+      }
+      const args = {
+        UpdatePatientReq: {
+          RequestHeader: this.buildRequestHeader(),
+          Patient: {
+            PatientID: patientId,
+            FirstName: updates.firstName,
+            LastName: updates.lastName,
+            MiddleName: updates.middleName,
+            EmailAddress: updates.email,
+            HomePhone: this._sanitizePhoneForUpdate(updates.phone),
+            MobilePhone: this._sanitizePhoneForUpdate(updates.mobilePhone),
+            WorkPhone: this._sanitizePhoneForUpdate(updates.workPhone),
+            DateofBirth: updates.dateOfBirth,
+            Gender: updates.gender,
+            SocialSecurityNumber: updates.ssn,
+            MedicalRecordNumber: updates.medicalRecordNumber,
+            AddressLine1: updates.address?.street,
+            AddressLine2: updates.address?.street2,
+            City: updates.address?.city,
+            State: updates.state,
+            ZipCode: updates.address?.zipCode,
+            Country: updates.address?.country || 'US',
+            PatientExternalID: updates.externalId,
+            // Emergency contact
+            EmergencyName: updates.emergencyContact?.name,
+            EmergencyPhone: this._sanitizePhoneForUpdate(updates.emergencyContact?.phone),
+            EmergencyPhoneExt: updates.emergencyContact?.phoneExt,
+            // Employer information
+            Employer: updates.employer && {
+              EmployerName: updates.employer.name,
+              AddressLine1: updates.employer.address?.street,
+              AddressLine2: updates.employer.address?.street2,
+              City: updates.employer.address?.city,
+              State: updates.employer.address?.state,
+              ZipCode: updates.employer.address?.zipCode,
+              Country: updates.employer.address?.country || 'US',
+              EmploymentStatus: updates.employer.employmentStatus
+            },
+            // Guarantor information
+            Guarantor: updates.guarantor && {
+              FirstName: updates.guarantor.firstName,
+              LastName: updates.guarantor.lastName,
+              MiddleName: updates.guarantor.middleName,
+              DifferentThanPatient: updates.guarantor.differentThanPatient,
+              RelationshiptoGuarantor: updates.guarantor.relationship,
+              AddressLine1: updates.guarantor.address?.street,
+              AddressLine2: updates.guarantor.address?.street2,
+              City: updates.guarantor.address?.city,
+              State: updates.guarantor.address?.state,
+              ZipCode: updates.guarantor.address?.zipCode,
+              Country: updates.guarantor.address?.country || 'US'
+            },
+            // Provider information
+            DefaultRenderingProvider: updates.defaultRenderingProvider && {
+              ProviderID: updates.defaultRenderingProvider.id || '1',
+              FullName: updates.defaultRenderingProvider.fullName,
+              ExternalID: updates.defaultRenderingProvider.externalId
+            },
+            PrimaryCarePhysician: updates.primaryCarePhysician && {
+              PhysicianID: updates.primaryCarePhysician.id,
+              FullName: updates.primaryCarePhysician.fullName,
+              ExternalID: updates.primaryCarePhysician.externalId
+            },
+            ReferringProvider: updates.referringProvider && {
+              ProviderID: updates.referringProvider.id || '1',
+              FullName: updates.referringProvider.fullName,
+              ExternalID: updates.referringProvider.externalId
+            },
+            // Service location
+            DefaultServiceLocation: updates.defaultServiceLocation && {
+              LocationID: updates.defaultServiceLocation.id,
+              LocationName: updates.defaultServiceLocation.name,
+              AddressLine1: updates.defaultServiceLocation.address?.street,
+              AddressLine2: updates.defaultServiceLocation.address?.street2,
+              City: updates.defaultServiceLocation.address?.city,
+              State: updates.defaultServiceLocation.address?.state,
+              ZipCode: updates.defaultServiceLocation.address?.zipCode,
+              Country: updates.defaultServiceLocation.address?.country || 'US',
+              Phone: updates.defaultServiceLocation.phone,
+              PhoneExt: updates.defaultServiceLocation.phoneExt,
+              FaxPhone: updates.defaultServiceLocation.faxPhone,
+              FaxPhoneExt: updates.defaultServiceLocation.faxPhoneExt,
+              BillingName: updates.defaultServiceLocation.billingName,
+              NPI: updates.defaultServiceLocation.npi,
+              CLIANumber: updates.defaultServiceLocation.cliaNumber,
+              FacilityID: updates.defaultServiceLocation.facilityId,
+              FacilityIDType: updates.defaultServiceLocation.facilityIdType,
+              POS: updates.defaultServiceLocation.pos
+            },
+            // Additional fields
+            Prefix: updates.prefix,
+            Suffix: updates.suffix,
+            MaritalStatus: updates.maritalStatus,
+            ReferralSource: updates.referralSource,
+            Note: updates.note,
+            CollectionCategoryName: updates.collectionCategoryName,
+            ExternalVendorID: updates.externalVendorId,
+            // Alert information
+            Alert: updates.alert && {
+              Message: updates.alert.message,
+              ShowWhenDisplayingPatientDetails: updates.alert.showWhenDisplayingPatientDetails,
+              ShowWhenEnteringEncounters: updates.alert.showWhenEnteringEncounters,
+              ShowWhenPostingPayments: updates.alert.showWhenPostingPayments,
+              ShowWhenPreparingPatientStatements: updates.alert.showWhenPreparingPatientStatements,
+              ShowWhenSchedulingAppointments: updates.alert.showWhenSchedulingAppointments,
+              ShowWhenViewingClaimDetails: updates.alert.showWhenViewingClaimDetails
+            },
+            Practice: patientPractice
+          }
+        }
+      };
+
+      // Raw SOAP path: Tebra 4.21.1 – RequestHeader; Patient (PatientID, FirstName, LastName) with Practice (one of PracticeID, PracticeName). On InternalServiceFault, fallback to node-soap.
+      if (this.useRawSOAP) {
+        const P = args.UpdatePatientReq.Patient;
+        const minimalPatient = {
+          PatientID: P.PatientID,
+          FirstName: (P.FirstName != null && P.FirstName !== '') ? P.FirstName : 'Unknown',
+          LastName: (P.LastName != null && P.LastName !== '') ? P.LastName : 'Unknown'
+        };
+        const pId = args.UpdatePatientReq.Patient?.Practice?.PracticeID ?? process.env.TEBRA_PRACTICE_ID;
+        const pName = args.UpdatePatientReq.Patient?.Practice?.PracticeName ?? this.practiceName;
+        const practice = {};
+        if (pId != null && String(pId).trim() !== '') practice.PracticeID = pId;
+        if (pName != null && String(pName).trim() !== '') practice.PracticeName = pName;
+        if (Object.keys(practice).length === 0) practice.PracticeID = process.env.TEBRA_PRACTICE_ID || '1';
+        minimalPatient.Practice = practice;
+        const payload = { Patient: minimalPatient };
+        try {
+          const rawXml = await this.callRawSOAPMethod('UpdatePatient', payload, {});
+          const fault = readSoapFault(tryParseXml(rawXml));
+          if (fault) {
+            const msg = fault.faultString;
+            if (/internal error|InternalServiceFault/i.test(msg)) {
+              console.warn('[TEBRA] UpdatePatient raw SOAP InternalServiceFault, falling back to node-soap');
+              this.cleanRequestData(args);
+              const client = await this.getClient();
+              const [result] = await client.UpdatePatientAsync(args);
+              return this.normalizeGetPatientResponse(result);
+            }
+            throw new Error(msg);
+          }
+          const parsed = this.parseRawSOAPResponse(rawXml, 'UpdatePatient');
+          const errResp = parsed?.UpdatePatientResult?.ErrorResponse;
+          if (errResp && errResp.IsError === true) throw new Error(errResp.ErrorMessage || 'UpdatePatient failed');
+          return this.normalizeGetPatientResponse(parsed?.UpdatePatientResult || parsed) || { success: true };
+        } catch (rawErr) {
+          if (/internal error|InternalServiceFault/i.test(String(rawErr.message || rawErr))) {
+            console.warn('[TEBRA] UpdatePatient raw SOAP failed, falling back to node-soap:', rawErr.message);
+            this.cleanRequestData(args);
+            const client = await this.getClient();
+            const [result] = await client.UpdatePatientAsync(args);
+            return this.normalizeGetPatientResponse(result);
+          }
+          throw rawErr;
+        }
+      }
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      const client = await this.getClient();
+      this.logSoapArgs('UpdatePatient args:', args);
+      const [result] = await client.UpdatePatientAsync(args);
+      this.logSoapDebug('UpdatePatient result:', result);
+      return this.normalizeGetPatientResponse(result);
+    } catch (error) {
+      console.error('Tebra SOAP: UpdatePatient error', error.message);
+      throw error;
+    }
+  }
+
+  async deactivatePatient(patientId) {
+    try {
+      const client = await this.getClient();
+      
+      // Build the request structure according to the SOAP API
+      const args = {
+        request: {
+          RequestHeader: this.buildRequestHeader(),
+          PatientID: patientId
+        }
+      };
+
+      // Remove undefined/null values to avoid sending '?' placeholders
+      this.cleanRequestData(args);
+      
+      this.logSoapArgs('DeactivatePatient args:', args);
+      const [result] = await client.DeactivatePatientAsync(args);
+      this.logSoapDebug('DeactivatePatient result:', result);
+      return { success: 1, tebraResponse: result };
+    } catch (error) {
+      console.error('Tebra SOAP: DeactivatePatient error', error.message);
+      throw error;
+    }
+  }
+
+  // ============================================
+  // PATIENT CASE MANAGEMENT
+  // ============================================
+
+  /**
+   * Update Primary Patient Case
+   * Reference: Official API Guide Section 4.22
+   */
+  async updatePrimaryPatientCase(patientCaseId) {
+    try {
+      const auth = this.getAuthHeader();
+      
+      const soapXml = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/">
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:UpdatePrimaryPatientCase>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <sch:PatientCaseID>${this.xmlEscape(String(patientCaseId))}</sch:PatientCaseID>
+      </sch:request>
+    </sch:UpdatePrimaryPatientCase>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+
+      const data = await this.send('UpdatePrimaryPatientCase', soapXml);
+
+      const success = this.parseRawSOAPResponse(data, 'UpdatePrimaryPatientCase').UpdatePrimaryPatientCaseResult?.Success === true;
+
+      return {
+        success,
+        raw: data
+      };
+    } catch (error) {
+      console.error('❌ [TEBRA] Error updating primary patient case:', error.message);
+      throw classifyTebraError(error, { method: 'UpdatePrimaryPatientCase' });
+    }
+  }
+}
+
+module.exports = { TebraPatientClient };
@@ -0,0 +1,464 @@
+// backend/src/services/tebraReferenceDataService.js
+// Local copy of Tebra reference data: practices, providers, service locations, appointment reasons
+// and procedure codes, per Tebra tenant, in tebra_reference_records.
+// - sync(): scheduled (TEBRA_REFERENCE_SYNC_CRON) or admin-triggered. Records are compared by content
+//   hash; each run in tebra_reference_sync_runs lists what was added, changed or removed. Records missing
+//   from a run are deactivated, but only for lists Tebra returned in full (a failed call removes nothing).
+// - listRecords(): read endpoints serve the local copy instead of calling Tebra.
+// - State mappings: admins map a state to a synced practice/provider/service location/reason in
+//   tebra_state_mappings; applyStateMappings() overlays them on providerMapping (env values stay the
+//   fallback for fields a mapping leaves empty and for unmapped states).
+
+const crypto = require('crypto');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const providerMapping = require('../config/providerMapping');
+const tebraService = require('./tebraService');
+const tebraTenantService = require('./tebraTenantService');
+const cacheService = require('./cacheService');
+
+const RECORD_TYPES = ['practice', 'provider', 'service_location', 'appointment_reason', 'procedure_code'];
+// Types listed per practice; the others are account-wide (practice_id '')
+const PRACTICE_TYPES = ['provider', 'service_location', 'appointment_reason'];
+const STATE_PATTERN = /^[A-Z]{2}$/;
+const MAX_STORED_CHANGES = 500;
+// Live Tebra caches built from the same data
+const CACHE_PATTERNS = ['sxrx:practices:*', 'sxrx:providers:*', 'sxrx:provider:*'];
+
+function referenceError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function contentHash(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+function toRecord(id, name, data) {
+  return id ? { id: String(id), name: name ? String(name).slice(0, 255) : null, data } : null;
+}
+
+function providerName(provider) {
+  return provider.fullName || [provider.firstName, provider.lastName].filter(Boolean).join(' ') || null;
+}
+
+// Fetch one list from Tebra; failures are recorded and leave the list out of the run
+async function fetchScope(scopes, errors, type, practiceId, fetch) {
+  try {
+    const records = (await fetch()).filter(Boolean);
+    scopes.push({ type, practiceId, records });
+    return records;
+  } catch (error) {
+    errors.push({ type, practiceId: practiceId || null, message: error.message });
+    logger.warn('[TEBRA_REFERENCE] Could not fetch reference data', { type, practiceId, error: error.message });
+    return null;
+  }
+}
+
+function rowToRecord(row) {
+  return {
+    tenantId: row.tenant_id,
+    type: row.record_type,
+    id: row.tebra_id,
+    practiceId: row.practice_id || null,
+    name: row.name,
+    active: row.active,
+    data: row.data,
+    firstSyncedAt: row.first_synced_at,
+    lastSyncedAt: row.last_synced_at,
+    changedAt: row.changed_at,
+    removedAt: row.removed_at
+  };
+}
+
+function rowToRun(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    trigger: row.trigger,
+    status: row.status,
+    summary: row.summary,
+    changes: row.changes,
+    error: row.error_message,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+function rowToStateMapping(row) {
+  return {
+    state: row.state,
+    tenantId: row.tenant_id,
+    practiceId: row.practice_id,
+    providerId: row.provider_id,
+    serviceLocationId: row.service_location_id,
+    appointmentReasonId: row.appointment_reason_id,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+class TebraReferenceDataService {
+  constructor() {
+    this.running = new Set();
+    this.envMapping = null;
+  }
+
+  /**
+   * Sync reference data for one tenant, or every tenant with credentials
+   * @param {Object} options - { tenantId, trigger: 'cron' | 'admin' }
+   * @returns {Promise<Array>} One run per tenant: { id, tenantId, status, summary, changes, error }
+   */
+  async sync({ tenantId, trigger = 'cron' } = {}) {
+    const tenantIds = tenantId
+      ? [tebraTenantService.getTenant(tenantId).id]
+      : tebraTenantService.listTenants().filter(tenant => tenant.hasCredentials).map(tenant => tenant.id);
+
+    const runs = [];
+    for (const id of tenantIds) {
+      if (this.running.has(id)) {
+        if (tenantId) {
+          throw referenceError(`Reference data sync already running for tenant ${id}`, 409, 'TEBRA_REFERENCE_SYNC_RUNNING');
+        }
+        logger.info('[TEBRA_REFERENCE] Sync already running, skipping tenant', { tenantId: id });
+        continue;
+      }
+      runs.push(await this.syncTenant(id, trigger));
+    }
+    return runs;
+  }
+
+  async syncTenant(tenantId, trigger) {
+    this.running.add(tenantId);
+    try {
+      const { rows: [runRow] } = await query(
+        'INSERT INTO tebra_reference_sync_runs (tenant_id, trigger) VALUES ($1, $2) RETURNING *',
+        [tenantId, trigger]
+      );
+      try {
+        const { scopes, errors, practiceIds } = await this.fetchTenant(tenantId);
+        const { summary, changes } = await this.store(tenantId, scopes, practiceIds);
+
+        const status = errors.length === 0 ? 'succeeded' : (scopes.length ? 'partial' : 'failed');
+        const errorMessage = errors.length
+          ? errors.map(error => `${error.type}${error.practiceId ? ` (practice ${error.practiceId})` : ''}: ${error.message}`).join('; ')
+          : null;
+        const { rows: [finished] } = await query(
+          `UPDATE tebra_reference_sync_runs
+           SET status = $2, summary = $3, changes = $4, error_message = $5, finished_at = NOW()
+           WHERE id = $1 RETURNING *`,
+          [runRow.id, status, JSON.stringify(summary), JSON.stringify(changes.slice(0, MAX_STORED_CHANGES)), errorMessage]
+        );
+
+        if (changes.length) {
+          logger.info('[TEBRA_REFERENCE] Reference data changed', { tenantId, runId: runRow.id, summary });
+          await Promise.all(CACHE_PATTERNS.map(pattern => cacheService.deletePattern(pattern)));
+          // Practice names shown in mappings may have changed
+          await this.applyStateMappings();
+        }
+        return rowToRun(finished);
+      } catch (error) {
+        logger.error('[TEBRA_REFERENCE] Reference data sync failed', { tenantId, runId: runRow.id, error: error.message });
+        await query(
+          `UPDATE tebra_reference_sync_runs SET status = 'failed', error_message = $2, finished_at = NOW() WHERE id = $1`,
+          [runRow.id, error.message]
+        ).catch(() => {});
+        return { id: runRow.id, tenantId, trigger, status: 'failed', summary: {}, changes: [], error: error.message };
+      }
+    } finally {
+      this.running.delete(tenantId);
+    }
+  }
+
+  // Every reference list of the tenant; practice lists are fetched for each synced practice
+  async fetchTenant(tenantId) {
+    const tebra = tebraService.forTenant(tenantId);
+    const scopes = [];
+    const errors = [];
+
+    const practices = await fetchScope(scopes, errors, 'practice', '', async () => {
+      const { practices: list = [] } = (await tebra.getPractices()) || {};
+      return list.map(practice => toRecord(practice.id, practice.name, practice));
+    });
+
+    for (const practice of practices || []) {
+      await fetchScope(scopes, errors, 'provider', practice.id, async () => {
+        const { providers = [] } = (await tebra.getProviders({ practiceId: practice.id })) || {};
+        return providers.map(provider => toRecord(provider.id, providerName(provider), provider));
+      });
+      await fetchScope(scopes, errors, 'service_location', practice.id, async () => {
+        const { serviceLocations = [] } = (await tebra.getServiceLocations({ practiceId: practice.id, practiceName: practice.name })) || {};
+        return serviceLocations.map(location => toRecord(location.id, location.name, location));
+      });
+      await fetchScope(scopes, errors, 'appointment_reason', practice.id, async () => {
+        const { appointmentReasons = [] } = (await tebra.getAppointmentReasons(practice.id)) || {};
+        return appointmentReasons.map(reason => toRecord(reason.id, reason.name, reason));
+      });
+    }
+
+    await fetchScope(scopes, errors, 'procedure_code', '', async () => {
+      const { procedureCodes = [] } = (await tebra.getProcedureCodes()) || {};
+      return procedureCodes.map(code => toRecord(code.id, [code.procedureCode, code.officialName].filter(Boolean).join(' '), code));
+    });
+
+    return { scopes, errors, practiceIds: practices ? new Set(practices.map(practice => practice.id)) : null };
+  }
+
+  // Compare fetched lists with the stored records and write the differences
+  async store(tenantId, scopes, practiceIds) {
+    const { rows } = await query(
+      'SELECT record_type, practice_id, tebra_id, name, content_hash, active FROM tebra_reference_records WHERE tenant_id = $1',
+      [tenantId]
+    );
+    const stored = new Map(rows.map(row => [`${row.record_type}|${row.practice_id}|${row.tebra_id}`, row]));
+    const summary = Object.fromEntries(RECORD_TYPES.map(type => [type, { added: 0, changed: 0, removed: 0, unchanged: 0 }]));
+    const changes = [];
+    const seen = new Set();
+    const complete = new Set(scopes.map(scope => `${scope.type}|${scope.practiceId}`));
+
+    for (const scope of scopes) {
+      const unchanged = [];
+      for (const record of scope.records) {
+        const key = `${scope.type}|${scope.practiceId}|${record.id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const hash = contentHash(record.data);
+        const existing = stored.get(key);
+        if (existing && existing.active && existing.content_hash === hash) {
+          unchanged.push(record.id);
+          continue;
+        }
+        await query(
+          `INSERT INTO tebra_reference_records (tenant_id, record_type, practice_id, tebra_id, name, data, content_hash)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (tenant_id, record_type, practice_id, tebra_id) DO UPDATE SET
+             name = EXCLUDED.name,
+             data = EXCLUDED.data,
+             content_hash = EXCLUDED.content_hash,
+             active = TRUE,
+             removed_at = NULL,
+             last_synced_at = NOW(),
+             changed_at = NOW()`,
+          [tenantId, scope.type, scope.practiceId, record.id, record.name, JSON.stringify(record.data), hash]
+        );
+        // A record that comes back after being removed counts as added
+        const change = existing && existing.active ? 'changed' : 'added';
+        summary[scope.type][change] += 1;
+        changes.push({ change, type: scope.type, practiceId: scope.practiceId || null, id: record.id, name: record.name });
+      }
+      if (unchanged.length) {
+        await query(
+          `UPDATE tebra_reference_records SET last_synced_at = NOW()
+           WHERE tenant_id = $1 AND record_type = $2 AND practice_id = $3 AND tebra_id = ANY($4)`,
+          [tenantId, scope.type, scope.practiceId, unchanged]
+        );
+        summary[scope.type].unchanged += unchanged.length;
+      }
+    }
+
+    for (const [key, row] of stored) {
+      if (!row.active || seen.has(key)) continue;
+      // Lists of practices no longer in Tebra are complete (empty) once the practice list is
+      const practiceGone = practiceIds && PRACTICE_TYPES.includes(row.record_type) && !practiceIds.has(row.practice_id);
+      if (!complete.has(`${row.record_type}|${row.practice_id}`) && !practiceGone) continue;
+      await query(
+        `UPDATE tebra_reference_records SET active = FALSE, removed_at = NOW(), changed_at = NOW()
+         WHERE tenant_id = $1 AND record_type = $2 AND practice_id = $3 AND tebra_id = $4`,
+        [tenantId, row.record_type, row.practice_id, row.tebra_id]
+      );
+      summary[row.record_type].removed += 1;
+      changes.push({ change: 'removed', type: row.record_type, practiceId: row.practice_id || null, id: row.tebra_id, name: row.name });
+    }
+
+    return { summary, changes };
+  }
+
+  /**
+   * Synced records of one type
+   * @param {string} type - practice | provider | service_location | appointment_reason | procedure_code
+   * @param {Object} filters - { tenantId, practiceId, search, includeInactive, limit, offset }
+   * @returns {Promise<Object>} { records, total }
+   */
+  async listRecords(type, { tenantId, practiceId, search, includeInactive = false, limit = 100, offset = 0 } = {}) {
+    if (!RECORD_TYPES.includes(type)) {
+      throw referenceError(`Unknown reference data type: ${type}`, 400, 'TEBRA_REFERENCE_INVALID_TYPE');
+    }
+    const conditions = ['record_type = $1'];
+    const params = [type];
+    if (tenantId) {
+      params.push(tebraTenantService.getTenant(tenantId).id);
+      conditions.push(`tenant_id = $${params.length}`);
+    }
+    if (practiceId && PRACTICE_TYPES.includes(type)) {
+      params.push(String(practiceId));
+      conditions.push(`practice_id = $${params.length}`);
+    }
+    if (search) {
+      params.push(`%${String(search).replace(/[%_\\]/g, '\\$&')}%`);
+      conditions.push(`(name ILIKE $${params.length} OR tebra_id = $${params.length + 1})`);
+      params.push(String(search));
+    }
+    if (!includeInactive) {
+      conditions.push('active = TRUE');
+    }
+
+    const where = conditions.join(' AND ');
+    const { rows: [{ total }] } = await query(`SELECT COUNT(*)::int AS total FROM tebra_reference_records WHERE ${where}`, params);
+    const { rows } = await query(
+      `SELECT * FROM tebra_reference_records WHERE ${where}
+       ORDER BY tenant_id, practice_id, name NULLS LAST, tebra_id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500), Math.max(parseInt(offset, 10) || 0, 0)]
+    );
+    return { records: rows.map(rowToRecord), total };
+  }
+
+  /**
+   * Recent sync runs, newest first
+   */
+  async listRuns({ tenantId, limit = 20 } = {}) {
+    const params = [Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100)];
+    let where = '';
+    if (tenantId) {
+      params.push(String(tenantId));
+      where = 'WHERE tenant_id = $2';
+    }
+    const { rows } = await query(`SELECT * FROM tebra_reference_sync_runs ${where} ORDER BY started_at DESC LIMIT $1`, params);
+    return rows.map(rowToRun);
+  }
+
+  async listStateMappings() {
+    const { rows } = await query('SELECT * FROM tebra_state_mappings ORDER BY state');
+    return rows.map(rowToStateMapping);
+  }
+
+  /**
+   * Map a state to synced records; every id must be an active record of the tenant (and of the practice)
+   * @param {string} state - Two-letter state code
+   * @param {Object} fields - { tenantId, practiceId, providerId, serviceLocationId, appointmentReasonId }
+   * @param {Object} options - { updatedBy }
+   * @returns {Promise<Object>} Saved mapping
+   */
+  async saveStateMapping(state, fields = {}, { updatedBy = null } = {}) {
+    const stateCode = String(state || '').trim().toUpperCase();
+    if (!STATE_PATTERN.test(stateCode)) {
+      throw referenceError('state must be a two-letter state code', 400, 'TEBRA_STATE_MAPPING_INVALID');
+    }
+    if (!fields.practiceId) {
+      throw referenceError('practiceId is required', 400, 'TEBRA_STATE_MAPPING_INVALID');
+    }
+    const tenantId = tebraTenantService.getTenant(fields.tenantId || providerMapping[stateCode]?.tenantId || tebraTenantService.DEFAULT_TENANT_ID).id;
+    const practiceId = String(fields.practiceId);
+    const wanted = [
+      ['practice', '', practiceId],
+      ['provider', practiceId, fields.providerId],
+      ['service_location', practiceId, fields.serviceLocationId],
+      ['appointment_reason', practiceId, fields.appointmentReasonId]
+    ].filter(([, , id]) => id !== undefined && id !== null && id !== '');
+
+    const { rows } = await query(
+      `SELECT record_type, practice_id, tebra_id FROM tebra_reference_records
+       WHERE tenant_id = $1 AND active = TRUE AND (practice_id = '' OR practice_id = $2)
+         AND (record_type, tebra_id) IN (SELECT * FROM UNNEST($3::text[], $4::text[]))`,
+      [tenantId, practiceId, wanted.map(([type]) => type), wanted.map(([, , id]) => String(id))]
+    );
+    const found = new Set(rows.map(row => `${row.record_type}|${row.practice_id}|${row.tebra_id}`));
+    const missing = wanted.filter(([type, scope, id]) => !found.has(`${type}|${scope}|${id}`));
+    if (missing.length) {
+      const list = missing.map(([type, , id]) => `${type} ${id}`).join(', ');
+      throw referenceError(
+        `Not synced for practice ${practiceId} of tenant ${tenantId}: ${list}. Run a reference data sync first.`,
+        400,
+        'TEBRA_STATE_MAPPING_UNKNOWN_RECORD'
+      );
+    }
+
+    const { rows: [row] } = await query(
+      `INSERT INTO tebra_state_mappings (state, tenant_id, practice_id, provider_id, service_location_id, appointment_reason_id, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (state) DO UPDATE SET
+         tenant_id = EXCLUDED.tenant_id,
+         practice_id = EXCLUDED.practice_id,
+         provider_id = EXCLUDED.provider_id,
+         service_location_id = EXCLUDED.service_location_id,
+         appointment_reason_id = EXCLUDED.appointment_reason_id,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        stateCode,
+        tenantId,
+        practiceId,
+        fields.providerId ? String(fields.providerId) : null,
+        fields.serviceLocationId ? String(fields.serviceLocationId) : null,
+        fields.appointmentReasonId ? String(fields.appointmentReasonId) : null,
+        updatedBy
+      ]
+    );
+    logger.info('[TEBRA_REFERENCE] Saved state mapping', { state: stateCode, tenantId, practiceId, updatedBy });
+
+    await this.applyStateMappings();
+    return rowToStateMapping(row);
+  }
+
+  /**
+   * Remove a state's mapping; the state goes back to its env configuration
+   * @returns {Promise<boolean>} Whether a mapping was deleted
+   */
+  async deleteStateMapping(state) {
+    const { rowCount } = await query('DELETE FROM tebra_state_mappings WHERE state = $1', [String(state || '').trim().toUpperCase()]);
+    if (rowCount) {
+      await this.applyStateMappings();
+    }
+    return rowCount > 0;
+  }
+
+  /**
+   * Overlay tebra_state_mappings on providerMapping (in place, so every module sees it).
+   * Keeps the current mapping when the database is unavailable.
+   * @returns {Promise<number>} Number of mapped states
+   */
+  async applyStateMappings() {
+    let rows;
+    try {
+      ({ rows } = await query(
+        `SELECT m.*, p.name AS practice_name
+         FROM tebra_state_mappings m
+         LEFT JOIN tebra_reference_records p
+           ON p.tenant_id = m.tenant_id AND p.record_type = 'practice' AND p.practice_id = '' AND p.tebra_id = m.practice_id`
+      ));
+    } catch (error) {
+      logger.warn('[TEBRA_REFERENCE] Could not load state mappings', { error: error.message });
+      return 0;
+    }
+
+    // Start from the env configuration so removed mappings and cleared fields fall back to it
+    if (!this.envMapping) {
+      this.envMapping = Object.fromEntries(Object.entries(providerMapping).map(([state, entry]) => [state, { ...entry }]));
+    }
+    for (const state of Object.keys(providerMapping)) {
+      if (!this.envMapping[state]) delete providerMapping[state];
+    }
+    for (const [state, entry] of Object.entries(this.envMapping)) {
+      providerMapping[state] = Object.assign(providerMapping[state] || {}, entry);
+    }
+
+    for (const row of rows) {
+      const entry = providerMapping[row.state] || (providerMapping[row.state] = { state: row.state, allowKetamine: false });
+      entry.tenantId = row.tenant_id;
+      entry.practiceId = row.practice_id;
+      if (row.practice_name) entry.practiceName = row.practice_name;
+      if (row.provider_id) entry.defaultProviderId = row.provider_id;
+      if (row.service_location_id) entry.serviceLocationId = row.service_location_id;
+      if (row.appointment_reason_id) entry.appointmentReasonId = row.appointment_reason_id;
+    }
+    return rows.length;
+  }
+}
+
+const tebraReferenceDataService = new TebraReferenceDataService();
+
+module.exports = tebraReferenceDataService;
+module.exports.RECORD_TYPES = RECORD_TYPES;
@@ -0,0 +1,301 @@
+// backend/src/services/tebraResilience.js
+// Retry, circuit breaker and concurrency limit for outbound Tebra SOAP calls.
+// Every call goes through TebraResilience.execute(): it fails fast while the breaker is open,
+// waits for a free slot (TEBRA_MAX_CONCURRENCY), and retries idempotent reads on retryable errors
+// (outage, timeout, rate limit) with jittered exponential backoff. Writes are never retried here.
+
+const logger = require('../utils/logger');
+const metricsService = require('./metricsService');
+const { classifyTebraError, isRetryableTebraError, TebraCircuitOpenError, TebraTimeoutError } = require('./tebraErrors');
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half_open';
+
+// Read-only SOAP operations that are safe to repeat
+const IDEMPOTENT_METHOD = /^Get[A-Z]/;
+
+/**
+ * Trips after `failureThreshold` consecutive retryable failures, rejects calls for `resetTimeoutMs`,
+ * then lets `halfOpenMaxCalls` trial calls through; a trial success closes it, a failure reopens it.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'tebra';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.now = options.now || Date.now;
+    this.onStateChange = options.onStateChange || null;
+
+    this.state = STATE_CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastFailure = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Reserve a call; throws TebraCircuitOpenError while open
+   */
+  acquire(method) {
+    if (this.state === STATE_OPEN) {
+      if (this.now() - this.openedAt >= this.resetTimeoutMs) {
+        this.transition(STATE_HALF_OPEN);
+      } else {
+        throw this.rejection(method);
+      }
+    }
+    if (this.state === STATE_HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        throw this.rejection(method);
+      }
+      this.halfOpenCalls += 1;
+    }
+  }
+
+  recordSuccess() {
+    this.stats.successes += 1;
+    this.consecutiveFailures = 0;
+    if (this.state !== STATE_CLOSED) {
+      this.transition(STATE_CLOSED);
+    }
+  }
+
+  /**
+   * @param {TebraError} error - only retryable (availability) errors count towards tripping
+   */
+  recordFailure(error) {
+    if (!isRetryableTebraError(error)) {
+      // Tebra answered (validation, not found, auth); release a half-open trial without judging
+      if (this.state === STATE_HALF_OPEN) this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+      return;
+    }
+    this.stats.failures += 1;
+    this.consecutiveFailures += 1;
+    this.lastFailure = { at: new Date(this.now()).toISOString(), code: error.code, method: error.method };
+    if (this.state === STATE_HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.transition(STATE_OPEN);
+    }
+  }
+
+  transition(state) {
+    const previous = this.state;
+    if (previous === state) return;
+    this.state = state;
+    this.halfOpenCalls = 0;
+    if (state === STATE_OPEN) {
+      this.openedAt = this.now();
+      this.stats.opened += 1;
+    } else if (state === STATE_CLOSED) {
+      this.openedAt = null;
+      this.consecutiveFailures = 0;
+    }
+    if (this.onStateChange) this.onStateChange(state, previous);
+  }
+
+  retryAfterMs() {
+    if (this.state !== STATE_OPEN) return 0;
+    return Math.max(0, this.resetTimeoutMs - (this.now() - this.openedAt));
+  }
+
+  rejection(method) {
+    this.stats.rejected += 1;
+    const retryAfterMs = this.state === STATE_OPEN ? this.retryAfterMs() : this.resetTimeoutMs;
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    return new TebraCircuitOpenError(
+      `Tebra ${method} API call failed: Tebra is unavailable (circuit open after ${this.consecutiveFailures} consecutive failures), retry in ${retryAfter}s`,
+      { method, retryAfter }
+    );
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.retryAfterMs(),
+      lastFailure: this.lastFailure,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+/**
+ * FIFO semaphore; callers waiting longer than `queueTimeoutMs` get a TebraTimeoutError
+ */
+class ConcurrencyLimiter {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.queueTimeoutMs = options.queueTimeoutMs || 30000;
+    this.active = 0;
+    this.queue = [];
+    this.stats = { started: 0, queued: 0, queueTimeouts: 0, maxQueueLength: 0 };
+  }
+
+  async run(method, fn) {
+    await this.acquire(method);
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire(method) {
+    if (this.active < this.maxConcurrent) {
+      this.active += 1;
+      this.stats.started += 1;
+      return Promise.resolve();
+    }
+    this.stats.queued += 1;
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        this.stats.queueTimeouts += 1;
+        reject(new TebraTimeoutError(
+          `Tebra ${method} API call failed: waited more than ${this.queueTimeoutMs}ms for a free Tebra connection`,
+          { method }
+        ));
+      }, this.queueTimeoutMs);
+      this.queue.push(waiter);
+      this.stats.maxQueueLength = Math.max(this.stats.maxQueueLength, this.queue.length);
+    });
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      clearTimeout(next.timer);
+      this.stats.started += 1;
+      next.resolve();
+    } else {
+      this.active = Math.max(0, this.active - 1);
+    }
+  }
+
+  getStatus() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      queued: this.queue.length,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+class TebraResilience {
+  /**
+   * @param {Object} options - { name, limiter, maxAttempts, baseDelayMs, maxDelayMs, maxConcurrent, queueTimeoutMs,
+   *   failureThreshold, resetTimeoutMs, sleep, random, now } name labels the breaker (logs, metrics);
+   *   limiter is a ConcurrencyLimiter shared with other instances (one cap across Tebra accounts)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'tebra';
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.TEBRA_RETRY_MAX_ATTEMPTS) || 3;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.TEBRA_RETRY_BASE_DELAY_MS) || 500;
+    this.maxDelayMs = options.maxDelayMs || parseInt(process.env.TEBRA_RETRY_MAX_DELAY_MS) || 8000;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+    this.retries = 0;
+
+    this.breaker = new CircuitBreaker({
+      name: this.name,
+      failureThreshold: options.failureThreshold || parseInt(process.env.TEBRA_BREAKER_FAILURE_THRESHOLD) || 5,
+      resetTimeoutMs: options.resetTimeoutMs || parseInt(process.env.TEBRA_BREAKER_RESET_TIMEOUT_MS) || 30000,
+      now: options.now,
+      onStateChange: (state, previous) => {
+        const log = state === STATE_OPEN ? 'error' : 'info';
+        logger[log](`[TEBRA] Circuit breaker ${this.name} ${previous} -> ${state}`, { lastFailure: this.breaker.lastFailure });
+        metricsService.recordCircuitBreakerState(this.name, state);
+      }
+    });
+    this.limiter = options.limiter || TebraResilience.createLimiter(options);
+    metricsService.recordCircuitBreakerState(this.name, this.breaker.state);
+  }
+
+  /**
+   * Concurrency limiter configured from TEBRA_MAX_CONCURRENCY / TEBRA_QUEUE_TIMEOUT_MS
+   * @param {Object} options - { maxConcurrent, queueTimeoutMs }
+   * @returns {ConcurrencyLimiter}
+   */
+  static createLimiter(options = {}) {
+    return new ConcurrencyLimiter({
+      maxConcurrent: options.maxConcurrent || parseInt(process.env.TEBRA_MAX_CONCURRENCY) || 4,
+      queueTimeoutMs: options.queueTimeoutMs || parseInt(process.env.TEBRA_QUEUE_TIMEOUT_MS) || 30000
+    });
+  }
+
+  isIdempotent(method) {
+    return IDEMPOTENT_METHOD.test(String(method || ''));
+  }
+
+  /**
+   * Full-jitter exponential backoff: random delay in [0, min(maxDelay, base * 2^attempt)]
+   */
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(this.random() * ceiling);
+  }
+
+  /**
+   * Run one Tebra call under the breaker and concurrency limit
+   * @param {string} method - SOAP method name (for errors, logs and the retry decision)
+   * @param {Function} fn - async function performing a single request
+   * @param {Object} options - { retry: override whether the call may be retried }
+   * @returns {Promise<*>} Result of fn
+   */
+  async execute(method, fn, options = {}) {
+    const retry = options.retry !== undefined ? options.retry : this.isIdempotent(method);
+    const maxAttempts = retry ? this.maxAttempts : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      this.breaker.acquire(method);
+      try {
+        const result = await this.limiter.run(method, fn);
+        this.breaker.recordSuccess();
+        return result;
+      } catch (rawError) {
+        const error = classifyTebraError(rawError, { method });
+        this.breaker.recordFailure(error);
+
+        if (attempt >= maxAttempts || !isRetryableTebraError(error) || this.breaker.state === STATE_OPEN) {
+          throw error;
+        }
+        const delay = this.backoffDelay(attempt);
+        this.retries += 1;
+        metricsService.recordExternalApiRetry('tebra', method);
+        logger.warn(`[TEBRA] ${method} failed (${error.code}), retrying in ${delay}ms`, { attempt, maxAttempts });
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      breaker: this.breaker.getStatus(),
+      concurrency: this.limiter.getStatus(),
+      retry: {
+        maxAttempts: this.maxAttempts,
+        baseDelayMs: this.baseDelayMs,
+        maxDelayMs: this.maxDelayMs,
+        retries: this.retries
+      }
+    };
+  }
+}
+
+module.exports = {
+  TebraResilience,
+  CircuitBreaker,
+  ConcurrencyLimiter,
+  STATE_CLOSED,
+  STATE_OPEN,
+  STATE_HALF_OPEN
+};
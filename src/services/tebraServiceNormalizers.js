@@ -1,6 +1,17 @@
 // backend/src/services/tebraServiceNormalizers.js
 
 module.exports = {
+  unwrap(obj) {
+    if (!obj) return {};
+    // node-soap and parseRawSOAPResponse return { MethodResult: {...} }
+    const keys = Object.keys(obj || {});
+    if (keys.length === 1 && keys[0].toLowerCase().includes('result')) {
+      const result = obj[keys[0]] || {};
+      return result;
+    }
+    return obj;
+  },
+
   normalizeCreatePatientResponse(result) {
     const data = this.unwrap(result);
     const id = data.PatientID || data.id || data.patientId;
@@ -12,6 +23,8 @@ module.exports = {
 
     if (data.Patients && Array.isArray(data.Patients) && data.Patients.length > 0) {
       return this.normalizePatientData(data.Patients[0]);
+    } else if (data.Patient) {
+      return this.normalizePatientData(data.Patient);
     } else if (Array.isArray(data) && data.length > 0) {
       return this.normalizePatientData(data[0]);
     }
@@ -372,6 +385,7 @@ module.exports = {
       isActive: reason.Active || reason.active,
       description: reason.Description || reason.description,
       procedureCodeIds: reason.ProcedureCodeIds || reason.procedureCodeIds || [],
+      defaultDurationMinutes: reason.DefaultDurationMinutes != null ? Number(reason.DefaultDurationMinutes) : (reason.defaultDurationMinutes ?? null),
       appointmentReasonId: reason.AppointmentReasonID || reason.appointmentReasonId
     };
   },
@@ -527,5 +541,144 @@ module.exports = {
       createdDate: provider.CreatedDate || provider.createdDate,
       lastModifiedDate: provider.LastModifiedDate || provider.lastModifiedDate
     };
+  },
+
+  normalizeGetServiceLocationsResponse(result) {
+    const data = this.unwrap(result);
+    const serviceLocations = Array.isArray(data.ServiceLocations) ? data.ServiceLocations : [];
+    return {
+      serviceLocations: serviceLocations.map(location => this.normalizeServiceLocationData(location)),
+      totalCount: data.TotalCount || serviceLocations.length
+    };
+  },
+
+  normalizeServiceLocationData(location) {
+    return {
+      id: location.ID || location.ServiceLocationID || location.id,
+      name: location.Name || location.name,
+      practiceId: location.PracticeID || location.PracticeId || location.practiceId,
+      placeOfServiceCode: location.PlaceOfServiceCode || location.placeOfServiceCode,
+      npi: location.NPI || location.npi,
+      address: {
+        line1: location.AddressLine1 || location.address?.line1,
+        line2: location.AddressLine2 || location.address?.line2,
+        city: location.City || location.address?.city,
+        state: location.State || location.address?.state,
+        zipCode: location.ZipCode || location.address?.zipCode
+      }
+    };
+  },
+
+  normalizeGetProcedureCodesResponse(result) {
+    const data = this.unwrap(result);
+    const procedureCodes = Array.isArray(data.ProcedureCodes) ? data.ProcedureCodes : [];
+    return {
+      procedureCodes: procedureCodes.map(procedureCode => this.normalizeProcedureCodeData(procedureCode)),
+      totalCount: data.TotalCount || procedureCodes.length
+    };
+  },
+
+  normalizeProcedureCodeData(procedureCode) {
+    return {
+      id: procedureCode.ID || procedureCode.id,
+      procedureCode: procedureCode.ProcedureCode || procedureCode.procedureCode,
+      officialName: procedureCode.OfficialName || procedureCode.officialName,
+      officialDescription: procedureCode.OfficialDescription || procedureCode.officialDescription,
+      active: procedureCode.Active || procedureCode.active
+    };
+  },
+
+  normalizeGetEncounterDetailsResponse(result) {
+    const data = this.unwrap(result);
+    const encounter = data.EncounterDetails || data.Encounter || data;
+    return {
+      id: encounter.EncounterID || encounter.EncounterId || encounter.id,
+      status: encounter.EncounterStatus || encounter.status,
+      practiceId: encounter.PracticeID || encounter.practiceId,
+      patientId: encounter.PatientID || encounter.patientId,
+      appointmentId: encounter.AppointmentID || encounter.appointmentId || null,
+      caseName: encounter.CaseName || encounter.caseName,
+      serviceStartDate: encounter.ServiceStartDate || encounter.serviceStartDate,
+      serviceEndDate: encounter.ServiceEndDate || encounter.serviceEndDate,
+      postDate: encounter.PostDate || encounter.postDate,
+      serviceLines: (Array.isArray(encounter.ServiceLines) ? encounter.ServiceLines : []).map(line => ({
+        procedureCode: line.ProcedureCode,
+        diagnosisCode1: line.DiagnosisCode1,
+        units: line.Units != null ? Number(line.Units) : null,
+        unitCharge: line.UnitCharge != null ? Number(line.UnitCharge) : null
+      })),
+      createdDate: encounter.CreatedDate || encounter.createdDate
+    };
+  },
+
+  normalizeGetChargesResponse(result) {
+    const data = this.unwrap(result);
+    const charges = Array.isArray(data.Charges) ? data.Charges : [];
+    return {
+      charges: charges.map(charge => this.normalizeChargeData(charge)),
+      totalCount: data.TotalCount || charges.length
+    };
+  },
+
+  normalizeChargeData(charge) {
+    return {
+      id: charge.ID || charge.ChargeID || charge.id,
+      encounterId: charge.EncounterID || charge.encounterId,
+      patientId: charge.PatientID || charge.patientId,
+      patientName: charge.PatientName || charge.patientName,
+      practiceName: charge.PracticeName || charge.practiceName,
+      procedureCode: charge.ProcedureCode || charge.procedureCode,
+      units: charge.Units != null ? Number(charge.Units) : null,
+      unitCharge: charge.UnitCharge != null ? Number(charge.UnitCharge) : null,
+      totalCharges: charge.TotalCharges != null ? Number(charge.TotalCharges) : null,
+      serviceStartDate: charge.ServiceStartDate || charge.serviceStartDate,
+      createdDate: charge.CreatedDate || charge.createdDate
+    };
+  },
+
+  normalizeGetPaymentsResponse(result) {
+    const data = this.unwrap(result);
+    const payments = Array.isArray(data.Payments) ? data.Payments : [];
+    return {
+      payments: payments.map(payment => this.normalizePaymentData(payment)),
+      totalCount: data.TotalCount || payments.length
+    };
+  },
+
+  normalizePaymentData(payment) {
+    return {
+      id: payment.ID || payment.PaymentID || payment.id,
+      patientId: payment.PatientID || payment.patientId,
+      patientName: payment.PatientName || payment.patientName,
+      practiceId: payment.PracticeID || payment.practiceId,
+      practiceName: payment.PracticeName || payment.practiceName,
+      amountPaid: payment.AmountPaid != null ? Number(payment.AmountPaid) : null,
+      paymentMethod: payment.PaymentMethod || payment.paymentMethod,
+      payerType: payment.PayerType || payment.payerType,
+      referenceNumber: payment.ReferenceNumber || payment.referenceNumber,
+      postDate: payment.PostDate || payment.postDate,
+      createdDate: payment.CreatedDate || payment.createdDate
+    };
+  },
+
+  normalizeGetTransactionsResponse(result) {
+    const data = this.unwrap(result);
+    const transactions = Array.isArray(data.Transactions) ? data.Transactions : [];
+    return {
+      transactions: transactions.map(transaction => this.normalizeTransactionData(transaction)),
+      totalCount: data.TotalCount || transactions.length
+    };
+  },
+
+  normalizeTransactionData(transaction) {
+    return {
+      id: transaction.ID || transaction.TransactionID || transaction.id,
+      type: transaction.Type || transaction.type,
+      amount: transaction.Amount != null ? Number(transaction.Amount) : null,
+      patientId: transaction.PatientID || transaction.patientId,
+      practiceName: transaction.PracticeName || transaction.practiceName,
+      transactionDate: transaction.TransactionDate || transaction.transactionDate,
+      referenceId: transaction.ReferenceID || transaction.referenceId
+    };
   }
 };
@@ -1,29 +1,16 @@
 // backend/src/services/tebraServiceSingleton.js
-// Singleton wrapper for TebraService to ensure single instance across the application
+// Kept for older imports: returns the shared TebraService instance exported by tebraService.js,
+// so every caller uses the same transport, circuit breaker and concurrency cap.
+// Prefer require('./tebraService') in new code.
 
-// Import the module to access both instance and class
-const tebraServiceModule = require('./tebraService');
-const TebraService = tebraServiceModule.TebraService;
-
-// Verify TebraService is a constructor
-if (!TebraService || typeof TebraService !== 'function') {
-  console.error('tebraServiceModule keys:', Object.keys(tebraServiceModule || {}));
-  console.error('TebraService value:', TebraService, 'type:', typeof TebraService);
-  throw new Error('TebraService is not a constructor. Check tebraService.js exports.');
-}
-
-let tebraServiceInstance = null;
+const tebraService = require('./tebraService');
 
 /**
- * Get or create the singleton TebraService instance
- * @returns {TebraService} Singleton instance
+ * Get the shared TebraService instance
+ * @returns {TebraService}
  */
 function getTebraService() {
-  if (!tebraServiceInstance) {
-    tebraServiceInstance = new TebraService();
-  }
-  return tebraServiceInstance;
+  return tebraService;
 }
 
 module.exports = getTebraService;
-
@@ -0,0 +1,1126 @@
+// backend/src/services/tebraSoapSimulator.js
+// In-memory fake of the Tebra (Kareo) SOAP 2.1 API for offline development and tests.
+// Understands the envelopes built by tebraService (raw SOAP and the node-soap client, which
+// loads the simplified WSDL served at ?wsdl), keeps patients, appointments, documents,
+// encounters and payments in memory, and answers in the WCF response shapes that
+// tebraServiceSoapParsing expects — including IsError responses, failed authentication
+// and SOAP faults. Point TEBRA_SOAP_ENDPOINT at it (see scripts/tebra-simulator.js).
+
+const http = require('http');
+const { parseXml, nodeToValue, findChild } = require('./tebraXmlParser');
+
+const KAREO_NS = 'http://www.kareo.com/api/schemas/';
+const SOAP_ACTION_PREFIX = `${KAREO_NS}KareoServices/`;
+const ADMIN_PREFIX = '/__simulator';
+
+const DEFAULT_CREDENTIALS = {
+  customerKey: 'sim-customer-key',
+  user: 'sim-user@example.com',
+  password: 'sim-password'
+};
+
+// ---------------------------------------------------------------------------
+// XML helpers
+// ---------------------------------------------------------------------------
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function asArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Pre-rendered XML fragment, inserted without escaping
+function raw(xml) {
+  return { rawXml: xml };
+}
+
+function element(name, value) {
+  if (value && typeof value === 'object' && typeof value.rawXml === 'string') return value.rawXml;
+  if (value === undefined || value === null || value === '') return `<${name}/>`;
+  if (Array.isArray(value)) return value.map(item => element(name, item)).join('');
+  if (typeof value === 'object') {
+    return `<${name}>${Object.entries(value).map(([key, child]) => element(key, child)).join('')}</${name}>`;
+  }
+  return `<${name}>${xmlEscape(value)}</${name}>`;
+}
+
+function envelope(body) {
+  return '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">'
+    + `<s:Body>${body}</s:Body>`
+    + '</s:Envelope>';
+}
+
+function faultEnvelope(faultCode, faultString) {
+  return envelope(
+    '<s:Fault>'
+    + `<faultcode xmlns:a="http://schemas.microsoft.com/net/2005/12/windowscommunicationfoundation/dispatcher">${xmlEscape(faultCode)}</faultcode>`
+    + `<faultstring xml:lang="en-US">${xmlEscape(faultString)}</faultstring>`
+    + '</s:Fault>'
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+function pick(source, ...keys) {
+  if (!source || typeof source !== 'object') return undefined;
+  for (const key of keys) {
+    if (source[key] !== undefined && source[key] !== '') return source[key];
+  }
+  return undefined;
+}
+
+function toBool(value) {
+  return value === true || String(value).toLowerCase() === 'true' || value === '1';
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+/**
+ * Parse a filter date the way Tebra does: values without a zone are practice-local times,
+ * shifted by TimeZoneOffsetFromGMT (hours) when given, UTC otherwise.
+ */
+function parseFilterDate(value, offsetHours) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const date = new Date(hasZone ? text : `${text.length === 10 ? `${text}T00:00:00` : text}Z`);
+  if (isNaN(date.getTime())) return null;
+  if (!hasZone && offsetHours !== undefined && offsetHours !== '' && !isNaN(Number(offsetHours))) {
+    return new Date(date.getTime() - Number(offsetHours) * 3600000);
+  }
+  return date;
+}
+
+function inRange(value, from, to) {
+  const time = new Date(value).getTime();
+  if (isNaN(time)) return !from && !to;
+  if (from && time < from.getTime()) return false;
+  if (to && time > to.getTime()) return false;
+  return true;
+}
+
+function sameText(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+function selectFields(record, fields) {
+  const requested = fields && typeof fields === 'object' ? Object.keys(fields) : [];
+  if (requested.length === 0) return record;
+  const selected = {};
+  for (const key of requested) {
+    if (record[key] !== undefined) selected[key] = record[key];
+  }
+  return selected;
+}
+
+class SimulatorError extends Error {
+  constructor(message, kind = 'error', faultCode = null) {
+    super(message);
+    this.kind = kind;
+    this.faultCode = faultCode;
+  }
+}
+
+function businessError(message) {
+  return new SimulatorError(message, 'error');
+}
+
+function soapFault(message, faultCode = 'a:InternalServiceFault') {
+  return new SimulatorError(message, 'fault', faultCode);
+}
+
+// ---------------------------------------------------------------------------
+// Simulator
+// ---------------------------------------------------------------------------
+
+function defaultReferenceData(practiceName) {
+  return {
+    practices: [
+      { ID: '1', PracticeName: practiceName, Active: 'true', AddressLine1: '100 Market St', City: 'San Francisco', State: 'CA', Phone: '4155550100', NPI: '1234567893', TaxID: '941234567' }
+    ],
+    providers: [
+      { ID: '1', FirstName: 'Avery', LastName: 'Morgan', FullName: 'Avery Morgan, MD', Active: 'true', GUID: '6f1f0f3e-7c4d-4a8e-9a9b-1d2c3b4a5f60', PracticeID: '1' }
+    ],
+    serviceLocations: [
+      { ID: '1', Name: 'Telehealth', PracticeID: '1' }
+    ],
+    appointmentReasons: [
+      { ID: '1', Name: 'Consultation', DefaultDurationMinutes: '30', Active: 'true', PracticeID: '1' },
+      { ID: '2', Name: 'Follow-up', DefaultDurationMinutes: '15', Active: 'true', PracticeID: '1' }
+    ],
+    procedureCodes: [
+      { ID: '1', ProcedureCode: '99203', OfficialName: 'Office/outpatient visit new patient', OfficialDescription: 'New patient visit, low complexity', Active: 'true' },
+      { ID: '2', ProcedureCode: '99213', OfficialName: 'Office/outpatient visit established patient', OfficialDescription: 'Established patient visit, low complexity', Active: 'true' }
+    ]
+  };
+}
+
+class TebraSoapSimulator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.credentials - { customerKey, user, password } accepted in RequestHeader
+   * @param {string} options.practiceName - Name of the seeded practice
+   * @param {Object} options.referenceData - Overrides for { practices, providers, serviceLocations, appointmentReasons, procedureCodes }
+   * @param {number} options.latencyMs - Delay added to every SOAP response
+   */
+  constructor(options = {}) {
+    this.credentials = { ...DEFAULT_CREDENTIALS, ...(options.credentials || {}) };
+    this.practiceName = options.practiceName || 'SXRX Simulated Practice';
+    this.referenceData = { ...defaultReferenceData(this.practiceName), ...(options.referenceData || {}) };
+    this.latencyMs = options.latencyMs || 0;
+    this.server = null;
+    this.reset();
+  }
+
+  /**
+   * Drop all stored records, queued faults and the request log; reference data is re-seeded
+   */
+  reset() {
+    const clone = rows => rows.map(row => ({ ...row }));
+    this.state = {
+      practices: clone(this.referenceData.practices),
+      providers: clone(this.referenceData.providers),
+      serviceLocations: clone(this.referenceData.serviceLocations),
+      appointmentReasons: clone(this.referenceData.appointmentReasons),
+      procedureCodes: clone(this.referenceData.procedureCodes),
+      patients: new Map(),
+      cases: new Map(),
+      appointments: new Map(),
+      documents: new Map(),
+      encounters: new Map(),
+      charges: new Map(),
+      payments: new Map()
+    };
+    this.sequences = { patient: 5000, case: 7000, appointment: 90000, document: 3000, encounter: 12000, charge: 40000, payment: 60000, reason: 100 };
+    this.faults = [];
+    this.requests = [];
+  }
+
+  nextId(kind) {
+    this.sequences[kind] += 1;
+    return String(this.sequences[kind]);
+  }
+
+  /**
+   * Queue a failure for the next matching call(s)
+   * @param {string} method - SOAP method name, or '*' for any method
+   * @param {Object} options - { type: 'fault' | 'error' | 'auth' | 'unavailable', message, faultCode, times }
+   */
+  injectFault(method, { type = 'fault', message, faultCode, times = 1 } = {}) {
+    this.faults.push({ method: method || '*', type, message, faultCode, remaining: times });
+  }
+
+  takeFault(method) {
+    const fault = this.faults.find(f => f.method === '*' || f.method === method);
+    if (!fault) return null;
+    fault.remaining -= 1;
+    if (fault.remaining <= 0) this.faults.splice(this.faults.indexOf(fault), 1);
+    return fault;
+  }
+
+  /**
+   * Snapshot of the stored records (for tests and the admin endpoint)
+   */
+  snapshot() {
+    const list = map => Array.from(map.values()).map(record => JSON.parse(JSON.stringify(record)));
+    return {
+      patients: list(this.state.patients),
+      appointments: list(this.state.appointments),
+      documents: list(this.state.documents).map(({ FileContent, ...doc }) => ({ ...doc, FileSize: FileContent ? Buffer.from(FileContent, 'base64').length : 0 })),
+      encounters: list(this.state.encounters),
+      charges: list(this.state.charges),
+      payments: list(this.state.payments),
+      appointmentReasons: this.state.appointmentReasons.map(reason => ({ ...reason })),
+      requests: this.requests.map(entry => ({ ...entry }))
+    };
+  }
+
+  // -------------------------------------------------------------------------
+  // Request handling
+  // -------------------------------------------------------------------------
+
+  /**
+   * Handle one SOAP request
+   * @param {string} body - Request XML
+   * @param {string} soapAction - SOAPAction header (optional; the body element wins)
+   * @returns {{ status: number, body: string }}
+   */
+  handleSoap(body, soapAction = '') {
+    let method = String(soapAction || '').replace(/"/g, '').replace(SOAP_ACTION_PREFIX, '') || null;
+    let request;
+    try {
+      const doc = parseXml(String(body || ''));
+      const env = doc.children.find(child => child.name === 'Envelope');
+      const bodyNode = findChild(env, 'Body');
+      const operation = bodyNode && bodyNode.children[0];
+      if (!operation) {
+        throw soapFault('The message could not be deserialized: missing SOAP body', 'a:DeserializationFailed');
+      }
+      method = operation.name;
+      const requestNode = findChild(operation, 'request') || findChild(operation, 'UpdatePatientReq') || operation;
+      request = nodeToValue(requestNode);
+      if (typeof request !== 'object') request = {};
+    } catch (error) {
+      this.requests.push({ method, at: nowIso(), outcome: 'fault' });
+      const fault = error instanceof SimulatorError ? error : soapFault(`The formatter threw an exception while trying to deserialize the message: ${error.message}`, 'a:DeserializationFailed');
+      return { status: 500, body: faultEnvelope(fault.faultCode, fault.message) };
+    }
+
+    const log = { method, at: nowIso(), outcome: 'ok' };
+    this.requests.push(log);
+
+    const injected = this.takeFault(method);
+    if (injected) {
+      log.outcome = `injected:${injected.type}`;
+      if (injected.type === 'unavailable') {
+        return { status: 503, body: injected.message || 'Service Unavailable' };
+      }
+      if (injected.type === 'error') {
+        return { status: 200, body: this.result(method, {}, { error: injected.message || 'Simulated Tebra error' }) };
+      }
+      if (injected.type === 'auth') {
+        return { status: 200, body: this.result(method, {}, { authenticated: false }) };
+      }
+      return { status: 500, body: faultEnvelope(injected.faultCode || 'a:InternalServiceFault', injected.message || 'The server was unable to process the request due to an internal error.') };
+    }
+
+    const handler = this.handlers()[method];
+    if (!handler) {
+      log.outcome = 'fault';
+      return {
+        status: 500,
+        body: faultEnvelope('a:ActionNotSupported', `The message with Action '${SOAP_ACTION_PREFIX}${method}' cannot be processed at the receiver.`)
+      };
+    }
+
+    const header = request.RequestHeader || {};
+    if (header.CustomerKey !== this.credentials.customerKey) {
+      log.outcome = 'auth';
+      return { status: 200, body: this.result(method, {}, { customerKeyValid: false }) };
+    }
+    if (header.User !== this.credentials.user || header.Password !== this.credentials.password) {
+      log.outcome = 'auth';
+      return { status: 200, body: this.result(method, {}, { authenticated: false }) };
+    }
+
+    try {
+      return { status: 200, body: this.result(method, handler.call(this, request)) };
+    } catch (error) {
+      if (error instanceof SimulatorError && error.kind === 'error') {
+        log.outcome = 'error';
+        return { status: 200, body: this.result(method, {}, { error: error.message }) };
+      }
+      log.outcome = 'fault';
+      const fault = error instanceof SimulatorError ? error : soapFault(error.message);
+      return { status: 500, body: faultEnvelope(fault.faultCode, fault.message) };
+    }
+  }
+
+  /**
+   * Wrap a result payload in the <MethodResponse><MethodResult> shape with Error/Security responses
+   */
+  result(method, payload, { error = null, authenticated = true, customerKeyValid = true } = {}) {
+    const securityResult = !customerKeyValid
+      ? 'Invalid customer key'
+      : (!authenticated ? 'Invalid user name and/or password' : 'Success');
+    const errorXml = element('ErrorResponse', {
+      ErrorMessage: error || '',
+      IsError: error ? 'true' : 'false',
+      StackTrace: ''
+    });
+    const securityXml = element('SecurityResponse', {
+      Authenticated: String(authenticated && customerKeyValid),
+      Authorized: String(authenticated && customerKeyValid),
+      CustomerKeyValid: String(customerKeyValid),
+      PermissionsMissing: '',
+      SecurityResult: securityResult,
+      SecurityResultSuccess: String(authenticated && customerKeyValid)
+    });
+    const payloadXml = Object.entries(error || !authenticated || !customerKeyValid ? {} : payload)
+      .map(([key, value]) => element(key, value))
+      .join('');
+    return envelope(
+      `<${method}Response xmlns="${KAREO_NS}">`
+      + `<${method}Result xmlns:i="http://www.w3.org/2001/XMLSchema-instance">${errorXml}${securityXml}${payloadXml}</${method}Result>`
+      + `</${method}Response>`
+    );
+  }
+
+  handlers() {
+    return {
+      CreatePatient: this.createPatient,
+      GetPatient: this.getPatient,
+      GetPatients: this.getPatients,
+      UpdatePatient: this.updatePatient,
+      DeactivatePatient: this.deactivatePatient,
+      UpdatePrimaryPatientCase: this.updatePrimaryPatientCase,
+      CreateAppointment: this.createAppointment,
+      GetAppointment: this.getAppointment,
+      GetAppointments: this.getAppointments,
+      UpdateAppointment: this.updateAppointment,
+      DeleteAppointment: this.deleteAppointment,
+      CreateAppointmentReason: this.createAppointmentReason,
+      GetAppointmentReasons: this.getAppointmentReasons,
+      GetPractices: this.getPractices,
+      GetProviders: this.getProviders,
+      GetServiceLocations: this.getServiceLocations,
+      GetProcedureCodes: this.getProcedureCodes,
+      CreateDocument: this.createDocument,
+      DeleteDocument: this.deleteDocument,
+      CreateEncounter: this.createEncounter,
+      GetEncounterDetails: this.getEncounterDetails,
+      UpdateEncounterStatus: this.updateEncounterStatus,
+      GetCharges: this.getCharges,
+      CreatePayments: this.createPayments,
+      GetPayments: this.getPayments,
+      GetTransactions: this.getTransactions
+    };
+  }
+
+  requirePractice(practice) {
+    const practiceId = pick(practice, 'PracticeID', 'PracticeId');
+    const practiceName = pick(practice, 'PracticeName');
+    const found = this.state.practices.find(p => (practiceId !== undefined && String(p.ID) === String(practiceId))
+      || (practiceId === undefined && practiceName !== undefined && sameText(p.PracticeName, practiceName)));
+    if (!found) {
+      throw businessError(`The user is not authorized for Practice ${practiceId ?? practiceName ?? '(none)'}`);
+    }
+    return found;
+  }
+
+  requirePatient(patientId) {
+    const patient = patientId !== undefined ? this.state.patients.get(String(patientId)) : null;
+    if (!patient) {
+      throw businessError(`Patient ${patientId ?? '(none)'} was not found`);
+    }
+    return patient;
+  }
+
+  // -------------------------------------------------------------------------
+  // Patients
+  // -------------------------------------------------------------------------
+
+  createPatient(request) {
+    const input = request.Patient || {};
+    if (!input.FirstName || !input.LastName) {
+      throw businessError('FirstName and LastName are required to create a patient');
+    }
+    const practice = this.requirePractice(input.Practice || { PracticeID: '1' });
+    const id = this.nextId('patient');
+    const caseId = this.nextId('case');
+    const now = nowIso();
+    const patient = {
+      ID: id,
+      PatientID: id,
+      FirstName: input.FirstName,
+      MiddleName: input.MiddleName,
+      LastName: input.LastName,
+      PatientFullName: [input.FirstName, input.MiddleName, input.LastName].filter(Boolean).join(' '),
+      EmailAddress: input.EmailAddress,
+      HomePhone: input.HomePhone,
+      MobilePhone: input.MobilePhone,
+      WorkPhone: input.WorkPhone,
+      DOB: input.DateofBirth || input.DateOfBirth,
+      Gender: input.Gender,
+      AddressLine1: input.AddressLine1,
+      AddressLine2: input.AddressLine2,
+      City: input.City,
+      State: input.State,
+      ZipCode: input.ZipCode,
+      Country: input.Country,
+      MedicalRecordNumber: input.MedicalRecordNumber,
+      PatientExternalID: input.PatientExternalID,
+      PracticeId: practice.ID,
+      PracticeName: practice.PracticeName,
+      DefaultCaseID: caseId,
+      Active: 'true',
+      CreatedDate: now,
+      LastModifiedDate: now
+    };
+    this.state.patients.set(id, patient);
+    this.state.cases.set(caseId, { CaseID: caseId, PatientID: id, Name: 'Default Case', IsPrimary: true });
+    return { PatientID: id, PracticeID: practice.ID, PatientCaseID: caseId };
+  }
+
+  getPatient(request) {
+    const filter = request.Filter || request;
+    const patient = this.requirePatient(pick(filter, 'PatientID', 'PatientId'));
+    return { Patient: patient };
+  }
+
+  getPatients(request) {
+    const filter = request.Filter || {};
+    const from = parseFilterDate(filter.FromLastModifiedDate);
+    const to = parseFilterDate(filter.ToLastModifiedDate);
+    const createdFrom = parseFilterDate(filter.FromCreatedDate);
+    const createdTo = parseFilterDate(filter.ToCreatedDate);
+    const patients = Array.from(this.state.patients.values()).filter(patient => {
+      if (filter.ID && String(patient.ID) !== String(filter.ID)) return false;
+      if (filter.PatientID && String(patient.ID) !== String(filter.PatientID)) return false;
+      if (filter.FirstName && !sameText(patient.FirstName, filter.FirstName)) return false;
+      if (filter.LastName && !sameText(patient.LastName, filter.LastName)) return false;
+      if (filter.FullName && !sameText(patient.PatientFullName, filter.FullName)) return false;
+      if (filter.EmailAddress && !sameText(patient.EmailAddress, filter.EmailAddress)) return false;
+      if (filter.PracticeID && String(patient.PracticeId) !== String(filter.PracticeID)) return false;
+      if (filter.PracticeName && !sameText(patient.PracticeName, filter.PracticeName)) return false;
+      if ((from || to) && !inRange(patient.LastModifiedDate, from, to)) return false;
+      if ((createdFrom || createdTo) && !inRange(patient.CreatedDate, createdFrom, createdTo)) return false;
+      return true;
+    });
+    const rows = patients.map(patient => element('PatientData', selectFields(patient, request.Fields))).join('');
+    return { Patients: raw(`<Patients>${rows}</Patients>`), TotalCount: String(patients.length) };
+  }
+
+  updatePatient(request) {
+    const input = request.Patient || {};
+    const patient = this.requirePatient(pick(input, 'PatientID', 'PatientId'));
+    const updatable = [
+      'FirstName', 'MiddleName', 'LastName', 'EmailAddress', 'HomePhone', 'MobilePhone', 'WorkPhone', 'Gender',
+      'AddressLine1', 'AddressLine2', 'City', 'State', 'ZipCode', 'Country', 'MedicalRecordNumber', 'PatientExternalID'
+    ];
+    for (const key of updatable) {
+      if (input[key] !== undefined && input[key] !== '') patient[key] = input[key];
+    }
+    if (input.DateofBirth || input.DateOfBirth) patient.DOB = input.DateofBirth || input.DateOfBirth;
+    patient.PatientFullName = [patient.FirstName, patient.MiddleName, patient.LastName].filter(Boolean).join(' ');
+    patient.LastModifiedDate = nowIso();
+    return { Patient: patient };
+  }
+
+  deactivatePatient(request) {
+    const patient = this.requirePatient(pick(request, 'PatientID', 'PatientId'));
+    patient.Active = 'false';
+    patient.LastModifiedDate = nowIso();
+    return { PatientID: patient.ID, Success: 'true' };
+  }
+
+  updatePrimaryPatientCase(request) {
+    const caseId = String(pick(request, 'PatientCaseID', 'PatientCaseId') ?? '');
+    const patientCase = this.state.cases.get(caseId);
+    if (!patientCase) {
+      throw businessError(`Patient case ${caseId || '(none)'} was not found`);
+    }
+    for (const other of this.state.cases.values()) {
+      if (other.PatientID === patientCase.PatientID) other.IsPrimary = other === patientCase;
+    }
+    this.state.patients.get(patientCase.PatientID).DefaultCaseID = caseId;
+    return { Success: 'true' };
+  }
+
+  // -------------------------------------------------------------------------
+  // Appointments
+  // -------------------------------------------------------------------------
+
+  appointmentXml(appointment) {
+    const { Deleted, ...visible } = appointment;
+    return raw(element('Appointment', visible));
+  }
+
+  createAppointment(request) {
+    const input = request.Appointment || {};
+    const practice = this.requirePractice({ PracticeID: pick(input, 'PracticeId', 'PracticeID') });
+    const start = new Date(input.StartTime);
+    const end = new Date(input.EndTime);
+    if (!input.StartTime || !input.EndTime || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw businessError('StartTime and EndTime are required');
+    }
+    if (end.getTime() <= start.getTime()) {
+      throw businessError('EndTime must be after StartTime');
+    }
+    const reasonId = pick(input, 'AppointmentReasonId', 'AppointmentReasonID');
+    const reason = this.state.appointmentReasons.find(r => String(r.ID) === String(reasonId));
+    if (!reason) {
+      throw businessError(`AppointmentReasonId ${reasonId ?? '(none)'} is not valid for Practice ${practice.ID}`);
+    }
+    const summary = input.PatientSummary || asArray(input.PatientSummaries?.GroupPatientSummary)[0] || {};
+    const patientId = pick(input, 'PatientId', 'PatientID') ?? pick(summary, 'PatientId', 'PatientID');
+    const patient = this.requirePatient(patientId);
+
+    const id = this.nextId('appointment');
+    const now = nowIso();
+    const appointment = {
+      AppointmentId: id,
+      AppointmentName: input.AppointmentName || reason.Name,
+      AppointmentReasonId: reason.ID,
+      AppointmentStatus: input.AppointmentStatus || 'Scheduled',
+      AppointmentType: input.AppointmentType || 'P',
+      ConfirmationStatus: 'Unconfirmed',
+      CreatedAt: now,
+      EndTime: end.toISOString(),
+      IsRecurring: String(toBool(input.IsRecurring)),
+      MaxAttendees: input.MaxAttendees || '1',
+      Notes: input.Notes || '',
+      PatientId: patient.ID,
+      PatientSummary: {
+        Email: pick(summary, 'Email') || patient.EmailAddress,
+        FirstName: pick(summary, 'FirstName') || patient.FirstName,
+        LastName: pick(summary, 'LastName') || patient.LastName,
+        PatientId: patient.ID
+      },
+      PracticeId: practice.ID,
+      ProviderId: pick(input, 'ProviderId', 'ProviderID') || '1',
+      ResourceId: pick(input, 'ResourceId', 'ResourceID') || '',
+      ServiceLocationId: pick(input, 'ServiceLocationId', 'ServiceLocationID') || '1',
+      StartTime: start.toISOString(),
+      UpdatedAt: now,
+      WasCreatedOnline: String(toBool(input.WasCreatedOnline ?? 'true')),
+      Deleted: false
+    };
+    this.state.appointments.set(id, appointment);
+    patient.LastAppointmentDate = appointment.StartTime;
+    return { Appointment: this.appointmentXml(appointment) };
+  }
+
+  requireAppointment(appointmentId) {
+    const appointment = appointmentId !== undefined ? this.state.appointments.get(String(appointmentId)) : null;
+    if (!appointment || appointment.Deleted) {
+      throw businessError(`Appointment ${appointmentId ?? '(none)'} was not found`);
+    }
+    return appointment;
+  }
+
+  getAppointment(request) {
+    const input = request.Appointment || request;
+    const appointment = this.requireAppointment(pick(input, 'AppointmentId', 'AppointmentID'));
+    return { Appointment: this.appointmentXml(appointment) };
+  }
+
+  appointmentListRow(appointment) {
+    const patient = this.state.patients.get(appointment.PatientId) || {};
+    const practice = this.state.practices.find(p => String(p.ID) === String(appointment.PracticeId)) || {};
+    const reason = this.state.appointmentReasons.find(r => String(r.ID) === String(appointment.AppointmentReasonId)) || {};
+    const location = this.state.serviceLocations.find(l => String(l.ID) === String(appointment.ServiceLocationId)) || {};
+    const durationMinutes = Math.round((new Date(appointment.EndTime) - new Date(appointment.StartTime)) / 60000);
+    return {
+      ID: appointment.AppointmentId,
+      AppointmentDuration: String(durationMinutes),
+      AppointmentReason1: reason.Name,
+      AppointmentReasonID1: appointment.AppointmentReasonId,
+      ConfirmationStatus: appointment.ConfirmationStatus,
+      CreatedDate: appointment.CreatedAt,
+      EndDate: appointment.EndTime,
+      LastModifiedDate: appointment.UpdatedAt,
+      Notes: appointment.Notes,
+      PatientFullName: patient.PatientFullName,
+      PatientID: appointment.PatientId,
+      PracticeID: appointment.PracticeId,
+      PracticeName: practice.PracticeName,
+      ResourceID1: appointment.ResourceId,
+      ServiceLocationID: appointment.ServiceLocationId,
+      ServiceLocationName: location.Name,
+      StartDate: appointment.StartTime,
+      Type: appointment.AppointmentType
+    };
+  }
+
+  getAppointments(request) {
+    const filter = request.Filter || {};
+    const offset = filter.TimeZoneOffsetFromGMT;
+    const from = parseFilterDate(filter.StartDate, offset);
+    const to = parseFilterDate(filter.EndDate, offset);
+    const modifiedFrom = parseFilterDate(filter.FromLastModifiedDate, offset);
+    const modifiedTo = parseFilterDate(filter.ToLastModifiedDate, offset);
+    const rows = Array.from(this.state.appointments.values())
+      .filter(appointment => !appointment.Deleted)
+      .map(appointment => this.appointmentListRow(appointment))
+      .filter(row => {
+        if ((from || to) && !inRange(row.StartDate, from, to)) return false;
+        if ((modifiedFrom || modifiedTo) && !inRange(row.LastModifiedDate, modifiedFrom, modifiedTo)) return false;
+        if (filter.PracticeName && !sameText(row.PracticeName, filter.PracticeName)) return false;
+        if (filter.PatientID && String(row.PatientID) !== String(filter.PatientID)) return false;
+        if (filter.PatientFullName && !sameText(row.PatientFullName, filter.PatientFullName)) return false;
+        if (filter.ServiceLocationName && !sameText(row.ServiceLocationName, filter.ServiceLocationName)) return false;
+        if (filter.ConfirmationStatus && !sameText(row.ConfirmationStatus, filter.ConfirmationStatus)) return false;
+        if (filter.AppointmentReason && !sameText(row.AppointmentReason1, filter.AppointmentReason)) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(a.StartDate) - new Date(b.StartDate));
+    const xml = rows.map(row => element('AppointmentData', selectFields(row, request.Fields))).join('');
+    return { Appointments: raw(`<Appointments>${xml}</Appointments>`), TotalCount: String(rows.length) };
+  }
+
+  updateAppointment(request) {
+    // tebraService sends the appointment fields directly under <request>; the WSDL client nests them
+    const input = request.Appointment || request;
+    const appointment = this.requireAppointment(pick(input, 'AppointmentId', 'AppointmentID'));
+    const start = input.StartTime ? new Date(input.StartTime) : new Date(appointment.StartTime);
+    const end = input.EndTime ? new Date(input.EndTime) : new Date(appointment.EndTime);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end.getTime() <= start.getTime()) {
+      throw businessError('EndTime must be after StartTime');
+    }
+    const reasonId = pick(input, 'AppointmentReasonId', 'AppointmentReasonID');
+    if (reasonId !== undefined && !this.state.appointmentReasons.some(r => String(r.ID) === String(reasonId))) {
+      throw businessError(`AppointmentReasonId ${reasonId} is not valid for Practice ${appointment.PracticeId}`);
+    }
+    const copy = {
+      AppointmentName: input.AppointmentName,
+      AppointmentReasonId: reasonId,
+      AppointmentStatus: input.AppointmentStatus,
+      ConfirmationStatus: input.ConfirmationStatus,
+      MaxAttendees: input.MaxAttendees,
+      Notes: input.Notes,
+      ProviderId: pick(input, 'ProviderId', 'ProviderID'),
+      ResourceId: pick(input, 'ResourceId', 'ResourceID'),
+      ServiceLocationId: pick(input, 'ServiceLocationId', 'ServiceLocationID')
+    };
+    for (const [key, value] of Object.entries(copy)) {
+      if (value !== undefined) appointment[key] = value;
+    }
+    appointment.StartTime = start.toISOString();
+    appointment.EndTime = end.toISOString();
+    appointment.UpdatedAt = nowIso();
+    return { Appointment: this.appointmentXml(appointment) };
+  }
+
+  deleteAppointment(request) {
+    const input = request.Appointment || request;
+    const appointment = this.requireAppointment(pick(input, 'AppointmentId', 'AppointmentID'));
+    appointment.Deleted = true;
+    appointment.UpdatedAt = nowIso();
+    return { AppointmentId: appointment.AppointmentId, Success: 'true' };
+  }
+
+  // -------------------------------------------------------------------------
+  // Reference data
+  // -------------------------------------------------------------------------
+
+  createAppointmentReason(request) {
+    const input = request.AppointmentReason || {};
+    if (!input.Name) {
+      throw businessError('Name is required to create an appointment reason');
+    }
+    const practice = this.requirePractice({ PracticeID: pick(input, 'PracticeId', 'PracticeID') || '1' });
+    const reason = {
+      ID: this.nextId('reason'),
+      Name: input.Name,
+      DefaultDurationMinutes: input.DefaultDurationMinutes || '30',
+      DefaultColorCode: input.DefaultColorCode,
+      Active: 'true',
+      PracticeID: practice.ID
+    };
+    this.state.appointmentReasons.push(reason);
+    return { AppointmentReasonID: reason.ID, Name: reason.Name };
+  }
+
+  getAppointmentReasons(request) {
+    const practiceId = pick(request, 'PracticeId', 'PracticeID');
+    if (practiceId !== undefined) this.requirePractice({ PracticeID: practiceId });
+    const reasons = this.state.appointmentReasons
+      .filter(reason => practiceId === undefined || String(reason.PracticeID) === String(practiceId));
+    return {
+      AppointmentReasons: raw(`<AppointmentReasons>${reasons.map(reason => element('AppointmentReasonData', reason)).join('')}</AppointmentReasons>`),
+      TotalCount: String(reasons.length)
+    };
+  }
+
+  listReferenceData(rows, wrapper, itemName, request, matches = () => true) {
+    const filter = request.Filter || {};
+    const selected = rows.filter(row => {
+      if (filter.ID && String(row.ID) !== String(filter.ID)) return false;
+      if (filter.Active !== undefined && filter.Active !== '' && row.Active !== undefined && toBool(row.Active) !== toBool(filter.Active)) return false;
+      return matches(row, filter);
+    });
+    const xml = selected.map(row => element(itemName, selectFields(row, request.Fields))).join('');
+    return { [wrapper]: raw(`<${wrapper}>${xml}</${wrapper}>`), TotalCount: String(selected.length) };
+  }
+
+  getPractices(request) {
+    return this.listReferenceData(this.state.practices, 'Practices', 'PracticeData', request, (row, filter) =>
+      !filter.PracticeName || sameText(row.PracticeName, filter.PracticeName));
+  }
+
+  practiceIdsForFilter(filter) {
+    const practiceId = pick(filter, 'PracticeId', 'PracticeID');
+    if (practiceId !== undefined) return [String(practiceId)];
+    if (filter.PracticeName) {
+      return this.state.practices.filter(p => sameText(p.PracticeName, filter.PracticeName)).map(p => String(p.ID));
+    }
+    return null;
+  }
+
+  getProviders(request) {
+    const practiceIds = this.practiceIdsForFilter(request.Filter || {});
+    return this.listReferenceData(this.state.providers, 'Providers', 'ProviderData', request, row =>
+      !practiceIds || practiceIds.includes(String(row.PracticeID)));
+  }
+
+  getServiceLocations(request) {
+    const practiceIds = this.practiceIdsForFilter(request.Filter || {});
+    return this.listReferenceData(this.state.serviceLocations, 'ServiceLocations', 'ServiceLocationData', request, row =>
+      !practiceIds || practiceIds.includes(String(row.PracticeID)));
+  }
+
+  getProcedureCodes(request) {
+    return this.listReferenceData(this.state.procedureCodes, 'ProcedureCodes', 'ProcedureCodeData', request, (row, filter) =>
+      !filter.ProcedureCode || sameText(row.ProcedureCode, filter.ProcedureCode));
+  }
+
+  // -------------------------------------------------------------------------
+  // Documents
+  // -------------------------------------------------------------------------
+
+  createDocument(request) {
+    const input = request.DocumentToCreate || {};
+    const patient = this.requirePatient(pick(input, 'PatientId', 'PatientID'));
+    if (!input.Name || !input.FileName) {
+      throw businessError('Name and FileName are required to create a document');
+    }
+    const id = this.nextId('document');
+    const document = {
+      DocumentID: id,
+      Name: input.Name,
+      FileName: input.FileName,
+      Label: input.Label || 'General',
+      Status: input.Status || 'Completed',
+      DocumentDate: input.DocumentDate || nowIso(),
+      DocumentNotes: input.DocumentNotes || '',
+      PatientId: patient.ID,
+      PracticeId: pick(input, 'PracticeId', 'PracticeID') || patient.PracticeId,
+      FileContent: input.FileContent || '',
+      CreatedDate: nowIso(),
+      Deleted: false
+    };
+    this.state.documents.set(id, document);
+    const { FileContent, Deleted, ...visible } = document;
+    return visible;
+  }
+
+  deleteDocument(request) {
+    const id = String(pick(request, 'DocumentId', 'DocumentID') ?? '');
+    const document = this.state.documents.get(id);
+    if (!document || document.Deleted) {
+      throw businessError(`Document ${id || '(none)'} was not found`);
+    }
+    document.Deleted = true;
+    return { DocumentID: id, Success: 'true' };
+  }
+
+  // -------------------------------------------------------------------------
+  // Encounters, charges and payments
+  // -------------------------------------------------------------------------
+
+  createEncounter(request) {
+    const input = request.Encounter || {};
+    const practice = this.requirePractice(input.Practice);
+    const patient = this.requirePatient(pick(input.Patient, 'PatientID', 'PatientId'));
+    const appointmentId = pick(input.Appointment, 'AppointmentID', 'AppointmentId');
+    if (appointmentId !== undefined) this.requireAppointment(appointmentId);
+    const lines = asArray(input.ServiceLines?.ServiceLine);
+    if (lines.length === 0) {
+      throw businessError('At least one service line is required');
+    }
+    for (const line of lines) {
+      if (!line.ProcedureCode) throw businessError('ProcedureCode is required on every service line');
+      if (line.UnitCharge !== undefined && isNaN(Number(line.UnitCharge))) throw businessError(`UnitCharge '${line.UnitCharge}' is not a valid amount`);
+    }
+
+    const id = this.nextId('encounter');
+    const now = nowIso();
+    const serviceDate = input.ServiceStartDate || now.slice(0, 10);
+    const encounter = {
+      EncounterID: id,
+      EncounterStatus: 'Draft',
+      PracticeID: practice.ID,
+      PatientID: patient.ID,
+      AppointmentID: appointmentId,
+      CaseName: pick(input.Case, 'CaseName') || 'Default Case',
+      ServiceStartDate: serviceDate,
+      ServiceEndDate: input.ServiceEndDate || serviceDate,
+      PostDate: input.PostDate || now.slice(0, 10),
+      ServiceLines: lines.map(line => ({
+        ProcedureCode: line.ProcedureCode,
+        ProcedureModifier1: line.ProcedureModifier1,
+        DiagnosisCode1: line.DiagnosisCode1,
+        Units: line.Units || '1',
+        UnitCharge: line.UnitCharge || '0'
+      })),
+      CreatedDate: now
+    };
+    this.state.encounters.set(id, encounter);
+    for (const line of encounter.ServiceLines) {
+      const chargeId = this.nextId('charge');
+      const units = Number(line.Units) || 1;
+      const amount = (units * Number(line.UnitCharge || 0)).toFixed(2);
+      this.state.charges.set(chargeId, {
+        ID: chargeId,
+        EncounterID: id,
+        PatientID: patient.ID,
+        PatientName: patient.PatientFullName,
+        PracticeName: practice.PracticeName,
+        ProcedureCode: line.ProcedureCode,
+        ProcedureModifier1: line.ProcedureModifier1,
+        Units: String(units),
+        UnitCharge: String(line.UnitCharge),
+        TotalCharges: amount,
+        ServiceStartDate: encounter.ServiceStartDate,
+        CreatedDate: now
+      });
+    }
+    return { EncounterID: id };
+  }
+
+  requireEncounter(encounterId) {
+    const encounter = encounterId !== undefined ? this.state.encounters.get(String(encounterId)) : null;
+    if (!encounter) {
+      throw businessError(`Encounter ${encounterId ?? '(none)'} was not found`);
+    }
+    return encounter;
+  }
+
+  getEncounterDetails(request) {
+    const encounter = this.requireEncounter(pick(request, 'EncounterID', 'EncounterId'));
+    const { ServiceLines, ...fields } = encounter;
+    return {
+      EncounterDetails: {
+        ...fields,
+        ServiceLines: raw(`<ServiceLines>${ServiceLines.map(line => element('ServiceLine', line)).join('')}</ServiceLines>`)
+      }
+    };
+  }
+
+  updateEncounterStatus(request) {
+    const encounter = this.requireEncounter(pick(request, 'EncounterID', 'EncounterId'));
+    const status = request.EncounterStatus;
+    const allowed = ['Draft', 'Review', 'Approved', 'Rejected', 'Unpayable'];
+    if (!allowed.includes(status)) {
+      throw businessError(`EncounterStatus '${status ?? ''}' is not valid`);
+    }
+    encounter.EncounterStatus = status;
+    return { EncounterID: encounter.EncounterID, EncounterStatus: status, Success: 'true' };
+  }
+
+  getCharges(request) {
+    const filter = request.Filter || {};
+    const from = parseFilterDate(filter.FromCreatedDate);
+    const to = parseFilterDate(filter.ToCreatedDate);
+    const charges = Array.from(this.state.charges.values()).filter(charge => {
+      if (filter.PatientID && String(charge.PatientID) !== String(filter.PatientID)) return false;
+      if (filter.PatientName && !sameText(charge.PatientName, filter.PatientName)) return false;
+      if (filter.PracticeName && !sameText(charge.PracticeName, filter.PracticeName)) return false;
+      if ((from || to) && !inRange(charge.CreatedDate, from, to)) return false;
+      return true;
+    });
+    return {
+      Charges: raw(`<Charges>${charges.map(charge => element('ChargeData', charge)).join('')}</Charges>`),
+      TotalCount: String(charges.length)
+    };
+  }
+
+  createPayments(request) {
+    const input = request.Payment || {};
+    const practice = this.requirePractice(input.Practice || { PracticeID: '1' });
+    const patient = this.requirePatient(pick(input.Patient, 'PatientID', 'PatientId'));
+    const details = input.Payment || {};
+    // Negative amounts record refunds and chargebacks against the patient's payments
+    const amount = Number(details.AmountPaid);
+    if (details.AmountPaid === undefined || isNaN(amount) || amount === 0) {
+      throw businessError(`AmountPaid '${details.AmountPaid ?? ''}' is not a valid amount`);
+    }
+    const id = this.nextId('payment');
+    const payment = {
+      ID: id,
+      PaymentID: id,
+      PatientID: patient.ID,
+      PatientName: patient.PatientFullName,
+      PracticeID: practice.ID,
+      PracticeName: practice.PracticeName,
+      AmountPaid: amount.toFixed(2),
+      PaymentMethod: details.PaymentMethod || 'Other',
+      ReferenceNumber: details.ReferenceNumber,
+      PayerType: details.PayerType || 'Patient',
+      PostDate: details.PostDate || nowIso().slice(0, 10),
+      CreatedDate: nowIso()
+    };
+    this.state.payments.set(id, payment);
+    return { PaymentID: id };
+  }
+
+  getPayments(request) {
+    const filter = request.Filter || {};
+    const from = parseFilterDate(filter.FromPostDate);
+    const to = parseFilterDate(filter.ToPostDate);
+    const payments = Array.from(this.state.payments.values()).filter(payment => {
+      if (filter.PatientID && String(payment.PatientID) !== String(filter.PatientID)) return false;
+      if (filter.PracticeID && String(payment.PracticeID) !== String(filter.PracticeID)) return false;
+      if (filter.PracticeName && !sameText(payment.PracticeName, filter.PracticeName)) return false;
+      if ((from || to) && !inRange(payment.PostDate, from, to)) return false;
+      return true;
+    });
+    return {
+      Payments: raw(`<Payments>${payments.map(payment => element('PaymentData', payment)).join('')}</Payments>`),
+      TotalCount: String(payments.length)
+    };
+  }
+
+  getTransactions(request) {
+    const filter = request.Filter || {};
+    const from = parseFilterDate(filter.FromTransactionDate);
+    const to = parseFilterDate(filter.ToTransactionDate);
+    const transactions = [
+      ...Array.from(this.state.charges.values()).map(charge => ({
+        ID: `C${charge.ID}`, Type: 'Charge', Amount: charge.TotalCharges, PatientID: charge.PatientID,
+        PracticeName: charge.PracticeName, TransactionDate: charge.CreatedDate, ReferenceID: charge.EncounterID
+      })),
+      ...Array.from(this.state.payments.values()).map(payment => ({
+        ID: `P${payment.ID}`, Type: 'Payment', Amount: (-Number(payment.AmountPaid)).toFixed(2), PatientID: payment.PatientID,
+        PracticeName: payment.PracticeName, TransactionDate: payment.PostDate, ReferenceID: payment.ReferenceNumber
+      }))
+    ].filter(transaction => {
+      if (filter.PatientID && String(transaction.PatientID) !== String(filter.PatientID)) return false;
+      if (filter.PracticeName && !sameText(transaction.PracticeName, filter.PracticeName)) return false;
+      if ((from || to) && !inRange(transaction.TransactionDate, from, to)) return false;
+      return true;
+    });
+    return {
+      Transactions: raw(`<Transactions>${transactions.map(transaction => element('TransactionData', transaction)).join('')}</Transactions>`),
+      TotalCount: String(transactions.length)
+    };
+  }
+
+  // -------------------------------------------------------------------------
+  // WSDL and HTTP server
+  // -------------------------------------------------------------------------
+
+  /**
+   * Minimal document/literal WSDL so the node-soap client can call every simulated operation.
+   * Request and result payloads are typed xs:anyType; the handlers read the elements by name.
+   */
+  wsdl(location) {
+    const operations = Object.keys(this.handlers());
+    const types = operations.map(op => (
+      `<xs:element name="${op}"><xs:complexType><xs:sequence><xs:element minOccurs="0" name="request" type="xs:anyType"/></xs:sequence></xs:complexType></xs:element>`
+      + `<xs:element name="${op}Response"><xs:complexType><xs:sequence><xs:element minOccurs="0" name="${op}Result" type="xs:anyType"/></xs:sequence></xs:complexType></xs:element>`
+    )).join('');
+    const messages = operations.map(op => (
+      `<wsdl:message name="${op}Request"><wsdl:part name="parameters" element="tns:${op}"/></wsdl:message>`
+      + `<wsdl:message name="${op}Response"><wsdl:part name="parameters" element="tns:${op}Response"/></wsdl:message>`
+    )).join('');
+    const portOps = operations.map(op => (
+      `<wsdl:operation name="${op}"><wsdl:input message="tns:${op}Request"/><wsdl:output message="tns:${op}Response"/></wsdl:operation>`
+    )).join('');
+    const bindingOps = operations.map(op => (
+      `<wsdl:operation name="${op}"><soap:operation soapAction="${SOAP_ACTION_PREFIX}${op}" style="document"/>`
+      + '<wsdl:input><soap:body use="literal"/></wsdl:input><wsdl:output><soap:body use="literal"/></wsdl:output></wsdl:operation>'
+    )).join('');
+
+    return '<?xml version="1.0" encoding="utf-8"?>'
+      + `<wsdl:definitions name="KareoServices" targetNamespace="${KAREO_NS}" xmlns:tns="${KAREO_NS}"`
+      + ' xmlns:wsdl="http://schemas.xmlsoap.org/wsdl/" xmlns:soap="http://schemas.xmlsoap.org/wsdl/soap/" xmlns:xs="http://www.w3.org/2001/XMLSchema">'
+      + `<wsdl:types><xs:schema elementFormDefault="qualified" targetNamespace="${KAREO_NS}">${types}</xs:schema></wsdl:types>`
+      + messages
+      + `<wsdl:portType name="KareoServices">${portOps}</wsdl:portType>`
+      + `<wsdl:binding name="BasicHttpBinding_KareoServices" type="tns:KareoServices"><soap:binding transport="http://schemas.xmlsoap.org/soap/http"/>${bindingOps}</wsdl:binding>`
+      + `<wsdl:service name="KareoServices"><wsdl:port name="BasicHttpBinding_KareoServices" binding="tns:BasicHttpBinding_KareoServices"><soap:address location="${xmlEscape(location)}"/></wsdl:port></wsdl:service>`
+      + '</wsdl:definitions>';
+  }
+
+  async handleHttp(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString('utf8');
+
+    const send = (status, payload, contentType = 'text/xml; charset=utf-8') => {
+      res.writeHead(status, { 'Content-Type': contentType });
+      res.end(payload);
+    };
+
+    if (url.pathname.startsWith(ADMIN_PREFIX)) {
+      return this.handleAdmin(req.method, url.pathname.slice(ADMIN_PREFIX.length), body, (status, payload) =>
+        send(status, JSON.stringify(payload), 'application/json'));
+    }
+
+    if (req.method === 'GET' && url.searchParams.has('wsdl')) {
+      return send(200, this.wsdl(`http://${req.headers.host}${url.pathname}`));
+    }
+    if (req.method !== 'POST') {
+      return send(405, 'Method Not Allowed', 'text/plain');
+    }
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+    const { status, body: responseBody } = this.handleSoap(body, req.headers.soapaction);
+    return send(status, responseBody, status === 503 ? 'text/plain' : 'text/xml; charset=utf-8');
+  }
+
+  /**
+   * Admin endpoints for driving the simulator from another process:
+   * GET /__simulator/state, POST /__simulator/reset, POST /__simulator/faults { method, type, message, times }
+   */
+  handleAdmin(method, path, body, reply) {
+    if (method === 'GET' && path === '/state') {
+      return reply(200, this.snapshot());
+    }
+    if (method === 'POST' && path === '/reset') {
+      this.reset();
+      return reply(200, { success: true });
+    }
+    if (method === 'POST' && path === '/faults') {
+      let payload;
+      try {
+        payload = JSON.parse(body || '{}');
+      } catch (e) {
+        return reply(400, { success: false, message: 'Body must be JSON' });
+      }
+      if (!['fault', 'error', 'auth', 'unavailable'].includes(payload.type || 'fault')) {
+        return reply(400, { success: false, message: 'type must be one of fault, error, auth, unavailable' });
+      }
+      this.injectFault(payload.method, payload);
+      return reply(200, { success: true, pending: this.faults.length });
+    }
+    return reply(404, { success: false, message: 'Not found' });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - 0 picks a free port
+   * @returns {Promise<string>} SOAP endpoint URL to use as TEBRA_SOAP_ENDPOINT
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.handleHttp(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/xml; charset=utf-8' });
+        res.end(faultEnvelope('a:InternalServiceFault', error.message));
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    const address = this.server.address();
+    this.endpoint = `http://${host}:${address.port}/services/soap/2.1/KareoServices.svc`;
+    return this.endpoint;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function createTebraSimulator(options = {}) {
+  return new TebraSoapSimulator(options);
+}
+
+module.exports = {
+  TebraSoapSimulator,
+  createTebraSimulator,
+  DEFAULT_CREDENTIALS,
+  parseXml,
+  nodeToValue
+};
@@ -0,0 +1,265 @@
+// backend/src/services/tebraTenantService.js
+// Tebra accounts (tenants). Each legal entity with its own Tebra customer key is a tenant with
+// its own credentials, SOAP endpoint and practices. Tenants come from:
+// - 'default': TEBRA_CUSTOMER_KEY / TEBRA_USER / TEBRA_PASSWORD / TEBRA_PRACTICE_NAME (always present)
+// - TEBRA_TENANTS_JSON: {"<tenantId>": {"name", "customerKey", "user", "password", "practiceName",
+//   "soapEndpoint", "practiceIds": ["12"]}}
+// - tebra_tenants table (credentials encrypted with encryptionService), loaded by refresh();
+//   rows override config tenants with the same id
+// A call is routed to: explicit tenantId > providerMapping[state].tenantId (TEBRA_TENANT_<STATE>)
+// > the one tenant listing the practiceId > the caller's fallback ('default').
+
+const logger = require('../utils/logger');
+const encryptionService = require('./encryptionService');
+const providerMapping = require('../config/providerMapping');
+
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/i;
+
+function tenantError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function normalizeTenant(id, config = {}, source) {
+  return {
+    id,
+    name: config.name || id,
+    customerKey: config.customerKey || undefined,
+    user: config.user || undefined,
+    password: config.password || undefined,
+    practiceName: config.practiceName || undefined,
+    soapEndpoint: config.soapEndpoint || undefined,
+    practiceIds: (config.practiceIds || []).map(String),
+    source
+  };
+}
+
+// 'default' from the single-account env vars plus TEBRA_TENANTS_JSON
+function loadConfigTenants(env = process.env) {
+  const tenants = new Map();
+  tenants.set(DEFAULT_TENANT_ID, normalizeTenant(DEFAULT_TENANT_ID, {
+    customerKey: env.TEBRA_CUSTOMER_KEY,
+    user: env.TEBRA_USER,
+    password: env.TEBRA_PASSWORD,
+    practiceName: env.TEBRA_PRACTICE_NAME
+  }, 'env'));
+
+  let configured = {};
+  try {
+    configured = JSON.parse(env.TEBRA_TENANTS_JSON || '{}');
+  } catch (error) {
+    logger.error('[TEBRA_TENANT] TEBRA_TENANTS_JSON is not valid JSON, ignoring it', { error: error.message });
+  }
+  for (const [id, config] of Object.entries(configured || {})) {
+    if (!TENANT_ID_PATTERN.test(id)) {
+      logger.error('[TEBRA_TENANT] Ignoring tenant with invalid id in TEBRA_TENANTS_JSON', { tenantId: id });
+      continue;
+    }
+    tenants.set(id, normalizeTenant(id, config, 'config'));
+  }
+  return tenants;
+}
+
+class TebraTenantService {
+  constructor() {
+    this.reload();
+  }
+
+  /**
+   * Rebuild the tenants from env config (drops tenants loaded from the database until refresh())
+   */
+  reload() {
+    this.configTenants = loadConfigTenants();
+    this.tenants = new Map(this.configTenants);
+  }
+
+  hasTenant(tenantId) {
+    return this.tenants.has(String(tenantId));
+  }
+
+  /**
+   * Tenant with credentials
+   * @param {string} tenantId
+   * @returns {Object} { id, name, customerKey, user, password, practiceName, soapEndpoint, practiceIds, source }
+   */
+  getTenant(tenantId = DEFAULT_TENANT_ID) {
+    const tenant = this.tenants.get(String(tenantId));
+    if (!tenant) {
+      throw tenantError(`Unknown Tebra tenant: ${tenantId}`, 404, 'TEBRA_TENANT_NOT_FOUND');
+    }
+    return tenant;
+  }
+
+  /**
+   * Tenant owning a Tebra practice: listed in the tenant's practiceIds or mapped to the tenant by
+   * providerMapping. Null when no tenant or more than one tenant claims the practice.
+   */
+  tenantForPractice(practiceId) {
+    if (practiceId === undefined || practiceId === null || practiceId === '') return null;
+    const practiceIdStr = String(practiceId);
+    const owners = new Set();
+    for (const tenant of this.tenants.values()) {
+      if (tenant.practiceIds.includes(practiceIdStr)) owners.add(tenant.id);
+    }
+    for (const entry of Object.values(providerMapping)) {
+      if (entry && entry.practiceId && String(entry.practiceId) === practiceIdStr && entry.tenantId && this.tenants.has(entry.tenantId)) {
+        owners.add(entry.tenantId);
+      }
+    }
+    if (owners.size > 1) {
+      logger.warn('[TEBRA_TENANT] Practice is claimed by several tenants, pass tenantId explicitly', {
+        practiceId: practiceIdStr,
+        tenants: [...owners]
+      });
+      return null;
+    }
+    return owners.size === 1 ? [...owners][0] : null;
+  }
+
+  /**
+   * Pick the tenant for a Tebra call
+   * @param {Object} hints - { tenantId, state, practiceId }
+   * @param {string} fallback - Tenant when no hint matches
+   * @returns {string} Tenant id
+   */
+  resolveTenantId({ tenantId, state, practiceId } = {}, fallback = DEFAULT_TENANT_ID) {
+    if (tenantId) {
+      return this.getTenant(tenantId).id;
+    }
+    if (state) {
+      const mapping = providerMapping[String(state).trim().toUpperCase()];
+      if (mapping && mapping.tenantId) {
+        // A state mapped to a missing tenant must not fall back to another account's credentials
+        return this.getTenant(mapping.tenantId).id;
+      }
+    }
+    return this.tenantForPractice(practiceId) || fallback;
+  }
+
+  /**
+   * Tenant and practice to post billing to: the practice given, else the state's practice
+   * (providerMapping), else the tenant's first practice (TEBRA_PRACTICE_ID for 'default')
+   * @param {Object} hints - { tenantId, state, practiceId }
+   * @returns {{ tenantId: string, practiceId: string|undefined }}
+   */
+  resolvePractice({ tenantId, state, practiceId } = {}) {
+    const mapping = state ? providerMapping[String(state).trim().toUpperCase()] : null;
+    const hinted = practiceId || mapping?.practiceId;
+    const tenant = this.getTenant(this.resolveTenantId({ tenantId, state, practiceId: hinted }));
+    const resolved = hinted || tenant.practiceIds[0]
+      || (tenant.id === DEFAULT_TENANT_ID ? process.env.TEBRA_PRACTICE_ID : undefined);
+    return { tenantId: tenant.id, practiceId: resolved ? String(resolved) : undefined };
+  }
+
+  /**
+   * Tenants without secrets (admin API, health)
+   */
+  listTenants() {
+    return [...this.tenants.values()].map(tenant => ({
+      id: tenant.id,
+      name: tenant.name,
+      practiceName: tenant.practiceName || null,
+      practiceIds: tenant.practiceIds,
+      soapEndpoint: tenant.soapEndpoint || null,
+      source: tenant.source,
+      hasCredentials: Boolean(tenant.customerKey && tenant.user && tenant.password)
+    }));
+  }
+
+  /**
+   * Load active tenants from tebra_tenants on top of the config tenants.
+   * Keeps the current tenants when the database is unavailable.
+   * @returns {Promise<number>} Number of tenants loaded from the database
+   */
+  async refresh() {
+    try {
+      const { query } = require('../db/pg');
+      const { rows } = await query('SELECT * FROM tebra_tenants WHERE active = TRUE ORDER BY tenant_id');
+      const tenants = new Map(this.configTenants);
+      for (const row of rows) {
+        tenants.set(row.tenant_id, normalizeTenant(row.tenant_id, {
+          name: row.name,
+          customerKey: encryptionService.decrypt(row.customer_key_encrypted),
+          user: encryptionService.decrypt(row.user_encrypted),
+          password: encryptionService.decrypt(row.password_encrypted),
+          practiceName: row.practice_name,
+          soapEndpoint: row.soap_endpoint,
+          practiceIds: row.practice_ids || []
+        }, 'database'));
+      }
+      this.tenants = tenants;
+      if (rows.length) {
+        logger.info('[TEBRA_TENANT] Loaded Tebra tenants from database', { tenants: rows.map(row => row.tenant_id) });
+      }
+      return rows.length;
+    } catch (error) {
+      logger.warn('[TEBRA_TENANT] Could not load Tebra tenants from database', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Create or update a tenant in tebra_tenants; credentials are stored encrypted
+   * @param {string} tenantId
+   * @param {Object} fields - { name, customerKey, user, password, practiceName, soapEndpoint, practiceIds, active }
+   *   Omitted fields keep their stored value
+   * @returns {Promise<Object>} Tenant without secrets
+   */
+  async saveTenant(tenantId, fields = {}) {
+    if (!tenantId || !TENANT_ID_PATTERN.test(String(tenantId))) {
+      throw tenantError('Tenant id must be 1-50 letters, digits, "-" or "_"', 400, 'TEBRA_TENANT_INVALID');
+    }
+    if (!encryptionService.enabled) {
+      throw tenantError('ENCRYPTION_KEY must be set to store Tebra credentials', 503, 'TEBRA_TENANT_ENCRYPTION_DISABLED');
+    }
+    if (fields.practiceIds !== undefined && !Array.isArray(fields.practiceIds)) {
+      throw tenantError('practiceIds must be an array', 400, 'TEBRA_TENANT_INVALID');
+    }
+
+    const { query } = require('../db/pg');
+    const existing = await query('SELECT tenant_id FROM tebra_tenants WHERE tenant_id = $1', [tenantId]);
+    if (!existing.rows[0] && !(fields.customerKey && fields.user && fields.password)) {
+      throw tenantError('customerKey, user and password are required for a new tenant', 400, 'TEBRA_TENANT_INVALID');
+    }
+
+    const encrypt = value => (value ? encryptionService.encrypt(String(value)) : null);
+    await query(
+      `INSERT INTO tebra_tenants (tenant_id, name, customer_key_encrypted, user_encrypted, password_encrypted,
+                                  practice_name, soap_endpoint, practice_ids, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::text[], '{}'), COALESCE($9, TRUE))
+       ON CONFLICT (tenant_id) DO UPDATE SET
+         name = COALESCE(EXCLUDED.name, tebra_tenants.name),
+         customer_key_encrypted = COALESCE(EXCLUDED.customer_key_encrypted, tebra_tenants.customer_key_encrypted),
+         user_encrypted = COALESCE(EXCLUDED.user_encrypted, tebra_tenants.user_encrypted),
+         password_encrypted = COALESCE(EXCLUDED.password_encrypted, tebra_tenants.password_encrypted),
+         practice_name = COALESCE(EXCLUDED.practice_name, tebra_tenants.practice_name),
+         soap_endpoint = COALESCE(EXCLUDED.soap_endpoint, tebra_tenants.soap_endpoint),
+         practice_ids = COALESCE($8::text[], tebra_tenants.practice_ids),
+         active = COALESCE($9, tebra_tenants.active),
+         updated_at = NOW()`,
+      [
+        tenantId,
+        fields.name || null,
+        encrypt(fields.customerKey),
+        encrypt(fields.user),
+        encrypt(fields.password),
+        fields.practiceName || null,
+        fields.soapEndpoint || null,
+        fields.practiceIds ? fields.practiceIds.map(String) : null,
+        typeof fields.active === 'boolean' ? fields.active : null
+      ]
+    );
+    logger.info('[TEBRA_TENANT] Saved Tebra tenant', { tenantId });
+
+    await this.refresh();
+    return this.listTenants().find(tenant => tenant.id === tenantId) || { id: tenantId, active: false };
+  }
+}
+
+const tebraTenantService = new TebraTenantService();
+
+module.exports = tebraTenantService;
+module.exports.DEFAULT_TENANT_ID = DEFAULT_TENANT_ID;
@@ -0,0 +1,488 @@
+// backend/src/services/tebraTransport.js
+// Shared SOAP transport for the Tebra domain clients: credentials and RequestHeader, request
+// envelopes, the HTTP round trip (through tebraResilience), fault / error classification and
+// redacted SOAP logging. One instance per Tebra account (tenant, see tebraTenantService) is shared
+// by every client so they use the same credentials and circuit breaker. The concurrency cap
+// (TEBRA_MAX_CONCURRENCY) is shared by the transports of every account.
+const axios = require('axios');
+const tebraSoapParsing = require('./tebraServiceSoapParsing');
+const { classifyTebraError, errorFromResponseBody, sanitizeContext } = require('./tebraErrors');
+const { TebraResilience } = require('./tebraResilience');
+const { tryParseXml, readErrorResponse, readSecurityResponse } = require('./tebraXmlParser');
+const providerMapping = require('../config/providerMapping');
+const tebraTenantService = require('./tebraTenantService');
+
+// Ensure Tebra SOAP URLs use 2.1 only (not 3.x). Project uses SOAP 2.1.
+function ensureSoap21Url(url) {
+  if (!url || typeof url !== 'string') return url;
+  const base = url.split('?')[0];
+  const rewritten = base.replace(/\/soap\/3(\.\d+)?/g, '/soap/2.1');
+  if (rewritten !== base) {
+    console.warn(`[TEBRA] SOAP URL contained soap/3.x; overridden to soap/2.1. Project uses SOAP 2.1 only.`);
+  }
+  return rewritten;
+}
+
+// Concurrency limiter of every tenant's transport, created with the first transport
+let sharedLimiter = null;
+
+// Breaker name in logs and metrics; the default account keeps the original 'tebra'
+function breakerName(tenantId) {
+  return tenantId === tebraTenantService.DEFAULT_TENANT_ID ? 'tebra' : `tebra:${tenantId}`;
+}
+
+function resolveSoapUrls(input) {
+  if (!input || typeof input !== 'string') {
+    return { endpoint: input, wsdlUrl: input };
+  }
+  const hasWsdl = /[?&]wsdl\b/i.test(input);
+  const base = ensureSoap21Url(input);
+  return {
+    endpoint: base,
+    wsdlUrl: hasWsdl ? `${base}?wsdl` : `${base}?wsdl`
+  };
+}
+
+class TebraTransport {
+  /**
+   * @param {Object} [tenant] - Tebra account from tebraTenantService; env credentials ('default') when omitted
+   */
+  constructor(tenant = null) {
+    const soapConfig = resolveSoapUrls(
+      (tenant && tenant.soapEndpoint)
+        || process.env.TEBRA_SOAP_WSDL
+        || process.env.TEBRA_SOAP_ENDPOINT
+        || 'https://webservice.kareo.com/services/soap/2.1/KareoServices.svc?wsdl'
+    );
+    this.tenantId = tenant ? tenant.id : tebraTenantService.DEFAULT_TENANT_ID;
+    this.soapEndpoint = soapConfig.endpoint;
+    this.wsdlUrl = soapConfig.wsdlUrl;
+    this.customerKey = tenant ? tenant.customerKey : process.env.TEBRA_CUSTOMER_KEY;
+    this.password = tenant ? tenant.password : process.env.TEBRA_PASSWORD;
+    this.user = tenant ? tenant.user : process.env.TEBRA_USER;
+    this.practiceName = tenant ? tenant.practiceName : process.env.TEBRA_PRACTICE_NAME;
+    this.namespace = process.env.TEBRA_SOAP_NAMESPACE || 'http://www.kareo.com/api/schemas/';
+    this.useRawSOAP = String(process.env.TEBRA_USE_RAW_SOAP || 'true').toLowerCase() !== 'false';
+    
+    // API rate limiting configuration
+    this.batchSize = parseInt(process.env.TEBRA_BATCH_SIZE) || 5;
+    this.delayBetweenCalls = parseInt(process.env.TEBRA_DELAY_BETWEEN_CALLS) || 200; // ms
+    this.delayBetweenBatches = parseInt(process.env.TEBRA_DELAY_BETWEEN_BATCHES) || 1000; // ms
+    this.delayAfterGetIds = parseInt(process.env.TEBRA_DELAY_AFTER_GET_IDS) || 500; // ms
+
+    // Retries for reads and circuit breaker for this account; concurrency cap shared by every account
+    if (!sharedLimiter) sharedLimiter = TebraResilience.createLimiter();
+    this.resilience = new TebraResilience({ name: breakerName(this.tenantId), limiter: sharedLimiter });
+
+    // Request builders for methods whose envelope differs from the generic Fields/Filter shape
+    this.envelopeBuilders = {};
+  }
+
+  /**
+   * Circuit breaker, concurrency and retry state (health check and /api/metrics)
+   */
+  getResilienceStatus() {
+    return this.resilience.getStatus();
+  }
+
+  // Connection test method
+  async testConnection() {
+    try {
+      console.log(`🔗 Tebra/Kareo SOAP client ready (tenant: ${this.tenantId})`);
+      console.log(`SOAP Endpoint: ${this.soapEndpoint}`);
+      console.log(`🏥 Practice: ${this.practiceName}`);
+      console.log(`👤 User: ${this.user}`);
+      console.log('✅ Raw SOAP mode enabled');
+      console.log('✅ Client initialized successfully');
+      return { success: true, mode: 'raw', tenantId: this.tenantId };
+    } catch (error) {
+      console.error('❌ Connection test failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get SOAP client (restored original implementation)
+  async getClient() {
+    if (this.client) {
+      return this.client;
+    }
+
+    try {
+      const soap = require('soap');
+      
+      // Create SOAP client with WSDL
+      const wsdlUrl = this.wsdlUrl || `${this.soapEndpoint}?wsdl`;
+      console.log(`🔗 Creating SOAP client from WSDL: ${wsdlUrl}`);
+      
+      this.client = await soap.createClientAsync(wsdlUrl, {
+        endpoint: this.soapEndpoint,
+        forceSoap12Headers: false,
+        preserveWhitespace: true
+      });
+      
+      console.log('✅ SOAP client created successfully');
+      return this.client;
+      
+    } catch (error) {
+      console.error('❌ Failed to create SOAP client:', error.message);
+      throw new Error(`Failed to create Tebra SOAP client: ${error.message}`);
+    }
+  }
+
+  // Helper method to build RequestHeader - follows official Tebra documentation
+  // A practice owned by another Tebra account is sent with that account's credentials
+  buildRequestHeader(practiceId) {
+    let credentials = this;
+    const ownerTenantId = tebraTenantService.tenantForPractice(practiceId);
+    if (ownerTenantId && ownerTenantId !== this.tenantId) {
+      credentials = tebraTenantService.getTenant(ownerTenantId);
+    }
+    const header = {
+      CustomerKey: credentials.customerKey,
+      Password: credentials.password,
+      User: credentials.user
+    };
+    return header;
+  }
+
+  // Get auth header (backward compatibility)
+  getAuthHeader() {
+    return this.buildRequestHeader();
+  }
+
+  /**
+   * Use a custom request envelope for a SOAP method in generateRawSOAPXML / callRawSOAPMethod
+   * @param {string} methodName - SOAP method, e.g. 'CreatePatient'
+   * @param {Function} builder - (fields, filters) => SOAP XML
+   */
+  registerEnvelope(methodName, builder) {
+    this.envelopeBuilders[methodName] = builder;
+  }
+
+  // Enhanced SOAP XML generation following official Tebra patterns
+  generateRawSOAPXML(methodName, fields = {}, filters = {}) {
+    const auth = this.getAuthHeader();
+    
+    // Validate required parameters
+    if (!methodName || typeof methodName !== 'string' || methodName.trim() === '') {
+      throw new Error('Method name is required and cannot be empty');
+    }
+    
+    // Validate required authentication fields
+    if (!auth.CustomerKey || !auth.User || !auth.Password) {
+      throw new Error('Missing required authentication fields: CustomerKey, User, and Password are required');
+    }
+    
+    // Methods with their own request structure register a builder (see the domain clients)
+    const buildEnvelope = this.envelopeBuilders[methodName];
+    if (buildEnvelope) {
+      return buildEnvelope(fields, filters);
+    }
+    
+    // Some methods require Fields/Filter to use the sch1 namespace prefix.
+    const useAltPrefix = methodName === 'GetServiceLocations';
+    const fieldsPrefix = useAltPrefix ? 'sch1' : 'sch';
+    const filterPrefix = useAltPrefix ? 'sch1' : 'sch';
+    const envelopeNamespaces = useAltPrefix
+      ? '                  xmlns:sch1="http://www.kareo.com/api/schemas/"'
+      : '';
+
+    // Build fields XML with proper validation and escaping
+    const fieldsXml = Object.keys(fields).length > 0 ?
+      Object.keys(fields)
+        .filter(key => fields[key] !== undefined && fields[key] !== null)
+        .map(key => `          <${fieldsPrefix}:${key}>${this.xmlEscape(String(fields[key]))}</${fieldsPrefix}:${key}>`)
+        .join('\n') : '';
+    
+    // Build filters XML with proper validation
+    const validFilters = Object.keys(filters).length > 0 ?
+      Object.keys(filters).filter(key => 
+        filters[key] !== undefined && 
+        filters[key] !== null && 
+        filters[key] !== ''
+      ) : [];
+    
+    const filtersXml = validFilters.length > 0 ?
+      validFilters.map(key =>
+        `          <${filterPrefix}:${key}>${this.xmlEscape(String(filters[key]))}</${filterPrefix}:${key}>`
+      ).join('\n') : '';
+    
+    // Generate SOAP envelope following official Tebra format
+    // RequestHeader child elements use the sch: namespace prefix per Tebra SOAP samples.
+    return `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+                  xmlns:sch="http://www.kareo.com/api/schemas/"${envelopeNamespaces}>
+  <soapenv:Header/>
+  <soapenv:Body>
+    <sch:${methodName}>
+      <sch:request>
+        <sch:RequestHeader>
+          <sch:CustomerKey>${this.xmlEscape(auth.CustomerKey)}</sch:CustomerKey>
+          <sch:Password>${this.xmlEscape(auth.Password)}</sch:Password>
+          <sch:User>${this.xmlEscape(auth.User)}</sch:User>
+        </sch:RequestHeader>
+        <${fieldsPrefix}:Fields>
+${fieldsXml}
+        </${fieldsPrefix}:Fields>
+        <${filterPrefix}:Filter>
+${filtersXml}
+        </${filterPrefix}:Filter>
+      </sch:request>
+    </sch:${methodName}>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  // Throw a typed Tebra error when a SOAP response carries a fault, IsError or failed authentication
+  throwIfTebraError(methodName, data, context = null) {
+    const error = errorFromResponseBody(data, { method: methodName, context });
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * POST a complete SOAP envelope to Tebra through the resilience layer (read retries, circuit
+   * breaker, concurrency cap). Faults, IsError responses and failed authentication become typed errors.
+   * @param {string} methodName - SOAP method, used for the SOAPAction header
+   * @param {string} soapXml - Request envelope
+   * @param {Object} [context] - Sanitized request fields attached to errors
+   * @returns {Promise<string>} Raw response XML
+   */
+  async send(methodName, soapXml, context = null) {
+    // Errors name the Tebra account the call ran against
+    context = { tenantId: this.tenantId, ...(context || {}) };
+
+    // One request/response round; reads are retried on outage / timeout by the resilience layer
+    const sendRequest = async () => {
+      try {
+        const response = await axios.post(
+          this.soapEndpoint,
+          soapXml,
+          {
+            headers: {
+              'Content-Type': 'text/xml; charset=utf-8',
+              'SOAPAction': `"http://www.kareo.com/api/schemas/KareoServices/${methodName}"`,
+              'User-Agent': 'Tebra-SOAP-Client/1.0'
+            },
+            timeout: 30000, // 30 second timeout
+            validateStatus: (status) => status < 500 // Accept 4xx as valid responses
+          }
+        );
+
+        // Log response for debugging
+        if (this.shouldLogSoap()) {
+          this.logSoapDebug(`🔍 [TEBRA] ${methodName} SOAP response:`, response.data);
+        }
+
+        if (this.shouldLogSoap()) {
+          const doc = tryParseXml(response.data);
+          const security = readSecurityResponse(doc) || {};
+          const errorResponse = readErrorResponse(doc) || {};
+          this.logSoapDebug('[TEBRA DEBUG] Auth status:', {
+            authenticated: security.Authenticated === true,
+            customerKeyValid: security.CustomerKeyValid === true,
+            authorized: security.Authorized === true,
+            isError: errorResponse.IsError === true
+          });
+        }
+
+        // SOAP faults, IsError responses and authentication / customer key failures become typed errors
+        const responseError = errorFromResponseBody(response.data, {
+          method: methodName,
+          context,
+          httpStatus: response.status
+        });
+        if (responseError) {
+          throw responseError;
+        }
+
+        return response.data;
+      } catch (error) {
+        if (error.response) {
+          console.error(`❌ [TEBRA] ${methodName} HTTP ${error.response.status}`);
+          console.error(`   Headers:`, error.response.headers);
+
+          // Log response data (truncated for readability)
+          const responseData = error.response.data;
+          if (typeof responseData === 'string') {
+            const preview = responseData.length > 1000
+              ? responseData.substring(0, 1000) + '...'
+              : responseData;
+            console.error(`   Response: ${preview}`);
+          }
+        } else if (error.request) {
+          console.error(`❌ [TEBRA] ${methodName}: no response received from Tebra API (timeout or network error)`);
+        }
+        throw classifyTebraError(error, { method: methodName, context });
+      }
+    };
+
+    return this.resilience.execute(methodName, sendRequest);
+  }
+
+  // Enhanced SOAP method caller with improved error handling
+  async callRawSOAPMethod(methodName, fields = {}, filters = {}) {
+    try {
+      // Validate inputs
+      if (!methodName) {
+        throw new Error('Method name is required');
+      }
+      
+      // Generate SOAP XML
+      const soapXml = this.generateRawSOAPXML(methodName, fields, filters);
+      
+      // Log request for debugging (configurable)
+      if (this.shouldLogSoap()) {
+        this.logSoapDebug(`🔍 [TEBRA] ${methodName} SOAP request XML:`, soapXml);
+
+        // Log specific fields for appointment methods
+        if (methodName === 'CreateAppointment') {
+          const startTimeMatch = soapXml.match(/<sch:StartTime[^>]*>([^<]+)<\/sch:StartTime>/i);
+          const endTimeMatch = soapXml.match(/<sch:EndTime[^>]*>([^<]+)<\/sch:EndTime>/i);
+          if (startTimeMatch) this.logSoapDebug('🔍 [TEBRA] StartTime:', startTimeMatch[1]);
+          if (endTimeMatch) this.logSoapDebug('🔍 [TEBRA] EndTime:', endTimeMatch[1]);
+        }
+      }
+      
+      const context = { fields: sanitizeContext(fields), filters: sanitizeContext(filters) };
+
+      return await this.send(methodName, soapXml, context);
+      
+    } catch (error) {
+      // Enhanced error logging
+      console.error(`❌ [TEBRA] ${methodName} failed:`, error.message);
+      
+      // Re-throw as a typed Tebra error (auth / validation / not found / transient / timeout)
+      throw classifyTebraError(error, {
+        method: methodName,
+        context: { tenantId: this.tenantId, fields: sanitizeContext(fields), filters: sanitizeContext(filters) }
+      });
+    }
+  }
+
+  resolvePracticeName(options = {}) {
+    const direct = options.practiceName || options.PracticeName;
+    if (direct) return direct;
+
+    const stateInput = options.state || options.State;
+    if (stateInput) {
+      const key = String(stateInput).trim().toUpperCase();
+      const mapping = providerMapping[key];
+      if (mapping && mapping.practiceName) return mapping.practiceName;
+    }
+
+    const practiceId = options.practiceId || options.PracticeId;
+    if (practiceId != null && practiceId !== '') {
+      const practiceIdStr = String(practiceId);
+      const match = Object.values(providerMapping).find(
+        (entry) => entry && entry.practiceId && String(entry.practiceId) === practiceIdStr && entry.practiceName
+      );
+      if (match && match.practiceName) return match.practiceName;
+    }
+
+    return this.practiceName || undefined;
+  }
+
+  // Enhanced error handling with better logging
+  handleSOAPError(error, methodName, context = {}) {
+    console.error(`❌ Tebra SOAP Error in ${methodName}:`, {
+      message: error.message,
+      code: error.code,
+      context: context,
+      timestamp: new Date().toISOString()
+    });
+    
+    if (error.response) {
+      console.error('Response details:', {
+        status: error.response.status,
+        statusText: error.response.statusText,
+        data: error.response.data
+      });
+    }
+    
+    if (error.request) {
+      console.error('Request details:', {
+        url: error.request.url,
+        method: error.request.method,
+        headers: error.request.headers
+      });
+    }
+    
+    // Re-throw with enhanced context
+    const enhancedError = new Error(`Tebra SOAP ${methodName} failed: ${error.message}`);
+    enhancedError.originalError = error;
+    enhancedError.context = context;
+    enhancedError.methodName = methodName;
+    throw enhancedError;
+  }
+
+  shouldLogSoap() {
+    return process.env.TEBRA_DEBUG_SOAP === 'true'
+      || process.env.TEBRA_DEBUG_REQUESTS === 'true'
+      || process.env.TEBRA_DEBUG_RESPONSES === 'true'
+      || process.env.TEBRA_DEBUG_AUTH === 'true';
+  }
+
+  redactSoapXml(xml) {
+    if (typeof xml !== 'string') return xml;
+    return xml
+      .replace(/<(?:\w+:)?CustomerKey>[^<]*<\/(?:\w+:)?CustomerKey>/gi, '<CustomerKey>***</CustomerKey>')
+      .replace(/<(?:\w+:)?Password>[^<]*<\/(?:\w+:)?Password>/gi, '<Password>***</Password>')
+      .replace(/<(?:\w+:)?User>[^<]*<\/(?:\w+:)?User>/gi, '<User>***</User>');
+  }
+
+  redactSoapArgs(args) {
+    try {
+      const safeArgs = JSON.parse(JSON.stringify(args || {}));
+      if (safeArgs.request && safeArgs.request.RequestHeader) {
+        safeArgs.request.RequestHeader = {
+          CustomerKey: safeArgs.request.RequestHeader.CustomerKey ? '***' : undefined,
+          User: safeArgs.request.RequestHeader.User ? '***' : undefined,
+          Password: safeArgs.request.RequestHeader.Password ? '***' : undefined,
+          ClientVersion: safeArgs.request.RequestHeader.ClientVersion || undefined
+        };
+      }
+      return safeArgs;
+    } catch (e) {
+      return { redactionFailed: true };
+    }
+  }
+
+  logSoapArgs(label, args) {
+    if (!this.shouldLogSoap()) return;
+    const safeArgs = this.redactSoapArgs(args);
+    console.log(label, JSON.stringify(safeArgs, null, 2));
+  }
+
+  logSoapDebug(label, payload, options = {}) {
+    if (!this.shouldLogSoap()) return;
+    const maxLength = options.maxLength || 2000;
+    if (typeof payload === 'string') {
+      const redacted = this.redactSoapXml(payload);
+      const preview = redacted.length > maxLength ? `${redacted.slice(0, maxLength)}...` : redacted;
+      console.log(label, preview);
+      return;
+    }
+    try {
+      console.log(label, JSON.stringify(payload, null, 2));
+    } catch (error) {
+      console.log(label, payload);
+    }
+  }
+
+  // Helper method for XML escaping
+  xmlEscape(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+Object.assign(TebraTransport.prototype, tebraSoapParsing);
+
+module.exports = { TebraTransport };
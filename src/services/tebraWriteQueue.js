@@ -0,0 +1,538 @@
+// backend/src/services/tebraWriteQueue.js
+// Durable, idempotent commands for Tebra mutations (patients, appointments, documents, charges, payments).
+// Every write is recorded in tebra_write_commands under an idempotency key:
+// - enqueue(): background write through the 'tebra-writes' BullMQ queue, retried with backoff on
+//   retryable Tebra errors and dead-lettered (deadLetterQueue) when Tebra rejects it or attempts run out.
+//   Pending commands are also picked up by the processDue() sweep, so nothing is lost if Redis is down.
+//   The sweep also returns queued commands left 'processing' by a crashed worker to pending.
+// - execute(): inline write for callers that need the result now (booking, webhook steps); a repeated
+//   key returns the stored result instead of writing to Tebra twice, failures stay replayable.
+//   An inline write interrupted mid-call is marked failed, never re-run in the background.
+// Each command records the Tebra account (tenant_id) it runs against and jobs carry it.
+// A command can depend on another (dependsOn): it is not run until that one has succeeded, and is
+// dead-lettered with it (returning to pending when that command is replayed).
+
+const crypto = require('crypto');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const jobQueueService = require('./jobQueue');
+const tebraService = require('./tebraService');
+const tebraBillingService = require('./tebraBillingService');
+const tebraTenantService = require('./tebraTenantService');
+const { classifyTebraError, isRetryableTebraError } = require('./tebraErrors');
+
+const QUEUE_NAME = 'tebra-writes';
+const JOB_NAME = 'processTebraWrite';
+
+// Tebra write commands; each handler receives the stored payload and the command's tenant
+const COMMANDS = {
+  createPatient: (payload, tenantId) => tebraService.forTenant(tenantId).createPatient(payload),
+  createAppointment: (payload, tenantId) => tebraService.forTenant(tenantId).createAppointment(payload),
+  createDocument: (payload, tenantId) => tebraService.forTenant(tenantId).createDocument(payload),
+  // Charges are encounters with service lines; payload is tebraBillingService.createCharge params
+  createEncounter: (payload, tenantId) => tebraBillingService.createCharge({ ...payload, tenantId }),
+  // Payload is tebraBillingService.postPayment params
+  createPayments: (payload, tenantId) => tebraBillingService.postPayment({ ...payload, tenantId })
+};
+
+const STATUSES = ['pending', 'processing', 'succeeded', 'failed', 'dead'];
+
+// error_code of commands dead-lettered because a command they depend on was
+const DEPENDENCY_DEAD_CODE = 'TEBRA_WRITE_DEPENDENCY_DEAD';
+
+function writeError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+// Keep stored results small: drop raw SOAP responses
+function summarizeResult(result) {
+  if (result === undefined || result === null) return null;
+  if (typeof result !== 'object' || Array.isArray(result)) return { value: result };
+  const summary = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (key === 'raw' || key === 'rawXml') continue;
+    summary[key] = value;
+  }
+  return summary;
+}
+
+function restoreResult(stored) {
+  if (stored && Object.keys(stored).length === 1 && 'value' in stored) return stored.value;
+  return stored;
+}
+
+// Payload for admin views: file content is replaced by its size
+function redactPayload(payload) {
+  if (!payload || typeof payload !== 'object') return payload;
+  const copy = { ...payload };
+  if (typeof copy.fileContent === 'string') {
+    copy.fileContent = `[${copy.fileContent.length} base64 chars]`;
+  }
+  return copy;
+}
+
+class TebraWriteQueueService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.TEBRA_WRITE_MAX_ATTEMPTS, 10) || 6;
+    this.retryDelayMs = parseInt(process.env.TEBRA_WRITE_RETRY_DELAY_MS, 10) || 60000; // 1 minute
+    this.maxRetryDelayMs = parseInt(process.env.TEBRA_WRITE_MAX_RETRY_DELAY_MS, 10) || 3600000; // 1 hour
+    // A command still 'processing' this long after its last attempt started was interrupted
+    this.processingTimeoutMs = parseInt(process.env.TEBRA_WRITE_PROCESSING_TIMEOUT_MS, 10) || 900000; // 15 minutes
+  }
+
+  isCommand(command) {
+    return Object.prototype.hasOwnProperty.call(COMMANDS, command);
+  }
+
+  rowToCommand(row, { includePayload = false } = {}) {
+    return {
+      id: row.id,
+      idempotencyKey: row.idempotency_key,
+      command: row.command,
+      tenantId: row.tenant_id || tebraTenantService.DEFAULT_TENANT_ID,
+      execution: row.execution || 'queued',
+      source: row.source || null,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+      lastAttemptAt: row.last_attempt_at || null,
+      dependsOn: row.depends_on || null,
+      result: row.result || null,
+      errorCode: row.error_code || null,
+      errorMessage: row.error_message || null,
+      completedAt: row.completed_at || null,
+      deadLetteredAt: row.dead_lettered_at || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      ...(includePayload && { payload: redactPayload(row.payload) })
+    };
+  }
+
+  /**
+   * Exponential backoff between background attempts, at least the breaker's Retry-After
+   * @param {number} attempts - Attempts made so far (1-based)
+   */
+  retryDelay(attempts, error = null) {
+    const delay = Math.min(this.retryDelayMs * Math.pow(2, Math.max(0, attempts - 1)), this.maxRetryDelayMs);
+    const retryAfterMs = error?.retryAfter ? error.retryAfter * 1000 : 0;
+    return Math.max(delay, retryAfterMs);
+  }
+
+  /**
+   * Insert a command, or return the existing one for the same idempotency key
+   * @returns {Promise<{row: Object, created: boolean}>}
+   */
+  async record(command, payload, { idempotencyKey, source = null, maxAttempts, tenantId, dependsOn = null, execution = 'queued' } = {}) {
+    if (!this.isCommand(command)) {
+      throw writeError(`Unknown Tebra write command: ${command}`, 400, 'TEBRA_WRITE_UNKNOWN_COMMAND');
+    }
+    const key = idempotencyKey ? String(idempotencyKey) : `${command}:${crypto.randomUUID()}`;
+    // Explicit tenant, else the account owning the payload's state / practice
+    const resolvedTenantId = tebraTenantService.resolveTenantId({
+      tenantId: tenantId || payload?.tenantId,
+      state: payload?.state,
+      practiceId: payload?.practiceId
+    });
+    const { rows } = await query(
+      `INSERT INTO tebra_write_commands (idempotency_key, command, payload, source, max_attempts, tenant_id, depends_on, execution)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (idempotency_key) DO NOTHING
+       RETURNING *`,
+      [key, command, JSON.stringify(payload || {}), source, maxAttempts || this.maxAttempts, resolvedTenantId, dependsOn || null, execution]
+    );
+    if (rows[0]) return { row: rows[0], created: true };
+
+    const existing = await query('SELECT * FROM tebra_write_commands WHERE idempotency_key = $1', [key]);
+    const row = existing.rows[0];
+    if (row.command !== command) {
+      throw writeError(`Idempotency key ${key} is already used by a ${row.command} command`, 409, 'TEBRA_WRITE_KEY_CONFLICT');
+    }
+    return { row, created: false };
+  }
+
+  /**
+   * Queue a Tebra write for background processing
+   * @param {string} command - createPatient | createAppointment | createDocument | createEncounter | createPayments
+   * @param {Object} payload - Arguments of the tebraService / tebraBillingService call
+   * @param {Object} options - { idempotencyKey, source, maxAttempts, tenantId, dependsOn }
+   *   dependsOn: id of a command that must succeed before this one runs
+   * @returns {Promise<Object>} Command (existing one when the key was already used)
+   */
+  async enqueue(command, payload, options = {}) {
+    const { row, created } = await this.record(command, payload, options);
+    if (!created) {
+      logger.info('[TEBRA_WRITE] Command already recorded for idempotency key', { id: row.id, command, status: row.status });
+      return this.rowToCommand(row);
+    }
+    if (row.depends_on) {
+      // Waiting on a command that is already dead-lettered: dead-letter it too, so it is not pending forever
+      const { rows: dead } = await query(
+        `UPDATE tebra_write_commands
+         SET status = 'dead', error_code = $2, error_message = $3, dead_lettered_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+           AND EXISTS (SELECT 1 FROM tebra_write_commands d WHERE d.id = $4 AND d.status = 'dead')
+         RETURNING *`,
+        [row.id, DEPENDENCY_DEAD_CODE, `Depends on Tebra write ${row.depends_on}, which was dead-lettered`, row.depends_on]
+      );
+      if (dead[0]) {
+        logger.warn('[TEBRA_WRITE] Tebra write depends on a dead-lettered command; dead-lettered', { id: row.id, command, dependsOn: row.depends_on });
+        return this.rowToCommand(dead[0]);
+      }
+    }
+    await this.schedule(row.id, 0, row.tenant_id);
+    logger.info('[TEBRA_WRITE] Queued Tebra write', { id: row.id, command, source: row.source, tenantId: row.tenant_id });
+    return this.rowToCommand(row);
+  }
+
+  /**
+   * Run a Tebra write now, recorded under the idempotency key
+   * @returns {Promise<*>} Tebra result (stored summary when the key already succeeded)
+   */
+  async execute(command, payload, options = {}) {
+    const { row, created } = await this.record(command, payload, { ...options, execution: 'inline' });
+    if (!created) {
+      if (row.status === 'succeeded') {
+        logger.info('[TEBRA_WRITE] Returning stored result for repeated command', { id: row.id, command });
+        return restoreResult(row.result);
+      }
+      if (row.status === 'processing') {
+        throw writeError(`Tebra ${command} for this request is already in progress`, 409, 'TEBRA_WRITE_IN_PROGRESS');
+      }
+      // Earlier attempt failed or is still queued: run it now with the caller's current payload
+      await query(
+        `UPDATE tebra_write_commands SET payload = $2, execution = 'inline', updated_at = NOW() WHERE id = $1`,
+        [row.id, JSON.stringify(payload || {})]
+      );
+    }
+
+    const claimed = await this.claim(row.id, ['pending', 'failed', 'dead']);
+    if (!claimed) {
+      throw writeError(`Tebra ${command} for this request is already in progress`, 409, 'TEBRA_WRITE_IN_PROGRESS');
+    }
+    try {
+      const result = await COMMANDS[command](claimed.payload, claimed.tenant_id);
+      await this.markSucceeded(claimed.id, result);
+      return result;
+    } catch (rawError) {
+      const error = classifyTebraError(rawError, { method: command });
+      await query(
+        `UPDATE tebra_write_commands
+         SET status = 'failed', error_code = $2, error_message = $3, updated_at = NOW()
+         WHERE id = $1`,
+        [claimed.id, error.code || null, error.message]
+      );
+      throw rawError;
+    }
+  }
+
+  /**
+   * Atomically move a command to processing (only one worker / request runs it)
+   * A command whose dependency has not succeeded yet is not claimed.
+   */
+  async claim(id, fromStatuses = ['pending']) {
+    const { rows } = await query(
+      `UPDATE tebra_write_commands
+       SET status = 'processing', attempts = attempts + 1, last_attempt_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = ANY($2)
+         AND (depends_on IS NULL OR EXISTS (
+           SELECT 1 FROM tebra_write_commands d WHERE d.id = tebra_write_commands.depends_on AND d.status = 'succeeded'))
+       RETURNING *`,
+      [id, fromStatuses]
+    );
+    return rows[0] || null;
+  }
+
+  // Store the result and queue the commands that were waiting for this one
+  async markSucceeded(id, result) {
+    const { rows: dependents } = await query(
+      `WITH succeeded AS (
+         UPDATE tebra_write_commands
+         SET status = 'succeeded', result = $2, error_code = NULL, error_message = NULL, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING id
+       )
+       SELECT c.id, c.tenant_id FROM tebra_write_commands c JOIN succeeded s ON c.depends_on = s.id
+       WHERE c.status = 'pending'`,
+      [id, JSON.stringify(summarizeResult(result))]
+    );
+    for (const dependent of dependents) {
+      await this.schedule(dependent.id, 0, dependent.tenant_id);
+    }
+  }
+
+  // Orders store their charge / payment command ids on the encounter; fill in the Tebra ids
+  async linkEncounter(row, result) {
+    try {
+      const encounterService = require('./encounterService');
+      await encounterService.recordTebraWriteResult(row.id, row.command, result);
+    } catch (error) {
+      logger.warn('[TEBRA_WRITE] Could not record Tebra write result on encounter', { id: row.id, error: error.message });
+    }
+  }
+
+  /**
+   * Add the job that processes a command; without Redis the processDue() sweep runs it
+   */
+  async schedule(id, delayMs = 0, tenantId = null) {
+    if (!jobQueueService.enabled) {
+      // addJob would run the processor inline; keep retries on the sweep instead
+      if (delayMs > 0) return;
+      try {
+        await this.processCommand(id);
+      } catch (error) {
+        logger.error('[TEBRA_WRITE] Inline processing failed', { id, error: error.message });
+      }
+      return;
+    }
+    try {
+      await jobQueueService.addJob(QUEUE_NAME, JOB_NAME, { commandId: id, tenantId: tenantId || tebraTenantService.DEFAULT_TENANT_ID }, {
+        jobId: `tebra-write-${id}-${Date.now()}`,
+        delay: delayMs,
+        attempts: 1 // retries are scheduled by processCommand from the command row
+      });
+    } catch (error) {
+      logger.warn('[TEBRA_WRITE] Could not queue job, leaving command for the sweep', { id, error: error.message });
+    }
+  }
+
+  /**
+   * Process one queued command (BullMQ worker and processDue sweep)
+   * @returns {Promise<Object>} { id, status, result?, error? }
+   */
+  async processCommand(commandId) {
+    const row = await this.claim(commandId, ['pending']);
+    if (!row) {
+      return { id: commandId, status: 'skipped' };
+    }
+
+    try {
+      const result = await COMMANDS[row.command](row.payload, row.tenant_id);
+      await this.markSucceeded(row.id, result);
+      await this.linkEncounter(row, result);
+      logger.info('[TEBRA_WRITE] Tebra write succeeded', { id: row.id, command: row.command, tenantId: row.tenant_id, attempts: row.attempts });
+      return { id: row.id, status: 'succeeded', result: summarizeResult(result) };
+    } catch (rawError) {
+      const error = classifyTebraError(rawError, { method: row.command });
+
+      if (!isRetryableTebraError(error) || row.attempts >= row.max_attempts) {
+        const reason = isRetryableTebraError(error)
+          ? `Max attempts (${row.max_attempts}) exceeded: ${error.message}`
+          : `Rejected by Tebra: ${error.message}`;
+        const deadLetterQueue = require('./deadLetterQueue');
+        await deadLetterQueue.moveTebraWriteToDeadLetterQueue(row.id, reason, error.code);
+        logger.error('[TEBRA_WRITE] Tebra write moved to dead letter queue', { id: row.id, command: row.command, code: error.code, attempts: row.attempts });
+        await this.deadLetterDependents(row.id);
+        return { id: row.id, status: 'dead', error: { code: error.code, message: error.message } };
+      }
+
+      const delayMs = this.retryDelay(row.attempts, error);
+      const nextAttemptAt = new Date(Date.now() + delayMs);
+      await query(
+        `UPDATE tebra_write_commands
+         SET status = 'pending', next_attempt_at = $2, error_code = $3, error_message = $4, updated_at = NOW()
+         WHERE id = $1`,
+        [row.id, nextAttemptAt.toISOString(), error.code || null, error.message]
+      );
+      await this.schedule(row.id, delayMs, row.tenant_id);
+      logger.warn('[TEBRA_WRITE] Tebra write failed, retry scheduled', {
+        id: row.id,
+        command: row.command,
+        code: error.code,
+        attempt: row.attempts,
+        nextAttemptAt: nextAttemptAt.toISOString()
+      });
+      return { id: row.id, status: 'pending', nextAttemptAt: nextAttemptAt.toISOString(), error: { code: error.code, message: error.message } };
+    }
+  }
+
+  /**
+   * Dead-letter the pending commands waiting (directly or through others) on a dead-lettered command
+   * They are returned to pending when that command is replayed.
+   * @returns {Promise<number>} Number of dependents dead-lettered
+   */
+  async deadLetterDependents(id) {
+    const { rows } = await query(
+      `WITH RECURSIVE waiting AS (
+         SELECT c.id FROM tebra_write_commands c WHERE c.depends_on = $1 AND c.status = 'pending'
+         UNION
+         SELECT c.id FROM tebra_write_commands c JOIN waiting w ON c.depends_on = w.id WHERE c.status = 'pending'
+       )
+       UPDATE tebra_write_commands
+       SET status = 'dead', error_code = $2, error_message = $3, dead_lettered_at = NOW(), updated_at = NOW()
+       WHERE id IN (SELECT id FROM waiting)
+       RETURNING id, command`,
+      [id, DEPENDENCY_DEAD_CODE, `Depends on Tebra write ${id}, which was dead-lettered`]
+    );
+    if (rows.length) {
+      logger.warn('[TEBRA_WRITE] Dead-lettered Tebra writes waiting on a dead-lettered command', { id, dependents: rows.map(row => row.id) });
+    }
+    return rows.length;
+  }
+
+  /**
+   * Handle commands stuck in 'processing' (worker or request died mid-write)
+   * Queued commands return to pending; the attempt they were on counts, so an interrupted command
+   * still dead-letters after max_attempts. Inline ones are marked failed for admin replay: their
+   * caller already saw an error, and CreateCharge / PostPayment must not run again unattended.
+   * @returns {Promise<number>} Number of commands returned to pending or failed
+   */
+  async reapStale() {
+    const { rows } = await query(
+      `UPDATE tebra_write_commands
+       SET status = CASE WHEN execution = 'inline' THEN 'failed' ELSE 'pending' END,
+           next_attempt_at = NOW(), error_code = 'TEBRA_WRITE_INTERRUPTED',
+           error_message = 'Processing was interrupted before the result was recorded', updated_at = NOW()
+       WHERE status = 'processing' AND last_attempt_at < NOW() - ($1 || ' milliseconds')::interval
+       RETURNING id, command, status`,
+      [String(this.processingTimeoutMs)]
+    );
+    const requeued = rows.filter(row => row.status === 'pending').map(row => row.id);
+    const failed = rows.filter(row => row.status === 'failed').map(row => row.id);
+    if (requeued.length) {
+      logger.warn('[TEBRA_WRITE] Returned interrupted Tebra writes to the queue', { ids: requeued });
+    }
+    if (failed.length) {
+      logger.error('[TEBRA_WRITE] Inline Tebra writes were interrupted; marked failed for replay', { ids: failed });
+    }
+    return rows.length;
+  }
+
+  /**
+   * Process pending commands whose next attempt is due (cron; covers lost jobs, Redis outages
+   * and commands interrupted mid-write)
+   */
+  async processDue(limit = 20) {
+    await this.reapStale();
+    const { rows } = await query(
+      `SELECT c.id FROM tebra_write_commands c
+       WHERE c.status = 'pending' AND c.next_attempt_at <= NOW()
+         AND (c.depends_on IS NULL OR EXISTS (
+           SELECT 1 FROM tebra_write_commands d WHERE d.id = c.depends_on AND d.status = 'succeeded'))
+       ORDER BY c.next_attempt_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    const summary = { processed: 0, succeeded: 0, rescheduled: 0, dead: 0 };
+    for (const { id } of rows) {
+      const outcome = await this.processCommand(id);
+      if (outcome.status === 'skipped') continue;
+      summary.processed += 1;
+      if (outcome.status === 'succeeded') summary.succeeded += 1;
+      else if (outcome.status === 'dead') summary.dead += 1;
+      else summary.rescheduled += 1;
+    }
+    if (summary.processed) {
+      logger.info('[TEBRA_WRITE] Processed due Tebra writes', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Put a failed or dead command (or one stuck in processing past the timeout) back in the
+   * queue with a fresh set of attempts
+   * Commands dead-lettered with it as dependents return to pending and run once it succeeds.
+   */
+  async replay(commandId) {
+    const { rows } = await query(
+      `UPDATE tebra_write_commands
+       SET status = 'pending', execution = 'queued', attempts = 0, next_attempt_at = NOW(), dead_lettered_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND (status IN ('failed', 'dead')
+         OR (status = 'processing' AND last_attempt_at < NOW() - ($2 || ' milliseconds')::interval))
+       RETURNING *`,
+      [commandId, String(this.processingTimeoutMs)]
+    );
+    if (!rows[0]) {
+      const existing = await this.get(commandId);
+      if (!existing) throw writeError('Tebra write command not found', 404, 'TEBRA_WRITE_NOT_FOUND');
+      throw writeError(`Only failed, dead or stalled commands can be replayed (status is ${existing.status})`, 409, 'TEBRA_WRITE_NOT_REPLAYABLE');
+    }
+    logger.info('[TEBRA_WRITE] Replaying Tebra write', { id: commandId, command: rows[0].command });
+    await this.restoreDependents(rows[0].id);
+    await this.schedule(rows[0].id, 0, rows[0].tenant_id);
+    return this.get(commandId, { includePayload: false });
+  }
+
+  // Return the dependents dead-lettered along with a replayed command to pending
+  async restoreDependents(id) {
+    const { rows } = await query(
+      `WITH RECURSIVE waiting AS (
+         SELECT c.id FROM tebra_write_commands c WHERE c.depends_on = $1 AND c.status = 'dead' AND c.error_code = $2
+         UNION
+         SELECT c.id FROM tebra_write_commands c JOIN waiting w ON c.depends_on = w.id WHERE c.status = 'dead' AND c.error_code = $2
+       )
+       UPDATE tebra_write_commands
+       SET status = 'pending', execution = 'queued', attempts = 0, next_attempt_at = NOW(), dead_lettered_at = NULL,
+           error_code = NULL, error_message = NULL, updated_at = NOW()
+       WHERE id IN (SELECT id FROM waiting)
+       RETURNING id`,
+      [id, DEPENDENCY_DEAD_CODE]
+    );
+    if (rows.length) {
+      logger.info('[TEBRA_WRITE] Returned dependent Tebra writes to pending', { id, dependents: rows.map(row => row.id) });
+    }
+    return rows.length;
+  }
+
+  async get(commandId, { includePayload = true } = {}) {
+    const { rows } = await query('SELECT * FROM tebra_write_commands WHERE id = $1', [commandId]);
+    return rows[0] ? this.rowToCommand(rows[0], { includePayload }) : null;
+  }
+
+  async list({ status, command, tenantId, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (command) {
+      params.push(command);
+      conditions.push(`command = $${params.length}`);
+    }
+    if (tenantId) {
+      params.push(tenantId);
+      conditions.push(`tenant_id = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { rows } = await query(
+      `SELECT * FROM tebra_write_commands ${where}
+       ORDER BY updated_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    const count = await query(`SELECT COUNT(*) AS count FROM tebra_write_commands ${where}`, params);
+    return { commands: rows.map(row => this.rowToCommand(row)), count: parseInt(count.rows[0]?.count || 0, 10) };
+  }
+
+  /**
+   * Command counts by status and by command
+   */
+  async getStatistics() {
+    const { rows } = await query(
+      'SELECT command, status, COUNT(*) AS count FROM tebra_write_commands GROUP BY command, status ORDER BY command, status'
+    );
+    const stats = { byStatus: Object.fromEntries(STATUSES.map(s => [s, 0])), byCommand: {} };
+    for (const row of rows) {
+      const count = parseInt(row.count, 10);
+      stats.byStatus[row.status] = (stats.byStatus[row.status] || 0) + count;
+      if (!stats.byCommand[row.command]) {
+        stats.byCommand[row.command] = Object.fromEntries(STATUSES.map(s => [s, 0]));
+      }
+      stats.byCommand[row.command][row.status] = count;
+    }
+    return stats;
+  }
+}
+
+const tebraWriteQueue = new TebraWriteQueueService();
+
+module.exports = tebraWriteQueue;
+module.exports.QUEUE_NAME = QUEUE_NAME;
+module.exports.JOB_NAME = JOB_NAME;
+module.exports.COMMANDS = Object.keys(COMMANDS);
+module.exports.STATUSES = STATUSES;
+module.exports.DEPENDENCY_DEAD_CODE = DEPENDENCY_DEAD_CODE;
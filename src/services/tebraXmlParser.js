@@ -0,0 +1,413 @@
+// backend/src/services/tebraXmlParser.js
+// XML-to-object layer for Tebra (Kareo) SOAP responses.
+// parseXml() builds a namespace-agnostic element tree (prefixes dropped, CDATA and entities decoded,
+// xsi:nil honoured); RESPONSE_SCHEMAS describes, per SOAP method, which elements of <MethodResult>
+// become records, lists and typed fields. parseTebraResponse() applies a schema and returns the
+// { <Method>Result: {...} } shape that tebraServiceNormalizers consumes.
+// readSoapFault / readErrorResponse / readSecurityResponse replace string and regex checks on raw XML.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Envelope blocks that every Tebra result carries next to the data
+const STATUS_ELEMENTS = ['ErrorResponse', 'SecurityResponse'];
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity];
+  });
+}
+
+function localName(name) {
+  const idx = name.indexOf(':');
+  return idx === -1 ? name : name.slice(idx + 1);
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  if (!source) return attributes;
+  const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrRe.exec(source)) !== null) {
+    const name = match[1];
+    if (name === 'xmlns' || name.startsWith('xmlns:')) continue;
+    attributes[localName(name)] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse an XML document into { name, attributes, children, text } nodes.
+ * Namespace prefixes are dropped from element and attribute names; `start` / `end` are the
+ * offsets of the element content in the source, so callers can still log the original markup.
+ * @throws {Error} When tags are not balanced or the markup is malformed
+ */
+function parseXml(xml) {
+  const tokenRe = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s>/!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const root = { name: '#document', attributes: {}, children: [], text: '', start: 0, end: xml.length };
+  const stack = [root];
+  let match;
+  let position = 0;
+
+  while ((match = tokenRe.exec(xml)) !== null) {
+    const [token, cdata, closing, opening, attributes, selfClosing, text] = match;
+    if (match.index !== position) {
+      throw new Error(`Malformed markup at offset ${position}`);
+    }
+    position = match.index + token.length;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      const node = stack.pop();
+      if (stack.length === 0 || node.name !== localName(closing)) {
+        throw new Error(`Unexpected closing tag </${closing}>`);
+      }
+      node.end = match.index;
+    } else if (opening) {
+      const node = {
+        name: localName(opening),
+        attributes: parseAttributes(attributes),
+        children: [],
+        text: '',
+        start: position,
+        end: position
+      };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    }
+  }
+
+  if (position !== xml.length) {
+    throw new Error(`Malformed markup at offset ${position}`);
+  }
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+/**
+ * Parse when the input looks like XML; null for empty, non-string or malformed input
+ */
+function tryParseXml(xml) {
+  if (typeof xml !== 'string' || !xml.includes('<')) return null;
+  try {
+    return parseXml(xml);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Accept either raw XML or an already parsed node
+function toNode(input) {
+  if (input && typeof input === 'object' && Array.isArray(input.children)) return input;
+  return tryParseXml(input);
+}
+
+function isNil(node) {
+  return node.attributes && node.attributes.nil === 'true';
+}
+
+/**
+ * Text content of a leaf element; null when absent or xsi:nil
+ */
+function textOf(node) {
+  if (!node || isNil(node)) return null;
+  return node.text.trim();
+}
+
+/**
+ * Convert a parsed node into plain values: leaves become strings, repeated children become arrays.
+ */
+function nodeToValue(node) {
+  if (node.children.length === 0) {
+    return node.text.trim();
+  }
+  const value = {};
+  for (const child of node.children) {
+    const childValue = nodeToValue(child);
+    if (Object.prototype.hasOwnProperty.call(value, child.name)) {
+      if (!Array.isArray(value[child.name])) value[child.name] = [value[child.name]];
+      value[child.name].push(childValue);
+    } else {
+      value[child.name] = childValue;
+    }
+  }
+  return value;
+}
+
+function findChild(node, name) {
+  return node && node.children.find(child => child.name === name);
+}
+
+/**
+ * First element (depth-first, document order) whose local name is one of `names`
+ */
+function findFirst(node, names) {
+  if (!node) return null;
+  const wanted = [].concat(names);
+  for (const child of node.children) {
+    if (wanted.includes(child.name)) return child;
+    const found = findFirst(child, wanted);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * All elements named `name`, without descending into matches (nested records stay with their parent)
+ */
+function findAll(node, name, found = []) {
+  if (!node) return found;
+  for (const child of node.children) {
+    if (child.name === name) found.push(child);
+    else findAll(child, name, found);
+  }
+  return found;
+}
+
+/**
+ * Text of the first descendant named one of `names`
+ */
+function readText(input, ...names) {
+  return textOf(findFirst(toNode(input), names));
+}
+
+/**
+ * Flatten a record element into { Field: 'value' }.
+ * Leaves at any depth become fields; the shallowest occurrence wins when a name repeats.
+ * `lists` turns nested containers into arrays of records: { ServiceLines: 'ServiceLine' }.
+ */
+function flattenRecord(node, { lists = {}, skip = STATUS_ELEMENTS } = {}) {
+  const record = {};
+  let level = node.children;
+  while (level.length > 0) {
+    const next = [];
+    for (const child of level) {
+      if (Object.prototype.hasOwnProperty.call(record, child.name) || skip.includes(child.name)) continue;
+      if (Object.prototype.hasOwnProperty.call(lists, child.name)) {
+        record[child.name] = findAll(child, lists[child.name])
+          .map(item => (item.children.length === 0 ? textOf(item) : flattenRecord(item, { lists, skip })));
+      } else if (child.children.length === 0) {
+        if (!isNil(child)) record[child.name] = child.text.trim();
+      } else {
+        next.push(...child.children);
+      }
+    }
+    level = next;
+  }
+  return record;
+}
+
+function toBoolean(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return String(value).trim().toLowerCase() === 'true';
+}
+
+function toInteger(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// ---------------------------------------------------------------------------
+// Envelope readers
+// ---------------------------------------------------------------------------
+
+/**
+ * SOAP 1.1 / 1.2 fault, including WCF ExceptionDetail when IncludeExceptionDetailInFaults is on
+ * @returns {{ faultCode, faultString, faultActor, detail, exception }|null}
+ */
+function readSoapFault(input) {
+  const fault = findFirst(toNode(input), 'Fault');
+  if (!fault) return null;
+
+  const code = findChild(fault, 'faultcode') || findFirst(findChild(fault, 'Code'), 'Value');
+  const reason = findChild(fault, 'faultstring') || findFirst(findChild(fault, 'Reason'), 'Text');
+  const detail = findChild(fault, 'detail') || findChild(fault, 'Detail');
+  const exceptionNode = findFirst(detail, 'ExceptionDetail');
+  const inner = findChild(exceptionNode, 'InnerException');
+
+  return {
+    faultCode: textOf(code) || 'Unknown',
+    faultString: textOf(reason) || 'Unknown SOAP fault',
+    faultActor: textOf(findChild(fault, 'faultactor')),
+    detail: detail ? (detail.children.length ? nodeToValue(detail) : textOf(detail)) : null,
+    exception: exceptionNode ? {
+      type: textOf(findChild(exceptionNode, 'Type')) || textOf(findChild(exceptionNode, 'ExceptionType')),
+      message: textOf(findChild(exceptionNode, 'Message')),
+      stackTrace: textOf(findChild(exceptionNode, 'StackTrace')),
+      innerException: inner && !isNil(inner) ? (textOf(findChild(inner, 'Message')) || nodeToValue(inner)) : null
+    } : null
+  };
+}
+
+/**
+ * Tebra <ErrorResponse> block
+ * @returns {{ IsError: boolean, ErrorMessage: string|null, StackTrace: string|null }|null}
+ */
+function readErrorResponse(input) {
+  const node = findFirst(toNode(input), 'ErrorResponse');
+  if (!node) return null;
+  return {
+    IsError: toBoolean(textOf(findChild(node, 'IsError'))) === true,
+    ErrorMessage: textOf(findChild(node, 'ErrorMessage')) || null,
+    StackTrace: textOf(findChild(node, 'StackTrace')) || null
+  };
+}
+
+/**
+ * Tebra <SecurityResponse> block; flags are null when Tebra left them out
+ */
+function readSecurityResponse(input) {
+  const node = findFirst(toNode(input), 'SecurityResponse');
+  if (!node) return null;
+  return {
+    Authenticated: toBoolean(textOf(findChild(node, 'Authenticated'))),
+    Authorized: toBoolean(textOf(findChild(node, 'Authorized'))),
+    CustomerKeyValid: toBoolean(textOf(findChild(node, 'CustomerKeyValid'))),
+    SecurityResultSuccess: toBoolean(textOf(findChild(node, 'SecurityResultSuccess'))),
+    SecurityResult: textOf(findChild(node, 'SecurityResult')) || null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Response schemas
+// ---------------------------------------------------------------------------
+
+// Repeated <item> records anywhere under the result (first item name found wins); a trailing
+// object maps nested containers to arrays, as for record()
+const list = (...items) => {
+  const lists = typeof items[items.length - 1] === 'object' ? items.pop() : {};
+  return { type: 'list', items, lists };
+};
+// One flattened record: the named element, or the whole result when it is absent
+const record = (element = null, lists = {}) => ({ type: 'record', element, lists });
+// A single leaf value, first matching name wins
+const field = (names, as = 'string') => ({ type: 'field', names: [].concat(names), as });
+// <TotalCount> when Tebra sends it, otherwise the length of the list under `listKey`
+const count = listKey => ({ type: 'count', listKey });
+
+const RESPONSE_SCHEMAS = {
+  // Patients
+  CreatePatient: { Patient: record() },
+  GetPatient: { Patient: record('Patient') },
+  GetPatients: { Patients: list('PatientData'), TotalCount: count('Patients') },
+  UpdatePatient: { Patient: record('Patient') },
+
+  // Appointments
+  CreateAppointment: { Appointment: record('Appointment') },
+  UpdateAppointment: { Appointment: record('Appointment') },
+  GetAppointment: { Appointment: record('Appointment') },
+  GetAppointments: { Appointments: list('AppointmentData'), TotalCount: count('Appointments') },
+  DeleteAppointment: { Success: field('Success', 'boolean'), AppointmentId: field(['AppointmentId', 'AppointmentID']) },
+  GetAppointmentReasons: {
+    AppointmentReasons: list('AppointmentReasonData', 'AppointmentReason', { ProcedureCodeIds: 'long' }),
+    TotalCount: count('AppointmentReasons')
+  },
+
+  // Reference data
+  GetPractices: { Practices: list('PracticeData'), TotalCount: count('Practices') },
+  GetProviders: { Providers: list('ProviderData'), TotalCount: count('Providers') },
+  GetServiceLocations: { ServiceLocations: list('ServiceLocationData'), TotalCount: count('ServiceLocations') },
+  GetProcedureCodes: { ProcedureCodes: list('ProcedureCodeData'), TotalCount: count('ProcedureCodes') },
+
+  // Encounters, charges, payments, transactions
+  CreateEncounter: { EncounterID: field(['EncounterID', 'EncounterId']) },
+  GetEncounterDetails: { EncounterDetails: record('EncounterDetails', { ServiceLines: 'ServiceLine' }) },
+  UpdateEncounterStatus: {
+    EncounterID: field(['EncounterID', 'EncounterId']),
+    EncounterStatus: field('EncounterStatus'),
+    Success: field('Success', 'boolean')
+  },
+  GetCharges: { Charges: list('ChargeData'), TotalCount: count('Charges') },
+  CreatePayments: { PaymentID: field(['PaymentID', 'PaymentId']) },
+  GetPayments: { Payments: list('PaymentData'), TotalCount: count('Payments') },
+  GetTransactions: { Transactions: list('TransactionData'), TotalCount: count('Transactions') },
+  UpdatePrimaryPatientCase: { Success: field('Success', 'boolean') }
+};
+
+function applySchema(schema, resultNode) {
+  const output = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    if (spec.type === 'list') {
+      let items = [];
+      for (const name of spec.items) {
+        items = resultNode ? findAll(resultNode, name) : [];
+        if (items.length > 0) break;
+      }
+      output[key] = items.map(item => flattenRecord(item, { lists: spec.lists })).filter(item => Object.keys(item).length > 0);
+    } else if (spec.type === 'record') {
+      const node = resultNode && ((spec.element && findFirst(resultNode, spec.element)) || resultNode);
+      output[key] = node ? flattenRecord(node, { lists: spec.lists }) : {};
+    } else if (spec.type === 'field') {
+      const value = resultNode ? textOf(findFirst(resultNode, spec.names)) : null;
+      if (spec.as === 'boolean') output[key] = toBoolean(value) === true;
+      else if (spec.as === 'integer') output[key] = toInteger(value);
+      else output[key] = value || null;
+    } else if (spec.type === 'count') {
+      const total = resultNode ? toInteger(textOf(findChild(resultNode, 'TotalCount'))) : null;
+      output[key] = total !== null ? total : (output[spec.listKey] || []).length;
+    }
+  }
+  return output;
+}
+
+/**
+ * Parse a Tebra SOAP response into { <Method>Result: {...} } using RESPONSE_SCHEMAS.
+ * Methods without a schema get only the status blocks and rawXml.
+ * @param {string} xml - Raw SOAP envelope
+ * @param {string} methodName - SOAP method, e.g. 'GetPatients'
+ * @returns {Object|null} null when the envelope has no <Method>Result element
+ * @throws {Error} When the response is not well-formed XML
+ */
+function parseTebraResponse(xml, methodName) {
+  const doc = parseXml(String(xml));
+  const resultNode = findFirst(doc, `${methodName}Result`);
+  if (!resultNode) return null;
+
+  const schema = RESPONSE_SCHEMAS[methodName] || {};
+  const result = applySchema(schema, resultNode);
+
+  const errorResponse = readErrorResponse(resultNode);
+  if (errorResponse) result.ErrorResponse = errorResponse;
+  const securityResponse = readSecurityResponse(resultNode);
+  if (securityResponse) result.SecurityResponse = securityResponse;
+  result.rawXml = String(xml).slice(resultNode.start, resultNode.end);
+
+  return { [`${methodName}Result`]: result };
+}
+
+/**
+ * Result shape with empty lists / records, for responses that carry no <Method>Result
+ */
+function emptyTebraResponse(methodName) {
+  const schema = RESPONSE_SCHEMAS[methodName] || {};
+  return { [`${methodName}Result`]: applySchema(schema, null) };
+}
+
+module.exports = {
+  RESPONSE_SCHEMAS,
+  parseXml,
+  tryParseXml,
+  parseTebraResponse,
+  emptyTebraResponse,
+  readSoapFault,
+  readErrorResponse,
+  readSecurityResponse,
+  readText,
+  flattenRecord,
+  nodeToValue,
+  findChild,
+  findFirst,
+  findAll,
+  textOf,
+  localName,
+  decodeEntities
+};
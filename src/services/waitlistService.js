@@ -0,0 +1,583 @@
+// backend/src/services/waitlistService.js
+// Waitlist for fully-booked dates.
+// Patients register interest in a state/provider/date window. When an appointment is
+// cancelled, the freed slot is held (slotHoldService) for the first eligible waiting
+// patient and offered by email with a time-limited claim link. Declined or unclaimed
+// offers roll to the next patient in line.
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { query } = require('../db/pg');
+const logger = require('../utils/logger');
+const providerMapping = require('../config/providerMapping');
+const slotHoldService = require('./slotHoldService');
+const tebraTenantService = require('./tebraTenantService');
+
+const MAX_WINDOW_DAYS = 90;
+
+function waitlistError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+// pg returns DATE columns as local-midnight Date objects
+function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) return moment(value).format('YYYY-MM-DD');
+  return String(value).slice(0, 10);
+}
+
+class WaitlistService {
+  constructor() {
+    this.offerTtlMinutes = parseInt(process.env.WAITLIST_OFFER_TTL_MINUTES, 10) || 60;
+    const frontendUrl = process.env.FRONTEND_URL || process.env.SHOPIFY_STORE || 'https://example.myshopify.com';
+    this.claimUrl = process.env.WAITLIST_CLAIM_URL || `${frontendUrl.replace(/\/$/, '')}/pages/waitlist-claim`;
+  }
+
+  rowToEntry(row) {
+    return {
+      id: row.id,
+      state: row.state,
+      practiceId: row.practice_id,
+      providerId: row.provider_id || null,
+      appointmentReasonId: row.appointment_reason_id || null,
+      fromDate: toDateString(row.from_date),
+      toDate: toDateString(row.to_date),
+      shopifyCustomerId: row.shopify_customer_id || null,
+      email: row.email,
+      firstName: row.first_name || null,
+      lastName: row.last_name || null,
+      tebraPatientId: row.tebra_patient_id || null,
+      tenantId: row.tenant_id || tebraTenantService.DEFAULT_TENANT_ID,
+      status: row.status,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  rowToOffer(row) {
+    return {
+      id: row.id,
+      waitlistId: row.waitlist_id,
+      state: row.state,
+      practiceId: row.practice_id,
+      providerId: row.provider_id,
+      appointmentReasonId: row.appointment_reason_id || null,
+      startTime: new Date(row.start_time).toISOString(),
+      endTime: new Date(row.end_time).toISOString(),
+      slotHoldId: row.slot_hold_id || null,
+      status: row.status,
+      expiresAt: new Date(row.expires_at).toISOString(),
+      tebraAppointmentId: row.tebra_appointment_id || null,
+      claimedAt: row.claimed_at || null,
+      createdAt: row.created_at
+    };
+  }
+
+  // Entries belong to the Shopify customer that created them (or their email)
+  isOwner(entry, owner = {}) {
+    if (!entry || !owner) return false;
+    if (entry.shopifyCustomerId && owner.shopifyCustomerId && String(entry.shopifyCustomerId) === String(owner.shopifyCustomerId)) return true;
+    return !!(owner.email && entry.email && entry.email.toLowerCase() === String(owner.email).toLowerCase());
+  }
+
+  // Slot holds for offers are owned by the waitlist entry, not the patient's cart
+  holdOwner(entryId) {
+    return { cartToken: `waitlist:${entryId}` };
+  }
+
+  /**
+   * Join the waitlist for a date window
+   * @param {Object} data
+   * @param {string} data.state - State code (selects practice mapping)
+   * @param {string} data.providerId - Specific provider (optional; any provider in the state otherwise)
+   * @param {string} data.appointmentReasonId - Appointment reason (optional)
+   * @param {string} data.fromDate - First acceptable date (YYYY-MM-DD, provider-local)
+   * @param {string} data.toDate - Last acceptable date (YYYY-MM-DD, inclusive)
+   * @param {string} data.email - Where offers are sent
+   * @param {string} data.shopifyCustomerId
+   * @param {string} data.firstName
+   * @param {string} data.lastName
+   * @param {string} data.tebraPatientId - Known Tebra patient (resolved at claim time otherwise)
+   * @returns {Promise<Object>} Waitlist entry
+   * @throws {Error} status 400 for bad input, 409 (ALREADY_WAITLISTED) for a duplicate window
+   */
+  async join(data = {}) {
+    const state = String(data.state || '').toUpperCase();
+    const mapping = providerMapping[state];
+    if (!mapping || !mapping.practiceId) {
+      throw waitlistError(`Unsupported state: ${data.state}`, 400, 'UNSUPPORTED_STATE');
+    }
+    if (!data.email) {
+      throw waitlistError('email is required', 400, 'EMAIL_REQUIRED');
+    }
+
+    const from = moment.utc(data.fromDate, 'YYYY-MM-DD', true);
+    const to = moment.utc(data.toDate || data.fromDate, 'YYYY-MM-DD', true);
+    if (!from.isValid() || !to.isValid()) {
+      throw waitlistError('fromDate and toDate must be YYYY-MM-DD', 400, 'INVALID_DATE_RANGE');
+    }
+    if (to.isBefore(from)) {
+      throw waitlistError('toDate must be on or after fromDate', 400, 'INVALID_DATE_RANGE');
+    }
+    if (to.isBefore(moment.utc().startOf('day'))) {
+      throw waitlistError('The date window is in the past', 400, 'INVALID_DATE_RANGE');
+    }
+    if (to.diff(from, 'days') > MAX_WINDOW_DAYS) {
+      throw waitlistError(`The date window cannot exceed ${MAX_WINDOW_DAYS} days`, 400, 'INVALID_DATE_RANGE');
+    }
+
+    const providerId = data.providerId ? String(data.providerId) : null;
+    const email = String(data.email).trim().toLowerCase();
+    const shopifyCustomerId = data.shopifyCustomerId ? String(data.shopifyCustomerId) : null;
+
+    const { rows: existing } = await query(
+      `SELECT id FROM appointment_waitlist
+       WHERE status IN ('waiting', 'offered') AND state = $1
+         AND provider_id IS NOT DISTINCT FROM $2::text
+         AND (LOWER(email) = $3 OR (shopify_customer_id IS NOT NULL AND shopify_customer_id = $4))
+         AND from_date <= $6 AND to_date >= $5
+       LIMIT 1`,
+      [state, providerId, email, shopifyCustomerId, from.format('YYYY-MM-DD'), to.format('YYYY-MM-DD')]
+    );
+    if (existing[0]) {
+      throw waitlistError('You are already on the waitlist for these dates', 409, 'ALREADY_WAITLISTED');
+    }
+
+    const { rows } = await query(
+      `INSERT INTO appointment_waitlist (state, practice_id, provider_id, appointment_reason_id, from_date, to_date, shopify_customer_id, email, first_name, last_name, tebra_patient_id, tenant_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        state,
+        String(mapping.practiceId),
+        providerId,
+        data.appointmentReasonId ? String(data.appointmentReasonId) : null,
+        from.format('YYYY-MM-DD'),
+        to.format('YYYY-MM-DD'),
+        shopifyCustomerId,
+        email,
+        data.firstName || null,
+        data.lastName || null,
+        data.tebraPatientId ? String(data.tebraPatientId) : null,
+        tebraTenantService.resolveTenantId({ state, practiceId: mapping.practiceId })
+      ]
+    );
+
+    const entry = this.rowToEntry(rows[0]);
+    logger.info('[WAITLIST] Patient joined waitlist', { waitlistId: entry.id, state, providerId, fromDate: entry.fromDate, toDate: entry.toDate });
+    return entry;
+  }
+
+  async getEntry(id) {
+    if (!/^\d+$/.test(String(id))) return null;
+    const { rows } = await query('SELECT * FROM appointment_waitlist WHERE id = $1', [id]);
+    return rows[0] ? this.rowToEntry(rows[0]) : null;
+  }
+
+  /**
+   * A customer's waitlist entries, newest first
+   * @param {Object} owner - { shopifyCustomerId, email }
+   * @returns {Promise<Object[]>}
+   */
+  async listForOwner(owner = {}) {
+    if (!owner.shopifyCustomerId && !owner.email) return [];
+    const { rows } = await query(
+      `SELECT * FROM appointment_waitlist
+       WHERE (shopify_customer_id IS NOT NULL AND shopify_customer_id = $1) OR LOWER(email) = $2
+       ORDER BY created_at DESC`,
+      [owner.shopifyCustomerId ? String(owner.shopifyCustomerId) : null, owner.email ? String(owner.email).toLowerCase() : null]
+    );
+    return rows.map(row => this.rowToEntry(row));
+  }
+
+  /**
+   * Waitlist entries for admins, in queue order
+   * @param {Object} filters - { state, providerId, status }
+   * @returns {Promise<Object[]>}
+   */
+  async list({ state, providerId, status } = {}) {
+    const { rows } = await query(
+      `SELECT * FROM appointment_waitlist
+       WHERE ($1::text IS NULL OR state = $1)
+         AND ($2::text IS NULL OR provider_id = $2)
+         AND ($3::text IS NULL OR status = $3)
+       ORDER BY created_at, id`,
+      [state ? String(state).toUpperCase() : null, providerId ? String(providerId) : null, status || null]
+    );
+    return rows.map(row => this.rowToEntry(row));
+  }
+
+  /**
+   * Leave the waitlist. An outstanding offer is withdrawn and rolls to the next patient.
+   * @returns {Promise<Object>} Cancelled entry
+   */
+  async leave(id, owner) {
+    const entry = await this.getEntry(id);
+    if (!entry || !this.isOwner(entry, owner)) {
+      throw waitlistError('Waitlist entry not found', 404, 'WAITLIST_NOT_FOUND');
+    }
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return entry;
+    }
+
+    const { rows } = await query(
+      `UPDATE appointment_waitlist SET status = 'cancelled', updated_at = NOW()
+       WHERE id = $1 AND status IN ('waiting', 'offered') RETURNING *`,
+      [id]
+    );
+
+    const { rows: offers } = await query(
+      `UPDATE waitlist_offers SET status = 'declined', updated_at = NOW()
+       WHERE waitlist_id = $1 AND status = 'offered' RETURNING *`,
+      [id]
+    );
+    for (const row of offers) {
+      await this.rollOffer(this.rowToOffer(row));
+    }
+
+    logger.info('[WAITLIST] Patient left waitlist', { waitlistId: id });
+    return rows[0] ? this.rowToEntry(rows[0]) : await this.getEntry(id);
+  }
+
+  /**
+   * States whose waiting entries a freed slot can go to
+   * The cancelled appointment may not carry a state; fall back to the states the provider serves.
+   */
+  resolveStates(state, providerId) {
+    const states = new Set();
+    if (state) states.add(String(state).toUpperCase());
+    if (providerId) {
+      for (const [code, mapping] of Object.entries(providerMapping)) {
+        if (mapping && mapping.defaultProviderId && String(mapping.defaultProviderId) === String(providerId)) {
+          states.add(code);
+        }
+      }
+    }
+    return [...states].filter(code => providerMapping[code]?.practiceId);
+  }
+
+  // Calendar date of the slot in the schedule's timezone (waitlist windows are provider-local dates)
+  async getSlotDate(state, providerId, start) {
+    const availabilityService = require('./availabilityService');
+    const mapping = providerMapping[state] || {};
+    const settings = await availabilityService.getScheduleSettings({ practiceId: mapping.practiceId, state, providerId });
+    const timezone = availabilityService.resolveTimezone(settings);
+    return { date: moment.tz(start, timezone).format('YYYY-MM-DD'), timezone };
+  }
+
+  /**
+   * Offer a freed slot to the first eligible waiting patient
+   * Eligible entries are waiting, in one of the slot's states, for the slot's provider (or any
+   * provider), for its appointment reason (or any), with the slot's date inside their window,
+   * and have not already been offered this slot. Ties go to whoever joined first.
+   * @param {Object} slot
+   * @param {string} slot.state - State of the cancelled appointment (optional if the provider maps to states)
+   * @param {string} slot.providerId
+   * @param {string} slot.appointmentReasonId
+   * @param {string} slot.startTime - ISO 8601
+   * @param {string} slot.endTime - ISO 8601
+   * @returns {Promise<Object|null>} Offer, or null when nobody is eligible
+   */
+  async offerFreedSlot({ state, providerId, appointmentReasonId, startTime, endTime } = {}) {
+    const start = moment.utc(startTime, moment.ISO_8601, true);
+    const end = moment.utc(endTime, moment.ISO_8601, true);
+    if (!providerId || !start.isValid() || !end.isValid() || !end.isAfter(start)) {
+      logger.debug('[WAITLIST] Freed slot is missing provider or times, not offering', { state, providerId, startTime, endTime });
+      return null;
+    }
+    const minutesUntilStart = start.diff(moment.utc(), 'minutes', true);
+    if (minutesUntilStart < 1) return null;
+
+    const states = this.resolveStates(state, providerId);
+    if (states.length === 0) return null;
+    const { date, timezone } = await this.getSlotDate(states[0], providerId, start);
+
+    // An entry can be taken by a concurrent offer between select and update; try the next one
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { rows: candidates } = await query(
+        `SELECT * FROM appointment_waitlist w
+         WHERE w.status = 'waiting'
+           AND w.state = ANY($1)
+           AND (w.provider_id IS NULL OR w.provider_id = $2)
+           AND (w.appointment_reason_id IS NULL OR $3::text IS NULL OR w.appointment_reason_id = $3)
+           AND w.from_date <= $4 AND w.to_date >= $4
+           AND NOT EXISTS (
+             SELECT 1 FROM waitlist_offers o
+             WHERE o.waitlist_id = w.id AND o.provider_id = $2 AND o.start_time = $5
+           )
+         ORDER BY w.created_at, w.id
+         LIMIT 1`,
+        [states, String(providerId), appointmentReasonId ? String(appointmentReasonId) : null, date, start.toISOString()]
+      );
+      if (!candidates[0]) return null;
+
+      const { rows: claimed } = await query(
+        `UPDATE appointment_waitlist SET status = 'offered', updated_at = NOW()
+         WHERE id = $1 AND status = 'waiting' RETURNING *`,
+        [candidates[0].id]
+      );
+      if (!claimed[0]) continue;
+
+      const entry = this.rowToEntry(claimed[0]);
+      return this.createOffer(entry, {
+        providerId: String(providerId),
+        appointmentReasonId: appointmentReasonId || entry.appointmentReasonId,
+        start,
+        end,
+        timezone,
+        ttlMinutes: Math.min(this.offerTtlMinutes, minutesUntilStart)
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Offer the slot of a just-cancelled appointment. Never throws: cancellation must not fail
+   * because of the waitlist.
+   * @param {Object} appointment - Appointment as returned by tebraService.getAppointment
+   * @param {Object} options
+   * @param {string} options.state - State the appointment was booked in, when known
+   * @returns {Promise<Object|null>} Offer, or null
+   */
+  async offerCancelledAppointment(appointment, { state } = {}) {
+    if (!appointment) return null;
+    try {
+      return await this.offerFreedSlot({
+        state: state || appointment.State || appointment.state,
+        providerId: appointment.providerId || appointment.ProviderID || appointment.ProviderId,
+        appointmentReasonId: appointment.appointmentReasonId || appointment.AppointmentReasonID,
+        startTime: appointment.startDateTime || appointment.StartTime || appointment.startTime,
+        endTime: appointment.endDateTime || appointment.EndTime || appointment.endTime
+      });
+    } catch (error) {
+      logger.error('[WAITLIST] Failed to offer cancelled appointment slot', { appointmentId: appointment.id || appointment.ID, error: error.message });
+      return null;
+    }
+  }
+
+  async createOffer(entry, { providerId, appointmentReasonId, start, end, timezone, ttlMinutes }) {
+    let hold;
+    try {
+      hold = await slotHoldService.createHold({
+        state: entry.state,
+        startTime: start.toISOString(),
+        providerId,
+        appointmentReasonId,
+        cartToken: this.holdOwner(entry.id).cartToken,
+        shopifyCustomerId: null,
+        email: entry.email
+      }, { ttlMinutes, verifyAvailability: false, endTime: end.toISOString() });
+    } catch (error) {
+      await query(`UPDATE appointment_waitlist SET status = 'waiting', updated_at = NOW() WHERE id = $1 AND status = 'offered'`, [entry.id]);
+      if (error.code === 'SLOT_UNAVAILABLE') {
+        logger.info('[WAITLIST] Freed slot was taken before it could be offered', { providerId, startTime: start.toISOString() });
+        return null;
+      }
+      throw error;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const { rows } = await query(
+      `INSERT INTO waitlist_offers (waitlist_id, token, state, practice_id, provider_id, appointment_reason_id, start_time, end_time, slot_hold_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        entry.id,
+        token,
+        entry.state,
+        entry.practiceId,
+        providerId,
+        appointmentReasonId ? String(appointmentReasonId) : null,
+        start.toISOString(),
+        end.toISOString(),
+        hold.id,
+        hold.expiresAt
+      ]
+    );
+    const offer = this.rowToOffer(rows[0]);
+    logger.info('[WAITLIST] Freed slot offered', { offerId: offer.id, waitlistId: entry.id, providerId, startTime: offer.startTime, expiresAt: offer.expiresAt });
+
+    try {
+      const appointmentEmailService = require('./appointmentEmailService');
+      await appointmentEmailService.sendWaitlistOffer({
+        to: entry.email,
+        patientName: [entry.firstName, entry.lastName].filter(Boolean).join(' ') || null,
+        offer: { ...offer, timezone },
+        claimUrl: `${this.claimUrl}?token=${token}`
+      });
+    } catch (e) {
+      logger.warn('[WAITLIST] Failed to send offer email', { offerId: offer.id, error: e?.message });
+    }
+
+    return offer;
+  }
+
+  /**
+   * Offer a slot whose offer was declined, withdrawn or left unclaimed to the next patient
+   */
+  async rollOffer(offer) {
+    if (offer.slotHoldId) {
+      try {
+        await slotHoldService.releaseHold(offer.slotHoldId, this.holdOwner(offer.waitlistId));
+      } catch (e) {
+        logger.debug('[WAITLIST] Offer hold release failed', { offerId: offer.id, error: e?.message });
+      }
+    }
+    try {
+      return await this.offerFreedSlot({
+        state: offer.state,
+        providerId: offer.providerId,
+        appointmentReasonId: offer.appointmentReasonId,
+        startTime: offer.startTime,
+        endTime: offer.endTime
+      });
+    } catch (error) {
+      logger.error('[WAITLIST] Failed to roll offer to the next patient', { offerId: offer.id, error: error.message });
+      return null;
+    }
+  }
+
+  async getOfferByToken(token) {
+    if (!token || !/^[0-9a-f]{64}$/i.test(String(token))) return null;
+    const { rows } = await query('SELECT * FROM waitlist_offers WHERE token = $1', [token]);
+    return rows[0] ? this.rowToOffer(rows[0]) : null;
+  }
+
+  // Tebra patient for an entry: stored on the entry, otherwise patientIdentityService.resolve()
+  // (customer mapping, then a confident Tebra match) in the Tebra account of the entry's practice
+  async resolvePatientId(entry) {
+    if (entry.tebraPatientId) return entry.tebraPatientId;
+    try {
+      const patientIdentityService = require('./patientIdentityService');
+      const resolved = await patientIdentityService.resolve({
+        shopifyCustomerId: entry.shopifyCustomerId,
+        email: entry.email,
+        firstName: entry.firstName,
+        lastName: entry.lastName
+      }, { tenantId: entry.tenantId });
+      return resolved.patientId;
+    } catch (e) {
+      logger.debug('[WAITLIST] Patient lookup failed', { waitlistId: entry.id, error: e?.message });
+    }
+    return null;
+  }
+
+  /**
+   * Claim an offered slot and book it in Tebra
+   * Idempotent: claiming an already-claimed offer returns its appointment.
+   * @param {string} token - Claim token from the offer email
+   * @returns {Promise<Object>} { offer, tebraAppointmentId }
+   * @throws {Error} 404 (OFFER_NOT_FOUND), 409 (OFFER_NOT_ACTIVE / PATIENT_NOT_FOUND)
+   */
+  async claimOffer(token) {
+    const offer = await this.getOfferByToken(token);
+    if (!offer) {
+      throw waitlistError('Offer not found', 404, 'OFFER_NOT_FOUND');
+    }
+    if (offer.status === 'claimed') {
+      return { offer, tebraAppointmentId: offer.tebraAppointmentId };
+    }
+
+    const { rows: claiming } = await query(
+      `UPDATE waitlist_offers SET status = 'claiming', updated_at = NOW()
+       WHERE id = $1 AND status = 'offered' AND expires_at > NOW() RETURNING *`,
+      [offer.id]
+    );
+    if (!claiming[0]) {
+      throw waitlistError(`This offer is ${offer.status === 'offered' ? 'expired' : offer.status}`, 409, 'OFFER_NOT_ACTIVE');
+    }
+    const reopen = () => query(`UPDATE waitlist_offers SET status = 'offered', updated_at = NOW() WHERE id = $1 AND status = 'claiming'`, [offer.id]);
+
+    const entry = await this.getEntry(offer.waitlistId);
+    const tebraPatientId = entry ? await this.resolvePatientId(entry) : null;
+    if (!tebraPatientId) {
+      await reopen();
+      throw waitlistError('No patient record found for this waitlist entry. Please contact the practice.', 409, 'PATIENT_NOT_FOUND');
+    }
+
+    let result;
+    try {
+      const hold = await slotHoldService.getHold(offer.slotHoldId);
+      result = hold
+        ? await slotHoldService.convertHold(hold, { tebraPatientId, notes: `Booked from waitlist offer ${offer.id}.` })
+        : { converted: false, reason: 'not_found' };
+    } catch (error) {
+      await reopen();
+      throw error;
+    }
+    if (!result.converted) {
+      await reopen();
+      throw waitlistError('This offer is expired', 409, 'OFFER_NOT_ACTIVE');
+    }
+
+    const { rows } = await query(
+      `UPDATE waitlist_offers SET status = 'claimed', tebra_appointment_id = $2, claimed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [offer.id, result.tebraAppointmentId ? String(result.tebraAppointmentId) : null]
+    );
+    await query(
+      `UPDATE appointment_waitlist SET status = 'booked', tebra_patient_id = COALESCE(tebra_patient_id, $2), updated_at = NOW() WHERE id = $1`,
+      [offer.waitlistId, String(tebraPatientId)]
+    );
+
+    logger.info('[WAITLIST] Offer claimed', { offerId: offer.id, waitlistId: offer.waitlistId, tebraAppointmentId: result.tebraAppointmentId });
+    return { offer: this.rowToOffer(rows[0]), tebraAppointmentId: result.tebraAppointmentId };
+  }
+
+  /**
+   * Turn an offer down; the patient stays on the waitlist and the slot goes to the next patient
+   * @returns {Promise<Object>} Declined offer
+   */
+  async declineOffer(token) {
+    const offer = await this.getOfferByToken(token);
+    if (!offer) {
+      throw waitlistError('Offer not found', 404, 'OFFER_NOT_FOUND');
+    }
+    const { rows } = await query(
+      `UPDATE waitlist_offers SET status = 'declined', updated_at = NOW() WHERE id = $1 AND status = 'offered' RETURNING *`,
+      [offer.id]
+    );
+    if (!rows[0]) {
+      throw waitlistError(`This offer is ${offer.status}`, 409, 'OFFER_NOT_ACTIVE');
+    }
+    await query(`UPDATE appointment_waitlist SET status = 'waiting', updated_at = NOW() WHERE id = $1 AND status = 'offered'`, [offer.waitlistId]);
+
+    const declined = this.rowToOffer(rows[0]);
+    logger.info('[WAITLIST] Offer declined', { offerId: declined.id, waitlistId: declined.waitlistId });
+    await this.rollOffer(declined);
+    return declined;
+  }
+
+  /**
+   * Expire unclaimed offers (rolling their slots to the next patient) and entries whose window has passed
+   * @returns {Promise<Object>} { offersExpired, entriesExpired }
+   */
+  async expireOffers() {
+    const { rows } = await query(
+      `UPDATE waitlist_offers SET status = 'expired', updated_at = NOW()
+       WHERE status = 'offered' AND expires_at <= NOW()
+       RETURNING *`
+    );
+    for (const row of rows) {
+      const offer = this.rowToOffer(row);
+      await query(`UPDATE appointment_waitlist SET status = 'waiting', updated_at = NOW() WHERE id = $1 AND status = 'offered'`, [offer.waitlistId]);
+      await this.rollOffer(offer);
+    }
+
+    const { rowCount } = await query(
+      `UPDATE appointment_waitlist SET status = 'expired', updated_at = NOW()
+       WHERE status = 'waiting' AND to_date < CURRENT_DATE`
+    );
+
+    if (rows.length || rowCount) {
+      logger.info('[WAITLIST] Expired offers and entries', { offersExpired: rows.length, entriesExpired: rowCount });
+    }
+    return { offersExpired: rows.length, entriesExpired: rowCount || 0 };
+  }
+}
+
+// Export singleton instance
+module.exports = new WaitlistService();
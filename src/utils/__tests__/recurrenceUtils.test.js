@@ -0,0 +1,96 @@
+// Unit tests for recurrenceUtils.js
+
+const { parseRRule, occursOn, occurrencesBetween, getUsFederalHolidays, isHoliday } = require('../recurrenceUtils');
+
+describe('recurrenceUtils', () => {
+  describe('parseRRule', () => {
+    it('should parse frequency, interval and ordinal weekdays', () => {
+      const rule = parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=2FR,-1MO');
+
+      expect(rule.freq).toBe('MONTHLY');
+      expect(rule.interval).toBe(2);
+      expect(rule.byDay).toEqual([{ weekday: 5, nth: 2 }, { weekday: 1, nth: -1 }]);
+    });
+
+    it('should reject malformed or unsupported rules', () => {
+      expect(() => parseRRule('BYDAY=FR')).toThrow('FREQ');
+      expect(() => parseRRule('FREQ=HOURLY')).toThrow('Unsupported FREQ');
+      expect(() => parseRRule('FREQ=WEEKLY;BYDAY=XX')).toThrow('BYDAY');
+      expect(() => parseRRule('FREQ=DAILY;UNTIL=20301231;COUNT=3')).toThrow('both UNTIL and COUNT');
+    });
+  });
+
+  describe('occursOn', () => {
+    it('should match the second Friday of each month', () => {
+      const rule = 'FREQ=MONTHLY;BYDAY=2FR';
+
+      expect(occursOn(rule, '2030-01-01', '2030-01-11')).toBe(true);
+      expect(occursOn(rule, '2030-01-01', '2030-02-08')).toBe(true);
+      expect(occursOn(rule, '2030-01-01', '2030-01-04')).toBe(false);
+      expect(occursOn(rule, '2030-01-01', '2030-01-18')).toBe(false);
+    });
+
+    it('should match every other Friday', () => {
+      const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR';
+
+      expect(occursOn(rule, '2030-01-04', '2030-01-04')).toBe(true);
+      expect(occursOn(rule, '2030-01-04', '2030-01-11')).toBe(false);
+      expect(occursOn(rule, '2030-01-04', '2030-01-18')).toBe(true);
+      expect(occursOn(rule, '2030-01-04', '2030-01-17')).toBe(false);
+    });
+
+    it('should stop at UNTIL and after COUNT occurrences', () => {
+      expect(occursOn('FREQ=WEEKLY;UNTIL=20300115', '2030-01-01', '2030-01-15')).toBe(true);
+      expect(occursOn('FREQ=WEEKLY;UNTIL=20300115', '2030-01-01', '2030-01-22')).toBe(false);
+      expect(occursOn('FREQ=DAILY;COUNT=3', '2030-01-01', '2030-01-03')).toBe(true);
+      expect(occursOn('FREQ=DAILY;COUNT=3', '2030-01-01', '2030-01-04')).toBe(false);
+    });
+
+    it('should skip excluded dates and dates before the start', () => {
+      const rule = 'FREQ=WEEKLY;BYDAY=MO';
+
+      expect(occursOn(rule, '2030-01-07', '2030-01-14', { exdates: ['2030-01-14'] })).toBe(false);
+      expect(occursOn(rule, '2030-01-07', '2030-01-21', { exdates: ['2030-01-14'] })).toBe(true);
+      expect(occursOn(rule, '2030-01-07', '2029-12-31')).toBe(false);
+    });
+  });
+
+  describe('occurrencesBetween', () => {
+    it('should list the occurrences in a range, counting COUNT from the start', () => {
+      expect(occurrencesBetween('FREQ=WEEKLY;BYDAY=MO;COUNT=3', '2030-01-07', '2030-01-10', '2030-02-28'))
+        .toEqual(['2030-01-14', '2030-01-21']);
+      expect(occurrencesBetween('FREQ=MONTHLY;BYDAY=2FR', '2030-01-01', '2030-01-01', '2030-03-31', { exdates: ['2030-02-08'] }))
+        .toEqual(['2030-01-11', '2030-03-08']);
+      expect(occurrencesBetween('FREQ=DAILY;UNTIL=20300103', '2030-01-01', '2029-12-30', '2030-01-10'))
+        .toEqual(['2030-01-01', '2030-01-02', '2030-01-03']);
+    });
+
+    it('should agree with occursOn for every date in the range', () => {
+      const rule = 'FREQ=DAILY;INTERVAL=3;COUNT=20';
+      const dates = occurrencesBetween(rule, '2030-01-01', '2030-01-15', '2030-03-31', { exdates: ['2030-01-19'] });
+      for (let day = 15; day <= 31; day++) {
+        const date = `2030-01-${day}`;
+        expect(dates.includes(date)).toBe(occursOn(rule, '2030-01-01', date, { exdates: ['2030-01-19'] }));
+      }
+      expect(dates[dates.length - 1]).toBe('2030-02-27');
+    });
+  });
+
+  describe('holidays', () => {
+    it('should compute observed US federal holidays', () => {
+      const dates = getUsFederalHolidays(2027).map(h => h.date);
+
+      expect(dates).toContain('2027-01-18'); // MLK Day, third Monday
+      expect(dates).toContain('2027-05-31'); // Memorial Day, last Monday
+      expect(dates).toContain('2027-07-05'); // July 4th falls on a Sunday
+      expect(dates).toContain('2027-11-25'); // Thanksgiving
+      expect(dates).toContain('2027-12-24'); // Christmas falls on a Saturday
+    });
+
+    it('should treat a Dec 31 observance of New Year as a holiday', () => {
+      expect(isHoliday('US_FEDERAL', '2027-12-31')).toBe(true); // Jan 1 2028 is a Saturday
+      expect(isHoliday('us_federal', '2027-12-30')).toBe(false);
+      expect(isHoliday('UNKNOWN', '2027-12-25')).toBe(false);
+    });
+  });
+});
@@ -5,8 +5,10 @@ const {
   extractErrorCode,
   createUserFriendlyErrorResponse,
   mapErrorToCode,
+  createTebraErrorResponse,
   ERROR_MESSAGES
 } = require('../userFriendlyErrors');
+const { TebraNotFoundError, TebraTimeoutError, TebraAuthError } = require('../../services/tebraErrors');
 
 describe('userFriendlyErrors', () => {
   describe('getUserFriendlyError', () => {
@@ -242,6 +244,32 @@ describe('userFriendlyErrors', () => {
     });
   });
 
+  describe('Tebra errors', () => {
+    it('should map typed Tebra errors by category rather than message text', () => {
+      const notFound = new TebraNotFoundError('Tebra GetAppointment API call failed: Tebra API Error: Appointment 12 was not found', { method: 'GetAppointment' });
+      const auth = new TebraAuthError('Tebra GetPatients API call failed: Tebra Authentication Error: Invalid user name and/or password', { method: 'GetPatients' });
+
+      expect(mapErrorToCode(notFound)).toBe('APPOINTMENT_NOT_FOUND');
+      expect(mapErrorToCode({ ...auth })).toBe('TEBRA_AUTH_FAILED');
+    });
+
+    it('should build a patient-facing response with the error status', () => {
+      const error = new TebraTimeoutError('Tebra CreateAppointment API call failed: timeout of 30000ms exceeded', { method: 'CreateAppointment' });
+
+      const { statusCode, response } = createTebraErrorResponse(error, { requestId: 'req-1' });
+
+      expect(statusCode).toBe(504);
+      expect(response).toEqual({
+        success: false,
+        message: ERROR_MESSAGES.TEBRA_TIMEOUT.message,
+        code: 'TEBRA_TIMEOUT',
+        actionable: true,
+        requestId: 'req-1',
+        retryable: true
+      });
+    });
+  });
+
   describe('ERROR_MESSAGES', () => {
     it('should have all expected error codes', () => {
       expect(ERROR_MESSAGES.VALIDATION_ERROR).toBeDefined();
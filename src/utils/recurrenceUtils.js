@@ -0,0 +1,300 @@
+// backend/src/utils/recurrenceUtils.js
+// RRULE-style recurrence evaluation for availability exceptions
+// Supports the subset of RFC 5545 we need for time-off rules:
+// FREQ (DAILY/WEEKLY/MONTHLY/YEARLY), INTERVAL, BYDAY (with ordinals like 2FR or -1MO),
+// BYMONTHDAY, BYMONTH, UNTIL and COUNT. All dates are calendar dates (YYYY-MM-DD)
+// in the schedule's timezone; times of day are handled by the caller.
+
+const moment = require('moment-timezone');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const MAX_COUNT_SCAN_DAYS = 366 * 10; // COUNT rules are evaluated by scanning forward at most 10 years
+
+function toDay(date) {
+  if (moment.isMoment(date)) return moment.utc(date.format('YYYY-MM-DD'), 'YYYY-MM-DD', true);
+  return moment.utc(String(date).slice(0, 10), 'YYYY-MM-DD', true);
+}
+
+function parseUntil(value) {
+  // UNTIL may be 20301231, 20301231T235959Z or 2030-12-31
+  const digits = String(value).replace(/-/g, '').slice(0, 8);
+  const day = moment.utc(digits, 'YYYYMMDD', true);
+  if (!day.isValid()) throw new Error(`Invalid UNTIL value: ${value}`);
+  return day.format('YYYY-MM-DD');
+}
+
+function parseIntList(value, name, min, max) {
+  return String(value).split(',').map(part => {
+    const n = parseInt(part, 10);
+    if (isNaN(n) || n === 0 || n < min || n > max) {
+      throw new Error(`Invalid ${name} value: ${part}`);
+    }
+    return n;
+  });
+}
+
+/**
+ * Parse an RRULE string (e.g. "FREQ=MONTHLY;BYDAY=2FR") into a rule object
+ * @param {string|Object} rrule - RRULE string (optionally prefixed with "RRULE:") or an already parsed rule
+ * @returns {Object} { freq, interval, byDay: [{ weekday, nth }], byMonthDay, byMonth, until, count }
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+function parseRRule(rrule) {
+  if (rrule && typeof rrule === 'object') return rrule;
+  if (!rrule || typeof rrule !== 'string') {
+    throw new Error('RRULE must be a non-empty string');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], until: null, count: null };
+  const body = rrule.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const value = (rawValue || '').trim().toUpperCase();
+    if (!value) throw new Error(`Missing value for ${key}`);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`Unsupported FREQ: ${value}`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseIntList(value, 'INTERVAL', 1, 1000)[0];
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(token => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+          if (!match) throw new Error(`Invalid BYDAY value: ${token}`);
+          const nth = match[1] ? parseInt(match[1], 10) : null;
+          if (nth === 0 || (nth !== null && Math.abs(nth) > 5)) throw new Error(`Invalid BYDAY ordinal: ${token}`);
+          return { weekday: WEEKDAYS.indexOf(match[2]), nth };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(value, 'BYMONTHDAY', -31, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(value, 'BYMONTH', 1, 12);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'COUNT':
+        rule.count = parseIntList(value, 'COUNT', 1, 10000)[0];
+        break;
+      case 'WKST':
+        if (value !== 'MO') throw new Error('Only WKST=MO is supported');
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('RRULE must include FREQ');
+  if (rule.until && rule.count) throw new Error('RRULE cannot include both UNTIL and COUNT');
+  return rule;
+}
+
+// nth weekday of the month counted from the start (1, 2, ...) and from the end (-1, -2, ...)
+function weekdayOrdinals(day) {
+  const fromStart = Math.ceil(day.date() / 7);
+  const fromEnd = -Math.ceil((day.daysInMonth() - day.date() + 1) / 7);
+  return [fromStart, fromEnd];
+}
+
+function matchesByDay(rule, day) {
+  if (rule.byDay.length === 0) return null;
+  const ordinals = weekdayOrdinals(day);
+  return rule.byDay.some(({ weekday, nth }) =>
+    weekday === day.day() && (nth === null || ordinals.includes(nth))
+  );
+}
+
+function matchesByMonthDay(rule, day) {
+  if (rule.byMonthDay.length === 0) return null;
+  const fromEnd = day.date() - day.daysInMonth() - 1;
+  return rule.byMonthDay.includes(day.date()) || rule.byMonthDay.includes(fromEnd);
+}
+
+// Whether `day` is an occurrence, ignoring COUNT
+function matchesPattern(rule, start, day) {
+  switch (rule.freq) {
+    case 'DAILY': {
+      if (day.diff(start, 'days') % rule.interval !== 0) return false;
+      const byDay = matchesByDay(rule, day);
+      return byDay === null ? true : byDay;
+    }
+    case 'WEEKLY': {
+      const weeks = day.clone().isoWeekday(1).diff(start.clone().isoWeekday(1), 'weeks');
+      if (weeks % rule.interval !== 0) return false;
+      if (rule.byDay.length === 0) return day.day() === start.day();
+      return rule.byDay.some(({ weekday }) => weekday === day.day());
+    }
+    case 'MONTHLY': {
+      const months = (day.year() - start.year()) * 12 + (day.month() - start.month());
+      if (months % rule.interval !== 0) return false;
+      if (rule.byMonth.length && !rule.byMonth.includes(day.month() + 1)) return false;
+      const byDay = matchesByDay(rule, day);
+      const byMonthDay = matchesByMonthDay(rule, day);
+      if (byDay === null && byMonthDay === null) return day.date() === start.date();
+      return byDay !== false && byMonthDay !== false;
+    }
+    case 'YEARLY': {
+      if ((day.year() - start.year()) % rule.interval !== 0) return false;
+      const months = rule.byMonth.length ? rule.byMonth : [start.month() + 1];
+      if (!months.includes(day.month() + 1)) return false;
+      const byDay = matchesByDay(rule, day);
+      const byMonthDay = matchesByMonthDay(rule, day);
+      if (byDay === null && byMonthDay === null) return day.date() === start.date();
+      return byDay !== false && byMonthDay !== false;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a recurrence rule has an occurrence on a calendar date
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {string} dtstart - First date the rule applies (YYYY-MM-DD)
+ * @param {string} date - Date to test (YYYY-MM-DD)
+ * @param {Object} options
+ * @param {string[]} options.exdates - Dates excluded from the rule (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function occursOn(rrule, dtstart, date, { exdates = [] } = {}) {
+  const rule = parseRRule(rrule);
+  const start = toDay(dtstart);
+  const day = toDay(date);
+  if (!start.isValid() || !day.isValid()) return false;
+  if (day.isBefore(start)) return false;
+  if (rule.until && day.isAfter(toDay(rule.until))) return false;
+
+  const dateStr = day.format('YYYY-MM-DD');
+  if (!matchesPattern(rule, start, day)) return false;
+
+  if (rule.count) {
+    if (day.diff(start, 'days') > MAX_COUNT_SCAN_DAYS) return false;
+    // Excluded dates still consume an occurrence (RFC 5545 semantics)
+    let seen = 0;
+    for (const cursor = start.clone(); cursor.isBefore(day); cursor.add(1, 'day')) {
+      if (matchesPattern(rule, start, cursor)) seen++;
+      if (seen >= rule.count) return false;
+    }
+  }
+
+  return !exdates.includes(dateStr);
+}
+
+/**
+ * Occurrences of a recurrence rule between two calendar dates, found in one forward scan
+ * (COUNT occurrences are counted from dtstart)
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {string} dtstart - First date the rule applies (YYYY-MM-DD)
+ * @param {string} fromDate - First date of the range (YYYY-MM-DD)
+ * @param {string} toDate - Last date of the range (YYYY-MM-DD)
+ * @param {Object} options
+ * @param {string[]} options.exdates - Dates excluded from the rule (YYYY-MM-DD)
+ * @returns {string[]} YYYY-MM-DD dates, ascending
+ */
+function occurrencesBetween(rrule, dtstart, fromDate, toDate, { exdates = [] } = {}) {
+  const rule = parseRRule(rrule);
+  const start = toDay(dtstart);
+  const from = toDay(fromDate);
+  let last = toDay(toDate);
+  if (!start.isValid() || !from.isValid() || !last.isValid()) return [];
+  if (rule.until && toDay(rule.until).isBefore(last)) last = toDay(rule.until);
+  if (rule.count) {
+    const scanEnd = start.clone().add(MAX_COUNT_SCAN_DAYS, 'days');
+    if (scanEnd.isBefore(last)) last = scanEnd;
+  }
+
+  const dates = [];
+  let seen = 0;
+  // Without COUNT nothing before the range matters
+  const cursor = rule.count || from.isBefore(start) ? start.clone() : from.clone();
+  for (; cursor.isSameOrBefore(last); cursor.add(1, 'day')) {
+    if (!matchesPattern(rule, start, cursor)) continue;
+    seen++;
+    if (rule.count && seen > rule.count) break;
+    if (cursor.isBefore(from)) continue;
+    const dateStr = cursor.format('YYYY-MM-DD');
+    // Excluded dates still consume an occurrence (RFC 5545 semantics)
+    if (!exdates.includes(dateStr)) dates.push(dateStr);
+  }
+  return dates;
+}
+
+// nth (1-based, or -1 for last) weekday of a month
+function nthWeekday(year, month, weekday, nth) {
+  if (nth > 0) {
+    const first = moment.utc({ year, month, day: 1 });
+    const offset = (weekday - first.day() + 7) % 7;
+    return first.add(offset + (nth - 1) * 7, 'days');
+  }
+  const last = moment.utc({ year, month, day: 1 }).endOf('month').startOf('day');
+  const offset = (last.day() - weekday + 7) % 7;
+  return last.subtract(offset, 'days');
+}
+
+// Fixed-date holidays falling on a weekend are observed on the nearest weekday
+function observed(day) {
+  if (day.day() === 6) return day.clone().subtract(1, 'day');
+  if (day.day() === 0) return day.clone().add(1, 'day');
+  return day;
+}
+
+/**
+ * US federal holidays (observed dates) for a year
+ * @param {number} year
+ * @returns {Array<{date: string, name: string}>}
+ */
+function getUsFederalHolidays(year) {
+  const fixed = (month, day) => observed(moment.utc({ year, month, day }));
+  const holidays = [
+    { name: "New Year's Day", day: fixed(0, 1) },
+    { name: 'Martin Luther King Jr. Day', day: nthWeekday(year, 0, 1, 3) },
+    { name: "Washington's Birthday", day: nthWeekday(year, 1, 1, 3) },
+    { name: 'Memorial Day', day: nthWeekday(year, 4, 1, -1) },
+    { name: 'Juneteenth National Independence Day', day: fixed(5, 19) },
+    { name: 'Independence Day', day: fixed(6, 4) },
+    { name: 'Labor Day', day: nthWeekday(year, 8, 1, 1) },
+    { name: 'Columbus Day', day: nthWeekday(year, 9, 1, 2) },
+    { name: 'Veterans Day', day: fixed(10, 11) },
+    { name: 'Thanksgiving Day', day: nthWeekday(year, 10, 4, 4) },
+    { name: 'Christmas Day', day: fixed(11, 25) }
+  ];
+  return holidays.map(({ name, day }) => ({ date: day.format('YYYY-MM-DD'), name }));
+}
+
+const HOLIDAY_CALENDARS = {
+  US_FEDERAL: getUsFederalHolidays
+};
+
+/**
+ * Check whether a date is a holiday in a named calendar
+ * @param {string} calendar - Calendar name (e.g., 'US_FEDERAL')
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isHoliday(calendar, date) {
+  const getHolidays = HOLIDAY_CALENDARS[String(calendar || '').toUpperCase()];
+  if (!getHolidays) return false;
+  const day = toDay(date);
+  if (!day.isValid()) return false;
+  // New Year's Day can be observed on Dec 31 of the previous year
+  return [day.year(), day.year() + 1].some(year =>
+    getHolidays(year).some(holiday => holiday.date === day.format('YYYY-MM-DD'))
+  );
+}
+
+module.exports = {
+  parseRRule,
+  occursOn,
+  occurrencesBetween,
+  getUsFederalHolidays,
+  isHoliday,
+  HOLIDAY_CALENDARS
+};
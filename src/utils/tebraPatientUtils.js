@@ -2,10 +2,12 @@
 // Shared utilities for Tebra patient operations
 
 const tebraService = require('../services/tebraService');
+const patientIdentityService = require('../services/patientIdentityService');
 const logger = require('./logger');
 
 /**
- * Ensure a Tebra patient exists, creating one if necessary
+ * Ensure a Tebra patient exists, creating one if necessary. Matching (customer mapping, then Tebra
+ * patients scored on email, name + DOB and phone) is patientIdentityService.findOrCreate.
  * @param {Object} params - Patient parameters
  * @param {string} [params.email] - Patient email
  * @param {string} [params.firstName] - Patient first name
@@ -15,7 +17,9 @@ const logger = require('./logger');
  * @param {string} [params.gender] - Patient gender
  * @param {Object} [params.address={}] - Patient address
  * @param {string} [params.practiceId] - Tebra practice ID
- * @returns {Promise<{id: string}>} Patient ID
+ * @param {string} [params.tenantId] - Tebra account; defaults to the one serving the address state / practice
+ * @param {string} [params.shopifyCustomerId] - Shopify customer; the match is remembered for it
+ * @returns {Promise<{id: string, created: boolean}>} Patient ID
  */
 async function ensureTebraPatient({ 
   email, 
@@ -25,41 +29,12 @@ async function ensureTebraPatient({
   dateOfBirth, 
   gender, 
   address = {}, 
-  practiceId 
+  practiceId,
+  tenantId,
+  shopifyCustomerId
 }) {
-  // Validate required fields
-  if (!email && !(firstName && lastName)) {
-    const error = new Error('Missing patient identity (email or name)');
-    error.status = 400;
-    throw error;
-  }
-
-  // Try to find existing patient by email
-  if (email && tebraService.searchPatients) {
-    try {
-      const found = await tebraService.searchPatients({ email });
-      const candidates = found?.patients || found?.Patients || [];
-      const match = candidates.find(p => 
-        (p.Email || p.email || '').toLowerCase() === String(email).toLowerCase()
-      );
-      
-      if (match) {
-        const id = match.ID || match.Id || match.id;
-        if (id) {
-          logger.debug('Found existing Tebra patient', { id, email });
-          return { id };
-        }
-      }
-    } catch (error) {
-      logger.warn('Patient search failed, will create new patient', { 
-        error: error.message,
-        email 
-      });
-      // Continue to create new patient
-    }
-  }
+  const tebra = tebraService.forCall({ tenantId, state: address.state, practiceId });
 
-  // Create new patient in Tebra
   const payload = {
     email,
     firstName: firstName || 'Unknown',
@@ -76,17 +51,16 @@ async function ensureTebraPatient({
   };
 
   try {
-    const created = await tebraService.createPatient(payload);
-    const id = created?.id || created?.patientId || created?.PatientID;
-    
-    if (!id) {
-      const error = new Error('Failed to create Tebra patient: No ID returned');
-      error.status = 502;
-      throw error;
+    const patient = await patientIdentityService.findOrCreate(
+      { shopifyCustomerId, email, firstName, lastName, dateOfBirth, phone },
+      { tebra, tenantId: tebra.tenantId, createPayload: payload }
+    );
+    if (patient.created) {
+      logger.info('Created new Tebra patient', { id: patient.id, email });
+    } else {
+      logger.debug('Found existing Tebra patient', { id: patient.id, email, matchedOn: patient.matchedOn });
     }
-    
-    logger.info('Created new Tebra patient', { id, email });
-    return { id };
+    return { id: patient.id, created: patient.created };
   } catch (error) {
     logger.errorWithContext(error, { 
       operation: 'ensureTebraPatient',
@@ -139,6 +139,40 @@ const ERROR_MESSAGES = {
     actionable: true
   },
 
+  // Tebra (EHR / scheduling) errors
+  TEBRA_AUTH_FAILED: {
+    message: 'We\'re having trouble connecting to our scheduling system. Our team has been notified; please try again later.',
+    actionable: false
+  },
+  TEBRA_CUSTOMER_KEY_INVALID: {
+    message: 'We\'re having trouble connecting to our scheduling system. Our team has been notified; please try again later.',
+    actionable: false
+  },
+  TEBRA_VALIDATION_ERROR: {
+    message: 'Some of the details you entered could not be accepted. Please review them and try again.',
+    actionable: true
+  },
+  TEBRA_NOT_FOUND: {
+    message: 'We couldn\'t find that record. It may have been changed or removed.',
+    actionable: false
+  },
+  TEBRA_DUPLICATE: {
+    message: 'This has already been recorded. Please refresh and check before trying again.',
+    actionable: true
+  },
+  TEBRA_UNAVAILABLE: {
+    message: 'Our scheduling system is temporarily unavailable. Please try again in a few minutes.',
+    actionable: true
+  },
+  TEBRA_TIMEOUT: {
+    message: 'Our scheduling system is taking too long to respond. Please try again in a few minutes.',
+    actionable: true
+  },
+  TEBRA_CIRCUIT_OPEN: {
+    message: 'Our scheduling system is temporarily unavailable. Please try again in a few minutes.',
+    actionable: true
+  },
+
   // Webhook errors
   WEBHOOK_VERIFICATION_FAILED: {
     message: 'Webhook verification failed.',
@@ -258,6 +292,11 @@ function mapErrorToCode(error) {
   const errorMessage = (error.message || '').toLowerCase();
   const errorString = error.toString().toLowerCase();
 
+  // Typed Tebra errors (services/tebraErrors.js) already carry their category
+  if (error.isTebraError) {
+    return mapTebraErrorToCode(error);
+  }
+
   // Appointment-specific
   if (errorMessage.includes('appointment') && errorMessage.includes('not found')) {
     return 'APPOINTMENT_NOT_FOUND';
@@ -324,10 +363,50 @@ function mapErrorToCode(error) {
   return null; // Let extractErrorCode handle it
 }
 
+/**
+ * Map a typed Tebra error to an error code, preferring the more specific appointment / patient codes
+ * @param {Error|Object} error - TebraError (or a spread copy of one)
+ * @returns {string} Error code
+ */
+function mapTebraErrorToCode(error) {
+  const errorMessage = (error.message || '').toLowerCase();
+  if (error.code === 'TEBRA_NOT_FOUND') {
+    if (errorMessage.includes('appointment') || /appointment/i.test(error.method || '')) return 'APPOINTMENT_NOT_FOUND';
+    if (errorMessage.includes('patient') || /patient/i.test(error.method || '')) return 'PATIENT_NOT_FOUND';
+  }
+  if (error.code === 'TEBRA_DUPLICATE' && /appointment/i.test(error.method || '')) {
+    return 'SLOT_ALREADY_TAKEN';
+  }
+  return ERROR_MESSAGES[error.code] ? error.code : 'EXTERNAL_SERVICE_ERROR';
+}
+
+/**
+ * Build the HTTP status and patient-facing response for a typed Tebra error
+ * Technical details (method, fault code) are only included in development.
+ * @param {Error} error - TebraError
+ * @param {Object} options - { isDevelopment, requestId }
+ * @returns {{ statusCode: number, response: Object }}
+ */
+function createTebraErrorResponse(error, options = {}) {
+  const { isDevelopment = false } = options;
+  const code = mapTebraErrorToCode(error);
+  const response = createUserFriendlyErrorResponse({ message: error.message, code, stack: error.stack }, options);
+  response.retryable = error.retryable === true;
+  if (error.retryAfter) {
+    response.retryAfter = error.retryAfter;
+  }
+  if (isDevelopment) {
+    response.tebra = { method: error.method, faultCode: error.faultCode, httpStatus: error.httpStatus };
+  }
+  return { statusCode: error.status || 502, response };
+}
+
 module.exports = {
   getUserFriendlyError,
   extractErrorCode,
   createUserFriendlyErrorResponse,
   mapErrorToCode,
+  mapTebraErrorToCode,
+  createTebraErrorResponse,
   ERROR_MESSAGES
 };